@@ -58,6 +58,7 @@ contract DataVaultNFT is ERC721URIStorage, Ownable {
     event StakeAdded(uint256 indexed tokenId, uint256 amount);
     event ResultsPublished(uint256 indexed tokenId, uint256 requestId, string resultHash);
     event MetadataUpdated(uint256 indexed tokenId, string newMetadataURI);
+    event DataHashUpdated(uint256 indexed tokenId, string newDataHash);
 
     constructor(address _privaTokenAddress) ERC721("PrivaSight DataVault", "PDV") {
         privaToken = IERC20(_privaTokenAddress);
@@ -143,6 +144,8 @@ contract DataVaultNFT is ERC721URIStorage, Ownable {
         dataVaults[_tokenId].dataHash = _newDataHash;
         dataVaults[_tokenId].encryptionKeyHash = _newEncryptionKeyHash;
         dataVaults[_tokenId].lastUpdated = block.timestamp;
+
+        emit DataHashUpdated(_tokenId, _newDataHash);
     }
 
     /**
@@ -165,7 +165,9 @@ describe("DataVaultNFT", function () {
       const newEncryptionKeyHash = "0xabcdef1234567890abcdef1234567890abcdef1234567890abcdef1234567890";
       
       // Update data hash
-      await dataVaultNFT.updateDataHash(tokenId, newDataHash, newEncryptionKeyHash);
+      await expect(dataVaultNFT.updateDataHash(tokenId, newDataHash, newEncryptionKeyHash))
+        .to.emit(dataVaultNFT, "DataHashUpdated")
+        .withArgs(tokenId, newDataHash);
       
       // Verify update
       const vaultInfo = await dataVaultNFT.getDataVaultInfo(tokenId);
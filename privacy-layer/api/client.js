@@ -0,0 +1,84 @@
+/**
+ * PrivaSight API Client
+ *
+ * Minimal client of the Privacy Layer HTTP API, used by operator tools that
+ * act on a running deployment. Requests carry the bearer API key and JSON
+ * bodies; error bodies are raised as ApiErrors with the status and code the
+ * server answered with.
+ */
+
+const http = require('http');
+const https = require('https');
+const { ApiError, ErrorCode } = require('./validation');
+
+/**
+ * Client of the Privacy Layer HTTP API
+ * @class ApiClient
+ */
+class ApiClient {
+  /**
+   * Create a new API client
+   * @param {Object} options - Configuration options
+   * @param {string} options.url - Base URL of the API, e.g. http://127.0.0.1:8090
+   * @param {string} [options.apiKey] - Bearer API key
+   * @param {number} [options.timeoutMs=30000] - Time to wait for a response
+   */
+  constructor({ url, apiKey = null, timeoutMs = 30000 }) {
+    if (!url) throw new Error('API URL is required');
+
+    this.url = new URL(url);
+    this.apiKey = apiKey;
+    this.timeoutMs = timeoutMs;
+  }
+
+  /**
+   * Send a request
+   * @param {string} method - HTTP method
+   * @param {string} path - Request path, with path parameters already encoded
+   * @param {*} [body] - JSON body
+   * @returns {Promise<*>} Parsed response body
+   * @throws {ApiError} If the API cannot be reached or answers with an error
+   */
+  request(method, path, body = undefined) {
+    const target = new URL(path.replace(/^\//, ''), this.url.href.endsWith('/') ? this.url : `${this.url.href}/`);
+    const payload = body === undefined ? undefined : JSON.stringify(body);
+    const transport = target.protocol === 'https:' ? https : http;
+
+    return new Promise((resolve, reject) => {
+      const req = transport.request(target, {
+        method,
+        timeout: this.timeoutMs,
+        headers: {
+          Accept: 'application/json',
+          ...(payload !== undefined ? { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload) } : {}),
+          ...(this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {})
+        }
+      }, (res) => {
+        let data = '';
+        res.setEncoding('utf8');
+        res.on('data', chunk => { data += chunk; });
+        res.on('end', () => {
+          let parsed;
+          try {
+            parsed = data ? JSON.parse(data) : undefined;
+          } catch (error) {
+            reject(new ApiError(res.statusCode, ErrorCode.INTERNAL_ERROR, `Invalid response from ${this.url.origin}: ${error.message}`));
+            return;
+          }
+          if (res.statusCode >= 400) {
+            const { code = ErrorCode.INTERNAL_ERROR, message = `Request failed with status ${res.statusCode}`, details } = (parsed && parsed.error) || {};
+            reject(new ApiError(res.statusCode, code, message, details));
+            return;
+          }
+          resolve(parsed);
+        });
+      });
+
+      req.on('timeout', () => req.destroy(new Error(`no response within ${this.timeoutMs}ms`)));
+      req.on('error', error => reject(new ApiError(503, ErrorCode.INTERNAL_ERROR, `Cannot reach the API at ${this.url.origin}: ${error.message}`)));
+      req.end(payload);
+    });
+  }
+}
+
+module.exports = { ApiClient };
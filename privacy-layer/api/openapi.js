@@ -0,0 +1,133 @@
+/**
+ * PrivaSight API OpenAPI Generator
+ *
+ * Builds an OpenAPI 3.0 document from the route definitions in routes.js.
+ */
+
+const { ErrorCode } = require('./validation');
+
+const ErrorSchema = {
+  type: 'object',
+  required: ['error'],
+  properties: {
+    error: {
+      type: 'object',
+      required: ['code', 'message'],
+      properties: {
+        code: { type: 'string', enum: Object.values(ErrorCode) },
+        message: { type: 'string' },
+        details: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: { path: { type: 'string' }, message: { type: 'string' } }
+          }
+        }
+      }
+    }
+  }
+};
+
+/**
+ * Convert an Express-style path (/vaults/:id) to an OpenAPI path (/vaults/{id})
+ * @param {string} path - Route path
+ * @returns {string} OpenAPI path
+ */
+function toOpenApiPath(path) {
+  return path.replace(/:([A-Za-z0-9_]+)/g, '{$1}');
+}
+
+/**
+ * Build an error response reference
+ * @param {string} description - Response description
+ * @returns {Object} OpenAPI response object
+ */
+function errorResponse(description) {
+  return {
+    description,
+    content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+  };
+}
+
+/**
+ * Generate an OpenAPI document from route definitions
+ * @param {Array<Object>} routes - Route definitions
+ * @param {Object} [info={}] - Document info
+ * @param {string} [info.title='PrivaSight Privacy Layer API'] - API title
+ * @param {string} [info.version='1.0.0'] - API version
+ * @param {Array<string>} [info.servers=[]] - Server URLs
+ * @returns {Object} OpenAPI 3.0 document
+ */
+function generateOpenApiDocument(routes, { title = 'PrivaSight Privacy Layer API', version = '1.0.0', servers = [] } = {}) {
+  const paths = {};
+
+  for (const route of routes) {
+    const parameters = [];
+    for (const [name, schema] of Object.entries((route.params && route.params.properties) || {})) {
+      parameters.push({ name, in: 'path', required: true, schema });
+    }
+    for (const [name, schema] of Object.entries((route.query && route.query.properties) || {})) {
+      parameters.push({ name, in: 'query', required: ((route.query.required) || []).includes(name), schema });
+    }
+
+    const responses = {
+      [route.response.status]: {
+        description: route.response.description || 'Success',
+        content: { 'application/json': { schema: route.response.schema } }
+      },
+      500: errorResponse('Internal error')
+    };
+    if (route.params || route.query || route.body) {
+      responses[400] = errorResponse('Invalid request');
+    }
+    if (!route.public) {
+      responses[401] = errorResponse('Missing or invalid API key');
+    }
+    if (route.params) {
+      responses[404] = errorResponse('Not found');
+    }
+    if (route.method !== 'GET') {
+      responses[403] = errorResponse('Denied by access policy or access rights');
+      responses[409] = errorResponse('Conflicts with the current state');
+    }
+    if (route.operator) {
+      responses[403] = errorResponse('API key is bound to a researcher, not an operator');
+    }
+
+    const operation = {
+      operationId: route.operationId,
+      summary: route.summary,
+      ...(route.description ? { description: route.description } : {}),
+      tags: route.tags,
+      ...(parameters.length > 0 ? { parameters } : {}),
+      ...(route.body ? {
+        requestBody: {
+          required: (route.body.required || []).length > 0,
+          content: { 'application/json': { schema: route.body } }
+        }
+      } : {}),
+      ...(route.public ? { security: [] } : {}),
+      responses
+    };
+
+    const path = toOpenApiPath(route.path);
+    paths[path] = paths[path] || {};
+    paths[path][route.method.toLowerCase()] = operation;
+  }
+
+  return {
+    openapi: '3.0.3',
+    info: { title, version },
+    ...(servers.length > 0 ? { servers: servers.map(url => ({ url })) } : {}),
+    paths,
+    components: {
+      schemas: { Error: ErrorSchema },
+      securitySchemes: { apiKey: { type: 'http', scheme: 'bearer' } }
+    },
+    security: [{ apiKey: [] }]
+  };
+}
+
+module.exports = {
+  generateOpenApiDocument
+};
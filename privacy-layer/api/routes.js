@@ -0,0 +1,752 @@
+/**
+ * PrivaSight API Routes
+ *
+ * Route definitions for the Privacy Layer HTTP API. Each route declares its
+ * method, path, parameter and body schemas, response description and a
+ * handler that maps the request onto a PrivacyLayer operation. The server
+ * dispatches and validates from these definitions, and the OpenAPI document
+ * is generated from them, so the two cannot drift apart. Routes that act for
+ * a researcher declare actingResearcher ('required' or 'optional'); their
+ * handlers receive the researcher the server determined from the API key,
+ * and the body's researcher field, if given, must name the same one. A
+ * researcher's access requests, quotes and computations are served only to
+ * that researcher (or an operator key); to other researchers they do not
+ * exist. Routes that operate the deployment (SMPC nodes, aborting computations, model and
+ * audit state) declare operator and refuse keys bound to a researcher.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { ApiError, ErrorCode } = require('./validation');
+
+// Reusable schemas
+const ID = { type: 'string', minLength: 1, maxLength: 128 };
+const ADDRESS = { type: 'string', pattern: '^0x[0-9a-fA-F]{40}$' };
+const ACTING_RESEARCHER = {
+  ...ADDRESS,
+  description: 'Researcher the request acts for. Taken from the API key; if given, it must be the researcher the key is bound to.'
+};
+
+const VaultSchema = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    owner: { type: 'string' },
+    dataHash: { type: 'string' },
+    currentVersion: { type: 'string' },
+    dataCategory: { type: 'string' },
+    sensitivity: { type: 'string' },
+    registeredAt: { type: 'integer' }
+  }
+};
+
+const VaultVersionSchema = {
+  type: 'object',
+  properties: {
+    versionId: { type: 'string' },
+    dataVaultId: { type: 'string' },
+    version: { type: 'integer' },
+    dataHash: { type: 'string' },
+    previousVersionId: { type: 'string' },
+    retained: { type: 'boolean' },
+    createdAt: { type: 'integer' },
+    retiredAt: { type: 'integer' }
+  }
+};
+
+// Version IDs keyed by vault ID
+const VersionPinsSchema = { type: 'object', additionalProperties: ID };
+
+const AccessRequestSchema = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    listingId: { type: 'string' },
+    dataVaultId: { type: 'string' },
+    researcher: { type: 'string' },
+    purpose: { type: 'string' },
+    status: { type: 'string' },
+    requestedAt: { type: 'integer' }
+  }
+};
+
+const PipelineSchema = {
+  type: 'object',
+  required: ['steps'],
+  properties: {
+    steps: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: ['id', 'type'],
+        properties: {
+          id: ID,
+          type: { type: 'string', minLength: 1, maxLength: 64 },
+          operation: { type: 'string', minLength: 1, maxLength: 64 },
+          params: { type: 'object' },
+          inputs: { type: 'array', items: ID }
+        },
+        additionalProperties: false
+      }
+    },
+    output: ID
+  },
+  additionalProperties: false
+};
+
+const ComputationSchema = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    researcher: { type: 'string' },
+    dataVaultIds: { type: 'array', items: { type: 'string' } },
+    computationType: { type: 'string' },
+    pipeline: PipelineSchema,
+    quoteId: { type: 'string' },
+    dataVersions: {
+      type: 'object',
+      additionalProperties: {
+        type: 'object',
+        properties: {
+          versionId: { type: 'string' },
+          version: { type: 'integer' },
+          dataHash: { type: 'string' }
+        }
+      }
+    },
+    rerunOf: { type: 'string' },
+    status: { type: 'string' },
+    error: { type: 'string' },
+    privacyCost: { type: 'object' },
+    trace: { type: 'string' },
+    release: {
+      type: 'object',
+      properties: {
+        blocked: { type: 'boolean' },
+        reason: { type: 'string' },
+        suppressedCells: { type: 'integer' },
+        mergedCells: { type: 'integer' },
+        reviewedAt: { type: 'integer' }
+      }
+    },
+    startedAt: { type: 'integer' },
+    completedAt: { type: 'integer' }
+  }
+};
+
+const PrivacyParametersSchema = {
+  type: 'object',
+  required: ['epsilon'],
+  properties: {
+    epsilon: { type: 'number', minimum: 0 },
+    delta: { type: 'number', minimum: 0 }
+  }
+};
+
+const QuoteSchema = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    researcher: { type: 'string' },
+    dataVaultIds: { type: 'array', items: { type: 'string' } },
+    computationType: { type: 'string' },
+    privacyParameters: PrivacyParametersSchema,
+    nodes: { type: 'object', properties: { count: { type: 'integer' }, threshold: { type: 'integer' } } },
+    estimatedRuntimeMs: { type: 'integer' },
+    proofGeneration: { type: 'object', properties: { estimatedMs: { type: 'integer' } } },
+    privacyBudget: { type: 'object' },
+    price: {
+      type: 'object',
+      properties: {
+        currency: { type: 'string' },
+        total: { type: 'string' },
+        byVault: { type: 'object' }
+      }
+    },
+    status: { type: 'string' },
+    quotedAt: { type: 'integer' },
+    expiresAt: { type: 'integer' }
+  }
+};
+
+const SimulationSchema = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    simulated: { type: 'boolean' },
+    researcher: { type: 'string' },
+    dataVaultIds: { type: 'array', items: { type: 'string' } },
+    computationType: { type: 'string' },
+    pipeline: PipelineSchema,
+    privacyParameters: PrivacyParametersSchema,
+    syntheticRecords: { type: 'object' },
+    results: { type: 'object' },
+    release: {
+      type: 'object',
+      properties: {
+        released: { type: 'boolean' },
+        reason: { type: 'string' },
+        suppressedCells: { type: 'integer' },
+        mergedCells: { type: 'integer' }
+      }
+    },
+    expectedNoise: {
+      type: 'object',
+      properties: {
+        mechanism: { type: 'string' },
+        sensitivity: { type: 'number' },
+        scale: { type: 'number' },
+        expectedMagnitude: { type: 'number' },
+        standardDeviation: { type: 'number' }
+      }
+    },
+    runtime: {
+      type: 'object',
+      properties: {
+        simulatedMs: { type: 'integer' },
+        estimatedMs: { type: 'integer' }
+      }
+    },
+    privacyBudget: { type: 'object' },
+    simulatedAt: { type: 'integer' }
+  }
+};
+
+const PublicationSchema = {
+  type: 'object',
+  properties: {
+    transactionHash: { type: 'string' },
+    blockNumber: { type: 'integer' },
+    timestamp: { type: 'integer' },
+    proofId: { type: 'string' }
+  }
+};
+
+const AbortSchema = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    aborted: { type: 'boolean', description: 'Whether the SMPC nodes were told to abort the computation' },
+    cancelled: { type: 'boolean', description: 'Whether the computation was cancelled; a finished computation keeps its status' },
+    status: { type: 'string', description: 'Status of the computation before the abort' },
+    reason: { type: 'string' }
+  }
+};
+
+const NodeSchema = {
+  type: 'object',
+  properties: {
+    nodeId: { type: 'string' },
+    state: { type: 'string' },
+    activeComputations: { type: 'array', items: { type: 'string' } },
+    reputation: { type: 'object' }
+  }
+};
+
+const FederatedStateSchema = {
+  type: 'object',
+  required: ['globalModel'],
+  properties: {
+    modelType: { type: 'string' },
+    currentRound: { type: 'integer', minimum: 0 },
+    globalModel: { type: 'object' },
+    modelMetrics: { type: 'array' },
+    privacyBudgetUsed: { type: 'number', minimum: 0 },
+    convergenceCurve: { type: 'array' },
+    stale: { type: 'object' }
+  }
+};
+
+const MerkleTreeStateSchema = {
+  type: 'object',
+  required: ['depth', 'leaves'],
+  properties: {
+    depth: { type: 'integer', minimum: 1 },
+    leaves: { type: 'array', items: { type: 'array' } },
+    indexed: { type: 'boolean' },
+    nextIndex: { type: 'integer', minimum: 0 },
+    indexToKey: { type: 'array', items: { type: 'array' } },
+    keyToIndex: { type: 'array', items: { type: 'array' } }
+  }
+};
+
+/**
+ * Strip secrets from vault metadata before it leaves the process
+ * @param {Object} vault - Vault metadata
+ * @returns {Object} Public vault view
+ */
+function toVaultView({ encryptionKeys, ...vault }) {
+  return vault;
+}
+
+/**
+ * Public view of a computation; results are only exposed through the results route
+ * @param {Object} computation - Computation metadata
+ * @returns {Object} Public computation view
+ */
+function toComputationView({ id, researcher, dataVaultIds, computationType, pipeline, quoteId, dataVersions, rerunOf, status, error, privacyCost, trace, release, startedAt, completedAt }) {
+  return { id, researcher, dataVaultIds, computationType, pipeline, quoteId, dataVersions, rerunOf, status, error, privacyCost, trace, release, startedAt, completedAt };
+}
+
+/**
+ * Public view of a publication record
+ * @param {Object} publication - Publication details
+ * @returns {Object} Public publication view
+ */
+function toPublicationView({ transactionHash, blockNumber, timestamp, proof }) {
+  return { transactionHash, blockNumber, timestamp, proofId: proof && proof.id };
+}
+
+/**
+ * Look up a record or fail with 404
+ * @param {Object|null} record - Record returned by a getter
+ * @param {string} description - Record description for the message
+ * @returns {Object} The record
+ * @throws {ApiError} If the record does not exist
+ */
+function found(record, description) {
+  if (!record) {
+    throw new ApiError(404, ErrorCode.NOT_FOUND, `${description} not found`);
+  }
+  return record;
+}
+
+/**
+ * Check that a record exists and belongs to the researcher a request acts
+ * for. Another researcher's record is reported as not found, so its existence
+ * is not revealed; a request acting for nobody (an operator key) sees every
+ * record.
+ * @param {Object|null} record - Record returned by a getter, with the researcher it belongs to
+ * @param {string} [researcher] - Researcher the request acts for
+ * @param {string} description - Record description for the message
+ * @returns {Object} The record
+ * @throws {ApiError} If the record does not exist or belongs to another researcher
+ */
+function owned(record, researcher, description) {
+  found(record, description);
+  if (researcher && record.researcher && record.researcher.toLowerCase() !== researcher.toLowerCase()) {
+    throw new ApiError(404, ErrorCode.NOT_FOUND, `${description} not found`);
+  }
+  return record;
+}
+
+/**
+ * Route definitions
+ * @type {Array<Object>}
+ */
+const routes = [
+  {
+    method: 'GET',
+    path: '/health',
+    operationId: 'getHealth',
+    summary: 'Service health',
+    tags: ['System'],
+    public: true,
+    response: {
+      status: 200,
+      schema: { type: 'object', properties: { status: { type: 'string' } } }
+    },
+    handler: async () => ({ status: 'ok' })
+  },
+  {
+    method: 'POST',
+    path: '/vaults',
+    operationId: 'registerDataVault',
+    summary: 'Register a data vault with the privacy layer',
+    tags: ['Vaults'],
+    body: {
+      type: 'object',
+      required: ['dataVaultId'],
+      properties: { dataVaultId: ID },
+      additionalProperties: false
+    },
+    response: { status: 201, schema: VaultSchema },
+    handler: async (privacyLayer, { body }) => toVaultView(await privacyLayer.registerDataVault(body.dataVaultId))
+  },
+  {
+    method: 'GET',
+    path: '/vaults',
+    operationId: 'listDataVaults',
+    summary: 'List registered data vaults',
+    tags: ['Vaults'],
+    response: { status: 200, schema: { type: 'array', items: VaultSchema } },
+    handler: async (privacyLayer) => privacyLayer.getAllDataVaults().map(toVaultView)
+  },
+  {
+    method: 'GET',
+    path: '/vaults/:dataVaultId',
+    operationId: 'getDataVault',
+    summary: 'Get a registered data vault',
+    tags: ['Vaults'],
+    params: { required: ['dataVaultId'], properties: { dataVaultId: ID } },
+    response: { status: 200, schema: VaultSchema },
+    handler: async (privacyLayer, { params }) =>
+      toVaultView(found(privacyLayer.getDataVault(params.dataVaultId), `Data vault ${params.dataVaultId}`))
+  },
+  {
+    method: 'GET',
+    path: '/vaults/:dataVaultId/budget',
+    operationId: 'getBudgetStatus',
+    summary: 'Get the cumulative privacy budget status of a data vault',
+    tags: ['Vaults'],
+    params: { required: ['dataVaultId'], properties: { dataVaultId: ID } },
+    response: { status: 200, schema: { type: 'object' } },
+    handler: async (privacyLayer, { params }) => {
+      found(privacyLayer.getDataVault(params.dataVaultId), `Data vault ${params.dataVaultId}`);
+      return privacyLayer.getBudgetStatus(params.dataVaultId);
+    }
+  },
+  {
+    method: 'GET',
+    path: '/vaults/:dataVaultId/versions',
+    operationId: 'listVaultVersions',
+    summary: 'List the data versions of a data vault',
+    description: 'Versions are listed newest first. Computations can be pinned to any retained version.',
+    tags: ['Vaults'],
+    params: { required: ['dataVaultId'], properties: { dataVaultId: ID } },
+    response: { status: 200, schema: { type: 'array', items: VaultVersionSchema } },
+    handler: async (privacyLayer, { params }) => {
+      found(privacyLayer.getDataVault(params.dataVaultId), `Data vault ${params.dataVaultId}`);
+      return privacyLayer.getVaultVersions(params.dataVaultId);
+    }
+  },
+  {
+    method: 'POST',
+    path: '/access-requests',
+    operationId: 'submitAccessRequest',
+    summary: 'Submit an access request for a marketplace listing',
+    tags: ['Access'],
+    body: {
+      type: 'object',
+      required: ['listingId', 'purpose'],
+      properties: {
+        listingId: ID,
+        researcher: ACTING_RESEARCHER,
+        purpose: { type: 'string', minLength: 1, maxLength: 256 }
+      },
+      additionalProperties: false
+    },
+    actingResearcher: 'required',
+    response: { status: 201, schema: AccessRequestSchema },
+    handler: async (privacyLayer, { body, researcher }) => {
+      const { policyDecision, ...request } = await privacyLayer.processAccessRequest(body.listingId, researcher, body.purpose);
+      return request;
+    }
+  },
+  {
+    method: 'GET',
+    path: '/access-requests/:requestId',
+    operationId: 'getAccessRequest',
+    summary: 'Get an access request',
+    tags: ['Access'],
+    params: { required: ['requestId'], properties: { requestId: ID } },
+    actingResearcher: 'optional',
+    response: { status: 200, schema: AccessRequestSchema },
+    handler: async (privacyLayer, { params, researcher }) =>
+      owned(privacyLayer.getAccessRequest(params.requestId), researcher, `Access request ${params.requestId}`)
+  },
+  {
+    method: 'POST',
+    path: '/quotes',
+    operationId: 'quoteComputation',
+    summary: 'Quote the cost of a computation before starting it',
+    description: 'Estimates node count, runtime, proof generation time, privacy budget per vault and the PRIVA price. Accept the quote before it expires and pass its ID when starting the computation.',
+    tags: ['Computations'],
+    body: {
+      type: 'object',
+      required: ['dataVaultIds', 'computationType'],
+      properties: {
+        researcher: ACTING_RESEARCHER,
+        dataVaultIds: { type: 'array', minItems: 1, items: ID },
+        computationType: { type: 'string', minLength: 1, maxLength: 64 },
+        privacyParameters: PrivacyParametersSchema
+      },
+      additionalProperties: false
+    },
+    actingResearcher: 'optional',
+    response: { status: 201, schema: QuoteSchema },
+    handler: async (privacyLayer, { body, researcher }) => privacyLayer.quoteComputation({ ...body, researcher })
+  },
+  {
+    method: 'GET',
+    path: '/quotes/:quoteId',
+    operationId: 'getQuote',
+    summary: 'Get a computation quote',
+    tags: ['Computations'],
+    params: { required: ['quoteId'], properties: { quoteId: ID } },
+    actingResearcher: 'optional',
+    response: { status: 200, schema: QuoteSchema },
+    handler: async (privacyLayer, { params, researcher }) =>
+      owned(privacyLayer.getQuote(params.quoteId), researcher, `Quote ${params.quoteId}`)
+  },
+  {
+    method: 'POST',
+    path: '/quotes/:quoteId/accept',
+    operationId: 'acceptQuote',
+    summary: 'Accept a computation quote',
+    tags: ['Computations'],
+    params: { required: ['quoteId'], properties: { quoteId: ID } },
+    body: {
+      type: 'object',
+      properties: { researcher: ACTING_RESEARCHER },
+      additionalProperties: false
+    },
+    actingResearcher: 'required',
+    response: { status: 200, schema: QuoteSchema },
+    handler: async (privacyLayer, { params, researcher }) => privacyLayer.acceptQuote(params.quoteId, researcher)
+  },
+  {
+    method: 'POST',
+    path: '/computations',
+    operationId: 'startComputation',
+    summary: 'Start a privacy-preserving computation',
+    description: 'Sets up the computation across SMPC nodes and returns immediately; poll the computation for its status. ' +
+      'Pass a pipeline to chain protocol steps; intermediate outputs stay secret-shared and only the output step is revealed. ' +
+      'Pass versions to run on retained historical versions of the vaults\' data instead of their current versions.',
+    tags: ['Computations'],
+    body: {
+      type: 'object',
+      required: ['dataVaultIds', 'computationType'],
+      properties: {
+        requestId: ID,
+        quoteId: ID,
+        researcher: ACTING_RESEARCHER,
+        dataVaultIds: { type: 'array', minItems: 1, items: ID },
+        computationType: { type: 'string', minLength: 1, maxLength: 64 },
+        pipeline: PipelineSchema,
+        versions: VersionPinsSchema
+      },
+      additionalProperties: false
+    },
+    actingResearcher: 'required',
+    response: { status: 202, schema: ComputationSchema },
+    handler: async (privacyLayer, { body, researcher }) =>
+      toComputationView(await privacyLayer.orchestrateComputation(
+        body.requestId || uuidv4(),
+        researcher,
+        body.dataVaultIds,
+        body.computationType,
+        { quoteId: body.quoteId, pipeline: body.pipeline, versions: body.versions }
+      ))
+  },
+  {
+    method: 'POST',
+    path: '/computations/:computationId/rerun',
+    operationId: 'rerunComputation',
+    summary: 'Re-run a computation on the data versions it ran on',
+    description: 'Starts a new computation with the same vaults, type and pipeline, pinned to the original\'s data versions. ' +
+      'Fails if any of those versions is no longer retained.',
+    tags: ['Computations'],
+    params: { required: ['computationId'], properties: { computationId: ID } },
+    body: {
+      type: 'object',
+      properties: {
+        requestId: ID,
+        quoteId: ID,
+        researcher: ACTING_RESEARCHER
+      },
+      additionalProperties: false
+    },
+    actingResearcher: 'required',
+    response: { status: 202, schema: ComputationSchema },
+    handler: async (privacyLayer, { params, body = {}, researcher }) => {
+      owned(privacyLayer.getComputation(params.computationId), researcher, `Computation ${params.computationId}`);
+      const requestId = body.requestId || uuidv4();
+      return toComputationView(await privacyLayer.rerunComputation(params.computationId, requestId, researcher, { quoteId: body.quoteId }));
+    }
+  },
+  {
+    method: 'POST',
+    path: '/simulations',
+    operationId: 'simulateComputation',
+    summary: 'Simulate a computation over synthetic data',
+    description: 'Runs the computation end to end on in-process SMPC nodes over synthetic records shaped like each vault\'s schema, ' +
+      'and reports the results, whether they would be released, the expected noise and the runtime. ' +
+      'No privacy budget is charged, one-time grants are not used and nothing is published.',
+    tags: ['Computations'],
+    body: {
+      type: 'object',
+      required: ['dataVaultIds', 'computationType'],
+      properties: {
+        requestId: ID,
+        quoteId: ID,
+        researcher: ACTING_RESEARCHER,
+        dataVaultIds: { type: 'array', minItems: 1, items: ID },
+        computationType: { type: 'string', minLength: 1, maxLength: 64 },
+        pipeline: PipelineSchema
+      },
+      additionalProperties: false
+    },
+    actingResearcher: 'required',
+    response: { status: 200, schema: SimulationSchema },
+    handler: async (privacyLayer, { body, researcher }) => privacyLayer.orchestrateComputation(
+      body.requestId || uuidv4(),
+      researcher,
+      body.dataVaultIds,
+      body.computationType,
+      { quoteId: body.quoteId, pipeline: body.pipeline, simulate: true }
+    )
+  },
+  {
+    method: 'GET',
+    path: '/computations/:computationId',
+    operationId: 'getComputation',
+    summary: 'Get the status of a computation',
+    tags: ['Computations'],
+    params: { required: ['computationId'], properties: { computationId: ID } },
+    actingResearcher: 'optional',
+    response: { status: 200, schema: ComputationSchema },
+    handler: async (privacyLayer, { params, researcher }) =>
+      toComputationView(owned(privacyLayer.getComputation(params.computationId), researcher, `Computation ${params.computationId}`))
+  },
+  {
+    method: 'GET',
+    path: '/computations/:computationId/results',
+    operationId: 'getComputationResults',
+    summary: 'Get the differentially private results of a completed computation',
+    tags: ['Computations'],
+    params: { required: ['computationId'], properties: { computationId: ID } },
+    actingResearcher: 'optional',
+    response: {
+      status: 200,
+      schema: {
+        type: 'object',
+        properties: {
+          computationId: { type: 'string' },
+          results: { type: 'object' },
+          publication: PublicationSchema
+        }
+      }
+    },
+    handler: async (privacyLayer, { params, researcher }) => {
+      const computation = owned(privacyLayer.getComputation(params.computationId), researcher, `Computation ${params.computationId}`);
+      if (computation.status === 'blocked') {
+        throw new ApiError(409, ErrorCode.CONFLICT, `Results of computation ${params.computationId} were withheld: ${computation.release.reason}`);
+      }
+      if (computation.status !== 'completed') {
+        throw new ApiError(409, ErrorCode.CONFLICT, `Computation ${params.computationId} is ${computation.status}`);
+      }
+      return {
+        computationId: computation.id,
+        results: computation.results,
+        publication: computation.publication ? toPublicationView(computation.publication) : null
+      };
+    }
+  },
+  {
+    method: 'POST',
+    path: '/computations/:computationId/publish',
+    operationId: 'publishResults',
+    summary: 'Publish the results of a completed computation on-chain',
+    tags: ['Computations'],
+    params: { required: ['computationId'], properties: { computationId: ID } },
+    actingResearcher: 'optional',
+    response: { status: 200, schema: PublicationSchema },
+    handler: async (privacyLayer, { params, researcher }) => {
+      const computation = owned(privacyLayer.getComputation(params.computationId), researcher, `Computation ${params.computationId}`);
+      if (computation.status !== 'completed') {
+        throw new ApiError(409, ErrorCode.CONFLICT, `Computation ${params.computationId} is ${computation.status}`);
+      }
+      if (computation.publication) {
+        throw new ApiError(409, ErrorCode.CONFLICT, `Computation ${params.computationId} is already published`);
+      }
+      return toPublicationView(await privacyLayer.publishResults(params.computationId));
+    }
+  },
+  {
+    method: 'POST',
+    path: '/computations/:computationId/abort',
+    operationId: 'abortComputation',
+    summary: 'Abort a computation on its SMPC nodes and cancel it',
+    description: 'Cancelling returns the computation\'s privacy budget and releases its access grants. A computation that already finished keeps its status.',
+    tags: ['Operations'],
+    operator: true,
+    params: { required: ['computationId'], properties: { computationId: ID } },
+    body: {
+      type: 'object',
+      properties: { reason: { type: 'string', minLength: 1, maxLength: 256 } },
+      additionalProperties: false
+    },
+    response: { status: 200, schema: AbortSchema },
+    handler: async (privacyLayer, { params, body }) =>
+      privacyLayer.abortComputation(params.computationId, (body && body.reason) || 'Aborted by operator')
+  },
+  {
+    method: 'GET',
+    path: '/nodes',
+    operationId: 'listNodes',
+    summary: 'List the SMPC nodes known to the coordinator',
+    tags: ['Operations'],
+    operator: true,
+    response: { status: 200, schema: { type: 'array', items: NodeSchema } },
+    handler: async (privacyLayer) => privacyLayer.getSmpcNodes()
+  },
+  {
+    method: 'GET',
+    path: '/nodes/:nodeId',
+    operationId: 'getNode',
+    summary: 'Get an SMPC node known to the coordinator',
+    tags: ['Operations'],
+    operator: true,
+    params: { required: ['nodeId'], properties: { nodeId: ID } },
+    response: { status: 200, schema: NodeSchema },
+    handler: async (privacyLayer, { params }) =>
+      found(privacyLayer.getSmpcNode(params.nodeId), `Node ${params.nodeId}`)
+  },
+  {
+    method: 'GET',
+    path: '/privacy/statistics',
+    operationId: 'getPrivacyStatistics',
+    summary: 'Get the budget statistics of the differential privacy mechanism',
+    tags: ['Operations'],
+    operator: true,
+    response: { status: 200, schema: { type: 'object' } },
+    handler: async (privacyLayer) => privacyLayer.getPrivacyStatistics()
+  },
+  {
+    method: 'GET',
+    path: '/federated/state',
+    operationId: 'exportFederatedState',
+    summary: 'Export the federated learning state',
+    tags: ['Operations'],
+    operator: true,
+    response: { status: 200, schema: FederatedStateSchema },
+    handler: async (privacyLayer) => privacyLayer.exportFederatedState()
+  },
+  {
+    method: 'PUT',
+    path: '/federated/state',
+    operationId: 'importFederatedState',
+    summary: 'Replace the federated learning state with an exported one',
+    tags: ['Operations'],
+    operator: true,
+    body: FederatedStateSchema,
+    response: { status: 200, schema: FederatedStateSchema },
+    handler: async (privacyLayer, { body }) => privacyLayer.importFederatedState(body)
+  },
+  {
+    method: 'PUT',
+    path: '/audit/tree',
+    operationId: 'importAuditTree',
+    summary: 'Load an exported commitment tree into the audit log',
+    description: 'The tree must commit exactly the audit log\'s committed entries, under the root of its latest checkpoint.',
+    tags: ['Operations'],
+    operator: true,
+    body: MerkleTreeStateSchema,
+    response: {
+      status: 200,
+      schema: {
+        type: 'object',
+        properties: { leaves: { type: 'integer' }, root: { type: 'string' }, checkpointId: { type: 'string' } }
+      }
+    },
+    handler: async (privacyLayer, { body }) => privacyLayer.importAuditTree(body)
+  }
+];
+
+module.exports = {
+  routes,
+  toVaultView,
+  toComputationView,
+  toPublicationView
+};
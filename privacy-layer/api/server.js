@@ -0,0 +1,337 @@
+/**
+ * PrivaSight API Server
+ *
+ * HTTP/JSON API for driving the Privacy Layer from internal tools. Routes are
+ * declared in routes.js; this module handles dispatch, authentication, body
+ * parsing, validation and consistent error bodies, and serves the generated
+ * OpenAPI document at /openapi.json. Routes that act for a researcher act for
+ * the researcher the request's API key is bound to, never for one named in
+ * the body. Operator routes are refused to keys bound to a researcher.
+ * The server refuses to start without API keys unless unauthenticated
+ * access is explicitly allowed, since reads expose results, quotes and
+ * operator state as well.
+ */
+
+const http = require('http');
+const url = require('url');
+const crypto = require('crypto');
+const { routes: defaultRoutes } = require('./routes');
+const { generateOpenApiDocument } = require('./openapi');
+const { ApiError, ErrorCode, validateRequest } = require('./validation');
+const logger = require('../../utils/logger')('privacy-layer:api');
+
+/**
+ * Map errors thrown by the Privacy Layer onto HTTP errors.
+ * PrivacyLayer surfaces failures as plain Errors, so the message is matched.
+ * @type {Array<[RegExp, number, ErrorCode]>}
+ */
+const ERROR_MAPPINGS = [
+  [/invalid pipeline|invalid federated learning state/i, 400, ErrorCode.VALIDATION_ERROR],
+  [/not found|not registered/i, 404, ErrorCode.NOT_FOUND],
+  [/already registered|already exists|not complete|does not match the audit log/i, 409, ErrorCode.CONFLICT],
+  [/budget exceeded/i, 409, ErrorCode.CONFLICT],
+  [/quote .* (was not accepted|has expired|was already used|is already|does not match)|accepted quote is required|no active listing/i, 409, ErrorCode.CONFLICT],
+  [/denied|not verified|does not have active access|only the owner|issued to another researcher/i, 403, ErrorCode.FORBIDDEN],
+  [/simulation is not configured|audit log is not configured/i, 501, ErrorCode.NOT_IMPLEMENTED]
+];
+
+/**
+ * Compile a route path into a matcher
+ * @param {string} path - Route path with :param segments
+ * @returns {Object} Regular expression and parameter names
+ */
+function compilePath(path) {
+  const names = [];
+  const pattern = path.replace(/:([A-Za-z0-9_]+)/g, (_, name) => {
+    names.push(name);
+    return '([^/]+)';
+  });
+  return { regex: new RegExp(`^${pattern}/?$`), names };
+}
+
+/**
+ * Convert an error into an ApiError
+ * @param {Error} error - Error thrown while handling a request
+ * @returns {ApiError} API error
+ */
+function toApiError(error) {
+  if (error instanceof ApiError) return error;
+  for (const [pattern, statusCode, code] of ERROR_MAPPINGS) {
+    if (pattern.test(error.message)) {
+      return new ApiError(statusCode, code, error.message);
+    }
+  }
+  return new ApiError(500, ErrorCode.INTERNAL_ERROR, 'Internal server error');
+}
+
+/**
+ * HTTP API server for the Privacy Layer
+ * @class ApiServer
+ */
+class ApiServer {
+  /**
+   * Create a new API server
+   * @param {Object} options - Configuration options
+   * @param {PrivacyLayer} options.privacyLayer - Privacy Layer instance
+   * @param {number} [options.port=8090] - Port to listen on
+   * @param {string} [options.host='127.0.0.1'] - Host to bind to
+   * @param {Array<string|Object>} [options.apiKeys=[]] - Accepted bearer API keys: a key, or { key, researcher } to bind
+   *   the key to the researcher it acts for
+   * @param {boolean} [options.allowUnauthenticated=false] - Serve every route without API keys, acting for the researcher
+   *   named in the body; API keys are required otherwise
+   * @param {number} [options.maxBodyBytes=1048576] - Maximum request body size
+   * @param {Array<Object>} [options.routes] - Route definitions (defaults to routes.js)
+   */
+  constructor({
+    privacyLayer,
+    port = 8090,
+    host = '127.0.0.1',
+    apiKeys = [],
+    allowUnauthenticated = false,
+    maxBodyBytes = 1048576,
+    routes = defaultRoutes
+  }) {
+    if (!privacyLayer) throw new Error('privacyLayer is required');
+    if (apiKeys.length === 0 && !allowUnauthenticated) {
+      throw new Error('API keys are required unless unauthenticated access is allowed');
+    }
+
+    this.privacyLayer = privacyLayer;
+    this.port = port;
+    this.host = host;
+    this.apiKeys = apiKeys.map(entry => {
+      const { key, researcher = null } = typeof entry === 'string' ? { key: entry } : entry;
+      return { key: Buffer.from(key), researcher };
+    });
+    this.allowUnauthenticated = allowUnauthenticated;
+    this.maxBodyBytes = maxBodyBytes;
+    this.routes = routes.map(route => ({ ...route, ...compilePath(route.path) }));
+    this.openApiDocument = generateOpenApiDocument(routes);
+
+    this.server = null;
+
+    this.start = this.start.bind(this);
+    this.stop = this.stop.bind(this);
+    this.handleRequest = this.handleRequest.bind(this);
+  }
+
+  /** Start listening */
+  async start() {
+    this.server = http.createServer(this.handleRequest);
+
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, () => {
+        this.server.removeListener('error', reject);
+        resolve();
+      });
+    });
+
+    // Report the bound port (useful when started on port 0)
+    this.port = this.server.address().port;
+    logger.info(`API server listening on ${this.host}:${this.port}`);
+  }
+
+  /** Stop listening */
+  async stop() {
+    if (this.server) {
+      await new Promise(resolve => this.server.close(resolve));
+      this.server = null;
+      logger.info('API server stopped');
+    }
+  }
+
+  /**
+   * Handle an HTTP request
+   * @param {http.IncomingMessage} req - Request
+   * @param {http.ServerResponse} res - Response
+   */
+  async handleRequest(req, res) {
+    const startedAt = Date.now();
+    const { pathname, query } = url.parse(req.url, true);
+
+    try {
+      if (req.method === 'GET' && pathname === '/openapi.json') {
+        return this._send(res, 200, this.openApiDocument);
+      }
+
+      const { route, params } = this._match(req.method, pathname);
+
+      const principal = route.public ? null : this._authenticate(req);
+      if (route.operator && principal && principal.researcher) {
+        throw new ApiError(403, ErrorCode.FORBIDDEN, 'API key is bound to a researcher; operator routes need an operator key');
+      }
+
+      const body = route.body ? await this._readBody(req) : undefined;
+      const request = { params, query: { ...query }, body };
+      validateRequest(route, request);
+      if (route.actingResearcher) {
+        request.researcher = this._actingResearcher(route, principal, body);
+      }
+
+      const result = await route.handler(this.privacyLayer, request);
+      this._send(res, route.response.status, result);
+    } catch (error) {
+      const apiError = toApiError(error);
+      if (apiError.statusCode >= 500) {
+        logger.error(`${req.method} ${pathname} failed:`, error);
+      }
+      this._send(res, apiError.statusCode, apiError.toJSON());
+    } finally {
+      logger.debug(`${req.method} ${pathname} ${res.statusCode} ${Date.now() - startedAt}ms`);
+    }
+  }
+
+  /**
+   * Find the route for a method and path
+   * @param {string} method - HTTP method
+   * @param {string} pathname - Request path
+   * @returns {Object} Matched route and path parameters
+   * @throws {ApiError} If no route matches
+   * @private
+   */
+  _match(method, pathname) {
+    let pathMatched = false;
+
+    for (const route of this.routes) {
+      const match = route.regex.exec(pathname);
+      if (!match) continue;
+      pathMatched = true;
+      if (route.method !== method) continue;
+
+      const params = {};
+      route.names.forEach((name, index) => {
+        params[name] = decodeURIComponent(match[index + 1]);
+      });
+      return { route, params };
+    }
+
+    if (pathMatched) {
+      throw new ApiError(405, ErrorCode.METHOD_NOT_ALLOWED, `Method ${method} not allowed for ${pathname}`);
+    }
+    throw new ApiError(404, ErrorCode.NOT_FOUND, `No route for ${method} ${pathname}`);
+  }
+
+  /**
+   * Check the bearer API key of a request
+   * @param {http.IncomingMessage} req - Request
+   * @param {Object} route - Matched route
+   * @returns {Object|null} API key entry the request authenticated with, or null without API keys
+   * @throws {ApiError} If the key is missing or invalid
+   * @private
+   */
+  _authenticate(req) {
+    if (this.apiKeys.length === 0) {
+      return null;
+    }
+
+    const header = req.headers.authorization || '';
+    const [scheme, token] = header.split(' ');
+    const presented = Buffer.from(token || '');
+    const entry = scheme === 'Bearer'
+      ? this.apiKeys.find(({ key }) => key.length === presented.length && crypto.timingSafeEqual(key, presented))
+      : undefined;
+
+    if (!entry) {
+      throw new ApiError(401, ErrorCode.UNAUTHORIZED, 'Missing or invalid API key');
+    }
+    return entry;
+  }
+
+  /**
+   * Determine the researcher a request acts for: the one its API key is bound
+   * to, or without API keys the one named in the body
+   * @param {Object} route - Matched route
+   * @param {Object|null} principal - API key entry the request authenticated with
+   * @param {Object} [body] - Validated request body
+   * @returns {string|undefined} Researcher address, undefined if the route acts for nobody in particular
+   * @throws {ApiError} If the body names another researcher, or no researcher can be determined where the route needs one
+   * @private
+   */
+  _actingResearcher(route, principal, body) {
+    const named = body && body.researcher;
+    const required = route.actingResearcher === 'required';
+
+    if (!principal) {
+      if (required && !named) {
+        throw new ApiError(400, ErrorCode.VALIDATION_ERROR, 'Request validation failed', [
+          { path: 'body.researcher', message: 'is required without authentication' }
+        ]);
+      }
+      return named;
+    }
+
+    if (!principal.researcher) {
+      if (required || named) {
+        throw new ApiError(403, ErrorCode.FORBIDDEN, 'API key is not bound to a researcher');
+      }
+      return undefined;
+    }
+    if (named && named.toLowerCase() !== principal.researcher.toLowerCase()) {
+      throw new ApiError(403, ErrorCode.FORBIDDEN, 'API key is bound to another researcher');
+    }
+    return principal.researcher;
+  }
+
+  /**
+   * Read and parse a JSON request body
+   * @param {http.IncomingMessage} req - Request
+   * @returns {Promise<*>} Parsed body, or undefined if empty
+   * @throws {ApiError} If the body is too large or not valid JSON
+   * @private
+   */
+  async _readBody(req) {
+    const chunks = [];
+    let size = 0;
+
+    for await (const chunk of req) {
+      size += chunk.length;
+      if (size > this.maxBodyBytes) {
+        throw new ApiError(413, ErrorCode.PAYLOAD_TOO_LARGE, `Request body exceeds ${this.maxBodyBytes} bytes`);
+      }
+      chunks.push(chunk);
+    }
+
+    const raw = Buffer.concat(chunks).toString('utf8');
+    if (!raw.trim()) return undefined;
+
+    try {
+      return JSON.parse(raw);
+    } catch (error) {
+      throw new ApiError(400, ErrorCode.INVALID_JSON, 'Request body is not valid JSON');
+    }
+  }
+
+  /**
+   * Send a JSON response
+   * @param {http.ServerResponse} res - Response
+   * @param {number} statusCode - HTTP status code
+   * @param {*} payload - JSON-serializable payload
+   * @private
+   */
+  _send(res, statusCode, payload) {
+    if (res.headersSent) return;
+    const body = JSON.stringify(payload);
+    res.writeHead(statusCode, {
+      'Content-Type': 'application/json',
+      'Content-Length': Buffer.byteLength(body)
+    });
+    res.end(body);
+  }
+}
+
+/**
+ * Create and start an API server
+ * @param {Object} options - Options passed to the ApiServer constructor
+ * @returns {Promise<ApiServer>} Started API server
+ */
+async function createApiServer(options) {
+  const server = new ApiServer(options);
+  await server.start();
+  return server;
+}
+
+module.exports = {
+  ApiServer,
+  createApiServer
+};
@@ -0,0 +1,189 @@
+/**
+ * PrivaSight API Validation
+ *
+ * Request validation for the Privacy Layer HTTP API. Route definitions
+ * describe their parameters and bodies with a small JSON Schema subset
+ * (type, required, properties, items, enum, pattern, minimum, minItems,
+ * minLength, maxLength); the same schemas are emitted in the OpenAPI document.
+ */
+
+/**
+ * Error codes returned in API error bodies
+ * @enum {string}
+ */
+const ErrorCode = {
+  VALIDATION_ERROR: 'VALIDATION_ERROR',
+  INVALID_JSON: 'INVALID_JSON',
+  PAYLOAD_TOO_LARGE: 'PAYLOAD_TOO_LARGE',
+  UNAUTHORIZED: 'UNAUTHORIZED',
+  FORBIDDEN: 'FORBIDDEN',
+  NOT_FOUND: 'NOT_FOUND',
+  METHOD_NOT_ALLOWED: 'METHOD_NOT_ALLOWED',
+  CONFLICT: 'CONFLICT',
+  NOT_IMPLEMENTED: 'NOT_IMPLEMENTED',
+  INTERNAL_ERROR: 'INTERNAL_ERROR'
+};
+
+/**
+ * Error carrying an HTTP status and a machine-readable code
+ * @class ApiError
+ * @extends Error
+ */
+class ApiError extends Error {
+  /**
+   * Create a new API error
+   * @param {number} statusCode - HTTP status code
+   * @param {ErrorCode} code - Error code
+   * @param {string} message - Human-readable message
+   * @param {Array<Object>} [details] - Additional details (e.g. validation failures)
+   */
+  constructor(statusCode, code, message, details = undefined) {
+    super(message);
+    this.name = 'ApiError';
+    this.statusCode = statusCode;
+    this.code = code;
+    this.details = details;
+  }
+
+  /**
+   * Serialize to the API error body
+   * @returns {Object} Error body
+   */
+  toJSON() {
+    return {
+      error: {
+        code: this.code,
+        message: this.message,
+        ...(this.details ? { details: this.details } : {})
+      }
+    };
+  }
+}
+
+/**
+ * Validate a value against a schema
+ * @param {*} value - Value to validate
+ * @param {Object} schema - Schema
+ * @param {string} [path='$'] - Location of the value, used in failure messages
+ * @returns {Array<Object>} Failures as { path, message } (empty if valid)
+ */
+function validateSchema(value, schema, path = '$') {
+  const failures = [];
+
+  if (value === undefined || value === null) {
+    return failures;
+  }
+
+  const actualType = Array.isArray(value) ? 'array' : typeof value;
+  const typeMatches = schema.type === 'integer'
+    ? Number.isInteger(value)
+    : !schema.type || actualType === schema.type;
+
+  if (!typeMatches) {
+    failures.push({ path, message: `must be of type ${schema.type}` });
+    return failures;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    failures.push({ path, message: `must be one of ${schema.enum.join(', ')}` });
+  }
+
+  if (actualType === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      failures.push({ path, message: `must be at least ${schema.minLength} characters` });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      failures.push({ path, message: `must be at most ${schema.maxLength} characters` });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      failures.push({ path, message: `must match pattern ${schema.pattern}` });
+    }
+  }
+
+  if (actualType === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      failures.push({ path, message: `must be >= ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      failures.push({ path, message: `must be <= ${schema.maximum}` });
+    }
+  }
+
+  if (actualType === 'array') {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      failures.push({ path, message: `must contain at least ${schema.minItems} items` });
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        failures.push(...validateSchema(item, schema.items, `${path}[${index}]`));
+      });
+    }
+  }
+
+  if (actualType === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined || value[key] === null) {
+        failures.push({ path: `${path}.${key}`, message: 'is required' });
+      }
+    }
+    for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+      failures.push(...validateSchema(value[key], propertySchema, `${path}.${key}`));
+    }
+    if (schema.additionalProperties === false) {
+      for (const key of Object.keys(value)) {
+        if (!schema.properties || !schema.properties[key]) {
+          failures.push({ path: `${path}.${key}`, message: 'is not allowed' });
+        }
+      }
+    } else if (schema.additionalProperties) {
+      for (const key of Object.keys(value)) {
+        if (!schema.properties || !schema.properties[key]) {
+          failures.push(...validateSchema(value[key], schema.additionalProperties, `${path}.${key}`));
+        }
+      }
+    }
+  }
+
+  return failures;
+}
+
+/**
+ * Validate path parameters, query and body of a request against a route definition
+ * @param {Object} route - Route definition
+ * @param {Object} request - Parsed request
+ * @param {Object} request.params - Path parameters
+ * @param {Object} request.query - Query parameters
+ * @param {*} request.body - Parsed JSON body
+ * @throws {ApiError} If validation fails
+ */
+function validateRequest(route, { params, query, body }) {
+  const failures = [];
+
+  if (route.params) {
+    failures.push(...validateSchema(params, { type: 'object', ...route.params }, 'params'));
+  }
+  if (route.query) {
+    failures.push(...validateSchema(query, { type: 'object', ...route.query }, 'query'));
+  }
+  if (route.body) {
+    // A body without required properties may be left out
+    if (body === undefined) {
+      if ((route.body.required || []).length > 0) {
+        failures.push({ path: 'body', message: 'is required' });
+      }
+    } else {
+      failures.push(...validateSchema(body, route.body, 'body'));
+    }
+  }
+
+  if (failures.length > 0) {
+    throw new ApiError(400, ErrorCode.VALIDATION_ERROR, 'Request validation failed', failures);
+  }
+}
+
+module.exports = {
+  ApiError,
+  ErrorCode,
+  validateSchema,
+  validateRequest
+};
@@ -0,0 +1,399 @@
+#!/usr/bin/env node
+/**
+ * PrivaSight Operator CLI
+ *
+ * Inspects and manages a Privacy Layer deployment from the command line:
+ * data vaults, computations, SMPC nodes and privacy budgets, plus export and
+ * import of Merkle tree and federated learning state files. Commands that
+ * read persisted state load a read-only snapshot of it: nothing is recovered
+ * or written, so they are safe to run next to the service. Commands that
+ * change the deployment, or read what only the running service holds (its
+ * SMPC nodes, privacy mechanism and model), go through the service's HTTP
+ * API with an operator API key. Every command prints a human-readable table
+ * or record, or JSON with --json.
+ *
+ * Usage: privasight <command> [arguments] [--json] [--api <url>]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ApiClient } = require('../api/client');
+const { toVaultView, toComputationView } = require('../api/routes');
+
+// Exit codes
+const EXIT_OK = 0;
+const EXIT_FAILURE = 1;
+const EXIT_USAGE = 2;
+
+// Flags that take no value
+const BOOLEAN_FLAGS = new Set(['json', 'help']);
+
+// Environment variables naming the service's API and the operator API key
+const API_URL_VARIABLE = 'PRIVASIGHT_API_URL';
+const API_KEY_VARIABLE = 'PRIVASIGHT_API_KEY';
+
+/**
+ * Format a millisecond timestamp for tables
+ * @param {number} timestamp - Milliseconds since the epoch
+ * @returns {string} ISO time, or an empty string if unset
+ */
+function formatTime(timestamp) {
+  return timestamp ? new Date(timestamp).toISOString() : '';
+}
+
+/**
+ * Read a JSON state file
+ * @param {string} file - Path of the file
+ * @returns {Object} Parsed state
+ * @throws {Error} If the file cannot be read or is not JSON
+ */
+function readStateFile(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Cannot read state file ${file}: ${error.message}`);
+  }
+}
+
+/**
+ * Write a JSON state file, creating its directory if missing
+ * @param {string} file - Path of the file
+ * @param {Object} state - State to write
+ */
+function writeStateFile(file, state) {
+  fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+  fs.writeFileSync(file, `${JSON.stringify(state, null, 2)}\n`);
+}
+
+/**
+ * Operator commands. Each command names its words and positional arguments,
+ * what it runs against (a 'snapshot' of the persisted state, or the running
+ * 'service' through its API), and how its result is printed: as a table of
+ * the given columns, or as a record.
+ * @type {Array<Object>}
+ */
+const COMMANDS = [
+  {
+    words: ['vaults', 'list'],
+    description: 'List registered data vaults',
+    uses: 'snapshot',
+    run: ({ privacyLayer }) => privacyLayer.getAllDataVaults().map(toVaultView),
+    columns: [
+      ['ID', 'id'],
+      ['OWNER', 'owner'],
+      ['CATEGORY', 'dataCategory'],
+      ['SENSITIVITY', 'sensitivity'],
+      ['REGISTERED', vault => formatTime(vault.registeredAt)]
+    ]
+  },
+  {
+    words: ['vaults', 'show'],
+    args: ['vaultId'],
+    description: 'Show a data vault and its privacy budget',
+    uses: 'snapshot',
+    run: ({ privacyLayer }, { vaultId }) => {
+      const vault = privacyLayer.getDataVault(vaultId);
+      if (!vault) {
+        throw new Error(`Data vault ${vaultId} not found`);
+      }
+      const { charges, ...budget } = privacyLayer.getBudgetStatus(vaultId);
+      return { ...toVaultView(vault), budget };
+    }
+  },
+  {
+    words: ['computations', 'list'],
+    description: 'List computations (--status <status> to filter)',
+    uses: 'snapshot',
+    run: ({ privacyLayer }, params, flags) => privacyLayer.getAllComputations()
+      .filter(computation => !flags.status || computation.status === flags.status)
+      .map(toComputationView),
+    columns: [
+      ['ID', 'id'],
+      ['TYPE', 'computationType'],
+      ['RESEARCHER', 'researcher'],
+      ['VAULTS', computation => computation.dataVaultIds.length],
+      ['STATUS', 'status'],
+      ['STARTED', computation => formatTime(computation.startedAt)]
+    ]
+  },
+  {
+    words: ['computations', 'show'],
+    args: ['computationId'],
+    description: 'Show a computation and the SMPC phase it last checkpointed',
+    uses: 'snapshot',
+    run: async ({ privacyLayer, checkpoints }, { computationId }) => {
+      const computation = privacyLayer.getComputation(computationId);
+      if (!computation) {
+        throw new Error(`Computation ${computationId} not found`);
+      }
+      const checkpoint = await checkpoints.get(computationId);
+      const smpc = checkpoint
+        ? { phase: checkpoint.phase, state: checkpoint.state, nodes: checkpoint.assignedNodes, checkpointedAt: checkpoint.savedAt }
+        : null;
+      return { ...toComputationView(computation), smpc };
+    }
+  },
+  {
+    words: ['computations', 'abort'],
+    args: ['computationId'],
+    description: 'Abort a computation on its nodes and cancel it (--reason <reason>)',
+    uses: 'service',
+    run: ({ api }, { computationId }, flags) => api.request(
+      'POST',
+      `/computations/${encodeURIComponent(computationId)}/abort`,
+      flags.reason ? { reason: flags.reason } : {}
+    )
+  },
+  {
+    words: ['nodes', 'list'],
+    description: 'List SMPC nodes known to the coordinator',
+    uses: 'service',
+    run: ({ api }) => api.request('GET', '/nodes'),
+    columns: [
+      ['ID', 'nodeId'],
+      ['STATE', 'state'],
+      ['ACTIVE', node => node.activeComputations.length],
+      ['SCORE', node => node.reputation.score.toFixed(2)],
+      ['BENCHED', node => (node.reputation.benched ? node.reputation.reason : '')]
+    ]
+  },
+  {
+    words: ['nodes', 'show'],
+    args: ['nodeId'],
+    description: 'Show an SMPC node',
+    uses: 'service',
+    run: ({ api }, { nodeId }) => api.request('GET', `/nodes/${encodeURIComponent(nodeId)}`)
+  },
+  {
+    words: ['budget', 'stats'],
+    description: 'Show differential privacy budget statistics',
+    uses: 'service',
+    run: ({ api }) => api.request('GET', '/privacy/statistics')
+  },
+  {
+    words: ['merkle', 'export'],
+    args: ['file'],
+    description: 'Export the audit log commitment tree to a state file',
+    uses: 'snapshot',
+    run: async ({ auditLog }, { file }) => {
+      if (!auditLog || !auditLog.tree) {
+        throw new Error('No audit log commitment tree to export');
+      }
+      const state = auditLog.tree.export();
+      writeStateFile(file, state);
+      return { file, depth: state.depth, leaves: state.leaves.length, root: await auditLog.tree.getRoot() };
+    }
+  },
+  {
+    words: ['merkle', 'import'],
+    args: ['file'],
+    description: 'Load a commitment tree state file into the audit log',
+    uses: 'service',
+    run: async ({ api }, { file }) => ({ file, ...(await api.request('PUT', '/audit/tree', readStateFile(file))) })
+  },
+  {
+    words: ['federated', 'export'],
+    args: ['file'],
+    description: 'Export federated learning state to a state file',
+    uses: 'service',
+    run: async ({ api }, { file }) => {
+      const state = await api.request('GET', '/federated/state');
+      writeStateFile(file, state);
+      return { file, modelType: state.modelType, currentRound: state.currentRound, version: state.version };
+    }
+  },
+  {
+    words: ['federated', 'import'],
+    args: ['file'],
+    description: 'Load a federated learning state file into the service',
+    uses: 'service',
+    run: async ({ api }, { file }) => {
+      const state = await api.request('PUT', '/federated/state', readStateFile(file));
+      return {
+        file,
+        modelType: state.modelType,
+        currentRound: state.currentRound,
+        privacyBudgetUsed: state.privacyBudgetUsed,
+        evaluations: state.modelMetrics.length
+      };
+    }
+  }
+];
+
+/**
+ * Usage text listing every command
+ * @returns {string} Usage
+ */
+function usage() {
+  const lines = COMMANDS.map(({ words, args = [], description }) => {
+    const synopsis = [...words, ...args.map(arg => `<${arg}>`)].join(' ');
+    return `  ${synopsis.padEnd(36)} ${description}`;
+  });
+  return [
+    'Usage: privasight <command> [arguments] [--json] [--api <url>]',
+    '',
+    'Commands:',
+    ...lines,
+    '',
+    'Commands that go through the running service call its API at --api, or',
+    `${API_URL_VARIABLE}, or the configured API address, with the operator API`,
+    `key in ${API_KEY_VARIABLE}.`,
+    ''
+  ].join('\n');
+}
+
+/**
+ * Split command-line arguments into positional arguments and flags
+ * @param {Array<string>} argv - Arguments after the program name
+ * @returns {Object} Positional arguments and flags
+ * @throws {Error} If a flag that takes a value has none
+ */
+function parseArgs(argv) {
+  const positional = [];
+  const flags = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      positional.push(arg);
+      continue;
+    }
+
+    const [name, inlineValue] = arg.slice(2).split(/=(.*)/s);
+    if (BOOLEAN_FLAGS.has(name)) {
+      flags[name] = true;
+    } else if (inlineValue !== undefined) {
+      flags[name] = inlineValue;
+    } else if (i + 1 < argv.length) {
+      flags[name] = argv[++i];
+    } else {
+      throw new Error(`Flag --${name} requires a value`);
+    }
+  }
+  return { positional, flags };
+}
+
+/**
+ * Render a value for a table cell or record field
+ * @param {*} value - Value
+ * @returns {string} Text
+ */
+function formatValue(value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+/**
+ * Render rows as an aligned table
+ * @param {Array<Object>} rows - Rows
+ * @param {Array<Array>} columns - Column headers with a field name or a function of the row
+ * @returns {string} Table
+ */
+function formatTable(rows, columns) {
+  if (rows.length === 0) {
+    return 'No entries\n';
+  }
+
+  const cells = rows.map(row => columns.map(([, field]) =>
+    formatValue(typeof field === 'function' ? field(row) : row[field])));
+  const widths = columns.map(([header], index) =>
+    Math.max(header.length, ...cells.map(rowCells => rowCells[index].length)));
+  const line = values => values.map((value, index) => value.padEnd(widths[index])).join('  ').trimEnd();
+
+  return [line(columns.map(([header]) => header)), ...cells.map(line), ''].join('\n');
+}
+
+/**
+ * Render an object as one field per line
+ * @param {Object} record - Record
+ * @returns {string} Record text
+ */
+function formatRecord(record) {
+  const width = Math.max(...Object.keys(record).map(key => key.length));
+  return Object.entries(record)
+    .filter(([, value]) => value !== undefined)
+    .map(([key, value]) => `${key.padEnd(width)}  ${formatValue(value)}`)
+    .concat('')
+    .join('\n');
+}
+
+/**
+ * Load a read-only snapshot of the deployment's persisted state
+ * @returns {Promise<Object>} Privacy Layer, audit log and computation checkpoints
+ */
+function inspectDeployment() {
+  // Required lazily so commands that go through the service do not load the configuration
+  const { inspectPrivacyLayer } = require('../core');
+  return inspectPrivacyLayer();
+}
+
+/**
+ * Connect to the running service's API
+ * @param {Object} flags - Command-line flags
+ * @param {Object} env - Environment variables
+ * @returns {ApiClient} Client of the service's API
+ */
+function connectService(flags, env) {
+  let url = flags.api || env[API_URL_VARIABLE];
+  if (!url) {
+    const { api = {} } = require('../../config/privacy-layer.config');
+    url = `http://${api.host || '127.0.0.1'}:${api.port || 8090}`;
+  }
+  return new ApiClient({ url, apiKey: env[API_KEY_VARIABLE] || null });
+}
+
+/**
+ * Run the CLI
+ * @param {Array<string>} argv - Arguments after the program name
+ * @param {Object} [io={}] - Streams, environment and snapshot loader
+ * @param {Object} [io.stdout=process.stdout] - Stream for command output
+ * @param {Object} [io.stderr=process.stderr] - Stream for errors and usage
+ * @param {Object} [io.env=process.env] - Environment naming the service's API and the operator API key
+ * @param {Function} [io.inspect] - Loads the read-only snapshot for commands that read persisted state
+ * @returns {Promise<number>} Exit code
+ */
+async function run(argv, { stdout = process.stdout, stderr = process.stderr, env = process.env, inspect = inspectDeployment } = {}) {
+  let parsed;
+  try {
+    parsed = parseArgs(argv);
+  } catch (error) {
+    stderr.write(`privasight: ${error.message}\n\n${usage()}`);
+    return EXIT_USAGE;
+  }
+
+  const { positional, flags } = parsed;
+  if (flags.help || positional.length === 0) {
+    (flags.help ? stdout : stderr).write(usage());
+    return flags.help ? EXIT_OK : EXIT_USAGE;
+  }
+
+  const command = COMMANDS.find(({ words }) => words.every((word, index) => positional[index] === word));
+  const args = command ? positional.slice(command.words.length) : [];
+  if (!command || args.length !== (command.args || []).length) {
+    stderr.write(`privasight: unknown command or wrong arguments: ${positional.join(' ')}\n\n${usage()}`);
+    return EXIT_USAGE;
+  }
+
+  try {
+    const params = Object.fromEntries((command.args || []).map((name, index) => [name, args[index]]));
+    const context = command.uses === 'snapshot' ? await inspect() : { api: connectService(flags, env) };
+    const result = await command.run(context, params, flags);
+
+    if (flags.json) {
+      stdout.write(`${JSON.stringify(result, null, 2)}\n`);
+    } else {
+      stdout.write(command.columns ? formatTable(result, command.columns) : formatRecord(result));
+    }
+    return EXIT_OK;
+  } catch (error) {
+    stderr.write(`privasight: ${error.message}\n`);
+    return EXIT_FAILURE;
+  }
+}
+
+if (require.main === module) {
+  // Exit once the command has finished, whatever handles the components left open
+  run(process.argv.slice(2)).then(code => process.exit(code));
+}
+
+module.exports = { run, COMMANDS };
@@ -0,0 +1,522 @@
+/**
+ * AuditLog
+ *
+ * Tamper-evident record of every Privacy Layer event. Each entry carries the
+ * hash of its predecessor, so editing, reordering or dropping an entry breaks
+ * the chain. Entries are periodically committed into a Merkle tree and the
+ * resulting root is recorded as a checkpoint that can be published (e.g.
+ * anchored on-chain); any single entry can then be proven included against
+ * that root without revealing the rest of the log.
+ */
+
+const EventEmitter = require('events');
+const { MerkleTree } = require('../zkp/utils/merkle');
+const { initializePoseidon, sha256Hash, toFieldElement } = require('../zkp/utils/hash');
+const logger = require('../../utils/logger')('privacy-layer:audit-log');
+
+// Hash used as the predecessor of the first entry
+const GENESIS_HASH = '0x' + '0'.repeat(64);
+
+/**
+ * State store collection names for persisted audit state
+ * @enum {string}
+ */
+const AuditCollection = {
+  ENTRIES: 'auditEntries',
+  CHECKPOINTS: 'auditCheckpoints'
+};
+
+/**
+ * Privacy Layer events recorded in the audit log, mapped to the fields kept
+ * for each. Secrets such as encryption keys and access keys never enter the
+ * log, and computation results are recorded only as a hash.
+ * @type {Object<string, Function>}
+ */
+const AUDITED_EVENTS = {
+  'vault:registered': ({ id, owner, dataHash, registeredAt }) => ({ dataVaultId: id, owner, dataHash, registeredAt }),
+  'vault:deregistered': ({ id, owner }) => ({ dataVaultId: id, owner }),
+  'vault:version-created': ({ versionId, dataVaultId, version, dataHash, previousVersionId, retiredVersionIds }) => ({
+    versionId, dataVaultId, version, dataHash, previousVersionId, retiredVersionIds
+  }),
+  'access:requested': ({ id, listingId, dataVaultId, researcher, purpose, status }) => ({
+    requestId: id, listingId, dataVaultId, researcher, purpose, status
+  }),
+  'access:denied': ({ id, listingId, dataVaultId, researcher, purpose, policyDecision }) => ({
+    requestId: id,
+    listingId,
+    dataVaultId,
+    researcher,
+    purpose,
+    reasons: policyDecision && policyDecision.reasons
+  }),
+  'access:granted': ({ dataVaultId, listingId, researcher, accessProof }) => ({
+    dataVaultId, listingId, researcher, proofId: accessProof && accessProof.id
+  }),
+  'access:withdrawn': ({ id, listingId, dataVaultId, researcher }) => ({ requestId: id, listingId, dataVaultId, researcher }),
+  'access:revoked': ({ dataVaultId, listingId, researcher }) => ({ dataVaultId, listingId, researcher }),
+  'access:expired': ({ dataVaultId, listingId, researcher, accessType, expiresAt, reason }) => ({
+    dataVaultId, listingId, researcher, accessType, expiresAt, reason
+  }),
+  'budget:charged': ({ computationId, researcher, dataVaultIds, epsilon, delta }) => ({
+    computationId, researcher, dataVaultIds, epsilon, delta
+  }),
+  'budget:cap-updated': ({ dataVaultId, cap }) => ({ dataVaultId, cap }),
+  'vault:residency-updated': ({ dataVaultId, owner, residency }) => ({ dataVaultId, owner, residency }),
+  'consent:recorded': ({ dataVaultId, owner, recordIds, root }) => ({ dataVaultId, owner, recordIds, root }),
+  'consent:withdrawn': ({ receiptId, dataVaultId, recordId, requestedBy, previousRoot, root, staleArtifacts }) => ({
+    receiptId, dataVaultId, recordId, requestedBy, previousRoot, root, staleArtifacts
+  }),
+  'computation:quoted': ({ id, researcher, dataVaultIds, computationType, privacyParameters, price, expiresAt }) => ({
+    quoteId: id, researcher, dataVaultIds, computationType, privacyParameters, price: price.total, expiresAt
+  }),
+  'quote:accepted': ({ quoteId, researcher }) => ({ quoteId, researcher }),
+  'computation:ready': ({ id, researcher, dataVaultIds, computationType, dataVersions }) => ({
+    computationId: id, researcher, dataVaultIds, computationType, dataVersions
+  }),
+  'computation:simulated': ({ id, researcher, dataVaultIds, computationType, released }) => ({
+    computationId: id, researcher, dataVaultIds, computationType, released
+  }),
+  'computation:executing': ({ id }) => ({ computationId: id }),
+  'computation:resumed': ({ id }) => ({ computationId: id }),
+  'computation:completed': ({ id, results }) => ({ computationId: id, resultsHash: sha256Hash(canonicalize(results)) }),
+  'computation:failed': ({ id, error }) => ({ computationId: id, error }),
+  'computation:cancelled': ({ id, reason }) => ({ computationId: id, reason }),
+  'results:blocked': ({ computationId, researcher, reason }) => ({ computationId, researcher, reason }),
+  'results:published': ({ computationId, transactionHash, proofId }) => ({ computationId, transactionHash, proofId }),
+  'results:publication-failed': ({ computationId, error }) => ({ computationId, error }),
+  'state:restored': summary => ({ ...summary })
+};
+
+/**
+ * Serialize a value as JSON with object keys sorted, so equal values always hash equally
+ * @param {*} value - Value to serialize
+ * @returns {string} Canonical JSON
+ */
+function canonicalize(value) {
+  if (value === undefined) return 'null';
+  if (value === null || typeof value !== 'object') return JSON.stringify(value);
+  if (Array.isArray(value)) return `[${value.map(canonicalize).join(',')}]`;
+  const keys = Object.keys(value).filter(key => value[key] !== undefined).sort();
+  return `{${keys.map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`).join(',')}}`;
+}
+
+/**
+ * Compute the chained hash of an audit entry
+ * @param {Object} entry - Audit entry
+ * @returns {string} Entry hash
+ */
+function hashEntry({ seq, timestamp, type, payload, prevHash }) {
+  return sha256Hash(canonicalize({ seq, timestamp, type, payload, prevHash }));
+}
+
+/**
+ * Build a Merkle tree over the first `count` entries of a log
+ * @param {Array<Object>} entries - Audit entries ordered by sequence number
+ * @param {number} count - Number of entries to include
+ * @param {number} depth - Tree depth
+ * @returns {MerkleTree} Populated tree
+ */
+function buildTree(entries, count, depth) {
+  const tree = new MerkleTree({ depth, indexed: true });
+  for (let i = 0; i < count; i++) {
+    tree.insert(String(entries[i].seq), toFieldElement(entries[i].hash));
+  }
+  return tree;
+}
+
+/**
+ * Verify the integrity of an audit log.
+ * Detects edited entries (hash mismatch), reordered or missing entries
+ * (sequence or chain breaks) and truncation (checkpoints or an anchor
+ * referring to entries that are no longer present or have changed).
+ * @param {Array<Object>} entries - Audit entries ordered by sequence number
+ * @param {Object} [options={}] - Verification options
+ * @param {Array<Object>} [options.checkpoints=[]] - Published checkpoints to check against
+ * @param {Object} [options.anchor] - Independently recorded head ({ seq, hash }) the log must still contain
+ * @param {boolean} [options.verifyRoots=false] - Whether to recompute checkpoint Merkle roots (requires Poseidon)
+ * @param {number} [options.treeDepth=20] - Merkle tree depth used when recomputing roots
+ * @returns {Promise<Object>} Result with `valid`, `errors`, `length` and `headHash`
+ */
+async function verifyAuditLog(entries, { checkpoints = [], anchor = null, verifyRoots = false, treeDepth = 20 } = {}) {
+  const errors = [];
+  let prevHash = GENESIS_HASH;
+
+  entries.forEach((entry, index) => {
+    if (entry.seq !== index) {
+      errors.push({ seq: entry.seq, reason: `Expected sequence number ${index}, found ${entry.seq}` });
+    }
+    if (entry.prevHash !== prevHash) {
+      errors.push({ seq: entry.seq, reason: 'Entry does not chain to its predecessor' });
+    }
+    if (hashEntry(entry) !== entry.hash) {
+      errors.push({ seq: entry.seq, reason: 'Entry hash does not match its contents' });
+    }
+    prevHash = entry.hash;
+  });
+
+  const heads = checkpoints.map(checkpoint => ({ seq: checkpoint.toSeq, hash: checkpoint.headHash, checkpoint }));
+  if (anchor) heads.push({ seq: anchor.seq, hash: anchor.hash });
+
+  for (const head of heads) {
+    const label = head.checkpoint ? `checkpoint ${head.checkpoint.checkpointId}` : 'anchor';
+    if (head.seq >= entries.length) {
+      errors.push({ seq: head.seq, reason: `Log truncated: ${label} covers entry ${head.seq} but log has ${entries.length} entries` });
+    } else if (entries[head.seq].hash !== head.hash) {
+      errors.push({ seq: head.seq, reason: `Entry ${head.seq} does not match ${label}` });
+    }
+  }
+
+  if (verifyRoots && checkpoints.length > 0) {
+    await initializePoseidon();
+    for (const checkpoint of checkpoints) {
+      if (checkpoint.toSeq >= entries.length) continue; // Already reported as truncation
+      const root = buildTree(entries, checkpoint.toSeq + 1, treeDepth).getRootSync();
+      if (root !== checkpoint.root) {
+        errors.push({ seq: checkpoint.toSeq, reason: `Merkle root of checkpoint ${checkpoint.checkpointId} does not match` });
+      }
+    }
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors,
+    length: entries.length,
+    headHash: entries.length > 0 ? entries[entries.length - 1].hash : GENESIS_HASH
+  };
+}
+
+/**
+ * Hash-chained audit log with periodic Merkle commitments
+ * @class AuditLog
+ * @extends EventEmitter
+ */
+class AuditLog extends EventEmitter {
+  /**
+   * Create a new audit log
+   * @param {Object} [options={}] - Configuration options
+   * @param {Object} [options.stateStore] - State store used to persist entries and checkpoints
+   * @param {number} [options.commitEvery=100] - Commit a checkpoint after this many uncommitted entries
+   * @param {number} [options.commitIntervalMs=60000] - Commit pending entries at least this often (0 disables)
+   * @param {number} [options.treeDepth=20] - Depth of the commitment Merkle tree
+   * @param {Function} [options.publishRoot] - Async callback invoked with each new checkpoint (e.g. to anchor the root on-chain)
+   */
+  constructor({
+    stateStore = null,
+    commitEvery = 100,
+    commitIntervalMs = 60000,
+    treeDepth = 20,
+    publishRoot = null
+  } = {}) {
+    super();
+
+    this.stateStore = stateStore;
+    this.commitEvery = commitEvery;
+    this.commitIntervalMs = commitIntervalMs;
+    this.treeDepth = treeDepth;
+    this.publishRoot = publishRoot;
+
+    this.entries = [];
+    this.checkpoints = [];
+    this.committedCount = 0; // Entries already inserted into the tree
+    this.tree = null;
+    this.commitTimer = null;
+    this.commitInProgress = null;
+    this.detachers = [];
+  }
+
+  /**
+   * Load persisted entries and checkpoints and prepare the commitment tree
+   * @returns {Promise<void>}
+   * @throws {Error} If the persisted log fails verification
+   */
+  async initialize() {
+    try {
+      await initializePoseidon();
+
+      if (this.stateStore) {
+        const state = await this.stateStore.load();
+        const entries = state[AuditCollection.ENTRIES] || new Map();
+        const checkpoints = state[AuditCollection.CHECKPOINTS] || new Map();
+
+        this.entries = Array.from(entries.values()).sort((a, b) => a.seq - b.seq);
+        this.checkpoints = Array.from(checkpoints.values()).sort((a, b) => a.toSeq - b.toSeq);
+
+        const result = await verifyAuditLog(this.entries, { checkpoints: this.checkpoints });
+        if (!result.valid) {
+          throw new Error(`Persisted audit log failed verification: ${result.errors[0].reason}`);
+        }
+      }
+
+      const lastCheckpoint = this.checkpoints[this.checkpoints.length - 1];
+      this.committedCount = lastCheckpoint ? lastCheckpoint.toSeq + 1 : 0;
+      this.tree = buildTree(this.entries, this.committedCount, this.treeDepth);
+
+      if (this.commitIntervalMs > 0) {
+        this.commitTimer = setInterval(() => {
+          this.commit().catch(error => logger.error('Periodic audit commit failed:', error));
+        }, this.commitIntervalMs);
+        if (this.commitTimer.unref) this.commitTimer.unref();
+      }
+
+      logger.info(`Audit log initialized with ${this.entries.length} entries and ${this.checkpoints.length} checkpoints`);
+    } catch (error) {
+      logger.error('Failed to initialize audit log:', error);
+      throw new Error(`Audit log initialization failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Record every audited event emitted by a Privacy Layer instance
+   * @param {EventEmitter} privacyLayer - PrivacyLayer instance
+   * @returns {this} For method chaining
+   */
+  attach(privacyLayer) {
+    for (const [eventName, project] of Object.entries(AUDITED_EVENTS)) {
+      // Listeners run inside emit(); a failure to audit must never abort the operation that emitted the event
+      const listener = payload => {
+        try {
+          this.append(eventName, project(payload || {}))
+            .catch(error => logger.error(`Failed to record audit entry for ${eventName}:`, error));
+        } catch (error) {
+          logger.error(`Failed to record audit entry for ${eventName}:`, error);
+        }
+      };
+      privacyLayer.on(eventName, listener);
+      this.detachers.push(() => privacyLayer.removeListener(eventName, listener));
+    }
+    logger.info('Audit log attached to Privacy Layer events');
+    return this;
+  }
+
+  /**
+   * Append an entry to the log. The entry is chained synchronously, so the
+   * log order always matches the order in which events were emitted.
+   * @param {string} type - Event type
+   * @param {Object} payload - JSON-serializable event details
+   * @returns {Promise<Object>} The appended entry, once persisted
+   */
+  async append(type, payload) {
+    const prev = this.entries[this.entries.length - 1];
+    const entry = {
+      seq: this.entries.length,
+      timestamp: Date.now(),
+      type,
+      payload: JSON.parse(canonicalize(payload)),
+      prevHash: prev ? prev.hash : GENESIS_HASH
+    };
+    entry.hash = hashEntry(entry);
+    this.entries.push(entry);
+
+    this.emit('audit:appended', entry);
+
+    if (this.stateStore) {
+      await this.stateStore.put(AuditCollection.ENTRIES, String(entry.seq), entry);
+    }
+
+    if (this.entries.length - this.committedCount >= this.commitEvery) {
+      await this.commit();
+    }
+
+    return entry;
+  }
+
+  /**
+   * Commit all uncommitted entries into the Merkle tree and record a checkpoint
+   * @returns {Promise<Object|null>} New checkpoint, or null if there was nothing to commit
+   */
+  async commit() {
+    // Commits are serialized so checkpoints never overlap
+    if (this.commitInProgress) {
+      await this.commitInProgress;
+    }
+    if (!this.tree || this.committedCount >= this.entries.length) {
+      return null;
+    }
+
+    this.commitInProgress = this._commit();
+    try {
+      return await this.commitInProgress;
+    } finally {
+      this.commitInProgress = null;
+    }
+  }
+
+  /**
+   * Get a proof that an entry is included under a checkpoint root
+   * @param {number} seq - Sequence number of the entry
+   * @param {string} [checkpointId] - Checkpoint to prove against (defaults to the latest covering the entry)
+   * @returns {Object} Entry, checkpoint and Merkle proof
+   * @throws {Error} If the entry is not yet committed or the checkpoint is unknown
+   */
+  getInclusionProof(seq, checkpointId = null) {
+    const entry = this.entries[seq];
+    if (!entry) {
+      throw new Error(`Audit entry ${seq} not found`);
+    }
+
+    const latest = this.checkpoints[this.checkpoints.length - 1];
+    const checkpoint = checkpointId
+      ? this.checkpoints.find(candidate => candidate.checkpointId === checkpointId)
+      : latest;
+
+    if (!checkpoint) {
+      throw new Error(checkpointId ? `Checkpoint ${checkpointId} not found` : `Audit entry ${seq} is not committed yet`);
+    }
+    if (seq > checkpoint.toSeq) {
+      throw new Error(`Audit entry ${seq} is not covered by checkpoint ${checkpoint.checkpointId}`);
+    }
+
+    // Older checkpoints are proven against a tree rebuilt up to their last entry
+    const tree = checkpoint === latest
+      ? this.tree
+      : buildTree(this.entries, checkpoint.toSeq + 1, this.treeDepth);
+
+    return {
+      entry,
+      checkpoint,
+      proof: tree.getProofSync(String(seq))
+    };
+  }
+
+  /**
+   * Verify an inclusion proof produced by `getInclusionProof`
+   * @param {Object} inclusion - Inclusion proof
+   * @param {Object} inclusion.entry - Audit entry
+   * @param {Object} inclusion.proof - Merkle proof
+   * @param {string} root - Published root to verify against
+   * @returns {boolean} Whether the entry is intact and included under the root
+   */
+  verifyInclusionProof({ entry, proof }, root) {
+    if (hashEntry(entry) !== entry.hash) return false;
+    if (proof.leaf !== toFieldElement(entry.hash)) return false;
+    return this.tree.verifyProofSync({ ...proof, root });
+  }
+
+  /**
+   * Verify the integrity of this log against its own checkpoints
+   * @param {Object} [options={}] - Options passed to verifyAuditLog
+   * @returns {Promise<Object>} Verification result
+   */
+  async verify(options = {}) {
+    return verifyAuditLog(this.entries, {
+      checkpoints: this.checkpoints,
+      treeDepth: this.treeDepth,
+      ...options
+    });
+  }
+
+  /**
+   * Load an exported commitment tree in place of the one rebuilt from the
+   * entries. The tree must commit exactly the committed entries, under the
+   * root of the latest checkpoint.
+   * @param {Object} state - Tree exported with MerkleTree#export
+   * @returns {Object} Leaves and root of the loaded tree, and the checkpoint it matches
+   * @throws {Error} If the tree does not match the log
+   */
+  importTree(state) {
+    if (!state || state.depth !== this.treeDepth || !state.indexed) {
+      throw new Error(`Commitment tree does not match the audit log: it must be an indexed tree of depth ${this.treeDepth}`);
+    }
+    const tree = new MerkleTree({ depth: state.depth, indexed: true });
+    tree.import(state);
+
+    const latest = this.checkpoints[this.checkpoints.length - 1];
+    const root = tree.getRootSync();
+    if (tree.leaves.size !== this.committedCount || (latest && root !== latest.root)) {
+      throw new Error(`Commitment tree does not match the audit log: it holds ${tree.leaves.size} entries under root ${root}`);
+    }
+
+    this.tree = tree;
+    logger.info(`Loaded commitment tree with ${tree.leaves.size} entries`);
+    return { leaves: tree.leaves.size, root, checkpointId: latest ? latest.checkpointId : null };
+  }
+
+  /**
+   * Get audit entries, optionally filtered
+   * @param {Object} [filter={}] - Filter options
+   * @param {string} [filter.type] - Only entries of this event type
+   * @param {number} [filter.fromSeq=0] - First sequence number
+   * @param {number} [filter.limit] - Maximum number of entries
+   * @returns {Array<Object>} Matching entries
+   */
+  getEntries({ type, fromSeq = 0, limit } = {}) {
+    const entries = this.entries
+      .slice(fromSeq)
+      .filter(entry => !type || entry.type === type);
+    return limit ? entries.slice(0, limit) : entries;
+  }
+
+  /**
+   * Get all checkpoints
+   * @returns {Array<Object>} Checkpoints ordered by their last entry
+   */
+  getCheckpoints() {
+    return [...this.checkpoints];
+  }
+
+  /**
+   * Stop periodic commits, commit pending entries and detach from event sources
+   * @returns {Promise<void>}
+   */
+  async close() {
+    if (this.commitTimer) {
+      clearInterval(this.commitTimer);
+      this.commitTimer = null;
+    }
+    for (const detach of this.detachers) detach();
+    this.detachers = [];
+    await this.commit();
+  }
+
+  /**
+   * Insert pending entries into the tree and record a checkpoint
+   * @returns {Promise<Object>} New checkpoint
+   * @private
+   */
+  async _commit() {
+    const fromSeq = this.committedCount;
+    const toSeq = this.entries.length - 1;
+
+    for (let seq = fromSeq; seq <= toSeq; seq++) {
+      this.tree.insert(String(seq), toFieldElement(this.entries[seq].hash));
+    }
+    this.committedCount = toSeq + 1;
+
+    const checkpoint = {
+      checkpointId: `checkpoint-${this.checkpoints.length}`,
+      fromSeq,
+      toSeq,
+      root: this.tree.getRootSync(),
+      headHash: this.entries[toSeq].hash,
+      committedAt: Date.now()
+    };
+    this.checkpoints.push(checkpoint);
+
+    if (this.stateStore) {
+      await this.stateStore.put(AuditCollection.CHECKPOINTS, checkpoint.checkpointId, checkpoint);
+    }
+
+    if (this.publishRoot) {
+      try {
+        checkpoint.publication = await this.publishRoot(checkpoint);
+        if (this.stateStore) {
+          await this.stateStore.put(AuditCollection.CHECKPOINTS, checkpoint.checkpointId, checkpoint);
+        }
+      } catch (error) {
+        logger.error(`Failed to publish audit root for ${checkpoint.checkpointId}:`, error);
+      }
+    }
+
+    this.emit('audit:committed', checkpoint);
+    logger.info(`Committed audit entries ${fromSeq}-${toSeq} under root ${checkpoint.root}`);
+    return checkpoint;
+  }
+}
+
+module.exports = {
+  AuditLog,
+  verifyAuditLog,
+  hashEntry,
+  canonicalize,
+  GENESIS_HASH
+};
@@ -0,0 +1,248 @@
+/**
+ * BudgetLedger
+ *
+ * Tracks cumulative differential privacy loss across computations. Every
+ * computation's (epsilon, delta) is charged to each data vault it touches and
+ * to the researcher who requested it. Losses compose sequentially (they are
+ * summed), which is the conservative bound for repeated queries over the same
+ * records. A computation that would push any vault past its owner-configured
+ * cap is refused before it reaches the SMPC nodes.
+ */
+
+const logger = require('../../utils/logger')('privacy-layer:budget-ledger');
+
+// Slack for floating point error when summing many fractional epsilons
+const TOLERANCE = 1e-9;
+
+/**
+ * Privacy budget ledger keyed by computation
+ * @class BudgetLedger
+ */
+class BudgetLedger {
+  /**
+   * Create a new budget ledger
+   * @param {Object} [options={}] - Configuration options
+   * @param {number} [options.defaultVaultEpsilon=10] - Epsilon cap for vaults without an owner-configured cap
+   * @param {number} [options.defaultVaultDelta=1e-5] - Delta cap for vaults without an owner-configured cap
+   * @param {number} [options.researcherEpsilon=Infinity] - Optional epsilon cap per researcher across all vaults
+   */
+  constructor({ defaultVaultEpsilon = 10, defaultVaultDelta = 1e-5, researcherEpsilon = Infinity } = {}) {
+    this.defaultCap = { epsilon: defaultVaultEpsilon, delta: defaultVaultDelta };
+    this.researcherEpsilon = researcherEpsilon;
+
+    this.caps = new Map(); // dataVaultId => { epsilon, delta, setBy, updatedAt }
+    this.charges = new Map(); // computationId => charge record
+  }
+
+  /**
+   * Load caps and charges previously persisted by the Privacy Layer
+   * @param {Object} state - Persisted ledger state
+   * @param {Map<string, Object>} [state.caps] - Vault caps keyed by vault ID
+   * @param {Map<string, Object>} [state.charges] - Charges keyed by computation ID
+   */
+  load({ caps = new Map(), charges = new Map() } = {}) {
+    for (const [dataVaultId, cap] of caps.entries()) {
+      this.caps.set(dataVaultId, cap);
+    }
+    for (const [computationId, charge] of charges.entries()) {
+      this.charges.set(computationId, charge);
+    }
+  }
+
+  /**
+   * Set the owner-configured cap for a data vault
+   * @param {string} dataVaultId - ID of the data vault
+   * @param {Object} cap - Budget cap
+   * @param {number} cap.epsilon - Maximum cumulative epsilon
+   * @param {number} [cap.delta] - Maximum cumulative delta
+   * @param {string} [setBy] - Address that configured the cap
+   * @returns {Object} Stored cap
+   * @throws {Error} If the cap is invalid
+   */
+  setVaultCap(dataVaultId, { epsilon, delta = this.defaultCap.delta }, setBy = null) {
+    if (!(epsilon > 0) || !(delta >= 0)) {
+      throw new Error('Budget cap requires a positive epsilon and a non-negative delta');
+    }
+
+    const cap = { epsilon, delta, setBy, updatedAt: Date.now() };
+    this.caps.set(dataVaultId, cap);
+
+    logger.info(`Budget cap for data vault ${dataVaultId} set to ε=${epsilon}, δ=${delta}`);
+    return cap;
+  }
+
+  /**
+   * Get the effective cap for a data vault
+   * @param {string} dataVaultId - ID of the data vault
+   * @returns {Object} Cap with epsilon and delta
+   */
+  getVaultCap(dataVaultId) {
+    const cap = this.caps.get(dataVaultId);
+    return cap ? { epsilon: cap.epsilon, delta: cap.delta } : { ...this.defaultCap };
+  }
+
+  /**
+   * Charge a computation's privacy loss to its vaults and researcher.
+   * A computation is charged once: charging it again is refused, except when
+   * it is resumed after a restart, which reuses its existing charge instead
+   * of billing it twice.
+   * @param {Object} params - Charge parameters
+   * @param {string} params.computationId - ID of the computation
+   * @param {string} params.researcher - Researcher address
+   * @param {Array<string>} params.dataVaultIds - IDs of the data vaults involved
+   * @param {number} params.epsilon - Epsilon consumed by the computation
+   * @param {number} [params.delta=0] - Delta consumed by the computation
+   * @param {boolean} [params.resume=false] - Whether the computation is being resumed after a restart
+   * @returns {Object} Charge record
+   * @throws {Error} If the computation was already charged and is not being resumed, or any vault or
+   *   the researcher would exceed their cap
+   */
+  charge({ computationId, researcher, dataVaultIds, epsilon, delta = 0, resume = false }) {
+    const existing = this.charges.get(computationId);
+    if (existing) {
+      if (resume) return existing;
+      throw new Error(`Privacy budget already charged to computation ${computationId}`);
+    }
+
+    if (!(epsilon > 0) || !(delta >= 0)) {
+      throw new Error(`Invalid privacy parameters for computation ${computationId}`);
+    }
+
+    // Check every cap before recording anything, so a refusal leaves the ledger untouched
+    for (const dataVaultId of dataVaultIds) {
+      const cap = this.getVaultCap(dataVaultId);
+      const spent = this._sumCharges(charge => charge.dataVaultIds.includes(dataVaultId));
+
+      if (spent.epsilon + epsilon > cap.epsilon + TOLERANCE || spent.delta + delta > cap.delta + TOLERANCE) {
+        throw new Error(
+          `Privacy budget exceeded for data vault ${dataVaultId}: ` +
+          `requested ε=${epsilon}, δ=${delta}; remaining ε=${Math.max(0, cap.epsilon - spent.epsilon)}, ` +
+          `δ=${Math.max(0, cap.delta - spent.delta)}`
+        );
+      }
+    }
+
+    const researcherSpent = this._sumCharges(charge => charge.researcher === researcher);
+    if (researcherSpent.epsilon + epsilon > this.researcherEpsilon + TOLERANCE) {
+      throw new Error(
+        `Privacy budget exceeded for researcher ${researcher}: ` +
+        `requested ε=${epsilon}; remaining ε=${Math.max(0, this.researcherEpsilon - researcherSpent.epsilon)}`
+      );
+    }
+
+    const charge = {
+      computationId,
+      researcher,
+      dataVaultIds: [...dataVaultIds],
+      epsilon,
+      delta,
+      chargedAt: Date.now()
+    };
+    this.charges.set(computationId, charge);
+
+    logger.info(`Charged ε=${epsilon}, δ=${delta} for computation ${computationId} to ${dataVaultIds.length} data vaults`);
+    return charge;
+  }
+
+  /**
+   * Refund a charge for a computation that never reached any data
+   * @param {string} computationId - ID of the computation
+   * @returns {Object|null} Refunded charge or null if none existed
+   */
+  refund(computationId) {
+    const charge = this.charges.get(computationId) || null;
+    if (charge) {
+      this.charges.delete(computationId);
+      logger.info(`Refunded privacy budget for computation ${computationId}`);
+    }
+    return charge;
+  }
+
+  /**
+   * Get the budget status of a data vault
+   * @param {string} dataVaultId - ID of the data vault
+   * @returns {Object} Cap, spent and remaining budget, plus the charges against the vault
+   */
+  getBudgetStatus(dataVaultId) {
+    const cap = this.getVaultCap(dataVaultId);
+    const charges = this._filterCharges(charge => charge.dataVaultIds.includes(dataVaultId));
+    const spent = this._sum(charges);
+
+    return {
+      dataVaultId,
+      cap,
+      spent,
+      remaining: {
+        epsilon: Math.max(0, cap.epsilon - spent.epsilon),
+        delta: Math.max(0, cap.delta - spent.delta)
+      },
+      computations: charges.length,
+      charges
+    };
+  }
+
+  /**
+   * Get the cumulative spend of a researcher, in total and per data vault
+   * @param {string} researcher - Researcher address
+   * @returns {Object} Researcher spend summary
+   */
+  getResearcherSpend(researcher) {
+    const charges = this._filterCharges(charge => charge.researcher === researcher);
+    const byVault = {};
+
+    for (const charge of charges) {
+      for (const dataVaultId of charge.dataVaultIds) {
+        const vaultSpend = byVault[dataVaultId] || { epsilon: 0, delta: 0 };
+        vaultSpend.epsilon += charge.epsilon;
+        vaultSpend.delta += charge.delta;
+        byVault[dataVaultId] = vaultSpend;
+      }
+    }
+
+    return {
+      researcher,
+      total: this._sum(charges),
+      limit: Number.isFinite(this.researcherEpsilon) ? this.researcherEpsilon : null,
+      byVault,
+      computations: charges.length,
+      charges
+    };
+  }
+
+  /**
+   * Select charges matching a predicate, oldest first
+   * @param {Function} predicate - Filter function
+   * @returns {Array<Object>} Matching charges
+   * @private
+   */
+  _filterCharges(predicate) {
+    return Array.from(this.charges.values())
+      .filter(predicate)
+      .sort((a, b) => a.chargedAt - b.chargedAt);
+  }
+
+  /**
+   * Sum the privacy loss of charges matching a predicate
+   * @param {Function} predicate - Filter function
+   * @returns {Object} Summed epsilon and delta
+   * @private
+   */
+  _sumCharges(predicate) {
+    return this._sum(this._filterCharges(predicate));
+  }
+
+  /**
+   * Sum the privacy loss of a list of charges
+   * @param {Array<Object>} charges - Charge records
+   * @returns {Object} Summed epsilon and delta
+   * @private
+   */
+  _sum(charges) {
+    return charges.reduce((total, charge) => ({
+      epsilon: total.epsilon + charge.epsilon,
+      delta: total.delta + charge.delta
+    }), { epsilon: 0, delta: 0 });
+  }
+}
+
+module.exports = BudgetLedger;
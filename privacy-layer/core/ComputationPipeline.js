@@ -0,0 +1,194 @@
+/**
+ * ComputationPipeline
+ *
+ * A multi-step computation described as a directed acyclic graph of protocol
+ * steps, e.g. "filter cohort, then compute variance, then fit regression".
+ * Each step names the protocol that runs it and the earlier steps whose
+ * outputs it consumes. The SMPC Orchestrator runs the steps in dependency
+ * order; intermediate outputs stay secret-shared on the nodes, and only the
+ * output step is reconstructed.
+ */
+
+// Separates the computation ID from the step ID in step computation IDs
+const STEP_SEPARATOR = '/';
+
+/**
+ * Validated computation pipeline
+ * @class ComputationPipeline
+ */
+class ComputationPipeline {
+  /**
+   * Create and validate a pipeline
+   * @param {Object} spec - Pipeline specification
+   * @param {Array<Object>} spec.steps - Steps of the pipeline
+   * @param {string} spec.steps[].id - Step ID, unique within the pipeline
+   * @param {string} spec.steps[].type - Protocol that runs the step (e.g. 'statistical')
+   * @param {string} [spec.steps[].operation] - Protocol operation (e.g. 'variance')
+   * @param {Object} [spec.steps[].params] - Operation parameters
+   * @param {Array<string>} [spec.steps[].inputs=[]] - IDs of the steps whose outputs the step consumes
+   * @param {string} [spec.output] - ID of the step whose output is revealed (defaults to the only step nothing consumes)
+   * @throws {Error} If the pipeline is not a valid DAG with a single output
+   */
+  constructor({ steps, output = null } = {}) {
+    if (!Array.isArray(steps) || steps.length === 0) {
+      throw new Error('Invalid pipeline: at least one step is required');
+    }
+
+    this.steps = steps.map(({ id, type, operation = null, params = {}, inputs = [] }) => {
+      if (typeof id !== 'string' || id.length === 0 || id.includes(STEP_SEPARATOR)) {
+        throw new Error(`Invalid pipeline: step IDs must be non-empty strings without '${STEP_SEPARATOR}'`);
+      }
+      if (typeof type !== 'string' || type.length === 0) {
+        throw new Error(`Invalid pipeline: step ${id} has no type`);
+      }
+      return { id, type, operation, params, inputs: Array.from(new Set(inputs)) };
+    });
+
+    this.stepsById = new Map();
+    for (const step of this.steps) {
+      if (this.stepsById.has(step.id)) {
+        throw new Error(`Invalid pipeline: duplicate step ${step.id}`);
+      }
+      this.stepsById.set(step.id, step);
+    }
+
+    for (const step of this.steps) {
+      for (const input of step.inputs) {
+        if (!this.stepsById.has(input)) {
+          throw new Error(`Invalid pipeline: step ${step.id} consumes unknown step ${input}`);
+        }
+      }
+    }
+
+    this.orderedSteps = this._topologicalOrder();
+    this.output = output || this._soleSink();
+
+    if (!this.stepsById.has(this.output)) {
+      throw new Error(`Invalid pipeline: output step ${this.output} does not exist`);
+    }
+
+    // A step that does not feed the output would be computed and never used
+    const contributing = this._ancestorsOf(this.output);
+    const unused = this.steps.find(step => !contributing.has(step.id));
+    if (unused) {
+      throw new Error(`Invalid pipeline: step ${unused.id} does not contribute to the output`);
+    }
+  }
+
+  /**
+   * Create a pipeline from a specification or return an existing pipeline
+   * @param {Object|ComputationPipeline} spec - Pipeline or its specification
+   * @returns {ComputationPipeline} Pipeline
+   */
+  static from(spec) {
+    return spec instanceof ComputationPipeline ? spec : new ComputationPipeline(spec);
+  }
+
+  /**
+   * ID under which the nodes run and hold the output of one step
+   * @param {string} computationId - ID of the pipeline computation
+   * @param {string} stepId - ID of the step
+   * @returns {string} Step computation ID
+   */
+  static stepComputationId(computationId, stepId) {
+    return `${computationId}${STEP_SEPARATOR}${stepId}`;
+  }
+
+  /**
+   * Steps in an order where every step follows the steps it consumes
+   * @returns {Array<Object>} Ordered steps
+   */
+  order() {
+    return [...this.orderedSteps];
+  }
+
+  /**
+   * The step whose output is revealed
+   * @returns {Object} Output step
+   */
+  get outputStep() {
+    return this.stepsById.get(this.output);
+  }
+
+  /**
+   * Protocols used by the pipeline
+   * @returns {Array<string>} Distinct step types
+   */
+  types() {
+    return Array.from(new Set(this.steps.map(step => step.type)));
+  }
+
+  /**
+   * Plain specification, suitable for persisting and sending to nodes
+   * @returns {Object} Pipeline specification
+   */
+  toJSON() {
+    return {
+      steps: this.steps.map(step => ({ ...step, inputs: [...step.inputs] })),
+      output: this.output
+    };
+  }
+
+  /**
+   * Order steps with Kahn's algorithm, keeping the declared order among independent steps
+   * @returns {Array<Object>} Ordered steps
+   * @throws {Error} If the steps contain a cycle
+   * @private
+   */
+  _topologicalOrder() {
+    const pending = new Map(this.steps.map(step => [step.id, step.inputs.length]));
+    const ordered = [];
+
+    while (ordered.length < this.steps.length) {
+      const ready = this.steps.find(step => pending.get(step.id) === 0);
+      if (!ready) {
+        const cyclic = this.steps.filter(step => pending.get(step.id) > 0).map(step => step.id);
+        throw new Error(`Invalid pipeline: steps ${cyclic.join(', ')} form a cycle`);
+      }
+
+      pending.set(ready.id, -1);
+      ordered.push(ready);
+      for (const step of this.steps) {
+        if (step.inputs.includes(ready.id)) {
+          pending.set(step.id, pending.get(step.id) - 1);
+        }
+      }
+    }
+
+    return ordered;
+  }
+
+  /**
+   * Find the only step that no other step consumes
+   * @returns {string} ID of the step
+   * @throws {Error} If there is more than one such step
+   * @private
+   */
+  _soleSink() {
+    const consumed = new Set(this.steps.flatMap(step => step.inputs));
+    const sinks = this.steps.filter(step => !consumed.has(step.id));
+    if (sinks.length !== 1) {
+      throw new Error(`Invalid pipeline: expected one output step, found ${sinks.map(step => step.id).join(', ')}`);
+    }
+    return sinks[0].id;
+  }
+
+  /**
+   * Collect a step and every step it transitively consumes
+   * @param {string} stepId - ID of the step
+   * @returns {Set<string>} Step IDs
+   * @private
+   */
+  _ancestorsOf(stepId) {
+    const seen = new Set();
+    const visit = id => {
+      if (seen.has(id)) return;
+      seen.add(id);
+      this.stepsById.get(id).inputs.forEach(visit);
+    };
+    visit(stepId);
+    return seen;
+  }
+}
+
+module.exports = ComputationPipeline;
@@ -0,0 +1,532 @@
+/**
+ * ConsentRegistry
+ *
+ * Per-record consent for the records held in data vaults. Each vault keeps a
+ * Merkle tree with one leaf per consented record, holding the record's
+ * commitment, so the vault's root commits to exactly the records that may be
+ * used. Withdrawing a data subject's consent removes the record's leaf,
+ * excludes the record from the shares prepared for later computations, flags
+ * trained models whose training data included it as stale, and issues a
+ * receipt signed by the registry that the owner can hand to the data subject.
+ */
+
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { MerkleTree, SparseMerkleTree } = require('../zkp/utils/merkle');
+const { initializePoseidon, toFieldElement } = require('../zkp/utils/hash');
+const { canonicalize } = require('./AuditLog');
+const logger = require('../../utils/logger')('privacy-layer:consent-registry');
+
+/**
+ * State store collection names for persisted consent state
+ * @enum {string}
+ */
+const ConsentCollection = {
+  RECORDS: 'consentRecords',
+  ARTIFACTS: 'consentArtifacts'
+};
+
+/**
+ * Consent status of a record
+ * @enum {string}
+ */
+const ConsentStatus = {
+  GRANTED: 'granted',
+  WITHDRAWN: 'withdrawn'
+};
+
+/**
+ * Kinds of tree a vault's consented records are committed to
+ * @enum {string}
+ */
+const TreeType = {
+  MERKLE: 'merkle',
+  SPARSE: 'sparse'
+};
+
+// Sparse trees place leaves by key hash, so they need to be deep enough to avoid collisions
+const DEFAULT_TREE_DEPTH = {
+  [TreeType.MERKLE]: 20,
+  [TreeType.SPARSE]: 64
+};
+
+const RECEIPT_ALGORITHM = 'ed25519';
+
+/**
+ * Verify the signature of a withdrawal receipt
+ * @param {Object} receipt - Receipt issued by a consent registry
+ * @param {string|crypto.KeyObject} publicKey - Public key of the registry that issued it
+ * @returns {boolean} Whether the receipt is unaltered and was signed with the key
+ */
+function verifyReceipt(receipt, publicKey) {
+  if (!receipt || !receipt.signature || receipt.signature.algorithm !== RECEIPT_ALGORITHM) {
+    return false;
+  }
+
+  const { signature, ...body } = receipt;
+  try {
+    return crypto.verify(null, Buffer.from(canonicalize(body)), publicKey, Buffer.from(signature.value, 'base64'));
+  } catch (error) {
+    logger.warn(`Receipt ${receipt.receiptId} could not be verified: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Registry of per-record consent and of the trained artifacts that used each record
+ * @class ConsentRegistry
+ */
+class ConsentRegistry {
+  /**
+   * Create a new consent registry
+   * @param {Object} [options={}] - Configuration options
+   * @param {Object} [options.stateStore] - State store used to persist consent records and artifact lineage
+   * @param {string} [options.treeType='merkle'] - Tree each vault's records are committed to ('merkle' or 'sparse')
+   * @param {number} [options.treeDepth] - Depth of the vault trees (20 for Merkle trees, 64 for sparse trees)
+   * @param {string|crypto.KeyObject} [options.signingKey] - Ed25519 private key receipts are signed with;
+   *   a key generated for this process is used if omitted, so its receipts cannot be verified after a restart
+   * @throws {Error} If the tree type is unknown or the signing key is not an Ed25519 key
+   */
+  constructor({
+    stateStore = null,
+    treeType = TreeType.MERKLE,
+    treeDepth = null,
+    signingKey = null
+  } = {}) {
+    if (!Object.values(TreeType).includes(treeType)) {
+      throw new Error(`Unknown consent tree type: ${treeType}`);
+    }
+
+    this.stateStore = stateStore;
+    this.treeType = treeType;
+    this.treeDepth = treeDepth || DEFAULT_TREE_DEPTH[treeType];
+
+    if (!signingKey) {
+      logger.warn('No consent receipt signing key configured; using a key generated for this process');
+      this.signingKey = crypto.generateKeyPairSync(RECEIPT_ALGORITHM).privateKey;
+    } else {
+      this.signingKey = signingKey instanceof crypto.KeyObject ? signingKey : crypto.createPrivateKey(signingKey);
+    }
+    if (this.signingKey.asymmetricKeyType !== RECEIPT_ALGORITHM) {
+      throw new Error(`Consent receipts are signed with ${RECEIPT_ALGORITHM} keys, got ${this.signingKey.asymmetricKeyType}`);
+    }
+    this.publicKey = crypto.createPublicKey(this.signingKey).export({ type: 'spki', format: 'pem' });
+
+    this.records = new Map(); // dataVaultId => Map of recordId => consent record
+    this.trees = new Map(); // dataVaultId => tree over the vault's consented records
+    this.artifacts = new Map(); // artifactId => lineage of a trained artifact
+    this.models = new Map(); // artifactId => trained model instance, flagged when it goes stale
+  }
+
+  /**
+   * Load persisted consent records and artifact lineage and rebuild the vault trees
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    await initializePoseidon();
+    if (!this.stateStore) return;
+
+    const state = await this.stateStore.load();
+    const records = Array.from((state[ConsentCollection.RECORDS] || new Map()).values());
+    for (const artifact of (state[ConsentCollection.ARTIFACTS] || new Map()).values()) {
+      this.artifacts.set(artifact.artifactId, artifact);
+    }
+
+    // Records are inserted in their original order, so every leaf keeps its index
+    records.sort((a, b) => a.leafIndex - b.leafIndex);
+    for (const record of records) {
+      this._vaultRecords(record.dataVaultId).set(record.recordId, record);
+      await this._insertLeaf(record);
+    }
+    for (const record of records) {
+      if (record.status === ConsentStatus.WITHDRAWN) {
+        await this._removeLeaf(record);
+      }
+    }
+
+    logger.info(`Consent registry restored ${records.length} records across ${this.records.size} vaults`);
+  }
+
+  /**
+   * Record a data subject's consent for a record in a data vault
+   * @param {string} dataVaultId - ID of the data vault
+   * @param {Object} params - Consent parameters
+   * @param {string} params.recordId - ID of the record within the vault
+   * @param {string} params.commitment - Hash committing to the record's contents
+   * @param {string} [params.subject] - Pseudonymous identifier of the data subject
+   * @returns {Promise<Object>} Consent record
+   * @throws {Error} If the record already has consent or its consent was withdrawn
+   */
+  async recordConsent(dataVaultId, { recordId, commitment, subject = null }) {
+    if (!recordId || !commitment) {
+      throw new Error('Consent requires a record ID and a commitment');
+    }
+
+    const existing = this.getRecord(dataVaultId, recordId);
+    if (existing) {
+      throw new Error(existing.status === ConsentStatus.WITHDRAWN
+        ? `Consent for record ${recordId} in vault ${dataVaultId} was withdrawn`
+        : `Consent for record ${recordId} in vault ${dataVaultId} already recorded`);
+    }
+
+    await initializePoseidon();
+    const record = {
+      dataVaultId,
+      recordId: String(recordId),
+      commitment,
+      subject,
+      status: ConsentStatus.GRANTED,
+      leafIndex: null,
+      grantedAt: Date.now(),
+      withdrawnAt: null,
+      receipt: null
+    };
+    record.leafIndex = await this._insertLeaf(record);
+
+    this._vaultRecords(dataVaultId).set(record.recordId, record);
+    await this._persist(ConsentCollection.RECORDS, this._recordKey(dataVaultId, record.recordId), record);
+
+    logger.debug(`Recorded consent for record ${recordId} in vault ${dataVaultId}`);
+    return record;
+  }
+
+  /**
+   * Withdraw consent for a record. The record's leaf is removed from its
+   * vault's tree, the record is excluded from shares prepared from now on,
+   * artifacts trained on it are flagged as stale, and a signed receipt is issued.
+   * @param {string} dataVaultId - ID of the data vault
+   * @param {string} recordId - ID of the record within the vault
+   * @param {Object} [options={}] - Withdrawal options
+   * @param {string} [options.requestedBy] - Address of the party honouring the withdrawal
+   * @param {string} [options.reason] - Reason given for the withdrawal
+   * @returns {Promise<Object>} Signed withdrawal receipt
+   * @throws {Error} If the record has no consent to withdraw
+   */
+  async withdrawConsent(dataVaultId, recordId, { requestedBy = null, reason = null } = {}) {
+    const record = this.getRecord(dataVaultId, recordId);
+    if (!record) {
+      throw new Error(`No consent recorded for record ${recordId} in vault ${dataVaultId}`);
+    }
+    if (record.status === ConsentStatus.WITHDRAWN) {
+      throw new Error(`Consent for record ${recordId} in vault ${dataVaultId} already withdrawn`);
+    }
+
+    await initializePoseidon();
+    const previousRoot = await this.getRoot(dataVaultId);
+    await this._removeLeaf(record);
+    const root = await this.getRoot(dataVaultId);
+
+    record.status = ConsentStatus.WITHDRAWN;
+    record.withdrawnAt = Date.now();
+    const staleArtifacts = await this._flagStaleArtifacts(record);
+
+    record.receipt = this._signReceipt({
+      receiptId: uuidv4(),
+      dataVaultId,
+      recordId: record.recordId,
+      subject: record.subject,
+      commitment: record.commitment,
+      requestedBy,
+      reason,
+      previousRoot,
+      root,
+      staleArtifacts,
+      withdrawnAt: record.withdrawnAt
+    });
+    await this._persist(ConsentCollection.RECORDS, this._recordKey(dataVaultId, record.recordId), record);
+
+    logger.info(`Consent withdrawn for record ${recordId} in vault ${dataVaultId}; ${staleArtifacts.length} artifacts flagged stale`);
+    return record.receipt;
+  }
+
+  /**
+   * Register a trained artifact and the records it was trained on, so it can
+   * be flagged as stale if any of them is withdrawn. Registering an artifact
+   * again (e.g. after retraining) replaces its lineage and clears its staleness.
+   * @param {Object} params - Artifact parameters
+   * @param {string} params.artifactId - ID of the artifact
+   * @param {string} params.kind - Kind of artifact (e.g. 'regression', 'federated')
+   * @param {Object<string, Array<string>>} params.trainedOn - Record IDs used for training, keyed by vault ID
+   * @param {Object} [params.model] - Model instance; its markStale method is called when the artifact goes stale
+   * @returns {Promise<Object>} Artifact lineage
+   * @throws {Error} If any of the records has no consent
+   */
+  async registerArtifact({ artifactId, kind, trainedOn, model = null }) {
+    if (!artifactId || !kind || !trainedOn) {
+      throw new Error('Artifact requires an ID, a kind and the records it was trained on');
+    }
+
+    for (const [dataVaultId, recordIds] of Object.entries(trainedOn)) {
+      const withoutConsent = recordIds.filter(recordId => !this.isConsented(dataVaultId, recordId));
+      if (withoutConsent.length > 0) {
+        throw new Error(`Artifact ${artifactId} was trained on records without consent in vault ${dataVaultId}: ${withoutConsent.join(', ')}`);
+      }
+    }
+
+    const artifact = {
+      artifactId,
+      kind,
+      trainedOn: Object.fromEntries(Object.entries(trainedOn).map(([dataVaultId, recordIds]) => [dataVaultId, recordIds.map(String)])),
+      registeredAt: Date.now(),
+      stale: null
+    };
+    this.artifacts.set(artifactId, artifact);
+    if (model) {
+      this.models.set(artifactId, model);
+    }
+    await this._persist(ConsentCollection.ARTIFACTS, artifactId, artifact);
+    return artifact;
+  }
+
+  /**
+   * Attach the model instance of an artifact registered earlier, e.g. after a restart
+   * @param {string} artifactId - ID of the artifact
+   * @param {Object} model - Model instance
+   * @throws {Error} If the artifact is unknown
+   */
+  attachModel(artifactId, model) {
+    const artifact = this.artifacts.get(artifactId);
+    if (!artifact) {
+      throw new Error(`Artifact ${artifactId} not found`);
+    }
+    this.models.set(artifactId, model);
+    if (artifact.stale && typeof model.markStale === 'function') {
+      model.markStale(artifact.stale);
+    }
+  }
+
+  /**
+   * Check whether a record currently has consent
+   * @param {string} dataVaultId - ID of the data vault
+   * @param {string} recordId - ID of the record
+   * @returns {boolean} Whether the record has consent that was not withdrawn
+   */
+  isConsented(dataVaultId, recordId) {
+    const record = this.getRecord(dataVaultId, recordId);
+    return Boolean(record) && record.status === ConsentStatus.GRANTED;
+  }
+
+  /**
+   * Keep only the records that currently have consent, for preparing shares
+   * @param {string} dataVaultId - ID of the data vault
+   * @param {Array<Object>} records - Records to filter
+   * @param {string} [idField='id'] - Field holding each record's ID
+   * @returns {Array<Object>} Records with consent
+   */
+  consentedRecords(dataVaultId, records, idField = 'id') {
+    return records.filter(record => this.isConsented(dataVaultId, String(record[idField])));
+  }
+
+  /**
+   * IDs of the records whose consent was withdrawn
+   * @param {string} dataVaultId - ID of the data vault
+   * @returns {Array<string>} Withdrawn record IDs
+   */
+  withdrawnRecordIds(dataVaultId) {
+    return Array.from(this._vaultRecords(dataVaultId).values())
+      .filter(record => record.status === ConsentStatus.WITHDRAWN)
+      .map(record => record.recordId);
+  }
+
+  /**
+   * Consent state of the given vaults, pinned by a computation so the shares
+   * prepared for it leave out every withdrawn record. Vaults without consent
+   * records are omitted.
+   * @param {Array<string>} dataVaultIds - IDs of the data vaults
+   * @returns {Promise<Object<string, Object>>} Root, consented count and withdrawn record IDs, keyed by vault ID
+   */
+  async snapshot(dataVaultIds) {
+    const snapshot = {};
+    for (const dataVaultId of dataVaultIds) {
+      if (!this.trees.has(dataVaultId)) continue;
+      const withdrawn = this.withdrawnRecordIds(dataVaultId);
+      snapshot[dataVaultId] = {
+        root: await this.getRoot(dataVaultId),
+        consented: this._vaultRecords(dataVaultId).size - withdrawn.length,
+        withdrawn
+      };
+    }
+    return snapshot;
+  }
+
+  /**
+   * Get the root of a vault's consent tree
+   * @param {string} dataVaultId - ID of the data vault
+   * @returns {Promise<string|null>} Root, or null if the vault has no consent records
+   */
+  async getRoot(dataVaultId) {
+    const tree = this.trees.get(dataVaultId);
+    return tree ? tree.getRoot() : null;
+  }
+
+  /**
+   * Get the consent record of a record
+   * @param {string} dataVaultId - ID of the data vault
+   * @param {string} recordId - ID of the record
+   * @returns {Object|null} Consent record or null if not found
+   */
+  getRecord(dataVaultId, recordId) {
+    const records = this.records.get(dataVaultId);
+    return (records && records.get(String(recordId))) || null;
+  }
+
+  /**
+   * Get the withdrawal receipt of a record
+   * @param {string} dataVaultId - ID of the data vault
+   * @param {string} recordId - ID of the record
+   * @returns {Object|null} Signed receipt, or null if consent was not withdrawn
+   */
+  getReceipt(dataVaultId, recordId) {
+    const record = this.getRecord(dataVaultId, recordId);
+    return record ? record.receipt : null;
+  }
+
+  /**
+   * Get the lineage of an artifact
+   * @param {string} artifactId - ID of the artifact
+   * @returns {Object|null} Artifact lineage or null if not found
+   */
+  getArtifact(artifactId) {
+    return this.artifacts.get(artifactId) || null;
+  }
+
+  /**
+   * Get the artifacts trained on records whose consent was withdrawn
+   * @returns {Array<Object>} Stale artifact lineage
+   */
+  getStaleArtifacts() {
+    return Array.from(this.artifacts.values()).filter(artifact => artifact.stale);
+  }
+
+  /**
+   * Verify a receipt issued by this registry
+   * @param {Object} receipt - Withdrawal receipt
+   * @returns {boolean} Whether the receipt is unaltered and was signed by this registry
+   */
+  verifyReceipt(receipt) {
+    return verifyReceipt(receipt, this.publicKey);
+  }
+
+  /**
+   * Flag the artifacts trained on a withdrawn record as stale
+   * @param {Object} record - Withdrawn consent record
+   * @returns {Promise<Array<string>>} IDs of the flagged artifacts
+   * @private
+   */
+  async _flagStaleArtifacts({ dataVaultId, recordId, withdrawnAt }) {
+    const flagged = [];
+    for (const artifact of this.artifacts.values()) {
+      const recordIds = artifact.trainedOn[dataVaultId];
+      if (!recordIds || !recordIds.includes(recordId)) continue;
+
+      artifact.stale = {
+        reason: 'consent_withdrawn',
+        withdrawnRecords: [...(artifact.stale ? artifact.stale.withdrawnRecords : []), { dataVaultId, recordId }],
+        flaggedAt: withdrawnAt
+      };
+      const model = this.models.get(artifact.artifactId);
+      if (model && typeof model.markStale === 'function') {
+        model.markStale(artifact.stale);
+      }
+      await this._persist(ConsentCollection.ARTIFACTS, artifact.artifactId, artifact);
+      flagged.push(artifact.artifactId);
+    }
+    return flagged;
+  }
+
+  /**
+   * Sign a withdrawal receipt
+   * @param {Object} body - Receipt fields
+   * @returns {Object} Receipt with its signature
+   * @private
+   */
+  _signReceipt(body) {
+    const value = crypto.sign(null, Buffer.from(canonicalize(body)), this.signingKey).toString('base64');
+    return {
+      ...body,
+      signature: { algorithm: RECEIPT_ALGORITHM, publicKey: this.publicKey, value }
+    };
+  }
+
+  /**
+   * Insert a record's leaf into its vault's tree, creating the tree if needed
+   * @param {Object} record - Consent record
+   * @returns {Promise<number|null>} Leaf index, or null for sparse trees
+   * @private
+   */
+  async _insertLeaf({ dataVaultId, recordId, commitment }) {
+    let tree = this.trees.get(dataVaultId);
+    if (!tree) {
+      tree = this.treeType === TreeType.SPARSE
+        ? new SparseMerkleTree({ depth: this.treeDepth })
+        : new MerkleTree({ depth: this.treeDepth, indexed: true });
+      this.trees.set(dataVaultId, tree);
+    }
+
+    const leaf = toFieldElement(commitment);
+    if (this.treeType === TreeType.SPARSE) {
+      await tree.update(recordId, leaf);
+      return null;
+    }
+    return tree.insert(recordId, leaf);
+  }
+
+  /**
+   * Remove a record's leaf from its vault's tree
+   * @param {Object} record - Consent record
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _removeLeaf({ dataVaultId, recordId }) {
+    const tree = this.trees.get(dataVaultId);
+    if (this.treeType === TreeType.SPARSE) {
+      await tree.update(recordId, tree.defaultLeafValue);
+    } else {
+      tree.remove(recordId);
+    }
+  }
+
+  /**
+   * Get the consent records of a vault, creating the map if needed
+   * @param {string} dataVaultId - ID of the data vault
+   * @returns {Map<string, Object>} Consent records keyed by record ID
+   * @private
+   */
+  _vaultRecords(dataVaultId) {
+    if (!this.records.has(dataVaultId)) {
+      this.records.set(dataVaultId, new Map());
+    }
+    return this.records.get(dataVaultId);
+  }
+
+  /**
+   * State store key of a consent record
+   * @param {string} dataVaultId - ID of the data vault
+   * @param {string} recordId - ID of the record
+   * @returns {string} Key
+   * @private
+   */
+  _recordKey(dataVaultId, recordId) {
+    return `${dataVaultId}:${recordId}`;
+  }
+
+  /**
+   * Persist a value if a state store is configured
+   * @param {string} collection - State collection
+   * @param {string} key - Record key
+   * @param {Object} value - Value to persist
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _persist(collection, key, value) {
+    if (!this.stateStore) return;
+    await this.stateStore.put(collection, key, value);
+  }
+}
+
+module.exports = {
+  ConsentRegistry,
+  ConsentStatus,
+  TreeType,
+  verifyReceipt
+};
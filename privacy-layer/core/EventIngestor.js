@@ -0,0 +1,570 @@
+/**
+ * EventIngestor
+ *
+ * Resumable ingestion of blockchain events. Each source (a contract event) is
+ * polled with getPastEvents up to the confirmed head (latest block minus the
+ * confirmation depth), and the last processed block is checkpointed per
+ * source, so a restarted process backfills every event it missed. Processed
+ * events are recorded by txHash:logIndex to drop duplicates. A handler
+ * error the ingestor is told is a rejection (the event is valid but the
+ * Privacy Layer refuses it, e.g. a vault already registered through the API)
+ * is recorded with the event and the source moves on. Any other failure is
+ * transient: the event is not recorded, its source's checkpoint stays below
+ * it and it is retried on the next poll, up to maxAttempts times, after which
+ * it is written to the dead-letter collection and skipped. The hashes of checkpointed blocks
+ * and of blocks with processed events are retained; if a reorg deeper than
+ * the confirmation depth replaces blocks that were already processed, the
+ * ingestor walks back to the newest retained block still on the canonical
+ * chain, rolls back the events above it through their source's rollback
+ * handler and ingests the canonical events again.
+ */
+
+const EventEmitter = require('events');
+const logger = require('../../utils/logger')('privacy-layer:event-ingestor');
+
+/**
+ * State store collection names for persisted ingestion state
+ * @enum {string}
+ */
+const IngestionCollection = {
+  CHECKPOINTS: 'ingestionCheckpoints',
+  EVENTS: 'ingestedEvents',
+  BLOCKS: 'ingestedBlocks',
+  DEAD_LETTERS: 'ingestionDeadLetters'
+};
+
+/**
+ * Identify an event by its position in the chain
+ * @param {Object} event - Web3 event log
+ * @returns {string} Event ID (txHash:logIndex)
+ */
+function eventId(event) {
+  return `${event.transactionHash}:${event.logIndex}`;
+}
+
+/**
+ * Order events by block, then by position within the block
+ * @param {Object} a - Event
+ * @param {Object} b - Event
+ * @returns {number} Sort order
+ */
+function compareEvents(a, b) {
+  return Number(a.blockNumber) - Number(b.blockNumber) || Number(a.logIndex) - Number(b.logIndex);
+}
+
+/**
+ * Polls contract events with block checkpoints and reorg handling
+ * @class EventIngestor
+ * @extends EventEmitter
+ */
+class EventIngestor extends EventEmitter {
+  /**
+   * Create a new event ingestor
+   * @param {Object} options - Configuration options
+   * @param {Object} options.web3 - Web3 instance used to read blocks
+   * @param {Object} [options.stateStore] - State store used to persist checkpoints and processed events
+   * @param {number} [options.confirmations=12] - Blocks an event must be buried under before it is processed
+   * @param {number} [options.pollIntervalMs=15000] - Interval between polls
+   * @param {number} [options.batchSize=2000] - Maximum block range per getPastEvents call
+   * @param {number|null} [options.startBlock=null] - Block to start from for sources without a
+   *   checkpoint; null starts from the confirmed head on first run
+   * @param {number} [options.retainBlocks=1000] - Blocks below the confirmed head for which
+   *   processed events and block hashes are kept so deep reorgs can still be rolled back
+   * @param {number} [options.maxAttempts=5] - Handler attempts after which a failing event is
+   *   dead-lettered and skipped; until then its source does not advance past it
+   * @param {Function} [options.isRejection] - Called with a handler error; true if the event was
+   *   refused for good rather than failed transiently, so it is recorded without being retried
+   */
+  constructor({
+    web3,
+    stateStore = null,
+    confirmations = 12,
+    pollIntervalMs = 15000,
+    batchSize = 2000,
+    startBlock = null,
+    retainBlocks = 1000,
+    maxAttempts = 5,
+    isRejection = () => false
+  }) {
+    super();
+    if (!web3) throw new Error('web3 is required');
+
+    this.web3 = web3;
+    this.stateStore = stateStore;
+    this.confirmations = confirmations;
+    this.pollIntervalMs = pollIntervalMs;
+    this.batchSize = batchSize;
+    this.startBlock = startBlock;
+    this.retainBlocks = retainBlocks;
+    this.maxAttempts = maxAttempts;
+    this.isRejection = isRejection;
+
+    this.sources = new Map(); // Map of source name => source definition
+    this.checkpoints = new Map(); // Map of source name => { blockNumber, blockHash }
+    this.processed = new Map(); // Map of event ID => processed event record
+    this.blockHashes = new Map(); // Map of block number => hash of retained checkpointed and event blocks
+    this.attempts = new Map(); // Map of event ID => failed handler attempts
+    this.deadLetters = new Map(); // Map of event ID => dead-letter record of an event whose attempts ran out
+
+    this.loaded = false;
+    this.timer = null;
+    this.polling = null;
+
+    this.start = this.start.bind(this);
+    this.stop = this.stop.bind(this);
+    this.poll = this.poll.bind(this);
+  }
+
+  /**
+   * Register an event source. Must be called before start().
+   * @param {Object} source - Source definition
+   * @param {string} source.name - Unique source name, used as the checkpoint key
+   * @param {Object} source.contract - Web3 contract instance
+   * @param {string} source.event - Event name
+   * @param {Object} [source.filter] - Indexed parameter filter
+   * @param {Function} source.handler - Async handler called with each confirmed event
+   * @param {Function} [source.rollback] - Async handler called with the record of an event removed by a reorg
+   * @returns {this} For method chaining
+   */
+  addSource({ name, contract, event, filter, handler, rollback }) {
+    if (this.sources.has(name)) {
+      throw new Error(`Event source ${name} already registered`);
+    }
+    if (!contract || !event || typeof handler !== 'function') {
+      throw new Error(`Event source ${name} requires a contract, an event name and a handler`);
+    }
+
+    this.sources.set(name, { name, contract, event, filter, handler, rollback });
+    return this;
+  }
+
+  /**
+   * Load persisted checkpoints, backfill missed events and start polling
+   * @returns {Promise<void>}
+   * @throws {Error} If the persisted state cannot be loaded or the first poll fails
+   */
+  async start() {
+    try {
+      await this.load();
+      await this.poll();
+
+      this.timer = setInterval(() => {
+        this.poll().catch(error => logger.error('Event ingestion poll failed:', error));
+      }, this.pollIntervalMs);
+      if (this.timer.unref) this.timer.unref();
+
+      logger.info(`Event ingestion started for ${this.sources.size} sources`);
+    } catch (error) {
+      logger.error('Failed to start event ingestion:', error);
+      throw new Error(`Event ingestion start failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Stop polling and wait for an in-flight poll to finish
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    if (this.polling) {
+      await this.polling.catch(() => {});
+    }
+    logger.info('Event ingestion stopped');
+  }
+
+  /**
+   * Load checkpoints and retained processed events from the state store
+   * @returns {Promise<void>}
+   */
+  async load() {
+    if (this.loaded) return;
+
+    if (this.stateStore) {
+      const state = await this.stateStore.load();
+      for (const [name, checkpoint] of (state[IngestionCollection.CHECKPOINTS] || new Map()).entries()) {
+        this.checkpoints.set(name, checkpoint);
+      }
+      for (const [id, record] of (state[IngestionCollection.EVENTS] || new Map()).entries()) {
+        this.processed.set(id, record);
+      }
+      for (const [blockNumber, blockHash] of (state[IngestionCollection.BLOCKS] || new Map()).entries()) {
+        this.blockHashes.set(Number(blockNumber), blockHash);
+      }
+      for (const [id, record] of (state[IngestionCollection.DEAD_LETTERS] || new Map()).entries()) {
+        this.deadLetters.set(id, record);
+      }
+      logger.info(
+        `Loaded ${this.checkpoints.size} ingestion checkpoints, ${this.processed.size} processed events ` +
+        `and ${this.deadLetters.size} dead letters`
+      );
+    }
+
+    this.loaded = true;
+  }
+
+  /**
+   * Run one ingestion pass. Concurrent calls share the pass already in flight.
+   * @returns {Promise<Object>} Confirmed head and number of events processed
+   */
+  poll() {
+    if (!this.polling) {
+      this.polling = this._poll().finally(() => {
+        this.polling = null;
+      });
+    }
+    return this.polling;
+  }
+
+  /**
+   * Get the checkpoint of a source
+   * @param {string} name - Source name
+   * @returns {Object|null} Checkpoint or null if the source has not been ingested yet
+   */
+  getCheckpoint(name) {
+    return this.checkpoints.get(name) || null;
+  }
+
+  /**
+   * Get the events whose handler attempts ran out
+   * @returns {Array<Object>} Dead-letter records, oldest first
+   */
+  getDeadLetters() {
+    return Array.from(this.deadLetters.values()).sort(compareEvents);
+  }
+
+  /**
+   * Run one ingestion pass
+   * @returns {Promise<Object>} Confirmed head and number of events processed
+   * @private
+   */
+  async _poll() {
+    await this.load();
+
+    const head = Number(await this.web3.eth.getBlockNumber());
+    const confirmedHead = head - this.confirmations;
+    if (confirmedHead < 0) {
+      return { confirmedHead, processed: 0 };
+    }
+
+    await this._detectReorg();
+
+    let processed = 0;
+    for (const source of this.sources.values()) {
+      processed += await this._ingestSource(source, confirmedHead);
+    }
+
+    await this._prune(confirmedHead - this.retainBlocks);
+    return { confirmedHead, processed };
+  }
+
+  /**
+   * Ingest the events of a source up to the confirmed head, checkpointing after each batch
+   * @param {Object} source - Source definition
+   * @param {number} confirmedHead - Highest block to ingest
+   * @returns {Promise<number>} Number of events processed
+   * @private
+   */
+  async _ingestSource(source, confirmedHead) {
+    const checkpoint = this.checkpoints.get(source.name);
+    let fromBlock;
+    if (checkpoint) {
+      fromBlock = checkpoint.blockNumber + 1;
+    } else if (this.startBlock !== null && this.startBlock !== undefined) {
+      fromBlock = Number(this.startBlock);
+    } else {
+      fromBlock = confirmedHead;
+    }
+
+    let processed = 0;
+    while (fromBlock <= confirmedHead) {
+      const toBlock = Math.min(fromBlock + this.batchSize - 1, confirmedHead);
+      const events = await source.contract.getPastEvents(source.event, {
+        filter: source.filter,
+        fromBlock,
+        toBlock
+      });
+
+      for (const event of events.slice().sort(compareEvents)) {
+        const isNew = await this._processEvent(source, event);
+        if (isNew === null) {
+          // Hold the checkpoint below the failed event so the next poll retries it
+          await this._holdCheckpoint(source.name, Number(event.blockNumber) - 1);
+          return processed;
+        }
+        if (isNew) {
+          processed++;
+        }
+      }
+
+      const block = await this.web3.eth.getBlock(toBlock);
+      await this._setCheckpoint(source.name, { blockNumber: toBlock, blockHash: block.hash });
+
+      if (events.length > 0) {
+        logger.debug(`Ingested ${events.length} ${source.name} events in blocks ${fromBlock}-${toBlock}`);
+      }
+      fromBlock = toBlock + 1;
+    }
+
+    return processed;
+  }
+
+  /**
+   * Keep a source's checkpoint at a block below an event to retry, unless it is already there or lower
+   * @param {string} name - Source name
+   * @param {number} blockNumber - Highest block the checkpoint may cover
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _holdCheckpoint(name, blockNumber) {
+    const checkpoint = this.checkpoints.get(name);
+    if (blockNumber < 0 || (checkpoint && checkpoint.blockNumber >= blockNumber)) return;
+
+    const block = await this.web3.eth.getBlock(blockNumber);
+    await this._setCheckpoint(name, { blockNumber, blockHash: block.hash });
+  }
+
+  /**
+   * Hand an event to its source's handler unless it was already processed.
+   * An event is recorded as processed once its handler succeeds or rejects
+   * it; a transiently failed event is retried on later polls, and recorded
+   * as unhandled and dead-lettered once it failed maxAttempts times.
+   * @param {Object} source - Source definition
+   * @param {Object} event - Web3 event log
+   * @returns {Promise<boolean|null>} Whether the event was new, or null if its handler failed and it is to be retried
+   * @private
+   */
+  async _processEvent(source, event) {
+    const id = eventId(event);
+    if (this.processed.has(id)) {
+      logger.debug(`Skipping duplicate event ${id}`);
+      this.emit('event:duplicate', { id, source: source.name });
+      return false;
+    }
+
+    const record = {
+      id,
+      source: source.name,
+      blockNumber: Number(event.blockNumber),
+      blockHash: event.blockHash,
+      transactionHash: event.transactionHash,
+      logIndex: Number(event.logIndex),
+      returnValues: event.returnValues,
+      handled: true
+    };
+
+    try {
+      await source.handler(event);
+      this.attempts.delete(id);
+    } catch (error) {
+      const attempts = (this.attempts.get(id) || 0) + 1;
+      this.attempts.delete(id);
+      record.handled = false;
+
+      if (this.isRejection(error)) {
+        logger.warn(`Event ${id} of ${source.name} rejected: ${error.message}`);
+        record.rejection = error.message;
+        this.emit('event:rejected', { id, source: source.name, error: error.message });
+      } else {
+        logger.error(`Handler for ${source.name} failed on event ${id} (attempt ${attempts}):`, error);
+        this.emit('event:failed', { id, source: source.name, error: error.message, attempts });
+        if (attempts < this.maxAttempts) {
+          this.attempts.set(id, attempts);
+          return null;
+        }
+
+        logger.error(`Giving up on event ${id} after ${attempts} attempts`);
+        const deadLetter = { ...record, error: error.message, attempts, deadLetteredAt: Date.now() };
+        this.deadLetters.set(id, deadLetter);
+        await this._persist(IngestionCollection.DEAD_LETTERS, id, deadLetter);
+        this.emit('event:dead-lettered', deadLetter);
+      }
+    }
+
+    this.processed.set(id, record);
+    await this._persist(IngestionCollection.EVENTS, id, record);
+    await this._retainBlockHash(record.blockNumber, record.blockHash);
+
+    this.emit('event:processed', record);
+    return true;
+  }
+
+  /**
+   * Compare each checkpoint with the canonical chain and roll back if a
+   * processed block was replaced
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _detectReorg() {
+    for (const [name, checkpoint] of this.checkpoints.entries()) {
+      const block = await this.web3.eth.getBlock(checkpoint.blockNumber);
+      if (block && block.hash === checkpoint.blockHash) continue;
+
+      const forkBlock = await this._findForkBlock(checkpoint.blockNumber);
+      logger.warn(`Reorg detected at checkpoint ${checkpoint.blockNumber} of ${name}; rolling back from block ${forkBlock}`);
+      await this._rollback(forkBlock, checkpoint.blockNumber - forkBlock + 1);
+      return;
+    }
+  }
+
+  /**
+   * Find the first block that differs from the processed history by walking
+   * back the retained block hashes to the newest block still on the
+   * canonical chain
+   * @param {number} belowBlock - Block known to have been replaced
+   * @returns {Promise<number>} First replaced block
+   * @private
+   */
+  async _findForkBlock(belowBlock) {
+    const blockNumbers = Array.from(this.blockHashes.keys())
+      .filter(blockNumber => blockNumber < belowBlock)
+      .sort((a, b) => b - a);
+    for (const blockNumber of blockNumbers) {
+      const block = await this.web3.eth.getBlock(blockNumber);
+      if (block && block.hash === this.blockHashes.get(blockNumber)) {
+        return blockNumber + 1;
+      }
+    }
+
+    // Every retained block was replaced; roll back as far as history allows
+    const oldest = blockNumbers.length > 0 ? blockNumbers[blockNumbers.length - 1] : belowBlock;
+    logger.error(`Reorg extends beyond the ${this.retainBlocks} retained blocks; rolling back from block ${oldest}`);
+    return oldest;
+  }
+
+  /**
+   * Roll back every processed event at or above a block, newest first, and
+   * rewind checkpoints so the canonical events are ingested again
+   * @param {number} forkBlock - First replaced block
+   * @param {number} depth - Number of replaced blocks detected
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _rollback(forkBlock, depth) {
+    const reverted = Array.from(this.processed.values())
+      .filter(record => record.blockNumber >= forkBlock)
+      .sort((a, b) => compareEvents(b, a));
+
+    for (const record of reverted) {
+      const source = this.sources.get(record.source);
+      if (record.handled && source && source.rollback) {
+        try {
+          await source.rollback(record);
+        } catch (error) {
+          logger.error(`Rollback for ${record.source} failed on event ${record.id}:`, error);
+        }
+      }
+      this.processed.delete(record.id);
+      await this._unpersist(IngestionCollection.EVENTS, record.id);
+      if (this.deadLetters.delete(record.id)) {
+        await this._unpersist(IngestionCollection.DEAD_LETTERS, record.id);
+      }
+      this.emit('event:rolled-back', record);
+    }
+    for (const blockNumber of Array.from(this.blockHashes.keys())) {
+      if (blockNumber >= forkBlock) {
+        await this._forgetBlockHash(blockNumber);
+      }
+    }
+
+    const parent = forkBlock > 0 ? await this.web3.eth.getBlock(forkBlock - 1) : null;
+    for (const [name, checkpoint] of Array.from(this.checkpoints.entries())) {
+      if (checkpoint.blockNumber < forkBlock) continue;
+      if (parent) {
+        await this._setCheckpoint(name, { blockNumber: forkBlock - 1, blockHash: parent.hash });
+      } else {
+        this.checkpoints.delete(name);
+        await this._unpersist(IngestionCollection.CHECKPOINTS, name);
+      }
+    }
+
+    this.emit('reorg', { forkBlock, depth, rolledBack: reverted.length });
+  }
+
+  /**
+   * Forget processed events and block hashes below a block; checkpoints already exclude them
+   * @param {number} belowBlock - Events and hashes of blocks below this are pruned
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _prune(belowBlock) {
+    for (const record of Array.from(this.processed.values())) {
+      if (record.blockNumber < belowBlock) {
+        this.processed.delete(record.id);
+        await this._unpersist(IngestionCollection.EVENTS, record.id);
+      }
+    }
+    for (const blockNumber of Array.from(this.blockHashes.keys())) {
+      if (blockNumber < belowBlock) {
+        await this._forgetBlockHash(blockNumber);
+      }
+    }
+  }
+
+  /**
+   * Retain the hash of a processed block so a later reorg can be traced back to it
+   * @param {number} blockNumber - Block number
+   * @param {string} blockHash - Block hash
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _retainBlockHash(blockNumber, blockHash) {
+    if (this.blockHashes.get(blockNumber) === blockHash) return;
+    this.blockHashes.set(blockNumber, blockHash);
+    await this._persist(IngestionCollection.BLOCKS, String(blockNumber), blockHash);
+  }
+
+  /**
+   * Forget the retained hash of a block
+   * @param {number} blockNumber - Block number
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _forgetBlockHash(blockNumber) {
+    this.blockHashes.delete(blockNumber);
+    await this._unpersist(IngestionCollection.BLOCKS, String(blockNumber));
+  }
+
+  /**
+   * Update and persist the checkpoint of a source
+   * @param {string} name - Source name
+   * @param {Object} checkpoint - Block number and hash
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _setCheckpoint(name, checkpoint) {
+    const record = { ...checkpoint, updatedAt: Date.now() };
+    this.checkpoints.set(name, record);
+    await this._persist(IngestionCollection.CHECKPOINTS, name, record);
+    await this._retainBlockHash(checkpoint.blockNumber, checkpoint.blockHash);
+  }
+
+  /**
+   * Persist a record if a state store is configured
+   * @param {string} collection - State collection
+   * @param {string} key - Record key
+   * @param {Object} value - Record value
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _persist(collection, key, value) {
+    if (!this.stateStore) return;
+    await this.stateStore.put(collection, key, value);
+  }
+
+  /**
+   * Remove a persisted record if a state store is configured
+   * @param {string} collection - State collection
+   * @param {string} key - Record key
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _unpersist(collection, key) {
+    if (!this.stateStore) return;
+    await this.stateStore.delete(collection, key);
+  }
+}
+
+module.exports = EventIngestor;
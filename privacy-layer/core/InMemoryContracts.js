@@ -0,0 +1,653 @@
+/**
+ * InMemoryContracts
+ *
+ * In-process stand-in for the chain and the contracts the Privacy Layer talks
+ * to, for local development and CI. Contracts expose the web3 surfaces used
+ * by the Privacy Layer (`methods.<name>(...args).call()/send({ from })`,
+ * `events.<Event>()` subscriptions and `getPastEvents`), and the chain exposes
+ * the `eth.getBlockNumber`/`eth.getBlock` calls used by event ingestion.
+ *
+ * State transitions mirror DataVaultNFT.sol and DataMarketplace.sol: the same
+ * checks revert with the same reasons and the same events are emitted. Every
+ * transaction is mined into its own block. PRIVA token transfers, staking and
+ * protocol fees are not modelled.
+ */
+
+const EventEmitter = require('events');
+const crypto = require('crypto');
+const logger = require('../../utils/logger')('privacy-layer:in-memory-contracts');
+
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+const MAX_UINT256 = ((1n << 256n) - 1n).toString();
+const ONE_DAY_SECONDS = 86400;
+
+// Marketplace constants from DataMarketplace.sol
+const ACCESS_TYPE_ONE_TIME = 1;
+const ACCESS_TYPE_SUBSCRIPTION = 2;
+const ACCESS_TYPE_PERPETUAL = 3;
+const PAYMENT_MODEL_FIXED = 1;
+const PAYMENT_MODEL_REVENUE_SHARE = 3;
+const LISTING_STATE_ACTIVE = 1;
+const LISTING_STATE_CLOSED = 3;
+const DEFAULT_CATEGORIES = [
+  'Medical', 'Financial', 'Personal', 'Behavioral', 'Location', 'Professional', 'Educational', 'Social Media'
+];
+
+/**
+ * Generate a random 32-byte hex hash
+ * @returns {string} Hash
+ */
+function randomHash() {
+  return `0x${crypto.randomBytes(32).toString('hex')}`;
+}
+
+/**
+ * Normalize an address for comparison
+ * @param {string} address - Address
+ * @returns {string} Lowercase address
+ */
+function normalize(address) {
+  return String(address || '').toLowerCase();
+}
+
+/**
+ * Revert the current transaction, mirroring a Solidity require()
+ * @param {boolean} condition - Condition that must hold
+ * @param {string} reason - Revert reason
+ * @throws {Error} If the condition does not hold
+ */
+function require_(condition, reason) {
+  if (!condition) {
+    throw new Error(`VM Exception while processing transaction: revert ${reason}`);
+  }
+}
+
+/**
+ * Check whether an event log matches an indexed-parameter filter
+ * @param {Object} log - Event log
+ * @param {Object} [filter] - Filter of parameter => value or array of values
+ * @returns {boolean} Whether the log matches
+ */
+function matchesFilter(log, filter) {
+  return Object.entries(filter || {}).every(([key, expected]) => {
+    const values = Array.isArray(expected) ? expected : [expected];
+    return values.some(value => normalize(value) === normalize(log.returnValues[key]));
+  });
+}
+
+/**
+ * Simulated chain that mines one block per transaction
+ * @class InMemoryChain
+ */
+class InMemoryChain {
+  /**
+   * Create a new in-memory chain
+   * @param {Object} [options={}] - Configuration options
+   * @param {Function} [options.clock=Date.now] - Millisecond clock used for block timestamps
+   */
+  constructor({ clock = Date.now } = {}) {
+    this.clock = clock;
+    this.blocks = [{ number: 0, hash: randomHash(), timestamp: this.now() }];
+    this.logs = [];
+    this.contracts = [];
+
+    // web3-compatible surface
+    this.eth = {
+      defaultAccount: null,
+      getBlockNumber: async () => this.blocks.length - 1,
+      getBlock: async (blockNumber) => {
+        const number = blockNumber === 'latest' ? this.blocks.length - 1 : Number(blockNumber);
+        return this.blocks[number] ? { ...this.blocks[number] } : null;
+      }
+    };
+    this.utils = {
+      isAddress: address => /^0x[0-9a-fA-F]{40}$/.test(String(address))
+    };
+  }
+
+  /**
+   * Current block timestamp in seconds
+   * @returns {number} Timestamp
+   */
+  now() {
+    return Math.floor(this.clock() / 1000);
+  }
+
+  /**
+   * Deploy a contract onto the chain
+   * @param {InMemoryContract} contract - Contract to deploy
+   * @returns {InMemoryContract} The contract
+   */
+  deploy(contract) {
+    this.contracts.push(contract);
+    return contract;
+  }
+
+  /**
+   * Execute a transaction and mine it into a new block. State changes made by
+   * `execute` must happen after all of its checks, so a revert leaves no trace;
+   * events are only recorded if the transaction succeeds.
+   * @param {InMemoryContract} contract - Contract being called
+   * @param {string} from - Sender address
+   * @param {Function} execute - Transaction body, called with an emit(eventName, returnValues) function
+   * @returns {Object} Transaction receipt
+   */
+  transact(contract, from, execute) {
+    const pending = [];
+    execute((event, returnValues) => pending.push({ event, returnValues }));
+
+    const block = { number: this.blocks.length, hash: randomHash(), timestamp: this.now() };
+    this.blocks.push(block);
+
+    const transactionHash = randomHash();
+    const events = {};
+    const logs = pending.map(({ event, returnValues }, logIndex) => ({
+      event,
+      address: contract.address,
+      returnValues,
+      blockNumber: block.number,
+      blockHash: block.hash,
+      transactionHash,
+      transactionIndex: 0,
+      logIndex
+    }));
+
+    for (const log of logs) {
+      this.logs.push(log);
+      events[log.event] = log;
+      contract._publish(log);
+    }
+
+    return {
+      transactionHash,
+      blockNumber: block.number,
+      blockHash: block.hash,
+      from,
+      to: contract.address,
+      status: true,
+      events
+    };
+  }
+}
+
+/**
+ * Base class for in-memory contracts
+ * @class InMemoryContract
+ */
+class InMemoryContract {
+  /**
+   * Create a new in-memory contract
+   * @param {InMemoryChain} chain - Chain the contract is deployed on
+   * @param {Object} definition - Contract definition
+   * @param {Array<string>} definition.events - Event names
+   * @param {Object<string, Function>} definition.views - Read-only functions
+   * @param {Object<string, Function>} definition.transactions - State-changing functions, called with (context, ...args)
+   */
+  constructor(chain, { events, views, transactions }) {
+    this.chain = chain;
+    this.address = `0x${crypto.randomBytes(20).toString('hex')}`;
+    this.subscriptions = new Map(); // Map of event name => Set of { emitter, filter }
+
+    this.methods = {};
+    for (const [name, view] of Object.entries(views)) {
+      this.methods[name] = (...args) => ({
+        call: async () => view(...args),
+        send: async () => {
+          throw new Error(`${name} is a view function; use call()`);
+        }
+      });
+    }
+    for (const [name, transaction] of Object.entries(transactions)) {
+      this.methods[name] = (...args) => ({
+        call: async () => {
+          throw new Error(`${name} changes state; use send()`);
+        },
+        send: async ({ from = chain.eth.defaultAccount } = {}) => {
+          require_(from, 'Transaction sender (from) is required');
+          return chain.transact(this, from, emit => transaction({ sender: from, emit }, ...args));
+        }
+      });
+    }
+
+    this.events = {};
+    for (const event of events) {
+      this.subscriptions.set(event, new Set());
+      this.events[event] = (options = {}) => this._subscribe(event, options);
+    }
+  }
+
+  /**
+   * Query past events, as web3's Contract.getPastEvents
+   * @param {string} event - Event name
+   * @param {Object} [options={}] - Query options
+   * @param {Object} [options.filter] - Indexed parameter filter
+   * @param {number} [options.fromBlock=0] - First block
+   * @param {number|string} [options.toBlock='latest'] - Last block
+   * @returns {Promise<Array<Object>>} Matching event logs
+   */
+  async getPastEvents(event, { filter, fromBlock = 0, toBlock = 'latest' } = {}) {
+    const lastBlock = toBlock === 'latest' ? this.chain.blocks.length - 1 : Number(toBlock);
+    return this.chain.logs.filter(log =>
+      log.address === this.address &&
+      (event === 'allEvents' || log.event === event) &&
+      log.blockNumber >= Number(fromBlock) &&
+      log.blockNumber <= lastBlock &&
+      matchesFilter(log, filter)
+    );
+  }
+
+  /**
+   * Subscribe to future events
+   * @param {string} event - Event name
+   * @param {Object} options - Subscription options
+   * @returns {EventEmitter} Subscription emitting 'data' for each matching event
+   * @private
+   */
+  _subscribe(event, { filter } = {}) {
+    const emitter = new EventEmitter();
+    const subscription = { emitter, filter };
+    this.subscriptions.get(event).add(subscription);
+    emitter.unsubscribe = () => this.subscriptions.get(event).delete(subscription);
+    return emitter;
+  }
+
+  /**
+   * Deliver a mined event to subscribers, asynchronously as a provider would
+   * @param {Object} log - Event log
+   * @private
+   */
+  _publish(log) {
+    for (const { emitter, filter } of this.subscriptions.get(log.event) || []) {
+      if (matchesFilter(log, filter)) {
+        setImmediate(() => emitter.emit('data', log));
+      }
+    }
+  }
+}
+
+/**
+ * In-memory DataVaultNFT
+ * @class InMemoryDataVaultNFT
+ * @extends InMemoryContract
+ */
+class InMemoryDataVaultNFT extends InMemoryContract {
+  constructor(chain) {
+    const vaults = new Map(); // Map of tokenId => vault
+    const owners = new Map(); // Map of tokenId => owner
+    const tokenURIs = new Map();
+    let tokenCount = 0;
+
+    const exists = tokenId => owners.has(String(tokenId));
+    const ownerOf = (tokenId) => {
+      require_(exists(tokenId), 'ERC721: invalid token ID');
+      return owners.get(String(tokenId));
+    };
+
+    super(chain, {
+      events: ['Transfer', 'DataVaultMinted', 'MetadataUpdated', 'DataHashUpdated'],
+      views: {
+        ownerOf,
+        tokenURI: (tokenId) => {
+          require_(exists(tokenId), 'ERC721: invalid token ID');
+          return tokenURIs.get(String(tokenId));
+        },
+        getDataVaultInfo: (tokenId) => {
+          require_(exists(tokenId), 'DataVault does not exist');
+          const vault = vaults.get(String(tokenId));
+          return {
+            0: vault.dataHash,
+            1: vault.accessRules,
+            2: vault.dataCategory,
+            3: vault.stakingAmount,
+            4: vault.lastUpdated
+          };
+        },
+        getVaultMetadata: (tokenId) => {
+          require_(exists(tokenId), 'DataVault does not exist');
+          return { owner: owners.get(String(tokenId)), ...vaults.get(String(tokenId)) };
+        }
+      },
+      transactions: {
+        mintDataVault: ({ sender, emit }, dataHash, encryptionKeyHash, accessRules, dataCategory, metadataURI, stakingAmount = '0') => {
+          require_(dataHash && dataHash.length > 0, 'Data hash cannot be empty');
+
+          tokenCount++;
+          const tokenId = String(tokenCount);
+          vaults.set(tokenId, {
+            dataHash,
+            encryptionKeyHash,
+            accessRules,
+            dataCategory,
+            stakingAmount: String(stakingAmount),
+            lastUpdated: String(chain.now())
+          });
+          owners.set(tokenId, sender);
+          tokenURIs.set(tokenId, metadataURI);
+
+          emit('Transfer', { from: ZERO_ADDRESS, to: sender, tokenId });
+          emit('DataVaultMinted', { tokenId, owner: sender, dataCategory });
+        },
+        transferFrom: ({ sender, emit }, from, to, tokenId) => {
+          require_(normalize(ownerOf(tokenId)) === normalize(from), 'ERC721: transfer from incorrect owner');
+          require_(normalize(sender) === normalize(from), 'ERC721: caller is not token owner or approved');
+          require_(normalize(to) !== normalize(ZERO_ADDRESS), 'ERC721: transfer to the zero address');
+
+          owners.set(String(tokenId), to);
+          emit('Transfer', { from, to, tokenId: String(tokenId) });
+        },
+        updateAccessRules: ({ sender }, tokenId, newRules) => {
+          require_(exists(tokenId), 'DataVault does not exist');
+          require_(normalize(ownerOf(tokenId)) === normalize(sender), 'Only owner can update rules');
+
+          const vault = vaults.get(String(tokenId));
+          vault.accessRules = newRules;
+          vault.lastUpdated = String(chain.now());
+        },
+        updateDataHash: ({ sender, emit }, tokenId, newDataHash, newEncryptionKeyHash) => {
+          require_(exists(tokenId), 'DataVault does not exist');
+          require_(normalize(ownerOf(tokenId)) === normalize(sender), 'Only owner can update data');
+
+          const vault = vaults.get(String(tokenId));
+          vault.dataHash = newDataHash;
+          vault.encryptionKeyHash = newEncryptionKeyHash;
+          vault.lastUpdated = String(chain.now());
+          emit('DataHashUpdated', { tokenId: String(tokenId), newDataHash });
+        },
+        updateMetadataURI: ({ sender, emit }, tokenId, newMetadataURI) => {
+          require_(exists(tokenId), 'DataVault does not exist');
+          require_(normalize(ownerOf(tokenId)) === normalize(sender), 'Only owner can update metadata');
+
+          tokenURIs.set(String(tokenId), newMetadataURI);
+          emit('MetadataUpdated', { tokenId: String(tokenId), newMetadataURI });
+        }
+      }
+    });
+
+    // Used by the marketplace, as DataMarketplace calls IDataVaultNFT.ownerOf
+    this._ownerOf = ownerOf;
+  }
+}
+
+/**
+ * In-memory DataMarketplace
+ * @class InMemoryMarketplace
+ * @extends InMemoryContract
+ */
+class InMemoryMarketplace extends InMemoryContract {
+  /**
+   * @param {InMemoryChain} chain - Chain the contract is deployed on
+   * @param {InMemoryDataVaultNFT} dataVaultNFT - DataVault NFT contract
+   * @param {string} admin - Address holding the admin and verification roles
+   */
+  constructor(chain, dataVaultNFT, admin) {
+    const listings = new Map(); // Map of listingId => listing
+    const vaultToListing = new Map(); // Map of dataVaultId => active listingId
+    const vaultListings = new Map(); // Map of dataVaultId => every listingId created for it
+    const accessRequests = new Map(); // Map of listingId => Array of requests
+    const activeAccess = new Map(); // Map of `${researcher}:${dataVaultId}` => expiresAt
+    const verifications = new Map(); // Map of researcher => verification
+    const userRequests = new Map(); // Map of researcher => Array of listingIds
+    const categories = [...DEFAULT_CATEGORIES];
+    let totalListings = 0;
+
+    const isAdmin = address => normalize(address) === normalize(admin);
+    const getListing = (listingId) => {
+      const listing = listings.get(String(listingId));
+      require_(listing, 'Listing does not exist');
+      return listing;
+    };
+    const accessKey = (researcher, dataVaultId) => `${normalize(researcher)}:${dataVaultId}`;
+    const hasActiveAccess = (researcher, dataVaultId) =>
+      BigInt(activeAccess.get(accessKey(researcher, dataVaultId)) || 0) > BigInt(chain.now());
+    const EMPTY_VERIFICATION = {
+      researcher: ZERO_ADDRESS, organization: '', credentials: '', verified: false, verifier: ZERO_ADDRESS, verifiedAt: '0'
+    };
+
+    super(chain, {
+      events: ['ListingCreated', 'ListingClosed', 'AccessRequested', 'AccessApproved', 'AccessDenied', 'ResearcherVerified'],
+      views: {
+        getListing: listingId => ({ listingId: String(listingId), ...getListing(listingId) }),
+        getListingForDataVault: dataVaultId => vaultToListing.get(String(dataVaultId)) || '0',
+        getListingsByDataVault: dataVaultId => [...(vaultListings.get(String(dataVaultId)) || [])],
+        getAllCategories: () => [...categories],
+        hasActiveAccess: (researcher, dataVaultId) => hasActiveAccess(researcher, String(dataVaultId)),
+        hasAccess: (listingId, researcher) => hasActiveAccess(researcher, getListing(listingId).dataVaultId),
+        getAccessExpiration: (researcher, dataVaultId) => activeAccess.get(accessKey(researcher, String(dataVaultId))) || '0',
+        getAccessRequests: listingId => (accessRequests.get(String(listingId)) || []).map(request => ({ ...request })),
+        getRequestsByResearcher: researcher => [...(userRequests.get(normalize(researcher)) || [])],
+        researcherVerifications: researcher => ({ ...(verifications.get(normalize(researcher)) || EMPTY_VERIFICATION) }),
+        isResearcherVerified: researcher => Boolean((verifications.get(normalize(researcher)) || {}).verified)
+      },
+      transactions: {
+        createListing: (
+          { sender, emit },
+          dataVaultId, price, accessType, paymentModel, subscriptionPeriod,
+          accessRequirements, dataDescription, dataTags, verificationRequired, revenueSharePercentage, category
+        ) => {
+          dataVaultId = String(dataVaultId);
+          accessType = Number(accessType);
+          paymentModel = Number(paymentModel);
+
+          require_(normalize(dataVaultNFT._ownerOf(dataVaultId)) === normalize(sender), 'Caller is not the DataVault owner');
+          require_(!vaultToListing.has(dataVaultId), 'DataVault already listed');
+          require_(accessType >= ACCESS_TYPE_ONE_TIME && accessType <= ACCESS_TYPE_PERPETUAL, 'Invalid access type');
+          require_(paymentModel >= PAYMENT_MODEL_FIXED && paymentModel <= PAYMENT_MODEL_REVENUE_SHARE, 'Invalid payment model');
+          if (accessType === ACCESS_TYPE_SUBSCRIPTION) {
+            require_(Number(subscriptionPeriod) > 0, 'Subscription period must be positive');
+          }
+          if (paymentModel === PAYMENT_MODEL_REVENUE_SHARE) {
+            require_(Number(revenueSharePercentage) > 0 && Number(revenueSharePercentage) <= 10000, 'Invalid revenue share percentage');
+          }
+          require_(categories.includes(category), 'Category does not exist');
+
+          totalListings++;
+          const listingId = String(totalListings);
+          listings.set(listingId, {
+            dataVaultId,
+            owner: sender,
+            price: String(price),
+            accessType,
+            paymentModel,
+            subscriptionPeriod: String(subscriptionPeriod || 0),
+            accessRequirements,
+            dataDescription,
+            dataTags: [...(dataTags || [])],
+            state: LISTING_STATE_ACTIVE,
+            verificationRequired: Boolean(verificationRequired),
+            revenueSharePercentage: String(revenueSharePercentage || 0),
+            category,
+            createdAt: String(chain.now()),
+            updatedAt: String(chain.now())
+          });
+          vaultToListing.set(dataVaultId, listingId);
+          vaultListings.set(dataVaultId, [...(vaultListings.get(dataVaultId) || []), listingId]);
+
+          emit('ListingCreated', { listingId, dataVaultId, owner: sender, price: String(price), accessType });
+        },
+        closeListing: ({ sender, emit }, listingId) => {
+          const listing = getListing(listingId);
+          require_(normalize(listing.owner) === normalize(sender) || isAdmin(sender), 'Not authorized to close listing');
+
+          listing.state = LISTING_STATE_CLOSED;
+          listing.updatedAt = String(chain.now());
+          vaultToListing.delete(listing.dataVaultId);
+
+          emit('ListingClosed', { listingId: String(listingId), dataVaultId: listing.dataVaultId, owner: listing.owner });
+        },
+        requestAccess: ({ sender, emit }, listingId, purpose, offeredPrice) => {
+          const listing = getListing(listingId);
+          require_(listing.state === LISTING_STATE_ACTIVE, 'Listing is not active');
+          if (listing.verificationRequired) {
+            require_((verifications.get(normalize(sender)) || {}).verified, 'Researcher verification required');
+          }
+
+          const requests = accessRequests.get(String(listingId)) || [];
+          requests.push({
+            listingId: String(listingId),
+            researcher: sender,
+            purpose,
+            offeredPrice: String(offeredPrice),
+            requestedAt: String(chain.now()),
+            approved: false,
+            approvedAt: '0',
+            expiresAt: '0',
+            denialReason: ''
+          });
+          accessRequests.set(String(listingId), requests);
+          userRequests.set(normalize(sender), [...(userRequests.get(normalize(sender)) || []), String(listingId)]);
+
+          emit('AccessRequested', { listingId: String(listingId), researcher: sender, purpose, offeredPrice: String(offeredPrice) });
+        },
+        approveAccess: ({ sender, emit }, listingId, requestId) => {
+          const listing = getListing(listingId);
+          require_(listing.state === LISTING_STATE_ACTIVE, 'Listing is not active');
+          require_(normalize(listing.owner) === normalize(sender), 'Not the listing owner');
+          const request = (accessRequests.get(String(listingId)) || [])[Number(requestId)];
+          require_(request, 'Request does not exist');
+          require_(!request.approved, 'Request already approved');
+
+          let expiresAt;
+          if (listing.accessType === ACCESS_TYPE_ONE_TIME) {
+            expiresAt = String(chain.now() + ONE_DAY_SECONDS);
+          } else if (listing.accessType === ACCESS_TYPE_SUBSCRIPTION) {
+            expiresAt = String(chain.now() + Number(listing.subscriptionPeriod));
+          } else {
+            expiresAt = MAX_UINT256;
+          }
+
+          request.approved = true;
+          request.approvedAt = String(chain.now());
+          request.expiresAt = expiresAt;
+          activeAccess.set(accessKey(request.researcher, listing.dataVaultId), expiresAt);
+
+          emit('AccessApproved', { listingId: String(listingId), researcher: request.researcher, expiresAt });
+        },
+        denyAccess: ({ sender, emit }, listingId, requestId, reason) => {
+          const listing = getListing(listingId);
+          require_(normalize(listing.owner) === normalize(sender), 'Not the listing owner');
+          const request = (accessRequests.get(String(listingId)) || [])[Number(requestId)];
+          require_(request, 'Request does not exist');
+          require_(!request.approved, 'Request already approved');
+
+          request.denialReason = reason;
+          emit('AccessDenied', { listingId: String(listingId), researcher: request.researcher, reason });
+        },
+        submitResearcherCredentials: ({ sender }, organization, credentials) => {
+          verifications.set(normalize(sender), {
+            researcher: sender,
+            organization,
+            credentials,
+            verified: false,
+            verifier: ZERO_ADDRESS,
+            verifiedAt: '0'
+          });
+        },
+        verifyResearcher: ({ sender, emit }, researcher) => {
+          require_(isAdmin(sender), 'AccessControl: account is missing role VERIFICATION_ROLE');
+          const verification = verifications.get(normalize(researcher));
+          require_(verification, 'Researcher has not submitted credentials');
+
+          verification.verified = true;
+          verification.verifier = sender;
+          verification.verifiedAt = String(chain.now());
+          emit('ResearcherVerified', { researcher, verifier: sender, organization: verification.organization });
+        },
+        revokeVerification: ({ sender }, researcher) => {
+          require_(isAdmin(sender), 'AccessControl: account is missing role VERIFICATION_ROLE');
+          const verification = verifications.get(normalize(researcher));
+          require_(verification && verification.verified, 'Researcher is not verified');
+
+          verification.verified = false;
+        }
+      }
+    });
+  }
+}
+
+/**
+ * In-memory verifier registry. The Solidity registry does not define the
+ * computation request and result publication calls the Privacy Layer uses;
+ * they are modelled here with the same check-then-emit semantics.
+ * @class InMemoryVerifierRegistry
+ * @extends InMemoryContract
+ */
+class InMemoryVerifierRegistry extends InMemoryContract {
+  constructor(chain) {
+    const requests = new Map(); // Map of requestId => computation request
+    const results = new Map(); // Map of computationId => published result
+
+    super(chain, {
+      events: ['ComputationRequested', 'ResultsPublished'],
+      views: {
+        getComputationRequest: requestId => requests.get(String(requestId)) || null,
+        getPublishedResult: computationId => results.get(String(computationId)) || null
+      },
+      transactions: {
+        requestComputation: ({ sender, emit }, requestId, dataVaultIds, computationType) => {
+          require_(requestId, 'Request ID cannot be empty');
+          require_(!requests.has(String(requestId)), 'Computation already requested');
+          require_(Array.isArray(dataVaultIds) && dataVaultIds.length > 0, 'At least one data vault is required');
+
+          const request = {
+            requestId: String(requestId),
+            researcher: sender,
+            dataVaultIds: dataVaultIds.map(String),
+            computationType,
+            requestedAt: String(chain.now())
+          };
+          requests.set(request.requestId, request);
+          emit('ComputationRequested', { ...request });
+        },
+        publishResults: ({ sender, emit }, computationId, researcher, resultHash, proofData) => {
+          require_(!results.has(String(computationId)), 'Results already published');
+
+          results.set(String(computationId), {
+            computationId: String(computationId),
+            researcher,
+            resultHash,
+            proofData,
+            publisher: sender,
+            publishedAt: String(chain.now())
+          });
+          emit('ResultsPublished', { computationId: String(computationId), researcher, resultHash });
+        }
+      }
+    });
+  }
+}
+
+/**
+ * Create an in-memory chain with the contracts used by the Privacy Layer
+ * @param {Object} [options={}] - Configuration options
+ * @param {string} [options.admin] - Address holding the marketplace admin and verification roles;
+ *   also the default sender of transactions sent without `from`
+ * @param {Function} [options.clock=Date.now] - Millisecond clock used for block timestamps
+ * @returns {Object} The chain (usable as a web3 instance) and the contract instances
+ */
+function createInMemoryContracts({ admin = '0x00000000000000000000000000000000000000a1', clock = Date.now } = {}) {
+  const chain = new InMemoryChain({ clock });
+  chain.eth.defaultAccount = admin;
+  const dataVaultNFT = chain.deploy(new InMemoryDataVaultNFT(chain));
+  const marketplace = chain.deploy(new InMemoryMarketplace(chain, dataVaultNFT, admin));
+  const verifierRegistry = chain.deploy(new InMemoryVerifierRegistry(chain));
+
+  logger.info('In-memory chain and contracts deployed');
+  return {
+    web3: chain,
+    contracts: {
+      dataVaultNFT,
+      privaToken: null, // Token transfers are not modelled
+      marketplace,
+      verifierRegistry
+    }
+  };
+}
+
+module.exports = {
+  InMemoryChain,
+  InMemoryContract,
+  InMemoryDataVaultNFT,
+  InMemoryMarketplace,
+  InMemoryVerifierRegistry,
+  createInMemoryContracts
+};
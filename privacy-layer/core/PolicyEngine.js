@@ -0,0 +1,422 @@
+/**
+ * PolicyEngine
+ *
+ * Evaluates access requests against a policy document in the access-rules
+ * format (see tests/test-data/access-rules.json): roles with inheritance,
+ * purpose categories with their required credentials, sensitivity levels
+ * with MFA requirements, attribute conditions per data category, time
+ * windows, maintenance windows and the global concurrency limit. Evaluation is deny-by-default when the policy
+ * says so, and every applicable access rule must be satisfied.
+ */
+
+const fs = require('fs');
+const logger = require('../../utils/logger')('privacy-layer:policy-engine');
+
+/**
+ * Sensitivity level used when a dataset does not declare one
+ * @type {string}
+ */
+const DEFAULT_SENSITIVITY = 'HIGH';
+
+/**
+ * On-chain data categories mapped to the policy's category names
+ * @type {Object<string, string>}
+ */
+const DEFAULT_CATEGORY_ALIASES = {
+  MEDICAL: 'HEALTH_DATA',
+  HEALTH: 'HEALTH_DATA',
+  FINANCIAL: 'FINANCIAL_DATA',
+  GENOMIC: 'GENOMIC_DATA',
+  GENETIC: 'GENETIC_DATA',
+  BEHAVIORAL: 'USER_BEHAVIOR',
+  ENVIRONMENTAL: 'ENVIRONMENTAL_DATA'
+};
+
+// Keys of globalSettings.enforceMFA.forDatasetAccess by sensitivity level
+const MFA_SETTING_BY_SENSITIVITY = {
+  LOW: 'lowSensitivity',
+  MEDIUM: 'mediumSensitivity',
+  HIGH: 'highSensitivity',
+  VERY_HIGH: 'highSensitivity'
+};
+
+const WEEKDAYS = ['SUNDAY', 'MONDAY', 'TUESDAY', 'WEDNESDAY', 'THURSDAY', 'FRIDAY', 'SATURDAY'];
+
+/**
+ * Condition operators supported in access rule conditions
+ * @type {Object<string, Function>}
+ */
+const OPERATORS = {
+  EQUALS: (actual, values) => values.includes(actual),
+  NOT_EQUALS: (actual, values) => !values.includes(actual),
+  IN: (actual, values) => values.includes(actual),
+  NOT_IN: (actual, values) => !values.includes(actual),
+  INCLUDES_ANY: (actual, values) => toArray(actual).some(value => values.includes(value)),
+  INCLUDES_ALL: (actual, values) => values.every(value => toArray(actual).includes(value)),
+  GREATER_THAN: (actual, values) => Number(actual) > Number(values[0]),
+  GREATER_THAN_OR_EQUAL: (actual, values) => Number(actual) >= Number(values[0]),
+  GREATER_EQUAL: (actual, values) => Number(actual) >= Number(values[0]),
+  LESS_THAN: (actual, values) => Number(actual) < Number(values[0]),
+  LESS_THAN_OR_EQUAL: (actual, values) => Number(actual) <= Number(values[0]),
+  LESS_EQUAL: (actual, values) => Number(actual) <= Number(values[0])
+};
+
+/**
+ * Wrap a value in an array unless it already is one
+ * @param {*} value - Value to wrap
+ * @returns {Array} Array form of the value
+ */
+function toArray(value) {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Policy engine for the access-rules format
+ * @class PolicyEngine
+ */
+class PolicyEngine {
+  /**
+   * Create a new policy engine
+   * @param {Object} options - Configuration options
+   * @param {Object} options.policy - Policy document in the access-rules format
+   * @param {Function} [options.resolveSubject] - Async function (researcher) => { role, credentials, trustScore, mfaVerified, ... }
+   * @param {Object<string, string>} [options.categoryAliases] - Extra on-chain category aliases
+   * @param {string} [options.defaultSensitivity='HIGH'] - Sensitivity assumed for datasets that declare none
+   * @param {boolean} [options.enforceMfa=true] - Whether to deny researchers without verified MFA where the policy requires it;
+   *   turn it off only where MFA is enforced outside the policy engine
+   * @param {Function} [options.clock] - Returns the current Date (for testing)
+   */
+  constructor({
+    policy,
+    resolveSubject = null,
+    categoryAliases = {},
+    defaultSensitivity = DEFAULT_SENSITIVITY,
+    enforceMfa = true,
+    clock = () => new Date()
+  }) {
+    this.resolveSubject = resolveSubject || (async () => ({ role: 'RESEARCHER', credentials: [] }));
+    this.categoryAliases = { ...DEFAULT_CATEGORY_ALIASES, ...categoryAliases };
+    this.defaultSensitivity = defaultSensitivity;
+    this.enforceMfa = enforceMfa;
+    this.clock = clock;
+
+    this.load(policy);
+  }
+
+  /**
+   * Create a policy engine from a policy file
+   * @param {string} filePath - Path of the JSON policy document
+   * @param {Object} [options={}] - Additional constructor options
+   * @returns {PolicyEngine} Policy engine
+   * @throws {Error} If the file cannot be read or parsed
+   */
+  static fromFile(filePath, options = {}) {
+    try {
+      const policy = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      return new PolicyEngine({ ...options, policy });
+    } catch (error) {
+      logger.error(`Failed to load access policy from ${filePath}:`, error);
+      throw new Error(`Policy loading failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Replace the active policy document
+   * @param {Object} policy - Policy document in the access-rules format
+   * @throws {Error} If the document is missing required sections
+   */
+  load(policy) {
+    if (!policy || typeof policy !== 'object') {
+      throw new Error('Policy document is required');
+    }
+    for (const section of ['globalSettings', 'roles', 'sensitivityLevels', 'purposeCategories', 'accessRules']) {
+      if (!policy[section]) {
+        throw new Error(`Policy document is missing ${section}`);
+      }
+    }
+
+    this.policy = policy;
+    this.roles = new Map(policy.roles.map(role => [role.roleId, role]));
+    this.sensitivityLevels = new Map(policy.sensitivityLevels.map(level => [level.levelId, level]));
+    this.purposes = new Map(policy.purposeCategories.map(purpose => [purpose.categoryId, purpose]));
+
+    logger.info(`Loaded access policy version ${policy.version || 'unknown'} with ${policy.accessRules.length} access rules`);
+  }
+
+  /**
+   * Resolve a researcher's attributes and evaluate an access request
+   * @param {Object} params - Request parameters
+   * @param {string} params.researcher - Researcher address
+   * @param {string} params.purpose - Declared purpose category
+   * @param {Object} params.dataVault - Data vault metadata (dataCategory, sensitivity)
+   * @param {number} [params.concurrentAccessCount=0] - Researcher's in-flight accesses
+   * @returns {Promise<Object>} Decision (see evaluate)
+   */
+  async evaluateAccess({ researcher, purpose, dataVault, concurrentAccessCount = 0 }) {
+    const subject = (await this.resolveSubject(researcher)) || {};
+    return this.evaluate({
+      ...subject,
+      researcher,
+      purpose,
+      dataCategory: dataVault.dataCategory,
+      sensitivity: dataVault.sensitivity,
+      concurrentAccessCount
+    });
+  }
+
+  /**
+   * Evaluate an access request
+   * @param {Object} request - Access request attributes
+   * @param {string} request.role - Researcher role ID
+   * @param {string} request.purpose - Purpose category ID
+   * @param {Array<string>} [request.credentials=[]] - Researcher credentials
+   * @param {number} [request.trustScore] - Researcher trust score
+   * @param {boolean} [request.mfaVerified=false] - Whether the researcher completed MFA
+   * @param {string} [request.dataCategory] - Dataset category
+   * @param {string} [request.sensitivity] - Dataset sensitivity level
+   * @param {number} [request.concurrentAccessCount=0] - Researcher's in-flight accesses
+   * @param {Date} [request.at] - Time of the request (defaults to now)
+   * @returns {Object} Decision with `allowed`, `matchedRules`, `reasons` and `requirements`
+   */
+  evaluate(request) {
+    const { globalSettings } = this.policy;
+    const reasons = [];
+    const matchedRules = [];
+
+    const at = request.at || this.clock();
+    const sensitivity = (request.sensitivity || this.defaultSensitivity).toUpperCase();
+    const dataCategory = this._normalizeCategory(request.dataCategory);
+    const lineage = this._roleLineage(request.role);
+    const attributes = {
+      credentials: [],
+      ...request,
+      role: request.role,
+      dataCategory,
+      sensitivity
+    };
+
+    // Role must exist and be allowed to request dataset access
+    if (lineage.length === 0) {
+      reasons.push(`Unknown role: ${request.role}`);
+    } else if (!this._rolePermissions(lineage).has('REQUEST_DATASET_ACCESS')) {
+      reasons.push(`Role ${request.role} may not request dataset access`);
+    }
+
+    // Purpose must exist, admit the role, be backed by the researcher's credentials and cover the sensitivity level
+    const purpose = this.purposes.get(request.purpose);
+    if (!purpose) {
+      reasons.push(`Unknown purpose: ${request.purpose}`);
+    } else {
+      if (!purpose.allowedRoles.some(roleId => lineage.includes(roleId))) {
+        reasons.push(`Role ${request.role} is not allowed for purpose ${request.purpose}`);
+      }
+      const credentials = toArray(request.credentials);
+      const missingCredentials = (purpose.requiredCredentials || []).filter(credential => !credentials.includes(credential));
+      if (missingCredentials.length > 0) {
+        reasons.push(`Purpose ${request.purpose} requires credentials ${missingCredentials.join(', ')}`);
+      }
+      if (purpose.defaultSensitivityAccess && !purpose.defaultSensitivityAccess.includes(sensitivity)) {
+        reasons.push(`Purpose ${request.purpose} does not cover ${sensitivity} sensitivity data`);
+      }
+    }
+
+    // Sensitivity level requirements, including MFA
+    const level = this.sensitivityLevels.get(sensitivity);
+    const levelRequirements = (level && level.accessRequirements) || {};
+    if (!level) {
+      reasons.push(`Unknown sensitivity level: ${sensitivity}`);
+    }
+    const mfaSettings = (globalSettings.enforceMFA && globalSettings.enforceMFA.forDatasetAccess) || {};
+    const mfaRequired = Boolean(levelRequirements.mfaRequired || mfaSettings[MFA_SETTING_BY_SENSITIVITY[sensitivity]]);
+    if (mfaRequired && this.enforceMfa && !request.mfaVerified) {
+      reasons.push(`Multi-factor authentication is required for ${sensitivity} sensitivity data`);
+    }
+
+    // Access rules for the dataset's category and sensitivity; all must be satisfied
+    const applicableRules = this.policy.accessRules.filter(rule =>
+      rule.appliesTo.dataCategories.includes(dataCategory) &&
+      rule.appliesTo.sensitivityLevels.includes(sensitivity)
+    );
+    for (const rule of applicableRules) {
+      const failures = this._evaluateRule(rule, attributes, at, lineage);
+      if (failures.length === 0) {
+        matchedRules.push(rule.ruleId);
+      } else {
+        reasons.push(...failures.map(failure => `${rule.ruleId}: ${failure}`));
+      }
+    }
+    if (applicableRules.length === 0 && (globalSettings.defaultDenyPolicy || globalSettings.requireExplicitRules)) {
+      reasons.push(`No access rule applies to ${dataCategory || 'uncategorized'} data at ${sensitivity} sensitivity`);
+    }
+
+    // Global time restrictions and maintenance windows
+    reasons.push(...this._evaluateTimeRestrictions(at, lineage));
+
+    // Concurrency limit
+    const concurrentAccessCount = request.concurrentAccessCount || 0;
+    if (globalSettings.maxConcurrentAccess && concurrentAccessCount >= globalSettings.maxConcurrentAccess) {
+      reasons.push(`Concurrent access limit of ${globalSettings.maxConcurrentAccess} reached`);
+    }
+
+    const allowed = reasons.length === 0;
+    const decision = {
+      allowed,
+      matchedRules,
+      reasons,
+      requirements: {
+        mfaRequired,
+        approvalRequired: Boolean(levelRequirements.approvalRequired),
+        zkpVerificationRequired: Boolean(levelRequirements.zkpVerificationRequired),
+        privacyRequirements: applicableRules
+          .filter(rule => matchedRules.includes(rule.ruleId))
+          .map(rule => ({ ruleId: rule.ruleId, ...rule.privacyRequirements }))
+      },
+      evaluatedAt: at.getTime()
+    };
+
+    logger.debug(`Policy decision for ${request.researcher || request.role}: ${allowed ? 'allow' : 'deny'}`);
+    return decision;
+  }
+
+  /**
+   * Evaluate the conditions and time windows of a single access rule
+   * @param {Object} rule - Access rule
+   * @param {Object} attributes - Request attributes
+   * @param {Date} at - Time of the request
+   * @param {Array<string>} lineage - Role and its ancestors
+   * @returns {Array<string>} Failure reasons (empty if the rule is satisfied)
+   * @private
+   */
+  _evaluateRule(rule, attributes, at, lineage) {
+    const failures = [];
+
+    for (const condition of rule.conditions || []) {
+      const operator = OPERATORS[condition.operator];
+      if (!operator) {
+        failures.push(`unsupported operator ${condition.operator}`);
+        continue;
+      }
+
+      // Role conditions are satisfied by an inherited role as well
+      const satisfied = condition.attribute === 'role'
+        ? lineage.some(roleId => operator(roleId, condition.values))
+        : attributes[condition.attribute] !== undefined && operator(attributes[condition.attribute], condition.values);
+
+      if (!satisfied) {
+        failures.push(`${condition.attribute} must satisfy ${condition.operator} ${JSON.stringify(condition.values)}`);
+      }
+    }
+
+    const windows = rule.timeRestrictions && rule.timeRestrictions.allowedTimeWindows;
+    if (windows && windows.length > 0 && !windows.some(window => this._inWindow(at, window))) {
+      failures.push('outside the allowed time windows');
+    }
+
+    return failures;
+  }
+
+  /**
+   * Evaluate global time restrictions, role exceptions and maintenance windows
+   * @param {Date} at - Time of the request
+   * @param {Array<string>} lineage - Role and its ancestors
+   * @returns {Array<string>} Failure reasons
+   * @private
+   */
+  _evaluateTimeRestrictions(at, lineage) {
+    const restrictions = this.policy.timeBasedRestrictions;
+    if (!restrictions || !restrictions.enforceTimeRestrictions) return [];
+
+    const reasons = [];
+    const isAdmin = lineage.includes('ADMIN');
+
+    for (const window of restrictions.maintenanceWindows || []) {
+      const maintenanceWindow = { ...window, days: window.days || [window.day] };
+      if (this._inWindow(at, maintenanceWindow) && window.accessLevel === 'ADMIN_ONLY' && !isAdmin) {
+        reasons.push(`Access is suspended during ${window.name}`);
+      }
+    }
+
+    const exceptions = (restrictions.exceptions || [])
+      .filter(exception => exception.roles.some(roleId => lineage.includes(roleId)));
+    const windows = [restrictions.defaultAllowedTimes, ...exceptions].filter(Boolean);
+    if (windows.length > 0 && !windows.some(window => this._inWindow(at, window))) {
+      reasons.push('Request is outside the allowed access hours');
+    }
+
+    return reasons;
+  }
+
+  /**
+   * Check whether a time falls inside a window
+   * @param {Date} at - Time to check
+   * @param {Object} window - Window with startTime, endTime (HH:MM:SS), timezone and days
+   * @returns {boolean} Whether the time is inside the window
+   * @private
+   */
+  _inWindow(at, { startTime = '00:00:00', endTime = '23:59:59', timezone = 'UTC', days = WEEKDAYS }) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      weekday: 'long',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      hourCycle: 'h23'
+    }).formatToParts(at).reduce((result, part) => ({ ...result, [part.type]: part.value }), {});
+
+    const day = parts.weekday.toUpperCase();
+    const time = `${parts.hour}:${parts.minute}:${parts.second}`;
+
+    if (!days.includes(day)) return false;
+    // Windows that wrap past midnight (e.g. 22:00-06:00)
+    if (startTime > endTime) return time >= startTime || time <= endTime;
+    return time >= startTime && time <= endTime;
+  }
+
+  /**
+   * Get a role followed by the roles it inherits from
+   * @param {string} roleId - Role ID
+   * @returns {Array<string>} Role lineage (empty if the role is unknown)
+   * @private
+   */
+  _roleLineage(roleId) {
+    const lineage = [];
+    let current = this.roles.get(roleId);
+    while (current && !lineage.includes(current.roleId)) {
+      lineage.push(current.roleId);
+      current = current.inheritFrom ? this.roles.get(current.inheritFrom) : null;
+    }
+    return lineage;
+  }
+
+  /**
+   * Collect the effective permissions of a role lineage
+   * @param {Array<string>} lineage - Role lineage
+   * @returns {Set<string>} Permissions
+   * @private
+   */
+  _rolePermissions(lineage) {
+    const permissions = new Set();
+    for (const roleId of lineage) {
+      const role = this.roles.get(roleId);
+      for (const permission of [...(role.permissions || []), ...(role.additionalPermissions || [])]) {
+        permissions.add(permission);
+      }
+    }
+    return permissions;
+  }
+
+  /**
+   * Map a dataset category onto the policy's category names
+   * @param {string} category - Dataset category
+   * @returns {string|null} Normalized category
+   * @private
+   */
+  _normalizeCategory(category) {
+    if (!category) return null;
+    const normalized = String(category).trim().toUpperCase().replace(/[\s-]+/g, '_');
+    return this.categoryAliases[normalized] || normalized;
+  }
+}
+
+module.exports = PolicyEngine;
@@ -9,6 +9,60 @@
 const EventEmitter = require('events');
 const { v4: uuidv4 } = require('uuid');
 const logger = require('../../utils/logger')('privacy-layer:core');
+const BudgetLedger = require('./BudgetLedger');
+const ReleaseControl = require('./ReleaseControl');
+const ComputationPipeline = require('./ComputationPipeline');
+const SyntheticData = require('./SyntheticData');
+const VaultVersions = require('./VaultVersions');
+const { normalizeResidency } = require('../smpc/residency');
+const { tracer: defaultTracer } = require('../monitoring/tracing');
+
+/**
+ * State store collection names for persisted Privacy Layer state
+ * @enum {string}
+ */
+const StateCollection = {
+  DATA_VAULTS: 'dataVaults',
+  ACCESS_REQUESTS: 'accessRequests',
+  COMPUTATIONS: 'computations',
+  ACCESS_PROOFS: 'accessProofs',
+  BUDGET_CAPS: 'budgetCaps',
+  BUDGET_CHARGES: 'budgetCharges',
+  QUOTES: 'quotes',
+  VAULT_VERSIONS: 'vaultVersions'
+};
+
+// Computation statuses that were in flight when the process stopped
+const RESUMABLE_STATUSES = ['preparing', 'ready'];
+const INTERRUPTED_STATUSES = ['executing'];
+const FINAL_STATUSES = ['completed', 'blocked', 'cancelled', 'failed'];
+
+/**
+ * Access types of marketplace listings, as modelled by the access circuit
+ * @enum {number}
+ */
+const AccessType = {
+  ONE_TIME: 1,
+  SUBSCRIPTION: 2,
+  PERPETUAL: 3
+};
+
+/**
+ * Payment models of marketplace listings
+ * @enum {number}
+ */
+const PaymentModel = {
+  FIXED: 1,
+  PER_QUERY: 2,
+  REVENUE_SHARE: 3
+};
+
+const LISTING_STATE_ACTIVE = 1;
+
+const DEFAULT_QUOTE_TTL_MS = 900000; // 15 minutes
+const ONE_TIME_ACCESS_TTL_MS = 86400000; // One day, as granted by the marketplace
+const DEFAULT_ACCESS_TTL_MS = 86400000 * 30; // Listings without a known access type
+const MAX_TIMER_DELAY_MS = 2147483647; // Longest delay setTimeout accepts
 
 /**
  * Main Privacy Layer class that integrates all privacy components
@@ -25,6 +79,18 @@ class PrivacyLayer extends EventEmitter {
    * @param {Object} options.encryptionService - Encryption service
    * @param {Object} options.federatedLearning - Federated learning component
    * @param {Object} options.differentialPrivacy - Differential privacy component
+   * @param {Object} [options.stateStore] - State store used to persist and rehydrate state
+   * @param {BudgetLedger} [options.budgetLedger] - Privacy budget ledger (created from config.privacyBudget if omitted)
+   * @param {AuditLog} [options.auditLog] - Audit log that records every emitted event
+   * @param {PolicyEngine} [options.policyEngine] - Access policy engine consulted before granting or using access
+   * @param {ReleaseControl} [options.releaseControl] - Release rules applied before results are stored (created from config.releaseControl if omitted)
+   * @param {VaultVersions} [options.vaultVersions] - Version history of vault data (created from config.vaultVersions if omitted)
+   * @param {ConsentRegistry} [options.consentRegistry] - Per-record consent of vault records; consent management is unavailable if omitted
+   * @param {Object} [options.simulation] - Components that run simulated computations; simulation is unavailable if omitted
+   * @param {SMPCOrchestrator} options.simulation.orchestrator - Orchestrator whose coordinator hosts in-process nodes
+   * @param {LocalCoordinator} options.simulation.coordinator - That coordinator, used to load synthetic data onto the nodes
+   * @param {SyntheticData} [options.syntheticData] - Synthetic record generator (created from config.simulation if omitted)
+   * @param {Tracer} [options.tracer] - Tracer recording computation spans (the shared tracer if omitted)
    * @param {Object} options.config - Configuration settings
    */
   constructor({
@@ -34,6 +100,16 @@ class PrivacyLayer extends EventEmitter {
     encryptionService,
     federatedLearning,
     differentialPrivacy,
+    stateStore = null,
+    budgetLedger = null,
+    auditLog = null,
+    policyEngine = null,
+    releaseControl = null,
+    vaultVersions = null,
+    consentRegistry = null,
+    simulation = null,
+    syntheticData = null,
+    tracer = null,
     config
   }) {
     super();
@@ -45,27 +121,166 @@ class PrivacyLayer extends EventEmitter {
     this.encryptionService = encryptionService;
     this.federatedLearning = federatedLearning;
     this.differentialPrivacy = differentialPrivacy;
+    this.stateStore = stateStore;
+    this.budgetLedger = budgetLedger || new BudgetLedger((config && config.privacyBudget) || {});
+    this.auditLog = auditLog;
+    this.policyEngine = policyEngine;
+    this.releaseControl = releaseControl || new ReleaseControl((config && config.releaseControl) || {});
+    this.vaultVersions = vaultVersions || new VaultVersions((config && config.vaultVersions) || {});
+    this.consentRegistry = consentRegistry;
+    this.simulation = simulation;
+    this.syntheticData = syntheticData || new SyntheticData((config && config.simulation) || {});
+    this.tracer = tracer || defaultTracer;
     this.config = config;
     
     // Initialize internal state
     this.dataVaults = new Map(); // Map of dataVaultId => metadata
     this.accessRequests = new Map(); // Map of requestId => request metadata
     this.computations = new Map(); // Map of computationId => computation state
+    this.orchestrating = new Set(); // IDs of computations being orchestrated but not yet recorded
     this.accessProofs = new Map(); // Map of (listingId, researcher) => access proof
+    this.quotes = new Map(); // Map of quoteId => computation quote
+    this.expiryTimer = null; // Fires when the next access grant expires
     
     // Bind methods to maintain context
     this.registerDataVault = this.registerDataVault.bind(this);
     this.processAccessRequest = this.processAccessRequest.bind(this);
     this.setupSecureAccess = this.setupSecureAccess.bind(this);
     this.revokeAccess = this.revokeAccess.bind(this); // Added revocation method
+    this.deregisterDataVault = this.deregisterDataVault.bind(this);
+    this.syncVaultVersion = this.syncVaultVersion.bind(this);
+    this.withdrawAccessRequest = this.withdrawAccessRequest.bind(this);
+    this.cancelComputation = this.cancelComputation.bind(this);
+    this.abortComputation = this.abortComputation.bind(this);
+    this.quoteComputation = this.quoteComputation.bind(this);
+    this.acceptQuote = this.acceptQuote.bind(this);
     this.orchestrateComputation = this.orchestrateComputation.bind(this);
+    this.rerunComputation = this.rerunComputation.bind(this);
     this.verifyAccessRights = this.verifyAccessRights.bind(this);
     this.executePrivateComputation = this.executePrivateComputation.bind(this);
     this.publishResults = this.publishResults.bind(this);
+    this.restore = this.restore.bind(this);
+    this.setVaultBudgetCap = this.setVaultBudgetCap.bind(this);
+    this.recordConsent = this.recordConsent.bind(this);
+    this.withdrawConsent = this.withdrawConsent.bind(this);
+    this.expireAccessGrants = this.expireAccessGrants.bind(this);
+    
+    // Record every event from here on, including those emitted while restoring
+    if (this.auditLog) {
+      this.auditLog.attach(this);
+    }
     
     logger.info('Privacy Layer initialized');
   }
 
+  /**
+   * Rehydrate state from the state store and recover interrupted computations.
+   * Computations that were preparing or ready are set up again and executed;
+   * computations that were executing resume their SMPC session from the
+   * orchestrator's checkpoint, and are marked failed if it has none.
+   * Completed but unpublished results are published again. Without recovery
+   * the state is only loaded: nothing is resumed, failed, republished,
+   * revoked or written, so a snapshot of a running deployment can be
+   * inspected without interfering with it.
+   * @param {Object} [options={}] - Restore options
+   * @param {boolean} [options.recover=true] - Recover interrupted computations and expired grants
+   * @returns {Promise<Object>} Counts of restored records and recovered computations
+   * @throws {Error} If the state store cannot be loaded
+   */
+  async restore({ recover = true } = {}) {
+    if (!this.stateStore) {
+      return { dataVaults: 0, accessRequests: 0, computations: 0, accessProofs: 0, resumed: 0, failed: 0 };
+    }
+
+    try {
+      logger.info('Restoring Privacy Layer state');
+
+      const state = await this.stateStore.load();
+      const load = (collection, target) => {
+        for (const [key, value] of (state[collection] || new Map()).entries()) {
+          target.set(key, value);
+        }
+      };
+
+      load(StateCollection.DATA_VAULTS, this.dataVaults);
+      load(StateCollection.ACCESS_REQUESTS, this.accessRequests);
+      load(StateCollection.COMPUTATIONS, this.computations);
+      load(StateCollection.ACCESS_PROOFS, this.accessProofs);
+      load(StateCollection.QUOTES, this.quotes);
+      this.budgetLedger.load({
+        caps: state[StateCollection.BUDGET_CAPS],
+        charges: state[StateCollection.BUDGET_CHARGES]
+      });
+      this.vaultVersions.load(state[StateCollection.VAULT_VERSIONS]);
+      
+      // Proofs are verified against the verifier's registry, which is not persisted on its own
+      for (const accessData of this.accessProofs.values()) {
+        this.zkpVerifier.restoreProof(accessData.proof);
+      }
+
+      const { resumed, failed } = recover ? await this._recover() : { resumed: 0, failed: 0 };
+      const summary = {
+        dataVaults: this.dataVaults.size,
+        accessRequests: this.accessRequests.size,
+        computations: this.computations.size,
+        accessProofs: this.accessProofs.size,
+        resumed,
+        failed
+      };
+
+      this.emit('state:restored', summary);
+      logger.info('Privacy Layer state restored', summary);
+      return summary;
+    } catch (error) {
+      logger.error('Failed to restore Privacy Layer state:', error);
+      throw new Error(`State restoration failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Recover from a restart: backfill vault versions, revoke the grants that
+   * expired and resume, fail or republish interrupted computations
+   * @returns {Promise<Object>} Counts of resumed and failed computations
+   * @private
+   */
+  async _recover() {
+    // Vaults registered before versioning start their history at the data hash they were registered with
+    for (const vault of this.dataVaults.values()) {
+      if (!vault.currentVersion && vault.dataHash) {
+        vault.currentVersion = (await this._recordVaultVersion(vault.id, vault.dataHash)).version.versionId;
+        await this._persist(StateCollection.DATA_VAULTS, vault.id, vault);
+      }
+    }
+
+    // Grants that expired while the process was down are revoked now; the rest are scheduled
+    await this.expireAccessGrants();
+
+    let resumed = 0;
+    let failed = 0;
+    for (const computation of this.computations.values()) {
+      if (RESUMABLE_STATUSES.includes(computation.status)) {
+        resumed++;
+        this._resumeComputation(computation)
+          .catch(error => logger.error(`Failed to resume computation ${computation.id}:`, error));
+      } else if (INTERRUPTED_STATUSES.includes(computation.status)) {
+        if (await this._isCheckpointed(computation)) {
+          resumed++;
+          this.emit('computation:resumed', { id: computation.id });
+          this.executePrivateComputation(computation.id, { resume: true })
+            .catch(error => logger.error(`Resumed computation ${computation.id} execution failed:`, error));
+        } else {
+          failed++;
+          await this._failComputation(computation, 'Interrupted by process restart');
+        }
+      } else if (computation.status === 'completed' && !computation.publication) {
+        resumed++;
+        this.publishResults(computation.id)
+          .catch(error => logger.error(`Failed to republish computation ${computation.id}:`, error));
+      }
+    }
+    return { resumed, failed };
+  }
+
   /**
    * Register a new data vault in the privacy layer
    * @param {string} dataVaultId - ID of the data vault
@@ -86,6 +301,9 @@ class PrivacyLayer extends EventEmitter {
       // Generate encryption keys for the vault
       const encryptionKeys = await this.encryptionService.generateKeyPair();
       
+      // The registered data is the vault's first version, or its current one if it was registered before
+      const { version } = await this._recordVaultVersion(dataVaultId, vaultData.dataHash);
+      
       // Store vault metadata
       const vaultMetadata = {
         id: dataVaultId,
@@ -93,10 +311,26 @@ class PrivacyLayer extends EventEmitter {
         encryptionKeys,
         accessRules: vaultData.accessRules,
         dataHash: vaultData.dataHash,
+        currentVersion: version.versionId,
+        dataCategory: vaultData.dataCategory || null,
+        sensitivity: vaultData.sensitivityLevel || null,
+        dataSchema: vaultData.dataSchema || null,
+        // Regions and node operators the vault's data may be processed by
+        residency: normalizeResidency(vaultData.residency),
         registeredAt: Date.now()
       };
       
       this.dataVaults.set(dataVaultId, vaultMetadata);
+      await this._persist(StateCollection.DATA_VAULTS, dataVaultId, vaultMetadata);
+      
+      // Apply the owner's privacy budget cap if the vault declares one
+      if (vaultData.privacyBudget && vaultData.privacyBudget.epsilon) {
+        const cap = this.budgetLedger.setVaultCap(dataVaultId, {
+          epsilon: Number(vaultData.privacyBudget.epsilon),
+          delta: vaultData.privacyBudget.delta !== undefined ? Number(vaultData.privacyBudget.delta) : undefined
+        }, vaultData.owner);
+        await this._persist(StateCollection.BUDGET_CAPS, dataVaultId, cap);
+      }
       
       // Emit event for downstream components
       this.emit('vault:registered', vaultMetadata);
@@ -136,6 +370,9 @@ class PrivacyLayer extends EventEmitter {
         throw new Error(`Researcher ${researcher} is not verified`);
       }
       
+      // Evaluate the access policy before any proof is generated
+      const policyDecision = await this._evaluatePolicy(dataVaultId, researcher, purpose, listingId);
+      
       // Generate a unique request ID
       const requestId = uuidv4();
       
@@ -146,11 +383,18 @@ class PrivacyLayer extends EventEmitter {
         dataVaultId,
         researcher,
         purpose,
-        status: 'pending',
+        status: policyDecision && !policyDecision.allowed ? 'denied' : 'pending',
+        policyDecision,
         requestedAt: Date.now()
       };
       
       this.accessRequests.set(requestId, requestMetadata);
+      await this._persist(StateCollection.ACCESS_REQUESTS, requestId, requestMetadata);
+      
+      if (requestMetadata.status === 'denied') {
+        this.emit('access:denied', requestMetadata);
+        throw new Error(`Access denied by policy: ${policyDecision.reasons.join('; ')}`);
+      }
       
       // Emit event for downstream components
       this.emit('access:requested', requestMetadata);
@@ -192,23 +436,29 @@ class PrivacyLayer extends EventEmitter {
         timestamp: Date.now()
       });
       
-      // Generate secure access key for the researcher
+      // Generate secure access key for the researcher, valid as long as the grant
+      const createdAt = Date.now();
+      const expiresAt = this._grantExpiry(listing, createdAt);
       const accessKey = await this.encryptionService.generateAccessKey(
         vaultMetadata.encryptionKeys.publicKey,
-        { researcher, listingId, expiresAt: Date.now() + (86400000 * 30) } // 30 days expiry
+        { researcher, listingId, expiresAt }
       );
       
-      // Store access proof with expiration
+      // Store access proof with expiration; perpetual grants never expire
       const accessKeyId = `${listingId}-${researcher}`;
-      this.accessProofs.set(accessKeyId, {
+      const accessData = {
         proof: accessProof,
         accessKey,
         dataVaultId,
         listingId,
         researcher,
-        createdAt: Date.now(),
-        expiresAt: Date.now() + (86400000 * 30) // 30 days expiry
-      });
+        accessType: Number(listing.accessType),
+        createdAt,
+        expiresAt
+      };
+      this.accessProofs.set(accessKeyId, accessData);
+      await this._persist(StateCollection.ACCESS_PROOFS, accessKeyId, accessData);
+      this._scheduleExpiryCheck();
       
       // Emit event for downstream components
       this.emit('access:granted', {
@@ -252,6 +502,7 @@ class PrivacyLayer extends EventEmitter {
       
       // Remove access proof
       this.accessProofs.delete(accessKeyId);
+      await this._unpersist(StateCollection.ACCESS_PROOFS, accessKeyId);
       
       // Emit event for downstream components
       this.emit('access:revoked', {
@@ -267,23 +518,321 @@ class PrivacyLayer extends EventEmitter {
     }
   }
 
+  /**
+   * Remove a registered data vault, e.g. when its minting was reverted on-chain
+   * @param {string} dataVaultId - ID of the data vault
+   * @returns {Promise<void>}
+   * @throws {Error} If the vault is not registered
+   */
+  async deregisterDataVault(dataVaultId) {
+    try {
+      const vaultMetadata = this.dataVaults.get(dataVaultId);
+      if (!vaultMetadata) {
+        throw new Error(`Data vault ${dataVaultId} not registered`);
+      }
+      
+      this.dataVaults.delete(dataVaultId);
+      await this._unpersist(StateCollection.DATA_VAULTS, dataVaultId);
+      
+      this.emit('vault:deregistered', { id: dataVaultId, owner: vaultMetadata.owner });
+      
+      logger.info(`Data vault ${dataVaultId} deregistered`);
+    } catch (error) {
+      logger.error(`Failed to deregister data vault ${dataVaultId}:`, error);
+      throw new Error(`Data vault deregistration failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Bring a registered data vault up to the data hash it points at on-chain,
+   * e.g. after its owner updated the data. A changed hash becomes a new
+   * version; computations already running keep the version they pinned.
+   * @param {string} dataVaultId - ID of the data vault
+   * @returns {Promise<Object>} The vault's current version
+   * @throws {Error} If the vault is not registered or its metadata cannot be read
+   */
+  async syncVaultVersion(dataVaultId) {
+    try {
+      const vaultMetadata = this.dataVaults.get(dataVaultId);
+      if (!vaultMetadata) {
+        throw new Error(`Data vault ${dataVaultId} not registered`);
+      }
+      
+      const vaultData = await this.contracts.dataVaultNFT.methods.getVaultMetadata(dataVaultId).call();
+      const { version, created, retired } = await this._recordVaultVersion(dataVaultId, vaultData.dataHash);
+      if (!created) {
+        return version;
+      }
+      
+      vaultMetadata.dataHash = version.dataHash;
+      vaultMetadata.currentVersion = version.versionId;
+      await this._persist(StateCollection.DATA_VAULTS, dataVaultId, vaultMetadata);
+      
+      this.emit('vault:version-created', { ...version, retiredVersionIds: retired.map(older => older.versionId) });
+      
+      logger.info(`Data vault ${dataVaultId} updated to version ${version.version}`);
+      return version;
+    } catch (error) {
+      logger.error(`Failed to sync version of data vault ${dataVaultId}:`, error);
+      throw new Error(`Data vault version sync failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Withdraw the pending access request of a researcher for a listing
+   * @param {string} listingId - ID of the marketplace listing
+   * @param {string} researcher - Address of the researcher
+   * @returns {Promise<Object>} Withdrawn access request metadata
+   * @throws {Error} If no access request exists
+   */
+  async withdrawAccessRequest(listingId, researcher) {
+    try {
+      const request = this._findAccessRequest(listingId, researcher);
+      if (!request) {
+        throw new Error(`No access request found for listing ${listingId} and researcher ${researcher}`);
+      }
+      
+      request.status = 'withdrawn';
+      request.withdrawnAt = Date.now();
+      await this._persist(StateCollection.ACCESS_REQUESTS, request.id, request);
+      
+      this.emit('access:withdrawn', request);
+      
+      logger.info(`Access request ${request.id} withdrawn`);
+      return request;
+    } catch (error) {
+      logger.error(`Failed to withdraw access request for listing ${listingId}:`, error);
+      throw new Error(`Access request withdrawal failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Cancel a computation that has not completed and return its privacy budget.
+   * Completed computations cannot be cancelled, since their results were released.
+   * @param {string} computationId - ID of the computation
+   * @param {string} reason - Cancellation reason
+   * @returns {Promise<Object>} Computation metadata
+   * @throws {Error} If the computation is not found or already completed
+   */
+  async cancelComputation(computationId, reason) {
+    try {
+      const computation = this.computations.get(computationId);
+      if (!computation) {
+        throw new Error(`Computation ${computationId} not found`);
+      }
+      if (computation.status === 'completed') {
+        throw new Error(`Computation ${computationId} already completed; its results cannot be withdrawn`);
+      }
+      if (computation.status === 'blocked') {
+        throw new Error(`Computation ${computationId} already completed; its release was blocked`);
+      }
+      
+      computation.status = 'cancelled';
+      computation.error = reason;
+      await this._persist(StateCollection.COMPUTATIONS, computationId, computation);
+      
+      if (computation.privacyCost) {
+        this.budgetLedger.refund(computationId);
+        await this._unpersist(StateCollection.BUDGET_CHARGES, computationId);
+      }
+      await this._releaseGrants(computation);
+      
+      this.emit('computation:cancelled', { id: computationId, reason });
+      
+      logger.info(`Computation ${computationId} cancelled: ${reason}`);
+      return computation;
+    } catch (error) {
+      logger.error(`Failed to cancel computation ${computationId}:`, error);
+      throw new Error(`Computation cancellation failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Abort a computation on its SMPC nodes and cancel it, unless it already
+   * finished. Cancelling returns the computation's budget and releases its
+   * grants.
+   * @param {string} computationId - ID of the computation
+   * @param {string} reason - Reason for the abort
+   * @returns {Promise<Object>} Whether the nodes aborted it and whether it was cancelled, with its status before
+   * @throws {Error} If neither the Privacy Layer nor the orchestrator knows the computation
+   */
+  async abortComputation(computationId, reason) {
+    const computation = this.computations.get(computationId);
+    if (!computation && !this.smpcOrchestrator.getComputationStatus(computationId)) {
+      throw new Error(`Computation ${computationId} not found`);
+    }
+    const status = computation ? computation.status : null;
+
+    const aborted = await this.smpcOrchestrator.abortComputation(computationId, reason);
+    const cancelled = Boolean(computation) && !FINAL_STATUSES.includes(status);
+    if (cancelled) {
+      await this.cancelComputation(computationId, reason);
+    }
+    return { id: computationId, aborted, cancelled, status, reason };
+  }
+
+  /**
+   * Quote what a computation would cost before it is orchestrated
+   * @param {Object} params - Quote parameters
+   * @param {Array<string>} params.dataVaultIds - IDs of data vaults to include in computation
+   * @param {string} params.computationType - Type of computation to perform
+   * @param {Object} [params.privacyParameters] - Privacy parameters (defaults to those generated for the type)
+   * @param {string} [params.researcher] - Researcher the quote is for; access already paid for is not priced again
+   * @returns {Promise<Object>} Quote with node count, runtime, proof cost, privacy budget and price
+   * @throws {Error} If the computation cannot be quoted
+   */
+  async quoteComputation({ dataVaultIds, computationType, privacyParameters = null, researcher = null }) {
+    try {
+      logger.info(`Quoting ${computationType} computation over ${dataVaultIds.length} data vaults`);
+      
+      const parameters = privacyParameters || this.differentialPrivacy.generateParameters(computationType);
+      const { epsilon, delta = 0 } = parameters;
+      if (!(epsilon > 0) || !(delta >= 0)) {
+        throw new Error('Quote requires a positive epsilon and a non-negative delta');
+      }
+      
+      const estimate = this.smpcOrchestrator.estimateComputation({
+        type: computationType,
+        dataVaultIds,
+        residency: this._residencyOf(dataVaultIds)
+      });
+      const proofEstimate = this.zkpVerifier.estimateComputationProof();
+      
+      const privacyBudget = this._budgetImpact(dataVaultIds, { epsilon, delta });
+      const byVault = {};
+      let total = BigInt(0);
+      for (const dataVaultId of dataVaultIds) {
+        byVault[dataVaultId] = await this._priceDataVault(dataVaultId, researcher);
+        total += BigInt(byVault[dataVaultId].amount);
+      }
+      
+      const quotedAt = Date.now();
+      const quote = {
+        id: uuidv4(),
+        researcher,
+        dataVaultIds: [...dataVaultIds],
+        computationType,
+        privacyParameters: parameters,
+        nodes: { count: estimate.nodeCount, threshold: estimate.threshold },
+        estimatedRuntimeMs: estimate.estimatedRuntimeMs,
+        proofGeneration: { estimatedMs: proofEstimate.estimatedMs },
+        privacyBudget,
+        price: { currency: 'PRIVA', total: total.toString(), byVault },
+        status: 'pending',
+        quotedAt,
+        expiresAt: quotedAt + ((this.config && this.config.quotes && this.config.quotes.ttlMs) || DEFAULT_QUOTE_TTL_MS)
+      };
+      
+      this.quotes.set(quote.id, quote);
+      await this._persist(StateCollection.QUOTES, quote.id, quote);
+      
+      this.emit('computation:quoted', quote);
+      
+      logger.info(`Computation quote ${quote.id} issued: ${quote.price.total} PRIVA, ~${quote.estimatedRuntimeMs}ms`);
+      return quote;
+    } catch (error) {
+      logger.error('Failed to quote computation:', error);
+      throw new Error(`Computation quote failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Accept a computation quote so that it can be used to orchestrate the computation
+   * @param {string} quoteId - ID of the quote
+   * @param {string} researcher - Address of the researcher accepting the quote
+   * @returns {Promise<Object>} Accepted quote
+   * @throws {Error} If the quote is unknown, expired, already accepted or issued to another researcher
+   */
+  async acceptQuote(quoteId, researcher) {
+    try {
+      const quote = this.quotes.get(quoteId);
+      if (!quote) {
+        throw new Error(`Quote ${quoteId} not found`);
+      }
+      if (quote.status !== 'pending') {
+        throw new Error(`Quote ${quoteId} is already ${quote.status}`);
+      }
+      if (Date.now() >= quote.expiresAt) {
+        throw new Error(`Quote ${quoteId} has expired`);
+      }
+      if (quote.researcher && quote.researcher.toLowerCase() !== researcher.toLowerCase()) {
+        throw new Error(`Quote ${quoteId} was issued to another researcher`);
+      }
+      
+      quote.status = 'accepted';
+      quote.researcher = researcher;
+      quote.acceptedAt = Date.now();
+      await this._persist(StateCollection.QUOTES, quoteId, quote);
+      
+      this.emit('quote:accepted', { quoteId, researcher });
+      
+      logger.info(`Quote ${quoteId} accepted by researcher ${researcher}`);
+      return quote;
+    } catch (error) {
+      logger.error(`Failed to accept quote ${quoteId}:`, error);
+      throw new Error(`Quote acceptance failed: ${error.message}`);
+    }
+  }
+
   /**
    * Orchestrate a privacy-preserving computation
    * @param {string} requestId - ID of the computation request
    * @param {string} researcher - Address of the researcher
    * @param {Array<string>} dataVaultIds - IDs of data vaults to include in computation
    * @param {string} computationType - Type of computation to perform
-   * @returns {Promise<Object>} Computation metadata
-   * @throws {Error} If orchestration fails or access is denied
+   * @param {Object} [options={}] - Orchestration options
+   * @param {string} [options.quoteId] - Accepted quote for the computation (required when config.quotes.required is set)
+   * @param {Object} [options.pipeline] - Pipeline of protocol steps to run instead of a single protocol;
+   *   see ComputationPipeline. Only the output step's result is revealed.
+   * @param {Object<string, string>} [options.versions] - Version IDs keyed by vault ID to run on instead of
+   *   the vaults' current versions; see getVaultVersions
+   * @param {boolean} [options.simulate=false] - Run the computation over synthetic data on in-process nodes
+   *   and return a simulation report instead; no budget is charged, no grant is used and nothing is published
+   * @returns {Promise<Object>} Computation metadata, or the simulation report when simulating
+   * @throws {Error} If a computation with the request ID already exists, orchestration fails, access is
+   *   denied, the pipeline is invalid, a pinned version is unknown or no longer retained, or the quote is
+   *   missing, expired or not accepted
    */
-  async orchestrateComputation(requestId, researcher, dataVaultIds, computationType) {
+  async orchestrateComputation(requestId, researcher, dataVaultIds, computationType, { quoteId = null, pipeline = null, versions = null, simulate = false } = {}) {
+    // The computation's trace starts here; its setup, nodes and execution are recorded as descendants
+    const span = this.tracer.startSpan('privacy-layer.orchestrateComputation', {
+      attributes: {
+        'computation.id': requestId,
+        'computation.type': computationType,
+        'computation.vaults': dataVaultIds.length,
+        'computation.simulated': simulate
+      }
+    });
+    let reserved = false;
     try {
-      logger.info(`Orchestrating computation ${requestId} for researcher ${researcher}`);
+      // Claim the request ID before the first await, so a repeated or concurrent request cannot run it again
+      if (!simulate) {
+        if (this.computations.has(requestId) || this.orchestrating.has(requestId)) {
+          throw new Error(`Computation ${requestId} already exists`);
+        }
+        this.orchestrating.add(requestId);
+        reserved = true;
+      }
       
-      // Verify access rights for all data vaults
-      await Promise.all(dataVaultIds.map(dataVaultId => 
-        this.verifyAccessRights(dataVaultId, researcher)
-      ));
+      logger.info(`${simulate ? 'Simulating' : 'Orchestrating'} computation ${requestId} for researcher ${researcher}`);
+      
+      // Check the pipeline and quote before anything is reserved; a simulation spends nothing, so needs no quote
+      const computationPipeline = pipeline ? ComputationPipeline.from(pipeline) : null;
+      const quote = simulate && !quoteId ? null : this._checkQuote(quoteId, researcher, dataVaultIds, computationType);
+      
+      if (simulate) {
+        return await this._simulateComputation(requestId, researcher, dataVaultIds, computationType, {
+          privacyParameters: quote && quote.privacyParameters,
+          pipeline: computationPipeline,
+          trace: span.traceparent()
+        });
+      }
+      
+      // Pin the data versions the computation runs on; a bad pin is refused before any grant is reserved
+      const dataVersions = this.vaultVersions.resolve(dataVaultIds, versions || {});
+      
+      // Verify access rights for all data vaults, reserving one-time grants for this computation
+      const accessGrants = await this._claimGrants(requestId, researcher, dataVaultIds);
       
       // Create computation metadata
       const computationMetadata = {
@@ -291,32 +840,37 @@ class PrivacyLayer extends EventEmitter {
         researcher,
         dataVaultIds,
         computationType,
+        dataVersions,
+        accessGrants,
         status: 'preparing',
+        trace: span.traceparent(),
         startedAt: Date.now()
       };
       
-      this.computations.set(requestId, computationMetadata);
-      
-      // Apply differential privacy settings based on computation type
-      const privacyParameters = this.differentialPrivacy.generateParameters(computationType);
+      if (computationPipeline) {
+        computationMetadata.pipeline = computationPipeline.toJSON();
+      }
       
-      // Set up the computation across SMPC nodes
-      const computationSetup = await this.smpcOrchestrator.setupComputation({
-        computation: {
-          id: requestId,
-          type: computationType,
-          researcher,
-          dataVaultIds
-        },
-        privacyParameters
-      });
+      // A quoted computation runs with the privacy parameters it was priced for
+      if (quote) {
+        computationMetadata.quoteId = quote.id;
+        computationMetadata.privacyParameters = quote.privacyParameters;
+        
+        quote.status = 'used';
+        quote.computationId = requestId;
+        await this._persist(StateCollection.QUOTES, quote.id, quote);
+      }
       
-      // Update computation status
-      computationMetadata.status = 'ready';
-      computationMetadata.setup = computationSetup;
+      this.computations.set(requestId, computationMetadata);
+      await this._persist(StateCollection.COMPUTATIONS, requestId, computationMetadata);
       
-      // Emit event for downstream components
-      this.emit('computation:ready', computationMetadata);
+      try {
+        await this._prepareComputation(computationMetadata);
+      } catch (error) {
+        // Record the refusal (e.g. an exhausted privacy budget) so it is not retried on restart
+        await this._failComputation(computationMetadata, error.message);
+        throw error;
+      }
       
       logger.info(`Computation ${requestId} orchestrated successfully`);
       
@@ -327,8 +881,54 @@ class PrivacyLayer extends EventEmitter {
       
       return computationMetadata;
     } catch (error) {
+      span.recordError(error);
       logger.error(`Failed to orchestrate computation ${requestId}:`, error);
       throw new Error(`Computation orchestration failed: ${error.message}`);
+    } finally {
+      if (reserved) this.orchestrating.delete(requestId);
+      span.end();
+    }
+  }
+
+  /**
+   * Run a computation again on the data versions the original ran on, e.g. to
+   * reproduce its results after the vaults' data changed. The re-run is a new
+   * computation: access is checked and budget is charged again.
+   * @param {string} computationId - ID of the computation to re-run
+   * @param {string} requestId - ID of the new computation request
+   * @param {string} researcher - Address of the researcher
+   * @param {Object} [options={}] - Orchestration options
+   * @param {string} [options.quoteId] - Accepted quote for the re-run
+   * @returns {Promise<Object>} Computation metadata of the re-run
+   * @throws {Error} If the computation is unknown, recorded no versions, or a version is no longer retained
+   */
+  async rerunComputation(computationId, requestId, researcher, { quoteId = null } = {}) {
+    try {
+      const original = this.computations.get(computationId);
+      if (!original) {
+        throw new Error(`Computation ${computationId} not found`);
+      }
+      if (!original.dataVersions || !Object.keys(original.dataVersions).length) {
+        throw new Error(`Computation ${computationId} did not record its data versions`);
+      }
+      
+      const versions = {};
+      for (const [dataVaultId, { versionId }] of Object.entries(original.dataVersions)) {
+        versions[dataVaultId] = versionId;
+      }
+      
+      logger.info(`Re-running computation ${computationId} as ${requestId}`);
+      const computation = await this.orchestrateComputation(requestId, researcher, original.dataVaultIds, original.computationType, {
+        quoteId,
+        pipeline: original.pipeline || null,
+        versions
+      });
+      computation.rerunOf = computationId;
+      await this._persist(StateCollection.COMPUTATIONS, requestId, computation);
+      return computation;
+    } catch (error) {
+      logger.error(`Failed to re-run computation ${computationId}:`, error);
+      throw new Error(`Computation re-run failed: ${error.message}`);
     }
   }
 
@@ -340,6 +940,22 @@ class PrivacyLayer extends EventEmitter {
    * @throws {Error} If access is denied or verification fails
    */
   async verifyAccessRights(dataVaultId, researcher) {
+    await this._verifyGrant(dataVaultId, researcher);
+    return true;
+  }
+
+  /**
+   * Verify a researcher's access rights to a data vault and find the grant that provides them.
+   * Durable grants are preferred over one-time grants.
+   * @param {string} dataVaultId - ID of the data vault
+   * @param {string} researcher - Address of the researcher
+   * @param {string} [computationId] - Computation the access is for; one-time grants reserved
+   *   by other computations are not usable
+   * @returns {Promise<string>} Access key ID of the grant
+   * @throws {Error} If access is denied or verification fails
+   * @private
+   */
+  async _verifyGrant(dataVaultId, researcher, computationId = null) {
     try {
       logger.info(`Verifying access rights for data vault ${dataVaultId} and researcher ${researcher}`);
       
@@ -347,24 +963,40 @@ class PrivacyLayer extends EventEmitter {
       const listingIds = await this.contracts.marketplace.methods.getListingsByDataVault(dataVaultId).call();
       
       // Check each listing for approved access
+      let oneTimeGrant = null;
       for (const listingId of listingIds) {
         const hasAccess = await this.contracts.marketplace.methods.hasAccess(listingId, researcher).call();
         
         if (hasAccess) {
+          // Re-evaluate the access policy for the purpose the access was granted for
+          const request = this._findAccessRequest(listingId, researcher);
+          const policyDecision = await this._evaluatePolicy(dataVaultId, researcher, request && request.purpose, listingId);
+          if (policyDecision && !policyDecision.allowed) {
+            this.emit('access:denied', { listingId, dataVaultId, researcher, policyDecision });
+            throw new Error(`Access denied by policy: ${policyDecision.reasons.join('; ')}`);
+          }
+          
           // Verify with ZKP
           const accessKeyId = `${listingId}-${researcher}`;
           const accessProofData = this.accessProofs.get(accessKeyId);
           
-          if (accessProofData && accessProofData.expiresAt > Date.now()) {
+          if (accessProofData && this._isGrantUsable(accessProofData, computationId)) {
             const isValid = await this.zkpVerifier.verifyAccessProof(accessProofData.proof);
-            if (isValid) {
+            if (isValid && accessProofData.accessType === AccessType.ONE_TIME) {
+              oneTimeGrant = oneTimeGrant || accessKeyId;
+            } else if (isValid) {
               logger.info(`Access rights verified for data vault ${dataVaultId} and researcher ${researcher}`);
-              return true;
+              return accessKeyId;
             }
           }
         }
       }
       
+      if (oneTimeGrant) {
+        logger.info(`One-time access verified for data vault ${dataVaultId} and researcher ${researcher}`);
+        return oneTimeGrant;
+      }
+      
       throw new Error(`Researcher ${researcher} does not have active access to data vault ${dataVaultId}`);
     } catch (error) {
       logger.error(`Access verification failed for data vault ${dataVaultId}:`, error);
@@ -375,10 +1007,16 @@ class PrivacyLayer extends EventEmitter {
   /**
    * Execute a privacy-preserving computation
    * @param {string} computationId - ID of the computation
-   * @returns {Promise<Object>} Computation results
+   * @param {Object} [options] - Execution options
+   * @param {boolean} [options.resume=false] - Resume the SMPC session from its checkpoint, after a restart interrupted it
+   * @returns {Promise<Object|null>} Computation results, or null if they were withheld
    * @throws {Error} If execution fails
    */
-  async executePrivateComputation(computationId) {
+  async executePrivateComputation(computationId, { resume = false } = {}) {
+    const span = this.tracer.startSpan('privacy-layer.executePrivateComputation', {
+      parent: (this.computations.get(computationId) || {}).trace,
+      attributes: { 'computation.id': computationId }
+    });
     try {
       logger.info(`Executing private computation ${computationId}`);
       
@@ -390,10 +1028,19 @@ class PrivacyLayer extends EventEmitter {
       
       // Update status
       computation.status = 'executing';
+      await this._persist(StateCollection.COMPUTATIONS, computationId, computation);
       this.emit('computation:executing', { id: computationId });
       
       // Execute the computation via SMPC orchestrator
-      const results = await this.smpcOrchestrator.executeComputation(computation.setup);
+      const results = resume
+        ? await this.smpcOrchestrator.resumeComputation(computation.setup.id)
+        : await this.smpcOrchestrator.executeComputation(computation.setup);
+      
+      // The computation may have been cancelled while the nodes were computing
+      if (computation.status === 'cancelled') {
+        logger.warn(`Discarding results of cancelled computation ${computationId}`);
+        return null;
+      }
       
       // Apply additional privacy measures to results
       const privateResults = this.differentialPrivacy.applyToResults(
@@ -401,39 +1048,60 @@ class PrivacyLayer extends EventEmitter {
         computation.computationType
       );
       
+      // Small cohorts and cells can identify individuals even with noise added
+      const review = this.releaseControl.review(privateResults, { computationId });
+      span.setAttributes({ 'computation.released': review.released });
+      
+      // One-time grants are used up by their first computation, released or not
+      if (!review.released) {
+        await this._blockRelease(computation, review.reason);
+        await this._consumeGrants(computation);
+        return null;
+      }
+      
       // Update computation with results
       computation.status = 'completed';
-      computation.results = privateResults;
+      computation.results = review.results;
+      computation.release = {
+        suppressedCells: review.suppressedCells,
+        mergedCells: review.mergedCells,
+        reviewedAt: Date.now()
+      };
       computation.completedAt = Date.now();
+      await this._persist(StateCollection.COMPUTATIONS, computationId, computation);
       
       // Emit event for downstream components
       this.emit('computation:completed', {
         id: computationId,
-        results: privateResults
+        results: review.results
       });
       
       logger.info(`Computation ${computationId} executed successfully`);
       
-      // Publish results
-      await this.publishResults(computationId);
+      await this._consumeGrants(computation);
       
-      return privateResults;
+      // Publish results. The computation ran and stays completed if publishing fails: its results
+      // are published again on restart or through the API, and its quote is not given back.
+      await this.publishResults(computationId).catch(async (error) => {
+        computation.publicationError = error.message;
+        await this._persist(StateCollection.COMPUTATIONS, computationId, computation)
+          .catch(persistError => logger.error(`Failed to persist computation ${computationId}:`, persistError));
+        this.emit('results:publication-failed', { computationId, error: error.message });
+      });
+      
+      return review.results;
     } catch (error) {
       // Update computation status to failed
       const computation = this.computations.get(computationId);
-      if (computation) {
-        computation.status = 'failed';
-        computation.error = error.message;
-        
-        // Emit event for downstream components
-        this.emit('computation:failed', {
-          id: computationId,
-          error: error.message
-        });
+      if (computation && computation.status !== 'cancelled') {
+        await this._failComputation(computation, error.message);
       }
       
+      span.recordError(error);
       logger.error(`Failed to execute computation ${computationId}:`, error);
       throw new Error(`Computation execution failed: ${error.message}`);
+    } finally {
+      span.end();
     }
   }
 
@@ -476,6 +1144,8 @@ class PrivacyLayer extends EventEmitter {
         timestamp: Date.now(),
         proof: computationProof
       };
+      delete computation.publicationError;
+      await this._persist(StateCollection.COMPUTATIONS, computationId, computation);
       
       // Emit event for downstream components
       this.emit('results:published', {
@@ -494,31 +1164,947 @@ class PrivacyLayer extends EventEmitter {
   }
 
   /**
-   * Get registered data vault metadata
-   * @param {string} dataVaultId - ID of the data vault
-   * @returns {Object|null} Vault metadata or null if not found
+   * Set up a computation across SMPC nodes and mark it ready for execution
+   * @param {Object} computationMetadata - Computation metadata in the 'preparing' state
+   * @param {Object} [options={}] - Preparation options
+   * @param {boolean} [options.resume=false] - Whether the computation is resumed after a restart and
+   *   keeps the privacy budget it was already charged
+   * @returns {Promise<void>}
+   * @private
    */
-  getDataVault(dataVaultId) {
-    return this.dataVaults.get(dataVaultId) || null;
+  async _prepareComputation(computationMetadata, { resume = false } = {}) {
+    const { id: requestId, researcher, dataVaultIds, computationType } = computationMetadata;
+    
+    // Apply differential privacy settings based on computation type, unless they were quoted
+    const privacyParameters = computationMetadata.privacyParameters ||
+      this.differentialPrivacy.generateParameters(computationType);
+    
+    // Charge the privacy loss before any node sees the data; refuses if a cap would be exceeded
+    const charge = this.budgetLedger.charge({
+      computationId: requestId,
+      researcher,
+      dataVaultIds,
+      epsilon: privacyParameters.epsilon,
+      delta: privacyParameters.delta,
+      resume
+    });
+    await this._persist(StateCollection.BUDGET_CHARGES, requestId, charge);
+    computationMetadata.privacyCost = { epsilon: charge.epsilon, delta: charge.delta };
+    this.emit('budget:charged', charge);
+    
+    // Pin the vaults' consent state, so the shares prepared for this computation leave out withdrawn records
+    if (this.consentRegistry) {
+      computationMetadata.consent = await this.consentRegistry.snapshot(dataVaultIds);
+    }
+    
+    // Set up the computation across SMPC nodes, only on nodes the vaults' data may be processed by
+    const residency = this._residencyOf(dataVaultIds);
+    let computationSetup;
+    try {
+      computationSetup = await this.smpcOrchestrator.setupComputation({
+        computation: {
+          id: requestId,
+          type: computationType,
+          researcher,
+          dataVaultIds,
+          ...(computationMetadata.pipeline ? { pipeline: computationMetadata.pipeline } : {}),
+          ...(computationMetadata.dataVersions ? { dataVersions: computationMetadata.dataVersions } : {}),
+          ...(computationMetadata.consent ? { consent: computationMetadata.consent } : {}),
+          ...(residency ? { residency } : {})
+        },
+        privacyParameters,
+        trace: computationMetadata.trace
+      });
+    } catch (error) {
+      // Nothing was computed, so the budget is returned
+      this.budgetLedger.refund(requestId);
+      await this._unpersist(StateCollection.BUDGET_CHARGES, requestId);
+      delete computationMetadata.privacyCost;
+      throw error;
+    }
+    
+    // Update computation status
+    computationMetadata.status = 'ready';
+    computationMetadata.setup = computationSetup;
+    await this._persist(StateCollection.COMPUTATIONS, requestId, computationMetadata);
+    
+    // Emit event for downstream components
+    this.emit('computation:ready', computationMetadata);
   }
 
   /**
-   * Get all registered data vaults
-   * @returns {Array<Object>} Array of vault metadata objects
+   * Resume a computation restored in the 'preparing' or 'ready' state.
+   * The orchestrator's session did not survive the restart, so the
+   * computation is set up again from scratch.
+   * @param {Object} computation - Restored computation metadata
+   * @returns {Promise<void>}
+   * @private
    */
-  getAllDataVaults() {
-    return Array.from(this.dataVaults.values());
-  }
-
-  /**
-   * Get computation metadata
-   * @param {string} computationId - ID of the computation
+  async _resumeComputation(computation) {
+    try {
+      logger.info(`Resuming computation ${computation.id} from state ${computation.status}`);
+      
+      computation.accessGrants = await this._claimGrants(computation.id, computation.researcher, computation.dataVaultIds);
+      
+      computation.status = 'preparing';
+      computation.resumedAt = Date.now();
+      delete computation.setup;
+      await this._persist(StateCollection.COMPUTATIONS, computation.id, computation);
+      
+      await this._prepareComputation(computation, { resume: true });
+      this.emit('computation:resumed', { id: computation.id });
+      
+      this.executePrivateComputation(computation.id)
+        .then(() => logger.info(`Resumed computation ${computation.id} executed successfully`))
+        .catch(error => logger.error(`Resumed computation ${computation.id} execution failed:`, error));
+    } catch (error) {
+      await this._failComputation(computation, `Resume failed: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Whether the SMPC session of a computation interrupted while executing was
+   * checkpointed by the orchestrator and can be resumed
+   * @param {Object} computation - Restored computation metadata
+   * @returns {Promise<boolean>} True if the session can be resumed
+   * @private
+   */
+  async _isCheckpointed(computation) {
+    if (!computation.setup || !this.smpcOrchestrator.hasCheckpoint) {
+      return false;
+    }
+    return this.smpcOrchestrator.hasCheckpoint(computation.setup.id);
+  }
+
+  /**
+   * Run a computation over synthetic data through the simulation orchestrator
+   * and its in-process nodes. Access is checked as for a real run, but no grant
+   * is reserved, no budget is charged, and the computation is neither stored
+   * nor published.
+   * @param {string} requestId - ID of the computation request
+   * @param {string} researcher - Address of the researcher
+   * @param {Array<string>} dataVaultIds - IDs of data vaults to include in computation
+   * @param {string} computationType - Type of computation to perform
+   * @param {Object} options - Simulation options
+   * @param {Object|null} options.privacyParameters - Quoted privacy parameters, if any
+   * @param {ComputationPipeline|null} options.pipeline - Pipeline to run, if any
+   * @param {string} [options.trace] - traceparent of the orchestration span
+   * @returns {Promise<Object>} Simulation report with results, release outcome, expected noise, runtime and budget impact
+   * @throws {Error} If simulation is not configured, access is denied or the simulated run fails
+   * @private
+   */
+  async _simulateComputation(requestId, researcher, dataVaultIds, computationType, { privacyParameters, pipeline, trace = null }) {
+    if (!this.simulation) {
+      throw new Error('Simulation is not configured');
+    }
+
+    for (const dataVaultId of dataVaultIds) {
+      await this._verifyGrant(dataVaultId, researcher);
+    }
+
+    const parameters = privacyParameters || this.differentialPrivacy.generateParameters(computationType);
+
+    // Synthetic data enters where the first step would read the vaults' records
+    const inputStep = pipeline ? pipeline.order()[0] : null;
+    const inputParams = (inputStep && inputStep.params) || {};
+    const data = [];
+    const syntheticRecords = {};
+    for (const dataVaultId of dataVaultIds) {
+      const vault = this.dataVaults.get(dataVaultId);
+      const schema = vault ? vault.dataSchema : null;
+      const records = this.syntheticData.generate(schema);
+      data.push(...this.syntheticData.toProtocolInput(records, schema, inputParams));
+      syntheticRecords[dataVaultId] = records.length;
+    }
+
+    // A fresh ID keeps repeated simulations of one request apart on the nodes
+    const simulationId = `${requestId}-simulation-${uuidv4()}`;
+    const { orchestrator, coordinator } = this.simulation;
+    const startedAt = Date.now();
+    let results;
+    try {
+      const setup = await orchestrator.setupComputation({
+        computation: {
+          id: simulationId,
+          type: computationType,
+          researcher,
+          dataVaultIds,
+          ...(pipeline ? { pipeline: pipeline.toJSON() } : {})
+        },
+        privacyParameters: parameters,
+        trace
+      });
+      await coordinator.loadData({
+        computationId: simulationId,
+        type: inputStep ? inputStep.type : computationType,
+        nodeIds: setup.nodeIds,
+        data,
+        privacyParameters: parameters,
+        operation: inputStep ? inputStep.operation : null,
+        operationParams: inputParams
+      });
+      results = await orchestrator.executeComputation(setup);
+    } finally {
+      await orchestrator.teardownSession(simulationId, 'Simulation finished');
+    }
+    const simulatedMs = Date.now() - startedAt;
+
+    // Report whether the release rules would let the results through, without applying any side effects
+    const review = this.releaseControl.review(
+      this.differentialPrivacy.applyToResults(results, computationType),
+      { computationId: requestId }
+    );
+
+    const simulation = {
+      id: requestId,
+      simulated: true,
+      researcher,
+      dataVaultIds: [...dataVaultIds],
+      computationType,
+      ...(pipeline ? { pipeline: pipeline.toJSON() } : {}),
+      privacyParameters: parameters,
+      syntheticRecords,
+      results: review.released ? review.results : null,
+      release: review.released
+        ? { released: true, suppressedCells: review.suppressedCells, mergedCells: review.mergedCells }
+        : { released: false, reason: review.reason },
+      expectedNoise: this._expectedNoise(parameters),
+      runtime: {
+        simulatedMs,
+        estimatedMs: this._estimateRuntime(computationType, dataVaultIds, pipeline)
+      },
+      privacyBudget: this._budgetImpact(dataVaultIds, parameters),
+      simulatedAt: Date.now()
+    };
+
+    this.emit('computation:simulated', {
+      id: requestId,
+      researcher,
+      dataVaultIds: simulation.dataVaultIds,
+      computationType,
+      released: review.released
+    });
+
+    logger.info(`Computation ${requestId} simulated in ${simulatedMs}ms over ${data.length} synthetic values`);
+    return simulation;
+  }
+
+  /**
+   * Expected magnitude of the Laplace noise added under the given privacy parameters
+   * @param {Object} privacyParameters - Privacy parameters
+   * @param {number} privacyParameters.epsilon - Privacy loss
+   * @param {number} [privacyParameters.sensitivity=1] - Sensitivity of the computed figure
+   * @returns {Object} Noise scale, mean absolute noise and standard deviation
+   * @private
+   */
+  _expectedNoise({ epsilon, sensitivity = 1 }) {
+    const scale = sensitivity / epsilon;
+    return {
+      mechanism: 'laplace',
+      sensitivity,
+      scale,
+      expectedMagnitude: scale,
+      standardDeviation: scale * Math.SQRT2
+    };
+  }
+
+  /**
+   * Estimate how long a computation would take on the network
+   * @param {string} computationType - Type of computation to perform
+   * @param {Array<string>} dataVaultIds - IDs of data vaults to include in computation
+   * @param {ComputationPipeline|null} pipeline - Pipeline to run, if any; its steps run one after another
+   * @returns {number|null} Estimated runtime in milliseconds, or null if the network cannot run it now
+   * @private
+   */
+  _estimateRuntime(computationType, dataVaultIds, pipeline) {
+    const types = pipeline ? pipeline.order().map(step => step.type) : [computationType];
+    const residency = this._residencyOf(dataVaultIds);
+    try {
+      return types.reduce((total, type) =>
+        total + this.smpcOrchestrator.estimateComputation({ type, dataVaultIds, residency }).estimatedRuntimeMs, 0);
+    } catch (error) {
+      logger.warn(`Cannot estimate runtime of ${computationType} computation: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Data-residency constraints of the data vaults of a computation
+   * @param {Array<string>} dataVaultIds - IDs of the data vaults
+   * @returns {Object|null} Constraints keyed by vault ID, or null if none of the vaults declares any
+   * @private
+   */
+  _residencyOf(dataVaultIds) {
+    const residency = {};
+    for (const dataVaultId of dataVaultIds) {
+      const vault = this.dataVaults.get(dataVaultId);
+      if (vault && vault.residency) {
+        residency[dataVaultId] = vault.residency;
+      }
+    }
+    return Object.keys(residency).length > 0 ? residency : null;
+  }
+
+  /**
+   * Privacy budget each data vault would have left after a computation
+   * @param {Array<string>} dataVaultIds - IDs of the data vaults
+   * @param {Object} privacyParameters - Privacy parameters of the computation
+   * @param {number} privacyParameters.epsilon - Privacy loss
+   * @param {number} [privacyParameters.delta=0] - Failure probability
+   * @returns {Object} Budget impact keyed by vault ID
+   * @private
+   */
+  _budgetImpact(dataVaultIds, { epsilon, delta = 0 }) {
+    const impact = {};
+    for (const dataVaultId of dataVaultIds) {
+      const { remaining } = this.budgetLedger.getBudgetStatus(dataVaultId);
+      impact[dataVaultId] = {
+        epsilon,
+        delta,
+        remainingAfter: { epsilon: remaining.epsilon - epsilon, delta: remaining.delta - delta },
+        sufficient: remaining.epsilon >= epsilon && remaining.delta >= delta
+      };
+    }
+    return impact;
+  }
+
+  /**
+   * Evaluate the access policy for a researcher and data vault
+   * @param {string} dataVaultId - ID of the data vault
+   * @param {string} researcher - Address of the researcher
+   * @param {string} purpose - Declared purpose of the access
+   * @param {string} listingId - Listing the access is requested or granted under
+   * @returns {Promise<Object|null>} Policy decision, or null if no policy engine is configured
+   * @private
+   */
+  async _evaluatePolicy(dataVaultId, researcher, purpose, listingId) {
+    if (!this.policyEngine) return null;
+    
+    // Concurrent accesses are the researcher's grants still in force, other than the one under evaluation
+    const now = Date.now();
+    const concurrentAccessCount = Array.from(this.accessProofs.values()).filter(accessData =>
+      accessData.researcher === researcher &&
+      accessData.listingId !== listingId &&
+      (accessData.expiresAt === null || accessData.expiresAt === undefined || accessData.expiresAt > now)
+    ).length;
+    
+    return this.policyEngine.evaluateAccess({
+      researcher,
+      purpose,
+      dataVault: this.dataVaults.get(dataVaultId) || { id: dataVaultId },
+      concurrentAccessCount
+    });
+  }
+
+  /**
+   * Find the most recent access request that was neither denied nor withdrawn for a listing and researcher
+   * @param {string} listingId - ID of the marketplace listing
+   * @param {string} researcher - Address of the researcher
+   * @returns {Object|null} Access request metadata or null if not found
+   * @private
+   */
+  _findAccessRequest(listingId, researcher) {
+    let latest = null;
+    for (const request of this.accessRequests.values()) {
+      if (String(request.listingId) === String(listingId) && request.researcher === researcher &&
+          !['denied', 'withdrawn'].includes(request.status) && (!latest || request.requestedAt > latest.requestedAt)) {
+        latest = request;
+      }
+    }
+    return latest;
+  }
+
+  /**
+   * Check that a computation may run under a quote
+   * @param {string|null} quoteId - ID of the quote, if any
+   * @param {string} researcher - Address of the researcher
+   * @param {Array<string>} dataVaultIds - IDs of data vaults to include in computation
+   * @param {string} computationType - Type of computation to perform
+   * @returns {Object|null} The accepted quote, or null if none was given and none is required
+   * @throws {Error} If a required quote is missing, or the quote is not accepted, expired or for another computation
+   * @private
+   */
+  _checkQuote(quoteId, researcher, dataVaultIds, computationType) {
+    if (!quoteId) {
+      if (this.config && this.config.quotes && this.config.quotes.required) {
+        throw new Error('An accepted quote is required to start a computation');
+      }
+      return null;
+    }
+    
+    const quote = this.quotes.get(quoteId);
+    if (!quote) {
+      throw new Error(`Quote ${quoteId} not found`);
+    }
+    if (quote.status === 'used') {
+      throw new Error(`Quote ${quoteId} was already used by computation ${quote.computationId}`);
+    }
+    if (quote.status !== 'accepted') {
+      throw new Error(`Quote ${quoteId} was not accepted`);
+    }
+    if (Date.now() >= quote.expiresAt) {
+      throw new Error(`Quote ${quoteId} has expired`);
+    }
+    
+    const sameVaults = quote.dataVaultIds.length === dataVaultIds.length &&
+      dataVaultIds.every(dataVaultId => quote.dataVaultIds.includes(dataVaultId));
+    if (quote.researcher.toLowerCase() !== researcher.toLowerCase() || !sameVaults || quote.computationType !== computationType) {
+      throw new Error(`Quote ${quoteId} does not match the requested computation`);
+    }
+    
+    return quote;
+  }
+
+  /**
+   * Price a computation over a data vault from its marketplace listing terms.
+   * Per-query listings charge every computation; fixed-price and revenue-share
+   * listings charge once for access, so researchers who already hold access pay nothing more.
+   * The cheapest active listing is quoted.
+   * @param {string} dataVaultId - ID of the data vault
+   * @param {string|null} researcher - Address of the researcher, if known
+   * @returns {Promise<Object>} Listing terms and the amount due in PRIVA token units
+   * @throws {Error} If the vault has no active listing
+   * @private
+   */
+  async _priceDataVault(dataVaultId, researcher) {
+    const marketplace = this.contracts.marketplace.methods;
+    const listingIds = await marketplace.getListingsByDataVault(dataVaultId).call();
+    
+    let cheapest = null;
+    for (const listingId of listingIds) {
+      const listing = await marketplace.getListing(listingId).call();
+      if (Number(listing.state) !== LISTING_STATE_ACTIVE) continue;
+      
+      const paymentModel = Number(listing.paymentModel);
+      const hasAccess = researcher ? await marketplace.hasAccess(listingId, researcher).call() : false;
+      const amount = paymentModel === PaymentModel.PER_QUERY || !hasAccess ? BigInt(listing.price) : BigInt(0);
+      
+      if (!cheapest || amount < BigInt(cheapest.amount)) {
+        cheapest = {
+          listingId: String(listingId),
+          paymentModel,
+          accessType: Number(listing.accessType),
+          listPrice: String(listing.price),
+          hasAccess,
+          amount: amount.toString()
+        };
+      }
+    }
+    
+    if (!cheapest) {
+      throw new Error(`Data vault ${dataVaultId} has no active listing`);
+    }
+    return cheapest;
+  }
+
+  /**
+   * Mark a computation as failed, persist it and notify listeners. Its access
+   * grants are released, and its quote too unless it produced results.
+   * @param {Object} computation - Computation metadata
+   * @param {string} reason - Failure reason
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _failComputation(computation, reason) {
+    computation.status = 'failed';
+    computation.error = reason;
+    await this._persist(StateCollection.COMPUTATIONS, computation.id, computation)
+      .catch(error => logger.error(`Failed to persist computation ${computation.id}:`, error));
+    await this._releaseGrants(computation)
+      .catch(error => logger.error(`Failed to release access grants of computation ${computation.id}:`, error));
+    // A computation that produced results was paid for by its quote, whatever failed afterwards
+    if (!computation.results) {
+      await this._releaseQuote(computation)
+        .catch(error => logger.error(`Failed to release quote of computation ${computation.id}:`, error));
+    }
+    
+    this.emit('computation:failed', {
+      id: computation.id,
+      error: reason
+    });
+  }
+
+  /**
+   * Withhold the results of a computation that failed release control
+   *
+   * The privacy budget stays charged: the computation ran, and the block
+   * itself tells the researcher something about the cohort.
+   * @param {Object} computation - Computation metadata
+   * @param {string} reason - Reason shown to the researcher
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _blockRelease(computation, reason) {
+    computation.status = 'blocked';
+    computation.release = { blocked: true, reason, reviewedAt: Date.now() };
+    computation.completedAt = Date.now();
+    await this._persist(StateCollection.COMPUTATIONS, computation.id, computation);
+    
+    this.emit('results:blocked', {
+      computationId: computation.id,
+      researcher: computation.researcher,
+      reason
+    });
+  }
+
+  /**
+   * Revoke every access grant that has expired, tear down the SMPC sessions
+   * that relied on them and schedule the next check
+   * @param {number} [now=Date.now()] - Current time in milliseconds
+   * @returns {Promise<Array<Object>>} Expired grants
+   */
+  async expireAccessGrants(now = Date.now()) {
+    const expired = [];
+    for (const [accessKeyId, accessData] of Array.from(this.accessProofs.entries())) {
+      if (accessData.expiresAt !== null && accessData.expiresAt !== undefined && accessData.expiresAt <= now) {
+        try {
+          expired.push(await this._expireGrant(accessKeyId, 'expired'));
+        } catch (error) {
+          logger.error(`Failed to expire access grant ${accessKeyId}:`, error);
+        }
+      }
+    }
+    
+    this._scheduleExpiryCheck();
+    return expired;
+  }
+
+  /**
+   * Compute when a grant for a listing expires
+   * @param {Object} listing - Marketplace listing
+   * @param {number} grantedAt - Grant time in milliseconds
+   * @returns {number|null} Expiry time in milliseconds, or null for perpetual access
+   * @private
+   */
+  _grantExpiry(listing, grantedAt) {
+    switch (Number(listing.accessType)) {
+      case AccessType.ONE_TIME:
+        return grantedAt + ONE_TIME_ACCESS_TTL_MS;
+      case AccessType.SUBSCRIPTION:
+        return Number(listing.subscriptionPeriod) > 0
+          ? grantedAt + Number(listing.subscriptionPeriod) * 1000
+          : grantedAt + DEFAULT_ACCESS_TTL_MS;
+      case AccessType.PERPETUAL:
+        return null;
+      default:
+        return grantedAt + DEFAULT_ACCESS_TTL_MS;
+    }
+  }
+
+  /**
+   * Whether a grant can be used for a computation
+   * @param {Object} accessData - Access grant
+   * @param {string|null} computationId - Computation the access is for
+   * @returns {boolean} True if the grant has not expired and is not reserved by another computation
+   * @private
+   */
+  _isGrantUsable(accessData, computationId) {
+    const unexpired = accessData.expiresAt === null || accessData.expiresAt === undefined || accessData.expiresAt > Date.now();
+    const unreserved = !accessData.consumedBy || accessData.consumedBy === computationId;
+    return unexpired && unreserved;
+  }
+
+  /**
+   * Verify access to every data vault of a computation and reserve the
+   * one-time grants it uses, so no other computation can use them
+   * @param {string} computationId - ID of the computation
+   * @param {string} researcher - Address of the researcher
+   * @param {Array<string>} dataVaultIds - IDs of the data vaults
+   * @returns {Promise<Array<string>>} Access key IDs of the grants used
+   * @throws {Error} If access to any data vault is denied
+   * @private
+   */
+  async _claimGrants(computationId, researcher, dataVaultIds) {
+    const accessGrants = await Promise.all(dataVaultIds.map(dataVaultId =>
+      this._verifyGrant(dataVaultId, researcher, computationId)
+    ));
+    
+    // Another computation may have reserved or expired a grant while this one was verifying;
+    // re-check and reserve every grant without yielding in between
+    accessGrants.forEach((accessKeyId, index) => {
+      const accessData = this.accessProofs.get(accessKeyId);
+      if (!accessData || !this._isGrantUsable(accessData, computationId)) {
+        throw new Error(`Researcher ${researcher} does not have active access to data vault ${dataVaultIds[index]}`);
+      }
+    });
+    const reserved = accessGrants.filter(accessKeyId => {
+      const accessData = this.accessProofs.get(accessKeyId);
+      if (accessData.accessType !== AccessType.ONE_TIME || accessData.consumedBy === computationId) return false;
+      accessData.consumedBy = computationId;
+      return true;
+    });
+    
+    for (const accessKeyId of reserved) {
+      await this._persist(StateCollection.ACCESS_PROOFS, accessKeyId, this.accessProofs.get(accessKeyId));
+    }
+    
+    return accessGrants;
+  }
+
+  /**
+   * Return the one-time grants reserved by a computation that did not complete
+   * @param {Object} computation - Computation metadata
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _releaseGrants(computation) {
+    for (const accessKeyId of computation.accessGrants || []) {
+      const accessData = this.accessProofs.get(accessKeyId);
+      if (accessData && accessData.consumedBy === computation.id) {
+        delete accessData.consumedBy;
+        await this._persist(StateCollection.ACCESS_PROOFS, accessKeyId, accessData);
+      }
+    }
+  }
+
+  /**
+   * Return the quote used by a computation that did not complete, so it can start another one
+   * @param {Object} computation - Computation metadata
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _releaseQuote(computation) {
+    const quote = computation.quoteId && this.quotes.get(computation.quoteId);
+    if (quote && quote.status === 'used' && quote.computationId === computation.id) {
+      quote.status = 'accepted';
+      delete quote.computationId;
+      await this._persist(StateCollection.QUOTES, quote.id, quote);
+    }
+  }
+
+  /**
+   * Revoke the one-time grants used by a completed computation
+   * @param {Object} computation - Computation metadata
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _consumeGrants(computation) {
+    for (const accessKeyId of computation.accessGrants || []) {
+      const accessData = this.accessProofs.get(accessKeyId);
+      if (accessData && accessData.accessType === AccessType.ONE_TIME && accessData.consumedBy === computation.id) {
+        await this._expireGrant(accessKeyId, 'consumed')
+          .catch(error => logger.error(`Failed to consume access grant ${accessKeyId}:`, error));
+      }
+    }
+  }
+
+  /**
+   * Revoke an access grant, cancel computations still relying on it and tear
+   * down their SMPC session keys
+   * @param {string} accessKeyId - Access key ID of the grant
+   * @param {string} reason - Why the grant ended ('expired' or 'consumed')
+   * @returns {Promise<Object>} Expiry details
+   * @private
+   */
+  async _expireGrant(accessKeyId, reason) {
+    const accessData = this.accessProofs.get(accessKeyId);
+    this.accessProofs.delete(accessKeyId);
+    await this._unpersist(StateCollection.ACCESS_PROOFS, accessKeyId);
+    
+    for (const computation of this.computations.values()) {
+      if (!(computation.accessGrants || []).includes(accessKeyId)) continue;
+      
+      try {
+        if ([...RESUMABLE_STATUSES, ...INTERRUPTED_STATUSES].includes(computation.status)) {
+          await this.cancelComputation(computation.id, `Access grant ${reason}`);
+        }
+        await this.smpcOrchestrator.teardownSession(computation.id, `Access grant ${reason}`);
+      } catch (error) {
+        logger.error(`Failed to tear down computation ${computation.id} after access grant ${accessKeyId} ${reason}:`, error);
+      }
+    }
+    
+    const expiry = {
+      dataVaultId: accessData.dataVaultId,
+      listingId: accessData.listingId,
+      researcher: accessData.researcher,
+      accessType: accessData.accessType,
+      expiresAt: accessData.expiresAt,
+      reason
+    };
+    this.emit('access:expired', expiry);
+    
+    logger.info(`Access grant for listing ${accessData.listingId} and researcher ${accessData.researcher} ${reason}`);
+    return expiry;
+  }
+
+  /**
+   * Arm the timer for the next grant expiry
+   * @private
+   */
+  _scheduleExpiryCheck() {
+    if (this.expiryTimer) {
+      clearTimeout(this.expiryTimer);
+      this.expiryTimer = null;
+    }
+    
+    const expiries = Array.from(this.accessProofs.values())
+      .map(accessData => accessData.expiresAt)
+      .filter(expiresAt => expiresAt !== null && expiresAt !== undefined);
+    if (expiries.length === 0) return;
+    
+    // Long delays are re-armed in steps, since setTimeout cannot wait longer than ~24.8 days
+    const delay = Math.min(Math.max(Math.min(...expiries) - Date.now(), 0), MAX_TIMER_DELAY_MS);
+    this.expiryTimer = setTimeout(() => {
+      this.expiryTimer = null;
+      this.expireAccessGrants()
+        .catch(error => logger.error('Failed to expire access grants:', error));
+    }, delay);
+    if (this.expiryTimer.unref) this.expiryTimer.unref();
+  }
+
+  /**
+   * Persist a record if a state store is configured
+   * @param {string} collection - State collection
+   * @param {string} key - Record key
+   * @param {Object} value - Record value
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _persist(collection, key, value) {
+    if (!this.stateStore) return;
+    await this.stateStore.put(collection, key, value);
+  }
+
+  /**
+   * Record a data hash in a vault's version history and persist the versions it changed
+   * @param {string} dataVaultId - ID of the data vault
+   * @param {string} dataHash - Data hash of the vault
+   * @returns {Promise<Object>} Current version, whether it was created, and the versions no longer retained
+   * @private
+   */
+  async _recordVaultVersion(dataVaultId, dataHash) {
+    const recorded = this.vaultVersions.record(dataVaultId, dataHash);
+    if (recorded.created) {
+      await this._persist(StateCollection.VAULT_VERSIONS, recorded.version.versionId, recorded.version);
+      for (const older of recorded.retired) {
+        await this._persist(StateCollection.VAULT_VERSIONS, older.versionId, older);
+      }
+    }
+    return recorded;
+  }
+
+  /**
+   * Remove a persisted record if a state store is configured
+   * @param {string} collection - State collection
+   * @param {string} key - Record key
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _unpersist(collection, key) {
+    if (!this.stateStore) return;
+    await this.stateStore.delete(collection, key);
+  }
+
+  /**
+   * Set the privacy budget cap for a data vault. Only the vault owner may set it.
+   * @param {string} dataVaultId - ID of the data vault
+   * @param {string} owner - Address of the caller, which must own the vault
+   * @param {Object} cap - Budget cap
+   * @param {number} cap.epsilon - Maximum cumulative epsilon
+   * @param {number} [cap.delta] - Maximum cumulative delta
+   * @returns {Promise<Object>} Updated budget status for the vault
+   * @throws {Error} If the vault is unknown, the caller is not its owner, or the cap is invalid
+   */
+  async setVaultBudgetCap(dataVaultId, owner, cap) {
+    try {
+      const vault = this.dataVaults.get(dataVaultId);
+      if (!vault) {
+        throw new Error(`Data vault ${dataVaultId} not registered`);
+      }
+      if (String(vault.owner).toLowerCase() !== String(owner).toLowerCase()) {
+        throw new Error(`Only the owner of data vault ${dataVaultId} can set its privacy budget`);
+      }
+      
+      const storedCap = this.budgetLedger.setVaultCap(dataVaultId, cap, owner);
+      await this._persist(StateCollection.BUDGET_CAPS, dataVaultId, storedCap);
+      
+      const status = this.budgetLedger.getBudgetStatus(dataVaultId);
+      this.emit('budget:cap-updated', { dataVaultId, cap: status.cap });
+      return status;
+    } catch (error) {
+      logger.error(`Failed to set privacy budget cap for data vault ${dataVaultId}:`, error);
+      throw new Error(`Budget cap update failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Set the data-residency constraints of a data vault: the regions its data
+   * may be processed in and the organizations that may operate the nodes
+   * processing it. Computations set up afterwards only run on nodes that
+   * satisfy them. Only the vault owner may set them.
+   * @param {string} dataVaultId - ID of the data vault
+   * @param {string} owner - Address of the caller, which must own the vault
+   * @param {Object|null} residency - Constraints, or null to lift them
+   * @param {Array<string>} [residency.allowedRegions] - Regions the vault's data may be processed in
+   * @param {Array<string>} [residency.allowedOrganizations] - Organizations that may operate the nodes processing it
+   * @returns {Promise<Object|null>} Normalized constraints
+   * @throws {Error} If the vault is unknown, the caller is not its owner, or the constraints are invalid
+   */
+  async setVaultResidency(dataVaultId, owner, residency) {
+    try {
+      const vault = this.dataVaults.get(dataVaultId);
+      if (!vault) {
+        throw new Error(`Data vault ${dataVaultId} not registered`);
+      }
+      if (String(vault.owner).toLowerCase() !== String(owner).toLowerCase()) {
+        throw new Error(`Only the owner of data vault ${dataVaultId} can set its data residency`);
+      }
+      
+      vault.residency = normalizeResidency(residency);
+      await this._persist(StateCollection.DATA_VAULTS, dataVaultId, vault);
+      
+      this.emit('vault:residency-updated', { dataVaultId, owner, residency: vault.residency });
+      return vault.residency;
+    } catch (error) {
+      logger.error(`Failed to set data residency for data vault ${dataVaultId}:`, error);
+      throw new Error(`Data residency update failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Record data subjects' consent for records in a data vault. Only the vault owner may record it.
+   * @param {string} dataVaultId - ID of the data vault
+   * @param {string} owner - Address of the caller, which must own the vault
+   * @param {Array<Object>} records - Records with their recordId, commitment and optional subject
+   * @returns {Promise<Object>} Vault ID, the root of its consent tree and the number of records added
+   * @throws {Error} If consent management is not configured, the vault is unknown, the caller is not its owner, or a record already has consent
+   */
+  async recordConsent(dataVaultId, owner, records) {
+    try {
+      this._checkConsentOwner(dataVaultId, owner, 'record consent for it');
+      
+      for (const record of records) {
+        await this.consentRegistry.recordConsent(dataVaultId, record);
+      }
+      const root = await this.consentRegistry.getRoot(dataVaultId);
+      
+      this.emit('consent:recorded', { dataVaultId, owner, recordIds: records.map(record => String(record.recordId)), root });
+      return { dataVaultId, root, records: records.length };
+    } catch (error) {
+      logger.error(`Failed to record consent for data vault ${dataVaultId}:`, error);
+      throw new Error(`Consent recording failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Honour a data subject's withdrawal of consent for a record. The record
+   * leaves the vault's consent tree and the shares of later computations, and
+   * models trained on it are flagged as stale. Only the vault owner may withdraw it.
+   * @param {string} dataVaultId - ID of the data vault
+   * @param {string} recordId - ID of the record
+   * @param {string} owner - Address of the caller, which must own the vault
+   * @param {Object} [options={}] - Withdrawal options
+   * @param {string} [options.reason] - Reason given for the withdrawal
+   * @returns {Promise<Object>} Signed withdrawal receipt
+   * @throws {Error} If consent management is not configured, the vault is unknown, the caller is not its owner, or the record has no consent
+   */
+  async withdrawConsent(dataVaultId, recordId, owner, { reason = null } = {}) {
+    try {
+      this._checkConsentOwner(dataVaultId, owner, 'withdraw consent for its records');
+      
+      const receipt = await this.consentRegistry.withdrawConsent(dataVaultId, recordId, { requestedBy: owner, reason });
+      
+      this.emit('consent:withdrawn', receipt);
+      return receipt;
+    } catch (error) {
+      logger.error(`Failed to withdraw consent for record ${recordId} in data vault ${dataVaultId}:`, error);
+      throw new Error(`Consent withdrawal failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Check that consent management is configured and the caller owns a data vault
+   * @param {string} dataVaultId - ID of the data vault
+   * @param {string} owner - Address of the caller
+   * @param {string} action - What only the owner may do, for the error message
+   * @throws {Error} If consent management is not configured, the vault is unknown or the caller is not its owner
+   * @private
+   */
+  _checkConsentOwner(dataVaultId, owner, action) {
+    if (!this.consentRegistry) {
+      throw new Error('Consent management is not configured');
+    }
+    const vault = this.dataVaults.get(dataVaultId);
+    if (!vault) {
+      throw new Error(`Data vault ${dataVaultId} not registered`);
+    }
+    if (String(vault.owner).toLowerCase() !== String(owner).toLowerCase()) {
+      throw new Error(`Only the owner of data vault ${dataVaultId} can ${action}`);
+    }
+  }
+
+  /**
+   * Get the cumulative privacy budget status of a data vault
+   * @param {string} dataVaultId - ID of the data vault
+   * @returns {Object} Cap, spent and remaining epsilon/delta with the charges against the vault
+   */
+  getBudgetStatus(dataVaultId) {
+    return this.budgetLedger.getBudgetStatus(dataVaultId);
+  }
+
+  /**
+   * Get the cumulative privacy budget spent by a researcher
+   * @param {string} researcher - Researcher address
+   * @returns {Object} Total and per-vault epsilon/delta spent by the researcher
+   */
+  getResearcherSpend(researcher) {
+    return this.budgetLedger.getResearcherSpend(researcher);
+  }
+
+  /**
+   * Get registered data vault metadata
+   * @param {string} dataVaultId - ID of the data vault
+   * @returns {Object|null} Vault metadata or null if not found
+   */
+  getDataVault(dataVaultId) {
+    return this.dataVaults.get(dataVaultId) || null;
+  }
+
+  /**
+   * Get all registered data vaults
+   * @returns {Array<Object>} Array of vault metadata objects
+   */
+  getAllDataVaults() {
+    return Array.from(this.dataVaults.values());
+  }
+
+  /**
+   * Get the data versions of a vault
+   * @param {string} dataVaultId - ID of the data vault
+   * @returns {Array<Object>} Versions, newest first; those no longer retained cannot be pinned
+   */
+  getVaultVersions(dataVaultId) {
+    return this.vaultVersions.list(dataVaultId);
+  }
+
+  /**
+   * Get computation metadata
+   * @param {string} computationId - ID of the computation
    * @returns {Object|null} Computation metadata or null if not found
    */
   getComputation(computationId) {
     return this.computations.get(computationId) || null;
   }
 
+  /**
+   * Get all computations
+   * @returns {Array<Object>} Array of computation metadata objects
+   */
+  getAllComputations() {
+    return Array.from(this.computations.values());
+  }
+
+  /**
+   * Get a computation quote
+   * @param {string} quoteId - ID of the quote
+   * @returns {Object|null} Quote or null if not found
+   */
+  getQuote(quoteId) {
+    return this.quotes.get(quoteId) || null;
+  }
+
   /**
    * Get access request metadata
    * @param {string} requestId - ID of the access request
@@ -528,6 +2114,69 @@ class PrivacyLayer extends EventEmitter {
     return this.accessRequests.get(requestId) || null;
   }
 
+  /**
+   * Get the SMPC nodes known to the coordinator
+   * @returns {Array<Object>} Node state, active computations and reputation of each node
+   */
+  getSmpcNodes() {
+    const { coordinator } = this.smpcOrchestrator;
+    return Array.from(coordinator.nodes.keys()).map(nodeId => this.getSmpcNode(nodeId));
+  }
+
+  /**
+   * Get an SMPC node known to the coordinator
+   * @param {string} nodeId - ID of the node
+   * @returns {Object|null} Node state, active computations and reputation, or null if not found
+   */
+  getSmpcNode(nodeId) {
+    const { success, error, ...node } = this.smpcOrchestrator.coordinator.getNodeInfo(nodeId);
+    return success ? node : null;
+  }
+
+  /**
+   * Get the statistics of the differential privacy mechanism's budget
+   * @returns {Object} Initial and remaining budget, parameters and queries executed
+   */
+  getPrivacyStatistics() {
+    return this.differentialPrivacy.getBudgetStatistics();
+  }
+
+  /**
+   * Export the federated learning state
+   * @returns {Object} Model type, round, global model, metrics and budget used
+   */
+  exportFederatedState() {
+    return this.federatedLearning.export();
+  }
+
+  /**
+   * Replace the federated learning state with an exported one
+   * @param {Object} state - State exported by exportFederatedState
+   * @returns {Object} The imported state
+   * @throws {Error} If the state has no global model
+   */
+  importFederatedState(state) {
+    if (!this.federatedLearning.import(state)) {
+      throw new Error('Invalid federated learning state: it has no global model');
+    }
+    logger.info(`Imported federated learning state at round ${this.federatedLearning.currentRound}`);
+    return this.exportFederatedState();
+  }
+
+  /**
+   * Load an exported commitment tree into the audit log, in place of the
+   * one rebuilt from its entries
+   * @param {Object} state - Tree exported from the audit log
+   * @returns {Object} Leaves and root of the loaded tree
+   * @throws {Error} If there is no audit log or the tree does not commit exactly its committed entries
+   */
+  importAuditTree(state) {
+    if (!this.auditLog) {
+      throw new Error('Audit log is not configured');
+    }
+    return this.auditLog.importTree(state);
+  }
+
   /**
    * Register a callback for a specific event
    * @param {string} eventName - Name of the event
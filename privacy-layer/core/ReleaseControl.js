@@ -0,0 +1,272 @@
+/**
+ * ReleaseControl
+ *
+ * Reviews computation results before they are stored for the researcher and
+ * published on-chain. Differential privacy noise alone does not protect very
+ * small cohorts, so a release is blocked when any reported record count is
+ * below the minimum cohort size, histogram bins and other per-cell counts
+ * below the minimum cell size are suppressed or merged into their
+ * neighbours, and the remaining figures are rounded to a capped precision.
+ */
+
+const logger = require('../../utils/logger')('privacy-layer:release-control');
+
+/**
+ * How small cells are handled
+ * @enum {string}
+ */
+const BinStrategy = {
+  SUPPRESS: 'suppress', // Replace the count with null
+  MERGE: 'merge' // Fold into adjacent histogram bins until the merged bin is large enough
+};
+
+// Fields reporting how many records contributed to a result
+const COUNT_FIELDS = ['count', 'totalCount', 'sampleSize', 'count1', 'count2'];
+
+// Subtrees that describe the computation rather than the data
+const SKIPPED_FIELDS = ['metadata', 'verificationMaterial'];
+
+/**
+ * Check whether a value is a plain object
+ * @param {*} value - Value to check
+ * @returns {boolean} True for non-array objects
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Check whether an array holds per-cell counts
+ * @param {*} value - Value to check
+ * @returns {boolean} True for a non-empty array of objects with a numeric count
+ */
+function isCellArray(value) {
+  return Array.isArray(value) && value.length > 0 &&
+    value.every(cell => isPlainObject(cell) && typeof cell.count === 'number');
+}
+
+/**
+ * Release control stage applied to computation results
+ * @class ReleaseControl
+ */
+class ReleaseControl {
+  /**
+   * Create a new release control stage
+   * @param {Object} [options={}] - Configuration options
+   * @param {number} [options.minCohortSize=10] - Minimum records behind any reported count
+   * @param {number} [options.minCellSize=5] - Minimum records in a histogram bin or other cell
+   * @param {BinStrategy} [options.binStrategy='suppress'] - How cells below the minimum are handled
+   * @param {number} [options.significantDigits=4] - Significant digits kept in non-integer figures
+   * @param {boolean} [options.requireCount=true] - Block results that report no record count at all
+   */
+  constructor({
+    minCohortSize = 10,
+    minCellSize = 5,
+    binStrategy = BinStrategy.SUPPRESS,
+    significantDigits = 4,
+    requireCount = true
+  } = {}) {
+    if (!Object.values(BinStrategy).includes(binStrategy)) {
+      throw new Error(`Unknown bin strategy: ${binStrategy}`);
+    }
+    if (!Number.isInteger(significantDigits) || significantDigits < 1 || significantDigits > 21) {
+      throw new Error('significantDigits must be an integer between 1 and 21');
+    }
+
+    this.minCohortSize = minCohortSize;
+    this.minCellSize = minCellSize;
+    this.binStrategy = binStrategy;
+    this.significantDigits = significantDigits;
+    this.requireCount = requireCount;
+  }
+
+  /**
+   * Review results for release
+   * @param {Object} results - Results after differential privacy has been applied
+   * @param {Object} [context={}] - Computation context, used for logging
+   * @param {string} [context.computationId] - ID of the computation
+   * @returns {Object} Review with `released`, and either the releasable `results` plus
+   *   `suppressedCells`/`mergedCells` counts, or the `reason` the release was blocked
+   */
+  review(results, { computationId } = {}) {
+    const counts = this._collectCounts(results);
+
+    if (counts.length === 0 && this.requireCount) {
+      return this._block(computationId, 'Results do not report how many records contributed');
+    }
+
+    const smallest = Math.min(...counts);
+    if (smallest < this.minCohortSize) {
+      return this._block(
+        computationId,
+        `Cohort of ${Math.max(0, Math.floor(smallest))} records is below the minimum of ${this.minCohortSize}`
+      );
+    }
+
+    const stats = { suppressedCells: 0, mergedCells: 0 };
+    const released = this._sanitize(results, null, stats);
+
+    if (stats.suppressedCells > 0 || stats.mergedCells > 0) {
+      logger.info(`Release of computation ${computationId}: ${stats.suppressedCells} cells suppressed, ${stats.mergedCells} merged`);
+    }
+
+    return { released: true, results: released, ...stats };
+  }
+
+  /**
+   * Collect every reported record count outside of cell arrays and metadata
+   * @param {*} value - Results or a part of them
+   * @param {Array<number>} [counts=[]] - Accumulated counts
+   * @returns {Array<number>} Record counts
+   * @private
+   */
+  _collectCounts(value, counts = []) {
+    if (!isPlainObject(value)) return counts;
+
+    for (const [key, field] of Object.entries(value)) {
+      if (SKIPPED_FIELDS.includes(key)) continue;
+      if (COUNT_FIELDS.includes(key) && typeof field === 'number') {
+        counts.push(field);
+      } else if (isPlainObject(field)) {
+        this._collectCounts(field, counts);
+      }
+    }
+    return counts;
+  }
+
+  /**
+   * Apply cell rules and precision caps to a copy of the results
+   * @param {*} value - Results or a part of them
+   * @param {string|null} key - Field name the value is stored under
+   * @param {Object} stats - Suppressed and merged cell tallies, updated in place
+   * @returns {*} Releasable copy
+   * @private
+   */
+  _sanitize(value, key, stats) {
+    if (typeof value === 'number') {
+      return this._round(value);
+    }
+    if (isCellArray(value)) {
+      return key === 'histogram' && this.binStrategy === BinStrategy.MERGE
+        ? this._mergeBins(value, stats)
+        : this._suppressCells(value, stats);
+    }
+    if (Array.isArray(value)) {
+      return value.map(item => this._sanitize(item, null, stats));
+    }
+    if (isPlainObject(value)) {
+      const copy = {};
+      for (const [field, nested] of Object.entries(value)) {
+        copy[field] = SKIPPED_FIELDS.includes(field) ? nested : this._sanitize(nested, field, stats);
+      }
+      return copy;
+    }
+    return value;
+  }
+
+  /**
+   * Suppress cells below the minimum cell size
+   *
+   * Empty cells reveal nobody and are kept. When exactly one cell is
+   * suppressed, the next smallest is suppressed too so the hidden count
+   * cannot be recovered by subtracting the others from a published total.
+   * @param {Array<Object>} cells - Cells with a count
+   * @param {Object} stats - Suppressed and merged cell tallies, updated in place
+   * @returns {Array<Object>} Cells with small counts replaced by null
+   * @private
+   */
+  _suppressCells(cells, stats) {
+    const isSmall = cell => cell.count > 0 && cell.count < this.minCellSize;
+    const suppressed = new Set(cells.filter(isSmall));
+
+    if (suppressed.size === 1) {
+      const [complement] = cells
+        .filter(cell => cell.count > 0 && !suppressed.has(cell))
+        .sort((a, b) => a.count - b.count);
+      if (complement) suppressed.add(complement);
+    }
+
+    stats.suppressedCells += suppressed.size;
+
+    return cells.map(cell => (suppressed.has(cell)
+      ? { ...this._sanitize(cell, null, stats), count: null, suppressed: true }
+      : this._sanitize(cell, null, stats)));
+  }
+
+  /**
+   * Merge adjacent histogram bins until every merged bin meets the minimum cell size
+   * @param {Array<Object>} bins - Ordered histogram bins with a count
+   * @param {Object} stats - Suppressed and merged cell tallies, updated in place
+   * @returns {Array<Object>} Merged bins; merged ones list their original buckets
+   * @private
+   */
+  _mergeBins(bins, stats) {
+    const groups = [];
+    let pending = [];
+    let pendingCount = 0;
+
+    for (const bin of bins) {
+      pending.push(bin);
+      pendingCount += bin.count;
+      if (pendingCount >= this.minCellSize || (pending.length === 1 && bin.count === 0)) {
+        groups.push({ bins: pending, count: pendingCount });
+        pending = [];
+        pendingCount = 0;
+      }
+    }
+
+    // A trailing remainder folds into the last complete group
+    if (pending.length > 0) {
+      const last = groups[groups.length - 1];
+      if (last) {
+        last.bins.push(...pending);
+        last.count += pendingCount;
+      } else {
+        groups.push({ bins: pending, count: pendingCount });
+      }
+    }
+
+    return groups.map(({ bins: merged, count }) => {
+      const [first] = merged;
+      // Only possible when the whole histogram is below the minimum
+      if (count > 0 && count < this.minCellSize) {
+        stats.suppressedCells += merged.length;
+        return { ...this._sanitize(first, null, stats), count: null, suppressed: true };
+      }
+      if (merged.length === 1) {
+        return this._sanitize(first, null, stats);
+      }
+      stats.mergedCells += merged.length;
+      return {
+        ...this._sanitize(first, null, stats),
+        count: this._round(count),
+        mergedBuckets: merged.map(bin => (bin.bucket !== undefined ? bin.bucket : bins.indexOf(bin)))
+      };
+    });
+  }
+
+  /**
+   * Round a number to the configured significant digits
+   * @param {number} value - Number to round
+   * @returns {number} Rounded number; integers and non-finite values are unchanged
+   * @private
+   */
+  _round(value) {
+    if (Number.isInteger(value) || !Number.isFinite(value)) return value;
+    return Number(value.toPrecision(this.significantDigits));
+  }
+
+  /**
+   * Build a blocked review
+   * @param {string} computationId - ID of the computation
+   * @param {string} reason - Reason shown to the researcher
+   * @returns {Object} Blocked review
+   * @private
+   */
+  _block(computationId, reason) {
+    logger.warn(`Release of computation ${computationId} blocked: ${reason}`);
+    return { released: false, reason };
+  }
+}
+
+module.exports = ReleaseControl;
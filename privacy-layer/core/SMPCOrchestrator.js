@@ -9,6 +9,14 @@
 const EventEmitter = require('events');
 const { v4: uuidv4 } = require('uuid');
 const logger = require('../../utils/logger')('privacy-layer:smpc-orchestrator');
+const ComputationPipeline = require('./ComputationPipeline');
+const { NodeReputation, Outcome } = require('../smpc/reputation');
+const { CheckpointPhase, reconcileCheckpoint } = require('../smpc/checkpoints');
+const { checkResidencyConflicts, partitionByResidency, describeExclusions } = require('../smpc/residency');
+const { tracer: defaultTracer } = require('../monitoring/tracing');
+
+// Completed computations kept per type for runtime estimates
+const RUNTIME_SAMPLE_SIZE = 20;
 
 /**
  * States for SMPC computation lifecycle
@@ -26,6 +34,15 @@ const ComputationState = {
   ABORTED: 'aborted'
 };
 
+// Traced phase of each computation state
+const PHASES = {
+  [ComputationState.INITIALIZING]: 'initialize',
+  [ComputationState.SHARING]: 'share',
+  [ComputationState.COMPUTING]: 'compute',
+  [ComputationState.AGGREGATING]: 'aggregate',
+  [ComputationState.VERIFYING]: 'verify'
+};
+
 /**
  * SMPC Orchestrator for coordinating secure computations
  * @class SMPCOrchestrator
@@ -39,13 +56,17 @@ class SMPCOrchestrator extends EventEmitter {
    * @param {Object} options.coordinator - SMPC coordinator
    * @param {Object} options.protocols - Map of computation protocols
    * @param {Object} [options.config] - Additional configuration
+   * @param {Tracer} [options.tracer] - Tracer recording computation phases (shared tracer by default)
+   * @param {NodeReputation} [options.reputation] - Reputation of the nodes (created from config.reputation if omitted)
+   * @param {ComputationCheckpoints} [options.checkpoints] - Checkpoints of in-flight computations, for resuming them after a restart
    */
-  constructor({ secretSharing, coordinator, protocols, config = {} }) {
+  constructor({ secretSharing, coordinator, protocols, config = {}, tracer = defaultTracer, reputation = null, checkpoints = null }) {
     super();
 
     this.secretSharing = secretSharing;
     this.coordinator = coordinator;
     this.protocols = protocols;
+    this.tracer = tracer;
     this.config = {
       minNodes: 3,          // Minimum nodes required for computation
       maxNodesPerComputation: 7, // Maximum nodes per computation
@@ -53,18 +74,26 @@ class SMPCOrchestrator extends EventEmitter {
       minThreshold: 2,      // Minimum threshold for computation
       computationTimeout: 300000, // 5 minutes timeout
       maxErrors: 2,         // Maximum errors before aborting
+      estimatedMsPerShare: 500, // Runtime estimate per share before any computation has completed
       ...config             // Merge with user-provided config
     };
+    this.reputation = reputation || new NodeReputation(this.config.reputation || {});
+    this.checkpoints = checkpoints;
 
     // Initialize state tracking
     this.computations = new Map(); // computationId => computation metadata
     this.nodeRegistry = new Map(); // nodeId => node information
     this.activeNodes = new Set();  // Currently active node IDs
+    this.runtimeSamples = new Map(); // computation type => recent milliseconds per share
 
     // Bind methods to maintain context
     this.setupComputation = this.setupComputation.bind(this);
     this.executeComputation = this.executeComputation.bind(this);
+    this.executePipeline = this.executePipeline.bind(this);
+    this.resumeComputation = this.resumeComputation.bind(this);
     this.abortComputation = this.abortComputation.bind(this);
+    this.teardownSession = this.teardownSession.bind(this);
+    this.estimateComputation = this.estimateComputation.bind(this);
     this.registerNode = this.registerNode.bind(this);
     this.handleNodeDisconnect = this.handleNodeDisconnect.bind(this);
 
@@ -89,11 +118,13 @@ class SMPCOrchestrator extends EventEmitter {
       this.handleNodeDisconnect(nodeId);
     });
 
-    this.coordinator.on('share:received', ({ computationId, nodeId }) => {
+    this.coordinator.on('share:received', ({ computationId, nodeId, shareId = null }) => {
       logger.debug(`Received share for computation ${computationId} from node ${nodeId}`);
       const computation = this.computations.get(computationId);
       if (computation) {
         computation.receivedShares++;
+        computation.shareNotifications.set(nodeId, shareId);
+        this._checkpoint(computation);
         if (computation.receivedShares >= computation.expectedShares) {
           this._advanceComputationState(computationId, ComputationState.COMPUTING);
         }
@@ -105,10 +136,8 @@ class SMPCOrchestrator extends EventEmitter {
       const computation = this.computations.get(computationId);
       if (computation) {
         computation.nodeResults.set(nodeId, result);
-        if (computation.nodeResults.size >= computation.assignedNodes.size) {
-          this._advanceComputationState(computationId, ComputationState.AGGREGATING);
-          this._aggregateResults(computationId);
-        }
+        this._checkpoint(computation);
+        this._aggregateWhenComplete(computationId);
       }
     });
 
@@ -116,6 +145,7 @@ class SMPCOrchestrator extends EventEmitter {
       logger.error(`Error in computation ${computationId} from node ${nodeId}:`, error);
       const computation = this.computations.get(computationId);
       if (computation) {
+        this.reputation.record(nodeId, Outcome.ERROR, { computationId, reason: error && error.message });
         computation.errors.push({ nodeId, error, timestamp: Date.now() });
         if (
           computation.errors.length > this.config.maxErrors ||
@@ -168,7 +198,11 @@ class SMPCOrchestrator extends EventEmitter {
   }
 
   /**
-   * Handle node disconnection
+   * Handle node disconnection. A node that drops out of a running computation
+   * before reporting its result is replaced: the surviving nodes re-share its
+   * share to a newly selected node and the computation continues at full
+   * size. Pipelines, and computations whose share cannot be re-shared,
+   * continue without the node if enough nodes remain and are aborted otherwise.
    * @param {string} nodeId - ID of the disconnected node
    * @private
    */
@@ -186,11 +220,17 @@ class SMPCOrchestrator extends EventEmitter {
         computation.assignedNodes.has(nodeId) &&
         [ComputationState.INITIALIZING, ComputationState.SHARING, ComputationState.COMPUTING].includes(computation.state)
       ) {
-        if (computation.assignedNodes.size - 1 < computation.threshold) {
-          this.abortComputation(computationId, `Node ${nodeId} disconnected, not enough nodes to meet threshold`);
+        this.reputation.record(nodeId, Outcome.DISCONNECT, { computationId });
+        if (computation.nodeResults.has(nodeId)) {
+          logger.warn(`Node ${nodeId} disconnected from computation ${computationId} after reporting its result`);
+          continue;
+        }
+
+        computation.assignedNodes.delete(nodeId);
+        if (computation.pipeline) {
+          this._continueWithoutNode(computationId, nodeId);
         } else {
-          logger.warn(`Node ${nodeId} disconnected during computation ${computationId}, but computation can continue`);
-          computation.assignedNodes.delete(nodeId);
+          this._replaceNode(computationId, nodeId);
         }
       }
     }
@@ -200,17 +240,24 @@ class SMPCOrchestrator extends EventEmitter {
   }
 
   /**
-   * Set up a new secure computation
+   * Set up a new secure computation. Shares for the computation must be dealt
+   * to the returned node IDs in order, the node at index i holding the Shamir
+   * share at point i + 1, so the share of a node that drops out can be re-shared.
    * @param {Object} params - Setup parameters
    * @param {Object} params.computation - Computation details
    * @param {string} params.computation.id - Computation ID
    * @param {string} params.computation.type - Computation type (e.g., 'average', 'statistical')
    * @param {string} params.computation.researcher - Researcher address
    * @param {Array<string>} params.computation.dataVaultIds - Data vault IDs
+   * @param {Object} [params.computation.pipeline] - Pipeline specification; its steps' protocols are used instead of the type
+   * @param {Object} [params.computation.dataVersions] - Data version of the vaults, keyed by vault ID; shares for the computation must be taken from the pinned versions' data
+   * @param {Object} [params.computation.consent] - Consent state of the vaults, keyed by vault ID; shares for the computation must leave out its withdrawn records
+   * @param {Object} [params.computation.residency] - Data-residency constraints of the vaults, keyed by vault ID; only nodes satisfying all of them are selected
    * @param {Object} params.privacyParameters - Privacy parameters (e.g., epsilon)
+   * @param {string} [params.trace] - traceparent of the caller's span; the computation's spans join its trace
    * @returns {Promise<Object>} Computation setup details
    */
-  async setupComputation({ computation, privacyParameters }) {
+  async setupComputation({ computation, privacyParameters, trace = null }) {
     try {
       logger.info(`Setting up computation ${computation.id}`);
 
@@ -218,21 +265,22 @@ class SMPCOrchestrator extends EventEmitter {
         throw new Error('Invalid computation details');
       }
 
-      if (!this.protocols[computation.type]) {
-        throw new Error(`Unsupported computation type: ${computation.type}`);
+      const pipeline = computation.pipeline ? ComputationPipeline.from(computation.pipeline) : null;
+      const types = pipeline ? pipeline.types() : [computation.type];
+      for (const type of types) {
+        if (!this.protocols[type]) {
+          throw new Error(`Unsupported computation type: ${type}`);
+        }
       }
 
       const sessionKey = uuidv4();
-      const assignedNodes = await this._selectNodesForComputation(computation);
+      const assignedNodes = await this._selectNodesForComputation({ ...computation, types });
 
       if (assignedNodes.size < this.config.minNodes) {
         throw new Error(`Not enough nodes available: found ${assignedNodes.size}, need ${this.config.minNodes}`);
       }
 
-      const threshold = Math.max(
-        Math.ceil(assignedNodes.size * this.config.thresholdRatio),
-        this.config.minThreshold
-      );
+      const threshold = this._thresholdFor(assignedNodes.size);
 
       const computationMeta = {
         id: computation.id,
@@ -240,20 +288,42 @@ class SMPCOrchestrator extends EventEmitter {
         type: computation.type,
         dataVaultIds: computation.dataVaultIds,
         researcher: computation.researcher,
+        residency: computation.residency || null,
+        dataVersions: computation.dataVersions || null,
+        consent: computation.consent || null,
         state: ComputationState.CREATED,
+        phase: CheckpointPhase.CREATED,
         threshold,
         privacyParameters,
         assignedNodes,
+        shareNotifications: new Map(),
         nodeResults: new Map(),
+        sharePoints: new Map(Array.from(assignedNodes).map((nodeId, index) => [nodeId, index + 1])),
+        replacements: [],
+        pendingReplacements: new Set(),
+        recovering: 0,
         receivedShares: 0,
         expectedShares: assignedNodes.size * computation.dataVaultIds.length,
         errors: [],
-        protocol: this.protocols[computation.type],
+        // A pipeline's result is reconstructed by the protocol of its output step
+        protocol: this.protocols[pipeline ? pipeline.outputStep.type : computation.type],
+        pipeline: pipeline ? pipeline.toJSON() : null,
         startedAt: Date.now(),
-        stateHistory: [{ state: ComputationState.CREATED, timestamp: Date.now() }]
+        stateHistory: [{ state: ComputationState.CREATED, timestamp: Date.now() }],
+        span: this.tracer.startSpan('orchestrator.computation', {
+          parent: trace,
+          attributes: {
+            'computation.id': computation.id,
+            'computation.type': computation.type,
+            'computation.nodes': assignedNodes.size
+          }
+        }),
+        phaseSpan: null,
+        checkpointed: Promise.resolve()
       };
 
       this.computations.set(computation.id, computationMeta);
+      await this._checkpoint(computationMeta);
 
       const setup = {
         id: computation.id,
@@ -262,7 +332,10 @@ class SMPCOrchestrator extends EventEmitter {
         dataVaultIds: computation.dataVaultIds,
         threshold,
         nodeIds: Array.from(assignedNodes),
-        privacyParameters
+        privacyParameters,
+        ...(pipeline ? { pipeline: pipeline.toJSON() } : {}),
+        ...(computation.dataVersions ? { dataVersions: computation.dataVersions } : {}),
+        ...(computation.consent ? { consent: computation.consent } : {})
       };
 
       this.emit('computation:setup', { id: computation.id, setup });
@@ -289,11 +362,17 @@ class SMPCOrchestrator extends EventEmitter {
         throw new Error(`Computation ${setup.id} not found`);
       }
 
+      if (setup.pipeline) {
+        return await this.executePipeline(setup);
+      }
+
       this._advanceComputationState(setup.id, ComputationState.INITIALIZING);
       await this._initializeNodesForComputation(setup);
+      await this._completePhase(computation, CheckpointPhase.INITIALIZED);
 
       this._advanceComputationState(setup.id, ComputationState.SHARING);
       await this._shareDataBetweenNodes(setup);
+      await this._completePhase(computation, CheckpointPhase.SHARED);
 
       const result = await this._waitForComputationResult(setup.id);
 
@@ -301,14 +380,156 @@ class SMPCOrchestrator extends EventEmitter {
       return result;
     } catch (error) {
       const computation = this.computations.get(setup.id);
-      if (computation) {
-        this._advanceComputationState(setup.id, ComputationState.FAILED);
+      if (computation && this._isRunning(computation)) {
+        this._advanceComputationState(setup.id, ComputationState.FAILED, error.message);
       }
       logger.error(`Failed to execute computation:`, error);
       throw new Error(`Computation execution failed: ${error.message}`);
     }
   }
 
+  /**
+   * Resume a computation from its checkpoint after a restart. The assigned
+   * nodes are reconnected and asked for the computation's status, which is
+   * reconciled with the checkpoint: share IDs and results a node sent while
+   * the orchestrator was down are taken over, and nodes that lost the
+   * computation are replaced as if they had dropped out. The computation then
+   * continues after the last phase it completed.
+   * @param {string} computationId - ID of the computation
+   * @returns {Promise<Object>} Computation results
+   */
+  async resumeComputation(computationId) {
+    try {
+      logger.info(`Resuming computation ${computationId}`);
+
+      if (!this.checkpoints) {
+        throw new Error('Computation checkpoints are not configured');
+      }
+      if (this.computations.has(computationId) && this._isRunning(this.computations.get(computationId))) {
+        throw new Error(`Computation ${computationId} is already running`);
+      }
+      const checkpoint = await this.checkpoints.get(computationId);
+      if (!checkpoint) {
+        throw new Error(`No checkpoint of computation ${computationId}`);
+      }
+
+      const computation = this._restoreComputation(checkpoint);
+      this.computations.set(computationId, computation);
+
+      const statuses = {};
+      await Promise.all(checkpoint.assignedNodes.map(async (nodeId) => {
+        statuses[nodeId] = await this._reconnectNode(computationId, nodeId);
+      }));
+      const { shareNotifications, nodeResults, pending, lost } = reconcileCheckpoint(checkpoint, statuses);
+      computation.shareNotifications = new Map(Object.entries(shareNotifications));
+      computation.nodeResults = new Map(Object.entries(nodeResults));
+      await this._checkpoint(computation);
+
+      this.emit('computation:resuming', { id: computationId, phase: computation.phase, pending, lost });
+      logger.info(`Computation ${computationId} resumes after phase ${computation.phase}: ${pending.length} nodes pending, ${lost.length} lost`);
+
+      for (const nodeId of lost) {
+        computation.assignedNodes.delete(nodeId);
+        this._replaceNode(computationId, nodeId);
+      }
+
+      const setup = {
+        id: computationId,
+        sessionKey: computation.sessionKey,
+        type: computation.type,
+        dataVaultIds: computation.dataVaultIds,
+        threshold: computation.threshold,
+        nodeIds: Array.from(computation.assignedNodes),
+        privacyParameters: computation.privacyParameters,
+        ...(computation.dataVersions ? { dataVersions: computation.dataVersions } : {}),
+        ...(computation.consent ? { consent: computation.consent } : {})
+      };
+
+      if (computation.phase === CheckpointPhase.CREATED) {
+        this._advanceComputationState(computationId, ComputationState.INITIALIZING);
+        await this._initializeNodesForComputation(setup);
+        await this._completePhase(computation, CheckpointPhase.INITIALIZED);
+      }
+      if (computation.phase === CheckpointPhase.INITIALIZED) {
+        this._advanceComputationState(computationId, ComputationState.SHARING);
+        await this._shareDataBetweenNodes(setup);
+        await this._completePhase(computation, CheckpointPhase.SHARED);
+      }
+
+      // Results reported while the orchestrator was down may already complete it
+      this._aggregateWhenComplete(computationId);
+      const result = await this._waitForComputationResult(computationId);
+
+      logger.info(`Resumed computation ${computationId} completed successfully`);
+      return result;
+    } catch (error) {
+      const computation = this.computations.get(computationId);
+      if (computation && this._isRunning(computation)) {
+        this._advanceComputationState(computationId, ComputationState.FAILED, error.message);
+      }
+      logger.error(`Failed to resume computation:`, error);
+      throw new Error(`Computation resume failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Whether a computation has a checkpoint it can be resumed from
+   * @param {string} computationId - ID of the computation
+   * @returns {Promise<boolean>} True if the computation can be resumed
+   */
+  async hasCheckpoint(computationId) {
+    return Boolean(this.checkpoints && await this.checkpoints.get(computationId));
+  }
+
+  /**
+   * Execute a pipeline computation. Steps run in dependency order under their
+   * own step computation IDs; the nodes keep each intermediate output as their
+   * share and only report that the step finished. Only the output step's
+   * shares are sent back and reconstructed.
+   * @param {Object} setup - Computation setup from setupComputation, with a pipeline
+   * @returns {Promise<Object>} Result of the output step
+   */
+  async executePipeline(setup) {
+    const pipeline = ComputationPipeline.from(setup.pipeline);
+    logger.info(`Executing pipeline ${setup.id} with ${pipeline.steps.length} steps`);
+
+    // Every step runs on the same nodes, so each node holds the inputs of its next step
+    this._advanceComputationState(setup.id, ComputationState.INITIALIZING);
+    for (const step of pipeline.order()) {
+      const stepSetup = {
+        ...setup,
+        id: ComputationPipeline.stepComputationId(setup.id, step.id),
+        type: step.type,
+        pipeline: {
+          computationId: setup.id,
+          stepId: step.id,
+          operation: step.operation,
+          params: step.params,
+          inputs: step.inputs.map(input => ComputationPipeline.stepComputationId(setup.id, input)),
+          reveal: step.id === pipeline.output
+        }
+      };
+
+      if (step.id === pipeline.output) {
+        this._advanceComputationState(setup.id, ComputationState.SHARING);
+        await this._initializeNodesForComputation(stepSetup);
+        await this._shareDataBetweenNodes(stepSetup);
+        this._advanceComputationState(setup.id, ComputationState.COMPUTING);
+        return this._waitForComputationResult(setup.id);
+      }
+
+      const completed = this._waitForStep(setup.id, stepSetup.id, setup.nodeIds);
+      await this._initializeNodesForComputation(stepSetup);
+      await this._shareDataBetweenNodes(stepSetup);
+      await completed;
+
+      this.emit('pipeline:step-completed', { id: setup.id, stepId: step.id });
+      logger.info(`Pipeline ${setup.id} step ${step.id} completed; output kept secret-shared`);
+    }
+
+    throw new Error(`Pipeline ${setup.id} has no output step`);
+  }
+
   /**
    * Abort an ongoing computation
    * @param {string} computationId - ID of the computation to abort
@@ -330,12 +551,12 @@ class SMPCOrchestrator extends EventEmitter {
       }
 
       const abortPromises = Array.from(computation.assignedNodes).map((nodeId) =>
-        this.coordinator.sendCommand(nodeId, 'abort', { computationId, reason })
+        this.coordinator.sendCommand(nodeId, 'abort', { computationId, reason }, this._traceMetadata(computationId))
       );
 
       await Promise.allSettled(abortPromises);
 
-      this._advanceComputationState(computationId, ComputationState.ABORTED);
+      this._advanceComputationState(computationId, ComputationState.ABORTED, reason);
       computation.abortReason = reason;
 
       this.emit('computation:aborted', { id: computationId, reason });
@@ -348,6 +569,75 @@ class SMPCOrchestrator extends EventEmitter {
     }
   }
 
+  /**
+   * Tear down the session of a computation: abort it if it is still running
+   * and have its nodes discard the session key. The orchestrator forgets the
+   * key as well, so the session cannot be resumed.
+   * @param {string} computationId - ID of the computation
+   * @param {string} reason - Reason for the teardown
+   * @returns {Promise<boolean>} Whether a session was torn down
+   */
+  async teardownSession(computationId, reason) {
+    const computation = this.computations.get(computationId);
+    if (!computation || !computation.sessionKey) {
+      return false;
+    }
+
+    logger.info(`Tearing down session of computation ${computationId}: ${reason}`);
+
+    if (![ComputationState.COMPLETED, ComputationState.FAILED, ComputationState.ABORTED].includes(computation.state)) {
+      await this.abortComputation(computationId, reason);
+    }
+
+    const { sessionKey } = computation;
+    const teardownPromises = Array.from(computation.assignedNodes).map((nodeId) =>
+      this.coordinator.sendCommand(nodeId, 'teardown', { computationId, sessionKey, reason }, this._traceMetadata(computationId))
+    );
+    await Promise.allSettled(teardownPromises);
+
+    computation.sessionKey = null;
+    this.emit('session:closed', { id: computationId, reason });
+    return true;
+  }
+
+  /**
+   * Estimate the resources a computation would use, without reserving any nodes
+   * @param {Object} params - Estimate parameters
+   * @param {string} params.type - Computation type
+   * @param {Array<string>} params.dataVaultIds - Data vault IDs
+   * @param {Object} [params.residency] - Data-residency constraints of the vaults, keyed by vault ID
+   * @returns {Object} Node count, threshold, expected shares and estimated runtime in milliseconds
+   * @throws {Error} If the type is unsupported, the residency constraints conflict or not enough nodes are available
+   */
+  estimateComputation({ type, dataVaultIds, residency = null }) {
+    if (!this.protocols[type]) {
+      throw new Error(`Unsupported computation type: ${type}`);
+    }
+
+    checkResidencyConflicts(residency);
+    const available = partitionByResidency(this.getAvailableNodes(type), residency).allowed
+      .filter((node) => !node.reputation.benched).length;
+    const nodeCount = Math.min(available, this.config.maxNodesPerComputation);
+    if (nodeCount < this.config.minNodes) {
+      throw new Error(`Not enough nodes available: found ${available}, need ${this.config.minNodes}`);
+    }
+
+    // Based on recent computations of the same type, scaled by how many shares this one exchanges
+    const expectedShares = nodeCount * dataVaultIds.length;
+    const samples = this.runtimeSamples.get(type) || [];
+    const msPerShare = samples.length > 0
+      ? samples.reduce((sum, sample) => sum + sample, 0) / samples.length
+      : this.config.estimatedMsPerShare;
+
+    return {
+      nodeCount,
+      threshold: this._thresholdFor(nodeCount),
+      expectedShares,
+      estimatedRuntimeMs: Math.min(Math.round(expectedShares * msPerShare), this.config.computationTimeout),
+      basedOnSamples: samples.length
+    };
+  }
+
   /**
    * Get the status of a computation
    * @param {string} computationId - ID of the computation
@@ -363,8 +653,10 @@ class SMPCOrchestrator extends EventEmitter {
       startedAt: computation.startedAt,
       completedAt: computation.completedAt,
       nodeCount: computation.assignedNodes.size,
+      replacements: computation.replacements,
       progress: this._calculateComputationProgress(computation),
-      errors: computation.errors.length > 0
+      errors: computation.errors.length > 0,
+      traceId: computation.span.traceId
     };
   }
 
@@ -378,7 +670,8 @@ class SMPCOrchestrator extends EventEmitter {
   }
 
   /**
-   * Get available computation nodes
+   * Get available computation nodes with their reputation; benched nodes are
+   * listed, with the reason, but are not selected for computations
    * @param {string} [protocol] - Filter by supported protocol
    * @returns {Array<Object>} Array of node information
    */
@@ -391,7 +684,8 @@ class SMPCOrchestrator extends EventEmitter {
             id: nodeId,
             url: nodeInfo.url,
             supportedProtocols: nodeInfo.supportedProtocols,
-            capabilities: nodeInfo.capabilities
+            capabilities: nodeInfo.capabilities,
+            reputation: this.reputation.getReputation(nodeId)
           });
         }
       }
@@ -400,34 +694,381 @@ class SMPCOrchestrator extends EventEmitter {
   }
 
   /**
-   * Select nodes for a computation
+   * Select nodes for a computation, ranked by capability, load and reputation.
+   * Benched nodes and nodes outside the data residency of any of the
+   * computation's vaults are left out.
    * @param {Object} computation - Computation details
    * @returns {Promise<Set<string>>} Set of selected node IDs
+   * @throws {Error} If the residency constraints conflict or not enough nodes are available, saying which nodes were left out and why
    * @private
    */
   async _selectNodesForComputation(computation) {
-    const availableNodes = this.getAvailableNodes(computation.type);
+    const types = computation.types || [computation.type];
+    checkResidencyConflicts(computation.residency);
+    const supportingNodes = this.getAvailableNodes()
+      .filter((node) => types.every((type) => node.supportedProtocols.includes(type)));
+    const { allowed: residentNodes, excluded } = partitionByResidency(supportingNodes, computation.residency);
+    const availableNodes = residentNodes.filter((node) => !node.reputation.benched);
     const targetNodeCount = Math.min(availableNodes.length, this.config.maxNodesPerComputation);
 
     if (targetNodeCount < this.config.minNodes) {
-      throw new Error(`Not enough nodes available: found ${availableNodes.length}, need ${this.config.minNodes}`);
+      const benched = residentNodes.length - availableNodes.length;
+      const notes = [benched ? `${benched} benched` : null, excluded.length ? `${excluded.length} outside data residency` : null].filter(Boolean);
+      throw new Error(`Not enough nodes available: found ${availableNodes.length}${notes.length ? ` (${notes.join(', ')})` : ''}, need ${this.config.minNodes}${excluded.length ? `; ${describeExclusions(excluded)}` : ''}`);
     }
 
+    const rankedNodes = await this._rankNodes(availableNodes);
+    return new Set(rankedNodes.slice(0, targetNodeCount));
+  }
+
+  /**
+   * Rank nodes by capability, load and reputation, best first
+   * @param {Array<Object>} nodes - Nodes from getAvailableNodes
+   * @returns {Promise<Array<string>>} Ranked node IDs
+   * @private
+   */
+  async _rankNodes(nodes) {
     const nodeScores = await Promise.all(
-      availableNodes.map(async (node) => {
+      nodes.map(async (node) => {
         const nodeLoad = await this.coordinator.getNodeLoad(node.id).catch(() => 1);
         const capabilityScore = node.capabilities.computePower || 1;
-        const score = capabilityScore * (1 - nodeLoad);
+        const score = capabilityScore * (1 - nodeLoad) * node.reputation.score;
         return { node, score };
       })
     );
 
-    const selectedNodes = nodeScores
+    return nodeScores
       .sort((a, b) => b.score - a.score)
-      .slice(0, targetNodeCount)
       .map((item) => item.node.id);
+  }
+
+  /**
+   * Replace a node that dropped out of a computation. The surviving nodes
+   * re-share its share to a replacement in three rounds relayed through the
+   * coordinator: each survivor splits its share, scaled to the dropped node's
+   * point, into sub-shares for the survivors; each survivor adds up the
+   * sub-shares made for it; the replacement adds up those sums into the
+   * dropped node's share. Every sub-share and sum is sealed to a key its
+   * recipient offered for the re-sharing and signed with its identity key, so
+   * the coordinator relays only ciphertext. The nodes see only random
+   * sub-shares, never the secret or another node's share.
+   * If re-sharing fails the computation continues without the node, or is
+   * aborted when too few nodes remain.
+   * @param {string} computationId - ID of the computation
+   * @param {string} nodeId - ID of the node that dropped out
+   * @returns {Promise<string|null>} ID of the replacement node, or null if the node was not replaced
+   * @private
+   */
+  async _replaceNode(computationId, nodeId) {
+    const computation = this.computations.get(computationId);
+    const target = computation.sharePoints.get(nodeId);
+    const helpers = Array.from(computation.assignedNodes);
+    const points = {};
+    for (const helper of helpers) {
+      points[helper] = computation.sharePoints.get(helper);
+    }
+
+    computation.recovering++;
+    let replacementId = null;
+    try {
+      logger.info(`Re-sharing the share of node ${nodeId} in computation ${computationId} among ${helpers.length} surviving nodes`);
+      if (helpers.length === 0) {
+        throw new Error('No surviving nodes');
+      }
+
+      replacementId = await this._selectReplacementNode(computation, nodeId);
+      const { sessionKey } = computation;
+      const traceMetadata = this._traceMetadata(computationId);
+
+      await this._sendCommand(replacementId, 'initialize', {
+        computationId,
+        sessionKey,
+        type: computation.type,
+        threshold: computation.threshold,
+        dataVaultIds: computation.dataVaultIds,
+        privacyParameters: computation.privacyParameters,
+        peers: helpers,
+        ...(computation.dataVersions ? { dataVersions: computation.dataVersions } : {}),
+        ...(computation.consent ? { consent: computation.consent } : {})
+      }, traceMetadata);
+
+      const offers = await Promise.all([...helpers, replacementId].map((id) =>
+        this._sendCommand(id, 'reshare_key', { computationId, sessionKey }, traceMetadata)
+      ));
+      const keys = {};
+      helpers.forEach((helper, index) => {
+        keys[helper] = this._reshareKeyOffer(offers[index]);
+      });
+      const replacementKey = this._reshareKeyOffer(offers[helpers.length]);
+
+      const rounds = await Promise.all(helpers.map((helper) =>
+        this._sendCommand(helper, 'reshare', { computationId, sessionKey, points, target, keys }, traceMetadata)
+      ));
+      const contributions = await Promise.all(helpers.map((helper) =>
+        this._sendCommand(helper, 'reshare_combine', {
+          computationId,
+          sessionKey,
+          target,
+          subShares: rounds.map((round) => round.subShares[helper]),
+          replacementId,
+          replacementKey
+        }, traceMetadata)
+      ));
+      await this._sendCommand(replacementId, 'recover_share', {
+        computationId,
+        sessionKey,
+        target,
+        contributions: contributions.map((response) => response.contribution),
+        thresholds: rounds[0].thresholds
+      }, traceMetadata);
+
+      if (!this._isRunning(computation)) {
+        throw new Error(`computation is ${computation.state}`);
+      }
+
+      computation.assignedNodes.add(replacementId);
+      computation.sharePoints.set(replacementId, target);
+      computation.sharePoints.delete(nodeId);
+      computation.replacements.push({ nodeId, replacementId, replacedAt: Date.now() });
+      this._checkpoint(computation);
+
+      // Nodes already told to share will not be told again, so the replacement starts on its own
+      if ([ComputationState.SHARING, ComputationState.COMPUTING].includes(computation.state)) {
+        await this._sendCommand(replacementId, 'share', { computationId, sessionKey }, traceMetadata);
+      }
+
+      this.emit('computation:node-replaced', { id: computationId, nodeId, replacementId, helpers });
+      logger.info(`Node ${nodeId} replaced by ${replacementId} in computation ${computationId}`);
+      return replacementId;
+    } catch (error) {
+      logger.error(`Failed to re-share the share of node ${nodeId} in computation ${computationId}:`, error);
+      if (replacementId && computation.assignedNodes.has(replacementId)) {
+        computation.assignedNodes.delete(replacementId);
+        computation.sharePoints.set(nodeId, target);
+        computation.sharePoints.delete(replacementId);
+        computation.replacements.pop();
+      }
+      if (this._isRunning(computation)) {
+        this._continueWithoutNode(computationId, nodeId, error.message);
+      }
+      return null;
+    } finally {
+      computation.recovering--;
+      if (replacementId) {
+        computation.pendingReplacements.delete(replacementId);
+      }
+      this._aggregateWhenComplete(computationId);
+    }
+  }
+
+  /**
+   * Key offer of a node's reshare_key response, as relayed to the other nodes
+   * @param {Object} response - Response to reshare_key
+   * @returns {Object} Key offer: reshareKey, cipher, signature and certificate
+   * @private
+   */
+  _reshareKeyOffer({ reshareKey, cipher, signature, certificate }) {
+    return { reshareKey, cipher, signature, certificate };
+  }
+
+  /**
+   * Select a node to take over the share of a node that dropped out: the best
+   * ranked node supporting the computation that is not benched, satisfies the
+   * data residency of its vaults, is not assigned to it and is not already
+   * replacing another node
+   * @param {Object} computation - Computation metadata
+   * @param {string} nodeId - ID of the node that dropped out
+   * @returns {Promise<string>} ID of the replacement node
+   * @throws {Error} If no node is available
+   * @private
+   */
+  async _selectReplacementNode(computation, nodeId) {
+    const candidates = partitionByResidency(this.getAvailableNodes(computation.type), computation.residency).allowed.filter((node) =>
+      node.id !== nodeId && !node.reputation.benched && !computation.assignedNodes.has(node.id)
+    );
+    const rankedNodes = await this._rankNodes(candidates);
+
+    // Another replacement may have claimed a node while the loads were fetched
+    const replacementId = rankedNodes.find((id) =>
+      !computation.pendingReplacements.has(id) && !computation.assignedNodes.has(id)
+    );
+    if (!replacementId) {
+      throw new Error('No replacement node available');
+    }
+    computation.pendingReplacements.add(replacementId);
+    return replacementId;
+  }
+
+  /**
+   * Carry on a computation without a node that dropped out, aborting it if
+   * fewer nodes than its threshold remain
+   * @param {string} computationId - ID of the computation
+   * @param {string} nodeId - ID of the node that dropped out
+   * @param {string} [reason] - Why the node was not replaced
+   * @private
+   */
+  _continueWithoutNode(computationId, nodeId, reason = null) {
+    const computation = this.computations.get(computationId);
+    const note = reason ? ` (not replaced: ${reason})` : '';
+    if (computation.assignedNodes.size < computation.threshold) {
+      this.abortComputation(computationId, `Node ${nodeId} disconnected, not enough nodes to meet threshold${note}`);
+    } else {
+      logger.warn(`Node ${nodeId} disconnected during computation ${computationId}, but computation can continue${note}`);
+      this._checkpoint(computation);
+    }
+  }
+
+  /**
+   * Whether a computation has not yet finished, failed or been aborted
+   * @param {Object} computation - Computation metadata
+   * @returns {boolean} True if the computation is still running
+   * @private
+   */
+  _isRunning(computation) {
+    return ![ComputationState.COMPLETED, ComputationState.FAILED, ComputationState.ABORTED].includes(computation.state);
+  }
+
+  /**
+   * Rebuild a computation's metadata from its checkpoint. Its span joins the
+   * trace the computation was started in.
+   * @param {Object} checkpoint - Checkpoint of the computation
+   * @returns {Object} Computation metadata
+   * @private
+   */
+  _restoreComputation(checkpoint) {
+    const assignedNodes = new Set(checkpoint.assignedNodes);
+    // Aggregation interrupted by the restart runs again once the results are in
+    const state = [ComputationState.AGGREGATING, ComputationState.VERIFYING].includes(checkpoint.state)
+      ? ComputationState.COMPUTING
+      : checkpoint.state;
+    return {
+      id: checkpoint.id,
+      sessionKey: checkpoint.sessionKey,
+      type: checkpoint.type,
+      dataVaultIds: checkpoint.dataVaultIds,
+      researcher: checkpoint.researcher,
+      residency: checkpoint.residency || null,
+      dataVersions: checkpoint.dataVersions || null,
+      consent: checkpoint.consent || null,
+      state,
+      phase: checkpoint.phase,
+      threshold: checkpoint.threshold,
+      privacyParameters: checkpoint.privacyParameters,
+      assignedNodes,
+      shareNotifications: new Map(Object.entries(checkpoint.shareNotifications)),
+      nodeResults: new Map(Object.entries(checkpoint.nodeResults)),
+      sharePoints: new Map(Object.entries(checkpoint.sharePoints)),
+      replacements: checkpoint.replacements,
+      pendingReplacements: new Set(),
+      recovering: 0,
+      receivedShares: checkpoint.receivedShares,
+      expectedShares: checkpoint.expectedShares,
+      errors: [],
+      protocol: this.protocols[checkpoint.type],
+      pipeline: null,
+      startedAt: checkpoint.startedAt,
+      resumedAt: Date.now(),
+      stateHistory: [{ state, timestamp: Date.now(), resumed: true }],
+      span: this.tracer.startSpan('orchestrator.computation', {
+        parent: checkpoint.trace,
+        attributes: {
+          'computation.id': checkpoint.id,
+          'computation.type': checkpoint.type,
+          'computation.nodes': assignedNodes.size,
+          'computation.resumed': true
+        }
+      }),
+      phaseSpan: null,
+      checkpointed: Promise.resolve()
+    };
+  }
+
+  /**
+   * Reconnect to a node of a resumed computation and ask for the
+   * computation's status
+   * @param {string} computationId - ID of the computation
+   * @param {string} nodeId - ID of the node
+   * @returns {Promise<Object|null>} Status reported by the node, or null if it is unreachable or lost the computation
+   * @private
+   */
+  async _reconnectNode(computationId, nodeId) {
+    try {
+      if (!this.activeNodes.has(nodeId)) {
+        const nodeInfo = this.nodeRegistry.get(nodeId);
+        await this.coordinator.connectNode(nodeId, nodeInfo && nodeInfo.url);
+      }
+      const status = await this.coordinator.sendCommand(nodeId, 'status', { computationId }, this._traceMetadata(computationId));
+      return status && status.type === 'computation_status' ? status : null;
+    } catch (error) {
+      logger.warn(`Node ${nodeId} has no status of computation ${computationId}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Record that a computation completed a phase and checkpoint it
+   * @param {Object} computation - Computation metadata
+   * @param {string} phase - Completed phase, from CheckpointPhase
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _completePhase(computation, phase) {
+    computation.phase = phase;
+    await this._checkpoint(computation);
+  }
+
+  /**
+   * Checkpoint a computation as it is now, or remove its checkpoint once it
+   * finished. Writes of a computation's checkpoints are queued so they land in
+   * order. Pipelines are not checkpointed.
+   * @param {Object} computation - Computation metadata
+   * @returns {Promise<void>}
+   * @private
+   */
+  _checkpoint(computation) {
+    if (!this.checkpoints || computation.pipeline) {
+      return Promise.resolve();
+    }
+
+    const snapshot = this._isRunning(computation) ? this._toCheckpoint(computation) : null;
+
+    computation.checkpointed = computation.checkpointed
+      .then(() => (snapshot ? this.checkpoints.save(snapshot) : this.checkpoints.remove(computation.id)))
+      .catch((error) => logger.error(`Failed to checkpoint computation ${computation.id}:`, error));
+    return computation.checkpointed;
+  }
 
-    return new Set(selectedNodes);
+  /**
+   * Checkpoint of a computation; shares stay on the nodes and are referenced
+   * by the share IDs they announced
+   * @param {Object} computation - Computation metadata
+   * @returns {Object} Checkpoint
+   * @private
+   */
+  _toCheckpoint(computation) {
+    return {
+      id: computation.id,
+      sessionKey: computation.sessionKey,
+      type: computation.type,
+      dataVaultIds: computation.dataVaultIds,
+      researcher: computation.researcher,
+      residency: computation.residency,
+      dataVersions: computation.dataVersions,
+      consent: computation.consent,
+      threshold: computation.threshold,
+      privacyParameters: computation.privacyParameters,
+      phase: computation.phase,
+      state: computation.state,
+      assignedNodes: Array.from(computation.assignedNodes),
+      sharePoints: Object.fromEntries(computation.sharePoints),
+      replacements: computation.replacements,
+      shareNotifications: Object.fromEntries(computation.shareNotifications),
+      nodeResults: Object.fromEntries(computation.nodeResults),
+      receivedShares: computation.receivedShares,
+      expectedShares: computation.expectedShares,
+      startedAt: computation.startedAt,
+      trace: computation.span.traceparent()
+    };
   }
 
   /**
@@ -439,16 +1080,21 @@ class SMPCOrchestrator extends EventEmitter {
   async _initializeNodesForComputation(setup) {
     logger.info(`Initializing ${setup.nodeIds.length} nodes for computation ${setup.id}`);
 
-    const initPromises = setup.nodeIds.map((nodeId) =>
-      this.coordinator.sendCommand(nodeId, 'initialize', {
+    const traceMetadata = this._traceMetadata((setup.pipeline && setup.pipeline.computationId) || setup.id);
+    const nodeIds = this._currentNodeIds(setup);
+    const initPromises = nodeIds.map((nodeId) =>
+      this._sendCommand(nodeId, 'initialize', {
         computationId: setup.id,
         sessionKey: setup.sessionKey,
         type: setup.type,
         threshold: setup.threshold,
         dataVaultIds: setup.dataVaultIds,
         privacyParameters: setup.privacyParameters,
-        peers: setup.nodeIds.filter((id) => id !== nodeId)
-      })
+        peers: nodeIds.filter((id) => id !== nodeId),
+        ...(setup.pipeline ? { pipeline: setup.pipeline } : {}),
+        ...(setup.dataVersions ? { dataVersions: setup.dataVersions } : {}),
+        ...(setup.consent ? { consent: setup.consent } : {})
+      }, traceMetadata).catch((error) => this._unlessDropped(setup, nodeId, error))
     );
 
     await Promise.all(initPromises);
@@ -464,17 +1110,73 @@ class SMPCOrchestrator extends EventEmitter {
   async _shareDataBetweenNodes(setup) {
     logger.info(`Starting data sharing for computation ${setup.id}`);
 
-    const sharePromises = setup.nodeIds.map((nodeId) =>
-      this.coordinator.sendCommand(nodeId, 'share', {
+    const traceMetadata = this._traceMetadata((setup.pipeline && setup.pipeline.computationId) || setup.id);
+    // Nodes of a resumed computation that announced their share already are not told again
+    const computation = this.computations.get(setup.id);
+    const nodeIds = this._currentNodeIds(setup)
+      .filter((nodeId) => !(computation && computation.shareNotifications.has(nodeId)));
+    const sharePromises = nodeIds.map((nodeId) =>
+      this._sendCommand(nodeId, 'share', {
         computationId: setup.id,
         sessionKey: setup.sessionKey
-      })
+      }, traceMetadata).catch((error) => this._unlessDropped(setup, nodeId, error))
     );
 
     await Promise.all(sharePromises);
     logger.info(`Data sharing initiated for computation ${setup.id}`);
   }
 
+  /**
+   * Nodes a computation currently runs on; replacements of dropped nodes take their place
+   * @param {Object} setup - Computation setup
+   * @returns {Array<string>} Node IDs
+   * @private
+   */
+  _currentNodeIds(setup) {
+    const computation = this.computations.get(setup.id);
+    return computation ? Array.from(computation.assignedNodes) : setup.nodeIds;
+  }
+
+  /**
+   * Rethrow a node's command failure, unless the node has dropped out of the
+   * computation in the meantime and is being replaced or left out
+   * @param {Object} setup - Computation setup
+   * @param {string} nodeId - ID of the node
+   * @param {Error} error - Command failure
+   * @throws {Error} The failure, if the node is still assigned
+   * @private
+   */
+  _unlessDropped(setup, nodeId, error) {
+    const computation = this.computations.get((setup.pipeline && setup.pipeline.computationId) || setup.id);
+    if (!computation || computation.assignedNodes.has(nodeId)) {
+      throw error;
+    }
+    logger.warn(`Ignoring failure of dropped node ${nodeId} in computation ${setup.id}: ${error.message}`);
+  }
+
+  /**
+   * Send a command to a node through the coordinator, recording the node's
+   * response latency, or the timeout or error, in its reputation
+   * @param {string} nodeId - ID of the node
+   * @param {string} command - Command name
+   * @param {Object} params - Command parameters, with the computation ID
+   * @param {Object} [metadata] - Command metadata
+   * @returns {Promise<Object>} Node response
+   * @private
+   */
+  async _sendCommand(nodeId, command, params, metadata) {
+    const sentAt = Date.now();
+    try {
+      const response = await this.coordinator.sendCommand(nodeId, command, params, metadata);
+      this.reputation.recordLatency(nodeId, Date.now() - sentAt);
+      return response;
+    } catch (error) {
+      const outcome = /timed? ?out/i.test(error.message) ? Outcome.TIMEOUT : Outcome.ERROR;
+      this.reputation.record(nodeId, outcome, { computationId: params.computationId, reason: `${command}: ${error.message}` });
+      throw error;
+    }
+  }
+
   /**
    * Wait for computation result
    * @param {string} computationId - ID of the computation
@@ -483,15 +1185,24 @@ class SMPCOrchestrator extends EventEmitter {
    */
   async _waitForComputationResult(computationId) {
     return new Promise((resolve, reject) => {
-      const timeout = setTimeout(
-        () => reject(new Error(`Computation ${computationId} timed out`)),
-        this.config.computationTimeout
-      );
+      const timeout = setTimeout(() => {
+        // The nodes that never reported a result held the computation up
+        const computation = this.computations.get(computationId);
+        if (computation) {
+          for (const nodeId of computation.assignedNodes) {
+            if (!computation.nodeResults.has(nodeId)) {
+              this.reputation.record(nodeId, Outcome.TIMEOUT, { computationId });
+            }
+          }
+        }
+        reject(new Error(`Computation ${computationId} timed out`));
+      }, this.config.computationTimeout);
 
       const resultListener = (result) => {
         if (result.id === computationId) {
           clearTimeout(timeout);
           this.removeListener('computation:completed', resultListener);
+          this.removeListener('computation:aborted', abortListener);
           resolve(result.result);
         }
       };
@@ -501,23 +1212,112 @@ class SMPCOrchestrator extends EventEmitter {
           clearTimeout(timeout);
           this.removeListener('computation:completed', resultListener);
           this.removeListener('computation:failed', errorListener);
+          this.removeListener('computation:aborted', abortListener);
           reject(new Error(`Computation failed: ${error.message}`));
         }
       };
 
+      // A node dropping out can abort the computation while it is awaited
+      const abortListener = ({ id, reason }) => {
+        if (id === computationId) {
+          clearTimeout(timeout);
+          this.removeListener('computation:completed', resultListener);
+          this.removeListener('computation:failed', errorListener);
+          this.removeListener('computation:aborted', abortListener);
+          reject(new Error(`Computation aborted: ${reason}`));
+        }
+      };
+
       this.on('computation:completed', resultListener);
       this.on('computation:failed', errorListener);
+      this.on('computation:aborted', abortListener);
 
       const computation = this.computations.get(computationId);
       if (computation && computation.state === ComputationState.COMPLETED) {
         clearTimeout(timeout);
         this.removeListener('computation:completed', resultListener);
         this.removeListener('computation:failed', errorListener);
+        this.removeListener('computation:aborted', abortListener);
         resolve(computation.result);
+      } else if (computation && computation.state === ComputationState.ABORTED) {
+        abortListener({ id: computationId, reason: computation.abortReason });
       }
     });
   }
 
+  /**
+   * Wait until every node has finished an intermediate pipeline step
+   * @param {string} computationId - ID of the pipeline computation
+   * @param {string} stepComputationId - Step computation ID
+   * @param {Array<string>} nodeIds - Nodes running the step
+   * @returns {Promise<void>}
+   * @private
+   */
+  _waitForStep(computationId, stepComputationId, nodeIds) {
+    return new Promise((resolve, reject) => {
+      const pending = new Set(nodeIds);
+
+      const cleanup = () => {
+        clearTimeout(timeout);
+        this.coordinator.removeListener('step:completed', stepListener);
+        this.coordinator.removeListener('error', errorListener);
+        this.removeListener('computation:aborted', abortListener);
+      };
+
+      const timeout = setTimeout(() => {
+        cleanup();
+        reject(new Error(`Pipeline step ${stepComputationId} timed out`));
+      }, this.config.computationTimeout);
+
+      const stepListener = ({ computationId: id, nodeId }) => {
+        if (id !== stepComputationId) return;
+        pending.delete(nodeId);
+        if (pending.size === 0) {
+          cleanup();
+          resolve();
+        }
+      };
+
+      const errorListener = ({ computationId: id, nodeId, error }) => {
+        if (id !== stepComputationId) return;
+        cleanup();
+        reject(new Error(`Pipeline step ${stepComputationId} failed on node ${nodeId}: ${error && error.message}`));
+      };
+
+      const abortListener = ({ id, reason }) => {
+        if (id !== computationId) return;
+        cleanup();
+        reject(new Error(`Pipeline ${computationId} aborted: ${reason}`));
+      };
+
+      this.coordinator.on('step:completed', stepListener);
+      this.coordinator.on('error', errorListener);
+      this.on('computation:aborted', abortListener);
+    });
+  }
+
+  /**
+   * Aggregate a computation's results once every assigned node reported one
+   * and no dropped node is still being replaced
+   * @param {string} computationId - ID of the computation
+   * @private
+   */
+  _aggregateWhenComplete(computationId) {
+    const computation = this.computations.get(computationId);
+    if (
+      computation &&
+      computation.recovering === 0 &&
+      computation.nodeResults.size > 0 &&
+      computation.nodeResults.size >= computation.assignedNodes.size &&
+      this._isRunning(computation) &&
+      computation.state !== ComputationState.AGGREGATING &&
+      computation.state !== ComputationState.VERIFYING
+    ) {
+      this._advanceComputationState(computationId, ComputationState.AGGREGATING);
+      this._aggregateResults(computationId);
+    }
+  }
+
   /**
    * Aggregate results from all nodes
    * @param {string} computationId - ID of the computation
@@ -532,7 +1332,7 @@ class SMPCOrchestrator extends EventEmitter {
         throw new Error(`Computation ${computationId} not found`);
       }
 
-      const protocol = this.protocols[computation.type];
+      const protocol = computation.protocol;
       const nodeResults = Array.from(computation.nodeResults.values());
       const result = await protocol.aggregateResults(nodeResults, computation.privacyParameters);
 
@@ -542,6 +1342,11 @@ class SMPCOrchestrator extends EventEmitter {
       this._advanceComputationState(computationId, ComputationState.VERIFYING);
       const isValid = await this._verifyComputationResult(computationId, result);
 
+      // Which share was wrong cannot be told from the aggregate, so every contributing node answers for it
+      for (const nodeId of computation.nodeResults.keys()) {
+        this.reputation.record(nodeId, isValid ? Outcome.SUCCESS : Outcome.VERIFICATION_FAILED, { computationId });
+      }
+
       if (isValid) {
         this._advanceComputationState(computationId, ComputationState.COMPLETED);
         this.emit('computation:completed', { id: computationId, result });
@@ -551,7 +1356,7 @@ class SMPCOrchestrator extends EventEmitter {
       }
     } catch (error) {
       logger.error(`Failed to aggregate results for computation ${computationId}:`, error);
-      this._advanceComputationState(computationId, ComputationState.FAILED);
+      this._advanceComputationState(computationId, ComputationState.FAILED, error.message);
       this.emit('computation:failed', { id: computationId, error: error.message });
     }
   }
@@ -572,7 +1377,7 @@ class SMPCOrchestrator extends EventEmitter {
         throw new Error(`Computation ${computationId} not found`);
       }
 
-      const protocol = this.protocols[computation.type];
+      const protocol = computation.protocol;
       const isValid = await protocol.verifyResult(result, {
         nodeResults: Array.from(computation.nodeResults.values()),
         privacyParameters: computation.privacyParameters
@@ -585,13 +1390,38 @@ class SMPCOrchestrator extends EventEmitter {
     }
   }
 
+  /**
+   * Number of nodes that must agree for a computation with the given node count
+   * @param {number} nodeCount - Number of assigned nodes
+   * @returns {number} Threshold
+   * @private
+   */
+  _thresholdFor(nodeCount) {
+    return Math.max(Math.ceil(nodeCount * this.config.thresholdRatio), this.config.minThreshold);
+  }
+
+  /**
+   * Record how long a completed computation took per share, for later estimates
+   * @param {Object} computation - Completed computation metadata
+   * @private
+   */
+  _recordRuntime(computation) {
+    const initialized = computation.stateHistory.find(entry => entry.state === ComputationState.INITIALIZING);
+    if (!initialized || !computation.expectedShares) return;
+
+    const samples = this.runtimeSamples.get(computation.type) || [];
+    samples.push((Date.now() - initialized.timestamp) / computation.expectedShares);
+    this.runtimeSamples.set(computation.type, samples.slice(-RUNTIME_SAMPLE_SIZE));
+  }
+
   /**
    * Advance a computation's state
    * @param {string} computationId - ID of the computation
    * @param {string} newState - New state
+   * @param {string} [reason] - Why the computation failed or was aborted
    * @private
    */
-  _advanceComputationState(computationId, newState) {
+  _advanceComputationState(computationId, newState, reason = null) {
     const computation = this.computations.get(computationId);
     if (!computation) return;
 
@@ -603,10 +1433,49 @@ class SMPCOrchestrator extends EventEmitter {
       transitionFrom: oldState
     });
 
+    if (newState === ComputationState.COMPLETED) {
+      this._recordRuntime(computation);
+    }
+    this._traceState(computation, newState, reason);
+    this._checkpoint(computation);
+
     this.emit('computation:state-changed', { id: computationId, oldState, newState });
     logger.info(`Computation ${computationId} state changed: ${oldState} -> ${newState}`);
   }
 
+  /**
+   * End the span of the phase a computation leaves and start the span of the
+   * phase it enters; the computation's span ends with its final state
+   * @param {Object} computation - Computation metadata
+   * @param {string} newState - State entered
+   * @param {string} [reason] - Why the computation failed or was aborted
+   * @private
+   */
+  _traceState(computation, newState, reason) {
+    if (computation.phaseSpan) computation.phaseSpan.end();
+    computation.phaseSpan = PHASES[newState]
+      ? this.tracer.startSpan(`orchestrator.${PHASES[newState]}`, { parent: computation.span })
+      : null;
+
+    if (newState === ComputationState.COMPLETED) {
+      computation.span.end();
+    } else if (newState === ComputationState.FAILED || newState === ComputationState.ABORTED) {
+      computation.span.end({ error: reason || `Computation ${newState}` });
+    }
+  }
+
+  /**
+   * Command metadata that carries a computation's trace context to its nodes
+   * @param {string} computationId - ID of the computation
+   * @returns {Object} Metadata with the traceparent of the computation's current phase
+   * @private
+   */
+  _traceMetadata(computationId) {
+    const computation = this.computations.get(computationId);
+    const span = computation && (computation.phaseSpan || computation.span);
+    return span ? { trace: span.traceparent() } : {};
+  }
+
   /**
    * Calculate computation progress percentage
    * @param {Object} computation - Computation metadata
@@ -0,0 +1,43 @@
+/**
+ * StateSnapshot
+ *
+ * Read-only view of a deployment's persisted state, for operator tools that
+ * inspect a Privacy Layer that may be running. The Privacy Layer is restored
+ * without recovering anything, and the audit log is loaded without recording
+ * events or committing, so loading a snapshot never writes to the state
+ * store. Open the store read-only as well to leave a journal untouched even
+ * if it ends in a torn write.
+ */
+
+const PrivacyLayer = require('./PrivacyLayer');
+const { AuditLog } = require('./AuditLog');
+const { ComputationCheckpoints } = require('../smpc/checkpoints');
+
+/**
+ * Load a snapshot of the persisted state
+ * @param {Object} options - Snapshot options
+ * @param {StateStore} options.stateStore - State store to read
+ * @param {Object} options.zkpVerifier - ZKP verifier the restored access proofs are registered with
+ * @param {Object} [options.config={}] - Privacy Layer configuration
+ * @returns {Promise<Object>} Privacy Layer, audit log and the orchestrator's computation checkpoints
+ * @throws {Error} If the state cannot be loaded or the persisted audit log fails verification
+ */
+async function loadSnapshot({ stateStore, zkpVerifier, config = {} }) {
+  const auditLog = new AuditLog({
+    stateStore,
+    commitIntervalMs: 0,
+    treeDepth: (config.audit || {}).treeDepth
+  });
+  await auditLog.initialize();
+
+  const privacyLayer = new PrivacyLayer({ zkpVerifier, stateStore, config });
+  await privacyLayer.restore({ recover: false });
+
+  return {
+    privacyLayer,
+    auditLog,
+    checkpoints: new ComputationCheckpoints({ stateStore, collection: 'orchestratorCheckpoints' })
+  };
+}
+
+module.exports = { loadSnapshot };
@@ -0,0 +1,312 @@
+/**
+ * StateStore
+ *
+ * Pluggable persistence for the Privacy Layer. A state store keeps keyed records
+ * grouped into named collections (data vaults, access requests, computations,
+ * access proofs) so that a restarted process can rehydrate its in-memory maps.
+ * Two adapters are provided: an in-memory store for tests and a file-backed,
+ * append-only journal that survives crashes mid-write.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('../../utils/logger')('privacy-layer:state-store');
+
+/**
+ * Base state store adapter. Concrete adapters must implement every method.
+ * @class StateStore
+ */
+class StateStore {
+  /**
+   * Load every persisted collection
+   * @returns {Promise<Object<string, Map<string, Object>>>} Collections keyed by name
+   */
+  async load() {
+    throw new Error('StateStore.load() not implemented');
+  }
+
+  /**
+   * Insert or replace a record
+   * @param {string} collection - Collection name
+   * @param {string} key - Record key
+   * @param {Object} value - JSON-serializable record
+   * @returns {Promise<void>}
+   */
+  async put(collection, key, value) {
+    throw new Error('StateStore.put() not implemented');
+  }
+
+  /**
+   * Delete a record
+   * @param {string} collection - Collection name
+   * @param {string} key - Record key
+   * @returns {Promise<void>}
+   */
+  async delete(collection, key) {
+    throw new Error('StateStore.delete() not implemented');
+  }
+
+  /**
+   * Release any resources held by the store
+   * @returns {Promise<void>}
+   */
+  async close() {}
+}
+
+/**
+ * Volatile store backed by Maps; intended for tests and local development
+ * @class MemoryStateStore
+ * @extends StateStore
+ */
+class MemoryStateStore extends StateStore {
+  constructor() {
+    super();
+    this.collections = new Map(); // collection => Map(key => serialized value)
+  }
+
+  async load() {
+    const result = {};
+    for (const [name, records] of this.collections.entries()) {
+      result[name] = new Map(
+        Array.from(records.entries()).map(([key, value]) => [key, JSON.parse(value)])
+      );
+    }
+    return result;
+  }
+
+  async put(collection, key, value) {
+    if (!this.collections.has(collection)) {
+      this.collections.set(collection, new Map());
+    }
+    // Store a serialized copy so later mutations by the caller are not persisted implicitly
+    this.collections.get(collection).set(String(key), JSON.stringify(value));
+  }
+
+  async delete(collection, key) {
+    const records = this.collections.get(collection);
+    if (records) records.delete(String(key));
+  }
+}
+
+/**
+ * Durable store that appends one JSON entry per mutation to a journal file.
+ * On load the journal is replayed; a partially written trailing entry (from a
+ * crash mid-append) is ignored. The journal is compacted into a single
+ * snapshot once it grows past `compactionThreshold` entries. A read-only
+ * store replays the journal without touching it, so a snapshot can be read
+ * while another process appends.
+ * @class FileStateStore
+ * @extends StateStore
+ */
+class FileStateStore extends StateStore {
+  /**
+   * Create a file-backed state store
+   * @param {Object} options - Configuration options
+   * @param {string} options.filePath - Path of the journal file
+   * @param {number} [options.compactionThreshold=10000] - Journal entries before compaction
+   * @param {boolean} [options.fsync=true] - Whether to fsync after every append
+   * @param {boolean} [options.readOnly=false] - Only load the journal: never create, append to or compact it
+   */
+  constructor({ filePath, compactionThreshold = 10000, fsync = true, readOnly = false } = {}) {
+    super();
+    if (!filePath) throw new Error('filePath is required');
+
+    this.filePath = filePath;
+    this.compactionThreshold = compactionThreshold;
+    this.fsync = fsync;
+    this.readOnly = readOnly;
+
+    this.collections = new Map(); // Materialized view of the journal
+    this.entryCount = 0;
+    this.fd = null;
+    this.writeQueue = Promise.resolve(); // Serializes appends so journal order matches call order
+  }
+
+  async load() {
+    if (!this.readOnly) {
+      await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+    }
+
+    // Loading again (e.g. from a second consumer of the same store) replays the journal afresh
+    await this.writeQueue;
+    if (this.fd) {
+      await this.fd.close();
+      this.fd = null;
+    }
+
+    this.collections.clear();
+    this.entryCount = 0;
+
+    let contents = '';
+    try {
+      contents = await fs.promises.readFile(this.filePath, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    const lines = contents.split('\n');
+    for (let i = 0; i < lines.length; i++) {
+      const line = lines[i];
+      if (!line.trim()) continue;
+
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (error) {
+        if (i === lines.length - 1) {
+          logger.warn(`Ignoring truncated trailing entry in ${this.filePath}`);
+          continue;
+        }
+        throw new Error(`Corrupt state journal ${this.filePath} at line ${i + 1}`);
+      }
+      this._apply(entry);
+      this.entryCount++;
+    }
+
+    if (!this.readOnly) {
+      // Rewrite the journal if it ended with a torn write, so new appends start on a clean line
+      if (contents.length > 0 && !contents.endsWith('\n')) {
+        await this._compact();
+      }
+      this.fd = await fs.promises.open(this.filePath, 'a');
+    }
+    logger.info(`Loaded ${this.entryCount} state entries from ${this.filePath}`);
+
+    const result = {};
+    for (const [name, records] of this.collections.entries()) {
+      result[name] = new Map(records);
+    }
+    return result;
+  }
+
+  async put(collection, key, value) {
+    return this._append({ op: 'put', collection, key: String(key), value });
+  }
+
+  async delete(collection, key) {
+    return this._append({ op: 'delete', collection, key: String(key) });
+  }
+
+  async close() {
+    await this.writeQueue;
+    if (this.fd) {
+      await this.fd.close();
+      this.fd = null;
+    }
+  }
+
+  /**
+   * Apply a journal entry to the materialized view
+   * @param {Object} entry - Journal entry
+   * @private
+   */
+  _apply(entry) {
+    if (!this.collections.has(entry.collection)) {
+      this.collections.set(entry.collection, new Map());
+    }
+    const records = this.collections.get(entry.collection);
+    if (entry.op === 'put') {
+      records.set(entry.key, entry.value);
+    } else if (entry.op === 'delete') {
+      records.delete(entry.key);
+    }
+  }
+
+  /**
+   * Append an entry to the journal
+   * @param {Object} entry - Journal entry
+   * @returns {Promise<void>}
+   * @private
+   */
+  _append(entry) {
+    const task = this.writeQueue.then(async () => {
+      if (this.readOnly) throw new Error(`State store ${this.filePath} is read-only`);
+      if (!this.fd) throw new Error('State store not loaded');
+
+      const record = { ...entry, timestamp: Date.now() };
+      // Round-trip through JSON so the view holds exactly what a reload would produce
+      const line = JSON.stringify(record);
+      await this.fd.appendFile(`${line}\n`, 'utf8');
+      if (this.fsync) await this.fd.sync();
+
+      this._apply(JSON.parse(line));
+      this.entryCount++;
+
+      if (this.entryCount >= this.compactionThreshold) {
+        await this._compact();
+      }
+    });
+
+    // Keep the queue alive after a failed write; the caller still sees the rejection
+    this.writeQueue = task.catch(() => {});
+    return task;
+  }
+
+  /**
+   * Rewrite the journal as one `put` per live record, atomically replacing the old file
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _compact() {
+    const tmpPath = `${this.filePath}.compact`;
+    const timestamp = Date.now();
+    const lines = [];
+    for (const [collection, records] of this.collections.entries()) {
+      for (const [key, value] of records.entries()) {
+        lines.push(JSON.stringify({ op: 'put', collection, key, value, timestamp }));
+      }
+    }
+
+    const handle = await fs.promises.open(tmpPath, 'w');
+    try {
+      await handle.writeFile(lines.length ? `${lines.join('\n')}\n` : '', 'utf8');
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+
+    if (this.fd) {
+      await this.fd.close();
+      this.fd = null;
+    }
+    await fs.promises.rename(tmpPath, this.filePath);
+    this.fd = await fs.promises.open(this.filePath, 'a');
+    this.entryCount = lines.length;
+
+    logger.info(`Compacted state journal ${this.filePath} to ${lines.length} entries`);
+  }
+}
+
+/**
+ * Create a state store from configuration
+ * @param {Object} [options={}] - Storage configuration
+ * @param {string} [options.adapter='memory'] - Adapter name ('memory' or 'file')
+ * @param {string} [options.path] - Journal path for the file adapter
+ * @param {number} [options.compactionThreshold] - Journal entries before compaction
+ * @param {boolean} [options.fsync] - Whether to fsync after every append
+ * @param {boolean} [options.readOnly] - Open the file adapter's journal read-only
+ * @returns {StateStore} Configured state store
+ */
+function createStateStore(options = {}) {
+  const adapter = options.adapter || 'memory';
+  switch (adapter) {
+    case 'memory':
+      return new MemoryStateStore();
+    case 'file':
+      return new FileStateStore({
+        filePath: options.path,
+        compactionThreshold: options.compactionThreshold,
+        fsync: options.fsync,
+        readOnly: options.readOnly
+      });
+    default:
+      throw new Error(`Unknown state store adapter: ${adapter}`);
+  }
+}
+
+module.exports = {
+  StateStore,
+  MemoryStateStore,
+  FileStateStore,
+  createStateStore
+};
@@ -0,0 +1,152 @@
+/**
+ * VaultVersions
+ *
+ * Immutable history of the data behind each data vault. Every data hash a
+ * vault has pointed at becomes a numbered version whose ID is derived from
+ * the vault, the number and the hash, so a computation that records the
+ * version it ran on is tied to exactly the data it read. Only the newest
+ * versions of each vault are retained for new computations; older versions
+ * stay on record, so past computations can still be traced to their data.
+ */
+
+const { sha256Hash } = require('../zkp/utils/hash');
+const { canonicalize } = require('./AuditLog');
+const logger = require('../../utils/logger')('privacy-layer:vault-versions');
+
+/**
+ * Version history of data vaults keyed by version ID
+ * @class VaultVersions
+ */
+class VaultVersions {
+  /**
+   * Create a new version history
+   * @param {Object} [options={}] - Configuration options
+   * @param {number} [options.retainVersions=5] - Versions per vault, newest first, that computations may run on
+   */
+  constructor({ retainVersions = 5 } = {}) {
+    if (!Number.isInteger(retainVersions) || retainVersions < 1) {
+      throw new Error('At least the current version of each vault must be retained');
+    }
+    this.retainVersions = retainVersions;
+
+    this.versions = new Map(); // versionId => version record
+  }
+
+  /**
+   * Load versions previously persisted by the Privacy Layer
+   * @param {Map<string, Object>} [versions] - Versions keyed by version ID
+   */
+  load(versions = new Map()) {
+    for (const [versionId, version] of versions.entries()) {
+      this.versions.set(versionId, version);
+    }
+  }
+
+  /**
+   * Record the data hash a vault currently points at. A new version is only
+   * created if the hash differs from the vault's current version.
+   * @param {string} dataVaultId - ID of the data vault
+   * @param {string} dataHash - Data hash of the vault
+   * @returns {Object} The vault's current version, whether it was created, and the versions no longer retained
+   * @throws {Error} If the data hash is missing
+   */
+  record(dataVaultId, dataHash) {
+    if (!dataHash) {
+      throw new Error(`Data vault ${dataVaultId} has no data hash`);
+    }
+
+    const current = this.current(dataVaultId);
+    if (current && current.dataHash === dataHash) {
+      return { version: current, created: false, retired: [] };
+    }
+
+    const number = current ? current.version + 1 : 1;
+    const version = {
+      versionId: sha256Hash(canonicalize({ dataVaultId: String(dataVaultId), version: number, dataHash })),
+      dataVaultId: String(dataVaultId),
+      version: number,
+      dataHash,
+      previousVersionId: current ? current.versionId : null,
+      createdAt: Date.now(),
+      retained: true
+    };
+    this.versions.set(version.versionId, version);
+
+    // Retire the versions that fell out of the retention window
+    const retired = [];
+    for (const older of this.list(dataVaultId).slice(this.retainVersions)) {
+      if (older.retained) {
+        older.retained = false;
+        older.retiredAt = version.createdAt;
+        retired.push(older);
+      }
+    }
+
+    logger.info(`Data vault ${dataVaultId} is at version ${number}${retired.length ? `, ${retired.length} version(s) retired` : ''}`);
+    return { version, created: true, retired };
+  }
+
+  /**
+   * Resolve the versions a computation runs on. Pinned vaults run on their
+   * pinned version, the others on their current one; vaults without any
+   * recorded version are left out.
+   * @param {Array<string>} dataVaultIds - IDs of the data vaults of the computation
+   * @param {Object<string, string>} [pins={}] - Version IDs keyed by vault ID
+   * @returns {Object<string, Object>} Version ID, number and data hash keyed by vault ID
+   * @throws {Error} If a pin is for another vault, unknown, or no longer retained
+   */
+  resolve(dataVaultIds, pins = {}) {
+    const vaultIds = dataVaultIds.map(String);
+    for (const dataVaultId of Object.keys(pins)) {
+      if (!vaultIds.includes(dataVaultId)) {
+        throw new Error(`Version pinned for data vault ${dataVaultId}, which the computation does not use`);
+      }
+    }
+
+    const resolved = {};
+    for (const dataVaultId of vaultIds) {
+      const pinned = pins[dataVaultId];
+      const version = pinned ? this.versions.get(pinned) : this.current(dataVaultId);
+      if (pinned && (!version || version.dataVaultId !== dataVaultId)) {
+        throw new Error(`Version ${pinned} of data vault ${dataVaultId} not found`);
+      }
+      if (!version) continue;
+      if (!version.retained) {
+        throw new Error(`Version ${version.version} of data vault ${dataVaultId} is no longer retained`);
+      }
+      resolved[dataVaultId] = { versionId: version.versionId, version: version.version, dataHash: version.dataHash };
+    }
+    return resolved;
+  }
+
+  /**
+   * Get the current version of a data vault
+   * @param {string} dataVaultId - ID of the data vault
+   * @returns {Object|null} Newest version or null if none was recorded
+   */
+  current(dataVaultId) {
+    return this.list(dataVaultId)[0] || null;
+  }
+
+  /**
+   * Get a version
+   * @param {string} versionId - ID of the version
+   * @returns {Object|null} Version or null if not found
+   */
+  get(versionId) {
+    return this.versions.get(versionId) || null;
+  }
+
+  /**
+   * List the versions of a data vault
+   * @param {string} dataVaultId - ID of the data vault
+   * @returns {Array<Object>} Versions, newest first
+   */
+  list(dataVaultId) {
+    return Array.from(this.versions.values())
+      .filter(version => version.dataVaultId === String(dataVaultId))
+      .sort((a, b) => b.version - a.version);
+  }
+}
+
+module.exports = VaultVersions;
@@ -11,6 +11,10 @@ const { v4: uuidv4 } = require('uuid');
 const crypto = require('crypto'); // For secure random number generation
 const logger = require('../../utils/logger')('privacy-layer:zkp-verifier');
 
+// Recent computation proofs kept for generation time estimates
+const PROOF_SAMPLE_SIZE = 20;
+const DEFAULT_PROOF_ESTIMATE_MS = 20000;
+
 /**
  * Zero-Knowledge Proof Access Verifier
  * @class ZKPAccessVerifier
@@ -33,6 +37,7 @@ class ZKPAccessVerifier {
     // Storage for proofs and verification keys
     this.proofs = new Map();
     this.verificationKeys = new Map();
+    this.proofDurations = []; // Recent computation proof generation times in milliseconds
 
     logger.info('ZKP Access Verifier initialized');
   }
@@ -137,6 +142,7 @@ class ZKPAccessVerifier {
       logger.info(`Generating computation proof for computation ${computationData.computationId}`);
 
       const proofId = uuidv4();
+      const startedAt = Date.now();
 
       const circuitInputs = {
         computationId: this.hashFunction(computationData.computationId),
@@ -148,6 +154,7 @@ class ZKPAccessVerifier {
       };
 
       const { proof, publicSignals } = await this.prover.generateProof('computation', circuitInputs);
+      this.proofDurations = [...this.proofDurations, Date.now() - startedAt].slice(-PROOF_SAMPLE_SIZE);
 
       const computationProof = {
         id: proofId,
@@ -175,6 +182,19 @@ class ZKPAccessVerifier {
     }
   }
 
+  /**
+   * Estimate how long generating a computation proof will take
+   * @returns {Object} Estimated milliseconds and the number of recent proofs it is based on
+   */
+  estimateComputationProof() {
+    const samples = this.proofDurations.length;
+    const estimatedMs = samples > 0
+      ? Math.round(this.proofDurations.reduce((sum, duration) => sum + duration, 0) / samples)
+      : (this.config.computationProofEstimateMs || DEFAULT_PROOF_ESTIMATE_MS);
+
+    return { estimatedMs, basedOnSamples: samples };
+  }
+
   /**
    * Verify a computation proof
    * @param {Object} proof - The computation proof to verify
@@ -287,6 +307,20 @@ class ZKPAccessVerifier {
     return false;
   }
 
+  /**
+   * Re-register a previously generated proof, e.g. after rehydrating persisted state
+   * @param {Object} proof - Proof object as returned by a generate* method
+   * @returns {boolean} Whether the proof was registered
+   */
+  restoreProof(proof) {
+    if (!proof || !proof.id) {
+      logger.warn('Ignoring proof without an ID during restore');
+      return false;
+    }
+    this.proofs.set(proof.id, proof);
+    return true;
+  }
+
   /**
    * Generate verification key for a circuit
    * @param {string} circuitType - Type of circuit (e.g., 'access', 'computation', 'ownership')
@@ -10,6 +10,26 @@
 const PrivacyLayer = require('./PrivacyLayer');
 const ZKPAccessVerifier = require('./ZKPAccessVerifier');
 const SMPCOrchestrator = require('./SMPCOrchestrator');
+const { MemoryStateStore, FileStateStore, createStateStore } = require('./StateStore');
+const { AuditLog, verifyAuditLog } = require('./AuditLog');
+const { loadSnapshot } = require('./StateSnapshot');
+const { ConsentRegistry, verifyReceipt } = require('./ConsentRegistry');
+const PolicyEngine = require('./PolicyEngine');
+const EventIngestor = require('./EventIngestor');
+const ReleaseControl = require('./ReleaseControl');
+const VaultVersions = require('./VaultVersions');
+const ComputationPipeline = require('./ComputationPipeline');
+const SyntheticData = require('./SyntheticData');
+const { createInMemoryContracts } = require('./InMemoryContracts');
+
+// Monitoring components
+const { MetricsRegistry, registry: metricsRegistry, createMetricsServer } = require('../monitoring/metrics');
+const { Tracer, FileExporter, OtlpHttpExporter, tracer } = require('../monitoring/tracing');
+
+// API components
+const { ApiServer } = require('../api/server');
+const { routes } = require('../api/routes');
+const { generateOpenApiDocument } = require('../api/openapi');
 
 // ZKP components
 const { prover, verifier } = require('../zkp/proofs');
@@ -20,6 +40,15 @@ const { MerkleTree } = require('../zkp/utils/merkle');
 const SMPCNode = require('../smpc/node');
 const { SecretSharing } = require('../smpc/secret-sharing');
 const Coordinator = require('../smpc/coordinator');
+const { LocalCoordinator } = require('../smpc/local-coordinator');
+const { NodeReputation } = require('../smpc/reputation');
+const { ComputationCheckpoints } = require('../smpc/checkpoints');
+const coordinatorStore = require('../smpc/coordinator-store');
+const { LeaderElection } = require('../smpc/leader-election');
+const resharing = require('../smpc/resharing');
+const nodeAuth = require('../smpc/node-auth');
+const secureChannel = require('../smpc/secure-channel');
+const protocol = require('../smpc/protocol');
 const { AverageProtocol, StatisticalProtocol } = require('../smpc/protocols');
 
 // Analytics components
@@ -33,6 +62,7 @@ const ethers = require('ethers');
 const contractABIs = require('../../contracts/interfaces');
 
 // Configuration and utilities
+const fs = require('fs');
 const config = require('../../config/privacy-layer.config');
 const logger = require('../../utils/logger')('privacy-layer');
 const { EncryptionService } = require('../../utils/encryption');
@@ -42,12 +72,15 @@ const { EncryptionService } = require('../../utils/encryption');
  * @throws {Error} If required configuration parameters are missing or invalid
  */
 function validateConfig() {
-  const requiredConfig = [
+  const chainConfig = isInMemoryChain() ? [] : [
     'web3.providerUrl',
     'contracts.dataVaultNFTAddress',
     'contracts.privaTokenAddress',
     'contracts.marketplaceAddress',
-    'contracts.verifierRegistryAddress',
+    'contracts.verifierRegistryAddress'
+  ];
+  const requiredConfig = [
+    ...chainConfig,
     'smpc.threshold',
     'smpc.totalShares',
     'smpc.nodeAddresses',
@@ -84,6 +117,32 @@ function validateConfig() {
   logger.info('Configuration validated successfully');
 }
 
+/**
+ * Whether the configuration selects the in-memory chain instead of a live provider
+ * @returns {boolean} True if `web3.adapter` is 'memory'
+ */
+function isInMemoryChain() {
+  return Boolean(config.web3 && config.web3.adapter === 'memory');
+}
+
+/**
+ * Initialize Web3 and the contract instances, or the in-memory chain and
+ * contracts when `web3.adapter` is 'memory'
+ * @returns {Object} Web3 (or in-memory chain) instance and contract instances
+ * @throws {Error} If the chain or contracts cannot be initialized
+ */
+function initializeChain() {
+  if (isInMemoryChain()) {
+    const memoryConfig = config.web3.memory || {};
+    logger.warn('Using the in-memory chain; no blockchain provider is connected');
+    return createInMemoryContracts({ admin: memoryConfig.admin });
+  }
+
+  const web3 = initializeWeb3();
+  const contracts = initializeContracts(web3);
+  return { web3, contracts };
+}
+
 /**
  * Initialize the Web3 provider based on configuration
  * @returns {Web3} Configured Web3 instance
@@ -187,19 +246,31 @@ function initializeZKP() {
 
 /**
  * Initialize SMPC components
+ * @param {StateStore} stateStore - State store the in-flight computations are checkpointed in
  * @returns {Object} Initialized SMPC components
  * @throws {Error} If SMPC initialization fails
  */
-function initializeSMPC() {
+function initializeSMPC(stateStore) {
   try {
     const secretSharing = new SecretSharing({
       threshold: config.smpc.threshold,
       totalShares: config.smpc.totalShares
     });
 
+    // With several coordinators, their checkpoints and queue live in the store they elect their leader in
+    const haConfig = config.smpc.highAvailability;
+    const sharedStore = haConfig ? coordinatorStore.createCoordinatorStore(haConfig.store) : null;
+
+    // The coordinator and the orchestrator each judge the nodes by what they observe of them
+    const reputationConfig = config.smpc.reputation || {};
     const coordinator = new Coordinator({
       nodeAddresses: config.smpc.nodeAddresses,
-      timeout: config.smpc.coordinationTimeout
+      timeout: config.smpc.coordinationTimeout,
+      reputation: new NodeReputation(reputationConfig),
+      checkpoints: new ComputationCheckpoints({ stateStore: sharedStore || stateStore, collection: 'coordinatorCheckpoints' }),
+      authentication: config.smpc.authentication,
+      encryption: config.smpc.encryption,
+      highAvailability: haConfig ? { ...haConfig, store: sharedStore } : null
     });
 
     const smpcOrchestrator = new SMPCOrchestrator({
@@ -208,7 +279,9 @@ function initializeSMPC() {
       protocols: {
         average: new AverageProtocol(),
         statistical: new StatisticalProtocol()
-      }
+      },
+      reputation: new NodeReputation(reputationConfig),
+      checkpoints: new ComputationCheckpoints({ stateStore, collection: 'orchestratorCheckpoints' })
     });
 
     logger.info('SMPC components initialized');
@@ -223,6 +296,38 @@ function initializeSMPC() {
   }
 }
 
+/**
+ * Initialize the components that simulate computations: an orchestrator whose
+ * coordinator hosts SMPC nodes in-process and runs the network's protocols
+ * @param {Object} smpc - Initialized SMPC components
+ * @returns {Object} Simulation orchestrator and local coordinator
+ * @throws {Error} If simulation initialization fails
+ */
+function initializeSimulation(smpc) {
+  try {
+    const simulationConfig = config.simulation || {};
+    const coordinator = new LocalCoordinator({
+      nodeCount: simulationConfig.nodeCount || smpc.orchestrator.config.minNodes
+    });
+
+    const orchestrator = new SMPCOrchestrator({
+      secretSharing: smpc.secretSharing,
+      coordinator,
+      protocols: smpc.orchestrator.protocols,
+      config: simulationConfig.timeoutMs ? { computationTimeout: simulationConfig.timeoutMs } : {}
+    });
+    for (const nodeInfo of coordinator.nodeInfo()) {
+      orchestrator.registerNode(nodeInfo);
+    }
+
+    logger.info(`Simulation initialized with ${coordinator.nodes.size} in-process nodes`);
+    return { orchestrator, coordinator };
+  } catch (error) {
+    logger.error('Failed to initialize simulation:', error);
+    throw new Error(`Simulation initialization failed: ${error.message}`);
+  }
+}
+
 /**
  * Initialize analytics components
  * @returns {Object} Initialized analytics components
@@ -258,100 +363,338 @@ function initializeAnalytics() {
 }
 
 /**
- * Initialize event listeners for blockchain events
+ * Initialize the state store used to persist Privacy Layer state across restarts
+ * @returns {StateStore} Configured state store
+ * @throws {Error} If the configured adapter is unknown or misconfigured
+ */
+function initializeStateStore() {
+  try {
+    const stateStore = createStateStore(config.storage || {});
+    logger.info(`State store initialized (${(config.storage && config.storage.adapter) || 'memory'})`);
+    return stateStore;
+  } catch (error) {
+    logger.error('Failed to initialize state store:', error);
+    throw new Error(`State store initialization failed: ${error.message}`);
+  }
+}
+
+/**
+ * Initialize the tamper-evident audit log, reloading and verifying any persisted entries
+ * @param {StateStore} stateStore - State store shared with the Privacy Layer
+ * @returns {Promise<AuditLog>} Initialized audit log
+ * @throws {Error} If the persisted log fails verification
+ */
+async function initializeAuditLog(stateStore) {
+  const auditConfig = config.audit || {};
+  const auditLog = new AuditLog({
+    stateStore,
+    commitEvery: auditConfig.commitEvery,
+    commitIntervalMs: auditConfig.commitIntervalMs,
+    treeDepth: auditConfig.treeDepth
+  });
+  await auditLog.initialize();
+  return auditLog;
+}
+
+/**
+ * Initialize the consent registry, rebuilding each vault's consent tree from
+ * the persisted consent records. Withdrawal receipts are signed with the
+ * configured Ed25519 key, so they stay verifiable across restarts.
+ * @param {StateStore} stateStore - State store shared with the Privacy Layer
+ * @returns {Promise<ConsentRegistry>} Initialized consent registry
+ * @throws {Error} If the signing key cannot be read or is not an Ed25519 key
+ */
+async function initializeConsentRegistry(stateStore) {
+  const consentConfig = config.consent || {};
+  const consentRegistry = new ConsentRegistry({
+    stateStore,
+    treeType: consentConfig.treeType,
+    treeDepth: consentConfig.treeDepth,
+    signingKey: consentConfig.signingKeyPath ? fs.readFileSync(consentConfig.signingKeyPath, 'utf8') : null
+  });
+  await consentRegistry.initialize();
+  return consentRegistry;
+}
+
+/**
+ * Initialize the access policy engine from the configured policy document.
+ * Researcher credentials come from the marketplace's verification records;
+ * attributes not recorded on-chain (such as trust scores) are absent, so rules
+ * that require them deny access. A researcher completed MFA if their
+ * credentials include the configured MFA credential; without one, requests
+ * the policy requires MFA for are denied. Setting policy.enforceMfa to false
+ * turns MFA enforcement off where it happens outside the Privacy Layer.
+ * @param {Object} contracts - Contract instances
+ * @returns {PolicyEngine|null} Policy engine, or null if no policy is configured
+ * @throws {Error} If the policy document cannot be loaded
+ */
+function initializePolicyEngine(contracts) {
+  const policyConfig = config.policy || {};
+  if (!policyConfig.rulesPath) {
+    logger.warn('No access policy configured; access requests are checked by ZK proofs only');
+    return null;
+  }
+
+  // Researchers completed MFA if their on-chain verification carries the configured credential.
+  // Without one nobody can prove MFA, so requests the policy requires it for are denied.
+  const { mfaCredential } = policyConfig;
+  const enforceMfa = policyConfig.enforceMfa !== false;
+  if (!enforceMfa) {
+    logger.warn('MFA enforcement disabled by configuration; the access policy\'s MFA requirements are not enforced');
+  } else if (!mfaCredential) {
+    logger.warn('No MFA credential configured; access requests the access policy requires MFA for are denied');
+  }
+
+  const policyEngine = PolicyEngine.fromFile(policyConfig.rulesPath, {
+    defaultSensitivity: policyConfig.defaultSensitivity,
+    categoryAliases: policyConfig.categoryAliases,
+    enforceMfa,
+    resolveSubject: async (researcher) => {
+      const verification = await contracts.marketplace.methods.researcherVerifications(researcher).call();
+      const credentials = String(verification.credentials || '')
+        .split(',')
+        .map(credential => credential.trim())
+        .filter(Boolean);
+      return {
+        role: policyConfig.defaultRole || 'RESEARCHER',
+        organization: verification.organization,
+        credentials,
+        mfaVerified: Boolean(mfaCredential) && credentials.includes(mfaCredential)
+      };
+    }
+  });
+
+  logger.info(`Access policy loaded from ${policyConfig.rulesPath}`);
+  return policyEngine;
+}
+
+/**
+ * Configure export of the spans recorded by the Privacy Layer, orchestrator
+ * and coordinator: to a file of OTLP JSON lines, to an OTLP/HTTP collector,
+ * or both. Spans are dropped if neither is configured.
+ * @returns {Tracer} The shared tracer
+ * @throws {Error} If an exporter is misconfigured
+ */
+function initializeTracing() {
+  const tracingConfig = config.tracing || {};
+  if (tracingConfig.serviceName) {
+    tracer.serviceName = tracingConfig.serviceName;
+  }
+  if (tracingConfig.flushIntervalMs) {
+    tracer.flushIntervalMs = tracingConfig.flushIntervalMs;
+  }
+  if (tracingConfig.filePath) {
+    tracer.addExporter(new FileExporter({ path: tracingConfig.filePath }));
+    logger.info(`Exporting spans to ${tracingConfig.filePath}`);
+  }
+  if (tracingConfig.otlpUrl) {
+    tracer.addExporter(new OtlpHttpExporter({ url: tracingConfig.otlpUrl, headers: tracingConfig.otlpHeaders }));
+    logger.info(`Exporting spans to ${tracingConfig.otlpUrl}`);
+  }
+  return tracer;
+}
+
+/**
+ * Report the privacy budget remaining on each registered data vault as a
+ * metric, read from the budget ledger whenever the metrics are scraped
+ * @param {PrivacyLayer} privacyLayer - PrivacyLayer instance
+ * @returns {Gauge} Remaining budget gauge
+ */
+function initializeMetrics(privacyLayer) {
+  return metricsRegistry.gauge({
+    name: 'privasight_privacy_budget_remaining_epsilon',
+    help: 'Differential privacy budget (epsilon) remaining on each data vault',
+    labelNames: ['data_vault_id'],
+    collect: gauge => {
+      gauge.reset();
+      for (const dataVaultId of privacyLayer.dataVaults.keys()) {
+        const { remaining } = privacyLayer.getBudgetStatus(dataVaultId);
+        gauge.set({ data_vault_id: dataVaultId }, remaining.epsilon);
+      }
+    }
+  });
+}
+
+/**
+ * Start the HTTP API server if it is enabled in the configuration
+ * @param {PrivacyLayer} privacyLayer - PrivacyLayer instance
+ * @returns {Promise<ApiServer|null>} Started API server, or null if disabled
+ * @throws {Error} If the server cannot be started
+ */
+async function initializeApiServer(privacyLayer) {
+  const apiConfig = config.api || {};
+  if (!apiConfig.enabled) {
+    return null;
+  }
+
+  if ((!apiConfig.apiKeys || apiConfig.apiKeys.length === 0) && apiConfig.allowUnauthenticated) {
+    logger.warn('API server started without API keys; requests are not authenticated and act for the researcher they name');
+  }
+
+  const apiServer = new ApiServer({
+    privacyLayer,
+    port: apiConfig.port,
+    host: apiConfig.host,
+    apiKeys: apiConfig.apiKeys,
+    allowUnauthenticated: apiConfig.allowUnauthenticated,
+    maxBodyBytes: apiConfig.maxBodyBytes
+  });
+  await apiServer.start();
+  return apiServer;
+}
+
+// Handler errors of events the Privacy Layer refuses for good (the vault is
+// already registered, policy or budget denies the request, ...); retrying
+// them cannot succeed, so they are recorded and ingestion moves on
+const REJECTED_EVENT_ERRORS = new RegExp([
+  'already registered', 'already exists', 'not registered', 'not found',
+  'denied', 'not verified', 'does not have active access', 'budget exceeded', 'no active listing',
+  'accepted quote is required', 'quote .* (was not accepted|has expired|was already used|does not match)'
+].join('|'), 'i');
+
+/**
+ * Initialize checkpointed ingestion of blockchain events. Missed events are
+ * backfilled from the last processed block on startup, and events removed by
+ * a reorg deeper than the confirmation depth are rolled back. Events the
+ * Privacy Layer rejects are recorded without retries; other handler failures
+ * are retried and dead-lettered once ingestion.maxAttempts run out.
+ * @param {Object} web3 - Web3 instance
  * @param {Object} contracts - Contract instances
  * @param {PrivacyLayer} privacyLayer - PrivacyLayer instance
- * @throws {Error} If event listener setup fails
+ * @param {StateStore} stateStore - State store used to persist checkpoints
+ * @returns {Promise<EventIngestor>} Started event ingestor
+ * @throws {Error} If event ingestion cannot be started
  */
-function setupEventListeners(contracts, privacyLayer) {
+async function setupEventIngestion(web3, contracts, privacyLayer, stateStore) {
   try {
+    const ingestionConfig = config.ingestion || {};
+    const ingestor = new EventIngestor({
+      web3,
+      stateStore,
+      // The in-memory chain never reorganizes, so its events need no confirmations
+      confirmations: ingestionConfig.confirmations !== undefined || !isInMemoryChain()
+        ? ingestionConfig.confirmations
+        : 0,
+      pollIntervalMs: ingestionConfig.pollIntervalMs,
+      batchSize: ingestionConfig.batchSize,
+      startBlock: ingestionConfig.startBlock,
+      retainBlocks: ingestionConfig.retainBlocks,
+      maxAttempts: ingestionConfig.maxAttempts,
+      isRejection: error => REJECTED_EVENT_ERRORS.test(error.message)
+    });
+
     // New DataVault creation (NFT minting)
-    contracts.dataVaultNFT.events.Transfer({
-      filter: { from: '0x0000000000000000000000000000000000000000' }
-    })
-      .on('data', async (event) => {
+    ingestor.addSource({
+      name: 'dataVaultNFT.Transfer',
+      contract: contracts.dataVaultNFT,
+      event: 'Transfer',
+      filter: { from: '0x0000000000000000000000000000000000000000' },
+      handler: async (event) => {
         const tokenId = event.returnValues.tokenId;
         logger.info(`New DataVault created: ${tokenId}`);
-        try {
-          await privacyLayer.registerDataVault(tokenId);
-        } catch (err) {
-          logger.error(`Failed to register DataVault ${tokenId}:`, err);
-        }
-      })
-      .on('error', (error) => {
-        logger.error('Error in DataVault Transfer event listener:', error);
-      });
+        await privacyLayer.registerDataVault(tokenId);
+      },
+      rollback: async ({ returnValues }) => {
+        await privacyLayer.deregisterDataVault(returnValues.tokenId);
+      }
+    });
 
     // Access request events
-    contracts.marketplace.events.AccessRequested()
-      .on('data', async (event) => {
+    ingestor.addSource({
+      name: 'marketplace.AccessRequested',
+      contract: contracts.marketplace,
+      event: 'AccessRequested',
+      handler: async (event) => {
         const { listingId, researcher, purpose } = event.returnValues;
         logger.info(`New access request for listing ${listingId} from ${researcher}`);
-        try {
-          await privacyLayer.processAccessRequest(listingId, researcher, purpose);
-        } catch (err) {
-          logger.error(`Failed to process access request ${listingId}:`, err);
-        }
-      })
-      .on('error', (error) => {
-        logger.error('Error in AccessRequested event listener:', error);
-      });
+        await privacyLayer.processAccessRequest(listingId, researcher, purpose);
+      },
+      rollback: async ({ returnValues }) => {
+        await privacyLayer.withdrawAccessRequest(returnValues.listingId, returnValues.researcher);
+      }
+    });
+
+    // Data update events; a reverted update is followed by syncing to the hash the chain holds again
+    ingestor.addSource({
+      name: 'dataVaultNFT.DataHashUpdated',
+      contract: contracts.dataVaultNFT,
+      event: 'DataHashUpdated',
+      handler: async (event) => {
+        const tokenId = event.returnValues.tokenId;
+        logger.info(`Data of DataVault ${tokenId} updated`);
+        await privacyLayer.syncVaultVersion(tokenId);
+      },
+      rollback: async ({ returnValues }) => {
+        await privacyLayer.syncVaultVersion(returnValues.tokenId);
+      }
+    });
 
     // Access approval events
-    contracts.marketplace.events.AccessApproved()
-      .on('data', async (event) => {
+    ingestor.addSource({
+      name: 'marketplace.AccessApproved',
+      contract: contracts.marketplace,
+      event: 'AccessApproved',
+      handler: async (event) => {
         const { listingId, researcher } = event.returnValues;
         logger.info(`Access approved for listing ${listingId} to researcher ${researcher}`);
-        try {
-          await privacyLayer.setupSecureAccess(listingId, researcher);
-        } catch (err) {
-          logger.error(`Failed to setup secure access for ${listingId}:`, err);
-        }
-      })
-      .on('error', (error) => {
-        logger.error('Error in AccessApproved event listener:', error);
-      });
+        await privacyLayer.setupSecureAccess(listingId, researcher);
+      },
+      rollback: async ({ returnValues }) => {
+        await privacyLayer.revokeAccess(returnValues.listingId, returnValues.researcher);
+      }
+    });
 
     // Computation request events
-    contracts.verifierRegistry.events.ComputationRequested()
-      .on('data', async (event) => {
+    ingestor.addSource({
+      name: 'verifierRegistry.ComputationRequested',
+      contract: contracts.verifierRegistry,
+      event: 'ComputationRequested',
+      handler: async (event) => {
         const { requestId, researcher, dataVaultIds, computationType } = event.returnValues;
         logger.info(`New computation request ${requestId} from ${researcher}`);
-        try {
-          await privacyLayer.orchestrateComputation(requestId, researcher, dataVaultIds, computationType);
-        } catch (err) {
-          logger.error(`Failed to orchestrate computation ${requestId}:`, err);
-        }
-      })
-      .on('error', (error) => {
-        logger.error('Error in ComputationRequested event listener:', error);
-      });
-
-    logger.info('Blockchain event listeners initialized');
+        await privacyLayer.orchestrateComputation(requestId, researcher, dataVaultIds, computationType);
+      },
+      rollback: async ({ returnValues }) => {
+        await privacyLayer.cancelComputation(returnValues.requestId, 'Computation request reverted by chain reorganization');
+      }
+    });
+
+    await ingestor.start();
+
+    logger.info('Blockchain event ingestion initialized');
+    return ingestor;
   } catch (error) {
-    logger.error('Failed to setup event listeners:', error);
-    throw new Error(`Event listener setup failed: ${error.message}`);
+    logger.error('Failed to setup event ingestion:', error);
+    throw new Error(`Event ingestion setup failed: ${error.message}`);
   }
 }
 
 /**
- * Creates and initializes the complete Privacy Layer
- * @returns {PrivacyLayer} Initialized Privacy Layer instance
+ * Creates and initializes the complete Privacy Layer, rehydrating any
+ * persisted state before blockchain events are processed
+ * @returns {Promise<PrivacyLayer>} Initialized Privacy Layer instance
  * @throws {Error} If Privacy Layer initialization fails
  */
-function createPrivacyLayer() {
+async function createPrivacyLayer() {
   try {
     // Validate configuration first
     validateConfig();
 
+    // Configure span export before any component records spans
+    initializeTracing();
+
     // Initialize Web3 and contracts
-    const web3 = initializeWeb3();
-    const contracts = initializeContracts(web3);
+    const { web3, contracts } = initializeChain();
 
     // Initialize component layers
     const zkp = initializeZKP();
-    const smpc = initializeSMPC();
+    const stateStore = initializeStateStore();
+    const smpc = initializeSMPC(stateStore);
+    const simulation = initializeSimulation(smpc);
     const analytics = initializeAnalytics();
+    const auditLog = await initializeAuditLog(stateStore);
+    const consentRegistry = await initializeConsentRegistry(stateStore);
+    const policyEngine = initializePolicyEngine(contracts);
 
     // Create encryption service
     const encryptionService = new EncryptionService({
@@ -367,11 +710,25 @@ function createPrivacyLayer() {
       encryptionService,
       federatedLearning: analytics.federatedLearning,
       differentialPrivacy: analytics.differentialPrivacy,
+      stateStore,
+      auditLog,
+      policyEngine,
+      consentRegistry,
+      simulation,
       config
     });
 
-    // Set up event listeners
-    setupEventListeners(contracts, privacyLayer);
+    // Rehydrate persisted state before new events arrive
+    await privacyLayer.restore();
+
+    // Report remaining privacy budgets alongside the coordinator, node and prover metrics
+    initializeMetrics(privacyLayer);
+
+    // Ingest blockchain events, backfilling any missed while the service was down
+    privacyLayer.eventIngestor = await setupEventIngestion(web3, contracts, privacyLayer, stateStore);
+
+    // Expose operations over HTTP
+    privacyLayer.apiServer = await initializeApiServer(privacyLayer);
 
     logger.info('PrivaSight Privacy Layer successfully initialized');
     return privacyLayer;
@@ -381,12 +738,61 @@ function createPrivacyLayer() {
   }
 }
 
+/**
+ * Load a read-only snapshot of the Privacy Layer's persisted state, for
+ * operator tools inspecting a deployment that may be running. Nothing is
+ * recovered or written (see StateSnapshot.js). SMPC nodes, the differential
+ * privacy mechanism and the federated learning model live only in the
+ * running service; its API serves them.
+ * @returns {Promise<Object>} Privacy Layer, audit log and the orchestrator's computation checkpoints
+ * @throws {Error} If the persisted state cannot be loaded
+ */
+async function inspectPrivacyLayer() {
+  try {
+    return await loadSnapshot({
+      stateStore: createStateStore({ ...(config.storage || {}), readOnly: true }),
+      zkpVerifier: initializeZKP().verifier,
+      config
+    });
+  } catch (error) {
+    logger.error('Failed to inspect Privacy Layer state:', error);
+    throw new Error(`Privacy Layer inspection failed: ${error.message}`);
+  }
+}
+
 // Export factory function and component classes
 module.exports = {
   createPrivacyLayer,
+  inspectPrivacyLayer,
   PrivacyLayer,
   ZKPAccessVerifier,
   SMPCOrchestrator,
+  PolicyEngine,
+  EventIngestor,
+  ReleaseControl,
+  VaultVersions,
+  ComputationPipeline,
+  SyntheticData,
+  createInMemoryContracts,
+  storage: {
+    MemoryStateStore,
+    FileStateStore,
+    createStateStore,
+    loadSnapshot
+  },
+  audit: {
+    AuditLog,
+    verifyAuditLog
+  },
+  consent: {
+    ConsentRegistry,
+    verifyReceipt
+  },
+  api: {
+    ApiServer,
+    routes,
+    generateOpenApiDocument
+  },
   // Export additional components for direct access
   zkp: {
     prover,
@@ -397,11 +803,29 @@ module.exports = {
   smpc: {
     SecretSharing,
     Coordinator,
+    LocalCoordinator,
+    NodeReputation,
+    ComputationCheckpoints,
+    LeaderElection,
+    coordinatorStore,
+    resharing,
+    nodeAuth,
+    secureChannel,
+    protocol,
     protocols: {
       AverageProtocol,
       StatisticalProtocol
     }
   },
+  monitoring: {
+    MetricsRegistry,
+    registry: metricsRegistry,
+    createMetricsServer,
+    Tracer,
+    FileExporter,
+    OtlpHttpExporter,
+    tracer
+  },
   analytics: {
     FederatedLearning,
     DifferentialPrivacy,
@@ -0,0 +1,461 @@
+/**
+ * PrivaSight Metrics
+ *
+ * A small metrics registry with counters, gauges and histograms, rendered in
+ * the Prometheus text exposition format. Components register their metrics
+ * on the shared registry when their module loads; the coordinator serves the
+ * registry on its HTTP server and nodes can serve it on a port of their own.
+ */
+
+const http = require('http');
+const url = require('url');
+const logger = require('../../utils/logger')('privacy-layer:metrics');
+
+// Content type of the Prometheus text exposition format
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Default histogram buckets, in seconds
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+// Metric and label names accepted by Prometheus
+const METRIC_NAME = /^[a-zA-Z_:][a-zA-Z0-9_:]*$/;
+const LABEL_NAME = /^[a-zA-Z_][a-zA-Z0-9_]*$/;
+
+/**
+ * Metric types
+ * @enum {string}
+ */
+const MetricType = {
+  COUNTER: 'counter',
+  GAUGE: 'gauge',
+  HISTOGRAM: 'histogram'
+};
+
+/**
+ * Escape a label value for the text format
+ * @param {*} value - Label value
+ * @returns {string} Escaped value
+ */
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+/**
+ * Format a sample value for the text format
+ * @param {number} value - Sample value
+ * @returns {string} Formatted value
+ */
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+/**
+ * Base class for metrics keyed by label values
+ * @class Metric
+ */
+class Metric {
+  /**
+   * Create a metric
+   * @param {string} type - Metric type
+   * @param {Object} options - Metric options
+   * @param {string} options.name - Metric name
+   * @param {string} options.help - Help text
+   * @param {Array<string>} [options.labelNames=[]] - Names of the metric's labels
+   * @throws {Error} If the name or a label name is invalid
+   */
+  constructor(type, { name, help, labelNames = [] }) {
+    if (!METRIC_NAME.test(name || '')) {
+      throw new Error(`Invalid metric name: ${name}`);
+    }
+    for (const labelName of labelNames) {
+      if (!LABEL_NAME.test(labelName) || labelName === 'le') {
+        throw new Error(`Invalid label name for metric ${name}: ${labelName}`);
+      }
+    }
+
+    this.type = type;
+    this.name = name;
+    this.help = help || name;
+    this.labelNames = labelNames;
+    this.values = new Map(); // label key => value
+  }
+
+  /**
+   * Drop every recorded value
+   */
+  reset() {
+    this.values.clear();
+  }
+
+  /**
+   * Key identifying a combination of label values
+   * @param {Object} labels - Label values
+   * @returns {string} Label key
+   * @throws {Error} If an unknown label is given
+   * @protected
+   */
+  _key(labels) {
+    for (const labelName of Object.keys(labels)) {
+      if (!this.labelNames.includes(labelName)) {
+        throw new Error(`Unknown label ${labelName} for metric ${this.name}`);
+      }
+    }
+    return JSON.stringify(this.labelNames.map(labelName =>
+      labels[labelName] === undefined ? '' : String(labels[labelName])));
+  }
+
+  /**
+   * Render the label set of a key, with extra labels appended
+   * @param {string} key - Label key
+   * @param {Object} [extra={}] - Additional labels (e.g. histogram bucket bounds)
+   * @returns {string} Label set, or an empty string if there are no labels
+   * @protected
+   */
+  _labels(key, extra = {}) {
+    const pairs = JSON.parse(key)
+      .map((value, index) => [this.labelNames[index], value])
+      .filter(([, value]) => value !== '')
+      .concat(Object.entries(extra));
+    if (pairs.length === 0) return '';
+    return `{${pairs.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+  }
+
+  /**
+   * Render the metric in the text format
+   * @returns {string} Metric family
+   */
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`, `# TYPE ${this.name} ${this.type}`];
+    for (const [key, value] of this.values.entries()) {
+      lines.push(...this._samples(key, value));
+    }
+    return lines.join('\n');
+  }
+
+  /**
+   * Render the samples of one label set
+   * @param {string} key - Label key
+   * @param {*} value - Recorded value
+   * @returns {Array<string>} Sample lines
+   * @protected
+   */
+  _samples(key, value) {
+    return [`${this.name}${this._labels(key)} ${formatValue(value)}`];
+  }
+}
+
+/**
+ * Monotonically increasing counter
+ * @class Counter
+ * @extends Metric
+ */
+class Counter extends Metric {
+  constructor(options) {
+    super(MetricType.COUNTER, options);
+  }
+
+  /**
+   * Increase the counter
+   * @param {Object} [labels={}] - Label values
+   * @param {number} [value=1] - Amount to add
+   * @throws {Error} If the amount is negative
+   */
+  inc(labels = {}, value = 1) {
+    if (value < 0) {
+      throw new Error(`Counter ${this.name} cannot decrease`);
+    }
+    const key = this._key(labels);
+    this.values.set(key, (this.values.get(key) || 0) + value);
+  }
+
+  /**
+   * Current value of the counter
+   * @param {Object} [labels={}] - Label values
+   * @returns {number} Value
+   */
+  get(labels = {}) {
+    return this.values.get(this._key(labels)) || 0;
+  }
+}
+
+/**
+ * Value that can go up and down. A gauge may be given a collect function that
+ * sets its values whenever the registry is rendered.
+ * @class Gauge
+ * @extends Metric
+ */
+class Gauge extends Metric {
+  /**
+   * Create a gauge
+   * @param {Object} options - Metric options; see Metric
+   * @param {Function} [options.collect] - Called with the gauge before each render
+   */
+  constructor({ collect = null, ...options }) {
+    super(MetricType.GAUGE, options);
+    this.collect = collect;
+  }
+
+  /**
+   * Set the gauge
+   * @param {Object} labels - Label values
+   * @param {number} value - Value
+   */
+  set(labels, value) {
+    this.values.set(this._key(labels), value);
+  }
+
+  /**
+   * Increase the gauge
+   * @param {Object} [labels={}] - Label values
+   * @param {number} [value=1] - Amount to add
+   */
+  inc(labels = {}, value = 1) {
+    const key = this._key(labels);
+    this.values.set(key, (this.values.get(key) || 0) + value);
+  }
+
+  /**
+   * Decrease the gauge
+   * @param {Object} [labels={}] - Label values
+   * @param {number} [value=1] - Amount to subtract
+   */
+  dec(labels = {}, value = 1) {
+    this.inc(labels, -value);
+  }
+
+  /**
+   * Current value of the gauge
+   * @param {Object} [labels={}] - Label values
+   * @returns {number} Value
+   */
+  get(labels = {}) {
+    return this.values.get(this._key(labels)) || 0;
+  }
+}
+
+/**
+ * Distribution of observed values in cumulative buckets
+ * @class Histogram
+ * @extends Metric
+ */
+class Histogram extends Metric {
+  /**
+   * Create a histogram
+   * @param {Object} options - Metric options; see Metric
+   * @param {Array<number>} [options.buckets] - Upper bounds of the buckets (seconds by default)
+   * @throws {Error} If the buckets are not increasing
+   */
+  constructor({ buckets = DEFAULT_BUCKETS, ...options }) {
+    super(MetricType.HISTOGRAM, options);
+    if (buckets.length === 0 || buckets.some((bound, index) => index > 0 && bound <= buckets[index - 1])) {
+      throw new Error(`Buckets of histogram ${this.name} must be increasing`);
+    }
+    this.buckets = buckets;
+  }
+
+  /**
+   * Record an observation
+   * @param {Object} labels - Label values
+   * @param {number} value - Observed value
+   */
+  observe(labels, value) {
+    const key = this._key(labels);
+    if (!this.values.has(key)) {
+      this.values.set(key, { counts: new Array(this.buckets.length).fill(0), sum: 0, count: 0 });
+    }
+
+    const series = this.values.get(key);
+    const index = this.buckets.findIndex(bound => value <= bound);
+    if (index !== -1) series.counts[index]++;
+    series.sum += value;
+    series.count++;
+  }
+
+  /**
+   * Start timing an operation
+   * @param {Object} [labels={}] - Label values, which may be extended when the timer ends
+   * @returns {Function} Ends the timer, observing the elapsed seconds; accepts extra label values
+   */
+  startTimer(labels = {}) {
+    const start = process.hrtime.bigint();
+    return (endLabels = {}) => {
+      const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+      this.observe({ ...labels, ...endLabels }, seconds);
+      return seconds;
+    };
+  }
+
+  /**
+   * Summary of the observations for a label set
+   * @param {Object} [labels={}] - Label values
+   * @returns {Object} Observation count and sum
+   */
+  get(labels = {}) {
+    const series = this.values.get(this._key(labels));
+    return series ? { count: series.count, sum: series.sum } : { count: 0, sum: 0 };
+  }
+
+  _samples(key, { counts, sum, count }) {
+    const lines = [];
+    let cumulative = 0;
+    this.buckets.forEach((bound, index) => {
+      cumulative += counts[index];
+      lines.push(`${this.name}_bucket${this._labels(key, { le: formatValue(bound) })} ${cumulative}`);
+    });
+    lines.push(`${this.name}_bucket${this._labels(key, { le: '+Inf' })} ${count}`);
+    lines.push(`${this.name}_sum${this._labels(key)} ${sum}`);
+    lines.push(`${this.name}_count${this._labels(key)} ${count}`);
+    return lines;
+  }
+}
+
+/**
+ * Registry of metrics rendered together
+ * @class MetricsRegistry
+ */
+class MetricsRegistry {
+  constructor() {
+    this.registered = new Map(); // name => metric
+  }
+
+  /**
+   * Register a counter, or return the counter already registered under the name
+   * @param {Object} options - Metric options; see Metric
+   * @returns {Counter} Counter
+   */
+  counter(options) {
+    return this._register(Counter, MetricType.COUNTER, options);
+  }
+
+  /**
+   * Register a gauge, or return the gauge already registered under the name
+   * @param {Object} options - Metric options; see Gauge
+   * @returns {Gauge} Gauge
+   */
+  gauge(options) {
+    return this._register(Gauge, MetricType.GAUGE, options);
+  }
+
+  /**
+   * Register a histogram, or return the histogram already registered under the name
+   * @param {Object} options - Metric options; see Histogram
+   * @returns {Histogram} Histogram
+   */
+  histogram(options) {
+    return this._register(Histogram, MetricType.HISTOGRAM, options);
+  }
+
+  /**
+   * Get a registered metric
+   * @param {string} name - Metric name
+   * @returns {Metric|null} Metric, or null if none is registered under the name
+   */
+  getMetric(name) {
+    return this.registered.get(name) || null;
+  }
+
+  /**
+   * Render every metric in the Prometheus text format. Gauges with a collect
+   * function are refreshed first; a failing collect function leaves the
+   * gauge's previous values in place.
+   * @returns {string} Exposition text
+   */
+  metrics() {
+    const families = [];
+    for (const metric of this.registered.values()) {
+      if (metric.collect) {
+        try {
+          metric.collect(metric);
+        } catch (error) {
+          logger.warn(`Failed to collect metric ${metric.name}: ${error.message}`);
+        }
+      }
+      families.push(metric.render());
+    }
+    return families.length > 0 ? `${families.join('\n')}\n` : '';
+  }
+
+  /**
+   * Drop the recorded values of every metric, keeping the registrations
+   */
+  reset() {
+    for (const metric of this.registered.values()) {
+      metric.reset();
+    }
+  }
+
+  /**
+   * Register a metric
+   * @param {Function} MetricClass - Metric class
+   * @param {string} type - Metric type
+   * @param {Object} options - Metric options
+   * @returns {Metric} Registered metric
+   * @throws {Error} If a metric of another type is registered under the name
+   * @private
+   */
+  _register(MetricClass, type, options) {
+    const existing = this.registered.get(options.name);
+    if (existing) {
+      if (existing.type !== type) {
+        throw new Error(`Metric ${options.name} is already registered as a ${existing.type}`);
+      }
+      return existing;
+    }
+
+    const metric = new MetricClass(options);
+    this.registered.set(metric.name, metric);
+    return metric;
+  }
+}
+
+/**
+ * Answer a metrics scrape if the request is for /metrics
+ * @param {MetricsRegistry} registry - Registry to render
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ * @returns {boolean} Whether the request was answered
+ */
+function handleMetricsRequest(registry, req, res) {
+  if (url.parse(req.url).pathname !== '/metrics') {
+    return false;
+  }
+  if (req.method !== 'GET') {
+    res.writeHead(405, { 'Content-Type': 'text/plain', Allow: 'GET' });
+    res.end('Method Not Allowed');
+    return true;
+  }
+
+  res.writeHead(200, { 'Content-Type': CONTENT_TYPE });
+  res.end(registry.metrics());
+  return true;
+}
+
+/**
+ * Create an HTTP server that serves a registry on /metrics
+ * @param {MetricsRegistry} registry - Registry to serve
+ * @returns {http.Server} Server (not yet listening)
+ */
+function createMetricsServer(registry) {
+  return http.createServer((req, res) => {
+    if (!handleMetricsRequest(registry, req, res)) {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      res.end('Not Found');
+    }
+  });
+}
+
+// Registry shared by every component in the process
+const registry = new MetricsRegistry();
+
+module.exports = {
+  MetricsRegistry,
+  Counter,
+  Gauge,
+  Histogram,
+  registry,
+  handleMetricsRequest,
+  createMetricsServer,
+  CONTENT_TYPE
+};
@@ -0,0 +1,480 @@
+/**
+ * PrivaSight Tracing
+ *
+ * Spans recording the phases of a computation as it passes from the Privacy
+ * Layer through the orchestrator and coordinator to the nodes. A span's trace
+ * context travels with every coordinator-node and node-peer message as a W3C
+ * traceparent string, so the spans recorded by each party join one trace.
+ * Finished spans are batched and exported in OTLP JSON, over HTTP to a
+ * collector or to a file for offline analysis.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+const logger = require('../../utils/logger')('privacy-layer:tracing');
+
+// W3C trace context version and flags (sampled)
+const TRACEPARENT_VERSION = '00';
+const TRACE_FLAGS = '01';
+const TRACEPARENT = /^([0-9a-f]{2})-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})$/;
+
+// Instrumentation scope reported with exported spans
+const SCOPE = { name: 'privasight', version: '1.0.0' };
+
+/**
+ * Span kinds, numbered as in OTLP
+ * @enum {number}
+ */
+const SpanKind = {
+  INTERNAL: 1,
+  SERVER: 2,
+  CLIENT: 3
+};
+
+/**
+ * Span status codes, numbered as in OTLP
+ * @enum {number}
+ */
+const StatusCode = {
+  UNSET: 0,
+  OK: 1,
+  ERROR: 2
+};
+
+/**
+ * Format a trace context as a W3C traceparent string
+ * @param {Object} context - Trace context
+ * @param {string} context.traceId - 32 hex character trace ID
+ * @param {string} context.spanId - 16 hex character span ID
+ * @returns {string} traceparent
+ */
+function formatTraceparent({ traceId, spanId }) {
+  return `${TRACEPARENT_VERSION}-${traceId}-${spanId}-${TRACE_FLAGS}`;
+}
+
+/**
+ * Parse a W3C traceparent string
+ * @param {string} traceparent - traceparent
+ * @returns {Object|null} Trace context with traceId and spanId, or null if malformed
+ */
+function parseTraceparent(traceparent) {
+  const match = TRACEPARENT.exec(typeof traceparent === 'string' ? traceparent : '');
+  if (!match || /^0+$/.test(match[2]) || /^0+$/.test(match[3])) {
+    return null;
+  }
+  return { traceId: match[2], spanId: match[3] };
+}
+
+/**
+ * Encode an attribute value as an OTLP AnyValue
+ * @param {*} value - Attribute value
+ * @returns {Object} AnyValue
+ */
+function toAnyValue(value) {
+  if (Array.isArray(value)) return { arrayValue: { values: value.map(toAnyValue) } };
+  if (typeof value === 'boolean') return { boolValue: value };
+  if (Number.isInteger(value)) return { intValue: String(value) };
+  if (typeof value === 'number') return { doubleValue: value };
+  return { stringValue: String(value) };
+}
+
+/**
+ * Encode attributes as an OTLP KeyValue list
+ * @param {Object} attributes - Attributes by key
+ * @returns {Array<Object>} KeyValue list
+ */
+function toKeyValues(attributes) {
+  return Object.entries(attributes)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([key, value]) => ({ key, value: toAnyValue(value) }));
+}
+
+/**
+ * A timed operation within a trace
+ * @class Span
+ */
+class Span {
+  /**
+   * Create a span. Spans are created with Tracer.startSpan.
+   * @param {Tracer} tracer - Tracer recording the span
+   * @param {string} name - Span name
+   * @param {Object} options - Span options
+   * @param {string} options.traceId - Trace the span belongs to
+   * @param {string} [options.parentSpanId] - Parent span, if any
+   * @param {number} [options.kind=SpanKind.INTERNAL] - Span kind
+   * @param {Object} [options.attributes={}] - Initial attributes
+   */
+  constructor(tracer, name, { traceId, parentSpanId = null, kind = SpanKind.INTERNAL, attributes = {} }) {
+    this.tracer = tracer;
+    this.name = name;
+    this.traceId = traceId;
+    this.spanId = crypto.randomBytes(8).toString('hex');
+    this.parentSpanId = parentSpanId;
+    this.kind = kind;
+    this.attributes = { ...attributes };
+    this.events = [];
+    this.status = { code: StatusCode.UNSET };
+    this.startTime = tracer.now();
+    this.endTime = null;
+  }
+
+  /**
+   * Trace context of the span, for propagation to child spans
+   * @returns {Object} Trace context with traceId and spanId
+   */
+  context() {
+    return { traceId: this.traceId, spanId: this.spanId };
+  }
+
+  /**
+   * The span's trace context as a W3C traceparent string, for propagation in messages
+   * @returns {string} traceparent
+   */
+  traceparent() {
+    return formatTraceparent(this.context());
+  }
+
+  /**
+   * Set attributes on the span
+   * @param {Object} attributes - Attributes by key
+   * @returns {Span} The span
+   */
+  setAttributes(attributes) {
+    Object.assign(this.attributes, attributes);
+    return this;
+  }
+
+  /**
+   * Record an event at the current time
+   * @param {string} name - Event name
+   * @param {Object} [attributes={}] - Event attributes
+   * @returns {Span} The span
+   */
+  addEvent(name, attributes = {}) {
+    this.events.push({ name, time: this.tracer.now(), attributes });
+    return this;
+  }
+
+  /**
+   * Record an error and mark the span as failed
+   * @param {Error|string} error - Error
+   * @returns {Span} The span
+   */
+  recordError(error) {
+    const message = error instanceof Error ? error.message : String(error);
+    this.addEvent('exception', {
+      'exception.type': error instanceof Error ? error.name : 'Error',
+      'exception.message': message
+    });
+    this.status = { code: StatusCode.ERROR, message };
+    return this;
+  }
+
+  /**
+   * End the span and hand it to the tracer for export. Ending a span twice
+   * has no effect.
+   * @param {Object} [options={}] - End options
+   * @param {Error|string} [options.error] - Error to record before ending
+   */
+  end({ error = null } = {}) {
+    if (this.endTime !== null) return;
+    if (error) {
+      this.recordError(error);
+    } else if (this.status.code === StatusCode.UNSET) {
+      this.status = { code: StatusCode.OK };
+    }
+    this.endTime = this.tracer.now();
+    this.tracer._onEnd(this);
+  }
+
+  /**
+   * Whether the span has ended
+   * @returns {boolean} Whether the span has ended
+   */
+  isEnded() {
+    return this.endTime !== null;
+  }
+
+  /**
+   * Encode the span as an OTLP JSON span
+   * @returns {Object} OTLP span
+   */
+  toOtlp() {
+    return {
+      traceId: this.traceId,
+      spanId: this.spanId,
+      ...(this.parentSpanId ? { parentSpanId: this.parentSpanId } : {}),
+      name: this.name,
+      kind: this.kind,
+      startTimeUnixNano: this.startTime.toString(),
+      endTimeUnixNano: (this.endTime || this.startTime).toString(),
+      attributes: toKeyValues(this.attributes),
+      events: this.events.map(event => ({
+        timeUnixNano: event.time.toString(),
+        name: event.name,
+        attributes: toKeyValues(event.attributes)
+      })),
+      status: this.status
+    };
+  }
+}
+
+/**
+ * Encode spans as an OTLP JSON trace export request
+ * @param {Array<Span>} spans - Finished spans
+ * @param {Object} [resource={}] - Resource attributes (e.g. service.name)
+ * @returns {Object} ExportTraceServiceRequest
+ */
+function toOtlpJson(spans, resource = {}) {
+  return {
+    resourceSpans: [{
+      resource: { attributes: toKeyValues(resource) },
+      scopeSpans: [{ scope: SCOPE, spans: spans.map(span => span.toOtlp()) }]
+    }]
+  };
+}
+
+/**
+ * Records spans and exports them in batches
+ * @class Tracer
+ */
+class Tracer {
+  /**
+   * Create a new tracer
+   * @param {Object} [options={}] - Configuration options
+   * @param {string} [options.serviceName='privasight'] - Service name reported with exported spans
+   * @param {Array<Object>} [options.exporters=[]] - Exporters with an async export(request, spans) method
+   * @param {number} [options.maxBatchSize=512] - Finished spans that trigger an export
+   * @param {number} [options.flushIntervalMs=5000] - Longest time a finished span waits for export
+   */
+  constructor({ serviceName = 'privasight', exporters = [], maxBatchSize = 512, flushIntervalMs = 5000 } = {}) {
+    this.serviceName = serviceName;
+    this.exporters = [...exporters];
+    this.maxBatchSize = maxBatchSize;
+    this.flushIntervalMs = flushIntervalMs;
+    this.pending = [];
+    this.flushTimer = null;
+
+    // Wall-clock nanoseconds at a monotonic reference point
+    this.epochOffset = BigInt(Date.now()) * 1000000n - process.hrtime.bigint();
+  }
+
+  /**
+   * Current time in nanoseconds since the Unix epoch
+   * @returns {bigint} Time
+   */
+  now() {
+    return this.epochOffset + process.hrtime.bigint();
+  }
+
+  /**
+   * Add an exporter for finished spans
+   * @param {Object} exporter - Exporter with an async export(request, spans) method
+   */
+  addExporter(exporter) {
+    this.exporters.push(exporter);
+  }
+
+  /**
+   * Start a span
+   * @param {string} name - Span name
+   * @param {Object} [options={}] - Span options
+   * @param {Span|Object|string} [options.parent] - Parent span, trace context or traceparent; a new trace is started without one
+   * @param {number} [options.kind=SpanKind.INTERNAL] - Span kind
+   * @param {Object} [options.attributes={}] - Initial attributes
+   * @returns {Span} Started span
+   */
+  startSpan(name, { parent = null, kind = SpanKind.INTERNAL, attributes = {} } = {}) {
+    const parentContext = typeof parent === 'string'
+      ? parseTraceparent(parent)
+      : parent && (parent instanceof Span ? parent.context() : parent);
+
+    return new Span(this, name, {
+      traceId: parentContext ? parentContext.traceId : crypto.randomBytes(16).toString('hex'),
+      parentSpanId: parentContext ? parentContext.spanId : null,
+      kind,
+      attributes
+    });
+  }
+
+  /**
+   * Run a function within a span, ending the span when the function settles
+   * and recording its error if it throws
+   * @param {string} name - Span name
+   * @param {Object} options - Span options; see startSpan
+   * @param {Function} fn - Function called with the span
+   * @returns {Promise<*>} Result of the function
+   */
+  async trace(name, options, fn) {
+    const span = this.startSpan(name, options);
+    try {
+      const result = await fn(span);
+      span.end();
+      return result;
+    } catch (error) {
+      span.end({ error });
+      throw error;
+    }
+  }
+
+  /**
+   * Export every finished span that has not been exported yet. Exporter
+   * failures are logged; the spans are not retried.
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+    if (this.pending.length === 0) return;
+
+    const spans = this.pending.splice(0);
+    const request = toOtlpJson(spans, { 'service.name': this.serviceName });
+    await Promise.all(this.exporters.map(exporter =>
+      Promise.resolve()
+        .then(() => exporter.export(request, spans))
+        .catch(error => logger.warn(`Failed to export ${spans.length} spans: ${error.message}`))));
+  }
+
+  /**
+   * Export remaining spans and stop scheduled exports
+   * @returns {Promise<void>}
+   */
+  async shutdown() {
+    await this.flush();
+    await Promise.all(this.exporters
+      .filter(exporter => typeof exporter.shutdown === 'function')
+      .map(exporter => exporter.shutdown()));
+  }
+
+  /**
+   * Queue a finished span for export
+   * @param {Span} span - Finished span
+   * @private
+   */
+  _onEnd(span) {
+    if (this.exporters.length === 0) return;
+
+    this.pending.push(span);
+    if (this.pending.length >= this.maxBatchSize) {
+      this.flush();
+    } else if (!this.flushTimer) {
+      this.flushTimer = setTimeout(() => this.flush(), this.flushIntervalMs);
+      this.flushTimer.unref();
+    }
+  }
+}
+
+/**
+ * Appends exported spans to a file, one OTLP JSON export request per line
+ * @class FileExporter
+ */
+class FileExporter {
+  /**
+   * Create a new file exporter
+   * @param {Object} options - Configuration options
+   * @param {string} options.path - File to append to; its directory is created if missing
+   */
+  constructor({ path: filePath }) {
+    if (!filePath) {
+      throw new Error('FileExporter requires a path');
+    }
+    this.filePath = filePath;
+  }
+
+  /**
+   * Append an export request to the file
+   * @param {Object} request - OTLP JSON export request
+   * @returns {Promise<void>}
+   */
+  async export(request) {
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.promises.appendFile(this.filePath, `${JSON.stringify(request)}\n`);
+  }
+
+  /**
+   * Read spans back from an exported file
+   * @param {string} filePath - Exported file
+   * @returns {Promise<Array<Object>>} OTLP spans, in export order
+   */
+  static async read(filePath) {
+    const contents = await fs.promises.readFile(filePath, 'utf8');
+    return contents
+      .split('\n')
+      .filter(Boolean)
+      .flatMap(line => JSON.parse(line).resourceSpans)
+      .flatMap(resourceSpans => resourceSpans.scopeSpans)
+      .flatMap(scopeSpans => scopeSpans.spans);
+  }
+}
+
+/**
+ * Posts exported spans to an OTLP/HTTP collector in JSON encoding
+ * @class OtlpHttpExporter
+ */
+class OtlpHttpExporter {
+  /**
+   * Create a new OTLP/HTTP exporter
+   * @param {Object} options - Configuration options
+   * @param {string} options.url - Traces endpoint (e.g. http://collector:4318/v1/traces)
+   * @param {Object} [options.headers={}] - Additional request headers
+   * @param {number} [options.timeoutMs=10000] - Request timeout
+   */
+  constructor({ url, headers = {}, timeoutMs = 10000 }) {
+    if (!url) {
+      throw new Error('OtlpHttpExporter requires a url');
+    }
+    this.url = new URL(url);
+    this.headers = headers;
+    this.timeoutMs = timeoutMs;
+  }
+
+  /**
+   * Post an export request to the collector
+   * @param {Object} request - OTLP JSON export request
+   * @returns {Promise<void>}
+   * @throws {Error} If the collector does not accept the request
+   */
+  export(request) {
+    const body = JSON.stringify(request);
+    const transport = this.url.protocol === 'https:' ? https : http;
+
+    return new Promise((resolve, reject) => {
+      const req = transport.request(this.url, {
+        method: 'POST',
+        headers: {
+          ...this.headers,
+          'Content-Type': 'application/json',
+          'Content-Length': Buffer.byteLength(body)
+        },
+        timeout: this.timeoutMs
+      }, (res) => {
+        res.resume();
+        res.on('end', () => res.statusCode >= 200 && res.statusCode < 300
+          ? resolve()
+          : reject(new Error(`Collector responded with status ${res.statusCode}`)));
+      });
+      req.on('timeout', () => req.destroy(new Error('Collector request timed out')));
+      req.on('error', reject);
+      req.end(body);
+    });
+  }
+}
+
+// Tracer shared by every component in the process; spans are dropped until an exporter is added
+const tracer = new Tracer();
+
+module.exports = {
+  Tracer,
+  Span,
+  SpanKind,
+  StatusCode,
+  FileExporter,
+  OtlpHttpExporter,
+  tracer,
+  toOtlpJson,
+  formatTraceparent,
+  parseTraceparent
+};
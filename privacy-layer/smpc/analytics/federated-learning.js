@@ -97,9 +97,11 @@ class FederatedLearning {
       'modelUpdated': [],
       'trainingComplete': [],
       'clientDropped': [],
+      'stale': [],
       'error': [],
     };
     this.privacyBudgetUsed = 0;
+    this.stale = null; // Set when a record the global model was trained on loses its consent
     this.noiseScale = this._calculateInitialNoiseScale();
   }
 
@@ -145,6 +147,7 @@ class FederatedLearning {
     this.isTraining = true;
     this.currentRound = 0;
     this.privacyBudgetUsed = 0;
+    this.stale = null;
 
     try {
       while (this.currentRound < this.numRounds) {
@@ -240,6 +243,13 @@ class FederatedLearning {
     }
   }
 
+  /** Flag the global model as stale until it is trained again */
+  markStale(details) {
+    this.stale = { ...details, flaggedAt: Date.now() };
+    this._emitEvent('stale', this.stale);
+    return this.stale;
+  }
+
   /** Export state */
   export() {
     return {
@@ -250,6 +260,7 @@ class FederatedLearning {
       modelMetrics: this.modelMetrics,
       privacyBudgetUsed: this.privacyBudgetUsed,
       convergenceCurve: this.convergenceCurve,
+      stale: this.stale,
       version: '1.0.0',
       timestamp: Date.now(),
     };
@@ -265,6 +276,7 @@ class FederatedLearning {
     this.modelMetrics = state.modelMetrics || [];
     this.privacyBudgetUsed = state.privacyBudgetUsed || 0;
     this.convergenceCurve = state.convergenceCurve || [];
+    this.stale = state.stale || null;
     return true;
   }
 
@@ -77,6 +77,7 @@ class RegressionModel {
     this.intercept = null;
     this.isInitialized = false;
     this.isTrained = false;
+    this.stale = null; // Set when a record the model was trained on loses its consent
 
     // Training metrics
     this.metrics = {
@@ -189,6 +190,7 @@ class RegressionModel {
       }
 
       this.isTrained = true;
+      this.stale = null;
       this.metrics.trainingTime = Date.now() - startTime;
 
       logger.info(`Training completed in ${this.metrics.trainingTime}ms after ${this.metrics.iterations} iterations`);
@@ -288,6 +290,18 @@ class RegressionModel {
     }
   }
 
+  /**
+   * Flag the model as stale because records it was trained on may no longer
+   * be used. The flag is cleared when the model is trained again.
+   * @param {Object} details - Why the model is stale (e.g. the withdrawn records)
+   * @returns {Object} Staleness details with the time they were recorded
+   */
+  markStale(details) {
+    this.stale = { ...details, flaggedAt: Date.now() };
+    logger.warn(`Model flagged as stale: ${details.reason}`);
+    return this.stale;
+  }
+
   /**
    * Export the model in a serializable format
    * @returns {Object} Serialized model
@@ -299,6 +313,7 @@ class RegressionModel {
       intercept: this.intercept,
       metrics: this.metrics,
       isTrained: this.isTrained,
+      stale: this.stale,
       createdAt: Date.now()
     };
   }
@@ -319,6 +334,7 @@ class RegressionModel {
       this.intercept = serializedModel.intercept;
       this.metrics = serializedModel.metrics || this.metrics;
       this.isTrained = serializedModel.isTrained || false;
+      this.stale = serializedModel.stale || null;
       this.isInitialized = true;
 
       logger.info(`Model imported successfully (${this.type}, ${this.coefficients.length} features)`);
@@ -0,0 +1,179 @@
+/**
+ * PrivaSight SMPC Computation Checkpoints
+ *
+ * Phase-level checkpoints of in-flight computations, so a restarted
+ * coordinator or orchestrator resumes them from the last phase they completed
+ * instead of losing them. A checkpoint records the computation's state, the
+ * phase it completed last, its assigned nodes, and the share notifications
+ * and results the nodes sent. Shares never leave the nodes: a checkpoint
+ * references them by the share IDs the nodes announced. Checkpoints are kept
+ * in a state store collection and removed once the computation finishes.
+ */
+
+const logger = require('../../utils/logger')('privacy-layer:smpc-checkpoints');
+
+/**
+ * Phases a computation completes, in order
+ * @enum {string}
+ */
+const CheckpointPhase = {
+  CREATED: 'created',         // Nodes assigned, none initialized yet
+  INITIALIZED: 'initialized', // Every assigned node initialized the computation
+  SHARED: 'shared'            // Every assigned node was told to share; results arrive from here on
+};
+
+/**
+ * Store of computation checkpoints
+ * @class ComputationCheckpoints
+ */
+class ComputationCheckpoints {
+  /**
+   * Create a new checkpoint store
+   * @param {Object} options - Configuration options
+   * @param {StateStore} options.stateStore - State store the checkpoints are kept in
+   * @param {string} [options.collection='smpcCheckpoints'] - State store collection of the checkpoints
+   */
+  constructor({ stateStore, collection = 'smpcCheckpoints' }) {
+    if (!stateStore) {
+      throw new Error('Computation checkpoints require a state store');
+    }
+
+    this.stateStore = stateStore;
+    this.collection = collection;
+    this.checkpoints = null; // computationId => checkpoint, loaded on first use
+  }
+
+  /**
+   * Save the checkpoint of a computation, replacing its previous one
+   * @param {Object} checkpoint - Checkpoint
+   * @param {string} checkpoint.id - Computation ID
+   * @param {string} checkpoint.phase - Last completed phase, from CheckpointPhase
+   * @param {string} checkpoint.state - Computation state
+   * @param {Array<string>} checkpoint.assignedNodes - Node IDs assigned to the computation
+   * @param {Object} [checkpoint.shareNotifications={}] - Share ID announced by each node, keyed by node ID
+   * @param {Object} [checkpoint.nodeResults={}] - Result received from each node, keyed by node ID
+   * @returns {Promise<Object>} Saved checkpoint
+   * @throws {Error} If the phase is unknown
+   */
+  async save(checkpoint) {
+    if (!Object.values(CheckpointPhase).includes(checkpoint.phase)) {
+      throw new Error(`Unknown checkpoint phase: ${checkpoint.phase}`);
+    }
+
+    const saved = {
+      shareNotifications: {},
+      nodeResults: {},
+      ...checkpoint,
+      savedAt: Date.now()
+    };
+    await this._load();
+    this.checkpoints.set(saved.id, saved);
+    await this.stateStore.put(this.collection, saved.id, saved);
+    logger.debug(`Checkpointed computation ${saved.id} after phase ${saved.phase}`);
+    return saved;
+  }
+
+  /**
+   * Get the checkpoint of a computation
+   * @param {string} computationId - ID of the computation
+   * @returns {Promise<Object|null>} Checkpoint, or null if there is none
+   */
+  async get(computationId) {
+    await this._load();
+    return this.checkpoints.get(computationId) || null;
+  }
+
+  /**
+   * List every checkpoint, oldest first
+   * @returns {Promise<Array<Object>>} Checkpoints
+   */
+  async list() {
+    await this._load();
+    return Array.from(this.checkpoints.values()).sort((a, b) => a.savedAt - b.savedAt);
+  }
+
+  /**
+   * Remove the checkpoint of a computation, e.g. once it finished
+   * @param {string} computationId - ID of the computation
+   * @returns {Promise<boolean>} Whether there was a checkpoint
+   */
+  async remove(computationId) {
+    await this._load();
+    if (!this.checkpoints.delete(computationId)) {
+      return false;
+    }
+    await this.stateStore.delete(this.collection, computationId);
+    return true;
+  }
+
+  /**
+   * Forget the loaded checkpoints, so the next use reads them from the state
+   * store again, e.g. once another coordinator sharing the store wrote to it
+   */
+  reload() {
+    this.checkpoints = null;
+  }
+
+  /**
+   * Load the persisted checkpoints once
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _load() {
+    if (this.checkpoints) return;
+    const state = await this.stateStore.load();
+    // Another call may have loaded them while this one waited
+    if (!this.checkpoints) {
+      this.checkpoints = new Map(state[this.collection] || []);
+    }
+  }
+}
+
+/**
+ * Reconcile a checkpoint with what the assigned nodes report about the
+ * computation after a restart. A node that no longer knows the computation
+ * lost its state (and its share) once it was initialized; a node that
+ * reports a share ID or result the checkpoint misses sent it while the
+ * checkpointing process was down.
+ * @param {Object} checkpoint - Checkpoint of the computation
+ * @param {Object} statuses - Status of the computation reported by each assigned node, keyed by node ID; null for a node that could not be reached or does not know the computation
+ * @returns {Object} Share notifications and results merged from both, the nodes still working, and the nodes lost
+ */
+function reconcileCheckpoint(checkpoint, statuses) {
+  const shareNotifications = { ...checkpoint.shareNotifications };
+  const nodeResults = { ...checkpoint.nodeResults };
+  const pending = [];
+  const lost = [];
+
+  for (const nodeId of checkpoint.assignedNodes) {
+    const status = statuses[nodeId];
+    if (nodeResults[nodeId] !== undefined) continue;
+
+    if (!status) {
+      // Before initialization no node knows the computation yet
+      if (checkpoint.phase === CheckpointPhase.CREATED) {
+        pending.push(nodeId);
+      } else {
+        lost.push(nodeId);
+      }
+      continue;
+    }
+
+    if (status.shareId && !shareNotifications[nodeId]) {
+      shareNotifications[nodeId] = status.shareId;
+    }
+    if (status.result !== undefined && status.result !== null) {
+      nodeResults[nodeId] = status.result;
+    } else {
+      pending.push(nodeId);
+    }
+  }
+
+  return { shareNotifications, nodeResults, pending, lost };
+}
+
+module.exports = {
+  ComputationCheckpoints,
+  CheckpointPhase,
+  reconcileCheckpoint
+};
@@ -0,0 +1,239 @@
+/**
+ * PrivaSight SMPC Coordinator Store
+ *
+ * State shared by the coordinators of a highly available SMPC network. A
+ * coordinator store is a state store (see core/StateStore.js), in which the
+ * leader keeps the checkpoints of its computations and its computation queue
+ * so whichever coordinator leads next picks them up, extended with leases
+ * the coordinators elect their leader with (see leader-election.js). A lease
+ * is held by one coordinator until it expires, and only its holder can renew
+ * or release it; every grant to a new holder starts a new term. Two adapters
+ * are provided: an in-memory store shared by coordinators in one process, and
+ * a file store shared by coordinators on one host through the state journal
+ * and a lease file.
+ *
+ * Besides the StateStore methods, every adapter implements:
+ * - acquireLease(name, { holder, ttl, url }): the lease, or null if another holder has it
+ * - releaseLease(name, holder): whether the holder had the lease
+ * - getLease(name): the unexpired lease, or null
+ */
+
+const fs = require('fs');
+const { MemoryStateStore, FileStateStore } = require('../core/StateStore');
+const logger = require('../../utils/logger')('privacy-layer:smpc-coordinator-store');
+
+/**
+ * Grant a lease to a holder unless another holder has it
+ * @param {Object|null} current - Current lease, expired or not
+ * @param {Object} request - Lease request
+ * @param {string} request.holder - ID of the requesting coordinator
+ * @param {number} request.ttl - How long the lease lasts unless renewed (ms)
+ * @param {string} [request.url] - URL nodes reach the requesting coordinator at
+ * @param {number} now - Current time (ms)
+ * @returns {Object|null} New lease, or null if another holder has it
+ */
+function grantLease(current, { holder, ttl, url = null }, now) {
+  const live = current && current.expiresAt > now;
+  if (live && current.holder !== holder) return null;
+
+  // A renewal keeps the term; a holder coming back after its lease lapsed starts a new one
+  const renewal = live && current.holder === holder;
+  return {
+    holder,
+    url,
+    term: renewal ? current.term : (current ? current.term : 0) + 1,
+    acquiredAt: renewal ? current.acquiredAt : now,
+    expiresAt: now + ttl
+  };
+}
+
+/**
+ * Coordinator store kept in memory, shared by coordinators in one process;
+ * intended for tests and local development
+ * @class MemoryCoordinatorStore
+ * @extends MemoryStateStore
+ */
+class MemoryCoordinatorStore extends MemoryStateStore {
+  /**
+   * Create an in-memory coordinator store
+   * @param {Object} [options={}] - Configuration options
+   * @param {Function} [options.now=Date.now] - Millisecond clock leases expire by
+   */
+  constructor({ now = Date.now } = {}) {
+    super();
+    this.now = now;
+    this.leases = new Map(); // name => lease
+  }
+
+  async acquireLease(name, request) {
+    const lease = grantLease(this.leases.get(name) || null, request, this.now());
+    if (lease) this.leases.set(name, lease);
+    return lease ? { ...lease } : null;
+  }
+
+  async releaseLease(name, holder) {
+    const lease = this.leases.get(name);
+    if (!lease || lease.holder !== holder || lease.expiresAt <= this.now()) return false;
+    // Expire rather than delete the lease, so the next holder's term still counts up
+    this.leases.set(name, { ...lease, expiresAt: this.now() });
+    return true;
+  }
+
+  async getLease(name) {
+    const lease = this.leases.get(name);
+    return lease && lease.expiresAt > this.now() ? { ...lease } : null;
+  }
+}
+
+/**
+ * Coordinator store shared by coordinators on one host. Records go to the
+ * state journal; only the leader writes to it, and a coordinator replays it
+ * when it takes over. Leases are kept in a separate file, read and rewritten
+ * under an exclusive lock file so two coordinators never both win a lease.
+ * @class FileCoordinatorStore
+ * @extends FileStateStore
+ */
+class FileCoordinatorStore extends FileStateStore {
+  /**
+   * Create a file-backed coordinator store
+   * @param {Object} options - Configuration options
+   * @param {string} options.filePath - Path of the state journal
+   * @param {string} [options.leasePath] - Path of the lease file (next to the journal by default)
+   * @param {number} [options.lockTimeout=2000] - How long to wait for the lease lock (ms)
+   * @param {number} [options.staleLockAge=10000] - Age after which a lock left by a crashed coordinator is broken (ms)
+   * @param {Function} [options.now=Date.now] - Millisecond clock leases expire by
+   * @param {number} [options.compactionThreshold] - Journal entries before compaction
+   * @param {boolean} [options.fsync] - Whether to fsync after every append
+   */
+  constructor({ filePath, leasePath, lockTimeout = 2000, staleLockAge = 10000, now = Date.now, ...options } = {}) {
+    super({ filePath, ...options });
+    this.leasePath = leasePath || `${filePath}.leases`;
+    this.lockPath = `${this.leasePath}.lock`;
+    this.lockTimeout = lockTimeout;
+    this.staleLockAge = staleLockAge;
+    this.now = now;
+  }
+
+  async acquireLease(name, request) {
+    return this._withLeases(leases => {
+      const lease = grantLease(leases[name] || null, request, this.now());
+      if (lease) leases[name] = lease;
+      return { leases: lease ? leases : null, result: lease };
+    });
+  }
+
+  async releaseLease(name, holder) {
+    return this._withLeases(leases => {
+      const lease = leases[name];
+      if (!lease || lease.holder !== holder || lease.expiresAt <= this.now()) {
+        return { leases: null, result: false };
+      }
+      leases[name] = { ...lease, expiresAt: this.now() };
+      return { leases, result: true };
+    });
+  }
+
+  async getLease(name) {
+    const lease = (await this._readLeases())[name];
+    return lease && lease.expiresAt > this.now() ? lease : null;
+  }
+
+  /**
+   * Read the leases, let a function update them, and write them back, under the lease lock
+   * @param {Function} update - Takes the leases; returns { leases, result }, with leases null if unchanged
+   * @returns {Promise<*>} The function's result
+   * @private
+   */
+  async _withLeases(update) {
+    await this._lock();
+    try {
+      const { leases, result } = update(await this._readLeases());
+      if (leases) {
+        const tmpPath = `${this.leasePath}.tmp`;
+        await fs.promises.writeFile(tmpPath, JSON.stringify(leases), 'utf8');
+        await fs.promises.rename(tmpPath, this.leasePath);
+      }
+      return result;
+    } finally {
+      await fs.promises.unlink(this.lockPath).catch(() => {});
+    }
+  }
+
+  /**
+   * Read the lease file
+   * @returns {Promise<Object>} Leases keyed by name
+   * @private
+   */
+  async _readLeases() {
+    try {
+      return JSON.parse(await fs.promises.readFile(this.leasePath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return {};
+      throw error;
+    }
+  }
+
+  /**
+   * Take the lease lock, breaking it if a crashed coordinator left it behind
+   * @returns {Promise<void>}
+   * @throws {Error} If the lock is not free before the lock timeout
+   * @private
+   */
+  async _lock() {
+    const deadline = Date.now() + this.lockTimeout;
+    for (;;) {
+      try {
+        const handle = await fs.promises.open(this.lockPath, 'wx');
+        await handle.close();
+        return;
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+      }
+
+      const stats = await fs.promises.stat(this.lockPath).catch(() => null);
+      if (stats && Date.now() - stats.mtimeMs > this.staleLockAge) {
+        logger.warn(`Breaking stale lease lock ${this.lockPath}`);
+        await fs.promises.unlink(this.lockPath).catch(() => {});
+        continue;
+      }
+      if (Date.now() > deadline) {
+        throw new Error(`Timed out waiting for lease lock ${this.lockPath}`);
+      }
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+  }
+}
+
+/**
+ * Create a coordinator store from configuration
+ * @param {Object} [options={}] - Storage configuration
+ * @param {string} [options.adapter='memory'] - Adapter name ('memory' or 'file')
+ * @param {string} [options.path] - Journal path for the file adapter
+ * @param {string} [options.leasePath] - Lease file path for the file adapter
+ * @param {number} [options.compactionThreshold] - Journal entries before compaction
+ * @param {boolean} [options.fsync] - Whether to fsync after every append
+ * @returns {MemoryCoordinatorStore|FileCoordinatorStore} Configured coordinator store
+ */
+function createCoordinatorStore(options = {}) {
+  const adapter = options.adapter || 'memory';
+  switch (adapter) {
+    case 'memory':
+      return new MemoryCoordinatorStore();
+    case 'file':
+      return new FileCoordinatorStore({
+        filePath: options.path,
+        leasePath: options.leasePath,
+        compactionThreshold: options.compactionThreshold,
+        fsync: options.fsync
+      });
+    default:
+      throw new Error(`Unknown coordinator store adapter: ${adapter}`);
+  }
+}
+
+module.exports = {
+  MemoryCoordinatorStore,
+  FileCoordinatorStore,
+  createCoordinatorStore,
+  grantLease
+};
@@ -13,8 +13,38 @@ const http = require('http');
 const url = require('url');
 const { v4: uuidv4 } = require('uuid');
 const { randomFieldElement } = require('../zkp/utils/hash');
+const { NodeReputation, Outcome } = require('./reputation');
+const { ComputationCheckpoints, CheckpointPhase, reconcileCheckpoint } = require('./checkpoints');
+const { LeaderElection } = require('./leader-election');
+const { checkResidencyConflicts, residencyViolations, partitionByResidency, describeExclusions } = require('./residency');
+const { NodeAuthenticator, signCoordinatorChallenge } = require('./node-auth');
+const { KeyExchange, DEFAULT_CIPHER } = require('./secure-channel');
+const {
+  PROTOCOL_VERSION,
+  SUPPORTED_VERSIONS,
+  Direction,
+  ProtocolError,
+  ProtocolErrorCode,
+  parseFrame,
+  validateMessage,
+  negotiateVersion,
+  errorMessage
+} = require('./protocol');
+const { registry, handleMetricsRequest } = require('../monitoring/metrics');
+const { tracer: defaultTracer, SpanKind } = require('../monitoring/tracing');
 const logger = require('../../utils/logger')('privacy-layer:smpc-coordinator');
 
+const stateTransitions = registry.counter({
+  name: 'privasight_computation_state_transitions_total',
+  help: 'Computation state transitions made by the coordinator',
+  labelNames: ['from', 'to']
+});
+const messageLatency = registry.histogram({
+  name: 'privasight_node_message_latency_seconds',
+  help: 'Time from sending a message to a node until its response arrives',
+  labelNames: ['sender', 'type']
+});
+
 // Computation state constants
 const ComputationState = {
   CREATED: 'created',
@@ -30,6 +60,18 @@ const ComputationState = {
   ABORTED: 'aborted'
 };
 
+// Coordinator store collection of the queued computations, shared by the coordinators of a highly available network
+const QUEUE_COLLECTION = 'coordinatorQueue';
+
+// Traced phase of each computation state
+const PHASES = {
+  [ComputationState.INITIALIZING]: 'initialize',
+  [ComputationState.DISTRIBUTING]: 'share',
+  [ComputationState.PROCESSING]: 'compute',
+  [ComputationState.AGGREGATING]: 'aggregate',
+  [ComputationState.VERIFYING]: 'verify'
+};
+
 // Node state constants
 const NodeState = {
   DISCONNECTED: 'disconnected',
@@ -55,6 +97,22 @@ class Coordinator extends EventEmitter {
    * @param {number} [options.computationTimeout=300000] - Computation timeout (ms)
    * @param {boolean} [options.enableFaultTolerance=true] - Enable fault tolerance
    * @param {number} [options.maxConcurrentComputations=10] - Max concurrent computations
+   * @param {Tracer} [options.tracer] - Tracer recording computation phases and node messages (shared tracer by default)
+   * @param {NodeReputation} [options.reputation] - Reputation of the nodes, used to rank and bench them
+   * @param {ComputationCheckpoints} [options.checkpoints] - Checkpoints of in-flight computations; a restarted coordinator resumes them
+   * @param {Object} [options.authentication] - How registering nodes prove their identity
+   * @param {Object} [options.authentication.allowlist] - Ed25519 public key of each node allowed to register, keyed by node ID
+   * @param {Array<string>} [options.authentication.certificateAuthorities] - Public keys of the authorities whose node certificates are trusted
+   * @param {number} [options.authentication.challengeTtl=30000] - How long a connection has to answer its challenge (ms)
+   * @param {string} [options.authentication.privateKey] - Ed25519 identity key of the coordinator, signing its challenges so nodes can tell it apart from an impostor
+   * @param {Object} [options.encryption] - Encryption of the messages exchanged with nodes
+   * @param {string} [options.encryption.cipher='aes-256-gcm'] - AEAD cipher of node channels ('aes-256-gcm' or 'chacha20-poly1305')
+   * @param {Object} [options.highAvailability] - Run as one of several coordinators, of which the elected leader runs the computations
+   * @param {Object} options.highAvailability.store - Coordinator store shared by the coordinators (see coordinator-store.js); checkpoints and the computation queue are kept in it
+   * @param {string} [options.highAvailability.coordinatorId] - ID of this coordinator (random by default)
+   * @param {string} [options.highAvailability.url] - URL nodes reach this coordinator at; the others redirect their nodes to it while it leads
+   * @param {number} [options.highAvailability.leaseTtl=10000] - How long the leader's lease lasts unless renewed (ms)
+   * @param {number} [options.highAvailability.renewInterval] - How often the lease is renewed or campaigned for (ms)
    */
   constructor({
     port = 8080,
@@ -65,7 +123,11 @@ class Coordinator extends EventEmitter {
     enableFaultTolerance = true,
     maxConcurrentComputations = 10,
     authentication = {},
-    encryption = {}
+    encryption = {},
+    tracer = defaultTracer,
+    reputation = null,
+    checkpoints = null,
+    highAvailability = null
   } = {}) {
     super();
 
@@ -77,7 +139,36 @@ class Coordinator extends EventEmitter {
     this.enableFaultTolerance = enableFaultTolerance;
     this.maxConcurrentComputations = maxConcurrentComputations;
     this.authentication = authentication;
+    this.authenticator = new NodeAuthenticator(authentication);
     this.encryption = encryption;
+    this.cipher = encryption.cipher || DEFAULT_CIPHER;
+    this.tracer = tracer;
+    this.reputation = reputation || new NodeReputation();
+    this.checkpoints = checkpoints;
+
+    // With several coordinators, only the leader runs computations; the others hand their nodes over to it
+    this.store = null;
+    this.election = null;
+    this.coordinatorId = null;
+    if (highAvailability) {
+      if (!highAvailability.store) {
+        throw new Error('High availability requires a coordinator store');
+      }
+      this.store = highAvailability.store;
+      this.coordinatorId = highAvailability.coordinatorId || uuidv4();
+      this.checkpoints = checkpoints || new ComputationCheckpoints({ stateStore: this.store, collection: 'coordinatorCheckpoints' });
+      this.election = new LeaderElection({
+        store: this.store,
+        candidateId: this.coordinatorId,
+        url: highAvailability.url,
+        leaseTtl: highAvailability.leaseTtl,
+        renewInterval: highAvailability.renewInterval
+      });
+      this.election.on('elected', lease => this._assumeLeadership(lease)
+        .catch(err => logger.error('Failed to take over as leader', err)));
+      this.election.on('deposed', leader => this._stepDown(leader)
+        .catch(err => logger.error('Failed to step down as leader', err)));
+    }
 
     // Initialize state
     this.server = null;
@@ -87,6 +178,8 @@ class Coordinator extends EventEmitter {
     this.activeComputations = new Map();
     this.computationQueue = [];
     this.pendingResponses = new Map();
+    this.connections = new Map(); // connectionId => nodeId the connection authenticated as
+    this.resumingComputations = new Map(); // computationId => { checkpoint, resumeBy }, waiting for its nodes to reconnect
 
     // Bind methods
     this.start = this.start.bind(this);
@@ -95,14 +188,26 @@ class Coordinator extends EventEmitter {
     this.abortComputation = this.abortComputation.bind(this);
     this.getComputationStatus = this.getComputationStatus.bind(this);
     this.getNodeInfo = this.getNodeInfo.bind(this);
+    this.getAvailableNodes = this.getAvailableNodes.bind(this);
+
+    logger.info('SMPC Coordinator initialized', { port, host, minNodes, coordinatorId: this.coordinatorId });
+  }
 
-    logger.info('SMPC Coordinator initialized', { port, host, minNodes });
+  /**
+   * Whether this coordinator runs computations: always, unless it is one of
+   * several and another leads
+   * @returns {boolean} True if this coordinator leads
+   */
+  get isLeader() {
+    return !this.election || this.election.isLeader;
   }
 
   /** Start the coordinator server */
   async start() {
     try {
       logger.info(`Starting coordinator on ${this.host}:${this.port}`);
+      // With several coordinators, the checkpoints are loaded by whichever is elected
+      if (!this.election) await this._loadCheckpoints();
 
       this.server = http.createServer((req, res) => {
         const parsedUrl = url.parse(req.url, true);
@@ -110,6 +215,7 @@ class Coordinator extends EventEmitter {
           res.writeHead(200, { 'Content-Type': 'application/json' });
           res.end(JSON.stringify({
             status: 'ok',
+            role: this.isLeader ? 'leader' : 'follower',
             nodes: this.nodes.size,
             activeComputations: this.activeComputations.size
           }));
@@ -120,7 +226,8 @@ class Coordinator extends EventEmitter {
             nodes: Array.from(this.nodes.entries()).map(([id, node]) => ({
               id,
               state: node.state,
-              activeComputations: node.activeComputations.size
+              activeComputations: node.activeComputations.size,
+              reputation: this.reputation.getReputation(id)
             })),
             activeComputations: Array.from(this.activeComputations.entries()).map(([id, comp]) => ({
               id,
@@ -128,7 +235,7 @@ class Coordinator extends EventEmitter {
               type: comp.type
             }))
           }));
-        } else {
+        } else if (!handleMetricsRequest(registry, req, res)) {
           res.writeHead(404, { 'Content-Type': 'text/plain' });
           res.end('Not Found');
         }
@@ -146,6 +253,7 @@ class Coordinator extends EventEmitter {
 
       this.isRunning = true;
       this._setupPeriodicTasks();
+      if (this.election) await this.election.start();
       logger.info(`Coordinator started on ${this.host}:${this.port}`);
       this.emit('started');
     } catch (error) {
@@ -159,6 +267,11 @@ class Coordinator extends EventEmitter {
   async stop() {
     logger.info('Stopping coordinator');
 
+    // Hand the computations and the lease over first, so another coordinator takes over at once
+    if (this.election) {
+      if (this.election.isLeader) await this._stepDown(null);
+      await this.election.stop();
+    }
     if (this.pingInterval) clearInterval(this.pingInterval);
     if (this.timeoutCheckInterval) clearInterval(this.timeoutCheckInterval);
 
@@ -172,9 +285,18 @@ class Coordinator extends EventEmitter {
       this.server = null;
     }
 
-    for (const [id] of this.activeComputations) {
-      await this.abortComputation(id, 'Coordinator shutdown');
+    for (const [id, computation] of this.activeComputations) {
+      if (this.checkpoints) {
+        // Checkpointed computations resume when the coordinator starts again
+        await computation.checkpointed;
+        if (computation.phaseSpan) computation.phaseSpan.end();
+        computation.span.end();
+      } else {
+        await this.abortComputation(id, 'Coordinator shutdown');
+      }
     }
+    this.activeComputations.clear();
+    this.resumingComputations.clear();
 
     this.isRunning = false;
     this.emit('stopped');
@@ -185,6 +307,10 @@ class Coordinator extends EventEmitter {
   async createComputation(params) {
     try {
       if (!params.type) throw new Error('Computation type required');
+      if (!this.isLeader) {
+        const leader = this.election.leader();
+        throw new Error(`Coordinator ${this.coordinatorId} is not the leader${leader ? `; ${leader.leaderId} leads at ${leader.url}` : ''}`);
+      }
 
       const availableNodes = this._getAvailableNodes(params.type);
       const requiredNodes = params.requiredNodes || [];
@@ -204,7 +330,7 @@ class Coordinator extends EventEmitter {
 
       if (this.activeComputations.size >= this.maxConcurrentComputations) {
         const queued = { id: uuidv4(), params, queuedAt: Date.now() };
-        this.computationQueue.push(queued);
+        await this._enqueue(queued);
         return { computationId: queued.id, status: 'queued', queuedAt: queued.queuedAt };
       }
 
@@ -214,7 +340,8 @@ class Coordinator extends EventEmitter {
         requiredNodes,
         preferredNodes,
         minNodes,
-        maxNodes
+        maxNodes,
+        residency: params.residency
       });
 
       const sessionKey = randomFieldElement().toString();
@@ -227,12 +354,21 @@ class Coordinator extends EventEmitter {
         threshold,
         sessionKey,
         state: ComputationState.CREATED,
+        phase: CheckpointPhase.CREATED,
         assignedNodes: new Set(selectedNodes),
         nodeResponses: new Map(),
         nodeResults: new Map(),
         startedAt: Date.now(),
         updatedAt: Date.now(),
-        timeoutAt: Date.now() + this.computationTimeout
+        timeoutAt: Date.now() + this.computationTimeout,
+        // Continues the caller's trace when params.trace carries a traceparent
+        span: this.tracer.startSpan('coordinator.computation', {
+          parent: params.trace,
+          kind: SpanKind.SERVER,
+          attributes: { 'computation.id': computationId, 'computation.type': params.type, 'computation.nodes': selectedNodes.length }
+        }),
+        phaseSpan: null,
+        checkpointed: Promise.resolve()
       };
 
       this.activeComputations.set(computationId, computation);
@@ -244,6 +380,7 @@ class Coordinator extends EventEmitter {
         }
       }
 
+      await this._checkpoint(computation);
       this._initializeComputation(computationId);
       this.emit('computation:created', { computationId, type: params.type });
       return { computationId, sessionKey, threshold, nodes: selectedNodes, status: 'created' };
@@ -265,6 +402,9 @@ class Coordinator extends EventEmitter {
     computation.abortReason = reason;
     computation.abortedAt = Date.now();
     computation.updatedAt = Date.now();
+    if (computation.phaseSpan) computation.phaseSpan.end({ error: reason });
+    computation.span.end({ error: reason });
+    this._checkpoint(computation);
 
     for (const nodeId of computation.assignedNodes) {
       const node = this.nodes.get(nodeId);
@@ -282,10 +422,7 @@ class Coordinator extends EventEmitter {
     }
 
     this.activeComputations.delete(computationId);
-    if (this.computationQueue.length > 0) {
-      const next = this.computationQueue.shift();
-      this.createComputation(next.params).catch(err => logger.error('Failed to process queued', err));
-    }
+    this._processQueue();
 
     this.emit('computation:aborted', { computationId, reason });
     return { success: true, computationId, abortedAt: computation.abortedAt };
@@ -318,15 +455,72 @@ class Coordinator extends EventEmitter {
       success: true,
       nodeId,
       state: node.state,
-      activeComputations: Array.from(node.activeComputations)
+      activeComputations: Array.from(node.activeComputations),
+      reputation: this.reputation.getReputation(nodeId)
     };
   }
 
+  /**
+   * Get the connected nodes that support a computation type, with their load
+   * and reputation. Benched nodes are listed, with the reason, but are not
+   * selected for computations.
+   * @param {string} computationType - Computation type
+   * @returns {Array<Object>} Nodes with their ID, load, capabilities, protocols and reputation
+   */
+  getAvailableNodes(computationType) {
+    const availableNodes = [];
+    for (const [nodeId, node] of this.nodes.entries()) {
+      if (node.state === NodeState.DISCONNECTED) continue;
+      if (!node.supportedProtocols.includes(computationType)) continue;
+      if (node.activeComputations.size >= node.capabilities.maxConcurrentComputations) continue;
+
+      const load = node.activeComputations.size / node.capabilities.maxConcurrentComputations;
+      availableNodes.push({
+        id: nodeId,
+        load,
+        capabilities: node.capabilities,
+        supportedProtocols: node.supportedProtocols,
+        reputation: this.reputation.getReputation(nodeId)
+      });
+    }
+    return availableNodes;
+  }
+
   /** Private: Handle WebSocket connection */
   _handleConnection(socket) {
+    // Nodes may connect to any coordinator; only the leader takes them on
+    if (!this.isLeader) {
+      this._redirect(socket, this.election.leader());
+      return;
+    }
+
     const connectionId = uuidv4();
-    socket.on('message', data => this._handleNodeMessage(connectionId, socket, JSON.parse(data)));
-    socket.on('close', () => this._handleNodeDisconnect(connectionId));
+    const authTimer = setTimeout(() => {
+      if (!this.connections.has(connectionId)) {
+        this._rejectConnection(connectionId, socket, 'Challenge not answered in time');
+      }
+    }, this.authenticator.challengeTtl);
+    socket.on('message', data => this._handleNodeMessage(connectionId, socket, data));
+    socket.on('close', () => {
+      clearTimeout(authTimer);
+      this.authenticator.discardChallenge(connectionId);
+      const nodeId = this.connections.get(connectionId) || connectionId;
+      this.connections.delete(connectionId);
+      // A rejected duplicate must not take down the session it tried to replace
+      const node = this.nodes.get(nodeId);
+      if (node && node.socket === socket) this._handleNodeDisconnect(nodeId);
+    });
+    // The channel key goes out with the challenge; the node's comes back signed with its registration
+    const keyExchange = new KeyExchange({ cipher: this.cipher });
+    const challenge = {
+      ...this.authenticator.createChallenge(connectionId),
+      channelKey: keyExchange.publicKey,
+      cipher: this.cipher,
+      protocolVersions: SUPPORTED_VERSIONS
+    };
+    if (this.authentication.privateKey) {
+      challenge.signature = signCoordinatorChallenge(challenge, this.authentication.privateKey);
+    }
     this.nodes.set(connectionId, {
       id: connectionId,
       socket,
@@ -335,51 +529,199 @@ class Coordinator extends EventEmitter {
       lastSeen: Date.now(),
       capabilities: { maxConcurrentComputations: 5 },
       supportedProtocols: [],
-      activeComputations: new Set()
+      activeComputations: new Set(),
+      handshake: { keyExchange, nonce: challenge.nonce }
     });
+    this._sendRaw(socket, { type: 'auth_challenge', ...challenge });
   }
 
-  /** Private: Handle node messages */
-  _handleNodeMessage(connectionId, socket, message) {
-    switch (message.type) {
-      case 'registration':
+  /** Private: Handle a frame from a node; frames that are malformed or break the protocol are answered with a typed error */
+  _handleNodeMessage(connectionId, socket, data) {
+    const nodeId = this.connections.get(connectionId);
+    const node = nodeId ? this.nodes.get(nodeId) : null;
+    const channel = node ? node.channel : null;
+    const source = nodeId ? `node ${nodeId}` : `connection ${connectionId}`;
+
+    let message;
+    try {
+      message = parseFrame(data);
+    } catch (error) {
+      logger.warn(`Malformed frame from ${source}: ${error.message}`);
+      this._sendRaw(socket, errorMessage(error), channel);
+      return;
+    }
+
+    // Once registered a node only sends sealed messages
+    if (channel) {
+      try {
+        message = channel.open(message);
+      } catch (error) {
+        logger.warn(`Dropping message from ${source}: ${error.message}`);
+        return;
+      }
+    }
+
+    try {
+      validateMessage(message, Direction.TO_COORDINATOR, node ? node.protocolVersion : PROTOCOL_VERSION);
+    } catch (error) {
+      logger.warn(`Invalid message from ${source}: ${error.message}`);
+      this._sendRaw(socket, errorMessage(error, message.messageId), channel);
+      return;
+    }
+
+    if (message.inReplyTo && this.pendingResponses.has(message.inReplyTo)) {
+      const pending = this.pendingResponses.get(message.inReplyTo);
+      this.pendingResponses.delete(message.inReplyTo);
+      pending.endTimer();
+      if (message.type === 'error') {
+        pending.reject(new Error(message.error));
+      } else {
+        pending.resolve(message);
+      }
+      return;
+    }
+
+    if (message.type === 'registration') {
+      if (nodeId) {
+        this._sendRaw(socket, { type: 'error', error: `Already registered as ${nodeId}`, inReplyTo: message.messageId }, channel);
+      } else {
         this._handleNodeRegistration(connectionId, socket, message);
-        break;
+      }
+      return;
+    }
+    if (!nodeId) {
+      logger.warn(`Ignoring ${message.type} message from unauthenticated ${source}`);
+      const error = new ProtocolError(ProtocolErrorCode.UNAUTHENTICATED, `Register before sending ${message.type} messages`);
+      this._sendRaw(socket, errorMessage(error, message.messageId));
+      return;
+    }
+
+    switch (message.type) {
       case 'share_notification':
-        this._handleShareNotification(connectionId, message);
+        this._handleShareNotification(nodeId, message);
         break;
       case 'result':
-        this._handleResultMessage(connectionId, message);
+        this._handleResultMessage(nodeId, message);
         break;
       case 'verification_result':
-        this._handleVerificationResult(connectionId, message);
+        this._handleVerificationResult(nodeId, message);
+        break;
+      case 'step_complete':
+        this._handleStepComplete(nodeId, message);
         break;
+      case 'get_peer_url':
+        this._handlePeerUrlRequest(socket, channel, message);
+        return;
+      case 'error':
+        logger.warn(`Node ${nodeId} reported an error: ${message.error}`);
+        break;
+      default:
+        // Progress reports (shares_complete, results_complete, aggregation_result) need no action
+        logger.debug(`Node ${nodeId} sent ${message.type} for computation ${message.computationId}`);
+    }
+    if (message.messageId) {
+      this._sendRaw(socket, { type: 'ack', inReplyTo: message.messageId }, channel);
     }
   }
 
-  /** Private: Handle node registration */
+  /** Private: Tell a node where to reach a peer; nodes that accept peer links advertise a peerUrl capability */
+  _handlePeerUrlRequest(socket, channel, message) {
+    const peer = this.nodes.get(message.peerId);
+    const peerUrl = peer && peer.channel && peer.capabilities ? peer.capabilities.peerUrl : null;
+    this._sendRaw(socket, {
+      type: 'peer_url',
+      peerId: message.peerId,
+      ...(peerUrl ? { peerUrl } : {}),
+      inReplyTo: message.messageId
+    }, channel);
+  }
+
+  /** Private: Handle a node finishing an intermediate pipeline step; its output stays on the node */
+  _handleStepComplete(nodeId, message) {
+    const { computationId, stepId } = message;
+    this.emit('step:completed', { computationId, nodeId, stepId });
+  }
+
+  /** Private: Handle node registration; the node must answer its connection's challenge */
   _handleNodeRegistration(connectionId, socket, message) {
     const { nodeId, capabilities, supportedProtocols } = message;
-    if (!nodeId) throw new Error('Node ID required');
+    const nodeInfo = this.nodes.get(connectionId);
+
+    let identity;
+    let channel;
+    let protocolVersion;
+    try {
+      identity = this.authenticator.verify(connectionId, message);
+      channel = nodeInfo.handshake.keyExchange.deriveChannel(message.channelKey, nodeInfo.handshake.nonce);
+      protocolVersion = negotiateVersion(message.protocolVersions);
+    } catch (error) {
+      const code = error instanceof ProtocolError ? error.code : ProtocolErrorCode.UNAUTHENTICATED;
+      this._rejectConnection(connectionId, socket, error.message, message.messageId, code);
+      return;
+    }
 
-    if (this.nodes.has(nodeId) && nodeId !== connectionId) {
-      const existing = this.nodes.get(nodeId);
-      if (existing.socket) existing.socket.close();
+    // A live session is never handed over to another connection claiming the same ID
+    const existing = this.nodes.get(nodeId);
+    if (existing) {
+      if (existing.state !== NodeState.DISCONNECTED && existing.socket && existing.socket.readyState === WebSocket.OPEN) {
+        this._rejectConnection(connectionId, socket, `Node ${nodeId} already has an active session`, message.messageId, ProtocolErrorCode.DUPLICATE_SESSION);
+        return;
+      }
       this.nodes.delete(nodeId);
     }
 
-    const nodeInfo = this.nodes.get(connectionId);
     this.nodes.delete(connectionId);
+    this.connections.set(connectionId, nodeId);
     this.nodes.set(nodeId, {
       ...nodeInfo,
       id: nodeId,
       capabilities: capabilities || { maxConcurrentComputations: 5 },
       supportedProtocols: supportedProtocols || [],
-      state: NodeState.IDLE
+      state: NodeState.IDLE,
+      authentication: identity.method,
+      handshake: null,
+      channel,
+      protocolVersion
     });
 
-    this._sendToNode(nodeId, { type: 'registration_confirmed', nodeId });
+    this._sendRaw(socket, { type: 'registration_confirmed', nodeId, protocolVersion, inReplyTo: message.messageId }, channel);
     this.emit('node:connected', { nodeId });
+    this._resumeComputations();
+    this._processQueue();
+  }
+
+  /** Private: Reject a connection that failed to register, and close it */
+  _rejectConnection(connectionId, socket, reason, inReplyTo, code = ProtocolErrorCode.UNAUTHENTICATED) {
+    logger.warn(`Rejected connection ${connectionId}: ${reason}`);
+    this.authenticator.discardChallenge(connectionId);
+    this.emit('node:rejected', { connectionId, reason, code });
+    this._sendRaw(socket, { type: 'registration_rejected', code, error: reason, inReplyTo });
+    socket.close(1008, 'Registration rejected');
+  }
+
+  /** Private: Send a node to the leader, or away to try again while no leader is known, and close its connection */
+  _redirect(socket, leader, channel = null) {
+    this._sendRaw(socket, {
+      type: 'redirect',
+      ...(leader ? { leaderId: leader.leaderId } : {}),
+      ...(leader && leader.url ? { leaderUrl: leader.url } : {})
+    }, channel);
+    socket.close(1013, 'Not the leader');
+  }
+
+  /** Private: Send a message that expects no response, sealed if the connection has a channel */
+  _sendRaw(socket, message, channel = null) {
+    if (socket.readyState !== WebSocket.OPEN) return;
+    const stamped = { ...message, timestamp: Date.now() };
+    try {
+      validateMessage(stamped, Direction.TO_NODE);
+    } catch (error) {
+      logger.error(`Not sending invalid ${message.type} message: ${error.message}`, error.details);
+      return;
+    }
+    socket.send(JSON.stringify(channel ? channel.seal(stamped) : stamped), error => {
+      if (error) logger.warn(`Failed to send ${message.type}: ${error.message}`);
+    });
   }
 
   /** Private: Handle share notification */
@@ -389,30 +731,57 @@ class Coordinator extends EventEmitter {
     if (!computation || !computation.assignedNodes.has(nodeId)) return;
 
     computation.nodeResponses.set(nodeId, { type: 'share', shareId });
+    this._checkpoint(computation);
     if (computation.nodeResponses.size === computation.assignedNodes.size) {
-      this._advanceComputation(computationId, ComputationState.PROCESSING);
-      for (const assignedNodeId of computation.assignedNodes) {
-        this._sendToNode(assignedNodeId, { type: 'command', command: 'compute', params: { computationId } });
-      }
+      this._startCompute(computationId, computation.assignedNodes);
     }
   }
 
-  /** Private: Select nodes for computation */
-  _selectNodesForComputation({ availableNodes, requiredNodes, preferredNodes, minNodes, maxNodes }) {
+  /** Private: Move a computation whose nodes all shared on to computing, telling the given nodes to compute */
+  _startCompute(computationId, nodeIds) {
+    const computation = this.activeComputations.get(computationId);
+    computation.phase = CheckpointPhase.SHARED;
+    this._advanceComputation(computationId, ComputationState.PROCESSING);
+    for (const nodeId of nodeIds) {
+      this._sendToNode(nodeId, { type: 'command', command: 'compute', params: { computationId } })
+        .catch(err => logger.warn(`Failed to start computing on node ${nodeId}`, err));
+    }
+  }
+
+  /**
+   * Private: Select nodes for computation. Only nodes that satisfy the
+   * data-residency constraints of every vault of the computation, keyed by
+   * vault ID in residency, are picked; if too few do, the error names the
+   * nodes left out and why.
+   */
+  _selectNodesForComputation({ availableNodes, requiredNodes, preferredNodes, minNodes, maxNodes, residency = null }) {
+    checkResidencyConflicts(residency);
+    for (const nodeId of requiredNodes) {
+      const violations = residencyViolations(this.nodes.get(nodeId).capabilities, residency);
+      if (violations.length > 0) {
+        throw new Error(`Required node ${nodeId} is outside data residency: ${violations.join(', ')}`);
+      }
+    }
+
+    const { allowed, excluded } = partitionByResidency(availableNodes, residency);
+    if (allowed.length < minNodes) {
+      throw new Error(`Need ${minNodes} nodes, found ${allowed.length}; ${describeExclusions(excluded)}`);
+    }
+
     const selectedNodes = [...requiredNodes];
 
     for (const nodeId of preferredNodes) {
-      if (!selectedNodes.includes(nodeId) && availableNodes.find(n => n.id === nodeId)) {
+      if (!selectedNodes.includes(nodeId) && allowed.find(n => n.id === nodeId)) {
         selectedNodes.push(nodeId);
       }
     }
 
     if (selectedNodes.length < minNodes) {
-      const sortedNodes = availableNodes
+      const sortedNodes = allowed
         .filter(node => !selectedNodes.includes(node.id))
         .sort((a, b) => {
-          const scoreA = (1 - a.load) * (a.capabilities.computePower || 1);
-          const scoreB = (1 - b.load) * (b.capabilities.computePower || 1);
+          const scoreA = (1 - a.load) * (a.capabilities.computePower || 1) * a.reputation.score;
+          const scoreB = (1 - b.load) * (b.capabilities.computePower || 1) * b.reputation.score;
           return scoreB - scoreA;
         });
 
@@ -425,18 +794,9 @@ class Coordinator extends EventEmitter {
     return selectedNodes.slice(0, maxNodes);
   }
 
-  /** Private: Get available nodes */
+  /** Private: Get the available nodes that are not benched */
   _getAvailableNodes(computationType) {
-    const availableNodes = [];
-    for (const [nodeId, node] of this.nodes.entries()) {
-      if (node.state === NodeState.DISCONNECTED) continue;
-      if (!node.supportedProtocols.includes(computationType)) continue;
-      if (node.activeComputations.size >= node.capabilities.maxConcurrentComputations) continue;
-
-      const load = node.activeComputations.size / node.capabilities.maxConcurrentComputations;
-      availableNodes.push({ id: nodeId, load, capabilities: node.capabilities, supportedProtocols: node.supportedProtocols });
-    }
-    return availableNodes;
+    return this.getAvailableNodes(computationType).filter(node => !node.reputation.benched);
   }
 
   /** Private: Select aggregator node */
@@ -515,10 +875,7 @@ class Coordinator extends EventEmitter {
     }
 
     this.emit('computation:completed', { computationId, result: computation.result });
-    if (this.computationQueue.length > 0) {
-      const next = this.computationQueue.shift();
-      this.createComputation(next.params);
-    }
+    this._processQueue();
   }
 
   /** Private: Send message to node */
@@ -528,21 +885,47 @@ class Coordinator extends EventEmitter {
       if (!node || node.state === NodeState.DISCONNECTED || !node.socket || node.socket.readyState !== WebSocket.OPEN) {
         return reject(new Error(`Node ${nodeId} unavailable`));
       }
+      if (!node.channel) {
+        return reject(new Error(`Node ${nodeId} has no secure channel`));
+      }
 
       message.messageId = message.messageId || uuidv4();
-      this.pendingResponses.set(message.messageId, { resolve, reject });
+      try {
+        validateMessage(message, Direction.TO_NODE, node.protocolVersion);
+      } catch (error) {
+        return reject(error);
+      }
+      const span = this._startMessageSpan(nodeId, message);
+      const sentAt = Date.now();
+      const pending = {
+        resolve: response => {
+          if (span) span.end();
+          this.reputation.recordLatency(nodeId, Date.now() - sentAt);
+          resolve(response);
+        },
+        reject: error => {
+          if (span) span.end({ error });
+          reject(error);
+        },
+        endTimer: messageLatency.startTimer({ sender: 'coordinator', type: message.type })
+      };
+      this.pendingResponses.set(message.messageId, pending);
 
       setTimeout(() => {
         if (this.pendingResponses.has(message.messageId)) {
           this.pendingResponses.delete(message.messageId);
-          reject(new Error('Response timeout'));
+          this.reputation.record(nodeId, Outcome.TIMEOUT, {
+            computationId: message.computationId || (message.params && message.params.computationId) || null,
+            reason: `No response to ${message.command || message.type}`
+          });
+          pending.reject(new Error('Response timeout'));
         }
       }, this.nodeTimeout);
 
-      node.socket.send(JSON.stringify(message), err => {
+      node.socket.send(JSON.stringify(node.channel.seal(message)), err => {
         if (err) {
           this.pendingResponses.delete(message.messageId);
-          reject(err);
+          pending.reject(err);
         }
       });
     });
@@ -551,17 +934,271 @@ class Coordinator extends EventEmitter {
   /** Private: Advance computation state */
   _advanceComputation(computationId, newState) {
     const computation = this.activeComputations.get(computationId);
+    // A computation handed over to another leader is advanced there
+    if (!computation) return;
     const oldState = computation.state;
     computation.state = newState;
     computation.updatedAt = Date.now();
+    stateTransitions.inc({ from: oldState, to: newState });
+    this._traceState(computation, newState);
+    this._checkpoint(computation);
     this.emit('computation:state-changed', { computationId, oldState, newState });
   }
 
+  /** Private: End the span of the phase a computation leaves and start the span of the phase it enters */
+  _traceState(computation, newState) {
+    if (computation.phaseSpan) computation.phaseSpan.end();
+    computation.phaseSpan = PHASES[newState]
+      ? this.tracer.startSpan(`coordinator.${PHASES[newState]}`, { parent: computation.span })
+      : null;
+
+    if (newState === ComputationState.COMPLETED) {
+      computation.span.end();
+    } else if (newState === ComputationState.FAILED) {
+      computation.span.end({ error: computation.error || 'Computation failed' });
+    }
+  }
+
+  /** Private: Start a span for a message about a computation, propagating its context to the node */
+  _startMessageSpan(nodeId, message) {
+    const computationId = message.computationId || (message.params && message.params.computationId);
+    const computation = computationId && this.activeComputations.get(computationId);
+    if (!computation) return null;
+
+    const span = this.tracer.startSpan(`coordinator.send ${message.command || message.type}`, {
+      parent: computation.phaseSpan || computation.span,
+      kind: SpanKind.CLIENT,
+      attributes: { 'computation.id': computationId, 'node.id': nodeId, 'message.type': message.type }
+    });
+    message.trace = span.traceparent();
+    return span;
+  }
+
+  /**
+   * Private: Checkpoint a computation as it is now, or remove its checkpoint
+   * once it finished. Writes are queued per computation so they land in order;
+   * shares stay on the nodes and are referenced by the share IDs they announced.
+   */
+  _checkpoint(computation) {
+    // A coordinator that no longer leads leaves the checkpoints to the leader
+    if (!this.checkpoints || !this.isLeader) return Promise.resolve();
+
+    const finished = [ComputationState.COMPLETED, ComputationState.FAILED, ComputationState.ABORTED].includes(computation.state);
+    const checkpoint = finished ? null : {
+      id: computation.id,
+      type: computation.type,
+      threshold: computation.threshold,
+      sessionKey: computation.sessionKey,
+      phase: computation.phase,
+      state: computation.state,
+      assignedNodes: Array.from(computation.assignedNodes),
+      shareNotifications: Object.fromEntries(Array.from(computation.nodeResponses, ([nodeId, response]) => [nodeId, response.shareId])),
+      nodeResults: Object.fromEntries(Array.from(computation.nodeResults, ([nodeId, { result }]) => [nodeId, result])),
+      startedAt: computation.startedAt,
+      trace: computation.span.traceparent()
+    };
+
+    computation.checkpointed = computation.checkpointed
+      .then(() => (checkpoint ? this.checkpoints.save(checkpoint) : this.checkpoints.remove(computation.id)))
+      .catch(err => logger.error(`Failed to checkpoint computation ${computation.id}`, err));
+    return computation.checkpointed;
+  }
+
+  /** Private: Load checkpointed computations, to resume them once their nodes reconnect */
+  async _loadCheckpoints() {
+    if (!this.checkpoints) return;
+    for (const checkpoint of await this.checkpoints.list()) {
+      if (this.activeComputations.has(checkpoint.id)) continue;
+      this.resumingComputations.set(checkpoint.id, { checkpoint, resumeBy: Date.now() + this.nodeTimeout });
+      logger.info(`Computation ${checkpoint.id} resumes after phase ${checkpoint.phase} once its nodes reconnect`);
+    }
+  }
+
+  /** Private: Resume checkpointed computations whose nodes all reconnected, or that waited for them long enough */
+  _resumeComputations() {
+    const now = Date.now();
+    for (const [computationId, { checkpoint, resumeBy }] of this.resumingComputations) {
+      const reconnected = checkpoint.assignedNodes.every(nodeId => {
+        const node = this.nodes.get(nodeId);
+        return node && node.state !== NodeState.DISCONNECTED && node.state !== NodeState.CONNECTING;
+      });
+      if (reconnected || now > resumeBy) {
+        this.resumingComputations.delete(computationId);
+        this._resumeComputation(checkpoint)
+          .catch(err => logger.error(`Failed to resume computation ${computationId}`, err));
+      }
+    }
+  }
+
+  /**
+   * Private: Resume a checkpointed computation. Its nodes' status is
+   * reconciled with the checkpoint: share IDs and results sent while the
+   * coordinator was down are taken over, and nodes that lost the computation
+   * are left out as if they had disconnected. The computation then continues
+   * after the last phase it completed.
+   */
+  async _resumeComputation(checkpoint) {
+    const computationId = checkpoint.id;
+    const statuses = {};
+    await Promise.all(checkpoint.assignedNodes.map(async nodeId => {
+      statuses[nodeId] = await this._sendToNode(nodeId, { type: 'command', command: 'status', params: { computationId } })
+        .then(status => (status.type === 'computation_status' ? status : null))
+        .catch(() => null);
+    }));
+    const { shareNotifications, nodeResults, pending, lost } = reconcileCheckpoint(checkpoint, statuses);
+
+    const now = Date.now();
+    const assignedNodes = new Set(checkpoint.assignedNodes.filter(nodeId => !lost.includes(nodeId)));
+    const computation = {
+      id: computationId,
+      type: checkpoint.type,
+      threshold: checkpoint.threshold,
+      sessionKey: checkpoint.sessionKey,
+      state: checkpoint.state,
+      phase: checkpoint.phase,
+      assignedNodes,
+      nodeResponses: new Map(Object.entries(shareNotifications).map(([nodeId, shareId]) => [nodeId, { type: 'share', shareId }])),
+      nodeResults: new Map(Object.entries(nodeResults).map(([nodeId, result]) => [nodeId, { result, timestamp: now }])),
+      startedAt: checkpoint.startedAt,
+      resumedAt: now,
+      updatedAt: now,
+      timeoutAt: now + this.computationTimeout,
+      span: this.tracer.startSpan('coordinator.computation', {
+        parent: checkpoint.trace,
+        kind: SpanKind.SERVER,
+        attributes: { 'computation.id': computationId, 'computation.type': checkpoint.type, 'computation.nodes': assignedNodes.size, 'computation.resumed': true }
+      }),
+      phaseSpan: null,
+      checkpointed: Promise.resolve()
+    };
+
+    this.activeComputations.set(computationId, computation);
+    for (const nodeId of assignedNodes) {
+      const node = this.nodes.get(nodeId);
+      if (node) node.activeComputations.add(computationId);
+    }
+    this.emit('computation:resuming', { computationId, phase: computation.phase, pending, lost });
+    logger.info(`Resuming computation ${computationId} after phase ${computation.phase}: ${pending.length} nodes pending, ${lost.length} lost`);
+
+    if (lost.length > 0) {
+      if (!this.enableFaultTolerance || assignedNodes.size < computation.threshold) {
+        return this.abortComputation(computationId, `Nodes lost the computation: ${lost.join(', ')}`);
+      }
+      logger.warn(`Nodes ${lost.join(', ')} lost computation ${computationId}, continuing with ${assignedNodes.size} nodes`);
+    }
+
+    if (computation.phase === CheckpointPhase.CREATED) {
+      return this._initializeComputation(computationId);
+    }
+
+    if (computation.phase === CheckpointPhase.INITIALIZED) {
+      const unshared = Array.from(assignedNodes).filter(nodeId => !computation.nodeResponses.has(nodeId));
+      if (unshared.length === 0) {
+        return this._startCompute(computationId, assignedNodes);
+      }
+      this._advanceComputation(computationId, ComputationState.DISTRIBUTING);
+      for (const nodeId of unshared) {
+        this._sendToNode(nodeId, { type: 'command', command: 'share', params: { computationId, sessionKey: computation.sessionKey } })
+          .catch(err => logger.warn(`Failed to resume sharing on node ${nodeId}`, err));
+      }
+      return;
+    }
+
+    // Every node shared; aggregation interrupted by the restart runs again
+    if (computation.nodeResults.size === assignedNodes.size) {
+      this._advanceComputation(computationId, ComputationState.AGGREGATING);
+      return this._aggregateResults(computationId);
+    }
+    // Nodes still computing report their result on their own; the others never got to start
+    const idle = pending.filter(nodeId => assignedNodes.has(nodeId) && statuses[nodeId].state === 'waiting_for_peers');
+    this._startCompute(computationId, idle);
+  }
+
+  /** Private: Queue a computation until a slot frees up, in the shared store too so the next leader runs it */
+  async _enqueue(queued) {
+    this.computationQueue.push(queued);
+    if (this.store) await this.store.put(QUEUE_COLLECTION, queued.id, queued);
+  }
+
+  /** Private: Start the computation queued longest once a slot is free and enough nodes are available for it */
+  _processQueue() {
+    if (!this.isLeader || this.computationQueue.length === 0) return;
+    if (this.activeComputations.size + this.resumingComputations.size >= this.maxConcurrentComputations) return;
+    const next = this.computationQueue[0];
+    if (this._getAvailableNodes(next.params.type).length < (next.params.minNodes || this.minNodes)) return;
+
+    this.computationQueue.shift();
+    if (this.store) {
+      this.store.delete(QUEUE_COLLECTION, next.id)
+        .catch(err => logger.error(`Failed to remove queued computation ${next.id}`, err));
+    }
+    this.createComputation(next.params).catch(err => logger.error('Failed to process queued', err));
+  }
+
+  /** Private: Load the computation queue the previous leader left in the shared store, oldest first */
+  async _loadQueue() {
+    const state = await this.store.load();
+    const queued = Array.from((state[QUEUE_COLLECTION] || new Map()).values());
+    this.computationQueue = queued.sort((a, b) => a.queuedAt - b.queuedAt);
+  }
+
+  /**
+   * Private: Take over as leader. The computations the previous leader
+   * checkpointed resume, without being aborted, once their nodes reconnect
+   * here; its queue is picked up as it was.
+   */
+  async _assumeLeadership({ term }) {
+    logger.info(`Coordinator ${this.coordinatorId} leads term ${term}`);
+    this.checkpoints.reload();
+    await this._loadCheckpoints();
+    await this._loadQueue();
+    // Deposed again while loading
+    if (!this.isLeader) {
+      this.resumingComputations.clear();
+      this.computationQueue = [];
+      return;
+    }
+    this.emit('leader:elected', { coordinatorId: this.coordinatorId, term });
+    this._processQueue();
+  }
+
+  /**
+   * Private: Stop running computations once this coordinator no longer leads,
+   * or stops. They are left as checkpointed, not aborted, for the next leader
+   * to resume, and their nodes are redirected to it.
+   */
+  async _stepDown(leader) {
+    const computations = Array.from(this.activeComputations.values());
+    this.activeComputations.clear();
+    this.resumingComputations.clear();
+    this.computationQueue = [];
+    for (const computation of computations) {
+      await computation.checkpointed;
+      if (computation.phaseSpan) computation.phaseSpan.end();
+      computation.span.end();
+    }
+
+    for (const node of this.nodes.values()) {
+      // Leaving for the leader is not walking out on the computations
+      node.activeComputations.clear();
+      if (node.socket) this._redirect(node.socket, leader, node.channel);
+    }
+    logger.info(`Coordinator ${this.coordinatorId} stepped down${leader ? `; ${leader.leaderId} leads term ${leader.term}` : ''}`);
+    this.emit('leader:deposed', { coordinatorId: this.coordinatorId, leader });
+  }
+
   /** Private: Check timeouts */
   _checkTimeouts() {
+    this._resumeComputations();
+    this._processQueue();
     const now = Date.now();
     for (const [id, comp] of this.activeComputations) {
       if (comp.state !== ComputationState.COMPLETED && comp.state !== ComputationState.ABORTED && now > comp.timeoutAt) {
+        for (const nodeId of comp.assignedNodes) {
+          if (!comp.nodeResults.has(nodeId)) {
+            this.reputation.record(nodeId, Outcome.TIMEOUT, { computationId: id, reason: 'No result before the computation timed out' });
+          }
+        }
         this.abortComputation(id, 'Computation timed out');
       }
     }
@@ -600,6 +1237,7 @@ class Coordinator extends EventEmitter {
       if (node) node.activeComputations.delete(computationId);
     }
 
+    computation.phase = CheckpointPhase.INITIALIZED;
     this._advanceComputation(computationId, ComputationState.DISTRIBUTING);
     for (const nodeId of computation.assignedNodes) {
       this._sendToNode(nodeId, { type: 'command', command: 'share', params: { computationId, sessionKey: computation.sessionKey } });
@@ -611,6 +1249,7 @@ class Coordinator extends EventEmitter {
     const computation = this.activeComputations.get(computationId);
     const results = Array.from(computation.nodeResults.values()).map(r => r.result);
     const aggregatorNodeId = this._selectAggregatorNode(computation);
+    computation.aggregatorNodeId = aggregatorNodeId;
 
     const aggregationResult = await this._sendToNode(aggregatorNodeId, {
       type: 'command',
@@ -630,6 +1269,7 @@ class Coordinator extends EventEmitter {
     if (!computation || !computation.assignedNodes.has(nodeId)) return;
 
     computation.nodeResults.set(nodeId, { result, timestamp: Date.now() });
+    this._checkpoint(computation);
     if (computation.nodeResults.size === computation.assignedNodes.size) {
       this._advanceComputation(computationId, ComputationState.AGGREGATING);
       this._aggregateResults(computationId);
@@ -648,8 +1288,13 @@ class Coordinator extends EventEmitter {
     if (computation.verificationResults.size === computation.assignedNodes.size) {
       const allVerified = Array.from(computation.verificationResults.values()).every(r => r.verified);
       if (allVerified) {
+        for (const assignedNodeId of computation.assignedNodes) {
+          this.reputation.record(assignedNodeId, Outcome.SUCCESS, { computationId });
+        }
         this._completeComputation(computationId);
       } else {
+        // The peers rejected the result the aggregator produced
+        this.reputation.record(computation.aggregatorNodeId, Outcome.VERIFICATION_FAILED, { computationId });
         this.abortComputation(computationId, 'Verification failed');
       }
     }
@@ -661,6 +1306,9 @@ class Coordinator extends EventEmitter {
     if (!node) return;
 
     node.state = NodeState.DISCONNECTED;
+    if (node.activeComputations.size > 0) {
+      this.reputation.record(nodeId, Outcome.DISCONNECT, { reason: `Left ${node.activeComputations.size} computation(s)` });
+    }
     for (const computationId of node.activeComputations) {
       const computation = this.activeComputations.get(computationId);
       if (computation) {
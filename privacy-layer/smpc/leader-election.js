@@ -0,0 +1,160 @@
+/**
+ * PrivaSight SMPC Leader Election
+ *
+ * Elects the coordinator that leads a highly available SMPC network. Every
+ * coordinator campaigns for the same lease in the coordinator store (see
+ * coordinator-store.js) and the one holding it leads; the leader renews the
+ * lease well before it expires, and the others keep trying to take it over.
+ * A leader that cannot renew its lease steps down before the lease runs
+ * out, so two coordinators never lead at once.
+ */
+
+const EventEmitter = require('events');
+const logger = require('../../utils/logger')('privacy-layer:smpc-leader-election');
+
+/**
+ * Lease-based election of the leading coordinator
+ * @class LeaderElection
+ * @extends EventEmitter
+ */
+class LeaderElection extends EventEmitter {
+  /**
+   * Create a new election candidate
+   * @param {Object} options - Configuration options
+   * @param {Object} options.store - Coordinator store the lease is kept in
+   * @param {string} options.candidateId - ID of this coordinator
+   * @param {string} [options.url] - URL nodes reach this coordinator at, handed to the nodes of the others while it leads
+   * @param {string} [options.name='smpc-coordinator'] - Name of the lease
+   * @param {number} [options.leaseTtl=10000] - How long a lease lasts unless renewed (ms)
+   * @param {number} [options.renewInterval] - How often to renew or campaign for the lease (a third of the lease TTL by default)
+   * @param {Function} [options.now=Date.now] - Millisecond clock, the same the store's leases expire by
+   */
+  constructor({ store, candidateId, url = null, name = 'smpc-coordinator', leaseTtl = 10000, renewInterval, now = Date.now }) {
+    super();
+    if (!store) {
+      throw new Error('Leader election requires a coordinator store');
+    }
+    if (!candidateId) {
+      throw new Error('Leader election requires a candidate ID');
+    }
+
+    this.store = store;
+    this.candidateId = candidateId;
+    this.url = url;
+    this.name = name;
+    this.leaseTtl = leaseTtl;
+    this.renewInterval = renewInterval || Math.floor(leaseTtl / 3);
+    this.now = now;
+
+    this.isLeader = false;
+    this.lease = null; // Latest lease seen: held by this candidate while it leads, otherwise the leader's
+    this.timer = null;
+    this.campaigning = null; // Campaign round in progress
+  }
+
+  /**
+   * Campaign for the lease now and every renew interval
+   * @returns {Promise<void>}
+   */
+  async start() {
+    await this.campaign();
+    if (!this.timer) {
+      this.timer = setInterval(() => this.campaign(), this.renewInterval);
+    }
+  }
+
+  /**
+   * Stop campaigning, releasing the lease if this candidate leads so another takes over at once
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+    await this.campaigning;
+
+    if (this.isLeader) {
+      this.isLeader = false;
+      await this.store.releaseLease(this.name, this.candidateId)
+        .catch(err => logger.warn(`Failed to release lease ${this.name}`, err));
+    }
+  }
+
+  /**
+   * The current leader, as of the latest campaign round
+   * @returns {Object|null} Leader: { leaderId, url, term }, or null if none is known
+   */
+  leader() {
+    if (!this.lease || this.lease.expiresAt <= this.now()) return null;
+    return { leaderId: this.lease.holder, url: this.lease.url, term: this.lease.term };
+  }
+
+  /**
+   * Run one campaign round: renew or acquire the lease, or learn who holds it.
+   * Emits 'elected' when this candidate starts leading a term, 'deposed' when
+   * it stops leading, and 'leader:changed' when another candidate takes over.
+   * @returns {Promise<void>}
+   */
+  campaign() {
+    // Rounds never overlap; a round asked for during another is that round
+    if (!this.campaigning) {
+      this.campaigning = this._campaign().finally(() => {
+        this.campaigning = null;
+      });
+    }
+    return this.campaigning;
+  }
+
+  /**
+   * Campaign round
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _campaign() {
+    const previous = this.leader();
+    let lease;
+    try {
+      lease = await this.store.acquireLease(this.name, { holder: this.candidateId, ttl: this.leaseTtl, url: this.url });
+      if (!lease) lease = await this.store.getLease(this.name);
+    } catch (error) {
+      logger.error(`Campaign for lease ${this.name} failed: ${error.message}`);
+      // Without the store the lease cannot be renewed; step down before it can expire under a successor
+      if (this.isLeader && this.lease.expiresAt - this.now() <= this.renewInterval) {
+        this._depose(null);
+      }
+      return;
+    }
+
+    const leads = Boolean(lease) && lease.holder === this.candidateId;
+    const newTerm = leads && (!this.isLeader || lease.term !== this.lease.term);
+    // A leader whose own lease lapsed before it was renewed leads a new term, from the checkpoints as stored
+    if (this.isLeader && (!leads || newTerm)) {
+      this._depose(leads ? null : lease);
+    }
+
+    this.lease = lease;
+    if (newTerm) {
+      this.isLeader = true;
+      logger.info(`${this.candidateId} leads term ${lease.term}`);
+      this.emit('elected', { leaderId: this.candidateId, url: this.url, term: lease.term });
+    }
+
+    const current = this.leader();
+    if (current && current.leaderId !== this.candidateId && (!previous || previous.leaderId !== current.leaderId || previous.term !== current.term)) {
+      this.emit('leader:changed', current);
+    }
+  }
+
+  /**
+   * Stop leading
+   * @param {Object|null} lease - Lease of the new leader, if known
+   * @private
+   */
+  _depose(lease) {
+    this.isLeader = false;
+    this.lease = lease;
+    logger.warn(`${this.candidateId} no longer leads`);
+    this.emit('deposed', lease ? { leaderId: lease.holder, url: lease.url, term: lease.term } : null);
+  }
+}
+
+module.exports = { LeaderElection };
@@ -0,0 +1,222 @@
+/**
+ * PrivaSight Local SMPC Coordinator
+ *
+ * An in-process stand-in for the network coordinator, used to simulate
+ * computations. It hosts SMPC nodes in the same process and exposes the
+ * interface the SMPC Orchestrator expects of a coordinator (commands, node
+ * load and node events), so a simulated computation runs the same
+ * orchestrator and node code paths as a real one without any sockets.
+ */
+
+const EventEmitter = require('events');
+const { SMPCNode } = require('./node');
+const logger = require('../../utils/logger')('privacy-layer:smpc-local-coordinator');
+
+/**
+ * SMPC node whose messages to the coordinator are delivered in-process
+ * @class LocalNode
+ * @extends SMPCNode
+ */
+class LocalNode extends SMPCNode {
+  /**
+   * Create a new in-process node
+   * @param {LocalCoordinator} coordinator - Coordinator hosting the node
+   * @param {Object} options - SMPCNode options
+   */
+  constructor(coordinator, options) {
+    // Nodes share nothing with each other directly; each computes on its own share
+    super({ ...options, enablePeerToPeer: false, enableLocalEncryption: false });
+    this.coordinator = coordinator;
+  }
+
+  /**
+   * Deliver a message to the hosting coordinator
+   * @param {Object} message - Message to send
+   * @returns {Promise<Object>} Acknowledgement
+   */
+  async sendMessage(message) {
+    message.sender = this.nodeId;
+    message.timestamp = message.timestamp || Date.now();
+    message.trace = message.trace || this.traceContexts.get(message.computationId);
+    return this.coordinator._handleNodeMessage(this.nodeId, message);
+  }
+}
+
+/**
+ * Coordinator for nodes hosted in the same process
+ * @class LocalCoordinator
+ * @extends EventEmitter
+ */
+class LocalCoordinator extends EventEmitter {
+  /**
+   * Create a new local coordinator and its nodes
+   * @param {Object} [options={}] - Configuration options
+   * @param {number} [options.nodeCount=3] - Number of nodes to host
+   * @param {Array<string>} [options.supportedProtocols=['average', 'statistical']] - Protocols the nodes run
+   * @param {Object} [options.protocols={}] - Protocol implementations shared by the nodes (node defaults if omitted)
+   */
+  constructor({ nodeCount = 3, supportedProtocols = ['average', 'statistical'], protocols = {} } = {}) {
+    super();
+
+    this.nodes = new Map();
+    for (let i = 1; i <= nodeCount; i++) {
+      const nodeId = `local-node-${i}`;
+      this.nodes.set(nodeId, new LocalNode(this, { nodeId, supportedProtocols, protocols }));
+    }
+
+    logger.info(`Local coordinator initialized with ${nodeCount} in-process nodes`);
+  }
+
+  /**
+   * Node information for registering the hosted nodes with an orchestrator
+   * @returns {Array<Object>} Node information
+   */
+  nodeInfo() {
+    return Array.from(this.nodes.values()).map(node => ({
+      id: node.nodeId,
+      url: `local://${node.nodeId}`,
+      supportedProtocols: node.supportedProtocols,
+      capabilities: node.capabilities
+    }));
+  }
+
+  /**
+   * Connect a hosted node. The node is already in-process, so this only
+   * announces it.
+   * @param {string} nodeId - ID of the node
+   * @returns {Promise<void>}
+   * @throws {Error} If the node is not hosted by this coordinator
+   */
+  async connectNode(nodeId) {
+    this._getNode(nodeId);
+    this.emit('node:connected', nodeId);
+  }
+
+  /**
+   * Get the load of a hosted node
+   * @param {string} nodeId - ID of the node
+   * @returns {Promise<number>} Load between 0 and 1
+   */
+  async getNodeLoad(nodeId) {
+    return this._getNode(nodeId).getLoad();
+  }
+
+  /**
+   * Send a command to a hosted node
+   * @param {string} nodeId - ID of the node
+   * @param {string} command - Command name
+   * @param {Object} params - Command parameters
+   * @param {Object} [metadata={}] - Command metadata, such as the trace context to continue
+   * @returns {Promise<Object>} Node response
+   * @throws {Error} If the node rejects the command
+   */
+  async sendCommand(nodeId, command, params, metadata = {}) {
+    const response = await this._getNode(nodeId).processCommand(command, params, { ...metadata, sender: 'coordinator' });
+    if (response && response.type === 'error') {
+      throw new Error(`Node ${nodeId} rejected ${command}: ${response.error}`);
+    }
+    return response;
+  }
+
+  /**
+   * Secret-share input data across nodes with the protocol the computation
+   * runs, as a data owner would before the computation starts
+   * @param {Object} params - Data parameters
+   * @param {string} params.computationId - Computation the shares are for
+   * @param {string} params.type - Protocol of the computation
+   * @param {Array<string>} params.nodeIds - Nodes assigned to the computation
+   * @param {Array} params.data - Input values
+   * @param {Object} [params.privacyParameters] - Privacy parameters
+   * @param {string} [params.operation] - Protocol operation, for protocols that need one
+   * @param {Object} [params.operationParams] - Operation parameters
+   * @param {Array<Object>} [params.records] - Vault and record ID of each input value ({ dataVaultId, recordId })
+   * @param {Object} [params.consent] - Consent state pinned by the computation setup; values of withdrawn records are left out
+   * @param {Object} [params.dataVersions] - Data hash of the data the values were taken from, keyed by vault ID
+   * @returns {Promise<Object>} Protocol metadata of the prepared shares
+   * @throws {Error} If the protocol cannot prepare the data
+   */
+  async loadData({ computationId, type, nodeIds, data, privacyParameters = {}, operation = null, operationParams = {}, records = null, consent = null, dataVersions = null }) {
+    const protocol = this._getNode(nodeIds[0]).protocols[type];
+    if (!protocol) {
+      throw new Error(`Protocol not available: ${type}`);
+    }
+
+    if (records && consent) {
+      const withdrawn = ({ dataVaultId, recordId }) =>
+        Boolean(consent[dataVaultId]) && consent[dataVaultId].withdrawn.includes(String(recordId));
+      const kept = records.map((record, index) => !withdrawn(record));
+      data = data.filter((value, index) => kept[index]);
+      records = records.filter((record, index) => kept[index]);
+    }
+
+    const { nodeShares, metadata } = await protocol.prepareData({
+      data,
+      operation,
+      operationParams,
+      nodeIds,
+      privacyParameters,
+      computationId
+    });
+
+    for (const [nodeId, share] of Object.entries(nodeShares)) {
+      this._getNode(nodeId).assignShare(computationId, share, { records, dataVersions });
+    }
+
+    logger.info(`Loaded ${data.length} values for computation ${computationId} across ${nodeIds.length} nodes`);
+    return metadata;
+  }
+
+  /**
+   * Route a message from a hosted node, translating it into the events the
+   * orchestrator listens for
+   * @param {string} nodeId - ID of the sending node
+   * @param {Object} message - Message from the node
+   * @returns {Promise<Object>} Acknowledgement
+   * @private
+   */
+  async _handleNodeMessage(nodeId, message) {
+    const { computationId } = message;
+
+    // Events are emitted after the node's current call returns, as they would arrive over a socket
+    switch (message.type) {
+      case 'share_notification':
+        setImmediate(() => {
+          this.emit('share:received', { computationId, nodeId, shareId: message.shareId });
+          this._getNode(nodeId).compute(computationId)
+            .then(response => {
+              if (response && response.type === 'error') {
+                this.emit('error', { computationId, nodeId, error: new Error(response.error) });
+              }
+            });
+        });
+        break;
+      case 'step_complete':
+        setImmediate(() => this.emit('step:completed', { computationId, nodeId, stepId: message.stepId }));
+        break;
+      case 'result':
+        setImmediate(() => this.emit('result:received', { computationId, nodeId, result: message.result }));
+        break;
+      default:
+        logger.debug(`Ignoring ${message.type} message from node ${nodeId}`);
+    }
+
+    return { type: 'ack', inReplyTo: message.messageId, timestamp: Date.now() };
+  }
+
+  /**
+   * Get a hosted node
+   * @param {string} nodeId - ID of the node
+   * @returns {LocalNode} Node
+   * @throws {Error} If the node is not hosted by this coordinator
+   * @private
+   */
+  _getNode(nodeId) {
+    const node = this.nodes.get(nodeId);
+    if (!node) {
+      throw new Error(`Node ${nodeId} is not hosted by this coordinator`);
+    }
+    return node;
+  }
+}
+
+module.exports = { LocalCoordinator };
@@ -0,0 +1,341 @@
+/**
+ * PrivaSight SMPC Node Authentication
+ *
+ * Challenge-response authentication of nodes registering with a coordinator.
+ * The coordinator sends every new connection a random nonce; the node signs
+ * the nonce together with its node ID using its Ed25519 key and registers
+ * with the signature. The coordinator accepts the registration if the
+ * signature verifies against the key it has allowlisted for that node ID, or
+ * against the key of a node certificate signed by a certificate authority it
+ * trusts. A challenge is good for one registration attempt and expires.
+ *
+ * The same identity keys authenticate the ephemeral keys of secure channels
+ * (see secure-channel.js): a node's registration signature covers its channel
+ * key, a coordinator with an identity key signs its challenge and channel key,
+ * and peer nodes sign the channel keys they exchange with each other and the
+ * keys they receive re-shared shares under.
+ */
+
+const crypto = require('crypto');
+const logger = require('../../utils/logger')('privacy-layer:smpc-node-auth');
+
+// Prefix of signed registration payloads, so a node key never signs anything else by accident
+const REGISTRATION_CONTEXT = 'privasight-smpc-registration';
+const CERTIFICATE_CONTEXT = 'privasight-smpc-node-certificate';
+const COORDINATOR_CONTEXT = 'privasight-smpc-coordinator-challenge';
+const PEER_CONTEXT = 'privasight-smpc-peer-hello';
+const RESHARE_CONTEXT = 'privasight-smpc-reshare-key';
+
+/**
+ * How a node proved its identity
+ * @enum {string}
+ */
+const AuthMethod = {
+  ALLOWLIST: 'allowlist',
+  CERTIFICATE: 'certificate'
+};
+
+/**
+ * Turn a PEM string or key object into an Ed25519 public key object
+ * @param {string|KeyObject} key - Public key, or a private key to derive it from
+ * @returns {KeyObject} Public key
+ * @throws {Error} If the key is not an Ed25519 key
+ */
+function toPublicKey(key) {
+  const publicKey = key instanceof crypto.KeyObject && key.type === 'public' ? key : crypto.createPublicKey(key);
+  if (publicKey.asymmetricKeyType !== 'ed25519') {
+    throw new Error(`Expected an Ed25519 key, got ${publicKey.asymmetricKeyType}`);
+  }
+  return publicKey;
+}
+
+/**
+ * Export a public key as PEM
+ * @param {string|KeyObject} key - Public key, or a private key to derive it from
+ * @returns {string} PEM-encoded public key
+ */
+function exportPublicKey(key) {
+  return toPublicKey(key).export({ type: 'spki', format: 'pem' });
+}
+
+/**
+ * Generate an Ed25519 key pair for a node or certificate authority
+ * @returns {Object} PEM-encoded publicKey and privateKey
+ */
+function generateNodeKeyPair() {
+  return crypto.generateKeyPairSync('ed25519', {
+    publicKeyEncoding: { type: 'spki', format: 'pem' },
+    privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+  });
+}
+
+/** Payload a node signs to answer a challenge */
+function registrationPayload(nodeId, nonce, channelKey = '') {
+  return Buffer.from(`${REGISTRATION_CONTEXT}\n${nodeId}\n${nonce}\n${channelKey}`);
+}
+
+/** Payload a coordinator signs to vouch for its challenge and channel key */
+function coordinatorPayload({ nonce, channelKey }) {
+  return Buffer.from(`${COORDINATOR_CONTEXT}\n${nonce}\n${channelKey}`);
+}
+
+/** Payload a node signs to offer a channel key to a peer */
+function peerPayload(nodeId, channelKey) {
+  return Buffer.from(`${PEER_CONTEXT}\n${nodeId}\n${channelKey}`);
+}
+
+/** Payload a node signs to offer a key to receive re-shared shares of a computation under */
+function reshareKeyPayload(nodeId, computationId, reshareKey) {
+  return Buffer.from(`${RESHARE_CONTEXT}\n${nodeId}\n${computationId}\n${reshareKey}`);
+}
+
+/** Payload a certificate authority signs to certify a node key */
+function certificatePayload({ nodeId, publicKey, expiresAt }) {
+  return Buffer.from(`${CERTIFICATE_CONTEXT}\n${nodeId}\n${expiresAt}\n${publicKey}`);
+}
+
+/**
+ * Sign a coordinator's challenge as a node
+ * @param {string} nonce - Nonce the coordinator sent
+ * @param {string} nodeId - ID the node registers under
+ * @param {string|KeyObject} privateKey - Ed25519 private key of the node
+ * @param {string} [channelKey=''] - Ephemeral key the node offers for its secure channel with the coordinator
+ * @returns {string} Base64 signature
+ */
+function signChallenge(nonce, nodeId, privateKey, channelKey = '') {
+  return crypto.sign(null, registrationPayload(nodeId, nonce, channelKey), privateKey).toString('base64');
+}
+
+/**
+ * Sign a challenge as the coordinator, so nodes know it comes from the coordinator they trust
+ * @param {Object} challenge - Challenge with nonce and channelKey
+ * @param {string|KeyObject} privateKey - Ed25519 private key of the coordinator
+ * @returns {string} Base64 signature
+ */
+function signCoordinatorChallenge(challenge, privateKey) {
+  return crypto.sign(null, coordinatorPayload(challenge), privateKey).toString('base64');
+}
+
+/**
+ * Verify the coordinator's signature on a challenge, as a node
+ * @param {Object} challenge - Challenge with nonce, channelKey and signature
+ * @param {string|KeyObject} coordinatorKey - Ed25519 public key of the coordinator
+ * @throws {Error} If the challenge is not signed by the coordinator
+ */
+function verifyCoordinatorChallenge(challenge, coordinatorKey) {
+  const signature = Buffer.from(String(challenge.signature || ''), 'base64');
+  if (!crypto.verify(null, coordinatorPayload(challenge), toPublicKey(coordinatorKey), signature)) {
+    throw new Error('Challenge is not signed by the coordinator');
+  }
+}
+
+/**
+ * Sign the channel key a node offers to a peer
+ * @param {string} nodeId - ID of the node
+ * @param {string} channelKey - Ephemeral key the node offers for the peer link
+ * @param {string|KeyObject} privateKey - Ed25519 private key of the node
+ * @returns {string} Base64 signature
+ */
+function signPeerHello(nodeId, channelKey, privateKey) {
+  return crypto.sign(null, peerPayload(nodeId, channelKey), privateKey).toString('base64');
+}
+
+/**
+ * Sign the key a node offers to receive re-shared shares of a computation under
+ * @param {string} nodeId - ID of the node
+ * @param {string} computationId - ID of the computation
+ * @param {string} reshareKey - Ephemeral key the node offers
+ * @param {string|KeyObject} privateKey - Ed25519 private key of the node
+ * @returns {string} Base64 signature
+ */
+function signReshareKey(nodeId, computationId, reshareKey, privateKey) {
+  return crypto.sign(null, reshareKeyPayload(nodeId, computationId, reshareKey), privateKey).toString('base64');
+}
+
+/**
+ * Issue a certificate binding a node ID to a node's public key
+ * @param {Object} subject - Certified node
+ * @param {string} subject.nodeId - ID of the node
+ * @param {string|KeyObject} subject.publicKey - Ed25519 public key of the node
+ * @param {number} subject.expiresAt - When the certificate expires (ms since epoch)
+ * @param {string|KeyObject} authorityKey - Ed25519 private key of the certificate authority
+ * @returns {Object} Certificate with nodeId, publicKey (PEM), expiresAt and signature
+ */
+function issueNodeCertificate({ nodeId, publicKey, expiresAt }, authorityKey) {
+  const certificate = { nodeId, publicKey: exportPublicKey(publicKey), expiresAt };
+  return {
+    ...certificate,
+    signature: crypto.sign(null, certificatePayload(certificate), authorityKey).toString('base64')
+  };
+}
+
+/**
+ * Issues challenges to connecting nodes and verifies their answers
+ * @class NodeAuthenticator
+ */
+class NodeAuthenticator {
+  /**
+   * Create a new node authenticator
+   * @param {Object} [options] - Configuration options
+   * @param {Object} [options.allowlist={}] - Ed25519 public key of each node allowed to register, keyed by node ID
+   * @param {Array<string|KeyObject>} [options.certificateAuthorities=[]] - Public keys of the authorities whose node certificates are trusted
+   * @param {number} [options.challengeTtl=30000] - How long a challenge can be answered (ms)
+   */
+  constructor({ allowlist = {}, certificateAuthorities = [], challengeTtl = 30000 } = {}) {
+    this.allowlist = new Map(Object.entries(allowlist).map(([nodeId, key]) => [nodeId, toPublicKey(key)]));
+    this.certificateAuthorities = certificateAuthorities.map(toPublicKey);
+    this.challengeTtl = challengeTtl;
+    this.challenges = new Map(); // connectionId => { nonce, expiresAt }
+
+    if (this.allowlist.size === 0 && this.certificateAuthorities.length === 0) {
+      logger.warn('No allowlisted nodes or certificate authorities; every node will be rejected');
+    }
+  }
+
+  /**
+   * Issue a challenge to a new connection, replacing any earlier one
+   * @param {string} connectionId - ID of the connection
+   * @returns {Object} Challenge with nonce and expiresAt
+   */
+  createChallenge(connectionId) {
+    const challenge = {
+      nonce: crypto.randomBytes(32).toString('base64'),
+      expiresAt: Date.now() + this.challengeTtl
+    };
+    this.challenges.set(connectionId, challenge);
+    return { ...challenge };
+  }
+
+  /**
+   * Discard the challenge of a connection, e.g. once it closed
+   * @param {string} connectionId - ID of the connection
+   */
+  discardChallenge(connectionId) {
+    this.challenges.delete(connectionId);
+  }
+
+  /**
+   * Verify a node's answer to the challenge of its connection. The challenge
+   * is consumed whether or not the answer verifies.
+   * @param {string} connectionId - ID of the connection
+   * @param {Object} registration - Registration message of the node
+   * @param {string} registration.nodeId - ID the node registers under
+   * @param {string} registration.signature - Base64 signature of the challenge
+   * @param {Object} [registration.certificate] - Certificate of the node's key, if it is not allowlisted
+   * @param {string} [registration.channelKey] - Ephemeral key the node offers for its secure channel
+   * @returns {Object} Authenticated nodeId and how it was authenticated (method, from AuthMethod)
+   * @throws {Error} If the answer does not prove the node's identity
+   */
+  verify(connectionId, { nodeId, signature, certificate, channelKey } = {}) {
+    const challenge = this.challenges.get(connectionId);
+    this.challenges.delete(connectionId);
+
+    if (!challenge) {
+      throw new Error('No challenge issued to this connection');
+    }
+    if (Date.now() > challenge.expiresAt) {
+      throw new Error('Challenge expired');
+    }
+    if (!nodeId || !signature) {
+      throw new Error('Node ID and challenge signature required');
+    }
+
+    const method = this._verifySignature(nodeId, registrationPayload(nodeId, challenge.nonce, channelKey), signature, certificate);
+    if (!method) {
+      throw new Error(`Invalid challenge signature for node ${nodeId}`);
+    }
+
+    logger.debug(`Authenticated node ${nodeId} by ${method}`);
+    return { nodeId, method };
+  }
+
+  /**
+   * Verify the channel key a peer node offers
+   * @param {Object} hello - Peer's hello message
+   * @param {string} hello.nodeId - ID of the peer
+   * @param {string} hello.channelKey - Ephemeral key the peer offers for the link
+   * @param {string} hello.signature - Base64 signature of the channel key
+   * @param {Object} [hello.certificate] - Certificate of the peer's key, if it is not allowlisted
+   * @returns {Object} Authenticated nodeId and how it was authenticated (method, from AuthMethod)
+   * @throws {Error} If the signature does not prove the peer's identity
+   */
+  verifyPeerHello({ nodeId, channelKey, signature, certificate } = {}) {
+    if (!nodeId || !channelKey || !signature) {
+      throw new Error('Peer ID, channel key and signature required');
+    }
+    const method = this._verifySignature(nodeId, peerPayload(nodeId, channelKey), signature, certificate);
+    if (!method) {
+      throw new Error(`Invalid channel key signature for peer ${nodeId}`);
+    }
+    return { nodeId, method };
+  }
+
+  /**
+   * Verify the key another node offers to receive re-shared shares of a computation under
+   * @param {Object} offer - Key offer
+   * @param {string} offer.nodeId - ID of the node
+   * @param {string} offer.computationId - ID of the computation
+   * @param {string} offer.reshareKey - Ephemeral key the node offers
+   * @param {string} offer.signature - Base64 signature of the key
+   * @param {Object} [offer.certificate] - Certificate of the node's key, if it is not allowlisted
+   * @returns {Object} Authenticated nodeId and how it was authenticated (method, from AuthMethod)
+   * @throws {Error} If the signature does not prove the node's identity
+   */
+  verifyReshareKey({ nodeId, computationId, reshareKey, signature, certificate } = {}) {
+    if (!nodeId || !computationId || !reshareKey || !signature) {
+      throw new Error('Node ID, computation ID, re-sharing key and signature required');
+    }
+    const method = this._verifySignature(nodeId, reshareKeyPayload(nodeId, computationId, reshareKey), signature, certificate);
+    if (!method) {
+      throw new Error(`Invalid re-sharing key signature for node ${nodeId}`);
+    }
+    return { nodeId, method };
+  }
+
+  /** Private: Verify a node's signature with its allowlisted or certified key; returns how, or null if it is invalid */
+  _verifySignature(nodeId, payload, signature, certificate) {
+    const { publicKey, method } = this._keyOf(nodeId, certificate);
+    return crypto.verify(null, payload, publicKey, Buffer.from(String(signature), 'base64')) ? method : null;
+  }
+
+  /** Private: Find the key a node must have signed with, preferring the allowlist */
+  _keyOf(nodeId, certificate) {
+    if (this.allowlist.has(nodeId)) {
+      return { publicKey: this.allowlist.get(nodeId), method: AuthMethod.ALLOWLIST };
+    }
+    if (!certificate) {
+      throw new Error(`Node ${nodeId} is not allowlisted and presented no certificate`);
+    }
+    return { publicKey: this._verifyCertificate(nodeId, certificate), method: AuthMethod.CERTIFICATE };
+  }
+
+  /** Private: Verify a node certificate and return the key it certifies */
+  _verifyCertificate(nodeId, certificate) {
+    if (certificate.nodeId !== nodeId) {
+      throw new Error(`Certificate is for node ${certificate.nodeId}, not ${nodeId}`);
+    }
+    if (!(certificate.expiresAt > Date.now())) {
+      throw new Error(`Certificate of node ${nodeId} expired`);
+    }
+
+    const payload = certificatePayload(certificate);
+    const signature = Buffer.from(String(certificate.signature), 'base64');
+    if (!this.certificateAuthorities.some(authority => crypto.verify(null, payload, authority, signature))) {
+      throw new Error(`Certificate of node ${nodeId} is not signed by a trusted authority`);
+    }
+    return toPublicKey(certificate.publicKey);
+  }
+}
+
+module.exports = {
+  NodeAuthenticator,
+  AuthMethod,
+  generateNodeKeyPair,
+  exportPublicKey,
+  signChallenge,
+  signCoordinatorChallenge,
+  verifyCoordinatorChallenge,
+  signPeerHello,
+  signReshareKey,
+  issueNodeCertificate
+};
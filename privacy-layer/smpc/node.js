@@ -12,8 +12,44 @@ const WebSocket = require('ws');
 const { v4: uuidv4 } = require('uuid');
 const { randomFieldElement, poseidonHashSync } = require('../zkp/utils/hash');
 const { SecretSharing } = require('../secret-sharing');
+const { createSubShares, combineSubShares, recoverShare } = require('./resharing');
+const { NodeAuthenticator, signChallenge, verifyCoordinatorChallenge, signPeerHello, signReshareKey } = require('./node-auth');
+const { KeyExchange, sealTo, DEFAULT_CIPHER } = require('./secure-channel');
+const {
+  PROTOCOL_VERSION,
+  SUPPORTED_VERSIONS,
+  Direction,
+  ProtocolErrorCode,
+  parseFrame,
+  validateMessage,
+  errorMessage
+} = require('./protocol');
+const { registry, createMetricsServer } = require('../monitoring/metrics');
+const { tracer: defaultTracer, SpanKind } = require('../monitoring/tracing');
 const logger = require('../../utils/logger')('privacy-layer:smpc-node');
 
+const messageLatency = registry.histogram({
+  name: 'privasight_node_message_latency_seconds',
+  help: 'Time from sending a message to a node until its response arrives',
+  labelNames: ['sender', 'type']
+});
+const shareSize = registry.histogram({
+  name: 'privasight_share_size_bytes',
+  help: 'Serialized size of the shares nodes contribute to computations',
+  labelNames: ['protocol'],
+  buckets: [64, 256, 1024, 4096, 16384, 65536, 262144, 1048576, 4194304]
+});
+
+/**
+ * Serialized size of a share in bytes
+ * @param {*} share - Share value
+ * @returns {number} Size of the share's JSON encoding
+ */
+function serializedSize(share) {
+  return Buffer.byteLength(JSON.stringify(share, (key, value) =>
+    typeof value === 'bigint' ? value.toString() : value));
+}
+
 // Node state constants
 const NodeState = {
   IDLE: 'idle',
@@ -836,6 +872,8 @@ class SMPCNode extends EventEmitter {
   constructor({
     nodeId,
     coordinatorUrl,
+    coordinatorUrls = [],
+    reconnectOnDisconnect = false,
     capabilities = {},
     supportedProtocols = ['average', 'statistical'],
     protocols = {},
@@ -843,23 +881,46 @@ class SMPCNode extends EventEmitter {
     encryption = {},
     maxConcurrentComputations = 5,
     enablePeerToPeer = true,
-    enableLocalEncryption = true
+    enableLocalEncryption = true,
+    metricsPort = null,
+    tracer = defaultTracer
   }) {
     super();
     this.nodeId = nodeId || uuidv4();
-    this.coordinatorUrl = coordinatorUrl;
+    // Any coordinator of a highly available network redirects the node to the leader; when one is lost, the next is tried
+    this.coordinatorUrls = coordinatorUrls.length > 0 ? coordinatorUrls : [coordinatorUrl];
+    this.coordinatorUrl = coordinatorUrl || this.coordinatorUrls[0];
+    this.reconnectOnDisconnect = reconnectOnDisconnect;
+    this.redirect = null; // Redirect received from the coordinator, followed once its connection closes
     this.capabilities = {
       computePower: 1.0,
       maxStorage: 10 * 1024 * 1024,
       supportsBatchComputation: true,
+      // Advertised at registration and matched against the data-residency constraints of vaults
+      region: null,
+      organization: null,
+      // URL peers reach this node at, if it accepts peer links; the coordinator hands it to peers
+      peerUrl: null,
       ...capabilities
     };
     this.supportedProtocols = supportedProtocols;
+    // { privateKey, certificate } prove this node's identity; coordinatorKey, allowlist and certificateAuthorities the coordinator's and peers'
     this.authentication = authentication;
+    this.peerAuthenticator = enablePeerToPeer
+      ? new NodeAuthenticator({ allowlist: authentication.allowlist, certificateAuthorities: authentication.certificateAuthorities })
+      : null;
     this.encryption = encryption;
+    this.cipher = encryption.cipher || DEFAULT_CIPHER; // AEAD cipher of peer links; the coordinator picks its own
+    this.channel = null; // Secure channel to the coordinator
+    this.protocolVersion = null; // Wire protocol version agreed with the coordinator at registration
+    this.peerChannels = new Map(); // peerId => secure channel to the peer
     this.maxConcurrentComputations = maxConcurrentComputations;
     this.enablePeerToPeer = enablePeerToPeer;
     this.enableLocalEncryption = enableLocalEncryption;
+    this.metricsPort = metricsPort;
+    this.metricsServer = null;
+    this.tracer = tracer;
+    this.traceContexts = new Map(); // computationId => traceparent of the latest command on the computation
 
     this.state = NodeState.IDLE;
     this.peers = new Map();
@@ -874,7 +935,10 @@ class SMPCNode extends EventEmitter {
     };
 
     this.computationShares = new Map();
+    this.shareSources = new Map(); // computationId => what the assigned share was prepared from
+    this.reshareKeys = new Map(); // computationId => key this node receives re-shared shares under
     this.computationResults = new Map();
+    this.pipelineOutputs = new Map(); // pipeline computationId => Map(step computationId => output share)
 
     logger.info(`SMPC Node ${this.nodeId} initialized with capabilities:`, this.capabilities);
   }
@@ -882,6 +946,12 @@ class SMPCNode extends EventEmitter {
   async connect() {
     try {
       logger.info(`Connecting to coordinator at ${this.coordinatorUrl}`);
+      if (this.metricsPort !== null && !this.metricsServer) {
+        this.metricsServer = createMetricsServer(registry);
+        this.metricsServer.listen(this.metricsPort, () => {
+          logger.info(`Serving metrics on port ${this.metricsServer.address().port}`);
+        });
+      }
       this.socket = new WebSocket(this.coordinatorUrl);
       this.socket.on('open', this._handleSocketOpen.bind(this));
       this.socket.on('message', this._handleSocketMessage.bind(this));
@@ -912,11 +982,17 @@ class SMPCNode extends EventEmitter {
         this.socket.close();
         this.socket = null;
       }
+      if (this.metricsServer) {
+        this.metricsServer.close();
+        this.metricsServer = null;
+      }
       for (const [peerId, peerConnection] of this.peers.entries()) {
         logger.debug(`Closing connection to peer ${peerId}`);
         peerConnection.close();
       }
       this.peers.clear();
+      this.peerChannels.clear();
+      this.channel = null;
       this.state = NodeState.IDLE;
       this.emit('disconnected');
       logger.info('Disconnected from coordinator');
@@ -934,11 +1010,13 @@ class SMPCNode extends EventEmitter {
 
       switch (message.type) {
         case 'command':
-          return this.processCommand(message.command, message.params, message.metadata);
+          return this.processCommand(message.command, message.params, { ...message.metadata, trace: message.trace });
         case 'share':
-          return this.processShare(message.computationId, message.share, message.metadata);
+          return this._traced('node.receive share', message.trace, message.computationId,
+            () => this.processShare(message.computationId, message.share, message.metadata));
         case 'result':
-          return this.processResult(message.computationId, message.result, message.metadata);
+          return this._traced('node.receive result', message.trace, message.computationId,
+            () => this.processResult(message.computationId, message.result, message.metadata));
         case 'ping':
           return { type: 'pong', timestamp: Date.now() };
         case 'error':
@@ -946,7 +1024,7 @@ class SMPCNode extends EventEmitter {
           return { type: 'error_ack', error: message.error, timestamp: Date.now() };
         default:
           logger.warn(`Received unknown message type: ${message.type}`);
-          return { type: 'error', error: 'Unknown message type', timestamp: Date.now() };
+          return { type: 'error', code: ProtocolErrorCode.UNKNOWN_MESSAGE_TYPE, error: 'Unknown message type', timestamp: Date.now() };
       }
     } catch (error) {
       logger.error('Error handling message:', error);
@@ -958,14 +1036,24 @@ class SMPCNode extends EventEmitter {
     try {
       if (!message.messageId) message.messageId = uuidv4();
       if (!message.timestamp) message.timestamp = Date.now();
+      if (!message.trace && this.traceContexts.has(message.computationId)) {
+        message.trace = this.traceContexts.get(message.computationId);
+      }
       message.sender = this.nodeId;
       logger.debug(`Sending message to ${destination}: ${JSON.stringify(message)}`);
+      if (destination === 'coordinator') {
+        validateMessage(message, Direction.TO_COORDINATOR, this.protocolVersion || PROTOCOL_VERSION);
+      } else {
+        validateMessage(message, Direction.PEER);
+      }
 
       if (destination === 'coordinator') {
         if (!this.socket || this.socket.readyState !== WebSocket.OPEN) throw new Error('Not connected to coordinator');
+        // Registration carries the key the channel is derived from, so it is the one message sent in the clear
+        const payload = message.type === 'registration' ? message : this._seal(destination, message);
         return new Promise((resolve, reject) => {
           this.pendingMessages.set(message.messageId, { resolve, reject, timestamp: Date.now(), message });
-          this.socket.send(JSON.stringify(message), (error) => {
+          this.socket.send(JSON.stringify(payload), (error) => {
             if (error) {
               this.pendingMessages.delete(message.messageId);
               reject(error);
@@ -980,9 +1068,10 @@ class SMPCNode extends EventEmitter {
         });
       } else if (this.peers.has(destination)) {
         const peerConnection = this.peers.get(destination);
+        const payload = this._seal(destination, message);
         return new Promise((resolve, reject) => {
           this.pendingMessages.set(message.messageId, { resolve, reject, timestamp: Date.now(), message });
-          peerConnection.send(JSON.stringify(message), (error) => {
+          peerConnection.send(JSON.stringify(payload), (error) => {
             if (error) {
               this.pendingMessages.delete(message.messageId);
               reject(error);
@@ -1004,7 +1093,16 @@ class SMPCNode extends EventEmitter {
     }
   }
 
-  async processCommand(command, params, metadata) {
+  async processCommand(command, params, metadata = {}) {
+    const computationId = params && params.computationId;
+    return this._traced(`node.${command}`, metadata.trace, computationId, span => {
+      // Messages this node sends about the computation continue the command's trace
+      if (computationId) this.traceContexts.set(computationId, span.traceparent());
+      return this._dispatchCommand(command, params, metadata);
+    });
+  }
+
+  async _dispatchCommand(command, params, metadata) {
     try {
       logger.info(`Processing command: ${command}`);
       if (!command) throw new Error('Invalid command');
@@ -1022,6 +1120,8 @@ class SMPCNode extends EventEmitter {
           return this.verify(params.computationId, params.result, metadata);
         case 'abort':
           return this.abortComputation(params.computationId, params.reason, metadata);
+        case 'teardown':
+          return this.teardownSession(params.computationId, params.sessionKey, params.reason);
         case 'status':
           return this.getStatus(params.computationId);
         case 'capabilities':
@@ -1038,6 +1138,14 @@ class SMPCNode extends EventEmitter {
           return this.connectToPeer(params.peerId, params.peerUrl, metadata);
         case 'disconnect_peer':
           return this.disconnectFromPeer(params.peerId, metadata);
+        case 'reshare_key':
+          return this.offerReshareKey(params);
+        case 'reshare':
+          return this.reshare(params);
+        case 'reshare_combine':
+          return this.combineReshare(params);
+        case 'recover_share':
+          return this.recoverShare(params);
         default:
           logger.warn(`Unknown command: ${command}`);
           return { type: 'error', error: `Unknown command: ${command}`, timestamp: Date.now() };
@@ -1083,6 +1191,10 @@ class SMPCNode extends EventEmitter {
         threshold: params.threshold || 1,
         dataVaultIds: params.dataVaultIds || [],
         privacyParameters: params.privacyParameters || {},
+        pipeline: params.pipeline || null,
+        // What the shares must be prepared from: pinned data versions and consent state, keyed by vault ID
+        dataVersions: params.dataVersions || null,
+        consent: params.consent || null,
         state: NodeState.INITIALIZING,
         peers: params.peers || [],
         receivedShares: new Map(),
@@ -1126,18 +1238,26 @@ class SMPCNode extends EventEmitter {
       computation.state = NodeState.SHARING;
       computation.updatedAt = Date.now();
 
-      const share = this.computationShares.get(computationId);
+      const share = computation.pipeline
+        ? this._pipelineInputShare(computation)
+        : this.computationShares.get(computationId);
       if (!share) {
         logger.warn(`No share found for computation ${computationId}`);
         return { type: 'share_result', success: false, computationId, error: 'No share found', timestamp: Date.now() };
       }
+      // Later pipeline steps start from outputs of steps whose inputs were checked
+      if (!computation.pipeline || computation.pipeline.inputs.length === 0) {
+        this._checkShareSource(computation, this._shareSource(computation));
+      }
 
       computation.share = share;
+      shareSize.observe({ protocol: computation.type }, serializedSize(share));
 
       if (this.enablePeerToPeer && computation.peers.length > 0) {
         await this._shareToPeers(computation, share);
       } else {
-        await this.sendMessage({ type: 'share_notification', computationId, shareId: uuidv4(), timestamp: Date.now() });
+        computation.shareId = uuidv4();
+        await this.sendMessage({ type: 'share_notification', computationId, shareId: computation.shareId, timestamp: Date.now() });
       }
 
       this.emit('share:sent', { computationId, timestamp: Date.now() });
@@ -1207,19 +1327,42 @@ class SMPCNode extends EventEmitter {
       const protocol = this.protocols[computation.type];
       if (!protocol) throw new Error(`Protocol not available: ${computation.type}`);
 
+      const { pipeline } = computation;
       const result = await protocol.processShareAtNode({
         share: ownShare,
         peerShares,
-        metadata: { ...metadata, computationId, type: computation.type, privacyParameters: computation.privacyParameters }
+        metadata: {
+          ...metadata,
+          computationId,
+          type: computation.type,
+          privacyParameters: computation.privacyParameters,
+          ...(pipeline ? { operation: pipeline.operation, operationParams: pipeline.params, pipelineStep: pipeline.stepId } : {})
+        }
       });
 
+      // An intermediate pipeline output stays on this node as its share; only completion is reported
+      if (pipeline && !pipeline.reveal) {
+        if (!this.pipelineOutputs.has(pipeline.computationId)) this.pipelineOutputs.set(pipeline.computationId, new Map());
+        this.pipelineOutputs.get(pipeline.computationId).set(computationId, result);
+        await this.sendMessage({ type: 'step_complete', computationId, stepId: pipeline.stepId, timestamp: Date.now() });
+        this._cleanupComputation(computationId);
+        logger.info(`Pipeline step ${computationId} completed; output kept as a local share`);
+        return { type: 'computation_result', success: true, computationId, message: 'Pipeline step completed', timestamp: Date.now() };
+      }
+
       computation.result = result;
       this.computationResults.set(computationId, result);
       computation.state = NodeState.AGGREGATING;
       computation.updatedAt = Date.now();
 
-      if (this.enablePeerToPeer && computation.peers.length > 0) await this._shareResultToPeers(computation, result);
-      await this.sendMessage({ type: 'result', computationId, result, timestamp: Date.now() });
+      if (pipeline) {
+        // The output step's shares are reported under the pipeline computation; the inputs are no longer needed
+        await this.sendMessage({ type: 'result', computationId: pipeline.computationId, stepId: pipeline.stepId, result, timestamp: Date.now() });
+        this.pipelineOutputs.delete(pipeline.computationId);
+      } else {
+        if (this.enablePeerToPeer && computation.peers.length > 0) await this._shareResultToPeers(computation, result);
+        await this.sendMessage({ type: 'result', computationId, result, timestamp: Date.now() });
+      }
 
       this.emit('computation:completed', { computationId, timestamp: Date.now() });
       logger.info(`Computation ${computationId} completed successfully`);
@@ -1320,6 +1463,7 @@ class SMPCNode extends EventEmitter {
     try {
       logger.info(`Aborting computation: ${computationId}`);
       if (!computationId) throw new Error('Invalid abort parameters');
+      this._discardPipeline(computationId);
       if (!this.activeComputations.has(computationId)) {
         return { type: 'abort_result', success: true, computationId, message: 'Computation not found, already aborted', timestamp: Date.now() };
       }
@@ -1349,9 +1493,31 @@ class SMPCNode extends EventEmitter {
     }
   }
 
+  async teardownSession(computationId, sessionKey, reason) {
+    try {
+      logger.info(`Tearing down session of computation: ${computationId}`);
+      if (!computationId || !sessionKey) throw new Error('Invalid teardown parameters');
+      this._discardPipeline(computationId, sessionKey);
+      const computation = this.activeComputations.get(computationId);
+      if (!computation) {
+        return { type: 'teardown_result', success: true, computationId, message: 'No session held', timestamp: Date.now() };
+      }
+      if (computation.sessionKey !== sessionKey) throw new Error('Invalid session key');
+
+      computation.sessionKey = null;
+      this.emit('session:closed', { computationId, reason, timestamp: Date.now() });
+      this._cleanupComputation(computationId);
+      return { type: 'teardown_result', success: true, computationId, message: 'Session torn down', timestamp: Date.now() };
+    } catch (error) {
+      logger.error(`Failed to tear down session of computation ${computationId}:`, error);
+      return { type: 'error', error: `Teardown failed: ${error.message}`, computationId, timestamp: Date.now() };
+    }
+  }
+
   _cleanupComputation(computationId) {
     logger.info(`Cleaning up computation ${computationId}`);
     this.activeComputations.delete(computationId);
+    this.traceContexts.delete(computationId);
     if (this.computationQueue.length > 0) {
       const nextComputation = this.computationQueue.shift();
       this.initializeComputation(nextComputation.params, nextComputation.metadata).catch(error => {
@@ -1360,27 +1526,143 @@ class SMPCNode extends EventEmitter {
     }
   }
 
+  /**
+   * Build the share a pipeline step starts from. A first step uses the data
+   * share assigned to it (or to the pipeline); later steps combine this node's
+   * shares of their input steps' outputs, later inputs overriding keys of earlier ones.
+   * @param {Object} computation - Step computation state
+   * @returns {Object|null} Share for the step
+   * @private
+   */
+  _pipelineInputShare(computation) {
+    const { computationId, inputs } = computation.pipeline;
+    if (inputs.length === 0) {
+      return this.computationShares.get(computation.id) || this.computationShares.get(computationId) || null;
+    }
+
+    const outputs = this.pipelineOutputs.get(computationId) || new Map();
+    const share = {};
+    for (const input of inputs) {
+      const output = outputs.get(input);
+      if (!output) throw new Error(`Output of pipeline step ${input} is not held by this node`);
+      for (const [key, value] of Object.entries(output)) {
+        if (key !== 'metadata') share[key] = value;
+      }
+    }
+    return share;
+  }
+
+  /**
+   * Drop every step and intermediate output of a pipeline
+   * @param {string} computationId - ID of the pipeline computation
+   * @param {string} [sessionKey] - Session key the steps must belong to, when tearing down a session
+   * @private
+   */
+  _discardPipeline(computationId, sessionKey = null) {
+    for (const [id, computation] of Array.from(this.activeComputations.entries())) {
+      if (computation.pipeline && computation.pipeline.computationId === computationId &&
+        (!sessionKey || computation.sessionKey === sessionKey)) {
+        this._cleanupComputation(id);
+      }
+    }
+    if (this.pipelineOutputs.delete(computationId)) {
+      logger.info(`Discarded intermediate outputs of pipeline ${computationId}`);
+    }
+  }
+
+  async _traced(name, trace, computationId, fn) {
+    const span = this.tracer.startSpan(name, {
+      parent: trace,
+      kind: SpanKind.SERVER,
+      attributes: { 'node.id': this.nodeId, 'computation.id': computationId }
+    });
+    try {
+      const response = await fn(span);
+      span.end(response && response.type === 'error' ? { error: response.error } : {});
+      return response;
+    } catch (error) {
+      span.end({ error });
+      throw error;
+    }
+  }
+
   _handleSocketOpen() {
     logger.info('Connected to coordinator');
     this.state = NodeState.IDLE;
+    // Registration waits for the coordinator's challenge
+    this.emit('connected');
+  }
+
+  _register(challenge) {
+    const { privateKey, certificate = null, coordinatorKey } = this.authentication;
+    let keyExchange;
+    try {
+      if (!privateKey) throw new Error('No private key configured');
+      if (coordinatorKey) verifyCoordinatorChallenge(challenge, coordinatorKey);
+      keyExchange = new KeyExchange({ cipher: challenge.cipher });
+      this.channel = keyExchange.deriveChannel(challenge.channelKey, challenge.nonce);
+    } catch (error) {
+      logger.error(`Cannot answer the coordinator's challenge: ${error.message}`);
+      this.emit('registration:rejected', { reason: error.message });
+      this.socket.close();
+      return;
+    }
     this.sendMessage({
       type: 'registration',
       nodeId: this.nodeId,
       capabilities: this.capabilities,
       supportedProtocols: this.supportedProtocols,
+      channelKey: keyExchange.publicKey,
+      signature: signChallenge(challenge.nonce, this.nodeId, privateKey, keyExchange.publicKey),
+      certificate,
+      protocolVersions: SUPPORTED_VERSIONS,
       timestamp: Date.now()
+    }).then(response => {
+      if (response.type === 'registration_rejected') throw new Error(response.error);
+      if (!SUPPORTED_VERSIONS.includes(response.protocolVersion)) {
+        throw new Error(`Coordinator confirmed unsupported protocol version ${response.protocolVersion}`);
+      }
+      this.protocolVersion = response.protocolVersion;
+      logger.info(`Registered with coordinator as ${this.nodeId} on protocol version ${this.protocolVersion}`);
+      this.emit('registered', { nodeId: this.nodeId });
     }).catch(error => {
       logger.error('Failed to register with coordinator:', error);
+      this.emit('registration:rejected', { reason: error.message });
     });
-    this.emit('connected');
   }
 
   _handleSocketMessage(data) {
+    let message;
+    try {
+      message = parseFrame(data);
+      // Until registered the challenge, a rejection, a redirect or an error may come in the clear
+      if (this.protocolVersion || !['auth_challenge', 'registration_rejected', 'redirect', 'error'].includes(message.type)) {
+        message = this._open('coordinator', message);
+        if (!message) return;
+      }
+      validateMessage(message, Direction.TO_NODE, this.protocolVersion || PROTOCOL_VERSION);
+    } catch (error) {
+      logger.warn(`Invalid message from coordinator: ${error.message}`);
+      if (this.channel) this._reply('coordinator', errorMessage(error, message && message.messageId));
+      return;
+    }
+
     try {
-      const message = JSON.parse(data);
+      if (message.type === 'auth_challenge') {
+        this._register(message);
+        return;
+      }
+      if (message.type === 'redirect') {
+        // With a coordinatorKey configured a forged redirect gains nothing: the coordinator it names must still sign its challenge
+        logger.info(`Coordinator redirected to ${message.leaderUrl || 'a leader yet to be elected'}`);
+        this.redirect = message;
+        this.emit('redirected', { leaderId: message.leaderId, leaderUrl: message.leaderUrl });
+        return;
+      }
       if (message.inReplyTo && this.pendingMessages.has(message.inReplyTo)) {
         const pendingMessage = this.pendingMessages.get(message.inReplyTo);
         this.pendingMessages.delete(message.inReplyTo);
+        messageLatency.observe({ sender: 'node', type: pendingMessage.message.type }, (Date.now() - pendingMessage.timestamp) / 1000);
         if (message.type === 'error') {
           pendingMessage.reject(new Error(message.error));
         } else {
@@ -1391,17 +1673,16 @@ class SMPCNode extends EventEmitter {
       this.handleMessage(message).then(response => {
         if (message.messageId) {
           response.inReplyTo = message.messageId;
-          this.socket.send(JSON.stringify(response));
+          this._reply('coordinator', response);
         }
       }).catch(error => {
         logger.error('Error handling socket message:', error);
         if (message.messageId) {
-          const errorResponse = { type: 'error', error: error.message, inReplyTo: message.messageId, timestamp: Date.now() };
-          this.socket.send(JSON.stringify(errorResponse));
+          this._reply('coordinator', { type: 'error', error: error.message, inReplyTo: message.messageId, timestamp: Date.now() });
         }
       });
     } catch (error) {
-      logger.error('Failed to parse message from coordinator:', error);
+      logger.error('Failed to handle message from coordinator:', error);
     }
   }
 
@@ -1413,37 +1694,95 @@ class SMPCNode extends EventEmitter {
 
   _handleSocketClose() {
     logger.info('Disconnected from coordinator');
+    this.channel = null;
+    this.protocolVersion = null;
     for (const [messageId, pendingMessage] of this.pendingMessages.entries()) {
       pendingMessage.reject(new Error('Connection closed'));
       this.pendingMessages.delete(messageId);
     }
     this.state = NodeState.IDLE;
     this.emit('disconnected');
-    if (this.reconnectOnDisconnect) {
+    // Disconnected on purpose
+    if (!this.socket) return;
+
+    // A redirect names the leader to connect to at once; otherwise the next coordinator is tried
+    const redirect = this.redirect;
+    this.redirect = null;
+    if (redirect && redirect.leaderUrl) {
+      this.coordinatorUrl = redirect.leaderUrl;
+    } else if (redirect || this.reconnectOnDisconnect) {
+      const next = (this.coordinatorUrls.indexOf(this.coordinatorUrl) + 1) % this.coordinatorUrls.length;
+      this.coordinatorUrl = this.coordinatorUrls[next];
+    }
+    if (redirect || this.reconnectOnDisconnect) {
       setTimeout(() => {
         logger.info('Attempting to reconnect to coordinator...');
         this.connect().catch(error => {
           logger.error('Failed to reconnect to coordinator:', error);
         });
-      }, 5000);
+      }, redirect && redirect.leaderUrl ? 0 : 5000);
+    }
+  }
+
+  _reply(destination, response) {
+    const socket = destination === 'coordinator' ? this.socket : this.peers.get(destination);
+    if (!socket) return;
+    socket.send(JSON.stringify(this._seal(destination, response)));
+  }
+
+  _seal(destination, message) {
+    const channel = destination === 'coordinator' ? this.channel : this.peerChannels.get(destination);
+    if (!channel) throw new Error(`No secure channel to ${destination}`);
+    return channel.seal(message);
+  }
+
+  _open(source, sealed) {
+    const channel = source === 'coordinator' ? this.channel : this.peerChannels.get(source);
+    try {
+      if (!channel) throw new Error('no secure channel');
+      return channel.open(sealed);
+    } catch (error) {
+      logger.warn(`Dropping message from ${source}: ${error.message}`);
+      return null;
     }
   }
 
-  _handlePeerMessage(peerId, message) {
+  _handlePeerMessage(peerId, data) {
+    let message;
+    try {
+      message = this._open(peerId, parseFrame(data));
+      if (!message) return;
+      validateMessage(message, Direction.PEER);
+    } catch (error) {
+      logger.warn(`Invalid message from peer ${peerId}: ${error.message}`);
+      this._reply(peerId, errorMessage(error, message && message.messageId));
+      return;
+    }
+
+    if (message.inReplyTo && this.pendingMessages.has(message.inReplyTo)) {
+      const pendingMessage = this.pendingMessages.get(message.inReplyTo);
+      this.pendingMessages.delete(message.inReplyTo);
+      if (message.type === 'error') {
+        pendingMessage.reject(new Error(message.error));
+      } else {
+        pendingMessage.resolve(message);
+      }
+      return;
+    }
+
     try {
       logger.debug(`Received message from peer ${peerId}: ${JSON.stringify(message)}`);
       if (!message.metadata) message.metadata = {};
       message.metadata.sender = peerId;
       this.handleMessage(message).then(response => {
-        if (message.messageId && this.peers.has(peerId)) {
+        if (message.messageId) {
           response.inReplyTo = message.messageId;
-          this.peers.get(peerId).send(JSON.stringify(response));
+          this._reply(peerId, response);
         }
       }).catch(error => {
         logger.error(`Error handling message from peer ${peerId}:`, error);
-        if (message.messageId && this.peers.has(peerId)) {
-          const errorResponse = { type: 'error', error: error.message, inReplyTo: message.messageId, timestamp: Date.now() };
-          this.peers.get(peerId).send(JSON.stringify(errorResponse));
+        if (message.messageId) {
+          this._reply(peerId, { type: 'error', error: error.message, inReplyTo: message.messageId, timestamp: Date.now() });
         }
       });
     } catch (error) {
@@ -1454,6 +1793,7 @@ class SMPCNode extends EventEmitter {
   _handlePeerDisconnect(peerId, error) {
     logger.info(`Peer ${peerId} disconnected${error ? `: ${error.message}` : ''}`);
     this.peers.delete(peerId);
+    this.peerChannels.delete(peerId);
     for (const [computationId, computation] of this.activeComputations.entries()) {
       if (computation.peers.includes(peerId)) {
         const peerIndex = computation.peers.indexOf(peerId);
@@ -1543,6 +1883,9 @@ class SMPCNode extends EventEmitter {
       peers: computation.peers,
       receivedShares: computation.receivedShares.size,
       receivedResults: computation.receivedResults.size,
+      // A restarted coordinator reconciles its checkpoint with the share announced and the result computed
+      shareId: computation.shareId || null,
+      result: computation.result,
       verified: computation.verified,
       error: computation.error,
       timestamp: Date.now()
@@ -1568,18 +1911,14 @@ class SMPCNode extends EventEmitter {
           reject(new Error('Peer connection timeout'));
         }, 10000);
       });
-      peerSocket.on('message', (data) => {
-        try {
-          const message = JSON.parse(data);
-          this._handlePeerMessage(peerId, message);
-        } catch (error) {
-          logger.error(`Error handling message from peer ${peerId}:`, error);
-        }
-      });
-      peerSocket.on('error', (error) => this._handlePeerDisconnect(peerId, error));
-      peerSocket.on('close', () => this._handlePeerDisconnect(peerId));
-      this.peers.set(peerId, peerSocket);
-      this.emit('peer:connected', { peerId, timestamp: Date.now() });
+      let channel;
+      try {
+        ({ channel } = await this._handshakePeer(peerSocket, peerId));
+      } catch (error) {
+        peerSocket.close();
+        throw error;
+      }
+      this._attachPeer(peerId, peerSocket, channel);
       logger.info(`Connected to peer ${peerId} successfully`);
       return { type: 'peer_connection_result', success: true, peerId, message: 'Connected to peer successfully', timestamp: Date.now() };
     } catch (error) {
@@ -1588,6 +1927,69 @@ class SMPCNode extends EventEmitter {
     }
   }
 
+  // Accept a link a peer opened to this node; resolves to the authenticated peer's ID
+  async acceptPeerConnection(peerSocket) {
+    try {
+      const { peerId, channel } = await this._handshakePeer(peerSocket);
+      if (this.peers.has(peerId)) throw new Error(`Already connected to peer ${peerId}`);
+      this._attachPeer(peerId, peerSocket, channel);
+      logger.info(`Accepted connection from peer ${peerId}`);
+      return peerId;
+    } catch (error) {
+      logger.error('Rejected peer connection:', error);
+      peerSocket.close();
+      throw error;
+    }
+  }
+
+  // Both ends send a hello with a signed ephemeral key; each verifies the other's before deriving the channel
+  _handshakePeer(peerSocket, expectedPeerId = null) {
+    const { privateKey, certificate = null } = this.authentication;
+    if (!this.peerAuthenticator) return Promise.reject(new Error('Peer-to-peer is disabled'));
+    if (!privateKey) return Promise.reject(new Error('No private key configured'));
+    const keyExchange = new KeyExchange({ cipher: this.cipher });
+
+    return new Promise((resolve, reject) => {
+      const onMessage = (data) => {
+        clearTimeout(timer);
+        try {
+          const hello = validateMessage(parseFrame(data), Direction.PEER);
+          if (hello.type !== 'peer_hello') throw new Error(`Expected a peer hello, got ${hello.type}`);
+          if (expectedPeerId && hello.nodeId !== expectedPeerId) throw new Error(`Expected peer ${expectedPeerId}, got ${hello.nodeId}`);
+          if (hello.cipher !== this.cipher) throw new Error(`Peer ${hello.nodeId} uses cipher ${hello.cipher}, not ${this.cipher}`);
+          this.peerAuthenticator.verifyPeerHello(hello);
+          // Keys are bound to the pair of nodes, so they are never valid on another link
+          const context = [this.nodeId, hello.nodeId].sort().join('\n');
+          resolve({ peerId: hello.nodeId, channel: keyExchange.deriveChannel(hello.channelKey, context) });
+        } catch (error) {
+          reject(error);
+        }
+      };
+      const timer = setTimeout(() => {
+        peerSocket.removeListener('message', onMessage);
+        reject(new Error('Peer handshake timeout'));
+      }, 10000);
+      peerSocket.once('message', onMessage);
+      peerSocket.send(JSON.stringify({
+        type: 'peer_hello',
+        nodeId: this.nodeId,
+        channelKey: keyExchange.publicKey,
+        cipher: this.cipher,
+        certificate,
+        signature: signPeerHello(this.nodeId, keyExchange.publicKey, privateKey)
+      }));
+    });
+  }
+
+  _attachPeer(peerId, peerSocket, channel) {
+    peerSocket.on('message', (data) => this._handlePeerMessage(peerId, data));
+    peerSocket.on('error', (error) => this._handlePeerDisconnect(peerId, error));
+    peerSocket.on('close', () => this._handlePeerDisconnect(peerId));
+    this.peers.set(peerId, peerSocket);
+    this.peerChannels.set(peerId, channel);
+    this.emit('peer:connected', { peerId, timestamp: Date.now() });
+  }
+
   async disconnectFromPeer(peerId, metadata = {}) {
     try {
       logger.info(`Disconnecting from peer ${peerId}`);
@@ -1598,6 +2000,7 @@ class SMPCNode extends EventEmitter {
       const peerSocket = this.peers.get(peerId);
       peerSocket.close();
       this.peers.delete(peerId);
+      this.peerChannels.delete(peerId);
       this.emit('peer:disconnected', { peerId, timestamp: Date.now() });
       logger.info(`Disconnected from peer ${peerId} successfully`);
       return { type: 'peer_disconnection_result', success: true, peerId, message: 'Disconnected from peer successfully', timestamp: Date.now() };
@@ -1607,11 +2010,24 @@ class SMPCNode extends EventEmitter {
     }
   }
 
-  assignShare(computationId, share) {
+  /**
+   * Assign this node's share of a computation's input, dealt by whoever
+   * prepared it from the vaults' data. The source says what it was prepared
+   * from; the node only shares it if that matches the data versions and
+   * consent state the computation was set up with.
+   * @param {string} computationId - ID of the computation (or of a pipeline, for its first steps)
+   * @param {Object} share - Share of the input
+   * @param {Object} [source] - What the share was prepared from
+   * @param {Object} [source.dataVersions] - Data hash of the data taken from each vault, keyed by vault ID
+   * @param {Array<Object>} [source.records] - Records the input values came from ({ dataVaultId, recordId })
+   * @returns {boolean} Whether the share was assigned
+   */
+  assignShare(computationId, share, source = null) {
     try {
       logger.info(`Assigning share to computation: ${computationId}`);
       if (!computationId || !share) throw new Error('Invalid share assignment parameters');
       this.computationShares.set(computationId, share);
+      this.shareSources.set(computationId, source);
       logger.debug(`Share assigned to computation ${computationId}`);
       return true;
     } catch (error) {
@@ -1620,6 +2036,235 @@ class SMPCNode extends EventEmitter {
     }
   }
 
+  /**
+   * Offer a fresh key to receive re-shared shares of a computation under,
+   * signed with this node's identity key so the coordinator relaying it
+   * cannot substitute its own
+   * @param {Object} params - Re-sharing parameters
+   * @param {string} params.computationId - ID of the computation
+   * @param {string} params.sessionKey - Session key of the computation
+   * @returns {Promise<Object>} Key offer: reshareKey, cipher, and signature and certificate if this node has an identity key
+   */
+  async offerReshareKey({ computationId, sessionKey }) {
+    try {
+      this._checkSession(computationId, sessionKey);
+      const keyExchange = new KeyExchange({ cipher: this.cipher });
+      this.reshareKeys.set(computationId, keyExchange);
+
+      const { privateKey, certificate = null } = this.authentication;
+      return {
+        type: 'reshare_key_result',
+        success: true,
+        computationId,
+        nodeId: this.nodeId,
+        reshareKey: keyExchange.publicKey,
+        cipher: keyExchange.cipher,
+        ...(privateKey ? { signature: signReshareKey(this.nodeId, computationId, keyExchange.publicKey, privateKey), certificate } : {}),
+        timestamp: Date.now()
+      };
+    } catch (error) {
+      logger.error(`Failed to offer a re-sharing key for computation ${computationId}:`, error);
+      return { type: 'error', error: `Re-sharing failed: ${error.message}`, computationId, timestamp: Date.now() };
+    }
+  }
+
+  /**
+   * First round of re-sharing a dropped node's share: split this node's share,
+   * scaled to the dropped node's point, into sub-shares for the surviving
+   * nodes, each sealed to the key its recipient offered
+   * @param {Object} params - Re-sharing parameters
+   * @param {string} params.computationId - ID of the computation
+   * @param {string} params.sessionKey - Session key of the computation
+   * @param {Object} params.points - Share point of each surviving node, keyed by node ID
+   * @param {number} params.target - Share point of the dropped node
+   * @param {Object} params.keys - Re-sharing key offer of each surviving node, keyed by node ID
+   * @returns {Promise<Object>} Sealed sub-shares keyed by surviving node ID, and the threshold of each share field
+   */
+  async reshare({ computationId, sessionKey, points, target, keys = {} }) {
+    try {
+      logger.info(`Re-sharing share point ${target} for computation: ${computationId}`);
+      this._checkSession(computationId, sessionKey);
+      const share = this.computationShares.get(computationId);
+      if (!share) throw new Error(`No share found for computation ${computationId}`);
+      // The recovered share is trusted for having been re-shared from checked shares
+      this._checkShareSource(this.activeComputations.get(computationId), this.shareSources.get(computationId));
+
+      const { subShares, thresholds } = createSubShares(share, { nodeId: this.nodeId, points, target });
+      const sealed = {};
+      for (const [helper, subShare] of Object.entries(subShares)) {
+        sealed[helper] = this._sealReshare(computationId, target, helper, keys[helper], subShare);
+      }
+      return { type: 'reshare_result', success: true, computationId, subShares: sealed, thresholds, timestamp: Date.now() };
+    } catch (error) {
+      logger.error(`Failed to re-share for computation ${computationId}:`, error);
+      return { type: 'error', error: `Re-sharing failed: ${error.message}`, computationId, timestamp: Date.now() };
+    }
+  }
+
+  /**
+   * Second round of re-sharing: add up the sub-shares the surviving nodes
+   * sealed to this node into its contribution to the dropped node's share,
+   * sealed to the key the replacement offered
+   * @param {Object} params - Re-sharing parameters
+   * @param {string} params.computationId - ID of the computation
+   * @param {string} params.sessionKey - Session key of the computation
+   * @param {number} params.target - Share point of the dropped node
+   * @param {Array<Object>} params.subShares - Sealed sub-shares made for this node, one per surviving node
+   * @param {string} params.replacementId - ID of the replacement node
+   * @param {Object} params.replacementKey - Re-sharing key offer of the replacement node
+   * @returns {Promise<Object>} Sealed contribution to the dropped node's share
+   */
+  async combineReshare({ computationId, sessionKey, target, subShares, replacementId, replacementKey }) {
+    try {
+      logger.info(`Combining re-shared sub-shares for computation: ${computationId}`);
+      this._checkSession(computationId, sessionKey);
+
+      const opened = this._openReshare(computationId, target, subShares);
+      const contribution = this._sealReshare(computationId, target, replacementId, replacementKey, combineSubShares(opened));
+      return { type: 'reshare_combine_result', success: true, computationId, contribution, timestamp: Date.now() };
+    } catch (error) {
+      logger.error(`Failed to combine sub-shares for computation ${computationId}:`, error);
+      return { type: 'error', error: `Re-sharing failed: ${error.message}`, computationId, timestamp: Date.now() };
+    }
+  }
+
+  /**
+   * Take over a dropped node's share from the surviving nodes' contributions
+   * @param {Object} params - Recovery parameters
+   * @param {string} params.computationId - ID of the computation
+   * @param {string} params.sessionKey - Session key of the computation
+   * @param {number} params.target - Share point of the dropped node
+   * @param {Array<Object>} params.contributions - Contributions of the surviving nodes, sealed to this node
+   * @param {Object} params.thresholds - Threshold of each share field
+   * @returns {Promise<Object>} Recovery result
+   */
+  async recoverShare({ computationId, sessionKey, target, contributions, thresholds }) {
+    try {
+      logger.info(`Recovering share point ${target} for computation: ${computationId}`);
+      this._checkSession(computationId, sessionKey);
+
+      const opened = this._openReshare(computationId, target, contributions);
+      this.computationShares.set(computationId, recoverShare(opened, { target, thresholds }));
+      this.shareSources.set(computationId, { recovered: true });
+      this.emit('share:recovered', { computationId, target, timestamp: Date.now() });
+      return { type: 'recover_share_result', success: true, computationId, message: 'Share recovered', timestamp: Date.now() };
+    } catch (error) {
+      logger.error(`Failed to recover share for computation ${computationId}:`, error);
+      return { type: 'error', error: `Share recovery failed: ${error.message}`, computationId, timestamp: Date.now() };
+    }
+  }
+
+  /**
+   * Seal a re-sharing value to the key another node offered for the
+   * computation, after checking the offer is signed by that node when peers
+   * are authenticated
+   * @param {string} computationId - ID of the computation
+   * @param {number} target - Share point of the dropped node
+   * @param {string} recipientId - ID of the node the value is for
+   * @param {Object} offer - Re-sharing key offer of the recipient
+   * @param {Object} value - Value to seal
+   * @returns {Object} Sealed value, with this node as its sender
+   * @throws {Error} If there is no offer or its signature does not prove the recipient's identity
+   * @private
+   */
+  _sealReshare(computationId, target, recipientId, offer, value) {
+    if (!offer || !offer.reshareKey) throw new Error(`No re-sharing key of node ${recipientId}`);
+    if (this.peerAuthenticator) {
+      this.peerAuthenticator.verifyReshareKey({ ...offer, nodeId: recipientId, computationId });
+    }
+    const context = this._reshareContext(computationId, target, this.nodeId, recipientId);
+    return { ...sealTo(offer.reshareKey, value, context, offer.cipher), sender: this.nodeId };
+  }
+
+  /**
+   * Open the re-sharing values other nodes sealed to this node's key for the
+   * computation; the key is used up
+   * @param {string} computationId - ID of the computation
+   * @param {number} target - Share point of the dropped node
+   * @param {Array<Object>} sealed - Sealed values, each with its sender
+   * @returns {Array<Object>} Opened values
+   * @throws {Error} If this node offered no key or a value fails to open
+   * @private
+   */
+  _openReshare(computationId, target, sealed) {
+    const keyExchange = this.reshareKeys.get(computationId);
+    if (!keyExchange) throw new Error(`No re-sharing key for computation ${computationId}`);
+    this.reshareKeys.delete(computationId);
+    return (sealed || []).map(value =>
+      keyExchange.openSealed(value, this._reshareContext(computationId, target, value.sender, this.nodeId))
+    );
+  }
+
+  /**
+   * Context re-sharing values are sealed under, binding them to the
+   * computation, the dropped share and the pair of nodes
+   * @private
+   */
+  _reshareContext(computationId, target, senderId, recipientId) {
+    return ['privasight-smpc-reshare', computationId, target, senderId, recipientId].join('\n');
+  }
+
+  /**
+   * Source of the share a computation starts from; the first steps of a
+   * pipeline start from the share assigned to the step or to the pipeline
+   * @param {Object} computation - Computation state
+   * @returns {Object|null} Share source (see assignShare)
+   * @private
+   */
+  _shareSource(computation) {
+    if (this.shareSources.has(computation.id) || !computation.pipeline) {
+      return this.shareSources.get(computation.id) || null;
+    }
+    return this.shareSources.get(computation.pipeline.computationId) || null;
+  }
+
+  /**
+   * Check that a share was prepared from the data versions its computation
+   * pinned, and without the records whose consent was withdrawn when the
+   * computation was set up
+   * @param {Object} computation - Computation state
+   * @param {Object|null} source - What the share was prepared from (see assignShare)
+   * @throws {Error} If the share was prepared from other data or includes withdrawn records, or does not say
+   * @private
+   */
+  _checkShareSource(computation, source) {
+    // A recovered share was re-shared from shares the surviving nodes checked
+    if (!computation || (source && source.recovered)) return;
+
+    for (const [dataVaultId, pinned] of Object.entries(computation.dataVersions || {})) {
+      const dataHash = source && source.dataVersions ? source.dataVersions[dataVaultId] : undefined;
+      if (dataHash !== pinned.dataHash) {
+        throw new Error(`Data version ${pinned.versionId} of data vault ${dataVaultId} is not available at node ${this.nodeId}`);
+      }
+    }
+
+    const withdrawn = Object.entries(computation.consent || {}).filter(([, consent]) => consent.withdrawn.length > 0);
+    if (withdrawn.length === 0) return;
+    if (!source || !source.records) {
+      throw new Error('Share does not list the records it was prepared from, so withdrawn records cannot be left out');
+    }
+    const withdrawnRecord = source.records.find(({ dataVaultId, recordId }) => withdrawn.some(([vaultId, consent]) =>
+      vaultId === String(dataVaultId) && consent.withdrawn.includes(String(recordId))
+    ));
+    if (withdrawnRecord) {
+      throw new Error(`Share includes record ${withdrawnRecord.recordId} of data vault ${withdrawnRecord.dataVaultId}, whose consent was withdrawn`);
+    }
+  }
+
+  /**
+   * Check that a computation is active on this node under the given session key
+   * @param {string} computationId - ID of the computation
+   * @param {string} sessionKey - Session key presented
+   * @throws {Error} If the computation is not active or the key does not match
+   * @private
+   */
+  _checkSession(computationId, sessionKey) {
+    if (!computationId || !sessionKey) throw new Error('Invalid session parameters');
+    const computation = this.activeComputations.get(computationId);
+    if (!computation) throw new Error(`Computation ${computationId} not found`);
+    if (computation.sessionKey !== sessionKey) throw new Error('Invalid session key');
+  }
+
   getLoad() {
     const load = this.activeComputations.size / this.maxConcurrentComputations;
     return Math.min(1, Math.max(0, load));
@@ -1660,6 +2305,7 @@ class SMPCNode extends EventEmitter {
   _cleanupComputation(computationId) {
     logger.info(`Cleaning up computation ${computationId}`);
     this.activeComputations.delete(computationId);
+    this.traceContexts.delete(computationId);
     if (this.computationQueue.length > 0) {
       const nextComputation = this.computationQueue.shift();
       this.initializeComputation(nextComputation.params, nextComputation.metadata).catch(error => {
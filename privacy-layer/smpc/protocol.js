@@ -0,0 +1,266 @@
+/**
+ * PrivaSight SMPC Wire Protocol
+ *
+ * Versioned schema of the messages exchanged over the SMPC network: between
+ * the coordinator and its nodes, in both directions, and between peer nodes.
+ * Messages are described with the same JSON Schema subset as the HTTP API
+ * (see api/validation.js). The coordinator and a node agree on a protocol
+ * version at registration: the coordinator offers the versions it speaks
+ * with its challenge, the node with its registration, and the coordinator
+ * confirms the newest both speak. Frames that are not valid JSON or do not
+ * match the schema are answered with a typed error message instead of
+ * being dropped or crashing the receiver. Sealed messages (see
+ * secure-channel.js) are validated once opened.
+ */
+
+const { validateSchema } = require('../api/validation');
+
+// Protocol versions this build speaks, oldest first
+const SUPPORTED_VERSIONS = [1];
+const PROTOCOL_VERSION = SUPPORTED_VERSIONS[SUPPORTED_VERSIONS.length - 1];
+
+/**
+ * Who sends a message to whom
+ * @enum {string}
+ */
+const Direction = {
+  TO_COORDINATOR: 'to_coordinator', // Node to coordinator
+  TO_NODE: 'to_node',               // Coordinator to node
+  PEER: 'peer'                      // Node to peer node
+};
+
+/**
+ * Codes of protocol error messages
+ * @enum {string}
+ */
+const ProtocolErrorCode = {
+  MALFORMED_FRAME: 'MALFORMED_FRAME',
+  INVALID_MESSAGE: 'INVALID_MESSAGE',
+  UNKNOWN_MESSAGE_TYPE: 'UNKNOWN_MESSAGE_TYPE',
+  UNSUPPORTED_VERSION: 'UNSUPPORTED_VERSION',
+  UNAUTHENTICATED: 'UNAUTHENTICATED',
+  DUPLICATE_SESSION: 'DUPLICATE_SESSION'
+};
+
+/**
+ * Error in a frame received over the SMPC network
+ * @class ProtocolError
+ * @extends Error
+ */
+class ProtocolError extends Error {
+  /**
+   * Create a new protocol error
+   * @param {ProtocolErrorCode} code - Error code
+   * @param {string} message - Human-readable message
+   * @param {Array<Object>} [details] - Additional details (e.g. validation failures)
+   */
+  constructor(code, message, details = undefined) {
+    super(message);
+    this.name = 'ProtocolError';
+    this.code = code;
+    this.details = details;
+  }
+
+  /**
+   * Serialize to an error message answering the offending frame
+   * @param {string} [inReplyTo] - Message ID of the offending frame, if it had one
+   * @returns {Object} Error message
+   */
+  toMessage(inReplyTo = undefined) {
+    return {
+      type: 'error',
+      code: this.code,
+      error: this.message,
+      ...(this.details ? { details: this.details } : {}),
+      ...(typeof inReplyTo === 'string' ? { inReplyTo } : {})
+    };
+  }
+}
+
+// Fields every message may carry
+const ENVELOPE = {
+  type: { type: 'string', minLength: 1 },
+  messageId: { type: 'string' },
+  inReplyTo: { type: 'string' },
+  timestamp: { type: 'number' },
+  sender: { type: 'string' },
+  trace: { type: 'string' },
+  metadata: { type: 'object' }
+};
+
+const id = { type: 'string', minLength: 1 };
+const versions = { type: 'array', minItems: 1, items: { type: 'integer', minimum: 1 } };
+
+/** Schema of a message type: its required fields and their types */
+const messageSchema = (required, properties = {}) => ({ type: 'object', required, properties });
+
+/**
+ * Find optional fields of a message that are null although their schema
+ * types them. The API's schema validation treats null as absent (and a null
+ * required field as missing); on the wire a typed field is either left out
+ * or of its type.
+ * @param {Object} message - Message to check
+ * @param {Object} schema - Message schema
+ * @returns {Array<Object>} Failures as { path, message }
+ */
+function nullFieldFailures(message, { required = [], properties = {} }) {
+  return Object.entries(properties)
+    .filter(([name, schema]) => schema.type && message[name] === null && !required.includes(name))
+    .map(([name, schema]) => ({ path: `$.${name}`, message: `must be of type ${schema.type}` }));
+}
+
+const ERROR = messageSchema(['error'], { error: { type: 'string' }, code: { type: 'string' }, details: { type: 'array' } });
+
+// Message schemas of each protocol version, by direction and type
+const SCHEMAS = {
+  1: {
+    [Direction.TO_COORDINATOR]: {
+      registration: messageSchema(['nodeId', 'signature', 'channelKey', 'protocolVersions'], {
+        nodeId: id,
+        signature: { type: 'string' },
+        channelKey: { type: 'string' },
+        protocolVersions: versions,
+        capabilities: { type: 'object' },
+        supportedProtocols: { type: 'array', items: { type: 'string' } },
+        certificate: { type: 'object' }
+      }),
+      share_notification: messageSchema(['computationId', 'shareId'], { computationId: id, shareId: { type: 'string' } }),
+      shares_complete: messageSchema(['computationId'], { computationId: id, peersReceived: { type: 'array' } }),
+      result: messageSchema(['computationId'], { computationId: id, stepId: { type: 'string' } }),
+      step_complete: messageSchema(['computationId', 'stepId'], { computationId: id, stepId: { type: 'string' } }),
+      results_complete: messageSchema(['computationId'], { computationId: id, peersReceived: { type: 'array' } }),
+      verification_result: messageSchema(['computationId', 'verified'], { computationId: id, verified: { type: 'boolean' } }),
+      aggregation_result: messageSchema(['computationId'], { computationId: id }),
+      get_peer_url: messageSchema(['peerId'], { peerId: id, computationId: { type: 'string' } }),
+      error: ERROR
+    },
+    [Direction.TO_NODE]: {
+      auth_challenge: messageSchema(['nonce', 'expiresAt', 'channelKey', 'cipher', 'protocolVersions'], {
+        nonce: { type: 'string' },
+        expiresAt: { type: 'number' },
+        channelKey: { type: 'string' },
+        cipher: { type: 'string' },
+        protocolVersions: versions,
+        signature: { type: 'string' }
+      }),
+      registration_confirmed: messageSchema(['nodeId', 'protocolVersion'], { nodeId: id, protocolVersion: { type: 'integer', minimum: 1 } }),
+      registration_rejected: messageSchema(['error'], { error: { type: 'string' }, code: { type: 'string' } }),
+      command: messageSchema(['command'], { command: { type: 'string', minLength: 1 }, params: { type: 'object' } }),
+      ping: messageSchema([]),
+      ack: messageSchema(['inReplyTo']),
+      peer_url: messageSchema(['peerId'], { peerId: id, peerUrl: { type: 'string' } }),
+      redirect: messageSchema([], { leaderId: { type: 'string' }, leaderUrl: { type: 'string' } }),
+      error: ERROR
+    },
+    [Direction.PEER]: {
+      peer_hello: messageSchema(['nodeId', 'channelKey', 'cipher', 'signature'], {
+        nodeId: id,
+        channelKey: { type: 'string' },
+        cipher: { type: 'string' },
+        signature: { type: 'string' },
+        certificate: { type: 'object' }
+      }),
+      share: messageSchema(['computationId', 'share'], { computationId: id }),
+      result: messageSchema(['computationId'], { computationId: id }),
+      abort_notification: messageSchema(['computationId'], { computationId: id, reason: { type: 'string' } }),
+      error: ERROR
+    }
+  }
+};
+
+/**
+ * Parse a raw frame
+ * @param {string|Buffer} data - Frame received
+ * @returns {Object} Parsed message
+ * @throws {ProtocolError} If the frame is not a JSON object
+ */
+function parseFrame(data) {
+  let parsed;
+  try {
+    parsed = JSON.parse(data);
+  } catch (error) {
+    throw new ProtocolError(ProtocolErrorCode.MALFORMED_FRAME, `Frame is not valid JSON: ${error.message}`);
+  }
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new ProtocolError(ProtocolErrorCode.MALFORMED_FRAME, 'Frame is not a JSON object');
+  }
+  return parsed;
+}
+
+/**
+ * Validate a message against the schema of its type. A response (a message
+ * with inReplyTo) of a type the schema does not define is command-specific
+ * and only its envelope is validated.
+ * @param {Object} message - Message to validate
+ * @param {Direction} direction - Who sends the message to whom
+ * @param {number} [version=PROTOCOL_VERSION] - Protocol version agreed on the link
+ * @returns {Object} The message
+ * @throws {ProtocolError} If the message does not match the schema
+ */
+function validateMessage(message, direction, version = PROTOCOL_VERSION) {
+  const schemas = SCHEMAS[version] && SCHEMAS[version][direction];
+  if (!schemas) {
+    throw new ProtocolError(ProtocolErrorCode.UNSUPPORTED_VERSION, `No protocol version ${version} for direction ${direction}`);
+  }
+
+  const envelope = { type: 'object', required: ['type'], properties: ENVELOPE };
+  const envelopeFailures = [...validateSchema(message, envelope, '$'), ...nullFieldFailures(message, envelope)];
+  if (envelopeFailures.length > 0) {
+    throw new ProtocolError(ProtocolErrorCode.INVALID_MESSAGE, 'Invalid message envelope', envelopeFailures);
+  }
+
+  const schema = schemas[message.type];
+  if (!schema) {
+    if (message.inReplyTo) return message;
+    throw new ProtocolError(ProtocolErrorCode.UNKNOWN_MESSAGE_TYPE, `Unknown message type: ${message.type}`);
+  }
+
+  const failures = [...validateSchema(message, schema, '$'), ...nullFieldFailures(message, schema)];
+  if (failures.length > 0) {
+    throw new ProtocolError(ProtocolErrorCode.INVALID_MESSAGE, `Invalid ${message.type} message`, failures);
+  }
+  return message;
+}
+
+/**
+ * Pick the newest protocol version both ends speak
+ * @param {Array<number>} offered - Versions the other end speaks
+ * @param {Array<number>} [supported=SUPPORTED_VERSIONS] - Versions this end speaks
+ * @returns {number} Agreed version
+ * @throws {ProtocolError} If the ends share no version
+ */
+function negotiateVersion(offered, supported = SUPPORTED_VERSIONS) {
+  const common = (offered || []).filter(version => supported.includes(version));
+  if (common.length === 0) {
+    throw new ProtocolError(
+      ProtocolErrorCode.UNSUPPORTED_VERSION,
+      `No common protocol version: offered ${(offered || []).join(', ') || 'none'}, supported ${supported.join(', ')}`
+    );
+  }
+  return Math.max(...common);
+}
+
+/**
+ * Turn any error raised while handling a frame into an error message
+ * @param {Error} error - Error raised
+ * @param {string} [inReplyTo] - Message ID of the offending frame, if it had one
+ * @returns {Object} Error message
+ */
+function errorMessage(error, inReplyTo = undefined) {
+  const protocolError = error instanceof ProtocolError
+    ? error
+    : new ProtocolError(ProtocolErrorCode.INVALID_MESSAGE, error.message);
+  return protocolError.toMessage(inReplyTo);
+}
+
+module.exports = {
+  PROTOCOL_VERSION,
+  SUPPORTED_VERSIONS,
+  Direction,
+  ProtocolError,
+  ProtocolErrorCode,
+  parseFrame,
+  validateMessage,
+  negotiateVersion,
+  errorMessage
+};
@@ -0,0 +1,245 @@
+/**
+ * PrivaSight SMPC Node Reputation
+ *
+ * Tracks how computation nodes behaved in past computations: command
+ * timeouts, disconnects in the middle of a computation, results that failed
+ * verification, and response latency. Each incident weighs less as it ages,
+ * halving every half-life, so a node that misbehaved once recovers while a
+ * node that keeps misbehaving stays benched. Coordinators and orchestrators
+ * rank nodes by the resulting score and exclude benched nodes when selecting
+ * them for a computation.
+ */
+
+const logger = require('../../utils/logger')('privacy-layer:smpc-reputation');
+
+/**
+ * Outcomes recorded against a node
+ * @enum {string}
+ */
+const Outcome = {
+  SUCCESS: 'success',
+  ERROR: 'error',
+  TIMEOUT: 'timeout',
+  DISCONNECT: 'disconnect',
+  VERIFICATION_FAILED: 'verification_failed'
+};
+
+// Penalty of each incident when fresh; a success outweighs a single error
+const DEFAULT_WEIGHTS = {
+  [Outcome.SUCCESS]: 1,
+  [Outcome.ERROR]: 0.5,
+  [Outcome.TIMEOUT]: 1,
+  [Outcome.DISCONNECT]: 2,
+  [Outcome.VERIFICATION_FAILED]: 4
+};
+
+// Label of each incident in bench reasons
+const LABELS = {
+  [Outcome.ERROR]: 'error',
+  [Outcome.TIMEOUT]: 'timeout',
+  [Outcome.DISCONNECT]: 'mid-computation disconnect',
+  [Outcome.VERIFICATION_FAILED]: 'failed verification'
+};
+
+// Incidents older than this many half-lives no longer count
+const FORGET_AFTER_HALF_LIVES = 10;
+
+// Latest incidents listed with a node's reputation
+const RECENT_INCIDENTS = 5;
+
+/**
+ * Decaying reputation of computation nodes
+ * @class NodeReputation
+ */
+class NodeReputation {
+  /**
+   * Create a new reputation tracker
+   * @param {Object} [options={}] - Configuration options
+   * @param {number} [options.halfLifeMs=3600000] - Time after which an incident counts half as much
+   * @param {number} [options.benchThreshold=0.3] - Score below which a node is benched
+   * @param {number} [options.latencyTargetMs=1000] - Average response latency that costs nothing
+   * @param {number} [options.latencySmoothing=0.2] - Weight of each new latency sample in the moving average
+   * @param {Object} [options.weights] - Penalty per outcome, overriding the defaults
+   * @param {Function} [options.now=Date.now] - Clock, in milliseconds
+   */
+  constructor({
+    halfLifeMs = 3600000,
+    benchThreshold = 0.3,
+    latencyTargetMs = 1000,
+    latencySmoothing = 0.2,
+    weights = {},
+    now = Date.now
+  } = {}) {
+    if (!(halfLifeMs > 0)) {
+      throw new Error('Reputation half-life must be positive');
+    }
+
+    this.halfLifeMs = halfLifeMs;
+    this.benchThreshold = benchThreshold;
+    this.latencyTargetMs = latencyTargetMs;
+    this.latencySmoothing = latencySmoothing;
+    this.weights = { ...DEFAULT_WEIGHTS, ...weights };
+    this.now = now;
+
+    this.nodes = new Map(); // nodeId => { events: [{ outcome, at, computationId, reason }], latencyMs }
+  }
+
+  /**
+   * Record an outcome for a node
+   * @param {string} nodeId - ID of the node
+   * @param {string} outcome - Outcome from Outcome
+   * @param {Object} [details={}] - Outcome details
+   * @param {string} [details.computationId] - Computation the outcome belongs to
+   * @param {string} [details.reason] - What happened, kept for operators
+   * @returns {Object} Updated reputation of the node
+   * @throws {Error} If the outcome is unknown
+   */
+  record(nodeId, outcome, { computationId = null, reason = null } = {}) {
+    if (this.weights[outcome] === undefined) {
+      throw new Error(`Unknown reputation outcome: ${outcome}`);
+    }
+
+    const history = this._history(nodeId);
+    history.events.push({ outcome, at: this.now(), computationId, reason });
+    this._forget(history);
+
+    const reputation = this.getReputation(nodeId);
+    if (outcome !== Outcome.SUCCESS) {
+      logger.warn(`Node ${nodeId} ${LABELS[outcome]}${computationId ? ` in computation ${computationId}` : ''}; score ${reputation.score.toFixed(2)}`);
+    }
+    return reputation;
+  }
+
+  /**
+   * Record how long a node took to respond
+   * @param {string} nodeId - ID of the node
+   * @param {number} latencyMs - Response latency in milliseconds
+   */
+  recordLatency(nodeId, latencyMs) {
+    const history = this._history(nodeId);
+    history.latencyMs = history.latencyMs === null
+      ? latencyMs
+      : history.latencyMs + this.latencySmoothing * (latencyMs - history.latencyMs);
+  }
+
+  /**
+   * Get the reputation of a node. The score is the decayed share of successes
+   * among all outcomes, scaled down when the node is slower than the latency
+   * target; a node without history scores 1.
+   * @param {string} nodeId - ID of the node
+   * @returns {Object} Score, whether the node is benched and why, incident counts, the latest incidents and average latency
+   */
+  getReputation(nodeId) {
+    const history = this.nodes.get(nodeId);
+    const counts = {};
+    for (const outcome of Object.values(Outcome)) {
+      counts[outcome] = 0;
+    }
+    if (!history) {
+      return { nodeId, score: 1, benched: false, reason: null, counts, incidents: [], latencyMs: null };
+    }
+
+    const now = this.now();
+    let credit = 1;
+    let penalty = 0;
+    const penalties = {};
+    for (const { outcome, at } of history.events) {
+      const weight = this.weights[outcome] * Math.pow(0.5, (now - at) / this.halfLifeMs);
+      counts[outcome]++;
+      if (outcome === Outcome.SUCCESS) {
+        credit += weight;
+      } else {
+        penalty += weight;
+        penalties[outcome] = (penalties[outcome] || 0) + weight;
+      }
+    }
+
+    const reliability = credit / (credit + penalty);
+    const responsiveness = history.latencyMs > this.latencyTargetMs
+      ? Math.sqrt(this.latencyTargetMs / history.latencyMs)
+      : 1;
+    const score = reliability * responsiveness;
+    const benched = score < this.benchThreshold;
+
+    return {
+      nodeId,
+      score,
+      benched,
+      reason: benched ? this._benchReason(counts, penalties, responsiveness, history.latencyMs) : null,
+      counts,
+      incidents: history.events.filter(event => event.outcome !== Outcome.SUCCESS).slice(-RECENT_INCIDENTS),
+      latencyMs: history.latencyMs
+    };
+  }
+
+  /**
+   * Get the reputation score of a node
+   * @param {string} nodeId - ID of the node
+   * @returns {number} Score between 0 and 1
+   */
+  getScore(nodeId) {
+    return this.getReputation(nodeId).score;
+  }
+
+  /**
+   * Whether a node is benched
+   * @param {string} nodeId - ID of the node
+   * @returns {boolean} True if its score is below the bench threshold
+   */
+  isBenched(nodeId) {
+    return this.getReputation(nodeId).benched;
+  }
+
+  /**
+   * Forget the history of a node, e.g. after an operator replaced it
+   * @param {string} nodeId - ID of the node
+   * @returns {boolean} Whether the node had a history
+   */
+  reset(nodeId) {
+    return this.nodes.delete(nodeId);
+  }
+
+  /**
+   * Explain why a node is benched, naming what costs it the most
+   * @param {Object} counts - Incidents per outcome
+   * @param {Object} penalties - Decayed penalty per outcome
+   * @param {number} responsiveness - Latency factor of the score
+   * @param {number|null} latencyMs - Average latency
+   * @returns {string} Bench reason
+   * @private
+   */
+  _benchReason(counts, penalties, responsiveness, latencyMs) {
+    const causes = Object.entries(penalties)
+      .sort((a, b) => b[1] - a[1])
+      .map(([outcome]) => `${counts[outcome]} ${LABELS[outcome]}${counts[outcome] === 1 ? '' : 's'}`);
+    if (responsiveness < 1) {
+      causes.push(`average latency ${Math.round(latencyMs)}ms`);
+    }
+    return causes.join(', ');
+  }
+
+  /**
+   * Get or create the history of a node
+   * @param {string} nodeId - ID of the node
+   * @returns {Object} History
+   * @private
+   */
+  _history(nodeId) {
+    if (!this.nodes.has(nodeId)) {
+      this.nodes.set(nodeId, { events: [], latencyMs: null });
+    }
+    return this.nodes.get(nodeId);
+  }
+
+  /**
+   * Drop incidents too old to affect the score
+   * @param {Object} history - History of a node
+   * @private
+   */
+  _forget(history) {
+    const cutoff = this.now() - FORGET_AFTER_HALF_LIVES * this.halfLifeMs;
+    history.events = history.events.filter(event => event.at >= cutoff);
+  }
+}
+
+module.exports = { NodeReputation, Outcome };
@@ -0,0 +1,193 @@
+/**
+ * PrivaSight SMPC Share Re-sharing
+ *
+ * Recovers the Shamir share of a node that dropped out of a computation for a
+ * replacement node, without reconstructing the secret. The shares of a
+ * computation are points of a polynomial f with f(0) the secret; the node at
+ * point x held f(x). Each surviving node i scales its share by its Lagrange
+ * coefficient for the missing point, so the scaled shares sum to f(missing).
+ * It then splits its scaled share into random sub-shares that sum to it, one
+ * per survivor. Each survivor adds up the sub-shares it received and hands
+ * only that sum to the replacement, which adds the sums up to f(missing).
+ * Every value the replacement sees is uniformly random on its own, so it
+ * learns nothing about the survivors' shares beyond its own. The nodes seal
+ * what they hand each other (see SMPCNode#reshare), so the coordinator that
+ * relays it learns nothing at all.
+ */
+
+const { BigNumber } = require('ethers');
+const { randomFieldElement } = require('../zkp/utils/hash');
+const { SecretSharingScheme, FIELD_PRIME, modInverse } = require('./secret-sharing');
+
+/**
+ * Names of the fields of a node's share that hold Shamir shares
+ * @param {Object} share - Share of a node (e.g. { sumShare, countShare, nodeIndex })
+ * @returns {Array<string>} Field names
+ */
+function shamirFields(share) {
+  return Object.keys(share).filter(field => {
+    const value = share[field];
+    return value && typeof value === 'object' && value.scheme === SecretSharingScheme.SHAMIR && value.x !== undefined;
+  });
+}
+
+/**
+ * Lagrange coefficient of a point for evaluating the polynomial through the
+ * given points at a target point
+ * @param {Array<number>} points - Points of the polynomial that are known
+ * @param {number} point - Point whose coefficient is computed
+ * @param {number} target - Point the polynomial is evaluated at
+ * @param {BigNumber} [fieldPrime=FIELD_PRIME] - Prime field
+ * @returns {BigNumber} Coefficient
+ */
+function lagrangeCoefficient(points, point, target, fieldPrime = FIELD_PRIME) {
+  const prime = fieldPrime.toBigInt();
+  let numerator = 1n;
+  let denominator = 1n;
+  for (const other of points) {
+    if (other === point) continue;
+    numerator = (numerator * BigInt(target - other)) % prime;
+    denominator = (denominator * BigInt(point - other)) % prime;
+  }
+  const coefficient = (((numerator * modInverse(denominator, prime)) % prime) + prime) % prime;
+  return BigNumber.from(coefficient.toString());
+}
+
+/**
+ * Split a surviving node's share, scaled to the missing point, into random
+ * sub-shares for every surviving node
+ * @param {Object} share - Share held by the node
+ * @param {Object} params - Re-sharing parameters
+ * @param {string} params.nodeId - ID of the node
+ * @param {Object} params.points - Share point of each surviving node, keyed by node ID
+ * @param {number} params.target - Share point of the node that dropped out
+ * @param {BigNumber} [params.fieldPrime=FIELD_PRIME] - Prime field
+ * @returns {Object} Sub-shares as { subShares: { [nodeId]: { [field]: value } }, thresholds: { [field]: threshold } }
+ * @throws {Error} If the share does not match the node's point or too few nodes survive
+ */
+function createSubShares(share, { nodeId, points, target, fieldPrime = FIELD_PRIME }) {
+  const helpers = Object.keys(points);
+  const xs = helpers.map(helper => points[helper]);
+  const fields = shamirFields(share);
+
+  if (points[nodeId] === undefined) {
+    throw new Error(`Node ${nodeId} is not one of the re-sharing nodes`);
+  }
+  if (xs.includes(target)) {
+    throw new Error(`Share point ${target} is held by a surviving node`);
+  }
+  if (fields.length === 0) {
+    throw new Error('Share holds no Shamir shares to re-share');
+  }
+
+  const coefficient = lagrangeCoefficient(xs, points[nodeId], target, fieldPrime);
+  const subShares = {};
+  const thresholds = {};
+  for (const helper of helpers) {
+    subShares[helper] = {};
+  }
+
+  for (const field of fields) {
+    const { x, value, threshold } = share[field];
+    if (Number(x) !== points[nodeId]) {
+      throw new Error(`Share point mismatch: ${field} is at ${x}, node ${nodeId} is at ${points[nodeId]}`);
+    }
+    if (helpers.length < threshold) {
+      throw new Error(`At least ${threshold} surviving shares are required to re-share ${field}, got ${helpers.length}`);
+    }
+
+    // Random sub-shares for all but the last helper, which gets the remainder
+    const scaled = BigNumber.from(value).mul(coefficient).mod(fieldPrime);
+    let remainder = scaled;
+    helpers.forEach((helper, index) => {
+      const part = index === helpers.length - 1
+        ? remainder
+        : _mod(BigNumber.from(randomFieldElement(256)), fieldPrime);
+      remainder = _mod(remainder.sub(part), fieldPrime);
+      subShares[helper][field] = part.toString();
+    });
+    thresholds[field] = threshold;
+  }
+
+  return { subShares, thresholds };
+}
+
+/**
+ * Add up sub-shares field by field
+ * @param {Array<Object>} subShares - Sub-shares, each { [field]: value }
+ * @param {BigNumber} [fieldPrime=FIELD_PRIME] - Prime field
+ * @returns {Object} Sum of each field, { [field]: value }
+ * @throws {Error} If no sub-shares are given or they hold different fields
+ */
+function combineSubShares(subShares, fieldPrime = FIELD_PRIME) {
+  if (!Array.isArray(subShares) || subShares.length === 0) {
+    throw new Error('Sub-shares are required');
+  }
+
+  const fields = Object.keys(subShares[0]).sort();
+  const sums = {};
+  for (const field of fields) {
+    sums[field] = BigNumber.from(0);
+  }
+  for (const subShare of subShares) {
+    if (Object.keys(subShare).sort().join() !== fields.join()) {
+      throw new Error('Sub-shares hold different fields');
+    }
+    for (const field of fields) {
+      sums[field] = sums[field].add(BigNumber.from(subShare[field])).mod(fieldPrime);
+    }
+  }
+
+  const combined = {};
+  for (const field of fields) {
+    combined[field] = sums[field].toString();
+  }
+  return combined;
+}
+
+/**
+ * Recover the share of the node that dropped out from the surviving nodes'
+ * combined sub-shares
+ * @param {Array<Object>} contributions - Combined sub-shares of every surviving node, each { [field]: value }
+ * @param {Object} params - Recovery parameters
+ * @param {number} params.target - Share point of the node that dropped out
+ * @param {Object} params.thresholds - Reconstruction threshold of each field
+ * @param {BigNumber} [params.fieldPrime=FIELD_PRIME] - Prime field
+ * @returns {Object} Share at the missing point, shaped as the protocols deal it
+ */
+function recoverShare(contributions, { target, thresholds, fieldPrime = FIELD_PRIME }) {
+  const values = combineSubShares(contributions, fieldPrime);
+  const share = {};
+  for (const [field, value] of Object.entries(values)) {
+    share[field] = {
+      index: target,
+      x: target.toString(),
+      value,
+      scheme: SecretSharingScheme.SHAMIR,
+      threshold: thresholds[field],
+      metadata: { recoveredAt: Date.now() }
+    };
+  }
+  // Protocols deal the share at point i + 1 to the node at index i
+  share.nodeIndex = target - 1;
+  return share;
+}
+
+/**
+ * Reduce a value into the field, keeping it non-negative
+ * @param {BigNumber} value - Value to reduce
+ * @param {BigNumber} fieldPrime - Prime field
+ * @returns {BigNumber} Field element
+ * @private
+ */
+function _mod(value, fieldPrime) {
+  return value.mod(fieldPrime).add(fieldPrime).mod(fieldPrime);
+}
+
+module.exports = {
+  shamirFields,
+  lagrangeCoefficient,
+  createSubShares,
+  combineSubShares,
+  recoverShare
+};
@@ -0,0 +1,125 @@
+/**
+ * PrivaSight SMPC Data Residency
+ *
+ * Data-residency constraints of data vaults. A vault may restrict the regions
+ * its data may be processed in and the organizations that may operate the
+ * nodes processing it. Nodes advertise their region and operating
+ * organization in their capabilities when they register. A node may take part
+ * in a computation only if it satisfies the constraints of every vault the
+ * computation involves; a node that does not advertise its region or
+ * organization satisfies no constraint on it.
+ */
+
+// Constraint lists of a vault and the node capability each one restricts
+const FIELDS = [
+  { constraint: 'allowedRegions', capability: 'region', label: 'region' },
+  { constraint: 'allowedOrganizations', capability: 'organization', label: 'organization' }
+];
+
+/**
+ * Normalize the data-residency constraints a vault declares
+ * @param {Object} [residency] - Declared constraints
+ * @param {Array<string>} [residency.allowedRegions] - Regions the vault's data may be processed in
+ * @param {Array<string>} [residency.allowedOrganizations] - Organizations that may operate the nodes processing it
+ * @returns {Object|null} Constraints, each list null if unrestricted, or null if the vault declares none
+ * @throws {Error} If a constraint is not a non-empty list
+ */
+function normalizeResidency(residency) {
+  if (!residency) return null;
+
+  const normalized = {};
+  for (const { constraint, label } of FIELDS) {
+    const allowed = residency[constraint];
+    if (allowed === undefined || allowed === null) {
+      normalized[constraint] = null;
+    } else if (!Array.isArray(allowed) || allowed.length === 0) {
+      throw new Error(`Allowed ${label}s must be a non-empty list`);
+    } else {
+      normalized[constraint] = Array.from(new Set(allowed.map(String))).sort();
+    }
+  }
+  return FIELDS.some(({ constraint }) => normalized[constraint]) ? normalized : null;
+}
+
+/**
+ * Check that the vaults of a computation leave some region and organization
+ * every one of them allows
+ * @param {Object} constraints - Constraints of the computation's vaults, keyed by vault ID
+ * @throws {Error} If the vaults allow no common region or organization
+ */
+function checkResidencyConflicts(constraints) {
+  for (const { constraint, label } of FIELDS) {
+    const restricting = Object.entries(constraints || {}).filter(([, residency]) => residency && residency[constraint]);
+    if (restricting.length < 2) continue;
+
+    const common = restricting
+      .map(([, residency]) => residency[constraint])
+      .reduce((shared, allowed) => shared.filter(value => allowed.includes(value)));
+    if (common.length === 0) {
+      const declared = restricting.map(([vaultId, residency]) => `vault ${vaultId} allows ${residency[constraint].join(', ')}`);
+      throw new Error(`Data residency constraints conflict: no ${label} is allowed by every vault (${declared.join('; ')})`);
+    }
+  }
+}
+
+/**
+ * Why a node may not process the data of a computation's vaults
+ * @param {Object} capabilities - Capabilities the node advertised
+ * @param {Object} constraints - Constraints of the computation's vaults, keyed by vault ID
+ * @returns {Array<string>} Violated constraints, empty if the node may process the data
+ */
+function residencyViolations(capabilities, constraints) {
+  const violations = [];
+  for (const [vaultId, residency] of Object.entries(constraints || {})) {
+    if (!residency) continue;
+    for (const { constraint, capability, label } of FIELDS) {
+      const allowed = residency[constraint];
+      const value = capabilities && capabilities[capability];
+      if (!allowed || allowed.includes(value)) continue;
+      violations.push(value
+        ? `${label} ${value} not allowed by vault ${vaultId}`
+        : `no ${label} advertised, required by vault ${vaultId}`);
+    }
+  }
+  return violations;
+}
+
+/**
+ * Split nodes into those that may process the data of a computation's vaults
+ * and those that may not, with why
+ * @param {Array<Object>} nodes - Nodes, each with its id and capabilities
+ * @param {Object} constraints - Constraints of the computation's vaults, keyed by vault ID
+ * @returns {Object} Allowed nodes, and excluded nodes as { id, violations }
+ */
+function partitionByResidency(nodes, constraints) {
+  const allowed = [];
+  const excluded = [];
+  for (const node of nodes) {
+    const violations = residencyViolations(node.capabilities, constraints);
+    if (violations.length === 0) {
+      allowed.push(node);
+    } else {
+      excluded.push({ id: node.id, violations });
+    }
+  }
+  return { allowed, excluded };
+}
+
+/**
+ * Describe the nodes excluded by data residency, for error messages
+ * @param {Array<Object>} excluded - Excluded nodes from partitionByResidency
+ * @returns {string} Description, or an empty string if no node was excluded
+ */
+function describeExclusions(excluded) {
+  if (excluded.length === 0) return '';
+  const reasons = excluded.map(({ id, violations }) => `${id} (${violations.join(', ')})`);
+  return `excluded by data residency: ${reasons.join(', ')}`;
+}
+
+module.exports = {
+  normalizeResidency,
+  checkResidencyConflicts,
+  residencyViolations,
+  partitionByResidency,
+  describeExclusions
+};
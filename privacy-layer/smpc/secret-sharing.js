@@ -26,6 +26,39 @@ const SecretSharingScheme = {
   HYBRID: 'hybrid'
 };
 
+/**
+ * Modular exponentiation by square-and-multiply, with native BigInt (ethers'
+ * BigNumber has none)
+ * @param {bigint} base - Base
+ * @param {bigint} exponent - Non-negative exponent
+ * @param {bigint} modulus - Modulus
+ * @returns {bigint} base^exponent mod modulus
+ */
+function modPow(base, exponent, modulus) {
+  let result = 1n;
+  base = ((base % modulus) + modulus) % modulus;
+  while (exponent > 0n) {
+    if (exponent & 1n) result = (result * base) % modulus;
+    base = (base * base) % modulus;
+    exponent >>= 1n;
+  }
+  return result;
+}
+
+/**
+ * Multiplicative inverse in a prime field, by Fermat's little theorem
+ * @param {bigint} value - Field element, not zero
+ * @param {bigint} fieldPrime - Prime field
+ * @returns {bigint} Inverse of the value
+ * @throws {Error} If the value is zero in the field
+ */
+function modInverse(value, fieldPrime) {
+  if (((value % fieldPrime) + fieldPrime) % fieldPrime === 0n) {
+    throw new Error('Zero has no inverse');
+  }
+  return modPow(value, fieldPrime - 2n, fieldPrime);
+}
+
 /**
  * Secret sharing implementation for secure multi-party computation
  * @class SecretSharing
@@ -467,7 +500,7 @@ class SecretSharing {
           const xj = BigNumber.from(shares[j].x);
           const numerator = xj;
           const denominator = xj.sub(xi).mod(this.fieldPrime);
-          const inverse = denominator.modPow(this.fieldPrime.sub(2), this.fieldPrime);
+          const inverse = BigNumber.from(modInverse(denominator.toBigInt(), this.fieldPrime.toBigInt()).toString());
           lagrange = lagrange.mul(numerator).mul(inverse).mod(this.fieldPrime);
         }
       }
@@ -562,7 +595,7 @@ class SecretSharing {
    * @private
    */
   _generateRandomCoefficient() {
-    return randomFieldElement(256);
+    return BigNumber.from(randomFieldElement(256)).mod(this.fieldPrime);
   }
 
   /**
@@ -641,5 +674,8 @@ class SecretSharing {
 
 module.exports = {
   SecretSharing,
-  SecretSharingScheme
+  SecretSharingScheme,
+  FIELD_PRIME,
+  modPow,
+  modInverse
 };
@@ -0,0 +1,207 @@
+/**
+ * PrivaSight SMPC Secure Channels
+ *
+ * End-to-end encryption of the messages exchanged between the coordinator
+ * and a node, and between two peer nodes. Each end of a link generates an
+ * ephemeral X25519 key and sends its public half, signed with its identity
+ * key (see node-auth.js), to the other end. Both derive the same pair of
+ * directional keys from the X25519 shared secret, and every message after
+ * the handshake travels sealed with AEAD under a sequence number the
+ * receiver requires to increase, so replayed, reordered or tampered messages
+ * are dropped. A peer link's keys are derived by the two nodes alone, so the
+ * coordinator cannot read shares even when it relays the link. A single
+ * message can also be sealed to the holder of an ephemeral key without a
+ * link, e.g. one the coordinator relays between nodes (see sealTo).
+ */
+
+const crypto = require('crypto');
+
+// Message type of a sealed message
+const SEALED = 'sealed';
+
+// AEAD ciphers a channel can use, with their key and tag lengths
+const CIPHERS = {
+  'aes-256-gcm': { keyLength: 32, tagLength: 16 },
+  'chacha20-poly1305': { keyLength: 32, tagLength: 16 }
+};
+const DEFAULT_CIPHER = 'aes-256-gcm';
+
+/**
+ * Check that a cipher is supported
+ * @param {string} cipher - Cipher name
+ * @returns {string} The cipher
+ * @throws {Error} If the cipher is not supported
+ */
+function checkCipher(cipher) {
+  if (!CIPHERS[cipher]) {
+    throw new Error(`Unsupported channel cipher: ${cipher}`);
+  }
+  return cipher;
+}
+
+/**
+ * An established channel: seals outgoing and opens incoming messages
+ * @class SecureChannel
+ */
+class SecureChannel {
+  /**
+   * Create a channel from its directional keys
+   * @param {Object} options - Channel keys
+   * @param {Buffer} options.sendKey - Key of outgoing messages
+   * @param {Buffer} options.receiveKey - Key of incoming messages
+   * @param {string} [options.cipher='aes-256-gcm'] - AEAD cipher
+   */
+  constructor({ sendKey, receiveKey, cipher = DEFAULT_CIPHER }) {
+    this.cipher = checkCipher(cipher);
+    this.sendKey = sendKey;
+    this.receiveKey = receiveKey;
+    this.sent = 0; // Sequence number of the last message sealed
+    this.received = 0; // Sequence number of the last message opened
+  }
+
+  /**
+   * Seal a message under the next sequence number
+   * @param {Object} message - Message to seal
+   * @returns {Object} Sealed message: { type: 'sealed', seq, data }
+   */
+  seal(message) {
+    const seq = ++this.sent;
+    const cipher = crypto.createCipheriv(this.cipher, this.sendKey, this._nonce(seq), { authTagLength: CIPHERS[this.cipher].tagLength });
+    cipher.setAAD(this._aad(seq));
+    const ciphertext = Buffer.concat([cipher.update(JSON.stringify(message), 'utf8'), cipher.final()]);
+    return { type: SEALED, seq, data: Buffer.concat([ciphertext, cipher.getAuthTag()]).toString('base64') };
+  }
+
+  /**
+   * Open a sealed message
+   * @param {Object} sealed - Sealed message
+   * @returns {Object} The message
+   * @throws {Error} If the message is not sealed, was replayed or reordered, or fails authentication
+   */
+  open(sealed) {
+    if (!sealed || sealed.type !== SEALED) {
+      throw new Error(`Expected a sealed message, got ${sealed && sealed.type}`);
+    }
+    const { seq } = sealed;
+    if (!Number.isSafeInteger(seq) || seq <= this.received) {
+      throw new Error(`Replayed or out-of-order message (sequence ${seq}, last ${this.received})`);
+    }
+
+    const { tagLength } = CIPHERS[this.cipher];
+    const data = Buffer.from(String(sealed.data), 'base64');
+    if (data.length < tagLength) {
+      throw new Error('Sealed message is truncated');
+    }
+
+    let plaintext;
+    try {
+      const decipher = crypto.createDecipheriv(this.cipher, this.receiveKey, this._nonce(seq), { authTagLength: tagLength });
+      decipher.setAAD(this._aad(seq));
+      decipher.setAuthTag(data.subarray(data.length - tagLength));
+      plaintext = Buffer.concat([decipher.update(data.subarray(0, data.length - tagLength)), decipher.final()]);
+    } catch (error) {
+      throw new Error('Sealed message failed authentication');
+    }
+
+    // Only an authentic message advances the sequence, so forgeries cannot block the channel
+    this.received = seq;
+    return JSON.parse(plaintext.toString('utf8'));
+  }
+
+  /** Private: Nonce of a sequence number; unique per key since each direction has its own */
+  _nonce(seq) {
+    const nonce = Buffer.alloc(12);
+    nonce.writeBigUInt64BE(BigInt(seq), 4);
+    return nonce;
+  }
+
+  /** Private: Additional data binding the sequence number */
+  _aad(seq) {
+    return Buffer.from(`${SEALED}:${seq}`);
+  }
+}
+
+/**
+ * One end's ephemeral X25519 key for establishing a channel
+ * @class KeyExchange
+ */
+class KeyExchange {
+  /**
+   * Generate an ephemeral key
+   * @param {Object} [options] - Configuration options
+   * @param {string} [options.cipher='aes-256-gcm'] - AEAD cipher of the channel
+   */
+  constructor({ cipher = DEFAULT_CIPHER } = {}) {
+    this.cipher = checkCipher(cipher);
+    const { publicKey, privateKey } = crypto.generateKeyPairSync('x25519');
+    this.privateKey = privateKey;
+    // Base64 DER, sent to the other end and signed by this end's identity key
+    this.publicKey = publicKey.export({ type: 'spki', format: 'der' }).toString('base64');
+  }
+
+  /**
+   * Derive the channel with the other end of the link
+   * @param {string} peerPublicKey - Ephemeral public key of the other end (base64 DER)
+   * @param {string} context - What the channel is for, known to both ends (e.g. the challenge nonce), so keys are never reused across links
+   * @returns {SecureChannel} Channel to the other end
+   * @throws {Error} If the key is not an X25519 public key
+   */
+  deriveChannel(peerPublicKey, context) {
+    if (!peerPublicKey) {
+      throw new Error('Channel key required');
+    }
+    const publicKey = crypto.createPublicKey({ key: Buffer.from(String(peerPublicKey), 'base64'), format: 'der', type: 'spki' });
+    if (publicKey.asymmetricKeyType !== 'x25519') {
+      throw new Error(`Expected an X25519 channel key, got ${publicKey.asymmetricKeyType}`);
+    }
+    if (peerPublicKey === this.publicKey) {
+      throw new Error('Channel key reflected back');
+    }
+
+    // Keys are ordered so both ends derive the same pair without agreeing on roles
+    const [low, high] = [this.publicKey, peerPublicKey].sort();
+    const { keyLength } = CIPHERS[this.cipher];
+    const secret = crypto.diffieHellman({ privateKey: this.privateKey, publicKey });
+    const keys = Buffer.from(crypto.hkdfSync('sha256', secret, Buffer.from(context), Buffer.from(`privasight-smpc-channel\n${this.cipher}\n${low}\n${high}`), 2 * keyLength));
+    const lowToHigh = keys.subarray(0, keyLength);
+    const highToLow = keys.subarray(keyLength);
+
+    return this.publicKey === low
+      ? new SecureChannel({ sendKey: lowToHigh, receiveKey: highToLow, cipher: this.cipher })
+      : new SecureChannel({ sendKey: highToLow, receiveKey: lowToHigh, cipher: this.cipher });
+  }
+
+  /**
+   * Open a message sealed to this key with sealTo
+   * @param {Object} sealed - Sealed message, with the sender's one-off key as channelKey
+   * @param {string} context - What the message is for, as the sender sealed it
+   * @returns {Object} The message
+   * @throws {Error} If the message was sealed to another key or context, or fails authentication
+   */
+  openSealed(sealed, context) {
+    return this.deriveChannel(sealed && sealed.channelKey, context).open(sealed);
+  }
+}
+
+/**
+ * Seal one message to the holder of an ephemeral key, for relaying through a
+ * party that must not read it. The channel it is sealed on is derived from a
+ * one-off key of the sender's, sent along with the message.
+ * @param {string} recipientKey - Ephemeral public key of the recipient (base64 DER)
+ * @param {Object} message - Message to seal
+ * @param {string} context - What the message is for, known to both ends
+ * @param {string} [cipher='aes-256-gcm'] - AEAD cipher of the recipient's key
+ * @returns {Object} Sealed message: { type: 'sealed', seq, data, channelKey }
+ */
+function sealTo(recipientKey, message, context, cipher = DEFAULT_CIPHER) {
+  const sender = new KeyExchange({ cipher });
+  return { ...sender.deriveChannel(recipientKey, context).seal(message), channelKey: sender.publicKey };
+}
+
+module.exports = {
+  SecureChannel,
+  KeyExchange,
+  sealTo,
+  SEALED,
+  DEFAULT_CIPHER
+};
@@ -0,0 +1,171 @@
+/**
+ * @fileoverview Access grant expiry tests for PrivaSight
+ *
+ * These tests run the Privacy Layer against the in-memory contracts with
+ * stubbed ZKP, SMPC and encryption components, covering grant lifetimes per
+ * access type, automatic expiry with session teardown, the consumption of
+ * one-time grants and the grants counted as concurrent accesses.
+ */
+
+const { createInMemoryContracts } = require('../../core/InMemoryContracts');
+const { createPrivacyLayer } = require('./helpers/privacy-layer');
+
+const OWNER = '0x00000000000000000000000000000000000000b1';
+const RESEARCHER = '0x00000000000000000000000000000000000000c1';
+
+describe('PrivaSight Access Expiry Tests', () => {
+  let contracts;
+  let privacyLayer;
+  let teardowns;
+
+  beforeEach(async () => {
+    ({ contracts } = createInMemoryContracts());
+    teardowns = [];
+
+    privacyLayer = createPrivacyLayer({
+      contracts,
+      smpcOrchestrator: {
+        executeComputation: async () => ({ average: 42, count: 25 }),
+        teardownSession: async (computationId, reason) => {
+          teardowns.push({ computationId, reason });
+          return true;
+        }
+      }
+    });
+  });
+
+  afterEach(() => {
+    clearTimeout(privacyLayer.expiryTimer);
+  });
+
+  /**
+   * Mint, list and approve access to a vault for the researcher
+   * @param {number} accessType - Listing access type
+   * @param {number} [subscriptionPeriod=0] - Subscription period in seconds
+   * @returns {Promise<Object>} Token and listing IDs
+   */
+  async function grantAccess(accessType, subscriptionPeriod = 0) {
+    const mint = await contracts.dataVaultNFT.methods
+      .mintDataVault('ipfs://data', '0xkeyhash', '{}', 'medical', 'ipfs://meta', 0)
+      .send({ from: OWNER });
+    const tokenId = mint.events.DataVaultMinted.returnValues.tokenId;
+    const listing = await contracts.marketplace.methods
+      .createListing(tokenId, 100, accessType, 1, subscriptionPeriod, '', '', [], false, 0, 'Medical')
+      .send({ from: OWNER });
+    const listingId = listing.events.ListingCreated.returnValues.listingId;
+
+    await contracts.marketplace.methods.requestAccess(listingId, 'MEDICAL_RESEARCH', 100).send({ from: RESEARCHER });
+    await contracts.marketplace.methods.approveAccess(listingId, 0, 100).send({ from: OWNER });
+    await privacyLayer.registerDataVault(tokenId);
+    await privacyLayer.setupSecureAccess(listingId, RESEARCHER);
+    return { tokenId, listingId };
+  }
+
+  /**
+   * Wait for a computation to finish executing
+   * @param {string} computationId - ID of the computation
+   * @returns {Promise<void>}
+   */
+  async function settled(computationId) {
+    for (let i = 0; i < 20 && ['preparing', 'ready', 'executing'].includes(privacyLayer.getComputation(computationId).status); i++) {
+      await new Promise(resolve => setImmediate(resolve));
+    }
+  }
+
+  test('Should derive grant lifetimes from the listing access type', async () => {
+    const oneTime = await grantAccess(1);
+    const subscription = await grantAccess(2, 3600);
+    const perpetual = await grantAccess(3);
+
+    const grant = ({ listingId }) => privacyLayer.accessProofs.get(`${listingId}-${RESEARCHER}`);
+    expect(grant(oneTime).expiresAt - grant(oneTime).createdAt).toBe(86400000);
+    expect(grant(subscription).expiresAt - grant(subscription).createdAt).toBe(3600000);
+    expect(grant(perpetual).expiresAt).toBeNull();
+    expect(privacyLayer.expiryTimer).toBeTruthy();
+  });
+
+  test('Should revoke expired grants and tear down their computations', async () => {
+    const { tokenId, listingId } = await grantAccess(2, 3600);
+    // Keep the computation running on the nodes
+    privacyLayer.smpcOrchestrator.executeComputation = () => new Promise(() => {});
+    await privacyLayer.orchestrateComputation('c1', RESEARCHER, [tokenId], 'average');
+
+    const expiredEvents = [];
+    privacyLayer.on('access:expired', event => expiredEvents.push(event));
+    const expired = await privacyLayer.expireAccessGrants(Date.now() + 3600000);
+
+    expect(expired.length).toBe(1);
+    expect(expiredEvents[0].listingId).toBe(listingId);
+    expect(expiredEvents[0].reason).toBe('expired');
+    expect(privacyLayer.accessProofs.size).toBe(0);
+    expect(privacyLayer.getComputation('c1').status).toBe('cancelled');
+    expect(teardowns).toEqual([{ computationId: 'c1', reason: 'Access grant expired' }]);
+    await expect(privacyLayer.verifyAccessRights(tokenId, RESEARCHER)).rejects.toThrow('does not have active access');
+  });
+
+  test('Should consume a one-time grant after its first computation', async () => {
+    const { tokenId } = await grantAccess(1);
+
+    await privacyLayer.orchestrateComputation('c1', RESEARCHER, [tokenId], 'average');
+    // The grant is reserved while the first computation runs
+    await expect(privacyLayer.orchestrateComputation('c2', RESEARCHER, [tokenId], 'average'))
+      .rejects.toThrow('does not have active access');
+
+    await settled('c1');
+    expect(privacyLayer.getComputation('c1').status).toBe('completed');
+    expect(privacyLayer.accessProofs.size).toBe(0);
+    expect(teardowns[0].reason).toBe('Access grant consumed');
+  });
+
+  test('Should let only one of two concurrent computations reserve a one-time grant', async () => {
+    const { tokenId, listingId } = await grantAccess(1);
+    privacyLayer.smpcOrchestrator.executeComputation = () => new Promise(() => {});
+
+    const outcomes = await Promise.allSettled([
+      privacyLayer.orchestrateComputation('c1', RESEARCHER, [tokenId], 'average'),
+      privacyLayer.orchestrateComputation('c2', RESEARCHER, [tokenId], 'average')
+    ]);
+
+    const started = outcomes.filter(outcome => outcome.status === 'fulfilled');
+    const refused = outcomes.filter(outcome => outcome.status === 'rejected');
+    expect(started.length).toBe(1);
+    expect(refused[0].reason.message).toMatch('does not have active access');
+    expect(privacyLayer.accessProofs.get(`${listingId}-${RESEARCHER}`).consumedBy).toBe(started[0].value.id);
+  });
+
+  test('Should return a one-time grant when its computation fails', async () => {
+    const { tokenId, listingId } = await grantAccess(1);
+    privacyLayer.smpcOrchestrator.executeComputation = async () => {
+      throw new Error('node failure');
+    };
+
+    await privacyLayer.orchestrateComputation('c1', RESEARCHER, [tokenId], 'average');
+    await settled('c1');
+
+    expect(privacyLayer.getComputation('c1').status).toBe('failed');
+    expect(privacyLayer.accessProofs.get(`${listingId}-${RESEARCHER}`).consumedBy).toBeUndefined();
+    expect(await privacyLayer.verifyAccessRights(tokenId, RESEARCHER)).toBe(true);
+  });
+
+  test('Should count the researcher\'s other grants in force as concurrent accesses', async () => {
+    const counts = [];
+    privacyLayer.policyEngine = {
+      evaluateAccess: async ({ concurrentAccessCount }) => {
+        counts.push(concurrentAccessCount);
+        return { allowed: true, reasons: [] };
+      }
+    };
+    const first = await grantAccess(2, 3600);
+    await grantAccess(3);
+    await grantAccess(2, 3600);
+    privacyLayer.accessProofs.get(`${first.listingId}-${RESEARCHER}`).expiresAt = Date.now() - 1;
+    // Running computations are not accesses of their own
+    privacyLayer.smpcOrchestrator.executeComputation = () => new Promise(() => {});
+    const { tokenId } = await grantAccess(3);
+    await privacyLayer.orchestrateComputation('c1', RESEARCHER, [tokenId], 'average');
+
+    counts.length = 0;
+    await privacyLayer.verifyAccessRights(tokenId, RESEARCHER);
+    expect(counts).toEqual([2]);
+  });
+});
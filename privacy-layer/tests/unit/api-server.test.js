@@ -0,0 +1,245 @@
+/**
+ * @fileoverview HTTP API tests for PrivaSight
+ *
+ * These tests drive the API server against a stubbed Privacy Layer, covering
+ * authentication, the researcher a request acts for and the records it may
+ * see, request validation, error mapping and the generated OpenAPI document.
+ */
+
+const http = require('http');
+const { ApiServer } = require('../../api/server');
+const { routes } = require('../../api/routes');
+const { generateOpenApiDocument } = require('../../api/openapi');
+
+const API_KEY = 'test-api-key';
+const OPERATOR_KEY = 'test-operator-key';
+const OTHER_API_KEY = 'test-other-api-key';
+const RESEARCHER = '0x1234567890123456789012345678901234567890';
+const OTHER_RESEARCHER = '0x0000000000000000000000000000000000000001';
+
+describe('PrivaSight API Server Tests', () => {
+  let server;
+  let privacyLayer;
+
+  beforeEach(async () => {
+    const vaults = new Map();
+    const computations = new Map();
+
+    privacyLayer = {
+      registerDataVault: async (dataVaultId) => {
+        if (vaults.has(dataVaultId)) {
+          throw new Error(`Data vault registration failed: Data vault ${dataVaultId} already registered`);
+        }
+        const vault = { id: dataVaultId, owner: RESEARCHER, dataHash: '0xabc', encryptionKeys: { secret: 'k' }, registeredAt: 1 };
+        vaults.set(dataVaultId, vault);
+        return vault;
+      },
+      getDataVault: (dataVaultId) => vaults.get(dataVaultId) || null,
+      getAllDataVaults: () => Array.from(vaults.values()),
+      processAccessRequest: async () => {
+        throw new Error('Access request processing failed: Access denied by policy: no access rule applies');
+      },
+      orchestrateComputation: async (requestId, researcher, dataVaultIds, computationType) => {
+        if (computations.has(requestId)) {
+          throw new Error(`Computation orchestration failed: Computation ${requestId} already exists`);
+        }
+        const computation = { id: requestId, researcher, dataVaultIds, computationType, status: 'preparing', startedAt: 1 };
+        computations.set(requestId, computation);
+        return computation;
+      },
+      getComputation: (computationId) => computations.get(computationId) || null,
+      getQuote: (quoteId) => (quoteId === 'quote-1' ? { id: 'quote-1', researcher: RESEARCHER, status: 'pending' } : null),
+      publishResults: async () => {
+        throw new Error('Results publication failed: not expected');
+      }
+    };
+
+    server = new ApiServer({
+      privacyLayer,
+      port: 0,
+      apiKeys: [{ key: API_KEY, researcher: RESEARCHER }, { key: OTHER_API_KEY, researcher: OTHER_RESEARCHER }, OPERATOR_KEY]
+    });
+    await server.start();
+  });
+
+  afterEach(async () => {
+    await server.stop();
+  });
+
+  /**
+   * Send a request to the test server
+   * @param {string} method - HTTP method
+   * @param {string} path - Request path
+   * @param {Object} [options={}] - Request options
+   * @param {*} [options.body] - JSON body
+   * @param {string|null} [options.apiKey=API_KEY] - Bearer API key
+   * @returns {Promise<Object>} Status code and parsed body
+   */
+  function request(method, path, { body, apiKey = API_KEY } = {}) {
+    return new Promise((resolve, reject) => {
+      const payload = body === undefined ? undefined : (typeof body === 'string' ? body : JSON.stringify(body));
+      const req = http.request({
+        host: '127.0.0.1',
+        port: server.port,
+        method,
+        path,
+        headers: {
+          'Content-Type': 'application/json',
+          ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {})
+        }
+      }, (res) => {
+        let data = '';
+        res.on('data', chunk => { data += chunk; });
+        res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(data) }));
+      });
+      req.on('error', reject);
+      req.end(payload);
+    });
+  }
+
+  test('Should register and fetch a data vault without exposing keys', async () => {
+    const created = await request('POST', '/vaults', { body: { dataVaultId: 'vault-1' } });
+    expect(created.status).toBe(201);
+    expect(created.body.id).toBe('vault-1');
+    expect(created.body.encryptionKeys).toBeUndefined();
+
+    const fetched = await request('GET', '/vaults/vault-1');
+    expect(fetched.status).toBe(200);
+    expect(fetched.body.owner).toBe(RESEARCHER);
+  });
+
+  test('Should reject requests without a valid API key', async () => {
+    const missing = await request('GET', '/vaults', { apiKey: null });
+    expect(missing.status).toBe(401);
+    expect(missing.body.error.code).toBe('UNAUTHORIZED');
+
+    const health = await request('GET', '/health', { apiKey: null });
+    expect(health.status).toBe(200);
+  });
+
+  test('Should act for the researcher the API key is bound to', async () => {
+    const started = await request('POST', '/computations', {
+      body: { requestId: 'req-1', dataVaultIds: ['vault-1'], computationType: 'average' }
+    });
+    expect(started.status).toBe(202);
+    expect(started.body.researcher).toBe(RESEARCHER);
+
+    const impersonating = await request('POST', '/computations', {
+      body: { requestId: 'req-2', researcher: OTHER_RESEARCHER, dataVaultIds: ['vault-1'], computationType: 'average' }
+    });
+    expect(impersonating.status).toBe(403);
+    expect(impersonating.body.error.message).toBe('API key is bound to another researcher');
+
+    const unbound = await request('POST', '/computations', {
+      apiKey: OPERATOR_KEY,
+      body: { requestId: 'req-3', researcher: RESEARCHER, dataVaultIds: ['vault-1'], computationType: 'average' }
+    });
+    expect(unbound.status).toBe(403);
+    expect(unbound.body.error.message).toBe('API key is not bound to a researcher');
+    expect(privacyLayer.getComputation('req-2')).toBeNull();
+    expect(privacyLayer.getComputation('req-3')).toBeNull();
+  });
+
+  test('Should serve computations and quotes only to their researcher or an operator', async () => {
+    await request('POST', '/computations', { body: { requestId: 'req-1', dataVaultIds: ['vault-1'], computationType: 'average' } });
+    privacyLayer.getComputation('req-1').status = 'completed';
+
+    for (const [method, path] of [
+      ['GET', '/computations/req-1'],
+      ['GET', '/computations/req-1/results'],
+      ['POST', '/computations/req-1/publish'],
+      ['GET', '/quotes/quote-1']
+    ]) {
+      const other = await request(method, path, { apiKey: OTHER_API_KEY });
+      expect(other.status).toBe(404);
+      expect(other.body.error.code).toBe('NOT_FOUND');
+    }
+
+    expect((await request('GET', '/computations/req-1/results')).status).toBe(200);
+    expect((await request('GET', '/quotes/quote-1')).status).toBe(200);
+    expect((await request('GET', '/computations/req-1', { apiKey: OPERATOR_KEY })).status).toBe(200);
+  });
+
+  test('Should refuse to start without API keys unless unauthenticated access is allowed', async () => {
+    expect(() => new ApiServer({ privacyLayer, port: 0 }))
+      .toThrow('API keys are required unless unauthenticated access is allowed');
+
+    const body = { requestId: 'req-1', researcher: RESEARCHER, dataVaultIds: ['vault-1'], computationType: 'average' };
+    await server.stop();
+    server = new ApiServer({ privacyLayer, port: 0, allowUnauthenticated: true });
+    await server.start();
+
+    const started = await request('POST', '/computations', { apiKey: null, body });
+    expect(started.status).toBe(202);
+    expect(started.body.researcher).toBe(RESEARCHER);
+
+    const anonymous = await request('POST', '/computations', { apiKey: null, body: { ...body, requestId: 'req-2', researcher: undefined } });
+    expect(anonymous.status).toBe(400);
+    expect(anonymous.body.error.details).toEqual([{ path: 'body.researcher', message: 'is required without authentication' }]);
+  });
+
+  test('Should return validation failures for invalid bodies', async () => {
+    const response = await request('POST', '/computations', {
+      body: { researcher: 'not-an-address', dataVaultIds: [], computationType: 'average', extra: true }
+    });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error.code).toBe('VALIDATION_ERROR');
+    const paths = response.body.error.details.map(detail => detail.path);
+    expect(paths).toContain('body.researcher');
+    expect(paths).toContain('body.dataVaultIds');
+    expect(paths).toContain('body.extra');
+
+    const malformed = await request('POST', '/vaults', { body: '{"dataVaultId":' });
+    expect(malformed.status).toBe(400);
+    expect(malformed.body.error.code).toBe('INVALID_JSON');
+  });
+
+  test('Should map Privacy Layer errors to HTTP statuses', async () => {
+    await request('POST', '/vaults', { body: { dataVaultId: 'vault-1' } });
+    const duplicate = await request('POST', '/vaults', { body: { dataVaultId: 'vault-1' } });
+    expect(duplicate.status).toBe(409);
+
+    const denied = await request('POST', '/access-requests', {
+      body: { listingId: 'listing-1', researcher: RESEARCHER, purpose: 'MEDICAL_RESEARCH' }
+    });
+    expect(denied.status).toBe(403);
+    expect(denied.body.error.code).toBe('FORBIDDEN');
+
+    const body = { requestId: 'req-1', dataVaultIds: ['vault-1'], computationType: 'average' };
+    await request('POST', '/computations', { body });
+    const reused = await request('POST', '/computations', { body });
+    expect(reused.status).toBe(409);
+    expect(reused.body.error.code).toBe('CONFLICT');
+
+    const missing = await request('GET', '/computations/unknown');
+    expect(missing.status).toBe(404);
+
+    const wrongMethod = await request('DELETE', '/vaults');
+    expect(wrongMethod.status).toBe(405);
+  });
+
+  test('Should start a computation and refuse results until it completes', async () => {
+    const started = await request('POST', '/computations', {
+      body: { requestId: 'req-1', researcher: RESEARCHER, dataVaultIds: ['vault-1'], computationType: 'average' }
+    });
+    expect(started.status).toBe(202);
+    expect(started.body.status).toBe('preparing');
+
+    const results = await request('GET', '/computations/req-1/results');
+    expect(results.status).toBe(409);
+    expect(results.body.error.message).toBe('Computation req-1 is preparing');
+  });
+
+  test('Should generate an OpenAPI document from the route definitions', async () => {
+    const document = generateOpenApiDocument(routes);
+    expect(document.openapi).toBe('3.0.3');
+    expect(document.paths['/vaults/{dataVaultId}'].get.operationId).toBe('getDataVault');
+    expect(document.paths['/computations'].post.responses[202]).toBeDefined();
+    expect(document.paths['/health'].get.security).toEqual([]);
+
+    const served = await request('GET', '/openapi.json');
+    expect(served.status).toBe(200);
+    expect(Object.keys(served.body.paths)).toEqual(Object.keys(document.paths));
+  });
+});
@@ -0,0 +1,141 @@
+/**
+ * @fileoverview Audit log tests for PrivaSight
+ *
+ * These tests verify that Privacy Layer events are recorded in a hash-chained
+ * log, that committed entries can be proven included against a checkpoint
+ * root, and that truncation, reordering and edits are detected.
+ */
+
+const EventEmitter = require('events');
+const { AuditLog, verifyAuditLog } = require('../../core/AuditLog');
+const { MemoryStateStore } = require('../../core/StateStore');
+
+describe('PrivaSight Audit Log Tests', () => {
+  let auditLog;
+
+  beforeEach(async () => {
+    auditLog = new AuditLog({ commitEvery: 4, commitIntervalMs: 0, treeDepth: 8 });
+    await auditLog.initialize();
+  });
+
+  afterEach(async () => {
+    await auditLog.close();
+  });
+
+  /**
+   * Append a number of generic entries
+   * @param {number} count - Number of entries
+   */
+  async function appendEntries(count) {
+    for (let i = 0; i < count; i++) {
+      await auditLog.append('access:requested', { requestId: `request-${i}`, researcher: '0xr1' });
+    }
+  }
+
+  test('Should record Privacy Layer events without secrets', async () => {
+    const privacyLayer = new EventEmitter();
+    auditLog.attach(privacyLayer);
+
+    privacyLayer.emit('vault:registered', { id: 'vault-1', owner: '0xowner', dataHash: '0xabc', encryptionKeys: { privateKey: 'secret' } });
+    privacyLayer.emit('access:granted', { dataVaultId: 'vault-1', listingId: '1', researcher: '0xr1', accessProof: { id: 'proof-1' }, accessKey: 'secret' });
+    privacyLayer.emit('computation:completed', { id: 'comp-1', results: { mean: 42 } });
+    privacyLayer.emit('unrelated:event', {});
+
+    const entries = auditLog.getEntries();
+    expect(entries.map(entry => entry.type)).toEqual(['vault:registered', 'access:granted', 'computation:completed']);
+    expect(JSON.stringify(entries)).not.toContain('secret');
+    expect(entries[1].payload.proofId).toBe('proof-1');
+    expect(entries[2].payload).not.toHaveProperty('results');
+    expect(entries[2].payload.resultsHash).toMatch(/^0x[0-9a-f]{64}$/);
+  });
+
+  test('Should not throw into the emitter when an event cannot be recorded', async () => {
+    const privacyLayer = new EventEmitter();
+    auditLog.attach(privacyLayer);
+
+    // A quote without a price fails its projection; the emit still returns
+    expect(() => privacyLayer.emit('computation:quoted', { id: 'quote-1' })).not.toThrow();
+    privacyLayer.emit('computation:completed', { id: 'comp-1', results: { mean: 42 } });
+    expect(auditLog.getEntries().map(entry => entry.type)).toEqual(['computation:completed']);
+  });
+
+  test('Should commit checkpoints and prove inclusion against their roots', async () => {
+    await appendEntries(6);
+    expect(auditLog.getCheckpoints()).toHaveLength(1);
+
+    await auditLog.commit();
+    const [first, latest] = auditLog.getCheckpoints();
+    expect(latest.fromSeq).toBe(4);
+    expect(latest.toSeq).toBe(5);
+
+    const inclusion = auditLog.getInclusionProof(2);
+    expect(auditLog.verifyInclusionProof(inclusion, latest.root)).toBe(true);
+
+    const historical = auditLog.getInclusionProof(2, first.checkpointId);
+    expect(auditLog.verifyInclusionProof(historical, first.root)).toBe(true);
+    expect(auditLog.verifyInclusionProof(historical, latest.root)).toBe(false);
+
+    const forged = { ...inclusion, entry: { ...inclusion.entry, payload: { requestId: 'forged' } } };
+    expect(auditLog.verifyInclusionProof(forged, latest.root)).toBe(false);
+  });
+
+  test('Should verify an untouched log', async () => {
+    await appendEntries(5);
+    const result = await auditLog.verify({ verifyRoots: true });
+
+    expect(result.valid).toBe(true);
+    expect(result.length).toBe(5);
+  });
+
+  test('Should detect an edited entry', async () => {
+    await appendEntries(3);
+    const entries = auditLog.getEntries().map(entry => ({ ...entry }));
+    entries[1] = { ...entries[1], payload: { requestId: 'request-1', researcher: '0xattacker' } };
+
+    const result = await verifyAuditLog(entries);
+    expect(result.valid).toBe(false);
+    expect(result.errors[0].reason).toContain('hash does not match');
+  });
+
+  test('Should detect reordered entries', async () => {
+    await appendEntries(3);
+    const entries = auditLog.getEntries();
+    const reordered = [entries[0], entries[2], entries[1]];
+
+    const result = await verifyAuditLog(reordered);
+    expect(result.valid).toBe(false);
+    expect(result.errors.some(error => error.reason.includes('does not chain'))).toBe(true);
+  });
+
+  test('Should detect truncation against checkpoints and anchors', async () => {
+    await appendEntries(6);
+    const entries = auditLog.getEntries();
+    const checkpoints = auditLog.getCheckpoints();
+
+    const truncated = await verifyAuditLog(entries.slice(0, 2), { checkpoints });
+    expect(truncated.valid).toBe(false);
+    expect(truncated.errors[0].reason).toContain('Log truncated');
+
+    const anchor = { seq: 5, hash: entries[5].hash };
+    const tailDropped = await verifyAuditLog(entries.slice(0, 5), { checkpoints, anchor });
+    expect(tailDropped.valid).toBe(false);
+  });
+
+  test('Should reload a persisted log and continue the chain', async () => {
+    const stateStore = new MemoryStateStore();
+    const persisted = new AuditLog({ stateStore, commitEvery: 2, commitIntervalMs: 0, treeDepth: 8 });
+    await persisted.initialize();
+    await persisted.append('vault:registered', { dataVaultId: 'vault-1' });
+    await persisted.append('vault:registered', { dataVaultId: 'vault-2' });
+    await persisted.append('vault:registered', { dataVaultId: 'vault-3' });
+    await persisted.close();
+
+    const reloaded = new AuditLog({ stateStore, commitEvery: 2, commitIntervalMs: 0, treeDepth: 8 });
+    await reloaded.initialize();
+    const entry = await reloaded.append('vault:registered', { dataVaultId: 'vault-4' });
+    await reloaded.close();
+
+    expect(entry.seq).toBe(3);
+    expect((await reloaded.verify({ verifyRoots: true })).valid).toBe(true);
+  });
+});
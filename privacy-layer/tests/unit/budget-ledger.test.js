@@ -0,0 +1,140 @@
+/**
+ * @fileoverview Privacy budget ledger tests for PrivaSight
+ *
+ * These tests verify that cumulative differential privacy loss is charged to
+ * every data vault and researcher involved in a computation, that
+ * computations exceeding an owner-configured cap are refused, and that a
+ * computation ID cannot be run again on its earlier charge.
+ */
+
+const BudgetLedger = require('../../core/BudgetLedger');
+const { createInMemoryContracts } = require('../../core/InMemoryContracts');
+const { createPrivacyLayer } = require('./helpers/privacy-layer');
+
+const OWNER = '0x00000000000000000000000000000000000000b1';
+const RESEARCHER = '0x00000000000000000000000000000000000000c1';
+
+describe('PrivaSight Budget Ledger Tests', () => {
+  let ledger;
+
+  beforeEach(() => {
+    ledger = new BudgetLedger({ defaultVaultEpsilon: 2, defaultVaultDelta: 1e-5 });
+  });
+
+  test('Should charge each vault and the researcher for a computation', () => {
+    ledger.charge({ computationId: 'comp-1', researcher: '0xr1', dataVaultIds: ['vault-1', 'vault-2'], epsilon: 0.5, delta: 1e-6 });
+    ledger.charge({ computationId: 'comp-2', researcher: '0xr1', dataVaultIds: ['vault-1'], epsilon: 0.25 });
+
+    const vault1 = ledger.getBudgetStatus('vault-1');
+    expect(vault1.spent.epsilon).toBeCloseTo(0.75);
+    expect(vault1.remaining.epsilon).toBeCloseTo(1.25);
+    expect(vault1.computations).toBe(2);
+    expect(ledger.getBudgetStatus('vault-2').spent.epsilon).toBeCloseTo(0.5);
+
+    const spend = ledger.getResearcherSpend('0xr1');
+    expect(spend.total.epsilon).toBeCloseTo(0.75);
+    expect(spend.byVault['vault-2'].epsilon).toBeCloseTo(0.5);
+  });
+
+  test('Should refuse a computation that exceeds an owner-configured cap', () => {
+    ledger.setVaultCap('vault-1', { epsilon: 1 }, '0xowner');
+    ledger.charge({ computationId: 'comp-1', researcher: '0xr1', dataVaultIds: ['vault-1'], epsilon: 0.6 });
+
+    expect(() => ledger.charge({
+      computationId: 'comp-2', researcher: '0xr2', dataVaultIds: ['vault-2', 'vault-1'], epsilon: 0.6
+    })).toThrow('Privacy budget exceeded for data vault vault-1');
+
+    // A refused computation must not be charged to any vault
+    expect(ledger.getBudgetStatus('vault-2').computations).toBe(0);
+    expect(ledger.getResearcherSpend('0xr2').computations).toBe(0);
+  });
+
+  test('Should allow spending the cap exactly despite floating point error', () => {
+    ledger.setVaultCap('vault-1', { epsilon: 0.3 });
+    ledger.charge({ computationId: 'comp-1', researcher: '0xr1', dataVaultIds: ['vault-1'], epsilon: 0.1 });
+    ledger.charge({ computationId: 'comp-2', researcher: '0xr1', dataVaultIds: ['vault-1'], epsilon: 0.2 });
+
+    expect(ledger.getBudgetStatus('vault-1').remaining.epsilon).toBeCloseTo(0);
+  });
+
+  test('Should enforce the per-researcher cap across vaults', () => {
+    ledger = new BudgetLedger({ defaultVaultEpsilon: 5, researcherEpsilon: 1 });
+    ledger.charge({ computationId: 'comp-1', researcher: '0xr1', dataVaultIds: ['vault-1'], epsilon: 0.8 });
+
+    expect(() => ledger.charge({
+      computationId: 'comp-2', researcher: '0xr1', dataVaultIds: ['vault-2'], epsilon: 0.5
+    })).toThrow('Privacy budget exceeded for researcher 0xr1');
+  });
+
+  test('Should not double charge a resumed computation and should support refunds', () => {
+    const first = ledger.charge({ computationId: 'comp-1', researcher: '0xr1', dataVaultIds: ['vault-1'], epsilon: 1 });
+    const second = ledger.charge({ computationId: 'comp-1', researcher: '0xr1', dataVaultIds: ['vault-1'], epsilon: 1, resume: true });
+
+    expect(second).toBe(first);
+    expect(() => ledger.charge({ computationId: 'comp-1', researcher: '0xr1', dataVaultIds: ['vault-1'], epsilon: 1 }))
+      .toThrow('Privacy budget already charged to computation comp-1');
+    expect(ledger.getBudgetStatus('vault-1').spent.epsilon).toBe(1);
+
+    ledger.refund('comp-1');
+    expect(ledger.getBudgetStatus('vault-1').spent.epsilon).toBe(0);
+  });
+
+  test('Should restore persisted caps and charges', () => {
+    const restored = new BudgetLedger();
+    restored.load({
+      caps: new Map([['vault-1', { epsilon: 3, delta: 1e-5 }]]),
+      charges: new Map([['comp-1', {
+        computationId: 'comp-1', researcher: '0xr1', dataVaultIds: ['vault-1'], epsilon: 2, delta: 0, chargedAt: 1
+      }]])
+    });
+
+    expect(restored.getBudgetStatus('vault-1').remaining.epsilon).toBe(1);
+  });
+
+  test('Should refuse to run a computation ID again instead of reusing its charge', async () => {
+    const { contracts } = createInMemoryContracts();
+    const setups = [];
+    const privacyLayer = createPrivacyLayer({
+      contracts,
+      smpcOrchestrator: {
+        setupComputation: async ({ computation }) => {
+          setups.push(computation.id);
+          return { id: computation.id };
+        }
+      },
+      differentialPrivacy: { generateParameters: () => ({ epsilon: 1, delta: 0 }) },
+      config: { privacyBudget: { defaultVaultEpsilon: 2 } }
+    });
+
+    try {
+      const mint = await contracts.dataVaultNFT.methods
+        .mintDataVault('ipfs://data', '0xkeyhash', '{}', 'medical', 'ipfs://meta', 0)
+        .send({ from: OWNER });
+      const tokenId = mint.events.DataVaultMinted.returnValues.tokenId;
+      const listing = await contracts.marketplace.methods
+        .createListing(tokenId, 100, 3, 1, 0, '', '', [], false, 0, 'Medical')
+        .send({ from: OWNER });
+      const listingId = listing.events.ListingCreated.returnValues.listingId;
+      await contracts.marketplace.methods.requestAccess(listingId, 'MEDICAL_RESEARCH', 100).send({ from: RESEARCHER });
+      await contracts.marketplace.methods.approveAccess(listingId, 0, 100).send({ from: OWNER });
+      await privacyLayer.registerDataVault(tokenId);
+      await privacyLayer.setupSecureAccess(listingId, RESEARCHER);
+
+      // Concurrent requests with one ID: only the first runs
+      const attempts = await Promise.allSettled([
+        privacyLayer.orchestrateComputation('comp-1', RESEARCHER, [tokenId], 'average'),
+        privacyLayer.orchestrateComputation('comp-1', RESEARCHER, [tokenId], 'average')
+      ]);
+      expect(attempts.map(attempt => attempt.status)).toEqual(['fulfilled', 'rejected']);
+      expect(attempts[1].reason.message).toContain('Computation comp-1 already exists');
+
+      await expect(privacyLayer.orchestrateComputation('comp-1', RESEARCHER, [tokenId], 'average'))
+        .rejects.toThrow('Computation comp-1 already exists');
+
+      expect(setups).toEqual(['comp-1']);
+      expect(privacyLayer.getBudgetStatus(tokenId).spent.epsilon).toBe(1);
+    } finally {
+      clearTimeout(privacyLayer.expiryTimer);
+    }
+  });
+});
@@ -0,0 +1,348 @@
+/**
+ * @fileoverview Operator CLI tests for PrivaSight
+ *
+ * These tests run the privasight command against a deployment: reads from a
+ * read-only snapshot of its state journal, which they leave untouched, and
+ * aborting computations, listing nodes, budget statistics and loading state
+ * files through the running service's API. They also cover table and JSON
+ * output, usage errors, and the Merkle tree and federated learning state
+ * file round trips.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const EventEmitter = require('events');
+const { run } = require('../../bin/privasight');
+const SMPCOrchestrator = require('../../core/SMPCOrchestrator');
+const { AuditLog } = require('../../core/AuditLog');
+const { FileStateStore, createStateStore } = require('../../core/StateStore');
+const { loadSnapshot } = require('../../core/StateSnapshot');
+const { CheckpointPhase } = require('../../smpc/checkpoints');
+const { ApiServer } = require('../../api/server');
+const { FederatedLearning } = require('../../smpc/analytics/federated-learning');
+const { createPrivacyLayer } = require('./helpers/privacy-layer');
+
+const OPERATOR_KEY = 'test-operator-key';
+const RESEARCHER_KEY = 'test-researcher-key';
+const RESEARCHER = '0x00000000000000000000000000000000000000c1';
+const TREE_DEPTH = 4;
+
+/**
+ * Stream that collects what is written to it
+ */
+class Capture {
+  constructor() {
+    this.text = '';
+  }
+
+  write(chunk) {
+    this.text += chunk;
+  }
+}
+
+describe('PrivaSight CLI Tests', () => {
+  let tmpDir;
+  let journal;
+  let stdout;
+  let stderr;
+
+  beforeEach(async () => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'privasight-cli-'));
+    journal = path.join(tmpDir, 'state', 'privacy-layer.jsonl');
+
+    // The journal a deployment left: a vault registered before versioning, an executing computation with an
+    // SMPC checkpoint and an unpublished one, each of which recovery would write to, and committed audit entries
+    const stateStore = new FileStateStore({ filePath: journal, fsync: false });
+    await stateStore.load();
+    await stateStore.put('dataVaults', '1', {
+      id: '1', owner: '0xowner', dataHash: 'ipfs://v1', dataCategory: 'medical', encryptionKeys: { privateKey: 'sk' }, registeredAt: 0
+    });
+    await stateStore.put('computations', 'comp-1', {
+      id: 'comp-1', researcher: '0xr1', dataVaultIds: ['1', '2'], computationType: 'average', status: 'executing', startedAt: 0
+    });
+    await stateStore.put('computations', 'comp-2', {
+      id: 'comp-2', researcher: '0xr2', dataVaultIds: ['1'], computationType: 'statistical', status: 'completed', results: {}, startedAt: 0
+    });
+    await stateStore.put('orchestratorCheckpoints', 'comp-1', {
+      id: 'comp-1', phase: CheckpointPhase.SHARED, state: 'computing', assignedNodes: ['node-1', 'node-2'], shareNotifications: {}, nodeResults: {}, savedAt: 5
+    });
+    const auditLog = new AuditLog({ stateStore, commitIntervalMs: 0, treeDepth: TREE_DEPTH });
+    await auditLog.initialize();
+    await auditLog.append('dataVault:registered', { id: '1' });
+    await auditLog.append('computation:started', { id: 'comp-1' });
+    await auditLog.commit();
+    await stateStore.close();
+
+    stdout = new Capture();
+    stderr = new Capture();
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  /**
+   * Load the snapshot the way the CLI does, from the journal opened read-only
+   * @returns {Promise<Object>} Snapshot
+   */
+  function inspect() {
+    return loadSnapshot({
+      stateStore: createStateStore({ adapter: 'file', path: journal, readOnly: true }),
+      zkpVerifier: { restoreProof: () => {} },
+      config: { audit: { treeDepth: TREE_DEPTH } }
+    });
+  }
+
+  /**
+   * Run the CLI against the journal and, for commands that need it, a service
+   * @param {Object|null} service - Running service, with its API server
+   * @param {string} apiKey - API key the CLI calls the service with
+   * @param {...string} argv - Command-line arguments
+   * @returns {Promise<number>} Exit code
+   */
+  function privasightWith(service, apiKey, ...argv) {
+    const env = service
+      ? { PRIVASIGHT_API_URL: `http://127.0.0.1:${service.server.port}`, PRIVASIGHT_API_KEY: apiKey }
+      : {};
+    return run(argv, { stdout, stderr, env, inspect });
+  }
+
+  /**
+   * Start a service over the journal: a Privacy Layer whose orchestrator runs
+   * comp-1 on two stand-in nodes, served by the API server
+   * @returns {Promise<Object>} Service components and the commands sent to the nodes
+   */
+  async function startService() {
+    const commands = [];
+    const nodes = new EventEmitter();
+    nodes.nodes = new Map([['node-1', {}], ['node-2', {}]]);
+    nodes.connectNode = async () => {};
+    nodes.getNodeLoad = async () => 0;
+    nodes.sendCommand = async (nodeId, command, params) => {
+      commands.push({ nodeId, command, params });
+      return { success: true };
+    };
+    nodes.getNodeInfo = nodeId => (nodes.nodes.has(nodeId)
+      ? {
+        success: true,
+        nodeId,
+        state: 'idle',
+        activeComputations: nodeId === 'node-1' ? ['comp-1'] : [],
+        reputation: nodeId === 'node-1'
+          ? { score: 1, benched: false, reason: null }
+          : { score: 0.2, benched: true, reason: '3 timeouts' }
+      }
+      : { success: false, error: `Node ${nodeId} not found` });
+
+    const orchestrator = new SMPCOrchestrator({
+      coordinator: nodes,
+      protocols: { average: { aggregateResults: async results => results[0], verifyResult: async () => true } },
+      config: { minNodes: 2, maxNodesPerComputation: 2 }
+    });
+    for (const id of ['node-1', 'node-2']) {
+      orchestrator.registerNode({ id, url: `ws://${id}`, supportedProtocols: ['average'], capabilities: { computePower: 1 } });
+      nodes.emit('node:connected', id);
+    }
+    await orchestrator.setupComputation({
+      computation: { id: 'comp-1', type: 'average', researcher: RESEARCHER, dataVaultIds: ['1'] },
+      privacyParameters: { epsilon: 1 }
+    });
+
+    const stateStore = new FileStateStore({ filePath: journal, fsync: false });
+    const auditLog = new AuditLog({ stateStore, commitIntervalMs: 0, treeDepth: TREE_DEPTH });
+    await auditLog.initialize();
+    const privacyLayer = createPrivacyLayer({
+      smpcOrchestrator: orchestrator,
+      differentialPrivacy: { getBudgetStatistics: () => ({ initialBudget: 10, remainingBudget: 7.5, queriesExecuted: 5 }) },
+      federatedLearning: new FederatedLearning(),
+      stateStore,
+      auditLog
+    });
+    privacyLayer.computations.set('comp-1', {
+      id: 'comp-1', researcher: RESEARCHER, dataVaultIds: ['1'], computationType: 'average', status: 'executing', startedAt: 0
+    });
+    privacyLayer.computations.set('comp-2', {
+      id: 'comp-2', researcher: RESEARCHER, dataVaultIds: ['1'], computationType: 'average', status: 'completed', startedAt: 0
+    });
+
+    const server = new ApiServer({ privacyLayer, port: 0, apiKeys: [OPERATOR_KEY, { key: RESEARCHER_KEY, researcher: RESEARCHER }] });
+    await server.start();
+    return { privacyLayer, auditLog, stateStore, server, commands };
+  }
+
+  /**
+   * Stop a service started by startService
+   * @param {Object} service - Service components
+   */
+  async function stopService({ server, auditLog, stateStore }) {
+    await server.stop();
+    await auditLog.close();
+    await stateStore.close();
+  }
+
+  test('Should print vaults and computations from a snapshot without touching the journal', async () => {
+    // A torn trailing write is left for the service to repair
+    fs.appendFileSync(journal, '{"op":"put","collection":"dataVaults"');
+    const before = fs.readFileSync(journal, 'utf8');
+    const privasight = (...argv) => privasightWith(null, null, ...argv);
+
+    expect(await privasight('vaults', 'list')).toBe(0);
+    const [header, row] = stdout.text.trim().split('\n');
+    expect(header.split(/\s+/)).toEqual(['ID', 'OWNER', 'CATEGORY', 'SENSITIVITY', 'REGISTERED']);
+    expect(row).toContain('0xowner');
+    expect(stdout.text).not.toContain('sk');
+
+    stdout.text = '';
+    expect(await privasight('vaults', 'show', '1', '--json')).toBe(0);
+    const vault = JSON.parse(stdout.text);
+    expect(vault.encryptionKeys).toBeUndefined();
+    expect(vault.currentVersion).toBeUndefined();
+    expect(vault.budget).toMatchObject({ dataVaultId: '1' });
+    expect(vault.budget.charges).toBeUndefined();
+
+    // Nothing is recovered: the executing computation is neither resumed nor failed
+    stdout.text = '';
+    expect(await privasight('computations', 'list', '--status=executing', '--json')).toBe(0);
+    expect(JSON.parse(stdout.text).map(computation => computation.id)).toEqual(['comp-1']);
+
+    stdout.text = '';
+    expect(await privasight('computations', 'show', 'comp-1', '--json')).toBe(0);
+    expect(JSON.parse(stdout.text)).toMatchObject({
+      status: 'executing',
+      smpc: { phase: CheckpointPhase.SHARED, state: 'computing', nodes: ['node-1', 'node-2'], checkpointedAt: 5 }
+    });
+
+    const treeFile = path.join(tmpDir, 'export', 'tree.json');
+    stdout.text = '';
+    expect(await privasight('merkle', 'export', treeFile, '--json')).toBe(0);
+    expect(JSON.parse(stdout.text)).toMatchObject({ depth: TREE_DEPTH, leaves: 2 });
+
+    expect(fs.readFileSync(journal, 'utf8')).toBe(before);
+    expect(fs.readdirSync(path.dirname(journal))).toEqual(['privacy-layer.jsonl']);
+  });
+
+  test('Should list nodes and budget statistics from the running service', async () => {
+    const service = await startService();
+    try {
+      const privasight = (...argv) => privasightWith(service, OPERATOR_KEY, ...argv);
+
+      expect(await privasight('nodes', 'list')).toBe(0);
+      expect(stdout.text.trim().split('\n').slice(1).map(line => line.split(/\s{2,}/))).toEqual([
+        ['node-1', 'idle', '1', '1.00'],
+        ['node-2', 'idle', '0', '0.20', '3 timeouts']
+      ]);
+
+      stdout.text = '';
+      expect(await privasight('nodes', 'show', 'node-2', '--json')).toBe(0);
+      expect(JSON.parse(stdout.text)).toMatchObject({ nodeId: 'node-2', reputation: { benched: true } });
+
+      stdout.text = '';
+      expect(await privasight('budget', 'stats')).toBe(0);
+      expect(stdout.text).toContain('remainingBudget  7.5');
+
+      // Keys bound to a researcher cannot operate the deployment
+      expect(await privasightWith(service, RESEARCHER_KEY, 'nodes', 'list')).toBe(1);
+      expect(stderr.text).toContain('operator routes need an operator key');
+    } finally {
+      await stopService(service);
+    }
+  });
+
+  test('Should abort a running computation on its nodes and cancel it through the service', async () => {
+    const service = await startService();
+    try {
+      const privasight = (...argv) => privasightWith(service, OPERATOR_KEY, ...argv);
+
+      expect(await privasight('computations', 'abort', 'comp-1', '--reason', 'Node misbehaving', '--json')).toBe(0);
+      expect(JSON.parse(stdout.text)).toEqual({ id: 'comp-1', aborted: true, cancelled: true, status: 'executing', reason: 'Node misbehaving' });
+      expect(service.commands.filter(({ command }) => command === 'abort').map(({ nodeId, params }) => [nodeId, params.reason]).sort())
+        .toEqual([['node-1', 'Node misbehaving'], ['node-2', 'Node misbehaving']]);
+      expect(service.privacyLayer.getComputation('comp-1')).toMatchObject({ status: 'cancelled', error: 'Node misbehaving' });
+
+      // A completed computation keeps its status
+      stdout.text = '';
+      expect(await privasight('computations', 'abort', 'comp-2', '--json')).toBe(0);
+      expect(JSON.parse(stdout.text)).toMatchObject({ aborted: false, cancelled: false, status: 'completed', reason: 'Aborted by operator' });
+    } finally {
+      await stopService(service);
+    }
+  });
+
+  test('Should report usage and lookup errors with distinct exit codes', async () => {
+    const service = await startService();
+    try {
+      const privasight = (...argv) => privasightWith(service, OPERATOR_KEY, ...argv);
+
+      expect(await privasight('vaults', 'show')).toBe(2);
+      expect(stderr.text).toContain('Usage: privasight');
+
+      stderr.text = '';
+      expect(await privasight('computations', 'abort', 'comp-1', '--reason')).toBe(2);
+      expect(stderr.text).toContain('Flag --reason requires a value');
+
+      stderr.text = '';
+      expect(await privasight('nodes', 'show', 'unknown')).toBe(1);
+      expect(stderr.text).toBe('privasight: Node unknown not found\n');
+
+      stderr.text = '';
+      expect(await privasight('nodes', 'list', '--api', 'http://127.0.0.1:1')).toBe(1);
+      expect(stderr.text).toContain('Cannot reach the API at http://127.0.0.1:1');
+    } finally {
+      await stopService(service);
+    }
+  });
+
+  test('Should export state files and load them into the service', async () => {
+    const service = await startService();
+    try {
+      const privasight = (...argv) => privasightWith(service, OPERATOR_KEY, ...argv);
+
+      // The commitment tree exported from the snapshot loads into the service's audit log
+      const treeFile = path.join(tmpDir, 'export', 'tree.json');
+      expect(await privasight('merkle', 'export', treeFile, '--json')).toBe(0);
+      const exported = JSON.parse(stdout.text);
+      const serviceTree = service.auditLog.tree;
+
+      stdout.text = '';
+      expect(await privasight('merkle', 'import', treeFile, '--json')).toBe(0);
+      expect(JSON.parse(stdout.text)).toEqual({ file: treeFile, leaves: 2, root: exported.root, checkpointId: 'checkpoint-0' });
+      expect(service.auditLog.tree).not.toBe(serviceTree);
+      expect(await service.auditLog.tree.getRoot()).toBe(exported.root);
+
+      // A tree that does not commit the log's entries is refused
+      const state = JSON.parse(fs.readFileSync(treeFile, 'utf8'));
+      state.leaves = state.leaves.slice(0, 1);
+      fs.writeFileSync(treeFile, JSON.stringify(state));
+      expect(await privasight('merkle', 'import', treeFile)).toBe(1);
+      expect(stderr.text).toContain('Commitment tree does not match the audit log');
+
+      // Federated learning state round-trips through the service
+      const modelFile = path.join(tmpDir, 'model.json');
+      fs.writeFileSync(modelFile, JSON.stringify({
+        modelType: 'custom', currentRound: 3, globalModel: { weights: [1, 2] }, modelMetrics: [{}], privacyBudgetUsed: 0.3, version: '1.0.0'
+      }));
+      stdout.text = '';
+      expect(await privasight('federated', 'import', modelFile, '--json')).toBe(0);
+      expect(JSON.parse(stdout.text)).toMatchObject({ modelType: 'custom', currentRound: 3, privacyBudgetUsed: 0.3, evaluations: 1 });
+      expect(service.privacyLayer.federatedLearning.globalModel).toEqual({ weights: [1, 2] });
+
+      const exportedModel = path.join(tmpDir, 'export', 'model.json');
+      stdout.text = '';
+      expect(await privasight('federated', 'export', exportedModel, '--json')).toBe(0);
+      expect(JSON.parse(stdout.text)).toMatchObject({ modelType: 'custom', currentRound: 3 });
+      expect(JSON.parse(fs.readFileSync(exportedModel, 'utf8')).globalModel).toEqual({ weights: [1, 2] });
+
+      stderr.text = '';
+      fs.writeFileSync(modelFile, JSON.stringify({ modelType: 'custom' }));
+      expect(await privasight('federated', 'import', modelFile)).toBe(1);
+      expect(stderr.text).toContain('Request validation failed');
+
+      stderr.text = '';
+      expect(await privasight('merkle', 'import', path.join(tmpDir, 'missing.json'))).toBe(1);
+      expect(stderr.text).toContain('Cannot read state file');
+    } finally {
+      await stopService(service);
+    }
+  });
+});
@@ -0,0 +1,222 @@
+/**
+ * @fileoverview Computation checkpoint tests for PrivaSight
+ *
+ * These tests cover keeping phase-level checkpoints of in-flight SMPC
+ * computations in the state store, reconciling a checkpoint with the status
+ * the nodes report after a restart, and how a restarted SMPC Orchestrator
+ * resumes a computation from its checkpoint instead of losing it.
+ */
+
+const EventEmitter = require('events');
+const SMPCOrchestrator = require('../../core/SMPCOrchestrator');
+const { MemoryStateStore } = require('../../core/StateStore');
+const { ComputationCheckpoints, CheckpointPhase, reconcileCheckpoint } = require('../../smpc/checkpoints');
+
+/**
+ * Coordinator stand-in whose nodes announce their share when told to share,
+ * report a result if they have one, and report the status of computation
+ * they still know
+ */
+class RestartableNodes extends EventEmitter {
+  constructor(statuses = {}) {
+    super();
+    this.statuses = statuses; // nodeId => status of the computation reported by the node
+    this.results = {}; // nodeId => result reported once told to share
+    this.commands = [];
+  }
+
+  async connectNode() {}
+
+  async getNodeLoad() {
+    return 0;
+  }
+
+  async sendCommand(nodeId, command, params) {
+    const { computationId } = params;
+    this.commands.push({ nodeId, command });
+
+    switch (command) {
+      case 'status':
+        if (!this.statuses[nodeId]) {
+          throw new Error(`Computation ${computationId} not found`);
+        }
+        return { type: 'computation_status', computationId, ...this.statuses[nodeId] };
+      case 'share':
+        setImmediate(() => {
+          this.emit('share:received', { computationId, nodeId, shareId: `share-${nodeId}` });
+          if (this.results[nodeId] !== undefined) {
+            this.emit('result:received', { computationId, nodeId, result: this.results[nodeId] });
+          }
+        });
+        return { success: true };
+      case 'reshare':
+        return { subShares: Object.fromEntries(Object.keys(params.points).map(helper => [helper, {}])), thresholds: {} };
+      case 'reshare_combine':
+        return { contribution: {} };
+      default:
+        return { success: true };
+    }
+  }
+}
+
+describe('PrivaSight Computation Checkpoint Tests', () => {
+  test('Should keep checkpoints in the state store until they are removed', async () => {
+    const stateStore = new MemoryStateStore();
+    const checkpoints = new ComputationCheckpoints({ stateStore });
+
+    await checkpoints.save({ id: 'c1', phase: CheckpointPhase.INITIALIZED, state: 'sharing', assignedNodes: ['node-1', 'node-2'] });
+    await expect(checkpoints.save({ id: 'c2', phase: 'computed', state: 'computing', assignedNodes: [] }))
+      .rejects.toThrow('Unknown checkpoint phase: computed');
+
+    // A restarted process reads them back
+    const restarted = new ComputationCheckpoints({ stateStore });
+    expect(await restarted.get('c1')).toMatchObject({ phase: 'initialized', shareNotifications: {}, nodeResults: {} });
+    expect((await restarted.list()).map(checkpoint => checkpoint.id)).toEqual(['c1']);
+
+    expect(await restarted.remove('c1')).toBe(true);
+    expect(await restarted.remove('c1')).toBe(false);
+    expect(await new ComputationCheckpoints({ stateStore }).get('c1')).toBeNull();
+  });
+
+  test('Should reconcile a checkpoint with what the nodes report', () => {
+    const checkpoint = {
+      id: 'c1',
+      phase: CheckpointPhase.SHARED,
+      state: 'computing',
+      assignedNodes: ['node-1', 'node-2', 'node-3', 'node-4'],
+      shareNotifications: { 'node-1': 'share-1' },
+      nodeResults: { 'node-1': 4 }
+    };
+
+    expect(reconcileCheckpoint(checkpoint, {
+      'node-1': null,
+      'node-2': { state: 'aggregating', shareId: 'share-2', result: 6 },
+      'node-3': { state: 'computing', shareId: 'share-3', result: null },
+      'node-4': null
+    })).toEqual({
+      shareNotifications: { 'node-1': 'share-1', 'node-2': 'share-2', 'node-3': 'share-3' },
+      nodeResults: { 'node-1': 4, 'node-2': 6 },
+      pending: ['node-3'],
+      lost: ['node-4']
+    });
+
+    // Before initialization no node knows the computation yet
+    const created = { ...checkpoint, phase: CheckpointPhase.CREATED, shareNotifications: {}, nodeResults: {} };
+    expect(reconcileCheckpoint(created, {})).toMatchObject({ pending: checkpoint.assignedNodes, lost: [] });
+  });
+
+  describe('SMPC Orchestrator', () => {
+    const createOrchestrator = (coordinator, checkpoints, nodeIds) => {
+      const orchestrator = new SMPCOrchestrator({
+        secretSharing: {},
+        coordinator,
+        protocols: {
+          average: {
+            aggregateResults: async results => ({ average: results.reduce((sum, value) => sum + value, 0) / results.length }),
+            verifyResult: async () => true
+          }
+        },
+        config: { minNodes: 3, maxNodesPerComputation: 3 },
+        checkpoints
+      });
+      for (const id of nodeIds) {
+        orchestrator.registerNode({ id, url: `ws://${id}`, supportedProtocols: ['average'], capabilities: { computePower: 1 } });
+        coordinator.emit('node:connected', id);
+      }
+      return orchestrator;
+    };
+
+    test('Should resume a computation after a restart from the last phase it completed', async () => {
+      const stateStore = new MemoryStateStore();
+      const before = new RestartableNodes();
+      const orchestrator = createOrchestrator(before, new ComputationCheckpoints({ stateStore }), ['node-1', 'node-2', 'node-3']);
+      const setup = await orchestrator.setupComputation({
+        computation: { id: 'c1', type: 'average', researcher: '0xr', dataVaultIds: ['1'] },
+        privacyParameters: { epsilon: 1 }
+      });
+      const executing = orchestrator.executeComputation(setup).catch(error => error);
+      for (let i = 0; i < 5; i++) await new Promise(resolve => setImmediate(resolve));
+
+      const checkpoint = await new ComputationCheckpoints({ stateStore }).get('c1');
+      expect(checkpoint).toMatchObject({
+        phase: 'shared',
+        state: 'computing',
+        assignedNodes: ['node-1', 'node-2', 'node-3'],
+        shareNotifications: { 'node-1': 'share-node-1', 'node-2': 'share-node-2', 'node-3': 'share-node-3' },
+        nodeResults: {}
+      });
+      expect(checkpoint.sessionKey).toBe(setup.sessionKey);
+
+      // While the orchestrator is down node-1 finishes and node-3 loses the computation
+      const nodes = new RestartableNodes({
+        'node-1': { state: 'aggregating', shareId: 'share-node-1', result: 4 },
+        'node-2': { state: 'computing', shareId: 'share-node-2', result: null }
+      });
+      nodes.results['node-4'] = 8;
+      const checkpoints = new ComputationCheckpoints({ stateStore });
+      const restarted = createOrchestrator(nodes, checkpoints, ['node-1', 'node-2', 'node-3', 'node-4']);
+      const resuming = [];
+      restarted.on('computation:resuming', event => {
+        resuming.push(event);
+        setImmediate(() => nodes.emit('result:received', { computationId: 'c1', nodeId: 'node-2', result: 6 }));
+      });
+
+      await expect(restarted.resumeComputation('c1')).resolves.toEqual({ average: 6 });
+
+      expect(resuming).toEqual([{ id: 'c1', phase: 'shared', pending: ['node-2'], lost: ['node-3'] }]);
+      expect(restarted.getComputationStatus('c1')).toMatchObject({ state: 'completed', nodeCount: 3 });
+      expect(restarted.getComputationStatus('c1').replacements[0]).toMatchObject({ nodeId: 'node-3', replacementId: 'node-4' });
+      // Only the replacement is initialized and told to share; the others resume where they were
+      expect(nodes.commands.filter(({ command }) => ['initialize', 'share'].includes(command)))
+        .toEqual([{ nodeId: 'node-4', command: 'initialize' }, { nodeId: 'node-4', command: 'share' }]);
+
+      await restarted.getComputationDetails('c1').checkpointed;
+      expect(await checkpoints.get('c1')).toBeNull();
+
+      // The computation that ran before the restart never finishes
+      await orchestrator.abortComputation('c1', 'Process stopped');
+      expect((await executing).message).toContain('Process stopped');
+    });
+
+    test('Should resume a computation interrupted before its nodes shared', async () => {
+      const stateStore = new MemoryStateStore();
+      const checkpoints = new ComputationCheckpoints({ stateStore });
+      await checkpoints.save({
+        id: 'c2',
+        sessionKey: 'session',
+        type: 'average',
+        dataVaultIds: ['1'],
+        researcher: '0xr',
+        threshold: 2,
+        privacyParameters: { epsilon: 1 },
+        phase: CheckpointPhase.INITIALIZED,
+        state: 'sharing',
+        assignedNodes: ['node-1', 'node-2', 'node-3'],
+        sharePoints: { 'node-1': 1, 'node-2': 2, 'node-3': 3 },
+        replacements: [],
+        shareNotifications: { 'node-1': 'share-node-1' },
+        receivedShares: 1,
+        expectedShares: 3,
+        startedAt: 0,
+        trace: null
+      });
+
+      const nodes = new RestartableNodes({
+        'node-1': { state: 'computing', shareId: 'share-node-1', result: null },
+        'node-2': { state: 'initializing', shareId: null, result: null },
+        'node-3': { state: 'initializing', shareId: null, result: null }
+      });
+      nodes.results = { 'node-2': 3, 'node-3': 5 };
+      const orchestrator = createOrchestrator(nodes, checkpoints, ['node-1', 'node-2', 'node-3']);
+      orchestrator.on('computation:resuming', () => {
+        setImmediate(() => nodes.emit('result:received', { computationId: 'c2', nodeId: 'node-1', result: 1 }));
+      });
+
+      await expect(orchestrator.resumeComputation('c2')).resolves.toEqual({ average: 3 });
+      expect(nodes.commands.filter(({ command }) => command === 'share').map(({ nodeId }) => nodeId)).toEqual(['node-2', 'node-3']);
+
+      await expect(orchestrator.resumeComputation('c3')).rejects.toThrow('No checkpoint of computation c3');
+      expect(await orchestrator.hasCheckpoint('c3')).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,157 @@
+/**
+ * @fileoverview Computation pipeline tests for PrivaSight
+ *
+ * These tests verify pipeline validation and ordering, and that the SMPC
+ * Orchestrator runs pipeline steps in dependency order while intermediate
+ * outputs stay on the nodes and only the output step is reconstructed.
+ */
+
+const EventEmitter = require('events');
+const ComputationPipeline = require('../../core/ComputationPipeline');
+const SMPCOrchestrator = require('../../core/SMPCOrchestrator');
+
+const NODE_IDS = ['node-1', 'node-2', 'node-3'];
+
+const STUDY = {
+  steps: [
+    { id: 'regression', type: 'statistical', operation: 'linear_regression', inputs: ['cohort', 'variance'] },
+    { id: 'cohort', type: 'filter', params: { minAge: 40 } },
+    { id: 'variance', type: 'statistical', operation: 'variance', inputs: ['cohort'] }
+  ]
+};
+
+/**
+ * Coordinator that plays the nodes: intermediate steps only report
+ * completion, the output step reports each node's share of the result
+ */
+class SimulatedCoordinator extends EventEmitter {
+  constructor() {
+    super();
+    this.commands = [];
+    this.reportedToOrchestrator = [];
+    this.failStep = null;
+  }
+
+  async getNodeLoad() {
+    return 0;
+  }
+
+  async sendCommand(nodeId, command, params) {
+    this.commands.push({ nodeId, command, params });
+    if (command !== 'share') return { success: true };
+
+    const { pipeline } = this.commands.find(entry =>
+      entry.command === 'initialize' && entry.nodeId === nodeId && entry.params.computationId === params.computationId
+    ).params;
+
+    setImmediate(() => {
+      if (params.computationId === this.failStep) {
+        this.emit('error', { computationId: params.computationId, nodeId, error: new Error('node crashed') });
+      } else if (pipeline.reveal) {
+        const result = { share: NODE_IDS.indexOf(nodeId) + 1 };
+        this.reportedToOrchestrator.push({ computationId: pipeline.computationId, result });
+        this.emit('result:received', { computationId: pipeline.computationId, nodeId, result });
+      } else {
+        this.reportedToOrchestrator.push({ computationId: params.computationId });
+        this.emit('step:completed', { computationId: params.computationId, nodeId, stepId: pipeline.stepId });
+      }
+    });
+    return { success: true };
+  }
+}
+
+describe('PrivaSight Computation Pipeline Tests', () => {
+  let coordinator;
+  let orchestrator;
+
+  beforeEach(() => {
+    coordinator = new SimulatedCoordinator();
+    const protocol = {
+      aggregateResults: async nodeResults => ({ value: nodeResults.reduce((sum, { share }) => sum + share, 0) }),
+      verifyResult: async () => true
+    };
+    orchestrator = new SMPCOrchestrator({
+      secretSharing: {},
+      coordinator,
+      protocols: { statistical: protocol, filter: protocol }
+    });
+    for (const id of NODE_IDS) {
+      orchestrator.nodeRegistry.set(id, { supportedProtocols: ['statistical', 'filter'], capabilities: {} });
+      orchestrator.activeNodes.add(id);
+    }
+  });
+
+  test('Should order steps so every step follows its inputs', () => {
+    const pipeline = new ComputationPipeline(STUDY);
+
+    expect(pipeline.order().map(step => step.id)).toEqual(['cohort', 'variance', 'regression']);
+    expect(pipeline.output).toBe('regression');
+    expect(pipeline.types()).toEqual(['statistical', 'filter']);
+  });
+
+  test('Should reject invalid pipelines', () => {
+    expect(() => new ComputationPipeline({ steps: [] })).toThrow('at least one step is required');
+    expect(() => new ComputationPipeline({
+      steps: [{ id: 'a', type: 'statistical', inputs: ['b'] }, { id: 'b', type: 'statistical', inputs: ['a'] }]
+    })).toThrow('form a cycle');
+    expect(() => new ComputationPipeline({
+      steps: [{ id: 'a', type: 'statistical', inputs: ['missing'] }]
+    })).toThrow('consumes unknown step missing');
+    expect(() => new ComputationPipeline({
+      steps: [{ id: 'a', type: 'statistical' }, { id: 'b', type: 'statistical' }]
+    })).toThrow('expected one output step, found a, b');
+    expect(() => new ComputationPipeline({
+      steps: [{ id: 'a', type: 'statistical' }, { id: 'b', type: 'statistical' }],
+      output: 'b'
+    })).toThrow('step a does not contribute to the output');
+  });
+
+  test('Should keep intermediate outputs on the nodes and reconstruct only the output step', async () => {
+    const setup = await orchestrator.setupComputation({
+      computation: { id: 'study-1', type: 'pipeline', researcher: '0xr1', dataVaultIds: ['1', '2'], pipeline: STUDY },
+      privacyParameters: { epsilon: 0.5 }
+    });
+
+    const result = await orchestrator.executeComputation(setup);
+
+    expect(result).toEqual({ value: 6 });
+
+    // Steps were initialized in dependency order, each naming its inputs by step computation ID
+    const initialized = coordinator.commands
+      .filter(entry => entry.command === 'initialize' && entry.nodeId === 'node-1')
+      .map(entry => entry.params);
+    expect(initialized.map(params => params.computationId)).toEqual(['study-1/cohort', 'study-1/variance', 'study-1/regression']);
+    expect(initialized[2].pipeline.inputs).toEqual(['study-1/cohort', 'study-1/variance']);
+    expect(initialized.map(params => params.pipeline.reveal)).toEqual([false, false, true]);
+
+    // Nothing but completion notices came back for the intermediate steps
+    const intermediate = coordinator.reportedToOrchestrator.filter(report => report.computationId !== 'study-1');
+    expect(intermediate.length).toBe(6);
+    expect(intermediate.every(report => report.result === undefined)).toBe(true);
+    expect(orchestrator.getComputationStatus('study-1').state).toBe('completed');
+  });
+
+  test('Should fail the pipeline when a node fails an intermediate step', async () => {
+    coordinator.failStep = 'study-2/variance';
+    const setup = await orchestrator.setupComputation({
+      computation: { id: 'study-2', type: 'pipeline', researcher: '0xr1', dataVaultIds: ['1'], pipeline: STUDY },
+      privacyParameters: { epsilon: 0.5 }
+    });
+
+    await expect(orchestrator.executeComputation(setup)).rejects.toThrow('Pipeline step study-2/variance failed on node');
+    expect(coordinator.commands.some(entry => entry.params.computationId === 'study-2/regression')).toBe(false);
+  });
+
+  test('Should refuse pipelines that use unsupported protocols', async () => {
+    await expect(orchestrator.setupComputation({
+      computation: {
+        id: 'study-3',
+        type: 'pipeline',
+        researcher: '0xr1',
+        dataVaultIds: ['1'],
+        pipeline: { steps: [{ id: 'fit', type: 'regression' }] }
+      },
+      privacyParameters: { epsilon: 0.5 }
+    })).rejects.toThrow('Unsupported computation type: regression');
+  });
+});
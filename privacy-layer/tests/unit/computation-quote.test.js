@@ -0,0 +1,207 @@
+/**
+ * @fileoverview Computation quoting tests for PrivaSight
+ *
+ * These tests run the Privacy Layer against the in-memory contracts with
+ * stubbed ZKP, SMPC and encryption components, covering quote contents,
+ * pricing from listing terms, and the quote checks made when a computation
+ * is orchestrated.
+ */
+
+const SMPCOrchestrator = require('../../core/SMPCOrchestrator');
+const { createInMemoryContracts } = require('../../core/InMemoryContracts');
+const { createPrivacyLayer } = require('./helpers/privacy-layer');
+
+const OWNER = '0x00000000000000000000000000000000000000b1';
+const RESEARCHER = '0x00000000000000000000000000000000000000c1';
+const OTHER_RESEARCHER = '0x00000000000000000000000000000000000000c2';
+
+const PAYMENT_MODEL_FIXED = 1;
+const PAYMENT_MODEL_PER_QUERY = 2;
+
+describe('PrivaSight Computation Quote Tests', () => {
+  let contracts;
+  let privacyLayer;
+
+  /**
+   * Mint and list a vault, optionally approving access for the researcher
+   * @param {Object} terms - Listing terms
+   * @param {number} terms.price - Listing price
+   * @param {number} terms.paymentModel - Listing payment model
+   * @param {boolean} [terms.grant=true] - Whether to grant the researcher access
+   * @returns {Promise<string>} Token ID of the vault
+   */
+  async function listVault({ price, paymentModel, grant = true }) {
+    const mint = await contracts.dataVaultNFT.methods
+      .mintDataVault('ipfs://data', '0xkeyhash', '{}', 'medical', 'ipfs://meta', 0)
+      .send({ from: OWNER });
+    const tokenId = mint.events.DataVaultMinted.returnValues.tokenId;
+    const listing = await contracts.marketplace.methods
+      .createListing(tokenId, price, 3, paymentModel, 0, '', '', [], false, 0, 'Medical')
+      .send({ from: OWNER });
+    const listingId = listing.events.ListingCreated.returnValues.listingId;
+
+    await privacyLayer.registerDataVault(tokenId);
+    if (grant) {
+      await contracts.marketplace.methods.requestAccess(listingId, 'MEDICAL_RESEARCH', price).send({ from: RESEARCHER });
+      await contracts.marketplace.methods.approveAccess(listingId, 0, price).send({ from: OWNER });
+      await privacyLayer.setupSecureAccess(listingId, RESEARCHER);
+    }
+    return tokenId;
+  }
+
+  beforeEach(() => {
+    ({ contracts } = createInMemoryContracts());
+    privacyLayer = createPrivacyLayer({ contracts });
+  });
+
+  afterEach(() => {
+    clearTimeout(privacyLayer.expiryTimer);
+  });
+
+  test('Should quote nodes, runtime, proof cost, budget and price from listing terms', async () => {
+    const perQuery = await listVault({ price: 250, paymentModel: PAYMENT_MODEL_PER_QUERY });
+    const fixedOwned = await listVault({ price: 1000, paymentModel: PAYMENT_MODEL_FIXED });
+    const fixedUnowned = await listVault({ price: 400, paymentModel: PAYMENT_MODEL_FIXED, grant: false });
+
+    const quote = await privacyLayer.quoteComputation({
+      researcher: RESEARCHER,
+      dataVaultIds: [perQuery, fixedOwned, fixedUnowned],
+      computationType: 'average',
+      privacyParameters: { epsilon: 0.5, delta: 1e-6 }
+    });
+
+    expect(quote.status).toBe('pending');
+    expect(quote.nodes).toEqual({ count: 3, threshold: 2 });
+    expect(quote.estimatedRuntimeMs).toBe(4500);
+    expect(quote.proofGeneration.estimatedMs).toBe(12000);
+    expect(quote.privacyBudget[perQuery].epsilon).toBe(0.5);
+    expect(quote.privacyBudget[perQuery].remainingAfter.epsilon).toBe(9.5);
+    expect(quote.privacyBudget[perQuery].sufficient).toBe(true);
+
+    // Per-query listings charge every computation; paid-for fixed access costs nothing more
+    expect(quote.price.byVault[perQuery].amount).toBe('250');
+    expect(quote.price.byVault[fixedOwned].amount).toBe('0');
+    expect(quote.price.byVault[fixedUnowned].amount).toBe('400');
+    expect(quote.price.total).toBe('650');
+    expect(quote.expiresAt - quote.quotedAt).toBe(900000);
+  });
+
+  test('Should refuse to orchestrate under a quote that was not accepted or has expired', async () => {
+    const tokenId = await listVault({ price: 100, paymentModel: PAYMENT_MODEL_PER_QUERY });
+    const quote = await privacyLayer.quoteComputation({ dataVaultIds: [tokenId], computationType: 'average' });
+
+    await expect(privacyLayer.orchestrateComputation('comp-1', RESEARCHER, [tokenId], 'average', { quoteId: quote.id }))
+      .rejects.toThrow(`Quote ${quote.id} was not accepted`);
+
+    await privacyLayer.acceptQuote(quote.id, RESEARCHER);
+    quote.expiresAt = Date.now() - 1;
+
+    await expect(privacyLayer.orchestrateComputation('comp-1', RESEARCHER, [tokenId], 'average', { quoteId: quote.id }))
+      .rejects.toThrow(`Quote ${quote.id} has expired`);
+    expect(privacyLayer.getComputation('comp-1')).toBeNull();
+  });
+
+  test('Should run an accepted quote once with the quoted privacy parameters', async () => {
+    const tokenId = await listVault({ price: 100, paymentModel: PAYMENT_MODEL_PER_QUERY });
+    const quote = await privacyLayer.quoteComputation({
+      dataVaultIds: [tokenId],
+      computationType: 'average',
+      privacyParameters: { epsilon: 0.3, delta: 0 }
+    });
+    await privacyLayer.acceptQuote(quote.id, RESEARCHER);
+
+    await expect(privacyLayer.orchestrateComputation('comp-1', OTHER_RESEARCHER, [tokenId], 'average', { quoteId: quote.id }))
+      .rejects.toThrow('does not match the requested computation');
+
+    const computation = await privacyLayer.orchestrateComputation('comp-1', RESEARCHER, [tokenId], 'average', { quoteId: quote.id });
+    expect(computation.quoteId).toBe(quote.id);
+    expect(computation.privacyCost.epsilon).toBe(0.3);
+    expect(privacyLayer.getQuote(quote.id).status).toBe('used');
+
+    await expect(privacyLayer.orchestrateComputation('comp-2', RESEARCHER, [tokenId], 'average', { quoteId: quote.id }))
+      .rejects.toThrow('was already used by computation comp-1');
+  });
+
+  test('Should give the quote back when its computation cannot be prepared', async () => {
+    const tokenId = await listVault({ price: 100, paymentModel: PAYMENT_MODEL_PER_QUERY });
+    const quote = await privacyLayer.quoteComputation({ dataVaultIds: [tokenId], computationType: 'average' });
+    await privacyLayer.acceptQuote(quote.id, RESEARCHER);
+
+    const setupComputation = privacyLayer.smpcOrchestrator.setupComputation;
+    privacyLayer.smpcOrchestrator.setupComputation = async () => {
+      throw new Error('No SMPC nodes available');
+    };
+    await expect(privacyLayer.orchestrateComputation('comp-1', RESEARCHER, [tokenId], 'average', { quoteId: quote.id }))
+      .rejects.toThrow('No SMPC nodes available');
+    expect(privacyLayer.getComputation('comp-1').status).toBe('failed');
+    expect(privacyLayer.getQuote(quote.id).status).toBe('accepted');
+
+    privacyLayer.smpcOrchestrator.setupComputation = setupComputation;
+    const computation = await privacyLayer.orchestrateComputation('comp-2', RESEARCHER, [tokenId], 'average', { quoteId: quote.id });
+    expect(computation.quoteId).toBe(quote.id);
+    expect(privacyLayer.getQuote(quote.id)).toMatchObject({ status: 'used', computationId: 'comp-2' });
+  });
+
+  test('Should keep the quote used when a computation with results fails to publish', async () => {
+    const tokenId = await listVault({ price: 100, paymentModel: PAYMENT_MODEL_PER_QUERY });
+    const quote = await privacyLayer.quoteComputation({ dataVaultIds: [tokenId], computationType: 'average' });
+    await privacyLayer.acceptQuote(quote.id, RESEARCHER);
+
+    privacyLayer.smpcOrchestrator.executeComputation = async () => ({ average: 52.25, count: 25 });
+    const generateComputationProof = privacyLayer.zkpVerifier.generateComputationProof;
+    privacyLayer.zkpVerifier.generateComputationProof = async () => {
+      throw new Error('Prover unavailable');
+    };
+    const publicationFailed = new Promise(resolve => privacyLayer.once('results:publication-failed', resolve));
+
+    await privacyLayer.orchestrateComputation('comp-1', RESEARCHER, [tokenId], 'average', { quoteId: quote.id });
+    expect(await publicationFailed).toEqual({ computationId: 'comp-1', error: 'Results publication failed: Prover unavailable' });
+    expect(privacyLayer.getComputation('comp-1')).toMatchObject({ status: 'completed', publicationError: 'Results publication failed: Prover unavailable' });
+    expect(privacyLayer.getQuote(quote.id)).toMatchObject({ status: 'used', computationId: 'comp-1' });
+    await expect(privacyLayer.orchestrateComputation('comp-2', RESEARCHER, [tokenId], 'average', { quoteId: quote.id }))
+      .rejects.toThrow('was already used by computation comp-1');
+
+    privacyLayer.zkpVerifier.generateComputationProof = generateComputationProof;
+    await privacyLayer.publishResults('comp-1');
+    expect(privacyLayer.getComputation('comp-1').publicationError).toBeUndefined();
+    expect(privacyLayer.getComputation('comp-1').publication).toBeDefined();
+  });
+
+  test('Should require a quote when configured to', async () => {
+    privacyLayer = createPrivacyLayer({ contracts, config: { quotes: { required: true } } });
+    const tokenId = await listVault({ price: 100, paymentModel: PAYMENT_MODEL_PER_QUERY });
+
+    await expect(privacyLayer.orchestrateComputation('comp-1', RESEARCHER, [tokenId], 'average'))
+      .rejects.toThrow('An accepted quote is required to start a computation');
+  });
+
+  test('Should not let another researcher accept a quote issued to someone else', async () => {
+    const tokenId = await listVault({ price: 100, paymentModel: PAYMENT_MODEL_PER_QUERY });
+    const quote = await privacyLayer.quoteComputation({ researcher: RESEARCHER, dataVaultIds: [tokenId], computationType: 'average' });
+
+    await expect(privacyLayer.acceptQuote(quote.id, OTHER_RESEARCHER)).rejects.toThrow('was issued to another researcher');
+  });
+
+  test('Should estimate runtime from completed computations of the same type', () => {
+    const orchestrator = new SMPCOrchestrator({
+      secretSharing: {},
+      coordinator: { on: () => {} },
+      protocols: { average: {} },
+      config: { estimatedMsPerShare: 100 }
+    });
+    for (const id of ['node-1', 'node-2', 'node-3', 'node-4']) {
+      orchestrator.nodeRegistry.set(id, { supportedProtocols: ['average'], capabilities: {} });
+      orchestrator.activeNodes.add(id);
+    }
+
+    const initial = orchestrator.estimateComputation({ type: 'average', dataVaultIds: ['1', '2'] });
+    expect(initial.nodeCount).toBe(4);
+    expect(initial.threshold).toBe(3);
+    expect(initial.estimatedRuntimeMs).toBe(800);
+
+    orchestrator.runtimeSamples.set('average', [50, 150, 400]);
+    expect(orchestrator.estimateComputation({ type: 'average', dataVaultIds: ['1', '2'] }).estimatedRuntimeMs).toBe(1600);
+    expect(() => orchestrator.estimateComputation({ type: 'regression', dataVaultIds: ['1'] }))
+      .toThrow('Unsupported computation type: regression');
+  });
+});
@@ -0,0 +1,239 @@
+/**
+ * @fileoverview Consent registry tests for PrivaSight
+ *
+ * These tests cover per-record consent in Merkle and sparse Merkle vault
+ * trees, signed withdrawal receipts, stale flagging of models trained on a
+ * withdrawn record, restoring consent state, and consent management through
+ * the Privacy Layer, which pins each computation's consent state and has the
+ * SMPC Orchestrator hand it to the nodes the computation runs on.
+ */
+
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const SMPCOrchestrator = require('../../core/SMPCOrchestrator');
+const { AuditLog } = require('../../core/AuditLog');
+const { MemoryStateStore } = require('../../core/StateStore');
+const { createInMemoryContracts } = require('../../core/InMemoryContracts');
+const { ConsentRegistry, ConsentStatus, verifyReceipt } = require('../../core/ConsentRegistry');
+const { FederatedLearning } = require('../../smpc/analytics/federated-learning');
+const { createPrivacyLayer } = require('./helpers/privacy-layer');
+
+const OWNER = '0x00000000000000000000000000000000000000b1';
+const RESEARCHER = '0x00000000000000000000000000000000000000c1';
+
+const RECORDS = [
+  { recordId: 'r1', commitment: '0x11', subject: 'subject-1' },
+  { recordId: 'r2', commitment: '0x22', subject: 'subject-2' },
+  { recordId: 'r3', commitment: '0x33', subject: 'subject-3' }
+];
+
+describe('PrivaSight Consent Registry Tests', () => {
+  let registry;
+
+  beforeEach(async () => {
+    registry = new ConsentRegistry();
+    await registry.initialize();
+    for (const record of RECORDS) {
+      await registry.recordConsent('vault-1', record);
+    }
+  });
+
+  test('Should remove a withdrawn record from the vault tree and future shares', async () => {
+    const tree = registry.trees.get('vault-1');
+    const root = await registry.getRoot('vault-1');
+
+    const receipt = await registry.withdrawConsent('vault-1', 'r2', { requestedBy: OWNER, reason: 'Subject request' });
+
+    expect(receipt.previousRoot).toBe(root);
+    expect(receipt.root).toBe(await registry.getRoot('vault-1'));
+    expect(receipt.root).not.toBe(root);
+    expect(tree.hasLeaf('r2')).toBe(false);
+    expect(registry.getRecord('vault-1', 'r2').status).toBe(ConsentStatus.WITHDRAWN);
+
+    const records = [{ id: 'r1', value: 4 }, { id: 'r2', value: 7 }, { id: 'r3', value: 9 }];
+    expect(registry.consentedRecords('vault-1', records).map(record => record.id)).toEqual(['r1', 'r3']);
+    expect(await registry.snapshot(['vault-1', 'vault-2'])).toEqual({
+      'vault-1': { root: receipt.root, consented: 2, withdrawn: ['r2'] }
+    });
+
+    await expect(registry.withdrawConsent('vault-1', 'r2')).rejects.toThrow('already withdrawn');
+    await expect(registry.recordConsent('vault-1', RECORDS[1])).rejects.toThrow('was withdrawn');
+    await expect(registry.withdrawConsent('vault-1', 'r9')).rejects.toThrow('No consent recorded');
+  });
+
+  test('Should sign withdrawal receipts that cannot be altered or attributed to another key', async () => {
+    const receipt = await registry.withdrawConsent('vault-1', 'r1', { requestedBy: OWNER });
+
+    expect(receipt).toMatchObject({ dataVaultId: 'vault-1', recordId: 'r1', subject: 'subject-1', requestedBy: OWNER });
+    expect(registry.getReceipt('vault-1', 'r1')).toBe(receipt);
+    expect(registry.verifyReceipt(receipt)).toBe(true);
+    expect(verifyReceipt({ ...receipt, recordId: 'r2' }, registry.publicKey)).toBe(false);
+
+    const { publicKey: otherKey } = crypto.generateKeyPairSync('ed25519');
+    expect(verifyReceipt(receipt, otherKey)).toBe(false);
+    expect(() => new ConsentRegistry({ signingKey: crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' }).privateKey }))
+      .toThrow('signed with ed25519 keys');
+  });
+
+  test('Should flag only the models trained on a withdrawn record as stale', async () => {
+    const federated = new FederatedLearning();
+    federated.initializeGlobalModel({ weights: [0.5, 0.5] });
+    const staleEvents = [];
+    federated.addEventListener('stale', stale => staleEvents.push(stale));
+    const regression = { markStale: details => { regression.stale = details; } };
+
+    await registry.registerArtifact({ artifactId: 'fl-1', kind: 'federated', model: federated, trainedOn: { 'vault-1': ['r1', 'r2'] } });
+    await registry.registerArtifact({ artifactId: 'reg-1', kind: 'regression', model: regression, trainedOn: { 'vault-1': ['r3'] } });
+
+    const receipt = await registry.withdrawConsent('vault-1', 'r2');
+
+    expect(receipt.staleArtifacts).toEqual(['fl-1']);
+    expect(federated.stale).toMatchObject({ reason: 'consent_withdrawn', withdrawnRecords: [{ dataVaultId: 'vault-1', recordId: 'r2' }] });
+    expect(federated.export().stale).toEqual(federated.stale);
+    expect(staleEvents.length).toBe(1);
+    expect(regression.stale).toBeUndefined();
+    expect(registry.getStaleArtifacts().map(artifact => artifact.artifactId)).toEqual(['fl-1']);
+
+    await expect(registry.registerArtifact({ artifactId: 'reg-2', kind: 'regression', trainedOn: { 'vault-1': ['r1', 'r2'] } }))
+      .rejects.toThrow('trained on records without consent in vault vault-1: r2');
+  });
+
+  test('Should reset a sparse tree leaf to its default on withdrawal', async () => {
+    const sparse = new ConsentRegistry({ treeType: 'sparse', treeDepth: 32 });
+    await sparse.recordConsent('vault-1', RECORDS[0]);
+    await sparse.recordConsent('vault-1', RECORDS[1]);
+    await sparse.withdrawConsent('vault-1', 'r1');
+
+    // The root is the one of a tree that never held the withdrawn record
+    const fresh = new ConsentRegistry({ treeType: 'sparse', treeDepth: 32 });
+    await fresh.recordConsent('vault-1', RECORDS[1]);
+    expect(await sparse.getRoot('vault-1')).toBe(await fresh.getRoot('vault-1'));
+
+    const tree = sparse.trees.get('vault-1');
+    expect(await tree.verifyProof(await tree.getProof('r2'))).toBe(true);
+    expect(() => new ConsentRegistry({ treeType: 'patricia' })).toThrow('Unknown consent tree type');
+  });
+
+  test('Should restore consent records, roots, receipts and stale artifacts', async () => {
+    const stateStore = new MemoryStateStore();
+    const { privateKey } = crypto.generateKeyPairSync('ed25519');
+    registry = new ConsentRegistry({ stateStore, signingKey: privateKey });
+    for (const record of RECORDS) {
+      await registry.recordConsent('vault-1', record);
+    }
+    await registry.registerArtifact({ artifactId: 'fl-1', kind: 'federated', trainedOn: { 'vault-1': ['r1'] } });
+    const receipt = await registry.withdrawConsent('vault-1', 'r1');
+
+    const restored = new ConsentRegistry({ stateStore, signingKey: privateKey });
+    await restored.initialize();
+
+    expect(await restored.getRoot('vault-1')).toBe(await registry.getRoot('vault-1'));
+    expect(restored.verifyReceipt(restored.getReceipt('vault-1', 'r1'))).toBe(true);
+    expect(restored.getReceipt('vault-1', 'r1').receiptId).toBe(receipt.receiptId);
+
+    const federated = new FederatedLearning();
+    restored.attachModel('fl-1', federated);
+    expect(federated.stale.withdrawnRecords).toEqual([{ dataVaultId: 'vault-1', recordId: 'r1' }]);
+  });
+
+  test('Should let only the vault owner manage consent and pin it for computations', async () => {
+    const { contracts } = createInMemoryContracts();
+    const auditLog = new AuditLog({ commitIntervalMs: 0 });
+    await auditLog.initialize();
+    const setups = [];
+    const privacyLayer = createPrivacyLayer({
+      contracts,
+      smpcOrchestrator: {
+        setupComputation: async ({ computation }) => {
+          setups.push(computation);
+          return { id: computation.id, consent: computation.consent };
+        }
+      },
+      auditLog,
+      consentRegistry: registry
+    });
+
+    try {
+      const mint = await contracts.dataVaultNFT.methods
+        .mintDataVault('ipfs://data', '0xkeyhash', '{}', 'medical', 'ipfs://meta', 0)
+        .send({ from: OWNER });
+      const tokenId = mint.events.DataVaultMinted.returnValues.tokenId;
+      const listing = await contracts.marketplace.methods
+        .createListing(tokenId, 100, 3, 1, 0, '', '', [], false, 0, 'Medical')
+        .send({ from: OWNER });
+      const listingId = listing.events.ListingCreated.returnValues.listingId;
+      await contracts.marketplace.methods.requestAccess(listingId, 'MEDICAL_RESEARCH', 100).send({ from: RESEARCHER });
+      await contracts.marketplace.methods.approveAccess(listingId, 0, 100).send({ from: OWNER });
+      await privacyLayer.registerDataVault(tokenId);
+      await privacyLayer.setupSecureAccess(listingId, RESEARCHER);
+
+      await expect(privacyLayer.recordConsent(tokenId, RESEARCHER, RECORDS))
+        .rejects.toThrow(`Only the owner of data vault ${tokenId} can record consent for it`);
+      const recorded = await privacyLayer.recordConsent(tokenId, OWNER, RECORDS);
+      expect(recorded.records).toBe(3);
+
+      await expect(privacyLayer.withdrawConsent(tokenId, 'r3', RESEARCHER)).rejects.toThrow('Consent withdrawal failed');
+      const receipt = await privacyLayer.withdrawConsent(tokenId, 'r3', OWNER, { reason: 'Subject request' });
+      expect(receipt.requestedBy).toBe(OWNER);
+
+      await privacyLayer.orchestrateComputation('c1', RESEARCHER, [tokenId], 'average');
+      expect(setups[0].consent).toEqual({ [tokenId]: { root: receipt.root, consented: 2, withdrawn: ['r3'] } });
+      expect(privacyLayer.getComputation('c1').consent[tokenId].withdrawn).toEqual(['r3']);
+
+      const withdrawal = auditLog.entries.find(entry => entry.type === 'consent:withdrawn');
+      expect(withdrawal.payload).toMatchObject({ receiptId: receipt.receiptId, recordId: 'r3', root: receipt.root });
+      expect(withdrawal.payload.subject).toBeUndefined();
+    } finally {
+      clearTimeout(privacyLayer.expiryTimer);
+      await auditLog.close();
+    }
+  });
+
+  test('Should send the pinned consent to the nodes and fail when a node holds withdrawn records', async () => {
+    const consent = { 'vault-1': { root: '0xroot', consented: 2, withdrawn: ['r2'] } };
+    const commands = [];
+    // Nodes report their share as their result, except one dealt a share that includes r2
+    const nodes = new EventEmitter();
+    nodes.connectNode = async () => {};
+    nodes.getNodeLoad = async () => 0;
+    nodes.sendCommand = async (nodeId, command, params) => {
+      commands.push({ nodeId, command, params });
+      if (command === 'share' && nodeId === nodes.withdrawnHolder) {
+        throw new Error(`Node ${nodeId} rejected share: Share includes record r2 of data vault vault-1, whose consent was withdrawn`);
+      }
+      if (command === 'share') {
+        setImmediate(() => nodes.emit('result:received', { computationId: params.computationId, nodeId, result: { count: 1 } }));
+      }
+      return { success: true };
+    };
+    const orchestrator = new SMPCOrchestrator({
+      coordinator: nodes,
+      protocols: {
+        average: {
+          aggregateResults: async results => ({ count: results.reduce((sum, result) => sum + result.count, 0) }),
+          verifyResult: async () => true
+        }
+      },
+      config: { minNodes: 2, maxNodesPerComputation: 2 }
+    });
+    for (const id of ['node-1', 'node-2']) {
+      orchestrator.registerNode({ id, url: `ws://${id}`, supportedProtocols: ['average'], capabilities: { computePower: 1 } });
+      nodes.emit('node:connected', id);
+    }
+    const run = async (id) => orchestrator.executeComputation(await orchestrator.setupComputation({
+      computation: { id, type: 'average', researcher: RESEARCHER, dataVaultIds: ['vault-1'], consent },
+      privacyParameters: { epsilon: 1 }
+    }));
+
+    await expect(run('c1')).resolves.toEqual({ count: 2 });
+    const initialized = commands.filter(({ command }) => command === 'initialize');
+    expect(initialized.map(({ nodeId }) => nodeId).sort()).toEqual(['node-1', 'node-2']);
+    for (const { params } of initialized) {
+      expect(params.consent).toEqual(consent);
+    }
+
+    nodes.withdrawnHolder = 'node-2';
+    await expect(run('c2')).rejects.toThrow('whose consent was withdrawn');
+    expect(orchestrator.getComputationStatus('c2').state).toBe('failed');
+  });
+});
@@ -0,0 +1,188 @@
+/**
+ * @fileoverview Coordinator failover tests for PrivaSight
+ *
+ * These tests cover running several SMPC coordinators: the leases they elect
+ * their leader with, in memory and on disk, how leadership moves to another
+ * coordinator when the leader stops or loses the store, and how the next
+ * leader picks up the checkpoints and queue the previous one left behind.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MemoryCoordinatorStore, FileCoordinatorStore, createCoordinatorStore } = require('../../smpc/coordinator-store');
+const { LeaderElection } = require('../../smpc/leader-election');
+const { ComputationCheckpoints, CheckpointPhase } = require('../../smpc/checkpoints');
+const { Direction, validateMessage } = require('../../smpc/protocol');
+
+const TTL = 1000;
+
+describe('PrivaSight Coordinator Failover Tests', () => {
+  let clock;
+  let tmpDir;
+
+  beforeEach(() => {
+    clock = 0;
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'privasight-failover-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('Should grant a lease to one coordinator at a time, counting up terms', async () => {
+    const store = new MemoryCoordinatorStore({ now: () => clock });
+    const a = { holder: 'coordinator-a', ttl: TTL, url: 'ws://a:8080' };
+    const b = { holder: 'coordinator-b', ttl: TTL, url: 'ws://b:8080' };
+
+    expect(await store.acquireLease('leader', a)).toEqual({ holder: 'coordinator-a', url: 'ws://a:8080', term: 1, acquiredAt: 0, expiresAt: TTL });
+    expect(await store.acquireLease('leader', b)).toBeNull();
+
+    // Renewing keeps the term
+    clock = 600;
+    expect(await store.acquireLease('leader', a)).toMatchObject({ term: 1, acquiredAt: 0, expiresAt: 1600 });
+    expect(await store.releaseLease('leader', 'coordinator-b')).toBe(false);
+
+    // A lapsed lease goes to whoever asks next, under a new term
+    clock = 1600;
+    expect(await store.getLease('leader')).toBeNull();
+    expect(await store.acquireLease('leader', b)).toMatchObject({ holder: 'coordinator-b', term: 2 });
+    expect(await store.getLease('leader')).toMatchObject({ holder: 'coordinator-b', url: 'ws://b:8080' });
+
+    // A released lease is free at once, and terms still count up
+    expect(await store.releaseLease('leader', 'coordinator-b')).toBe(true);
+    expect(await store.acquireLease('leader', a)).toMatchObject({ holder: 'coordinator-a', term: 3 });
+
+    expect(createCoordinatorStore()).toBeInstanceOf(MemoryCoordinatorStore);
+    expect(() => createCoordinatorStore({ adapter: 'redis' })).toThrow('Unknown coordinator store adapter: redis');
+  });
+
+  test('Should share leases and state between coordinators through files', async () => {
+    const filePath = path.join(tmpDir, 'coordinators.jsonl');
+    const first = new FileCoordinatorStore({ filePath, fsync: false, now: () => clock });
+    const second = createCoordinatorStore({ adapter: 'file', path: filePath, fsync: false });
+    second.now = () => clock;
+
+    // Contending coordinators never both win the lease
+    const leases = await Promise.all([
+      first.acquireLease('leader', { holder: 'coordinator-a', ttl: TTL }),
+      second.acquireLease('leader', { holder: 'coordinator-b', ttl: TTL })
+    ]);
+    expect(leases.filter(Boolean)).toHaveLength(1);
+    const [leader, follower] = leases[0] ? [first, second] : [second, first];
+    const leaderId = leases[0] ? 'coordinator-a' : 'coordinator-b';
+    expect(await follower.getLease('leader')).toMatchObject({ holder: leaderId, term: 1 });
+    expect(fs.existsSync(`${filePath}.leases.lock`)).toBe(false);
+
+    // The leader checkpoints and queues; the follower reads both once it takes over
+    const checkpoints = new ComputationCheckpoints({ stateStore: leader, collection: 'coordinatorCheckpoints' });
+    await leader.load();
+    await checkpoints.save({ id: 'comp-1', phase: CheckpointPhase.INITIALIZED, state: 'distributing', assignedNodes: ['node-1', 'node-2'] });
+    await leader.put('coordinatorQueue', 'queued-1', { id: 'queued-1', params: { type: 'average' }, queuedAt: 5 });
+    await leader.close();
+
+    clock = TTL;
+    const takenOver = await follower.acquireLease('leader', { holder: 'coordinator-c', ttl: TTL });
+    expect(takenOver).toMatchObject({ holder: 'coordinator-c', term: 2 });
+    const resumed = new ComputationCheckpoints({ stateStore: follower, collection: 'coordinatorCheckpoints' });
+    expect(await resumed.get('comp-1')).toMatchObject({ phase: CheckpointPhase.INITIALIZED, assignedNodes: ['node-1', 'node-2'] });
+    expect(Array.from((await follower.load()).coordinatorQueue.values())).toEqual([{ id: 'queued-1', params: { type: 'average' }, queuedAt: 5 }]);
+    await follower.close();
+
+    // A lock left by a crashed coordinator is broken once stale
+    fs.writeFileSync(`${filePath}.leases.lock`, '');
+    const past = new Date(Date.now() - 60000);
+    fs.utimesSync(`${filePath}.leases.lock`, past, past);
+    expect(await first.releaseLease('leader', 'coordinator-c')).toBe(true);
+    expect(fs.existsSync(`${filePath}.leases.lock`)).toBe(false);
+  });
+
+  test('Should pick up the checkpoints the previous leader wrote after loading', async () => {
+    const store = new MemoryCoordinatorStore();
+    const previousLeader = new ComputationCheckpoints({ stateStore: store, collection: 'coordinatorCheckpoints' });
+    const nextLeader = new ComputationCheckpoints({ stateStore: store, collection: 'coordinatorCheckpoints' });
+
+    expect(await nextLeader.list()).toEqual([]);
+    await previousLeader.save({ id: 'comp-1', phase: CheckpointPhase.SHARED, state: 'processing', assignedNodes: ['node-1'] });
+    expect(await nextLeader.get('comp-1')).toBeNull();
+
+    nextLeader.reload();
+    expect(await nextLeader.get('comp-1')).toMatchObject({ phase: CheckpointPhase.SHARED, state: 'processing' });
+  });
+
+  test('Should fail over to another coordinator when the leader stops renewing its lease', async () => {
+    const store = new MemoryCoordinatorStore({ now: () => clock });
+    const candidate = (candidateId, url) => new LeaderElection({ store, candidateId, url, leaseTtl: TTL, now: () => clock });
+    const a = candidate('coordinator-a', 'ws://a:8080');
+    const b = candidate('coordinator-b', 'ws://b:8080');
+    const events = [];
+    for (const [name, election] of [['a', a], ['b', b]]) {
+      for (const event of ['elected', 'deposed', 'leader:changed']) {
+        election.on(event, info => events.push([name, event, info && info.leaderId, info && info.term]));
+      }
+    }
+
+    await a.campaign();
+    await b.campaign();
+    expect(a.isLeader).toBe(true);
+    expect(b.isLeader).toBe(false);
+    expect(b.leader()).toEqual({ leaderId: 'coordinator-a', url: 'ws://a:8080', term: 1 });
+    expect(a.renewInterval).toBe(333);
+
+    // Renewals keep the term and elect nobody anew
+    clock = 300;
+    await Promise.all([a.campaign(), a.campaign()]);
+    await b.campaign();
+    expect(events).toEqual([['a', 'elected', 'coordinator-a', 1], ['b', 'leader:changed', 'coordinator-a', 1]]);
+
+    // The leader hangs; its lease lapses and the follower takes over
+    clock = 1400;
+    await b.campaign();
+    expect(b.isLeader).toBe(true);
+    expect(b.leader()).toEqual({ leaderId: 'coordinator-b', url: 'ws://b:8080', term: 2 });
+
+    // The old leader learns it was deposed as soon as it runs again
+    await a.campaign();
+    expect(a.isLeader).toBe(false);
+    expect(events.slice(2)).toEqual([
+      ['b', 'elected', 'coordinator-b', 2],
+      ['a', 'deposed', 'coordinator-b', 2],
+      ['a', 'leader:changed', 'coordinator-b', 2]
+    ]);
+
+    // Stopping hands the lease over at once
+    await b.stop();
+    await a.campaign();
+    expect(a.leader()).toMatchObject({ leaderId: 'coordinator-a', term: 3 });
+  });
+
+  test('Should step down before its lease can lapse when the store is unreachable', async () => {
+    const store = new MemoryCoordinatorStore({ now: () => clock });
+    const election = new LeaderElection({ store, candidateId: 'coordinator-a', leaseTtl: TTL, now: () => clock });
+    const deposed = [];
+    election.on('deposed', leader => deposed.push(leader));
+
+    await election.campaign();
+    store.acquireLease = async () => {
+      throw new Error('Store unreachable');
+    };
+
+    // One failed renewal is ridden out while the lease has time left
+    clock = 333;
+    await election.campaign();
+    expect(election.isLeader).toBe(true);
+
+    clock = 700;
+    await election.campaign();
+    expect(election.isLeader).toBe(false);
+    expect(deposed).toEqual([null]);
+
+    expect(() => new LeaderElection({ candidateId: 'coordinator-a' })).toThrow('Leader election requires a coordinator store');
+  });
+
+  test('Should redirect nodes to the leader in the wire protocol', () => {
+    expect(validateMessage({ type: 'redirect', leaderId: 'coordinator-b', leaderUrl: 'ws://b:8080' }, Direction.TO_NODE)).toBeTruthy();
+    expect(validateMessage({ type: 'redirect' }, Direction.TO_NODE)).toBeTruthy();
+    expect(() => validateMessage({ type: 'redirect', leaderUrl: null }, Direction.TO_NODE)).toThrow('Invalid redirect message');
+  });
+});
@@ -0,0 +1,167 @@
+/**
+ * @fileoverview Data residency tests for PrivaSight
+ *
+ * These tests cover the data-residency constraints vaults declare on the
+ * regions and organizations that may process their data, and how the SMPC
+ * Orchestrator and the Privacy Layer only run computations on nodes that
+ * satisfy every involved vault.
+ */
+
+const EventEmitter = require('events');
+const SMPCOrchestrator = require('../../core/SMPCOrchestrator');
+const { createInMemoryContracts } = require('../../core/InMemoryContracts');
+const {
+  normalizeResidency,
+  checkResidencyConflicts,
+  residencyViolations,
+  partitionByResidency
+} = require('../../smpc/residency');
+const { createPrivacyLayer } = require('./helpers/privacy-layer');
+
+const OWNER = '0x00000000000000000000000000000000000000b1';
+const RESEARCHER = '0x00000000000000000000000000000000000000c1';
+
+const EU_ONLY = { allowedRegions: ['eu-west', 'eu-central'] };
+const HOSPITAL_OPERATED = { allowedOrganizations: ['st-marys'] };
+
+/**
+ * Coordinator stand-in whose nodes answer every command
+ */
+class StubCoordinator extends EventEmitter {
+  async connectNode() {}
+
+  async getNodeLoad() {
+    return 0;
+  }
+
+  async sendCommand() {
+    return { success: true };
+  }
+}
+
+describe('PrivaSight Data Residency Tests', () => {
+  test('Should normalize constraints and tell which nodes violate them', () => {
+    expect(normalizeResidency(null)).toBeNull();
+    expect(normalizeResidency({})).toBeNull();
+    expect(normalizeResidency({ allowedRegions: ['eu-west', 'eu-central', 'eu-west'] }))
+      .toEqual({ allowedRegions: ['eu-central', 'eu-west'], allowedOrganizations: null });
+    expect(() => normalizeResidency({ allowedOrganizations: [] })).toThrow('Allowed organizations must be a non-empty list');
+
+    const constraints = { 'vault-1': normalizeResidency(EU_ONLY), 'vault-2': normalizeResidency(HOSPITAL_OPERATED) };
+    expect(residencyViolations({ region: 'eu-west', organization: 'st-marys' }, constraints)).toEqual([]);
+    expect(residencyViolations({ region: 'us-east', organization: 'st-marys' }, constraints))
+      .toEqual(['region us-east not allowed by vault vault-1']);
+    expect(residencyViolations({}, constraints)).toEqual([
+      'no region advertised, required by vault vault-1',
+      'no organization advertised, required by vault vault-2'
+    ]);
+
+    const { allowed, excluded } = partitionByResidency([
+      { id: 'node-1', capabilities: { region: 'eu-central', organization: 'st-marys' } },
+      { id: 'node-2', capabilities: { region: 'eu-central', organization: 'cloudco' } }
+    ], constraints);
+    expect(allowed.map(node => node.id)).toEqual(['node-1']);
+    expect(excluded).toEqual([{ id: 'node-2', violations: ['organization cloudco not allowed by vault vault-2'] }]);
+
+    // Vaults that allow no common region cannot be computed over together
+    expect(() => checkResidencyConflicts({ 'vault-1': EU_ONLY, 'vault-3': { allowedRegions: ['us-east'] } }))
+      .toThrow('Data residency constraints conflict: no region is allowed by every vault (vault vault-1 allows eu-west, eu-central; vault vault-3 allows us-east)');
+  });
+
+  describe('SMPC Orchestrator', () => {
+    let coordinator;
+    let orchestrator;
+
+    const register = (id, capabilities) => {
+      orchestrator.registerNode({ id, url: `ws://${id}`, supportedProtocols: ['average'], capabilities: { computePower: 1, ...capabilities } });
+      coordinator.emit('node:connected', id);
+    };
+
+    const setup = (id, residency, dataVaultIds = Object.keys(residency)) => orchestrator.setupComputation({
+      computation: { id, type: 'average', researcher: '0xr', dataVaultIds, residency },
+      privacyParameters: { epsilon: 1 }
+    });
+
+    beforeEach(() => {
+      coordinator = new StubCoordinator();
+      orchestrator = new SMPCOrchestrator({
+        secretSharing: {},
+        coordinator,
+        protocols: { average: { aggregateResults: async () => ({}), verifyResult: async () => true } },
+        config: { minNodes: 3, maxNodesPerComputation: 5 }
+      });
+      register('eu-1', { region: 'eu-west', organization: 'st-marys' });
+      register('eu-2', { region: 'eu-central', organization: 'st-marys' });
+      register('eu-3', { region: 'eu-west', organization: 'cloudco' });
+      register('us-1', { region: 'us-east', organization: 'st-marys' });
+      register('anon', {});
+    });
+
+    test('Should only select nodes that satisfy every vault', async () => {
+      const euOnly = await setup('c1', { 'vault-1': normalizeResidency(EU_ONLY) });
+      expect(euOnly.nodeIds.sort()).toEqual(['eu-1', 'eu-2', 'eu-3']);
+      expect(orchestrator.estimateComputation({ type: 'average', dataVaultIds: ['vault-1'], residency: { 'vault-1': EU_ONLY } }).nodeCount).toBe(3);
+
+      const unrestricted = await setup('c2', null, ['vault-2']);
+      expect(unrestricted.nodeIds).toHaveLength(5);
+    });
+
+    test('Should say which nodes were left out when no valid set exists', async () => {
+      await expect(setup('c1', {
+        'vault-1': normalizeResidency(EU_ONLY),
+        'vault-2': normalizeResidency(HOSPITAL_OPERATED)
+      })).rejects.toThrow(
+        'Not enough nodes available: found 2 (3 outside data residency), need 3; excluded by data residency: ' +
+        'eu-3 (organization cloudco not allowed by vault vault-2), ' +
+        'us-1 (region us-east not allowed by vault vault-1), ' +
+        'anon (no region advertised, required by vault vault-1, no organization advertised, required by vault vault-2)'
+      );
+
+      await expect(setup('c2', { 'vault-1': EU_ONLY, 'vault-3': { allowedRegions: ['us-east'] } }))
+        .rejects.toThrow('Data residency constraints conflict: no region is allowed by every vault');
+      expect(orchestrator.getComputationStatus('c1')).toBeNull();
+    });
+  });
+
+  test('Should let vault owners declare residency and pass it to computation setup', async () => {
+    const { contracts } = createInMemoryContracts();
+    const setups = [];
+    const privacyLayer = createPrivacyLayer({
+      contracts,
+      smpcOrchestrator: {
+        setupComputation: async ({ computation }) => {
+          setups.push(computation);
+          return { id: computation.id };
+        }
+      }
+    });
+
+    const mint = await contracts.dataVaultNFT.methods
+      .mintDataVault('ipfs://v1', '0xkeyhash', '{}', 'medical', 'ipfs://meta', 0)
+      .send({ from: OWNER });
+    const tokenId = mint.events.DataVaultMinted.returnValues.tokenId;
+    const listing = await contracts.marketplace.methods
+      .createListing(tokenId, 100, 3, 1, 0, '', '', [], false, 0, 'Medical')
+      .send({ from: OWNER });
+    const listingId = listing.events.ListingCreated.returnValues.listingId;
+    await contracts.marketplace.methods.requestAccess(listingId, 'MEDICAL_RESEARCH', 100).send({ from: RESEARCHER });
+    await contracts.marketplace.methods.approveAccess(listingId, 0, 100).send({ from: OWNER });
+
+    const vault = await privacyLayer.registerDataVault(tokenId);
+    expect(vault.residency).toBeNull();
+    await privacyLayer.setupSecureAccess(listingId, RESEARCHER);
+
+    await expect(privacyLayer.setVaultResidency(tokenId, RESEARCHER, EU_ONLY))
+      .rejects.toThrow(`Only the owner of data vault ${tokenId} can set its data residency`);
+    const residency = await privacyLayer.setVaultResidency(tokenId, OWNER, { ...EU_ONLY, ...HOSPITAL_OPERATED });
+    expect(residency).toEqual({ allowedRegions: ['eu-central', 'eu-west'], allowedOrganizations: ['st-marys'] });
+
+    await privacyLayer.orchestrateComputation('c1', RESEARCHER, [tokenId], 'average');
+    expect(setups[0].residency).toEqual({ [tokenId]: residency });
+
+    // Lifting the constraints lets any node process the vault again
+    await privacyLayer.setVaultResidency(tokenId, OWNER, null);
+    await privacyLayer.orchestrateComputation('c2', RESEARCHER, [tokenId], 'average');
+    expect(setups[1].residency).toBeUndefined();
+  });
+});
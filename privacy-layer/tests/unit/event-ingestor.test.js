@@ -0,0 +1,318 @@
+/**
+ * @fileoverview Event ingestion tests for PrivaSight
+ *
+ * These tests run the event ingestor against a simulated chain, covering
+ * confirmation depth, checkpointed backfill after a restart, deduplication,
+ * retries of failed events and rollback of events removed by a deep reorg.
+ */
+
+const EventIngestor = require('../../core/EventIngestor');
+const { MemoryStateStore } = require('../../core/StateStore');
+
+/**
+ * Minimal chain: block hashes derive from a fork label so a reorg changes every
+ * hash from the fork point upwards
+ */
+class FakeChain {
+  constructor() {
+    this.head = 0;
+    this.forks = []; // [{ fromBlock, label }]
+    this.events = [];
+  }
+
+  hashOf(blockNumber) {
+    const fork = this.forks.filter(f => blockNumber >= f.fromBlock).pop();
+    return `0x${fork ? fork.label : 'main'}-${blockNumber}`;
+  }
+
+  mine(count = 1) {
+    this.head += count;
+  }
+
+  emitEvent(blockNumber, returnValues, txHash = `0xtx${this.events.length}`) {
+    this.events.push({
+      event: 'Transfer',
+      blockNumber,
+      transactionHash: txHash,
+      logIndex: 0,
+      returnValues
+    });
+  }
+
+  reorg(fromBlock, label, replacementEvents = []) {
+    this.forks.push({ fromBlock, label });
+    this.events = this.events.filter(event => event.blockNumber < fromBlock).concat(replacementEvents);
+  }
+
+  get web3() {
+    return {
+      eth: {
+        getBlockNumber: async () => this.head,
+        getBlock: async (blockNumber) => (blockNumber <= this.head ? { number: blockNumber, hash: this.hashOf(blockNumber) } : null)
+      }
+    };
+  }
+
+  get contract() {
+    return {
+      getPastEvents: async (name, { fromBlock, toBlock }) => this.events
+        .filter(event => event.blockNumber >= fromBlock && event.blockNumber <= toBlock)
+        .map(event => ({ ...event, blockHash: this.hashOf(event.blockNumber) }))
+    };
+  }
+}
+
+describe('PrivaSight Event Ingestor Tests', () => {
+  let chain;
+  let stateStore;
+  let handled;
+  let rolledBack;
+
+  beforeEach(() => {
+    chain = new FakeChain();
+    stateStore = new MemoryStateStore();
+    handled = [];
+    rolledBack = [];
+  });
+
+  /**
+   * Create an ingestor with a single Transfer source
+   * @param {Object} [options={}] - Ingestor options
+   * @returns {EventIngestor} Event ingestor
+   */
+  function createIngestor(options = {}) {
+    const ingestor = new EventIngestor({
+      web3: chain.web3,
+      stateStore,
+      confirmations: 2,
+      startBlock: 0,
+      batchSize: 5,
+      ...options
+    });
+    ingestor.addSource({
+      name: 'dataVaultNFT.Transfer',
+      contract: chain.contract,
+      event: 'Transfer',
+      handler: async (event) => handled.push(event.returnValues.tokenId),
+      rollback: async (record) => rolledBack.push(record.returnValues.tokenId)
+    });
+    return ingestor;
+  }
+
+  test('Should only process events buried under the confirmation depth', async () => {
+    const ingestor = createIngestor();
+    chain.mine(10);
+    chain.emitEvent(7, { tokenId: '1' });
+    chain.emitEvent(9, { tokenId: '2' });
+
+    const { confirmedHead } = await ingestor.poll();
+
+    expect(confirmedHead).toBe(8);
+    expect(handled).toEqual(['1']);
+    expect(ingestor.getCheckpoint('dataVaultNFT.Transfer').blockNumber).toBe(8);
+
+    chain.mine(1);
+    await ingestor.poll();
+    expect(handled).toEqual(['1', '2']);
+  });
+
+  test('Should backfill events missed while stopped from the persisted checkpoint', async () => {
+    chain.mine(10);
+    chain.emitEvent(3, { tokenId: '1' });
+    await createIngestor().poll();
+    expect(handled).toEqual(['1']);
+
+    // Events arrive while the service is down
+    chain.emitEvent(12, { tokenId: '2' });
+    chain.emitEvent(20, { tokenId: '3' });
+    chain.mine(15);
+
+    const restarted = createIngestor();
+    await restarted.poll();
+
+    expect(handled).toEqual(['1', '2', '3']);
+    expect(restarted.getCheckpoint('dataVaultNFT.Transfer').blockNumber).toBe(23);
+  });
+
+  test('Should skip duplicate events by transaction hash and log index', async () => {
+    chain.mine(10);
+    chain.emitEvent(4, { tokenId: '1' }, '0xdup');
+    chain.emitEvent(4, { tokenId: '1' }, '0xdup');
+
+    const ingestor = createIngestor();
+    const duplicates = [];
+    ingestor.on('event:duplicate', ({ id }) => duplicates.push(id));
+    await ingestor.poll();
+
+    expect(handled).toEqual(['1']);
+    expect(duplicates).toEqual(['0xdup:0']);
+  });
+
+  test('Should roll back and re-ingest events replaced by a deep reorg', async () => {
+    chain.mine(10);
+    chain.emitEvent(5, { tokenId: '1' });
+    chain.emitEvent(7, { tokenId: '2' });
+
+    const ingestor = createIngestor();
+    const reorgs = [];
+    ingestor.on('reorg', reorg => reorgs.push(reorg));
+    await ingestor.poll();
+    expect(handled).toEqual(['1', '2']);
+
+    // Blocks from 6 onwards are replaced; token 2 moves to block 8 in a new transaction
+    chain.reorg(6, 'fork', [{ event: 'Transfer', blockNumber: 8, transactionHash: '0xnew', logIndex: 0, returnValues: { tokenId: '2b' } }]);
+    chain.mine(2);
+    await ingestor.poll();
+
+    expect(rolledBack).toEqual(['2']);
+    expect(reorgs.length).toBe(1);
+    expect(reorgs[0].forkBlock).toBe(6);
+    expect(handled).toEqual(['1', '2', '2b']);
+    expect(ingestor.getCheckpoint('dataVaultNFT.Transfer').blockHash).toBe(chain.hashOf(10));
+  });
+
+  test('Should walk back past blocks without events to the newest block still canonical', async () => {
+    chain.mine(12);
+    chain.emitEvent(9, { tokenId: '1' });
+
+    const ingestor = createIngestor();
+    const reorgs = [];
+    ingestor.on('reorg', reorg => reorgs.push(reorg));
+    await ingestor.poll();
+    expect(handled).toEqual(['1']);
+
+    // Blocks from 8 onwards are replaced; the new chain carries an event in block 8
+    chain.reorg(8, 'fork', [{ event: 'Transfer', blockNumber: 8, transactionHash: '0xnew', logIndex: 0, returnValues: { tokenId: '1b' } }]);
+    chain.mine(1);
+    await ingestor.poll();
+
+    // Block 4 is the newest retained block on the canonical chain
+    expect(reorgs[0].forkBlock).toBe(5);
+    expect(rolledBack).toEqual(['1']);
+    expect(handled).toEqual(['1', '1b']);
+    for (const [blockNumber, blockHash] of ingestor.blockHashes) {
+      expect(blockHash).toBe(chain.hashOf(blockNumber));
+    }
+  });
+
+  test('Should retry a failed event before moving past it', async () => {
+    chain.mine(10);
+    chain.emitEvent(3, { tokenId: '1' });
+    chain.emitEvent(4, { tokenId: 'flaky' });
+    chain.emitEvent(6, { tokenId: '3' });
+
+    let failing = true;
+    const ingestor = new EventIngestor({ web3: chain.web3, stateStore, confirmations: 2, startBlock: 0 });
+    ingestor.addSource({
+      name: 'source',
+      contract: chain.contract,
+      event: 'Transfer',
+      handler: async (event) => {
+        if (event.returnValues.tokenId === 'flaky' && failing) throw new Error('handler failed');
+        handled.push(event.returnValues.tokenId);
+      }
+    });
+
+    const failures = [];
+    ingestor.on('event:failed', failure => failures.push(failure));
+    expect((await ingestor.poll()).processed).toBe(1);
+    expect(handled).toEqual(['1']);
+    expect(ingestor.getCheckpoint('source').blockNumber).toBe(3);
+    expect(Array.from(ingestor.processed.keys())).toEqual(['0xtx0:0']);
+
+    await ingestor.poll();
+    expect(failures.map(failure => failure.attempts)).toEqual([1, 2]);
+
+    failing = false;
+    expect((await ingestor.poll()).processed).toBe(2);
+    expect(handled).toEqual(['1', 'flaky', '3']);
+    expect(ingestor.getCheckpoint('source').blockNumber).toBe(8);
+  });
+
+  test('Should record handler failures without stalling ingestion once attempts run out', async () => {
+    chain.mine(10);
+    chain.emitEvent(3, { tokenId: 'bad' });
+    chain.emitEvent(4, { tokenId: '2' });
+
+    const ingestor = new EventIngestor({ web3: chain.web3, stateStore, confirmations: 2, startBlock: 0, maxAttempts: 1 });
+    ingestor.addSource({
+      name: 'source',
+      contract: chain.contract,
+      event: 'Transfer',
+      handler: async (event) => {
+        if (event.returnValues.tokenId === 'bad') throw new Error('handler failed');
+        handled.push(event.returnValues.tokenId);
+      }
+    });
+
+    const failures = [];
+    ingestor.on('event:failed', failure => failures.push(failure));
+    const { processed } = await ingestor.poll();
+
+    expect(processed).toBe(2);
+    expect(handled).toEqual(['2']);
+    expect(failures[0].error).toBe('handler failed');
+
+    const [deadLetter] = ingestor.getDeadLetters();
+    expect(deadLetter).toMatchObject({ id: '0xtx0:0', source: 'source', error: 'handler failed', attempts: 1 });
+    expect((await stateStore.load()).ingestionDeadLetters.get('0xtx0:0').returnValues.tokenId).toBe('bad');
+  });
+
+  test('Should give up on a failing event after five attempts by default', async () => {
+    chain.mine(10);
+    chain.emitEvent(3, { tokenId: 'bad' });
+
+    const ingestor = new EventIngestor({ web3: chain.web3, stateStore, confirmations: 2, startBlock: 0 });
+    ingestor.addSource({
+      name: 'source',
+      contract: chain.contract,
+      event: 'Transfer',
+      handler: async () => { throw new Error('node unreachable'); }
+    });
+
+    for (let i = 0; i < 5; i++) {
+      await ingestor.poll();
+    }
+
+    expect(ingestor.getCheckpoint('source').blockNumber).toBe(8);
+    expect(ingestor.getDeadLetters().map(deadLetter => deadLetter.attempts)).toEqual([5]);
+  });
+
+  test('Should record rejected events once and move past them without retrying', async () => {
+    chain.mine(10);
+    chain.emitEvent(3, { tokenId: 'registered' });
+    chain.emitEvent(4, { tokenId: '2' });
+
+    const calls = [];
+    const ingestor = new EventIngestor({
+      web3: chain.web3,
+      stateStore,
+      confirmations: 2,
+      startBlock: 0,
+      isRejection: error => /already registered/.test(error.message)
+    });
+    ingestor.addSource({
+      name: 'source',
+      contract: chain.contract,
+      event: 'Transfer',
+      handler: async (event) => {
+        calls.push(event.returnValues.tokenId);
+        if (event.returnValues.tokenId === 'registered') throw new Error('Data vault 7 already registered');
+        handled.push(event.returnValues.tokenId);
+      }
+    });
+
+    const rejections = [];
+    ingestor.on('event:rejected', rejection => rejections.push(rejection));
+    for (let i = 0; i < 3; i++) {
+      await ingestor.poll();
+    }
+
+    expect(calls).toEqual(['registered', '2']);
+    expect(handled).toEqual(['2']);
+    expect(rejections).toHaveLength(1);
+    expect(ingestor.getCheckpoint('source').blockNumber).toBe(8);
+    expect(ingestor.processed.get('0xtx0:0')).toMatchObject({ handled: false, rejection: 'Data vault 7 already registered' });
+    expect(ingestor.getDeadLetters()).toEqual([]);
+  });
+});
@@ -0,0 +1,71 @@
+/**
+ * @fileoverview Stubbed Privacy Layer for PrivaSight unit tests
+ *
+ * Builds a Privacy Layer whose ZKP, SMPC, encryption and differential
+ * privacy components are stubs, so tests exercise the Privacy Layer's own
+ * logic. Each component's stub methods can be overridden or extended per
+ * test; any other option is passed to the Privacy Layer as is.
+ */
+
+const PrivacyLayer = require('../../../core/PrivacyLayer');
+
+/**
+ * Create the default component stubs
+ * @returns {Object} ZKP verifier, SMPC orchestrator, encryption service and differential privacy stubs
+ */
+function createStubs() {
+  return {
+    zkpVerifier: {
+      generateAccessProof: async ({ dataVaultId }) => ({ id: `proof-${dataVaultId}` }),
+      verifyAccessProof: async () => true,
+      generateComputationProof: async ({ computationId }) => ({ id: `proof-${computationId}`, proofData: '0xproof' }),
+      estimateComputationProof: () => ({ estimatedMs: 12000, basedOnSamples: 0 }),
+      restoreProof: () => {}
+    },
+    smpcOrchestrator: {
+      estimateComputation: ({ dataVaultIds }) => ({
+        nodeCount: 3, threshold: 2, expectedShares: 3 * dataVaultIds.length, estimatedRuntimeMs: 4500, basedOnSamples: 0
+      }),
+      setupComputation: async ({ computation, privacyParameters }) => ({ id: computation.id, privacyParameters }),
+      // Keeps computations executing unless a test resolves them
+      executeComputation: () => new Promise(() => {}),
+      teardownSession: async () => true
+    },
+    encryptionService: {
+      generateKeyPair: async () => ({ publicKey: 'pk', privateKey: 'sk' }),
+      generateAccessKey: async (publicKey, metadata) => ({ key: 'access-key', ...metadata }),
+      hashData: () => '0xresulthash'
+    },
+    differentialPrivacy: {
+      generateParameters: () => ({ epsilon: 0.1, delta: 1e-6 }),
+      applyToResults: results => results
+    }
+  };
+}
+
+/**
+ * Create a Privacy Layer with stubbed components
+ * @param {Object} [options={}] - Privacy Layer options
+ * @param {Object} [options.zkpVerifier] - ZKP verifier methods replacing the stubs'
+ * @param {Object} [options.smpcOrchestrator] - SMPC orchestrator methods replacing the stubs', or a
+ *   real orchestrator (any object with a prototype other than Object's) used as is
+ * @param {Object} [options.encryptionService] - Encryption service methods replacing the stubs'
+ * @param {Object} [options.differentialPrivacy] - Differential privacy methods replacing the stubs'
+ * @param {Object} [options.config={}] - Privacy Layer configuration
+ * @returns {PrivacyLayer} Privacy Layer
+ */
+function createPrivacyLayer({ config = {}, ...options } = {}) {
+  const components = createStubs();
+  for (const [name, stub] of Object.entries(components)) {
+    const override = options[name];
+    if (override && Object.getPrototypeOf(override) !== Object.prototype) {
+      components[name] = override;
+    } else if (override) {
+      components[name] = { ...stub, ...override };
+    }
+  }
+
+  return new PrivacyLayer({ ...options, ...components, config });
+}
+
+module.exports = { createPrivacyLayer };
@@ -0,0 +1,138 @@
+/**
+ * @fileoverview In-memory contract tests for PrivaSight
+ *
+ * These tests check that the in-memory DataVaultNFT, marketplace and verifier
+ * registry follow the state transitions of the Solidity contracts and expose
+ * the web3 surfaces used by the Privacy Layer and event ingestion.
+ */
+
+const { createInMemoryContracts } = require('../../core/InMemoryContracts');
+const EventIngestor = require('../../core/EventIngestor');
+
+const ADMIN = '0x00000000000000000000000000000000000000a1';
+const OWNER = '0x00000000000000000000000000000000000000b1';
+const RESEARCHER = '0x00000000000000000000000000000000000000c1';
+
+describe('PrivaSight In-Memory Contracts Tests', () => {
+  let web3;
+  let contracts;
+  let now;
+
+  beforeEach(() => {
+    now = Date.parse('2025-03-05T10:00:00Z');
+    ({ web3, contracts } = createInMemoryContracts({ admin: ADMIN, clock: () => now }));
+  });
+
+  /**
+   * Mint a vault and list it
+   * @param {number} [accessType=1] - Listing access type
+   * @returns {Promise<Object>} Token and listing IDs
+   */
+  async function mintAndList(accessType = 1) {
+    const mint = await contracts.dataVaultNFT.methods
+      .mintDataVault('ipfs://data', '0xkeyhash', '{}', 'medical', 'ipfs://meta', 0)
+      .send({ from: OWNER });
+    const tokenId = mint.events.DataVaultMinted.returnValues.tokenId;
+
+    const listing = await contracts.marketplace.methods
+      .createListing(tokenId, 100, accessType, 1, 0, '', 'Vitals', ['health'], true, 0, 'Medical')
+      .send({ from: OWNER });
+    return { tokenId, listingId: listing.events.ListingCreated.returnValues.listingId };
+  }
+
+  /**
+   * Register and verify the researcher
+   * @returns {Promise<void>}
+   */
+  async function verifyResearcher() {
+    await contracts.marketplace.methods.submitResearcherCredentials('Example University', 'MEDICAL_CERTIFICATION').send({ from: RESEARCHER });
+    await contracts.marketplace.methods.verifyResearcher(RESEARCHER).send({ from: ADMIN });
+  }
+
+  test('Should mint vaults with a Transfer from the zero address and expose their metadata', async () => {
+    const { tokenId } = await mintAndList();
+
+    const transfers = await contracts.dataVaultNFT.getPastEvents('Transfer', {
+      filter: { from: '0x0000000000000000000000000000000000000000' }
+    });
+    expect(transfers.length).toBe(1);
+    expect(transfers[0].returnValues.tokenId).toBe(tokenId);
+
+    const metadata = await contracts.dataVaultNFT.methods.getVaultMetadata(tokenId).call();
+    expect(metadata.owner).toBe(OWNER);
+    expect(metadata.dataHash).toBe('ipfs://data');
+    expect(metadata.dataCategory).toBe('medical');
+  });
+
+  test('Should revert with the contract reasons and leave no state behind', async () => {
+    await expect(contracts.dataVaultNFT.methods.mintDataVault('', '', '', '', '', 0).send({ from: OWNER }))
+      .rejects.toThrow('Data hash cannot be empty');
+
+    const { tokenId } = await mintAndList();
+    await expect(contracts.marketplace.methods
+      .createListing(tokenId, 100, 1, 1, 0, '', '', [], false, 0, 'Medical')
+      .send({ from: OWNER })).rejects.toThrow('DataVault already listed');
+    await expect(contracts.marketplace.methods
+      .createListing(tokenId, 100, 1, 1, 0, '', '', [], false, 0, 'Medical')
+      .send({ from: RESEARCHER })).rejects.toThrow('Caller is not the DataVault owner');
+
+    const blockNumber = await web3.eth.getBlockNumber();
+    await expect(contracts.marketplace.methods.requestAccess('1', 'MEDICAL_RESEARCH', 10).send({ from: RESEARCHER }))
+      .rejects.toThrow('Researcher verification required');
+    expect(await web3.eth.getBlockNumber()).toBe(blockNumber);
+  });
+
+  test('Should grant access on approval and expire one-time access after a day', async () => {
+    const { tokenId, listingId } = await mintAndList(1);
+    await verifyResearcher();
+    expect(await contracts.marketplace.methods.isResearcherVerified(RESEARCHER).call()).toBe(true);
+
+    await contracts.marketplace.methods.requestAccess(listingId, 'MEDICAL_RESEARCH', 100).send({ from: RESEARCHER });
+    await expect(contracts.marketplace.methods.approveAccess(listingId, 0, 100).send({ from: RESEARCHER }))
+      .rejects.toThrow('Not the listing owner');
+    await contracts.marketplace.methods.approveAccess(listingId, 0, 100).send({ from: OWNER });
+
+    expect(await contracts.marketplace.methods.hasAccess(listingId, RESEARCHER).call()).toBe(true);
+    expect(await contracts.marketplace.methods.getListingsByDataVault(tokenId).call()).toEqual([listingId]);
+
+    now += 86400 * 1000 + 1000;
+    expect(await contracts.marketplace.methods.hasActiveAccess(RESEARCHER, tokenId).call()).toBe(false);
+  });
+
+  test('Should deliver events to subscriptions and to event ingestion', async () => {
+    const subscribed = [];
+    contracts.marketplace.events.AccessRequested().on('data', event => subscribed.push(event.returnValues.purpose));
+
+    const ingested = [];
+    const ingestor = new EventIngestor({ web3, confirmations: 0, startBlock: 0 });
+    ingestor.addSource({
+      name: 'verifierRegistry.ComputationRequested',
+      contract: contracts.verifierRegistry,
+      event: 'ComputationRequested',
+      handler: async event => ingested.push(event.returnValues)
+    });
+
+    const { listingId } = await mintAndList();
+    await verifyResearcher();
+    await contracts.marketplace.methods.requestAccess(listingId, 'MEDICAL_RESEARCH', 100).send({ from: RESEARCHER });
+    await contracts.verifierRegistry.methods.requestComputation('req-1', ['1'], 'average').send({ from: RESEARCHER });
+    await ingestor.poll();
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(subscribed).toEqual(['MEDICAL_RESEARCH']);
+    expect(ingested.length).toBe(1);
+    expect(ingested[0].researcher).toBe(RESEARCHER);
+    expect(ingested[0].dataVaultIds).toEqual(['1']);
+  });
+
+  test('Should publish results once from the default account', async () => {
+    const receipt = await contracts.verifierRegistry.methods.publishResults('req-1', RESEARCHER, '0xresult', '0xproof').send();
+
+    expect(receipt.from).toBe(ADMIN);
+    expect(receipt.transactionHash).toMatch(/^0x[0-9a-f]{64}$/);
+    const published = await contracts.verifierRegistry.methods.getPublishedResult('req-1').call();
+    expect(published.resultHash).toBe('0xresult');
+    await expect(contracts.verifierRegistry.methods.publishResults('req-1', RESEARCHER, '0xother', '0xproof').send())
+      .rejects.toThrow('Results already published');
+  });
+});
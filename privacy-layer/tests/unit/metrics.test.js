@@ -0,0 +1,111 @@
+/**
+ * @fileoverview Metrics tests for PrivaSight
+ *
+ * These tests cover the metrics registry and its rendering in the Prometheus
+ * text format: counters, gauges refreshed on scrape, cumulative histogram
+ * buckets, and the HTTP endpoint nodes serve the registry on.
+ */
+
+const http = require('http');
+const { MetricsRegistry, createMetricsServer, CONTENT_TYPE } = require('../../monitoring/metrics');
+
+describe('PrivaSight Metrics Tests', () => {
+  let registry;
+
+  beforeEach(() => {
+    registry = new MetricsRegistry();
+  });
+
+  test('Should render labelled counters in the text format', () => {
+    const transitions = registry.counter({
+      name: 'privasight_computation_state_transitions_total',
+      help: 'Computation state transitions',
+      labelNames: ['from', 'to']
+    });
+
+    transitions.inc({ from: 'pending', to: 'initializing' });
+    transitions.inc({ from: 'pending', to: 'initializing' });
+    transitions.inc({ from: 'computing', to: 'aborted' }, 3);
+
+    expect(registry.metrics()).toBe([
+      '# HELP privasight_computation_state_transitions_total Computation state transitions',
+      '# TYPE privasight_computation_state_transitions_total counter',
+      'privasight_computation_state_transitions_total{from="pending",to="initializing"} 2',
+      'privasight_computation_state_transitions_total{from="computing",to="aborted"} 3',
+      ''
+    ].join('\n'));
+    expect(() => transitions.inc({ from: 'pending', to: 'failed' }, -1)).toThrow('cannot decrease');
+    expect(() => transitions.inc({ state: 'pending' })).toThrow('Unknown label state');
+  });
+
+  test('Should return the registered metric for a repeated name and reject a type clash', () => {
+    const first = registry.counter({ name: 'requests_total', help: 'Requests' });
+    const second = registry.counter({ name: 'requests_total', help: 'Requests' });
+
+    expect(second).toBe(first);
+    expect(() => registry.gauge({ name: 'requests_total', help: 'Requests' })).toThrow('already registered as a counter');
+    expect(() => registry.counter({ name: 'bad-name', help: 'Bad' })).toThrow('Invalid metric name');
+  });
+
+  test('Should render cumulative histogram buckets with sum and count', () => {
+    const latency = registry.histogram({
+      name: 'privasight_node_message_latency_seconds',
+      help: 'Message latency',
+      labelNames: ['type'],
+      buckets: [0.1, 1]
+    });
+
+    latency.observe({ type: 'command' }, 0.05);
+    latency.observe({ type: 'command' }, 0.5);
+    latency.observe({ type: 'command' }, 2);
+
+    const text = registry.metrics();
+    expect(text).toContain('privasight_node_message_latency_seconds_bucket{type="command",le="0.1"} 1');
+    expect(text).toContain('privasight_node_message_latency_seconds_bucket{type="command",le="1"} 2');
+    expect(text).toContain('privasight_node_message_latency_seconds_bucket{type="command",le="+Inf"} 3');
+    expect(text).toContain('privasight_node_message_latency_seconds_sum{type="command"} 2.55');
+    expect(text).toContain('privasight_node_message_latency_seconds_count{type="command"} 3');
+
+    const end = latency.startTimer({ type: 'ping' });
+    expect(end()).toBeGreaterThanOrEqual(0);
+    expect(latency.get({ type: 'ping' }).count).toBe(1);
+  });
+
+  test('Should refresh collected gauges on every scrape and escape label values', () => {
+    let remaining = 10;
+    registry.gauge({
+      name: 'privasight_privacy_budget_remaining_epsilon',
+      help: 'Remaining budget',
+      labelNames: ['data_vault_id'],
+      collect: gauge => gauge.set({ data_vault_id: 'vault "1"' }, remaining)
+    });
+
+    expect(registry.metrics()).toContain('privasight_privacy_budget_remaining_epsilon{data_vault_id="vault \\"1\\""} 10');
+    remaining = 9.5;
+    expect(registry.metrics()).toContain('privasight_privacy_budget_remaining_epsilon{data_vault_id="vault \\"1\\""} 9.5');
+  });
+
+  test('Should serve the registry on /metrics', async () => {
+    registry.counter({ name: 'privasight_up', help: 'Up' }).inc();
+    const server = createMetricsServer(registry);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    const get = path => new Promise((resolve, reject) => {
+      http.get({ host: '127.0.0.1', port: server.address().port, path }, (res) => {
+        let data = '';
+        res.on('data', chunk => { data += chunk; });
+        res.on('end', () => resolve({ status: res.statusCode, type: res.headers['content-type'], body: data }));
+      }).on('error', reject);
+    });
+
+    try {
+      const scrape = await get('/metrics');
+      expect(scrape.status).toBe(200);
+      expect(scrape.type).toBe(CONTENT_TYPE);
+      expect(scrape.body).toContain('privasight_up 1');
+      expect((await get('/health')).status).toBe(404);
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+});
@@ -0,0 +1,91 @@
+/**
+ * @fileoverview Node authentication tests for PrivaSight
+ *
+ * These tests cover the challenge-response authentication of SMPC nodes
+ * registering with a coordinator: nodes sign the coordinator's nonce with an
+ * Ed25519 key that is either allowlisted for their node ID or certified by a
+ * trusted certificate authority, and each challenge is good for one attempt.
+ */
+
+const crypto = require('crypto');
+const {
+  NodeAuthenticator,
+  AuthMethod,
+  generateNodeKeyPair,
+  signChallenge,
+  issueNodeCertificate
+} = require('../../smpc/node-auth');
+
+const HOUR = 60 * 60 * 1000;
+
+describe('PrivaSight Node Authentication Tests', () => {
+  const node1 = generateNodeKeyPair();
+  const node2 = generateNodeKeyPair();
+  const authority = generateNodeKeyPair();
+
+  const answer = (authenticator, connectionId, nodeId, privateKey, certificate) => {
+    const { nonce } = authenticator.createChallenge(connectionId);
+    return authenticator.verify(connectionId, { nodeId, signature: signChallenge(nonce, nodeId, privateKey), certificate });
+  };
+
+  test('Should authenticate allowlisted nodes by their key', () => {
+    const authenticator = new NodeAuthenticator({ allowlist: { 'node-1': node1.publicKey } });
+
+    expect(answer(authenticator, 'conn-1', 'node-1', node1.privateKey)).toEqual({ nodeId: 'node-1', method: AuthMethod.ALLOWLIST });
+    expect(() => answer(authenticator, 'conn-2', 'node-1', node2.privateKey))
+      .toThrow('Invalid challenge signature for node node-1');
+    expect(() => answer(authenticator, 'conn-3', 'node-2', node2.privateKey))
+      .toThrow('Node node-2 is not allowlisted and presented no certificate');
+    expect(() => new NodeAuthenticator({ allowlist: { 'node-1': crypto.generateKeyPairSync('x25519').publicKey } }))
+      .toThrow('Expected an Ed25519 key, got x25519');
+  });
+
+  test('Should not accept a signature for another challenge or node ID', async () => {
+    const authenticator = new NodeAuthenticator({
+      allowlist: { 'node-1': node1.publicKey, 'node-2': node2.publicKey },
+      challengeTtl: 5
+    });
+
+    // A signature binds the node ID, so it cannot be replayed under another ID
+    const { nonce } = authenticator.createChallenge('conn-1');
+    const signature = signChallenge(nonce, 'node-1', node1.privateKey);
+    expect(() => authenticator.verify('conn-1', { nodeId: 'node-2', signature }))
+      .toThrow('Invalid challenge signature for node node-2');
+
+    // Each challenge is good for one attempt on its own connection
+    expect(() => authenticator.verify('conn-1', { nodeId: 'node-1', signature })).toThrow('No challenge issued to this connection');
+    authenticator.createChallenge('conn-2');
+    expect(() => authenticator.verify('conn-2', { nodeId: 'node-1', signature }))
+      .toThrow('Invalid challenge signature for node node-1');
+    expect(() => authenticator.verify('conn-3', { nodeId: 'node-1' })).toThrow('No challenge issued to this connection');
+
+    const late = authenticator.createChallenge('conn-4');
+    await new Promise(resolve => setTimeout(resolve, 20));
+    expect(() => authenticator.verify('conn-4', { nodeId: 'node-1', signature: signChallenge(late.nonce, 'node-1', node1.privateKey) }))
+      .toThrow('Challenge expired');
+  });
+
+  test('Should authenticate nodes by certificates of trusted authorities', () => {
+    const authenticator = new NodeAuthenticator({ certificateAuthorities: [authority.publicKey] });
+    const certificate = issueNodeCertificate({ nodeId: 'node-1', publicKey: node1.publicKey, expiresAt: Date.now() + HOUR }, authority.privateKey);
+
+    expect(answer(authenticator, 'conn-1', 'node-1', node1.privateKey, certificate))
+      .toEqual({ nodeId: 'node-1', method: AuthMethod.CERTIFICATE });
+
+    // The certificate only vouches for its own node ID and key
+    expect(() => answer(authenticator, 'conn-2', 'node-2', node1.privateKey, certificate))
+      .toThrow('Certificate is for node node-1, not node-2');
+    expect(() => answer(authenticator, 'conn-3', 'node-1', node2.privateKey, certificate))
+      .toThrow('Invalid challenge signature for node node-1');
+    expect(() => answer(authenticator, 'conn-4', 'node-1', node1.privateKey, { ...certificate, publicKey: node2.publicKey }))
+      .toThrow('Certificate of node node-1 is not signed by a trusted authority');
+
+    const selfSigned = issueNodeCertificate({ nodeId: 'node-2', publicKey: node2.publicKey, expiresAt: Date.now() + HOUR }, node2.privateKey);
+    expect(() => answer(authenticator, 'conn-5', 'node-2', node2.privateKey, selfSigned))
+      .toThrow('Certificate of node node-2 is not signed by a trusted authority');
+
+    const expired = issueNodeCertificate({ nodeId: 'node-1', publicKey: node1.publicKey, expiresAt: Date.now() - 1 }, authority.privateKey);
+    expect(() => answer(authenticator, 'conn-6', 'node-1', node1.privateKey, expired))
+      .toThrow('Certificate of node node-1 expired');
+  });
+});
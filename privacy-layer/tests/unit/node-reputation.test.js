@@ -0,0 +1,163 @@
+/**
+ * @fileoverview Node reputation tests for PrivaSight
+ *
+ * These tests cover the decaying reputation score of SMPC nodes, benching
+ * nodes with their reason, and how the SMPC Orchestrator records timeouts
+ * and failed verifications and ranks and excludes nodes by reputation.
+ */
+
+const EventEmitter = require('events');
+const SMPCOrchestrator = require('../../core/SMPCOrchestrator');
+const { NodeReputation, Outcome } = require('../../smpc/reputation');
+
+const HOUR = 3600000;
+
+/**
+ * Coordinator stand-in whose nodes answer every command unless told to fail
+ */
+class StubCoordinator extends EventEmitter {
+  constructor() {
+    super();
+    this.failures = new Map(); // nodeId => error message
+  }
+
+  async connectNode() {}
+
+  async getNodeLoad() {
+    return 0;
+  }
+
+  async sendCommand(nodeId, command) {
+    if (this.failures.has(nodeId)) {
+      throw new Error(this.failures.get(nodeId));
+    }
+    return { success: true, command };
+  }
+}
+
+describe('PrivaSight Node Reputation Tests', () => {
+  let clock;
+  let reputation;
+
+  beforeEach(() => {
+    clock = 0;
+    reputation = new NodeReputation({ halfLifeMs: HOUR, benchThreshold: 0.3, now: () => clock });
+  });
+
+  test('Should bench a misbehaving node with its reason and let it recover as incidents age', () => {
+    expect(reputation.getReputation('node-1')).toMatchObject({ score: 1, benched: false, reason: null });
+
+    reputation.record('node-1', Outcome.TIMEOUT, { computationId: 'c1' });
+    reputation.record('node-1', Outcome.VERIFICATION_FAILED, { computationId: 'c2' });
+    const benched = reputation.getReputation('node-1');
+
+    expect(benched.score).toBeCloseTo(1 / 6);
+    expect(benched.benched).toBe(true);
+    expect(benched.reason).toBe('1 failed verification, 1 timeout');
+    expect(benched.counts).toMatchObject({ timeout: 1, verification_failed: 1, success: 0 });
+
+    // Three half-lives later the incidents weigh an eighth as much
+    clock = 3 * HOUR;
+    expect(reputation.getScore('node-1')).toBeCloseTo(1 / (1 + 5 / 8));
+    expect(reputation.isBenched('node-1')).toBe(false);
+
+    // Incidents older than ten half-lives are forgotten
+    clock = 11 * HOUR;
+    reputation.record('node-1', Outcome.SUCCESS);
+    expect(reputation.getReputation('node-1').counts).toMatchObject({ timeout: 0, verification_failed: 0, success: 1 });
+
+    expect(() => reputation.record('node-1', 'slow')).toThrow('Unknown reputation outcome');
+  });
+
+  test('Should score slow nodes below responsive ones', () => {
+    reputation.recordLatency('fast', 200);
+    reputation.recordLatency('slow', 16000);
+
+    expect(reputation.getScore('fast')).toBe(1);
+    expect(reputation.getReputation('slow')).toMatchObject({ score: 0.25, benched: true, reason: 'average latency 16000ms' });
+
+    // The moving average follows the node as it speeds up
+    reputation.recordLatency('slow', 1000);
+    expect(reputation.getReputation('slow').latencyMs).toBe(13000);
+  });
+
+  describe('SMPC Orchestrator', () => {
+    let coordinator;
+    let orchestrator;
+    let valid;
+
+    beforeEach(() => {
+      valid = true;
+      coordinator = new StubCoordinator();
+      orchestrator = new SMPCOrchestrator({
+        secretSharing: {},
+        coordinator,
+        protocols: {
+          average: {
+            aggregateResults: async results => ({ average: results.reduce((sum, value) => sum + value, 0) / results.length }),
+            verifyResult: async () => valid
+          }
+        },
+        config: { minNodes: 3, maxNodesPerComputation: 3 },
+        reputation
+      });
+      for (const id of ['node-1', 'node-2', 'node-3', 'node-4']) {
+        orchestrator.registerNode({ id, url: `ws://${id}`, supportedProtocols: ['average'], capabilities: { computePower: 1 } });
+        coordinator.emit('node:connected', id);
+      }
+    });
+
+    test('Should leave benched nodes out of selection and show why', async () => {
+      reputation.record('node-2', Outcome.DISCONNECT, { computationId: 'c0' });
+      reputation.record('node-2', Outcome.DISCONNECT, { computationId: 'c1' });
+      reputation.record('node-4', Outcome.ERROR);
+
+      const node2 = orchestrator.getAvailableNodes('average').find(node => node.id === 'node-2');
+      expect(node2.reputation).toMatchObject({ benched: true, reason: '2 mid-computation disconnects' });
+      expect(orchestrator.estimateComputation({ type: 'average', dataVaultIds: ['1'] }).nodeCount).toBe(3);
+
+      const setup = await orchestrator.setupComputation({
+        computation: { id: 'c2', type: 'average', researcher: '0xr', dataVaultIds: ['1'] },
+        privacyParameters: { epsilon: 1 }
+      });
+      expect(setup.nodeIds.sort()).toEqual(['node-1', 'node-3', 'node-4']);
+
+      reputation.record('node-3', Outcome.VERIFICATION_FAILED);
+      await expect(orchestrator.setupComputation({
+        computation: { id: 'c3', type: 'average', researcher: '0xr', dataVaultIds: ['1'] },
+        privacyParameters: { epsilon: 1 }
+      })).rejects.toThrow('found 2 (2 benched), need 3');
+    });
+
+    test('Should record command timeouts and failed verifications against the nodes', async () => {
+      const setup = await orchestrator.setupComputation({
+        computation: { id: 'c1', type: 'average', researcher: '0xr', dataVaultIds: ['1'] },
+        privacyParameters: { epsilon: 1 }
+      });
+      const [slowNode] = setup.nodeIds;
+      coordinator.failures.set(slowNode, 'Response timeout');
+
+      await expect(orchestrator.executeComputation(setup)).rejects.toThrow('Response timeout');
+      expect(reputation.getReputation(slowNode).incidents).toEqual([
+        { outcome: 'timeout', at: 0, computationId: 'c1', reason: 'initialize: Response timeout' }
+      ]);
+      expect(reputation.getReputation(setup.nodeIds[1]).latencyMs).not.toBeNull();
+
+      coordinator.failures.clear();
+      valid = false;
+      const second = await orchestrator.setupComputation({
+        computation: { id: 'c2', type: 'average', researcher: '0xr', dataVaultIds: ['1'] },
+        privacyParameters: { epsilon: 1 }
+      });
+      for (const nodeId of second.nodeIds) {
+        coordinator.emit('result:received', { computationId: 'c2', nodeId, result: 4 });
+      }
+      await new Promise(resolve => setImmediate(resolve));
+
+      expect(orchestrator.getComputationStatus('c2').state).toBe('failed');
+      for (const nodeId of second.nodeIds) {
+        expect(reputation.getReputation(nodeId).counts.verification_failed).toBe(1);
+      }
+    });
+  });
+});
@@ -0,0 +1,137 @@
+/**
+ * @fileoverview Access policy engine tests for PrivaSight
+ *
+ * These tests evaluate access requests against the access-rules test policy,
+ * covering roles and inheritance, purposes and their required credentials,
+ * sensitivity and MFA, attribute conditions, time windows and the
+ * concurrency limit.
+ */
+
+const path = require('path');
+const PolicyEngine = require('../../core/PolicyEngine');
+
+const RULES_PATH = path.join(__dirname, '../test-data/access-rules.json');
+
+// Wednesday 10:00 UTC, inside default access hours
+const WEEKDAY_MORNING = new Date('2025-03-05T10:00:00Z');
+
+describe('PrivaSight Policy Engine Tests', () => {
+  let engine;
+
+  beforeEach(() => {
+    engine = PolicyEngine.fromFile(RULES_PATH, { clock: () => WEEKDAY_MORNING });
+  });
+
+  /**
+   * Build a request for high-sensitivity medical data that satisfies rule-medical-data
+   * @param {Object} [overrides={}] - Attributes to override
+   * @returns {Object} Access request
+   */
+  function medicalRequest(overrides = {}) {
+    return {
+      researcher: '0xr1',
+      role: 'MEDICAL_RESEARCHER',
+      purpose: 'MEDICAL_RESEARCH',
+      credentials: ['MEDICAL_CERTIFICATION', 'IRB_APPROVAL'],
+      trustScore: 0.9,
+      mfaVerified: true,
+      dataCategory: 'medical',
+      sensitivity: 'HIGH',
+      concurrentAccessCount: 0,
+      ...overrides
+    };
+  }
+
+  test('Should allow a request that satisfies the applicable rule', () => {
+    const decision = engine.evaluate(medicalRequest());
+
+    expect(decision.allowed).toBe(true);
+    expect(decision.matchedRules).toEqual(['rule-medical-data']);
+    expect(decision.requirements.mfaRequired).toBe(true);
+    expect(decision.requirements.privacyRequirements[0].maxEpsilon).toBe(1.0);
+  });
+
+  test('Should deny when a rule condition fails', () => {
+    const decision = engine.evaluate(medicalRequest({ trustScore: 0.5 }));
+
+    expect(decision.allowed).toBe(false);
+    expect(decision.matchedRules).toEqual([]);
+    expect(decision.reasons.some(reason => reason.startsWith('rule-medical-data: trustScore'))).toBe(true);
+  });
+
+  test('Should deny roles that are not allowed for the purpose', () => {
+    const decision = engine.evaluate(medicalRequest({ role: 'RESEARCHER' }));
+
+    expect(decision.allowed).toBe(false);
+    expect(decision.reasons).toContain('Role RESEARCHER is not allowed for purpose MEDICAL_RESEARCH');
+  });
+
+  test('Should deny researchers missing a credential the purpose requires', () => {
+    const decision = engine.evaluate(medicalRequest({ credentials: ['MEDICAL_CERTIFICATION'] }));
+
+    expect(decision.allowed).toBe(false);
+    expect(decision.reasons).toEqual(['Purpose MEDICAL_RESEARCH requires credentials IRB_APPROVAL']);
+
+    const none = engine.evaluate(medicalRequest({ credentials: undefined }));
+    expect(none.reasons).toContain('Purpose MEDICAL_RESEARCH requires credentials MEDICAL_CERTIFICATION, IRB_APPROVAL');
+  });
+
+  test('Should require MFA for high sensitivity data', () => {
+    const decision = engine.evaluate(medicalRequest({ mfaVerified: false }));
+
+    expect(decision.allowed).toBe(false);
+    expect(decision.reasons).toContain('Multi-factor authentication is required for HIGH sensitivity data');
+  });
+
+  test('Should report but not enforce MFA when enforcement is turned off', () => {
+    const unenforced = PolicyEngine.fromFile(RULES_PATH, { enforceMfa: false, clock: () => WEEKDAY_MORNING });
+    const decision = unenforced.evaluate(medicalRequest({ mfaVerified: undefined }));
+
+    expect(decision.allowed).toBe(true);
+    expect(decision.requirements.mfaRequired).toBe(true);
+  });
+
+  test('Should deny by default when no access rule applies', () => {
+    const decision = engine.evaluate(medicalRequest({ dataCategory: 'SOCIAL_MEDIA' }));
+
+    expect(decision.allowed).toBe(false);
+    expect(decision.reasons[0]).toContain('No access rule applies');
+  });
+
+  test('Should enforce access hours and maintenance windows', () => {
+    const sundayMaintenance = new Date('2025-03-09T03:00:00Z');
+    const decision = engine.evaluate(medicalRequest({ at: sundayMaintenance }));
+
+    expect(decision.allowed).toBe(false);
+    expect(decision.reasons).toContain('Access is suspended during Weekly Maintenance');
+    expect(decision.reasons).toContain('rule-medical-data: outside the allowed time windows');
+  });
+
+  test('Should enforce the concurrent access limit', () => {
+    const decision = engine.evaluate(medicalRequest({ concurrentAccessCount: 10 }));
+
+    expect(decision.allowed).toBe(false);
+    expect(decision.reasons).toContain('Concurrent access limit of 10 reached');
+  });
+
+  test('Should resolve researcher attributes when evaluating access', async () => {
+    const resolved = [];
+    engine = PolicyEngine.fromFile(RULES_PATH, {
+      clock: () => WEEKDAY_MORNING,
+      resolveSubject: async (researcher) => {
+        resolved.push(researcher);
+        const { role, credentials, trustScore, mfaVerified } = medicalRequest();
+        return { role, credentials, trustScore, mfaVerified };
+      }
+    });
+
+    const decision = await engine.evaluateAccess({
+      researcher: '0xr2',
+      purpose: 'MEDICAL_RESEARCH',
+      dataVault: { dataCategory: 'medical', sensitivity: 'HIGH' }
+    });
+
+    expect(resolved).toEqual(['0xr2']);
+    expect(decision.allowed).toBe(true);
+  });
+});
@@ -0,0 +1,110 @@
+/**
+ * @fileoverview Release control tests for PrivaSight
+ *
+ * These tests verify that results from small cohorts are withheld with a
+ * reason, that small histogram bins are suppressed or merged, that result
+ * precision is capped, and that blocked results are never published.
+ */
+
+const ReleaseControl = require('../../core/ReleaseControl');
+const { createPrivacyLayer } = require('./helpers/privacy-layer');
+
+const histogram = counts => ({
+  result: {
+    histogram: counts.map((count, bucket) => ({ bucket, count })),
+    totalCount: counts.reduce((sum, count) => sum + count, 0)
+  },
+  metadata: { epsilon: 0.123456789 }
+});
+
+describe('PrivaSight Release Control Tests', () => {
+  test('Should block results whose cohort is below the minimum', () => {
+    const releaseControl = new ReleaseControl({ minCohortSize: 10 });
+
+    const review = releaseControl.review({ average: 41.5, count: 7 }, { computationId: 'comp-1' });
+
+    expect(review.released).toBe(false);
+    expect(review.reason).toBe('Cohort of 7 records is below the minimum of 10');
+    expect(review.results).toBeUndefined();
+  });
+
+  test('Should block results that report no record count unless configured otherwise', () => {
+    expect(new ReleaseControl().review({ slope: 0.5 }).released).toBe(false);
+    expect(new ReleaseControl({ requireCount: false }).review({ slope: 0.5 }).released).toBe(true);
+  });
+
+  test('Should cap precision without touching metadata', () => {
+    const releaseControl = new ReleaseControl({ significantDigits: 3 });
+
+    const review = releaseControl.review({ average: 41.56789, count: 120, metadata: { epsilon: 0.123456789 } });
+
+    expect(review.released).toBe(true);
+    expect(review.results.average).toBe(41.6);
+    expect(review.results.count).toBe(120);
+    expect(review.results.metadata.epsilon).toBe(0.123456789);
+  });
+
+  test('Should suppress small bins together with a complementary bin', () => {
+    const releaseControl = new ReleaseControl({ minCellSize: 5 });
+
+    const review = releaseControl.review(histogram([20, 2, 0, 9, 30]));
+    const counts = review.results.result.histogram.map(bin => bin.count);
+
+    // Bin 1 alone could be recovered from the total, so the next smallest (bin 3) goes too
+    expect(counts).toEqual([20, null, 0, null, 30]);
+    expect(review.suppressedCells).toBe(2);
+    expect(review.results.result.totalCount).toBe(61);
+  });
+
+  test('Should merge small adjacent bins when configured to', () => {
+    const releaseControl = new ReleaseControl({ minCellSize: 5, binStrategy: 'merge' });
+
+    const review = releaseControl.review(histogram([20, 2, 1, 3, 30, 1]));
+    const bins = review.results.result.histogram;
+
+    expect(bins.map(bin => bin.count)).toEqual([20, 6, 31]);
+    expect(bins[1].mergedBuckets).toEqual([1, 2, 3]);
+    expect(bins[2].mergedBuckets).toEqual([4, 5]);
+    expect(review.mergedCells).toBe(5);
+  });
+
+  test('Should reject unknown bin strategies', () => {
+    expect(() => new ReleaseControl({ binStrategy: 'round' })).toThrow('Unknown bin strategy: round');
+  });
+
+  test('Should withhold and not publish the results of a blocked computation', async () => {
+    const published = [];
+    const privacyLayer = createPrivacyLayer({
+      contracts: {
+        verifierRegistry: {
+          methods: { publishResults: (...args) => ({ send: async () => { published.push(args); return {}; } }) }
+        }
+      },
+      smpcOrchestrator: { executeComputation: async () => ({ average: 52.25, count: 4 }) },
+      config: { releaseControl: { minCohortSize: 5 } }
+    });
+    privacyLayer.computations.set('comp-1', {
+      id: 'comp-1',
+      researcher: '0xresearcher',
+      dataVaultIds: ['vault-1'],
+      computationType: 'average',
+      status: 'ready',
+      setup: {}
+    });
+
+    const events = [];
+    privacyLayer.on('results:blocked', event => events.push(event));
+
+    const results = await privacyLayer.executePrivateComputation('comp-1');
+    const computation = privacyLayer.getComputation('comp-1');
+
+    expect(results).toBeNull();
+    expect(computation.status).toBe('blocked');
+    expect(computation.results).toBeUndefined();
+    expect(computation.release.reason).toBe('Cohort of 4 records is below the minimum of 5');
+    expect(events.length).toBe(1);
+    expect(published.length).toBe(0);
+    await expect(privacyLayer.publishResults('comp-1')).rejects.toThrow('not complete');
+    await expect(privacyLayer.cancelComputation('comp-1', 'retry')).rejects.toThrow('release was blocked');
+  });
+});
@@ -0,0 +1,178 @@
+/**
+ * @fileoverview Secure channel tests for PrivaSight
+ *
+ * These tests cover the end-to-end encrypted channels between the coordinator
+ * and nodes and between peer nodes: the X25519 key exchange, AEAD sealing
+ * with sequence numbers that reject replayed and tampered messages, and the
+ * identity signatures that keep a relaying coordinator out of peer links and
+ * out of the shares nodes re-share through it.
+ */
+
+const crypto = require('crypto');
+const { KeyExchange, SecureChannel, sealTo } = require('../../smpc/secure-channel');
+const {
+  NodeAuthenticator,
+  generateNodeKeyPair,
+  signChallenge,
+  signCoordinatorChallenge,
+  verifyCoordinatorChallenge,
+  signPeerHello,
+  signReshareKey
+} = require('../../smpc/node-auth');
+
+const SHARE = { type: 'share', computationId: 'c1', share: { x: 1, y: '8843210' } };
+
+const link = (cipher, context = 'ctx') => {
+  const a = new KeyExchange({ cipher });
+  const b = new KeyExchange({ cipher });
+  return [a.deriveChannel(b.publicKey, context), b.deriveChannel(a.publicKey, context)];
+};
+
+describe('PrivaSight Secure Channel Tests', () => {
+  test('Should seal messages both ways and reject replays and tampering', () => {
+    for (const cipher of ['aes-256-gcm', 'chacha20-poly1305']) {
+      const [alice, bob] = link(cipher);
+
+      const first = alice.seal(SHARE);
+      expect(first).toMatchObject({ type: 'sealed', seq: 1 });
+      expect(Buffer.from(first.data, 'base64').toString()).not.toContain('8843210');
+      expect(bob.open(first)).toEqual(SHARE);
+      expect(alice.open(bob.seal({ type: 'ack' }))).toEqual({ type: 'ack' });
+
+      // Each message opens once, in order
+      expect(() => bob.open(first)).toThrow('Replayed or out-of-order message (sequence 1, last 1)');
+      const second = alice.seal({ n: 2 });
+      const third = alice.seal({ n: 3 });
+      expect(bob.open(third)).toEqual({ n: 3 });
+      expect(() => bob.open(second)).toThrow('Replayed or out-of-order message (sequence 2, last 3)');
+
+      // A forged or renumbered message is dropped without blocking the channel
+      const fourth = alice.seal({ n: 4 });
+      const data = Buffer.from(fourth.data, 'base64');
+      data[0] ^= 1;
+      expect(() => bob.open({ ...fourth, data: data.toString('base64') })).toThrow('Sealed message failed authentication');
+      expect(() => bob.open({ ...fourth, seq: 9 })).toThrow('Sealed message failed authentication');
+      expect(() => bob.open(SHARE)).toThrow('Expected a sealed message, got share');
+      expect(bob.open(fourth)).toEqual({ n: 4 });
+
+      // Each direction has its own key
+      expect(() => alice.open(alice.seal({ n: 5 }))).toThrow('Sealed message failed authentication');
+    }
+
+    expect(() => new KeyExchange({ cipher: 'aes-128-cbc' })).toThrow('Unsupported channel cipher: aes-128-cbc');
+    expect(() => new SecureChannel({ sendKey: Buffer.alloc(32), receiveKey: Buffer.alloc(32), cipher: 'des' }))
+      .toThrow('Unsupported channel cipher: des');
+  });
+
+  test('Should bind channel keys to the context and the key exchange', () => {
+    const a = new KeyExchange();
+    const b = new KeyExchange();
+    const sealed = a.deriveChannel(b.publicKey, 'nonce-1').seal(SHARE);
+    expect(() => b.deriveChannel(a.publicKey, 'nonce-2').open(sealed)).toThrow('Sealed message failed authentication');
+
+    // A third party that swapped in its own key derives different keys
+    const eavesdropper = new KeyExchange();
+    expect(() => eavesdropper.deriveChannel(a.publicKey, 'nonce-1').open(sealed)).toThrow('Sealed message failed authentication');
+
+    expect(() => a.deriveChannel(a.publicKey, 'nonce-1')).toThrow('Channel key reflected back');
+    expect(() => a.deriveChannel(undefined, 'nonce-1')).toThrow('Channel key required');
+    const signingKey = crypto.createPublicKey(generateNodeKeyPair().publicKey).export({ type: 'spki', format: 'der' }).toString('base64');
+    expect(() => a.deriveChannel(signingKey, 'nonce-1')).toThrow('Expected an X25519 channel key, got ed25519');
+  });
+
+  test('Should authenticate the channel keys of the coordinator and its nodes', () => {
+    const coordinatorIdentity = generateNodeKeyPair();
+    const nodeIdentity = generateNodeKeyPair();
+    const authenticator = new NodeAuthenticator({ allowlist: { 'node-1': nodeIdentity.publicKey } });
+
+    // The coordinator signs its challenge and channel key
+    const coordinatorExchange = new KeyExchange();
+    const challenge = { ...authenticator.createChallenge('conn-1'), channelKey: coordinatorExchange.publicKey };
+    challenge.signature = signCoordinatorChallenge(challenge, coordinatorIdentity.privateKey);
+    expect(() => verifyCoordinatorChallenge(challenge, coordinatorIdentity.publicKey)).not.toThrow();
+    const impostorKey = new KeyExchange().publicKey;
+    expect(() => verifyCoordinatorChallenge({ ...challenge, channelKey: impostorKey }, coordinatorIdentity.publicKey))
+      .toThrow('Challenge is not signed by the coordinator');
+
+    // The node's registration signature covers its channel key, so it cannot be swapped in transit
+    const nodeExchange = new KeyExchange();
+    const registration = {
+      nodeId: 'node-1',
+      channelKey: nodeExchange.publicKey,
+      signature: signChallenge(challenge.nonce, 'node-1', nodeIdentity.privateKey, nodeExchange.publicKey)
+    };
+    expect(() => authenticator.verify('conn-1', { ...registration, channelKey: impostorKey }))
+      .toThrow('Invalid challenge signature for node node-1');
+    const again = { ...authenticator.createChallenge('conn-2'), channelKey: coordinatorExchange.publicKey };
+    const answer = {
+      ...registration,
+      signature: signChallenge(again.nonce, 'node-1', nodeIdentity.privateKey, nodeExchange.publicKey)
+    };
+    expect(authenticator.verify('conn-2', answer)).toMatchObject({ nodeId: 'node-1' });
+
+    const coordinatorChannel = coordinatorExchange.deriveChannel(answer.channelKey, again.nonce);
+    const nodeChannel = nodeExchange.deriveChannel(again.channelKey, again.nonce);
+    expect(coordinatorChannel.open(nodeChannel.seal({ type: 'result', result: 42 }))).toEqual({ type: 'result', result: 42 });
+  });
+
+  test('Should keep a relaying coordinator out of peer links', () => {
+    const identities = { 'node-1': generateNodeKeyPair(), 'node-2': generateNodeKeyPair() };
+    const verifier = new NodeAuthenticator({
+      allowlist: { 'node-1': identities['node-1'].publicKey, 'node-2': identities['node-2'].publicKey }
+    });
+    const hello = (nodeId, exchange) => ({
+      type: 'peer_hello',
+      nodeId,
+      channelKey: exchange.publicKey,
+      signature: signPeerHello(nodeId, exchange.publicKey, identities[nodeId].privateKey)
+    });
+
+    const node1 = new KeyExchange();
+    const node2 = new KeyExchange();
+    expect(verifier.verifyPeerHello(hello('node-1', node1))).toMatchObject({ nodeId: 'node-1' });
+    expect(verifier.verifyPeerHello(hello('node-2', node2))).toMatchObject({ nodeId: 'node-2' });
+
+    // A relay substituting its own key to sit in the middle fails the peer's signature check
+    const relay = new KeyExchange();
+    expect(() => verifier.verifyPeerHello({ ...hello('node-1', node1), channelKey: relay.publicKey }))
+      .toThrow('Invalid channel key signature for peer node-1');
+    expect(() => verifier.verifyPeerHello({ nodeId: 'node-3', channelKey: relay.publicKey, signature: 'x' }))
+      .toThrow('Node node-3 is not allowlisted and presented no certificate');
+
+    // Shares relayed between the peers stay unreadable to the relay
+    const context = 'node-1\nnode-2';
+    const sealed = node1.deriveChannel(node2.publicKey, context).seal(SHARE);
+    expect(node2.deriveChannel(node1.publicKey, context).open(sealed)).toEqual(SHARE);
+    expect(() => relay.deriveChannel(node1.publicKey, context).open(sealed)).toThrow('Sealed message failed authentication');
+    expect(() => relay.deriveChannel(node2.publicKey, context).open(sealed)).toThrow('Sealed message failed authentication');
+  });
+
+  test('Should seal re-shared shares to signed recipient keys the relay cannot swap', () => {
+    const identity = generateNodeKeyPair();
+    const verifier = new NodeAuthenticator({ allowlist: { 'node-2': identity.publicKey } });
+    const recipient = new KeyExchange();
+    const offer = {
+      nodeId: 'node-2',
+      computationId: 'c1',
+      reshareKey: recipient.publicKey,
+      signature: signReshareKey('node-2', 'c1', recipient.publicKey, identity.privateKey)
+    };
+    expect(verifier.verifyReshareKey(offer)).toMatchObject({ nodeId: 'node-2' });
+
+    // A relay offering its own key, or reusing the offer for another computation, fails the signature check
+    const relay = new KeyExchange();
+    expect(() => verifier.verifyReshareKey({ ...offer, reshareKey: relay.publicKey }))
+      .toThrow('Invalid re-sharing key signature for node node-2');
+    expect(() => verifier.verifyReshareKey({ ...offer, computationId: 'c2' }))
+      .toThrow('Invalid re-sharing key signature for node node-2');
+    expect(() => verifier.verifyReshareKey({ ...offer, signature: undefined })).toThrow('signature required');
+
+    // Only the recipient opens the sealed sub-share, and only in the context it was sealed for
+    const subShare = { sumShare: '8843210' };
+    const sealed = sealTo(offer.reshareKey, subShare, 'c1\nnode-1\nnode-2');
+    expect(JSON.stringify(sealed)).not.toContain('8843210');
+    expect(recipient.openSealed(sealed, 'c1\nnode-1\nnode-2')).toEqual(subShare);
+    expect(() => recipient.openSealed(sealed, 'c1\nnode-3\nnode-2')).toThrow('Sealed message failed authentication');
+    expect(() => relay.openSealed(sealed, 'c1\nnode-1\nnode-2')).toThrow('Sealed message failed authentication');
+  });
+});
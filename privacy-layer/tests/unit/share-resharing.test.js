@@ -0,0 +1,223 @@
+/**
+ * @fileoverview Share re-sharing tests for PrivaSight
+ *
+ * These tests cover recovering the Shamir share of a node that dropped out
+ * from the surviving nodes' shares without reconstructing the secret, and how
+ * the SMPC Orchestrator replaces a dropped node so the computation continues
+ * at full size, relaying only sealed sub-shares, or falls back to continuing
+ * short or aborting.
+ */
+
+const EventEmitter = require('events');
+const SMPCOrchestrator = require('../../core/SMPCOrchestrator');
+const { SecretSharing } = require('../../smpc/secret-sharing');
+const { createSubShares, combineSubShares, recoverShare } = require('../../smpc/resharing');
+const { KeyExchange, sealTo } = require('../../smpc/secure-channel');
+
+/**
+ * Run the three re-sharing rounds between the surviving nodes' shares
+ */
+function reshare(sharesByNode, points, target) {
+  const rounds = Object.keys(points).map(nodeId =>
+    createSubShares(sharesByNode[nodeId], { nodeId, points, target })
+  );
+  const contributions = Object.keys(points).map(nodeId =>
+    combineSubShares(rounds.map(round => round.subShares[nodeId]))
+  );
+  return { rounds, contributions, share: recoverShare(contributions, { target, thresholds: rounds[0].thresholds }) };
+}
+
+/**
+ * Coordinator stand-in whose nodes hold a share of the secret each, re-share
+ * on command, sealing what they send each other to the keys they offered,
+ * and report their share as their result when told to share
+ */
+class ShareHoldingNodes extends EventEmitter {
+  constructor() {
+    super();
+    this.shares = new Map(); // nodeId => share
+    this.sessions = new Map(); // nodeId => session key
+    this.reshareKeys = new Map(); // nodeId => key offered for re-sharing
+    this.dropOnShare = null;
+    this.commands = [];
+  }
+
+  async connectNode() {}
+
+  async getNodeLoad() {
+    return 0;
+  }
+
+  deal(nodeIds, shares) {
+    nodeIds.forEach((nodeId, index) => this.shares.set(nodeId, { sumShare: shares[index], nodeIndex: index }));
+  }
+
+  async sendCommand(nodeId, command, params) {
+    this.commands.push({ nodeId, command, params });
+    const seal = (to, value, offer) => ({ ...sealTo(offer.reshareKey, value, `${nodeId}>${to}`), sender: nodeId });
+    const open = sealed => sealed.map(value => this.reshareKeys.get(nodeId).openSealed(value, `${value.sender}>${nodeId}`));
+    if (command !== 'initialize' && this.sessions.get(nodeId) !== params.sessionKey) {
+      throw new Error(`Node ${nodeId} rejected ${command}: Invalid session key`);
+    }
+
+    switch (command) {
+      case 'initialize':
+        this.sessions.set(nodeId, params.sessionKey);
+        return { success: true };
+      case 'share':
+        if (nodeId === this.dropOnShare) {
+          this.emit('node:disconnected', nodeId);
+          throw new Error(`Node ${nodeId} disconnected`);
+        }
+        setImmediate(() => this.emit('result:received', {
+          computationId: params.computationId,
+          nodeId,
+          result: this.shares.get(nodeId).sumShare
+        }));
+        return { success: true };
+      case 'reshare_key': {
+        const keyExchange = new KeyExchange();
+        this.reshareKeys.set(nodeId, keyExchange);
+        return { reshareKey: keyExchange.publicKey, cipher: keyExchange.cipher };
+      }
+      case 'reshare': {
+        const { subShares, thresholds } = createSubShares(this.shares.get(nodeId), { nodeId, points: params.points, target: params.target });
+        const sealed = {};
+        for (const [helper, subShare] of Object.entries(subShares)) {
+          sealed[helper] = seal(helper, subShare, params.keys[helper]);
+        }
+        return { subShares: sealed, thresholds };
+      }
+      case 'reshare_combine':
+        return { contribution: seal(params.replacementId, combineSubShares(open(params.subShares)), params.replacementKey) };
+      case 'recover_share':
+        this.shares.set(nodeId, recoverShare(open(params.contributions), params));
+        return { success: true };
+      default:
+        return { success: true };
+    }
+  }
+}
+
+describe('PrivaSight Share Re-sharing Tests', () => {
+  const secretSharing = new SecretSharing();
+
+  test('Should recover a dropped share from the surviving shares without revealing them', async () => {
+    const shares = await secretSharing.shareSecret({ secret: 42, numShares: 5, threshold: 3 });
+    const sharesByNode = {};
+    shares.forEach((share, index) => { sharesByNode[`node-${index + 1}`] = { sumShare: share, nodeIndex: index }; });
+
+    const points = { 'node-1': 1, 'node-3': 3, 'node-4': 4, 'node-5': 5 };
+    const { contributions, share } = reshare(sharesByNode, points, 2);
+
+    expect(share.nodeIndex).toBe(1);
+    expect(share.sumShare).toMatchObject({ x: '2', value: shares[1].value, threshold: 3 });
+    for (const contribution of contributions) {
+      expect(Object.values(sharesByNode).map(held => held.sumShare.value)).not.toContain(contribution.sumShare);
+    }
+
+    // The recovered share reconstructs the secret with any others
+    const secret = await secretSharing.reconstructSecret({ shares: [share.sumShare, shares[0], shares[4]] });
+    expect(secret.toString()).toBe('42');
+
+    // Too few survivors cannot determine the polynomial
+    expect(() => reshare(sharesByNode, { 'node-1': 1, 'node-3': 3 }, 2)).toThrow('At least 3 surviving shares are required');
+    expect(() => createSubShares(sharesByNode['node-1'], { nodeId: 'node-1', points: { 'node-1': 3, 'node-4': 4, 'node-5': 5 }, target: 2 }))
+      .toThrow('Share point mismatch');
+    expect(() => createSubShares(sharesByNode['node-1'], { nodeId: 'node-1', points, target: 3 }))
+      .toThrow('held by a surviving node');
+  });
+
+  describe('SMPC Orchestrator', () => {
+    let nodes;
+    let shares;
+
+    const createOrchestrator = (config = {}) => {
+      const orchestrator = new SMPCOrchestrator({
+        secretSharing,
+        coordinator: nodes,
+        protocols: {
+          average: {
+            aggregateResults: async results => ({ sum: (await secretSharing.reconstructSecret({ shares: results })).toString() }),
+            verifyResult: async () => true
+          }
+        },
+        config: { minNodes: 3, maxNodesPerComputation: 3, ...config }
+      });
+      return orchestrator;
+    };
+
+    const start = async (orchestrator, nodeIds) => {
+      for (const id of nodeIds) {
+        orchestrator.registerNode({ id, url: `ws://${id}`, supportedProtocols: ['average'], capabilities: { computePower: 1 } });
+        nodes.emit('node:connected', id);
+      }
+      const setup = await orchestrator.setupComputation({
+        computation: { id: 'c1', type: 'average', researcher: '0xr', dataVaultIds: ['1'] },
+        privacyParameters: { epsilon: 1 }
+      });
+      nodes.deal(setup.nodeIds, shares);
+      return setup;
+    };
+
+    beforeEach(async () => {
+      nodes = new ShareHoldingNodes();
+      shares = await secretSharing.shareSecret({ secret: 1234, numShares: 3, threshold: 2 });
+    });
+
+    test('Should re-share a dropped node\'s share to a replacement and finish at full size', async () => {
+      const orchestrator = createOrchestrator();
+      const replaced = [];
+      orchestrator.on('computation:node-replaced', event => replaced.push(event));
+      const setup = await start(orchestrator, ['node-1', 'node-2', 'node-3', 'node-4']);
+      nodes.dropOnShare = setup.nodeIds[1];
+
+      const result = await orchestrator.executeComputation(setup);
+
+      expect(result).toEqual({ sum: '1234' });
+      expect(replaced).toEqual([{
+        id: 'c1',
+        nodeId: setup.nodeIds[1],
+        replacementId: 'node-4',
+        helpers: [setup.nodeIds[0], setup.nodeIds[2]]
+      }]);
+
+      // The replacement holds the dropped node's share, not a reconstruction
+      expect(nodes.shares.get('node-4').sumShare).toMatchObject({ x: '2', value: shares[1].value });
+      expect(nodes.commands.filter(({ command }) => command === 'recover_share').map(({ nodeId }) => nodeId)).toEqual(['node-4']);
+
+      // The orchestrator relayed sub-shares and their sums only sealed
+      const relayed = nodes.commands.flatMap(({ command, params }) =>
+        command === 'reshare_combine' ? params.subShares : command === 'recover_share' ? params.contributions : []
+      );
+      expect(relayed).toHaveLength(6);
+      for (const sealed of relayed) {
+        expect(sealed).toMatchObject({ type: 'sealed' });
+        expect(sealed.sumShare).toBeUndefined();
+      }
+
+      const status = orchestrator.getComputationStatus('c1');
+      expect(status).toMatchObject({ state: 'completed', nodeCount: 3 });
+      expect(status.replacements).toHaveLength(1);
+      expect(status.replacements[0]).toMatchObject({ nodeId: setup.nodeIds[1], replacementId: 'node-4' });
+    });
+
+    test('Should continue short, or abort, when no replacement is available', async () => {
+      const orchestrator = createOrchestrator();
+      const setup = await start(orchestrator, ['node-1', 'node-2', 'node-3']);
+      nodes.dropOnShare = 'node-3';
+
+      await expect(orchestrator.executeComputation(setup)).resolves.toEqual({ sum: '1234' });
+      expect(orchestrator.getComputationStatus('c1')).toMatchObject({ nodeCount: 2, replacements: [] });
+
+      nodes = new ShareHoldingNodes();
+      const strict = createOrchestrator({ thresholdRatio: 1 });
+      const strictSetup = await start(strict, ['node-1', 'node-2', 'node-3']);
+      nodes.dropOnShare = 'node-1';
+
+      await expect(strict.executeComputation(strictSetup))
+        .rejects.toThrow('Node node-1 disconnected, not enough nodes to meet threshold (not replaced: No replacement node available)');
+      expect(strict.getComputationStatus('c1').state).toBe('aborted');
+    });
+  });
+});
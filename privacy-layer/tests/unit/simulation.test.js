@@ -0,0 +1,198 @@
+/**
+ * @fileoverview Computation simulation tests for PrivaSight
+ *
+ * These tests cover synthetic record generation from vault schemas, and
+ * simulated runs through an SMPC Orchestrator whose coordinator plays
+ * in-process nodes: results and estimates are reported while no budget is
+ * charged, no grant is used and nothing is stored or published.
+ */
+
+const EventEmitter = require('events');
+const SMPCOrchestrator = require('../../core/SMPCOrchestrator');
+const SyntheticData = require('../../core/SyntheticData');
+const { createInMemoryContracts } = require('../../core/InMemoryContracts');
+const { createPrivacyLayer } = require('./helpers/privacy-layer');
+
+const OWNER = '0x00000000000000000000000000000000000000b1';
+const RESEARCHER = '0x00000000000000000000000000000000000000c1';
+
+const SCHEMA = {
+  fields: [
+    { name: 'patientId', type: 'string' },
+    { name: 'age', type: 'integer', min: 18, max: 90 },
+    { name: 'cholesterol', type: 'number', min: 120, max: 300 },
+    { name: 'smoker', type: 'boolean' },
+    { name: 'diagnosis', type: 'string', values: ['A', 'B', 'C'] }
+  ]
+};
+
+/**
+ * Coordinator that plays in-process nodes: each node reports the average and
+ * count of the values loaded for the computation
+ */
+class SimulatedNodes extends EventEmitter {
+  constructor() {
+    super();
+    this.loaded = new Map();
+    this.commands = [];
+  }
+
+  async connectNode(nodeId) {
+    this.emit('node:connected', nodeId);
+  }
+
+  async getNodeLoad() {
+    return 0;
+  }
+
+  async loadData({ computationId, data }) {
+    this.loaded.set(computationId, data);
+    return {};
+  }
+
+  async sendCommand(nodeId, command, { computationId }) {
+    this.commands.push({ nodeId, command, computationId });
+    if (command === 'share') {
+      const data = this.loaded.get(computationId);
+      const result = { average: data.reduce((sum, value) => sum + value, 0) / data.length, count: data.length };
+      setImmediate(() => this.emit('result:received', { computationId, nodeId, result }));
+    }
+    return { success: true };
+  }
+}
+
+describe('PrivaSight Simulation Tests', () => {
+  let contracts;
+  let nodes;
+  let privacyLayer;
+  let published;
+
+  beforeEach(() => {
+    ({ contracts } = createInMemoryContracts());
+    nodes = new SimulatedNodes();
+    published = [];
+
+    const orchestrator = new SMPCOrchestrator({
+      secretSharing: {},
+      coordinator: nodes,
+      protocols: {
+        average: { aggregateResults: async nodeResults => nodeResults[0], verifyResult: async () => true }
+      }
+    });
+    for (const id of ['local-node-1', 'local-node-2', 'local-node-3']) {
+      orchestrator.registerNode({ id, url: `local://${id}`, supportedProtocols: ['average'], capabilities: {} });
+    }
+
+    privacyLayer = createPrivacyLayer({
+      contracts,
+      zkpVerifier: {
+        generateComputationProof: async () => {
+          published.push('proof');
+          return { id: 'proof', proofData: '0xproof' };
+        }
+      },
+      smpcOrchestrator: {
+        estimateComputation: ({ dataVaultIds }) => ({ estimatedRuntimeMs: 1500 * dataVaultIds.length })
+      },
+      differentialPrivacy: { generateParameters: () => ({ epsilon: 0.5, delta: 1e-6 }) },
+      simulation: { orchestrator, coordinator: nodes },
+      syntheticData: new SyntheticData({ recordCount: 40, seed: 7 })
+    });
+  });
+
+  afterEach(() => {
+    clearTimeout(privacyLayer.expiryTimer);
+  });
+
+  /**
+   * Mint, list and approve one-time access to a vault for the researcher
+   * @returns {Promise<string>} Token ID of the vault
+   */
+  async function grantOneTimeAccess() {
+    const mint = await contracts.dataVaultNFT.methods
+      .mintDataVault('ipfs://data', '0xkeyhash', '{}', 'medical', 'ipfs://meta', 0)
+      .send({ from: OWNER });
+    const tokenId = mint.events.DataVaultMinted.returnValues.tokenId;
+    const listing = await contracts.marketplace.methods
+      .createListing(tokenId, 100, 1, 1, 0, '', '', [], false, 0, 'Medical')
+      .send({ from: OWNER });
+    const listingId = listing.events.ListingCreated.returnValues.listingId;
+
+    await contracts.marketplace.methods.requestAccess(listingId, 'MEDICAL_RESEARCH', 100).send({ from: RESEARCHER });
+    await contracts.marketplace.methods.approveAccess(listingId, 0, 100).send({ from: OWNER });
+    await privacyLayer.registerDataVault(tokenId);
+    await privacyLayer.setupSecureAccess(listingId, RESEARCHER);
+    return tokenId;
+  }
+
+  test('Should generate reproducible records that conform to the schema', () => {
+    const records = new SyntheticData({ seed: 42 }).generate(SCHEMA, { recordCount: 50 });
+
+    expect(records.length).toBe(50);
+    expect(new SyntheticData({ seed: 42 }).generate(SCHEMA, { recordCount: 50 })).toEqual(records);
+    for (const record of records) {
+      expect(Number.isInteger(record.age) && record.age >= 18 && record.age <= 90).toBe(true);
+      expect(record.cholesterol >= 120 && record.cholesterol < 300).toBe(true);
+      expect(typeof record.smoker).toBe('boolean');
+      expect(['A', 'B', 'C'].includes(record.diagnosis)).toBe(true);
+    }
+  });
+
+  test('Should extract protocol input from numeric fields only', () => {
+    const generator = new SyntheticData({ seed: 1 });
+    const records = generator.generate(SCHEMA, { recordCount: 3 });
+
+    expect(generator.toProtocolInput(records, SCHEMA)).toEqual(records.map(record => record.age));
+    expect(generator.toProtocolInput(records, SCHEMA, { fields: ['age', 'cholesterol'] }))
+      .toEqual(records.map(record => [record.age, record.cholesterol]));
+    expect(() => generator.toProtocolInput(records, SCHEMA, { field: 'diagnosis' })).toThrow('Field diagnosis is not numeric');
+    expect(() => SyntheticData.resolveSchema({ fields: [{ name: 'scan', type: 'image' }] })).toThrow('Cannot generate field scan of type image');
+    expect(new SyntheticData({ recordCount: 5 }).generate(null).length).toBe(5);
+  });
+
+  test('Should report results, expected noise and runtime without charging budget or using grants', async () => {
+    const tokenId = await grantOneTimeAccess();
+    const events = [];
+    privacyLayer.on('computation:simulated', event => events.push(event));
+
+    const simulation = await privacyLayer.orchestrateComputation('sim-1', RESEARCHER, [tokenId], 'average', { simulate: true });
+
+    expect(simulation.simulated).toBe(true);
+    expect(simulation.syntheticRecords).toEqual({ [tokenId]: 40 });
+    expect(simulation.results.count).toBe(40);
+    expect(simulation.release.released).toBe(true);
+    expect(simulation.expectedNoise.scale).toBe(2);
+    expect(simulation.expectedNoise.standardDeviation).toBe(2 * Math.SQRT2);
+    expect(simulation.runtime.estimatedMs).toBe(1500);
+    expect(simulation.privacyBudget[tokenId].remainingAfter.epsilon).toBe(9.5);
+    expect(events.length).toBe(1);
+
+    // Nothing was spent, stored or published, and the session was torn down on the nodes
+    expect(privacyLayer.getBudgetStatus(tokenId).remaining.epsilon).toBe(10);
+    expect(privacyLayer.getComputation('sim-1')).toBeNull();
+    expect(published.length).toBe(0);
+    expect(nodes.commands.filter(entry => entry.command === 'teardown').length).toBe(3);
+    expect(await privacyLayer.verifyAccessRights(tokenId, RESEARCHER)).toBe(true);
+  });
+
+  test('Should report a release that the release rules would block', async () => {
+    privacyLayer.syntheticData = new SyntheticData({ recordCount: 4, seed: 3 });
+    const tokenId = await grantOneTimeAccess();
+
+    const simulation = await privacyLayer.orchestrateComputation('sim-2', RESEARCHER, [tokenId], 'average', { simulate: true });
+
+    expect(simulation.results).toBeNull();
+    expect(simulation.release).toEqual({ released: false, reason: 'Cohort of 4 records is below the minimum of 10' });
+  });
+
+  test('Should refuse to simulate without access or when simulation is not configured', async () => {
+    const tokenId = await grantOneTimeAccess();
+
+    await expect(privacyLayer.orchestrateComputation('sim-3', OWNER, [tokenId], 'average', { simulate: true }))
+      .rejects.toThrow('does not have active access');
+
+    privacyLayer.simulation = null;
+    await expect(privacyLayer.orchestrateComputation('sim-4', RESEARCHER, [tokenId], 'average', { simulate: true }))
+      .rejects.toThrow('Simulation is not configured');
+  });
+});
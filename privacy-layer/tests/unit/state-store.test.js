@@ -0,0 +1,126 @@
+/**
+ * @fileoverview State store tests for PrivaSight
+ *
+ * These tests verify that Privacy Layer state survives a restart through the
+ * file-backed journal, including recovery from a torn trailing write and
+ * journal compaction.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MemoryStateStore, FileStateStore, createStateStore } = require('../../core/StateStore');
+
+describe('PrivaSight State Store Tests', () => {
+  let tmpDir;
+  let journalPath;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'privasight-state-'));
+    journalPath = path.join(tmpDir, 'state.jsonl');
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  describe('Memory Store', () => {
+    test('Should return copies of stored records', async () => {
+      const store = new MemoryStateStore();
+      const record = { id: 'vault-1', status: 'registered' };
+      await store.put('dataVaults', 'vault-1', record);
+      record.status = 'mutated';
+
+      const state = await store.load();
+      expect(state.dataVaults.get('vault-1').status).toBe('registered');
+
+      await store.delete('dataVaults', 'vault-1');
+      expect((await store.load()).dataVaults.size).toBe(0);
+    });
+  });
+
+  describe('File Store', () => {
+    test('Should rehydrate records after reopening', async () => {
+      const store = new FileStateStore({ filePath: journalPath, fsync: false });
+      await store.load();
+      await store.put('computations', 'comp-1', { id: 'comp-1', status: 'preparing' });
+      await store.put('computations', 'comp-1', { id: 'comp-1', status: 'executing' });
+      await store.put('accessProofs', 'listing-1-0xabc', { dataVaultId: 'vault-1' });
+      await store.delete('accessProofs', 'listing-1-0xabc');
+      await store.close();
+
+      const reopened = new FileStateStore({ filePath: journalPath, fsync: false });
+      const state = await reopened.load();
+      await reopened.close();
+
+      expect(state.computations.get('comp-1').status).toBe('executing');
+      expect(state.accessProofs.size).toBe(0);
+    });
+
+    test('Should ignore a truncated trailing entry', async () => {
+      const store = new FileStateStore({ filePath: journalPath, fsync: false });
+      await store.load();
+      await store.put('dataVaults', 'vault-1', { id: 'vault-1' });
+      await store.close();
+
+      // Simulate a crash in the middle of an append
+      fs.appendFileSync(journalPath, '{"op":"put","collection":"dataVaults","key":"vault-2","val');
+
+      const reopened = new FileStateStore({ filePath: journalPath, fsync: false });
+      const state = await reopened.load();
+      await reopened.put('dataVaults', 'vault-3', { id: 'vault-3' });
+      await reopened.close();
+
+      expect(state.dataVaults.has('vault-1')).toBe(true);
+      expect(state.dataVaults.has('vault-2')).toBe(false);
+
+      const final = new FileStateStore({ filePath: journalPath, fsync: false });
+      const finalState = await final.load();
+      await final.close();
+      expect(Array.from(finalState.dataVaults.keys())).toEqual(['vault-1', 'vault-3']);
+    });
+
+    test('Should read a journal read-only without repairing or appending to it', async () => {
+      const store = new FileStateStore({ filePath: journalPath, fsync: false });
+      await store.load();
+      await store.put('dataVaults', 'vault-1', { id: 'vault-1' });
+      await store.close();
+      fs.appendFileSync(journalPath, '{"op":"put","collection":"dataVaults","key":"vault-2","val');
+      const before = fs.readFileSync(journalPath);
+
+      const readOnly = new FileStateStore({ filePath: journalPath, readOnly: true });
+      const state = await readOnly.load();
+      await expect(readOnly.put('dataVaults', 'vault-3', { id: 'vault-3' })).rejects.toThrow('is read-only');
+      await readOnly.close();
+
+      expect(Array.from(state.dataVaults.keys())).toEqual(['vault-1']);
+      expect(fs.readFileSync(journalPath).equals(before)).toBe(true);
+    });
+
+    test('Should reject a corrupt entry before the end of the journal', async () => {
+      fs.writeFileSync(journalPath, 'not-json\n{"op":"put","collection":"dataVaults","key":"v","value":{}}\n');
+
+      const store = new FileStateStore({ filePath: journalPath, fsync: false });
+      await expect(store.load()).rejects.toThrow('Corrupt state journal');
+    });
+
+    test('Should compact the journal once the threshold is reached', async () => {
+      const store = new FileStateStore({ filePath: journalPath, compactionThreshold: 5, fsync: false });
+      await store.load();
+      for (let i = 0; i < 5; i++) {
+        await store.put('computations', 'comp-1', { id: 'comp-1', revision: i });
+      }
+      await store.close();
+
+      const lines = fs.readFileSync(journalPath, 'utf8').trim().split('\n');
+      expect(lines).toHaveLength(1);
+      expect(JSON.parse(lines[0]).value.revision).toBe(4);
+    });
+  });
+
+  test('Should create adapters from configuration', () => {
+    expect(createStateStore()).toBeInstanceOf(MemoryStateStore);
+    expect(createStateStore({ adapter: 'file', path: journalPath })).toBeInstanceOf(FileStateStore);
+    expect(() => createStateStore({ adapter: 'redis' })).toThrow('Unknown state store adapter');
+  });
+});
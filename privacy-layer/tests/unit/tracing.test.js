@@ -0,0 +1,195 @@
+/**
+ * @fileoverview Tracing tests for PrivaSight
+ *
+ * These tests cover span recording and OTLP JSON export, the file exporter,
+ * and propagation of one trace from the Privacy Layer through the SMPC
+ * Orchestrator to the commands its coordinator sends to nodes.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const EventEmitter = require('events');
+const SMPCOrchestrator = require('../../core/SMPCOrchestrator');
+const SyntheticData = require('../../core/SyntheticData');
+const { createInMemoryContracts } = require('../../core/InMemoryContracts');
+const { Tracer, FileExporter, StatusCode, parseTraceparent } = require('../../monitoring/tracing');
+const { createPrivacyLayer } = require('./helpers/privacy-layer');
+
+const OWNER = '0x00000000000000000000000000000000000000b1';
+const RESEARCHER = '0x00000000000000000000000000000000000000c1';
+
+/**
+ * Exporter that keeps every exported request and span
+ */
+class CollectingExporter {
+  constructor() {
+    this.requests = [];
+    this.spans = [];
+  }
+
+  async export(request, spans) {
+    this.requests.push(request);
+    this.spans.push(...spans);
+  }
+}
+
+/**
+ * Coordinator that records the trace context of each command and reports the
+ * average of the values loaded for the computation
+ */
+class TracedNodes extends EventEmitter {
+  constructor() {
+    super();
+    this.loaded = new Map();
+    this.commands = [];
+  }
+
+  async connectNode(nodeId) {
+    this.emit('node:connected', nodeId);
+  }
+
+  async getNodeLoad() {
+    return 0;
+  }
+
+  async loadData({ computationId, data }) {
+    this.loaded.set(computationId, data);
+    return {};
+  }
+
+  async sendCommand(nodeId, command, { computationId }, metadata = {}) {
+    this.commands.push({ nodeId, command, trace: metadata.trace });
+    if (command === 'share') {
+      const data = this.loaded.get(computationId);
+      const result = { average: data.reduce((sum, value) => sum + value, 0) / data.length, count: data.length };
+      setImmediate(() => this.emit('result:received', { computationId, nodeId, result }));
+    }
+    return { success: true };
+  }
+}
+
+describe('PrivaSight Tracing Tests', () => {
+  let tracer;
+  let exporter;
+
+  beforeEach(() => {
+    exporter = new CollectingExporter();
+    tracer = new Tracer({ serviceName: 'privasight-test', exporters: [exporter] });
+  });
+
+  test('Should continue a trace from a traceparent and export OTLP JSON', async () => {
+    const root = tracer.startSpan('root', { attributes: { 'computation.id': 'c-1', nodes: 3, share: 0.5, simulated: false } });
+    const child = tracer.startSpan('child', { parent: root.traceparent() });
+    child.recordError(new Error('node timed out'));
+    child.end();
+    root.end();
+    root.end();
+
+    expect(parseTraceparent(root.traceparent())).toEqual(root.context());
+    expect(parseTraceparent('00-00000000000000000000000000000000-0000000000000001-01')).toBeNull();
+    expect(child.traceId).toBe(root.traceId);
+    expect(child.parentSpanId).toBe(root.spanId);
+
+    await tracer.flush();
+    expect(exporter.requests.length).toBe(1);
+    const [resourceSpans] = exporter.requests[0].resourceSpans;
+    expect(resourceSpans.resource.attributes).toEqual([{ key: 'service.name', value: { stringValue: 'privasight-test' } }]);
+
+    const [exportedChild, exportedRoot] = resourceSpans.scopeSpans[0].spans;
+    expect(exportedChild.status).toEqual({ code: StatusCode.ERROR, message: 'node timed out' });
+    expect(exportedChild.events[0].name).toBe('exception');
+    expect(exportedRoot.status).toEqual({ code: StatusCode.OK });
+    expect(exportedRoot.parentSpanId).toBeUndefined();
+    expect(exportedRoot.attributes).toEqual([
+      { key: 'computation.id', value: { stringValue: 'c-1' } },
+      { key: 'nodes', value: { intValue: '3' } },
+      { key: 'share', value: { doubleValue: 0.5 } },
+      { key: 'simulated', value: { boolValue: false } }
+    ]);
+    expect(BigInt(exportedRoot.endTimeUnixNano) >= BigInt(exportedRoot.startTimeUnixNano)).toBe(true);
+  });
+
+  test('Should append export requests to a file and read the spans back', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'privasight-traces-'));
+    const filePath = path.join(dir, 'traces', 'spans.jsonl');
+    tracer = new Tracer({ exporters: [new FileExporter({ path: filePath })] });
+
+    try {
+      await tracer.trace('first', {}, async () => {});
+      await tracer.flush();
+      await expect(tracer.trace('second', {}, async () => {
+        throw new Error('verification failed');
+      })).rejects.toThrow('verification failed');
+      await tracer.shutdown();
+
+      expect(fs.readFileSync(filePath, 'utf8').trim().split('\n').length).toBe(2);
+      const spans = await FileExporter.read(filePath);
+      expect(spans.map(span => span.name)).toEqual(['first', 'second']);
+      expect(spans[1].status.code).toBe(StatusCode.ERROR);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('Should record one trace from orchestration through every phase and node command', async () => {
+    const { contracts } = createInMemoryContracts();
+    const nodes = new TracedNodes();
+    const orchestrator = new SMPCOrchestrator({
+      secretSharing: {},
+      coordinator: nodes,
+      protocols: {
+        average: { aggregateResults: async nodeResults => nodeResults[0], verifyResult: async () => true }
+      },
+      tracer
+    });
+    for (const id of ['node-1', 'node-2', 'node-3']) {
+      orchestrator.registerNode({ id, url: `local://${id}`, supportedProtocols: ['average'], capabilities: {} });
+    }
+
+    const privacyLayer = createPrivacyLayer({
+      contracts,
+      smpcOrchestrator: { estimateComputation: () => ({ estimatedRuntimeMs: 1000 }) },
+      differentialPrivacy: { generateParameters: () => ({ epsilon: 0.5, delta: 1e-6 }) },
+      simulation: { orchestrator, coordinator: nodes },
+      syntheticData: new SyntheticData({ recordCount: 20, seed: 5 }),
+      tracer
+    });
+
+    try {
+      const mint = await contracts.dataVaultNFT.methods
+        .mintDataVault('ipfs://data', '0xkeyhash', '{}', 'medical', 'ipfs://meta', 0)
+        .send({ from: OWNER });
+      const tokenId = mint.events.DataVaultMinted.returnValues.tokenId;
+      const listing = await contracts.marketplace.methods
+        .createListing(tokenId, 100, 1, 1, 0, '', '', [], false, 0, 'Medical')
+        .send({ from: OWNER });
+      const listingId = listing.events.ListingCreated.returnValues.listingId;
+      await contracts.marketplace.methods.requestAccess(listingId, 'MEDICAL_RESEARCH', 100).send({ from: RESEARCHER });
+      await contracts.marketplace.methods.approveAccess(listingId, 0, 100).send({ from: OWNER });
+      await privacyLayer.registerDataVault(tokenId);
+      await privacyLayer.setupSecureAccess(listingId, RESEARCHER);
+
+      await privacyLayer.orchestrateComputation('traced-1', RESEARCHER, [tokenId], 'average', { simulate: true });
+      await tracer.flush();
+    } finally {
+      clearTimeout(privacyLayer.expiryTimer);
+    }
+
+    const root = exporter.spans.find(span => span.name === 'privacy-layer.orchestrateComputation');
+    const computation = exporter.spans.find(span => span.name === 'orchestrator.computation');
+    expect(computation.parentSpanId).toBe(root.spanId);
+    expect(exporter.spans.every(span => span.traceId === root.traceId)).toBe(true);
+
+    const phases = exporter.spans.filter(span => span.parentSpanId === computation.spanId).map(span => span.name);
+    expect(phases).toEqual(['orchestrator.initialize', 'orchestrator.share', 'orchestrator.aggregate', 'orchestrator.verify']);
+
+    // Every command reached the nodes with the context of the phase that sent it
+    const initialize = exporter.spans.find(span => span.name === 'orchestrator.initialize');
+    for (const { command, trace } of nodes.commands) {
+      expect(parseTraceparent(trace).traceId).toBe(root.traceId);
+      if (command === 'initialize') expect(parseTraceparent(trace).spanId).toBe(initialize.spanId);
+    }
+    expect(nodes.commands.map(entry => entry.command)).toContain('teardown');
+  });
+});
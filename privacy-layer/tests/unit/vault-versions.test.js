@@ -0,0 +1,197 @@
+/**
+ * @fileoverview Vault data version tests for PrivaSight
+ *
+ * These tests cover the version history kept for each data vault's data
+ * hash, retention of old versions, computations pinned to the version they
+ * ran on, which the SMPC Orchestrator hands to the nodes, re-running a
+ * computation on its historical versions, and syncing versions from on-chain
+ * data updates.
+ */
+
+const EventEmitter = require('events');
+const SMPCOrchestrator = require('../../core/SMPCOrchestrator');
+const VaultVersions = require('../../core/VaultVersions');
+const { AuditLog } = require('../../core/AuditLog');
+const { MemoryStateStore } = require('../../core/StateStore');
+const { createInMemoryContracts } = require('../../core/InMemoryContracts');
+const { validateSchema } = require('../../api/validation');
+const { routes } = require('../../api/routes');
+const { createPrivacyLayer } = require('./helpers/privacy-layer');
+
+const OWNER = '0x00000000000000000000000000000000000000b1';
+const RESEARCHER = '0x00000000000000000000000000000000000000c1';
+
+describe('PrivaSight Vault Version Tests', () => {
+  test('Should create a version only when the data hash changes and retire the oldest', () => {
+    const versions = new VaultVersions({ retainVersions: 2 });
+
+    const first = versions.record('vault-1', 'ipfs://v1').version;
+    expect(versions.record('vault-1', 'ipfs://v1')).toMatchObject({ created: false, version: first });
+
+    const second = versions.record('vault-1', 'ipfs://v2').version;
+    const { version: third, retired } = versions.record('vault-1', 'ipfs://v3');
+
+    expect(third).toMatchObject({ version: 3, previousVersionId: second.versionId, retained: true });
+    expect(retired).toEqual([first]);
+    expect(first.retained).toBe(false);
+    expect(versions.list('vault-1').map(version => version.version)).toEqual([3, 2, 1]);
+
+    // Returning to earlier data is a new version, not the old one
+    const fourth = versions.record('vault-1', 'ipfs://v1').version;
+    expect(fourth.version).toBe(4);
+    expect(fourth.versionId).not.toBe(first.versionId);
+
+    expect(() => new VaultVersions({ retainVersions: 0 })).toThrow('current version');
+  });
+
+  test('Should resolve pinned and current versions for a computation', () => {
+    const versions = new VaultVersions({ retainVersions: 1 });
+    const old = versions.record('vault-1', 'ipfs://v1').version;
+    const current = versions.record('vault-1', 'ipfs://v2').version;
+    const other = versions.record('vault-2', 'ipfs://w1').version;
+
+    expect(versions.resolve(['vault-1', 'vault-2', 'vault-3'])).toEqual({
+      'vault-1': { versionId: current.versionId, version: 2, dataHash: 'ipfs://v2' },
+      'vault-2': { versionId: other.versionId, version: 1, dataHash: 'ipfs://w1' }
+    });
+    expect(() => versions.resolve(['vault-1'], { 'vault-1': old.versionId })).toThrow('Version 1 of data vault vault-1 is no longer retained');
+    expect(() => versions.resolve(['vault-1'], { 'vault-1': other.versionId })).toThrow('not found');
+    expect(() => versions.resolve(['vault-1'], { 'vault-2': other.versionId })).toThrow('which the computation does not use');
+  });
+
+  test('Should pin computations to a version, re-run them on it and restore the history', async () => {
+    const { contracts } = createInMemoryContracts();
+    const stateStore = new MemoryStateStore();
+    const auditLog = new AuditLog({ commitIntervalMs: 0 });
+    await auditLog.initialize();
+    const setups = [];
+    const components = {
+      contracts,
+      smpcOrchestrator: {
+        setupComputation: async ({ computation }) => {
+          setups.push(computation);
+          return { id: computation.id, dataVersions: computation.dataVersions };
+        }
+      },
+      stateStore,
+      config: { vaultVersions: { retainVersions: 2 } }
+    };
+    const privacyLayer = createPrivacyLayer({ ...components, auditLog });
+    let restored = null;
+
+    try {
+      const mint = await contracts.dataVaultNFT.methods
+        .mintDataVault('ipfs://v1', '0xkeyhash', '{}', 'medical', 'ipfs://meta', 0)
+        .send({ from: OWNER });
+      const tokenId = mint.events.DataVaultMinted.returnValues.tokenId;
+      const listing = await contracts.marketplace.methods
+        .createListing(tokenId, 100, 3, 1, 0, '', '', [], false, 0, 'Medical')
+        .send({ from: OWNER });
+      const listingId = listing.events.ListingCreated.returnValues.listingId;
+      await contracts.marketplace.methods.requestAccess(listingId, 'MEDICAL_RESEARCH', 100).send({ from: RESEARCHER });
+      await contracts.marketplace.methods.approveAccess(listingId, 0, 100).send({ from: OWNER });
+
+      const vault = await privacyLayer.registerDataVault(tokenId);
+      await privacyLayer.setupSecureAccess(listingId, RESEARCHER);
+      const [first] = privacyLayer.getVaultVersions(tokenId);
+      expect(vault.currentVersion).toBe(first.versionId);
+
+      const original = await privacyLayer.orchestrateComputation('c1', RESEARCHER, [tokenId], 'average');
+      expect(original.dataVersions).toEqual({ [tokenId]: { versionId: first.versionId, version: 1, dataHash: 'ipfs://v1' } });
+      expect(setups[0].dataVersions).toEqual(original.dataVersions);
+
+      // The owner updates the data on-chain
+      const update = await contracts.dataVaultNFT.methods.updateDataHash(tokenId, 'ipfs://v2', '0xkeyhash2').send({ from: OWNER });
+      expect(update.events.DataHashUpdated.returnValues).toMatchObject({ tokenId, newDataHash: 'ipfs://v2' });
+      const second = await privacyLayer.syncVaultVersion(tokenId);
+      expect(second).toMatchObject({ version: 2, dataHash: 'ipfs://v2', previousVersionId: first.versionId });
+      expect(privacyLayer.getDataVault(tokenId)).toMatchObject({ dataHash: 'ipfs://v2', currentVersion: second.versionId });
+      expect(await privacyLayer.syncVaultVersion(tokenId)).toBe(second);
+
+      await privacyLayer.orchestrateComputation('c2', RESEARCHER, [tokenId], 'average');
+      expect(setups[1].dataVersions[tokenId].version).toBe(2);
+
+      const rerun = await privacyLayer.rerunComputation('c1', 'c3', RESEARCHER);
+      expect(rerun).toMatchObject({ rerunOf: 'c1', dataVersions: original.dataVersions });
+      expect(setups[2].dataVersions[tokenId].dataHash).toBe('ipfs://v1');
+
+      const created = auditLog.entries.find(entry => entry.type === 'vault:version-created');
+      expect(created.payload).toMatchObject({ dataVaultId: tokenId, versionId: second.versionId, version: 2, retiredVersionIds: [] });
+
+      // A third update pushes the first version out of retention
+      await contracts.dataVaultNFT.methods.updateDataHash(tokenId, 'ipfs://v3', '0xkeyhash3').send({ from: OWNER });
+      await privacyLayer.syncVaultVersion(tokenId);
+      await expect(privacyLayer.rerunComputation('c1', 'c4', RESEARCHER)).rejects.toThrow('Version 1 of data vault');
+      expect(privacyLayer.getComputation('c4')).toBeNull();
+
+      restored = createPrivacyLayer(components);
+      await restored.restore();
+      expect(restored.getVaultVersions(tokenId).map(({ version, retained }) => ({ version, retained }))).toEqual([
+        { version: 3, retained: true },
+        { version: 2, retained: true },
+        { version: 1, retained: false }
+      ]);
+      expect(restored.getDataVault(tokenId).dataHash).toBe('ipfs://v3');
+    } finally {
+      clearTimeout(privacyLayer.expiryTimer);
+      if (restored) clearTimeout(restored.expiryTimer);
+      await auditLog.close();
+    }
+  });
+
+  test('Should send the pinned versions to the nodes and fail when a node cannot serve them', async () => {
+    const dataVersions = { 'vault-1': { versionId: 'version-1', version: 1, dataHash: 'ipfs://v1' } };
+    const commands = [];
+    // Nodes report a count as their result, except one that only holds a share of newer data
+    const nodes = new EventEmitter();
+    nodes.connectNode = async () => {};
+    nodes.getNodeLoad = async () => 0;
+    nodes.sendCommand = async (nodeId, command, params) => {
+      commands.push({ nodeId, command, params });
+      if (command === 'share' && nodeId === nodes.outdated) {
+        throw new Error(`Node ${nodeId} rejected share: Data version version-1 of data vault vault-1 is not available at node ${nodeId}`);
+      }
+      if (command === 'share') {
+        setImmediate(() => nodes.emit('result:received', { computationId: params.computationId, nodeId, result: { count: 1 } }));
+      }
+      return { success: true };
+    };
+    const orchestrator = new SMPCOrchestrator({
+      coordinator: nodes,
+      protocols: {
+        average: {
+          aggregateResults: async results => ({ count: results.reduce((sum, result) => sum + result.count, 0) }),
+          verifyResult: async () => true
+        }
+      },
+      config: { minNodes: 2, maxNodesPerComputation: 2 }
+    });
+    for (const id of ['node-1', 'node-2']) {
+      orchestrator.registerNode({ id, url: `ws://${id}`, supportedProtocols: ['average'], capabilities: { computePower: 1 } });
+      nodes.emit('node:connected', id);
+    }
+    const run = async (id) => orchestrator.executeComputation(await orchestrator.setupComputation({
+      computation: { id, type: 'average', researcher: RESEARCHER, dataVaultIds: ['vault-1'], dataVersions },
+      privacyParameters: { epsilon: 1 }
+    }));
+
+    await expect(run('c1')).resolves.toEqual({ count: 2 });
+    const initialized = commands.filter(({ command }) => command === 'initialize');
+    expect(initialized.map(({ nodeId }) => nodeId).sort()).toEqual(['node-1', 'node-2']);
+    for (const { params } of initialized) {
+      expect(params.dataVersions).toEqual(dataVersions);
+    }
+
+    nodes.outdated = 'node-1';
+    await expect(run('c2')).rejects.toThrow('Data version version-1 of data vault vault-1 is not available at node node-1');
+    expect(orchestrator.getComputationStatus('c2').state).toBe('failed');
+  });
+
+  test('Should accept version pins when starting a computation over HTTP', () => {
+    const route = routes.find(({ operationId }) => operationId === 'startComputation');
+    const body = { researcher: RESEARCHER, dataVaultIds: ['1'], computationType: 'average', versions: { 1: '0xabc' } };
+
+    expect(validateSchema(body, route.body, 'body')).toEqual([]);
+    expect(validateSchema({ ...body, versions: { 1: '' } }, route.body, 'body').map(failure => failure.path)).toEqual(['body.versions.1']);
+  });
+});
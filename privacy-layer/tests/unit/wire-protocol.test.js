@@ -0,0 +1,114 @@
+/**
+ * @fileoverview Wire protocol tests for PrivaSight
+ *
+ * These tests cover the versioned message schema of the SMPC network:
+ * parsing raw frames, validating messages in each direction, negotiating the
+ * protocol version at registration, and the typed error messages that answer
+ * malformed frames.
+ */
+
+const {
+  PROTOCOL_VERSION,
+  SUPPORTED_VERSIONS,
+  Direction,
+  ProtocolError,
+  ProtocolErrorCode,
+  parseFrame,
+  validateMessage,
+  negotiateVersion,
+  errorMessage
+} = require('../../smpc/protocol');
+
+/** Run a function and return the error it throws */
+const thrown = fn => {
+  try {
+    fn();
+  } catch (error) {
+    return error;
+  }
+  throw new Error('Expected an error');
+};
+
+const REGISTRATION = {
+  type: 'registration',
+  messageId: 'm1',
+  nodeId: 'node-1',
+  signature: 'c2ln',
+  channelKey: 'a2V5',
+  protocolVersions: SUPPORTED_VERSIONS,
+  capabilities: { region: 'eu-west' },
+  supportedProtocols: ['average'],
+  timestamp: 1
+};
+
+describe('PrivaSight Wire Protocol Tests', () => {
+  test('Should answer malformed frames with typed errors', () => {
+    expect(parseFrame('{"type":"ping"}')).toEqual({ type: 'ping' });
+    expect(parseFrame(Buffer.from('{"type":"ping"}'))).toEqual({ type: 'ping' });
+
+    const notJson = thrown(() => parseFrame('{"type":'));
+    expect(notJson).toBeInstanceOf(ProtocolError);
+    expect(notJson.code).toBe(ProtocolErrorCode.MALFORMED_FRAME);
+    expect(notJson.message).toContain('Frame is not valid JSON');
+    for (const frame of ['[1, 2]', '"ping"', 'null']) {
+      expect(thrown(() => parseFrame(frame)).message).toBe('Frame is not a JSON object');
+    }
+
+    expect(errorMessage(notJson, 'm1')).toEqual({ type: 'error', code: 'MALFORMED_FRAME', error: notJson.message, inReplyTo: 'm1' });
+    // Other errors are reported as invalid messages, and a bogus message ID is not echoed
+    expect(errorMessage(new Error('Boom'), { id: 'm1' })).toEqual({ type: 'error', code: 'INVALID_MESSAGE', error: 'Boom' });
+  });
+
+  test('Should validate messages against the schema of their direction', () => {
+    expect(validateMessage(REGISTRATION, Direction.TO_COORDINATOR)).toBe(REGISTRATION);
+    expect(validateMessage({ type: 'command', command: 'share', params: { computationId: 'c1' } }, Direction.TO_NODE)).toBeTruthy();
+    expect(validateMessage({ type: 'share', computationId: 'c1', share: { x: 1, y: '2' } }, Direction.PEER)).toBeTruthy();
+
+    const invalid = thrown(() => validateMessage({ ...REGISTRATION, nodeId: '', protocolVersions: [0], signature: undefined }, Direction.TO_COORDINATOR));
+    expect(invalid.code).toBe(ProtocolErrorCode.INVALID_MESSAGE);
+    expect(invalid.message).toBe('Invalid registration message');
+    expect(invalid.details).toEqual([
+      { path: '$.signature', message: 'is required' },
+      { path: '$.nodeId', message: 'must be at least 1 characters' },
+      { path: '$.protocolVersions[0]', message: 'must be >= 1' }
+    ]);
+    expect(errorMessage(invalid, 'm1')).toMatchObject({ code: 'INVALID_MESSAGE', details: invalid.details, inReplyTo: 'm1' });
+
+    expect(thrown(() => validateMessage({ messageId: 7 }, Direction.TO_NODE)).details).toEqual([
+      { path: '$.type', message: 'is required' },
+      { path: '$.messageId', message: 'must be of type string' }
+    ]);
+    expect(thrown(() => validateMessage({ type: 'verification_result', computationId: 'c1', verified: 'yes' }, Direction.TO_COORDINATOR)).details)
+      .toEqual([{ path: '$.verified', message: 'must be of type boolean' }]);
+    // A typed field is left out or of its type, never null
+    expect(thrown(() => validateMessage({ type: 'ping', messageId: null }, Direction.TO_NODE)).details)
+      .toEqual([{ path: '$.messageId', message: 'must be of type string' }]);
+    expect(thrown(() => validateMessage({ type: 'share_notification', computationId: null, shareId: 's1' }, Direction.TO_COORDINATOR)).details)
+      .toEqual([{ path: '$.computationId', message: 'is required' }]);
+
+    // Each direction only knows its own messages
+    const unknown = thrown(() => validateMessage({ type: 'command', command: 'share' }, Direction.TO_COORDINATOR));
+    expect(unknown.code).toBe(ProtocolErrorCode.UNKNOWN_MESSAGE_TYPE);
+    expect(unknown.message).toBe('Unknown message type: command');
+    expect(thrown(() => validateMessage({ type: 'registration_confirmed', nodeId: 'node-1', protocolVersion: 1 }, Direction.PEER)).code)
+      .toBe(ProtocolErrorCode.UNKNOWN_MESSAGE_TYPE);
+
+    // Command responses are command-specific; only their envelope is checked
+    expect(validateMessage({ type: 'computation_status', inReplyTo: 'm1', state: 'computing' }, Direction.TO_COORDINATOR)).toBeTruthy();
+    expect(thrown(() => validateMessage({ type: 'error', inReplyTo: 'm1' }, Direction.TO_COORDINATOR)).details)
+      .toEqual([{ path: '$.error', message: 'is required' }]);
+  });
+
+  test('Should negotiate the newest protocol version both ends speak', () => {
+    expect(negotiateVersion(SUPPORTED_VERSIONS)).toBe(PROTOCOL_VERSION);
+    expect(negotiateVersion([1, 2, 3], [1, 2])).toBe(2);
+    expect(negotiateVersion([3, 1], [1, 2, 3])).toBe(3);
+
+    const none = thrown(() => negotiateVersion([7, 8], [1, 2]));
+    expect(none.code).toBe(ProtocolErrorCode.UNSUPPORTED_VERSION);
+    expect(none.message).toBe('No common protocol version: offered 7, 8, supported 1, 2');
+    expect(thrown(() => negotiateVersion(undefined)).message).toBe(`No common protocol version: offered none, supported ${SUPPORTED_VERSIONS.join(', ')}`);
+
+    expect(thrown(() => validateMessage(REGISTRATION, Direction.TO_COORDINATOR, 99)).code).toBe(ProtocolErrorCode.UNSUPPORTED_VERSION);
+  });
+});
@@ -15,10 +15,18 @@ const { BigNumber } = require('ethers');
 const { bufferToHex, keccak256 } = require('ethereumjs-util');
 const logger = require('../../../utils/logger')('privacy-layer:zkp-prover');
 const { poseidonHash } = require('../utils/hash');
+const { registry } = require('../../monitoring/metrics');
 
 // Cache for compiled circuits and verification keys
 const circuitCache = new Map();
 
+// Time taken to generate proofs, excluding proofs served from the cache
+const proofGenerationTime = registry.histogram({
+  name: 'privasight_proof_generation_seconds',
+  help: 'Time taken to generate zero-knowledge proofs',
+  labelNames: ['circuit']
+});
+
 /**
  * ZKP Prover class for generating and verifying zero-knowledge proofs
  * @class ZKProver
@@ -144,6 +152,7 @@ class ZKProver {
           generationTime: Math.round(performance.now() - startTime)
         }
       };
+      proofGenerationTime.observe({ circuit: circuitType }, (performance.now() - startTime) / 1000);
 
       // Cache result
       if (useCache && this.cache.enabled) {
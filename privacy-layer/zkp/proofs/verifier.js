@@ -13,10 +13,18 @@ const ethers = require('ethers');
 const { performance } = require('perf_hooks');
 const logger = require('../../../utils/logger')('privacy-layer:zkp-verifier');
 const { poseidonHash } = require('../utils/hash');
+const { registry } = require('../../monitoring/metrics');
 
 // Cache for verification keys
 const vkeyCache = new Map();
 
+// Verification outcomes, counted alongside the statistics reported by getStatistics
+const verificationOutcomes = registry.counter({
+  name: 'privasight_proof_verifications_total',
+  help: 'Zero-knowledge proof verifications by outcome (valid, invalid or error)',
+  labelNames: ['circuit', 'outcome']
+});
+
 /**
  * ZKP Verifier class for verifying zero-knowledge proofs
  * @class ZKVerifier
@@ -108,6 +116,7 @@ class ZKVerifier {
 
       // Update statistics
       isValid ? this.verificationSuccesses++ : this.verificationFailures++;
+      verificationOutcomes.inc({ circuit: circuitType, outcome: isValid ? 'valid' : 'invalid' });
       const verificationTime = Math.round(performance.now() - startTime);
       this.verificationTimes.push(verificationTime);
 
@@ -115,6 +124,7 @@ class ZKVerifier {
       return isValid;
     } catch (error) {
       this.verificationFailures++;
+      verificationOutcomes.inc({ circuit: circuitType, outcome: 'error' });
       logger.error(`Failed to verify proof for '${circuitType}':`, error);
       return false;
     }
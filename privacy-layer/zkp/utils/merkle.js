@@ -239,11 +239,11 @@ class MerkleTree {
     
     const path = [];
     const indices = [];
-    let positionBinary = this._getPositionBinary(index);
     
+    // Leaves live at level depth - 1, so the path climbs depth - 1 levels to the root
     let currentIndex = Number(index);
-    for (let level = this.depth - 1; level >= 0; level--) {
-      const isRightChild = positionBinary[this.depth - 1 - level] === '1';
+    for (let level = this.depth - 1; level > 0; level--) {
+      const isRightChild = currentIndex % 2 === 1;
       indices.push(isRightChild ? 1 : 0);
       const siblingPosition = isRightChild ? currentIndex - 1 : currentIndex + 1;
       const siblingHash = await this._getNodeHashAsync(level, siblingPosition);
@@ -281,11 +281,11 @@ class MerkleTree {
     
     const path = [];
     const indices = [];
-    let positionBinary = this._getPositionBinary(index);
     
+    // Leaves live at level depth - 1, so the path climbs depth - 1 levels to the root
     let currentIndex = Number(index);
-    for (let level = this.depth - 1; level >= 0; level--) {
-      const isRightChild = positionBinary[this.depth - 1 - level] === '1';
+    for (let level = this.depth - 1; level > 0; level--) {
+      const isRightChild = currentIndex % 2 === 1;
       indices.push(isRightChild ? 1 : 0);
       const siblingPosition = isRightChild ? currentIndex - 1 : currentIndex + 1;
       const siblingHash = this._getNodeHash(level, siblingPosition);
@@ -563,12 +563,13 @@ class MerkleTree {
    */
   _getPositionBinary(index) {
     if (typeof index === 'string' && /^\d+$/.test(index)) {
-      return BigNumber.from(index).toString(2).padStart(this.depth, '0');
+      return BigInt(index).toString(2).padStart(this.depth, '0');
     } else if (typeof index === 'number') {
       return index.toString(2).padStart(this.depth, '0');
     } else {
-      const hashedKey = BigNumber.from(keccak256Hash(index));
-      return hashedKey.mod(BigNumber.from(2).pow(this.depth)).toString(2).padStart(this.depth, '0');
+      // ethers BigNumbers have no binary toString; BigInt has
+      const hashedKey = BigInt(keccak256Hash(index));
+      return (hashedKey % (1n << BigInt(this.depth))).toString(2).padStart(this.depth, '0');
     }
   }
 }
@@ -741,20 +742,8 @@ class SparseMerkleTree {
       return this.nodes.get(nodeKey);
     }
     
-    if (level >= this.depth) {
-      return this.defaultNodes[this.depth];
-    }
-    
-    const leftPath = [...path.slice(0, level), 0, ...path.slice(level + 1)];
-    const rightPath = [...path.slice(0, level), 1, ...path.slice(level + 1)];
-    
-    const leftChild = await this._getNode(leftPath, level + 1);
-    const rightChild = await this._getNode(rightPath, level + 1);
-    
-    const nodeHash = await poseidonHash([leftChild, rightChild]);
-    this.nodes.set(nodeKey, nodeHash);
-    
-    return nodeHash;
+    // _update stores every node above a leaf it sets, so a missing node roots an empty subtree
+    return this.defaultNodes[Math.min(level, this.depth)];
   }
 
   /**
@@ -779,8 +768,9 @@ class SparseMerkleTree {
    * @private
    */
   _keyToPath(key) {
-    const keyHash = BigNumber.from(keccak256Hash(key.toString()));
-    const binaryStr = keyHash.mod(BigNumber.from(2).pow(this.depth)).toString(2).padStart(this.depth, '0');
+    // ethers BigNumbers have no binary toString; BigInt has
+    const keyHash = BigInt(keccak256Hash(key.toString()));
+    const binaryStr = (keyHash % (1n << BigInt(this.depth))).toString(2).padStart(this.depth, '0');
     return Array.from(binaryStr).map(Number);
   }
 